@@ -11,7 +11,22 @@ const {
   handleConfirmCallSheetShare,
   handleResendCallSheetShare,
   handleRevokeCallSheetShare,
+  handleSetCallSheetShareReminder,
+  handleSendCallSheetReminders,
 } = require("./src/callSheetShares.js");
+const { handleCalendarFeed } = require("./src/calendarFeeds.js");
+const {
+  normalizeSubstitutionInput,
+  applySubstitution,
+  buildBackorderItem,
+} = require("./src/pullSubstitutions.js");
+const { handleSyncSampleTracking } = require("./src/sampleTracking.js");
+const { handleTalentHoldResponse } = require("./src/talentHolds.js");
+const { handleShotCommentWrite } = require("./src/shotCommentCount.js");
+const {
+  handleSendScheduledReports,
+  handleUnsubscribeScheduledReport,
+} = require("./src/scheduledReports.js");
 
 // FALLBACK: Only used if Firestore admin collection is not accessible
 // Set SUPER_ADMIN_EMAIL in environment variables for production
@@ -516,6 +531,9 @@ async function handlePublicUpdatePull(data) {
     const updatedItems = existingItems.map((item) => ({ ...item, sizes: Array.isArray(item.sizes) ? item.sizes.map((s) => ({ ...s })) : [] }));
 
     const activityEntries = [];
+    // Substitution / backorder records live inside the items array, where
+    // serverTimestamp() isn't allowed.
+    const recordedAt = admin.firestore.Timestamp.now();
 
     actions.forEach((action) => {
       if (!action || typeof action !== "object") return;
@@ -617,6 +635,64 @@ async function handlePublicUpdatePull(data) {
           sizes: newItem.sizes.map((s) => ({ size: s.size, quantity: s.quantity })),
         });
       }
+
+      if (action.type === "recordSubstitution") {
+        const input = normalizeSubstitutionInput(action);
+        if (!input) return;
+
+        const idx = updatedItems.findIndex((it) => it.id === input.itemId);
+        if (idx < 0) return;
+
+        const applied = applySubstitution(updatedItems[idx], input, {
+          id: generatePublicItemId(),
+          email: String(email).trim(),
+          now: recordedAt,
+        });
+        if (!applied) return;
+
+        const nextItem = applied.item;
+        nextItem.fulfillmentStatus = calculateItemFulfillment(nextItem);
+        updatedItems[idx] = nextItem;
+
+        const { substitution } = applied;
+        activityEntries.push({
+          type: "substitution",
+          itemId: input.itemId,
+          substitutionId: substitution.id,
+          forSize: substitution.forSize,
+          quantity: substitution.quantity,
+          skuCode: substitution.skuCode,
+          colourName: substitution.colourName,
+          size: substitution.size,
+          reason: substitution.reason,
+        });
+      }
+
+      if (action.type === "createBackorder") {
+        const itemId = action.itemId;
+        if (!itemId || typeof itemId !== "string") return;
+
+        const idx = updatedItems.findIndex((it) => it.id === itemId);
+        if (idx < 0) return;
+
+        const built = buildBackorderItem(updatedItems[idx], {
+          id: generatePublicItemId(),
+          email: String(email).trim(),
+          now: recordedAt,
+          note: action.note,
+        });
+        if (!built) return;
+
+        updatedItems[idx] = built.item;
+        updatedItems.push(built.backorder);
+
+        activityEntries.push({
+          type: "backorder",
+          itemId,
+          backorderItemId: built.backorder.id,
+          sizes: built.backorder.sizes.map((s) => ({ size: s.size, quantity: s.quantity })),
+        });
+      }
     });
 
     const now = admin.firestore.FieldValue.serverTimestamp();
@@ -984,6 +1060,53 @@ exports.confirmCallSheetShare = functions
     }
   });
 
+// Subscribable per-person .ics feed. Served at /calendar/{token}.ics via a
+// hosting rewrite; calendar apps poll it with plain GETs, so this skips the
+// POST-only handleCors.
+exports.calendarFeed = functions
+  .region("northamerica-northeast1")
+  .https.onRequest(async (req, res) => {
+    res.set("Access-Control-Allow-Origin", "*");
+    if (req.method !== "GET" && req.method !== "HEAD") {
+      res.status(405).json({ error: "Method not allowed" });
+      return;
+    }
+
+    try {
+      const ics = await handleCalendarFeed({ path: req.path, query: req.query });
+      res.set("Content-Type", "text/calendar; charset=utf-8");
+      res.set("Content-Disposition", "inline; filename=\"call-times.ics\"");
+      res.set("Cache-Control", "private, max-age=300");
+      res.status(200).send(ics);
+    } catch (error) {
+      sendHandlerError(res, error, "calendarFeed");
+    }
+  });
+
+// Unsubscribe page for scheduled report emails. Served at
+// /reports/unsubscribe/{token} via a hosting rewrite; GET confirms, POST
+// (the page's button or a mail client's one-click) unsubscribes.
+exports.unsubscribeScheduledReport = functions
+  .region("northamerica-northeast1")
+  .https.onRequest(async (req, res) => {
+    if (req.method !== "GET" && req.method !== "HEAD" && req.method !== "POST") {
+      res.status(405).json({ error: "Method not allowed" });
+      return;
+    }
+
+    try {
+      const { status, html } = await handleUnsubscribeScheduledReport({
+        method: req.method,
+        path: req.path,
+      });
+      res.set("Content-Type", "text/html; charset=utf-8");
+      res.set("Cache-Control", "no-store");
+      res.status(status).send(html);
+    } catch (error) {
+      sendHandlerError(res, error, "unsubscribeScheduledReport");
+    }
+  });
+
 // --- Firestore queue trigger (bypasses HTTP/CORS/IAM) ---
 
 exports.processQueue = functions
@@ -1038,6 +1161,9 @@ exports.processQueue = functions
         case "revokeCallSheetShare":
           result = await handleRevokeCallSheetShare(data, caller);
           break;
+        case "setCallSheetShareReminder":
+          result = await handleSetCallSheetShareReminder(data, caller);
+          break;
         default:
           throw Object.assign(new Error(`Unknown action: ${action}`), { code: "invalid-argument" });
       }
@@ -1058,6 +1184,32 @@ exports.processQueue = functions
     }
   });
 
+// --- Denormalized counters ---
+
+// Keeps `commentCount` on each shot doc in step with its live (non-deleted)
+// comments so the shot list can filter on it without reading subcollections.
+// Runs server-side because commenters (any authed client user) may not hold
+// shot write access. Each write recounts, so counts that predate the trigger
+// self-correct; scripts/backfill-shot-comment-counts.js covers the rest.
+exports.syncShotCommentCount = functions
+  .region("northamerica-northeast1")
+  .firestore.document("clients/{clientId}/shots/{shotId}/comments/{commentId}")
+  .onWrite((change, context) => handleShotCommentWrite(change, context));
+
+// Applies an agency's confirm/release answer (written unauthenticated from the
+// public hold confirmation page) to the client's talent hold.
+exports.applyTalentHoldResponse = functions
+  .region("northamerica-northeast1")
+  .firestore.document("talentHoldRequests/{token}/responses/{holdId}")
+  .onWrite(async (change, context) => {
+    try {
+      return await handleTalentHoldResponse(change, context);
+    } catch (error) {
+      console.error("[applyTalentHoldResponse] Error:", error);
+      return null;
+    }
+  });
+
 // --- HTTP endpoints (not queued — these are called directly via hosting rewrites) ---
 
 exports.resolvePullShareToken = functions
@@ -1480,3 +1632,45 @@ exports.cleanupVersionsAndLocks = functions
       throw error;
     }
   });
+
+// Emails call sheet recipients who haven't confirmed once their share's
+// reminder cutoff (hours before the shoot date) has passed.
+exports.sendCallSheetReminders = functions
+  .region("northamerica-northeast1")
+  .pubsub.schedule("every 30 minutes")
+  .onRun(async () => {
+    try {
+      await handleSendCallSheetReminders();
+    } catch (error) {
+      console.error("[sendCallSheetReminders] Error:", error);
+    }
+    return null;
+  });
+
+// Polls the carrier adapter for in-transit product samples and writes back
+// status / eta / arrivedAt plus the family's sample aggregates.
+exports.syncSampleTracking = functions
+  .region("northamerica-northeast1")
+  .pubsub.schedule("every 60 minutes")
+  .onRun(async () => {
+    try {
+      await handleSyncSampleTracking();
+    } catch (error) {
+      console.error("[syncSampleTracking] Error:", error);
+    }
+    return null;
+  });
+
+// Renders due saved-report schedules to PDF and emails them to their
+// recipients, logging each run under the schedule's `deliveries`.
+exports.sendScheduledReports = functions
+  .region("northamerica-northeast1")
+  .pubsub.schedule("every 15 minutes")
+  .onRun(async () => {
+    try {
+      await handleSendScheduledReports();
+    } catch (error) {
+      console.error("[sendScheduledReports] Error:", error);
+    }
+    return null;
+  });
@@ -0,0 +1,59 @@
+#!/usr/bin/env node
+
+/**
+ * Export Visibility Backfill
+ *
+ * Writes `visibility: "team"` on every export template and export report
+ * saved before sharing existed. firestore.rules only let a producer list
+ * export docs whose query proves them visible, so docs without the field
+ * only show up for their owner and admins until this runs. Safe to re-run;
+ * docs that already have a visibility are left alone.
+ *
+ * Usage:
+ *   node backfill-export-visibility.js
+ */
+
+const admin = require("firebase-admin");
+const serviceAccount = require("../service-account.json");
+
+admin.initializeApp({
+  credential: admin.credential.cert(serviceAccount)
+});
+
+const BATCH_LIMIT = 400;
+
+async function backfillCollection(db, collRef) {
+  const snap = await collRef.get();
+  const missing = snap.docs.filter((d) => d.get("visibility") === undefined);
+  for (let i = 0; i < missing.length; i += BATCH_LIMIT) {
+    const batch = db.batch();
+    for (const d of missing.slice(i, i + BATCH_LIMIT)) {
+      batch.update(d.ref, { visibility: "team" });
+    }
+    await batch.commit();
+  }
+  return missing.length;
+}
+
+async function backfillExportVisibility(db) {
+  let updated = 0;
+  const clients = await db.collection("clients").listDocuments();
+  for (const clientRef of clients) {
+    updated += await backfillCollection(db, clientRef.collection("exportTemplates"));
+    const projects = await clientRef.collection("projects").listDocuments();
+    for (const projectRef of projects) {
+      updated += await backfillCollection(db, projectRef.collection("exportReports"));
+    }
+  }
+  return updated;
+}
+
+backfillExportVisibility(admin.firestore())
+  .then((updated) => {
+    console.log(`✅ Set team visibility on ${updated} export docs`);
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error("Error backfilling export visibility:", error);
+    process.exit(1);
+  });
@@ -0,0 +1,32 @@
+#!/usr/bin/env node
+
+/**
+ * Shot Comment Count Backfill
+ *
+ * Recounts every shot's live comments and writes `commentCount`, so shots
+ * whose comments predate the `syncShotCommentCount` trigger filter and sort
+ * correctly in the shot list. Safe to re-run; each shot gets the absolute count.
+ *
+ * Usage:
+ *   node backfill-shot-comment-counts.js
+ */
+
+const admin = require("firebase-admin");
+const serviceAccount = require("../service-account.json");
+const { backfillShotCommentCounts } = require("../src/shotCommentCount.js");
+
+admin.initializeApp({
+  credential: admin.credential.cert(serviceAccount)
+});
+
+backfillShotCommentCounts(admin.firestore(), {
+  onPage: (updated) => console.log(`…${updated} shots recounted`),
+})
+  .then((updated) => {
+    console.log(`✅ Recounted comments on ${updated} shots`);
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error("Error backfilling comment counts:", error);
+    process.exit(1);
+  });
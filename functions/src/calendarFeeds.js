@@ -0,0 +1,431 @@
+/**
+ * Per-person iCalendar feeds for published call sheets.
+ *
+ * Each talent / crew recipient gets one `calendarFeeds/{feedToken}` doc per
+ * project, created (or reused) at publish time. The doc id is the secret:
+ * `calendarFeed` (https onRequest, anonymous GET) serves
+ * `${APP_URL}/calendar/{feedToken}.ics` by reading the latest enabled share
+ * for every schedule in the project and emitting one VEVENT per day the
+ * person is on. Republishing a day replaces its share, so the event keeps
+ * its UID and calendar apps update it in place; revoking a share drops it.
+ *
+ * Times are written as UTC (`...Z`) instants of the production's wall-clock
+ * call times, so subscribers in another zone see the right moment.
+ *
+ * `calendarFeedKeys/{clientId:projectId:personKind:personId}` maps a person
+ * to their feed token. It is read and written in the same transaction as the
+ * feed doc, so two publishes racing for the same person share one token.
+ *
+ * Error conventions match `callSheetShares.js`.
+ */
+
+"use strict";
+
+const admin = require("firebase-admin");
+const { zonedTimeToDate } = require("./reportSchedule.js");
+
+const FEEDS_COLLECTION = "calendarFeeds";
+const FEED_KEYS_COLLECTION = "calendarFeedKeys";
+const SHARES_COLLECTION = "callSheetShares";
+const RECIPIENTS_SUBCOLLECTION = "recipients";
+const FEED_PERSON_KINDS = new Set(["talent", "crew"]);
+const FEED_TOKEN_PATTERN = /^[A-Za-z0-9]{16,64}$/;
+const DEFAULT_TIME_ZONE = "America/Toronto";
+const DEFAULT_APP_URL = "https://um-shotbuilder.web.app";
+const DAY_MINUTES = 24 * 60;
+const MAX_LINE_OCTETS = 75;
+const PRODID = "-//Production Hub//Call Sheets//EN";
+
+function err(message, code) {
+  return Object.assign(new Error(message), { code });
+}
+
+// ---------------------------------------------------------------------------
+// ICS encoding (RFC 5545) — escaping and folding duplicate
+// src-vnext/features/schedules/lib/icsCalendar.ts, which the browser download
+// uses. Change both together; icsEncodingParity.test.ts runs the two against
+// the same fixtures.
+// ---------------------------------------------------------------------------
+
+function escapeIcsText(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+function foldIcsLine(line) {
+  if (Buffer.byteLength(line, "utf8") <= MAX_LINE_OCTETS) return line;
+  const parts = [];
+  let current = "";
+  let size = 0;
+  for (const char of line) {
+    const charSize = Buffer.byteLength(char, "utf8");
+    // Continuation lines start with a space, which counts toward the limit.
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (size + charSize > limit) {
+      parts.push(current);
+      current = "";
+      size = 0;
+    }
+    current += char;
+    size += charSize;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+function pad(value) {
+  return String(value).padStart(2, "0");
+}
+
+function formatStamp(date) {
+  return date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}Z$/, "Z");
+}
+
+/** `minutes` after midnight of `date` in `timeZone`, as a UTC date-time. May run past 24h. */
+function formatUtcDateTime(date, minutes, timeZone) {
+  const [year, month, day] = date.split("-").map(Number);
+  return formatStamp(zonedTimeToDate({ year, month, day, hour: 0, minute: minutes }, timeZone));
+}
+
+function eventLines(event) {
+  const lines = [
+    "BEGIN:VEVENT",
+    `UID:${event.uid}`,
+    `DTSTAMP:${formatStamp(event.stamp)}`,
+    `SEQUENCE:${event.sequence || 0}`,
+  ];
+  if (event.startMinutes === null || event.startMinutes === undefined) {
+    lines.push(`DTSTART;VALUE=DATE:${event.date.replace(/-/g, "")}`);
+  } else {
+    const timeZone = event.timeZone || DEFAULT_TIME_ZONE;
+    lines.push(`DTSTART:${formatUtcDateTime(event.date, event.startMinutes, timeZone)}`);
+    if (typeof event.endMinutes === "number" && event.endMinutes > event.startMinutes) {
+      lines.push(`DTEND:${formatUtcDateTime(event.date, event.endMinutes, timeZone)}`);
+    }
+  }
+  lines.push(`SUMMARY:${escapeIcsText(event.summary)}`);
+  if (event.location) lines.push(`LOCATION:${escapeIcsText(event.location)}`);
+  if (event.description) lines.push(`DESCRIPTION:${escapeIcsText(event.description)}`);
+  if (event.url) lines.push(`URL:${event.url}`);
+  lines.push("END:VEVENT");
+  return lines;
+}
+
+function buildIcsCalendar({ name, events }) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeIcsText(name)}`,
+    // Hint for subscribed clients; most poll on their own schedule anyway.
+    "REFRESH-INTERVAL;VALUE=DURATION:PT1H",
+    "X-PUBLISHED-TTL:PT1H",
+    ...events.flatMap(eventLines),
+    "END:VCALENDAR",
+  ];
+  return lines.map(foldIcsLine).join("\r\n") + "\r\n";
+}
+
+// ---------------------------------------------------------------------------
+// Feed events
+// ---------------------------------------------------------------------------
+
+/** "07:30", "7:30 AM", "7 PM" → minutes after midnight, else null. */
+function parseTimeToMinutes(value) {
+  if (typeof value !== "string") return null;
+  const trimmed = value.trim().toUpperCase();
+  const match12 = trimmed.match(/^(\d{1,2})(?::(\d{2}))?\s*(AM|PM)$/);
+  if (match12) {
+    const hours = Number(match12[1]);
+    const minutes = match12[2] ? Number(match12[2]) : 0;
+    if (hours < 1 || hours > 12 || minutes > 59) return null;
+    return ((hours % 12) + (match12[3] === "PM" ? 12 : 0)) * 60 + minutes;
+  }
+  const match24 = trimmed.match(/^(\d{1,2}):(\d{2})$/);
+  if (match24) {
+    const hours = Number(match24[1]);
+    const minutes = Number(match24[2]);
+    if (hours > 23 || minutes > 59) return null;
+    return hours * 60 + minutes;
+  }
+  return null;
+}
+
+function toDate(timestamp) {
+  if (!timestamp) return null;
+  try {
+    const date =
+      typeof timestamp.toDate === "function" ? timestamp.toDate() : new Date(timestamp);
+    return Number.isNaN(date.getTime()) ? null : date;
+  } catch {
+    return null;
+  }
+}
+
+/** Calendar day (YYYY-MM-DD) of a shoot date in the production's time zone. */
+function shootDateKey(shootDate, timeZone) {
+  const date = toDate(shootDate);
+  if (!date) return null;
+  // en-CA formats as YYYY-MM-DD.
+  return new Intl.DateTimeFormat("en-CA", {
+    timeZone: timeZone || DEFAULT_TIME_ZONE,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+  }).format(date);
+}
+
+function millisOf(timestamp) {
+  const date = toDate(timestamp);
+  return date ? date.getTime() : 0;
+}
+
+/**
+ * Keep the most recent share per schedule — a republish supersedes the
+ * previous share for that day rather than adding a second event.
+ */
+function pickLatestSharePerSchedule(shares) {
+  const latest = new Map();
+  (Array.isArray(shares) ? shares : []).forEach((share) => {
+    const key = share?.data?.scheduleId;
+    if (!key) return;
+    const current = latest.get(key);
+    if (!current || millisOf(share.data.createdAt) > millisOf(current.data.createdAt)) {
+      latest.set(key, share);
+    }
+  });
+  return [...latest.values()];
+}
+
+function locationText(location) {
+  if (!location?.label) return null;
+  return location.address ? `${location.label}, ${location.address}` : location.label;
+}
+
+/** Last scheduled time on the sheet after `start`, for the event's end. */
+function lastScheduledMinutes(schedule, start) {
+  const entries = Array.isArray(schedule?.entries) ? schedule.entries : [];
+  let end = null;
+  entries.forEach((entry) => {
+    [entry?.endTime, entry?.startTime].forEach((raw) => {
+      const minutes = parseTimeToMinutes(raw);
+      if (minutes === null) return;
+      const adjusted = minutes < start ? minutes + DAY_MINUTES : minutes;
+      if (end === null || adjusted > end) end = adjusted;
+    });
+  });
+  return end;
+}
+
+/**
+ * One VEVENT for a person's day, from the share snapshot plus their
+ * recipient doc (which carries the call time the producer published,
+ * offsets already applied). Returns null for shares without a shoot date.
+ */
+function buildFeedEvent({ shareId, share, recipientToken, recipient, appUrl, timeZone }) {
+  const date = shootDateKey(share.shootDate || share.snapshot?.date, timeZone);
+  if (!date) return null;
+
+  const snapshot = share.snapshot || {};
+  const start = parseTimeToMinutes(recipient.callTime);
+  const end = start === null ? null : lastScheduledMinutes(snapshot.schedule, start);
+  const locations = Array.isArray(snapshot.locations) ? snapshot.locations : [];
+  const title = snapshot.title || "Call Sheet";
+  const summary = snapshot.projectName ? `Call: ${snapshot.projectName} — ${title}` : `Call: ${title}`;
+  const shareUrl = `${appUrl || DEFAULT_APP_URL}/s/${shareId}.${recipientToken}`;
+  const precall = parseTimeToMinutes(recipient.precallTime);
+
+  const description = [
+    recipient.roleLabel || null,
+    start === null && recipient.callTime ? `Call: ${recipient.callTime}` : null,
+    precall !== null ? `Pre-call: ${recipient.precallTime}` : null,
+    ...locations.map((location) => {
+      const text = locationText(location);
+      if (!text) return null;
+      return location.notes ? `${text} (${location.notes})` : text;
+    }),
+    snapshot.dayDetails?.notes || null,
+    `Call sheet: ${shareUrl}`,
+  ].filter(Boolean).join("\n");
+
+  const publishedAt = toDate(share.createdAt) || new Date(0);
+  return {
+    uid: `${share.scheduleId}-${recipient.personKind}-${recipient.personId}@callsheet`,
+    stamp: publishedAt,
+    // Later publishes of the same day must carry a higher sequence.
+    sequence: Math.floor(publishedAt.getTime() / 1000),
+    date,
+    timeZone: timeZone || DEFAULT_TIME_ZONE,
+    startMinutes: start,
+    endMinutes: end,
+    summary,
+    location: locations.map(locationText).find(Boolean) || null,
+    description,
+    url: shareUrl,
+  };
+}
+
+function buildCalendarFeedUrl(feedToken, appUrl) {
+  return `${appUrl || process.env.APP_URL || DEFAULT_APP_URL}/calendar/${feedToken}.ics`;
+}
+
+// ---------------------------------------------------------------------------
+// Feed tokens (publish time)
+// ---------------------------------------------------------------------------
+
+function feedKey(personKind, personId) {
+  return `${personKind}:${personId}`;
+}
+
+/** Id of the `calendarFeedKeys` doc for one person's feed on a project. */
+function feedKeyDocId({ clientId, projectId, personKind, personId }) {
+  return [clientId, projectId, personKind, personId].map(encodeURIComponent).join(":");
+}
+
+/**
+ * The person's live feed token, creating the feed if there is none. Feeds
+ * made before `calendarFeedKeys` existed are found by query and adopted.
+ */
+function findOrCreateFeed(db, { clientId, projectId, person }) {
+  const keyRef = db.collection(FEED_KEYS_COLLECTION).doc(feedKeyDocId({
+    clientId,
+    projectId,
+    personKind: person.personKind,
+    personId: person.personId,
+  }));
+
+  return db.runTransaction(async (tx) => {
+    const keySnap = await tx.get(keyRef);
+    const keyedToken = keySnap.exists ? keySnap.data().feedToken : null;
+    if (keyedToken) {
+      const feedSnap = await tx.get(db.collection(FEEDS_COLLECTION).doc(keyedToken));
+      if (feedSnap.exists && !feedSnap.data().revokedAt) return keyedToken;
+    } else {
+      const legacy = await tx.get(db.collection(FEEDS_COLLECTION)
+        .where("clientId", "==", clientId)
+        .where("projectId", "==", projectId)
+        .where("personKind", "==", person.personKind)
+        .where("personId", "==", person.personId)
+        .where("revokedAt", "==", null)
+        .limit(1));
+      if (!legacy.empty) {
+        tx.set(keyRef, { feedToken: legacy.docs[0].id });
+        return legacy.docs[0].id;
+      }
+    }
+
+    const feedRef = db.collection(FEEDS_COLLECTION).doc();
+    tx.set(feedRef, {
+      clientId,
+      projectId,
+      personKind: person.personKind,
+      personId: person.personId,
+      name: person.name || null,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      revokedAt: null,
+    });
+    tx.set(keyRef, { feedToken: feedRef.id });
+    return feedRef.id;
+  });
+}
+
+/**
+ * Find or create the feed doc for every talent / crew recipient that maps to
+ * a project person. Returns a Map of `${personKind}:${personId}` → token.
+ */
+async function ensureCalendarFeeds(db, { clientId, projectId, recipients }) {
+  const people = new Map();
+  (Array.isArray(recipients) ? recipients : []).forEach((recipient) => {
+    if (!recipient?.personId || !FEED_PERSON_KINDS.has(recipient.personKind)) return;
+    people.set(feedKey(recipient.personKind, recipient.personId), recipient);
+  });
+
+  const tokens = new Map();
+  await Promise.all([...people.entries()].map(async ([key, person]) => {
+    tokens.set(key, await findOrCreateFeed(db, { clientId, projectId, person }));
+  }));
+  return tokens;
+}
+
+// ---------------------------------------------------------------------------
+// handleCalendarFeed
+// ---------------------------------------------------------------------------
+
+/** Pulls the token out of `/calendar/{token}.ics` or `?token=`. */
+function parseFeedToken({ path, query } = {}) {
+  const fromQuery = typeof query?.token === "string" ? query.token : null;
+  const fromPath = typeof path === "string"
+    ? (path.split("/").filter(Boolean).pop() || "").replace(/\.ics$/i, "")
+    : null;
+  const token = fromQuery || fromPath;
+  return token && FEED_TOKEN_PATTERN.test(token) ? token : null;
+}
+
+async function handleCalendarFeed(data) {
+  const token = parseFeedToken(data);
+  if (!token) throw err("Invalid token.", "invalid-argument");
+
+  const db = admin.firestore();
+  const feedSnap = await db.collection(FEEDS_COLLECTION).doc(token).get();
+  if (!feedSnap.exists) throw err("Feed not found.", "not-found");
+  const feed = feedSnap.data();
+  if (feed.revokedAt) throw err("Feed has been revoked.", "not-found");
+
+  const sharesSnap = await db.collection(SHARES_COLLECTION)
+    .where("clientId", "==", feed.clientId)
+    .where("projectId", "==", feed.projectId)
+    .where("enabled", "==", true)
+    .get();
+  const shares = pickLatestSharePerSchedule(
+    sharesSnap.docs.map((doc) => ({ id: doc.id, ref: doc.ref, data: doc.data() })),
+  );
+
+  const appUrl = process.env.APP_URL || DEFAULT_APP_URL;
+  const timeZone = process.env.CALENDAR_TIME_ZONE || DEFAULT_TIME_ZONE;
+  const events = (await Promise.all(shares.map(async (share) => {
+    const recipientSnap = await share.ref.collection(RECIPIENTS_SUBCOLLECTION)
+      .where("personKind", "==", feed.personKind)
+      .where("personId", "==", feed.personId)
+      .limit(1)
+      .get();
+    if (recipientSnap.empty) return null;
+    const recipientDoc = recipientSnap.docs[0];
+    const recipient = recipientDoc.data();
+    if (recipient.revokedAt) return null;
+    return buildFeedEvent({
+      shareId: share.id,
+      share: share.data,
+      recipientToken: recipientDoc.id,
+      recipient,
+      appUrl,
+      timeZone,
+    });
+  }))).filter(Boolean).sort((a, b) => a.date.localeCompare(b.date));
+
+  const projectName = shares[0]?.data?.snapshot?.projectName;
+  const name = projectName ? `${projectName} — ${feed.name || "Call times"}` : feed.name || "Call times";
+  return buildIcsCalendar({ name, events });
+}
+
+module.exports = {
+  handleCalendarFeed,
+  ensureCalendarFeeds,
+  buildCalendarFeedUrl,
+  feedKey,
+  // Exposed for unit testing:
+  escapeIcsText,
+  foldIcsLine,
+  formatUtcDateTime,
+  feedKeyDocId,
+  buildIcsCalendar,
+  parseTimeToMinutes,
+  shootDateKey,
+  pickLatestSharePerSchedule,
+  buildFeedEvent,
+  parseFeedToken,
+};
@@ -6,6 +6,10 @@
  *   2. `sendCallSheetConfirmationReceipt` — to publisher when recipient confirms.
  *   3. `sendCallSheetResendEmail` — producer-triggered resend (same template,
  *      `resend: true` flag adds a yellow banner and `[Resend]` subject prefix).
+ * Plus `sendCallSheetReminderEmail` — scheduled nudge to unconfirmed
+ * recipients (same template, `reminder: true`, `[Reminder]` prefix) — and
+ * `sendScheduledReportEmail`, the recurring report delivery with its PDF
+ * attached and an unsubscribe link.
  *
  * Resend API key resolution, fail-open posture, and logging match the existing
  * `functions/email.js` pattern (single shared `Resend` client; missing key is
@@ -17,6 +21,7 @@
 const { Resend } = require("resend");
 const CallSheetShareEmail = require("./templates/CallSheetShareEmail.js");
 const CallSheetConfirmationReceipt = require("./templates/CallSheetConfirmationReceipt.js");
+const ScheduledReportEmail = require("./templates/ScheduledReportEmail.js");
 const { renderHtml, renderText } = require("./render.js");
 
 const APP_NAME = "Production Hub";
@@ -58,6 +63,31 @@ function buildRecipientsPanelUrl({ clientId, projectId, scheduleId, appUrl }) {
   return `${base}/clients/${clientId}/projects/${projectId}/schedules/${scheduleId}/callsheet#recipients`;
 }
 
+const REPORT_ROUTE_BY_TYPE = {
+  "shot-report": "report",
+  "product-info": "product-report",
+  "talent": "talent-report",
+};
+
+/**
+ * Build the live report link for a scheduled report email. Typed reports
+ * open from `?reportId=` on their per-kind route.
+ */
+function buildReportUrl({ projectId, reportId, reportType, appUrl }) {
+  const base = (appUrl || getAppUrl()).replace(/\/$/, "");
+  const route = REPORT_ROUTE_BY_TYPE[reportType] || "report";
+  return `${base}/projects/${projectId}/export/${route}?reportId=${encodeURIComponent(reportId)}`;
+}
+
+/**
+ * Build the unsubscribe page URL (served by `unsubscribeScheduledReport`
+ * through the `/reports/unsubscribe/**` hosting rewrite).
+ */
+function buildUnsubscribeUrl(unsubscribeToken, appUrl) {
+  const base = (appUrl || getAppUrl()).replace(/\/$/, "");
+  return `${base}/reports/unsubscribe/${encodeURIComponent(unsubscribeToken)}`;
+}
+
 /**
  * Default subject line builder used when the publisher didn't override the
  * subject. Matches plan §7.3 Email 1.
@@ -70,8 +100,8 @@ function buildDefaultSubject({ projectName, formattedShootDate }) {
  * Email 1 — initial send to a recipient.
  *
  * @param {object} params
- * @param {object} params.recipient - recipient shape { name, email, roleLabel, callTime, precallTime, token, shareGroupId }
- * @param {object} params.share - { projectName, formattedShootDate, primaryLocationLabel, defaultCallTime, projectLogoUrl, emailSubject, emailMessage, requireConfirm, expiryLabel }
+ * @param {object} params.recipient - recipient shape { name, email, roleLabel, callTime, precallTime, token, shareGroupId, calendarUrl }
+ * @param {object} params.share - { projectName, formattedShootDate, primaryLocationLabel, defaultCallTime, projectLogoUrl, emailSubject, emailMessage, requireConfirm, expiryLabel, revision, changeSummary }
  * @param {object} params.publisher - { name, email }
  * @param {string} [params.appUrl] - override for APP_URL env var (for testing)
  * @returns {Promise<{ok: boolean, error?: string, id?: string}>}
@@ -97,6 +127,9 @@ async function sendCallSheetShareEmail({ recipient, share, publisher, appUrl })
     resendReason: null,
     originalSentAtLabel: null,
     expiryLabel: share.expiryLabel || null,
+    calendarUrl: recipient.calendarUrl || null,
+    revision: share.revision || 1,
+    changeSummary: Array.isArray(share.changeSummary) ? share.changeSummary : [],
   };
 
   let html;
@@ -160,6 +193,9 @@ async function sendCallSheetResendEmail({ recipient, share, publisher, appUrl, r
     resendReason: reason || null,
     originalSentAtLabel: originalSentAtLabel || null,
     expiryLabel: share.expiryLabel || null,
+    calendarUrl: recipient.calendarUrl || null,
+    revision: share.revision || 1,
+    changeSummary: Array.isArray(share.changeSummary) ? share.changeSummary : [],
   };
 
   let html;
@@ -200,6 +236,75 @@ async function sendCallSheetResendEmail({ recipient, share, publisher, appUrl, r
   }
 }
 
+/**
+ * Unconfirmed reminder — same template with a reminder banner. Sent by the
+ * `sendCallSheetReminders` schedule once the share's cutoff passes.
+ */
+async function sendCallSheetReminderEmail({ recipient, share, publisher, appUrl }) {
+  const resend = getResendClient();
+  const shareUrl = buildShareUrl(recipient.shareGroupId, recipient.token, appUrl);
+
+  const templateProps = {
+    recipientName: recipient.name,
+    projectName: share.projectName,
+    formattedShootDate: share.formattedShootDate,
+    recipientCallTime: recipient.callTime || null,
+    defaultCallTime: share.defaultCallTime || null,
+    primaryLocationLabel: share.primaryLocationLabel || null,
+    publisherName: publisher.name,
+    publisherEmail: publisher.email,
+    emailMessage: null,
+    shareUrl,
+    projectLogoUrl: share.projectLogoUrl || null,
+    requireConfirm: true,
+    reminder: true,
+    resend: false,
+    resendReason: null,
+    originalSentAtLabel: null,
+    expiryLabel: share.expiryLabel || null,
+    calendarUrl: recipient.calendarUrl || null,
+    revision: share.revision || 1,
+    changeSummary: [],
+  };
+
+  let html;
+  let text;
+  try {
+    html = await renderHtml(CallSheetShareEmail, templateProps);
+    text = await renderText(CallSheetShareEmail, templateProps);
+  } catch (error) {
+    console.error(`[callSheetEmails] Reminder render failed for ${recipient.email}:`, error);
+    return { ok: false, error: `render_failed: ${error.message}` };
+  }
+
+  const baseSubject = share.emailSubject || buildDefaultSubject({
+    projectName: share.projectName,
+    formattedShootDate: share.formattedShootDate,
+  });
+  const subject = `[Reminder] ${baseSubject}`;
+
+  if (!resend) {
+    console.log(`[callSheetEmails] Skipping reminder email to ${recipient.email} — Resend not configured`);
+    return { ok: false, error: "resend_not_configured" };
+  }
+
+  try {
+    const result = await resend.emails.send({
+      from: FROM_ADDRESS,
+      to: recipient.email,
+      reply_to: publisher.email,
+      subject,
+      html,
+      text,
+    });
+    console.log(`[callSheetEmails] Reminder email sent to ${recipient.email}:`, result?.data?.id);
+    return { ok: true, id: result?.data?.id };
+  } catch (error) {
+    console.error(`[callSheetEmails] Failed to send reminder email to ${recipient.email}:`, error);
+    return { ok: false, error: `send_failed: ${error.message || "unknown"}` };
+  }
+}
+
 /**
  * Email 2 — confirmation receipt to the publisher.
  */
@@ -258,16 +363,95 @@ async function sendCallSheetConfirmationReceipt({ recipient, share, publisher, a
   }
 }
 
+/**
+ * Scheduled report delivery — one recipient, PDF attached. Carries RFC 8058
+ * one-click unsubscribe headers so mail clients can offer their own button.
+ *
+ * @param {object} params
+ * @param {string} params.to
+ * @param {object} params.report - { reportId, reportType, reportName, reportKindLabel, projectId, projectName, cadenceLabel, generatedLabel, rowCount }
+ * @param {object} params.publisher - { email } of whoever owns the schedule
+ * @param {string} params.unsubscribeToken - compound token from reportSchedule.buildUnsubscribeToken
+ * @param {{filename: string, content: Buffer}} params.attachment
+ * @param {string} [params.appUrl]
+ * @returns {Promise<{ok: boolean, error?: string, id?: string}>}
+ */
+async function sendScheduledReportEmail({ to, report, publisher, unsubscribeToken, attachment, appUrl }) {
+  const resend = getResendClient();
+  const unsubscribeUrl = buildUnsubscribeUrl(unsubscribeToken, appUrl);
+
+  const templateProps = {
+    reportName: report.reportName,
+    reportKindLabel: report.reportKindLabel,
+    projectName: report.projectName,
+    cadenceLabel: report.cadenceLabel,
+    generatedLabel: report.generatedLabel,
+    rowCount: report.rowCount,
+    reportUrl: buildReportUrl({
+      projectId: report.projectId,
+      reportId: report.reportId,
+      reportType: report.reportType,
+      appUrl,
+    }),
+    publisherEmail: publisher.email,
+    unsubscribeUrl,
+    projectLogoUrl: null,
+  };
+
+  let html;
+  let text;
+  try {
+    html = await renderHtml(ScheduledReportEmail, templateProps);
+    text = await renderText(ScheduledReportEmail, templateProps);
+  } catch (error) {
+    console.error(`[callSheetEmails] Scheduled report render failed for ${to}:`, error);
+    return { ok: false, error: `render_failed: ${error.message}` };
+  }
+
+  const subject = `${report.projectName} — ${report.reportName} (${report.cadenceLabel})`;
+
+  if (!resend) {
+    console.log(`[callSheetEmails] Skipping scheduled report to ${to} — Resend not configured`);
+    return { ok: false, error: "resend_not_configured" };
+  }
+
+  try {
+    const result = await resend.emails.send({
+      from: FROM_ADDRESS,
+      to,
+      reply_to: publisher.email,
+      subject,
+      html,
+      text,
+      attachments: [attachment],
+      headers: {
+        "List-Unsubscribe": `<${unsubscribeUrl}>`,
+        "List-Unsubscribe-Post": "List-Unsubscribe=One-Click",
+      },
+    });
+    console.log(`[callSheetEmails] Scheduled report sent to ${to}:`, result?.data?.id);
+    return { ok: true, id: result?.data?.id };
+  } catch (error) {
+    console.error(`[callSheetEmails] Failed to send scheduled report to ${to}:`, error);
+    return { ok: false, error: `send_failed: ${error.message || "unknown"}` };
+  }
+}
+
 module.exports = {
   sendCallSheetShareEmail,
   sendCallSheetResendEmail,
+  sendCallSheetReminderEmail,
   sendCallSheetConfirmationReceipt,
+  sendScheduledReportEmail,
   // Exposed for tests:
   buildShareUrl,
   buildRecipientsPanelUrl,
+  buildReportUrl,
+  buildUnsubscribeUrl,
   buildDefaultSubject,
   renderHtml,
   renderText,
   CallSheetShareEmail,
   CallSheetConfirmationReceipt,
+  ScheduledReportEmail,
 };
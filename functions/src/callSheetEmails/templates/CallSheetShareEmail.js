@@ -1,7 +1,8 @@
 /**
- * CallSheetShareEmail — Email 1 (initial send) and Email 3 (resend, via the
- * `resend` prop). Rendered per-recipient by the `publishCallSheet` and
- * `resendCallSheetShare` Cloud Functions.
+ * CallSheetShareEmail — Email 1 (initial send), Email 3 (resend, via the
+ * `resend` prop) and the unconfirmed reminder (via `reminder`). Rendered
+ * per-recipient by the `publishCallSheet` and `resendCallSheetShare` Cloud
+ * Functions and the `sendCallSheetReminders` schedule.
  *
  * Copy pattern matches plan §7.3 Email 1 / Email 3. XSS-safe: all
  * user-supplied strings (`recipientName`, `projectName`, `emailMessage`) are
@@ -12,7 +13,7 @@
 "use strict";
 
 const React = require("react");
-const { Section, Text, Hr } = require("@react-email/components");
+const { Section, Text, Hr, Link } = require("@react-email/components");
 const EmailLayout = require("./shared/EmailLayout.js");
 const EmailHeader = require("./shared/EmailHeader.js");
 const EmailButton = require("./shared/EmailButton.js");
@@ -72,6 +73,36 @@ const confirmHintStyle = {
   color: colors.textSubtle,
 };
 
+const changesBlockStyle = {
+  margin: `${spacing.md} 0 ${spacing.lg}`,
+  padding: `${spacing.sm} ${spacing.md}`,
+  backgroundColor: colors.warningBg,
+  borderLeft: `3px solid ${colors.warningBorder}`,
+  borderRadius: "4px",
+};
+
+const changesHeadingStyle = {
+  margin: `0 0 ${spacing.xs}`,
+  fontSize: type.sizeSmall,
+  fontWeight: type.weightStrong,
+  color: colors.warningText,
+};
+
+const changeLineStyle = {
+  margin: "0",
+  fontSize: type.sizeSmall,
+  lineHeight: type.lineHeightBody,
+  color: colors.text,
+};
+
+const calendarHintStyle = {
+  margin: `${spacing.md} 0 0`,
+  fontSize: type.sizeSmall,
+  lineHeight: type.lineHeightBody,
+  color: colors.textSubtle,
+  textAlign: "center",
+};
+
 const hrStyle = {
   border: "none",
   borderTop: `1px solid ${colors.border}`,
@@ -96,6 +127,10 @@ const hrStyle = {
  * @param {string | null} [props.resendReason] - optional producer note on the resend
  * @param {string | null} [props.originalSentAtLabel] - e.g. "Oct 4 at 9:15 AM"
  * @param {string | null} [props.expiryLabel] - e.g. "Link expires Oct 6, 2026"
+ * @param {string | null} [props.calendarUrl] - https URL of the recipient's .ics feed
+ * @param {boolean} [props.reminder] - unconfirmed reminder; replaces the resend banner
+ * @param {number} [props.revision] - 1 for the first publish of the day
+ * @param {string[]} [props.changeSummary] - "what changed" lines vs the previous revision
  */
 function CallSheetShareEmail(props) {
   const {
@@ -115,9 +150,15 @@ function CallSheetShareEmail(props) {
     resendReason,
     originalSentAtLabel,
     expiryLabel,
+    calendarUrl,
+    reminder,
+    revision,
+    changeSummary,
   } = props;
 
   const callTime = recipientCallTime || defaultCallTime;
+  const isRevision = typeof revision === "number" && revision > 1;
+  const changeLines = isRevision && Array.isArray(changeSummary) ? changeSummary : [];
   const preview = `Call sheet for ${projectName} on ${formattedShootDate}`;
 
   const children = [
@@ -128,7 +169,15 @@ function CallSheetShareEmail(props) {
     }),
   ];
 
-  if (resend) {
+  if (reminder) {
+    children.push(
+      React.createElement(
+        Section,
+        { key: "reminder-banner", style: resendBannerStyle },
+        `Reminder: ${publisherName} hasn't had your confirmation for this call sheet yet. Please open it and confirm.`,
+      ),
+    );
+  } else if (resend) {
     const bannerText = resendReason
       ? `This is a resend of the call sheet originally emailed ${originalSentAtLabel || "earlier"}. Please confirm when you've seen it. Note: ${resendReason}`
       : `This is a resend of the call sheet originally emailed ${originalSentAtLabel || "earlier"}. Please confirm when you've seen it.`;
@@ -153,11 +202,11 @@ function CallSheetShareEmail(props) {
       React.createElement(
         Text,
         { style: paragraphStyle },
-        "Your call sheet for ",
+        isRevision ? "An updated call sheet for " : "Your call sheet for ",
         React.createElement("strong", { style: strongStyle }, projectName),
         " on ",
         React.createElement("strong", { style: strongStyle }, formattedShootDate),
-        " is ready.",
+        isRevision ? ` is ready (revision ${revision}).` : " is ready.",
       ),
       callTime
         ? React.createElement(
@@ -178,6 +227,16 @@ function CallSheetShareEmail(props) {
       emailMessage
         ? React.createElement(Text, { style: messageBlockStyle }, emailMessage)
         : null,
+      changeLines.length > 0
+        ? React.createElement(
+            Section,
+            { style: changesBlockStyle },
+            React.createElement(Text, { style: changesHeadingStyle }, "Changes since last version"),
+            ...changeLines.map((line, index) =>
+              React.createElement(Text, { key: `change-${index}`, style: changeLineStyle }, `• ${line}`),
+            ),
+          )
+        : null,
     ),
   );
 
@@ -189,6 +248,27 @@ function CallSheetShareEmail(props) {
     ),
   );
 
+  if (calendarUrl) {
+    // webcal:// opens a subscribe prompt in Apple / Outlook calendars; Google
+    // users can paste the same address under "From URL".
+    children.push(
+      React.createElement(
+        Section,
+        { key: "calendar", style: introSectionStyle },
+        React.createElement(
+          Text,
+          { style: calendarHintStyle },
+          React.createElement(
+            Link,
+            { href: calendarUrl.replace(/^https?:/, "webcal:") },
+            "Add your call times to your calendar",
+          ),
+          " — it updates whenever the call sheet is republished.",
+        ),
+      ),
+    );
+  }
+
   if (requireConfirm) {
     children.push(
       React.createElement(
@@ -0,0 +1,115 @@
+/**
+ * ScheduledReportEmail — the recurring report delivery sent by the
+ * `sendScheduledReports` schedule. The rendered PDF rides along as an
+ * attachment; the body summarises it and links to the live report.
+ *
+ * XSS-safe: report and project names are producer-supplied and rendered as
+ * React Text children, which `@react-email/render` escapes.
+ */
+
+"use strict";
+
+const React = require("react");
+const { Section, Text } = require("@react-email/components");
+const EmailLayout = require("./shared/EmailLayout.js");
+const EmailHeader = require("./shared/EmailHeader.js");
+const EmailButton = require("./shared/EmailButton.js");
+const EmailFooter = require("./shared/EmailFooter.js");
+const { colors, spacing, type } = require("./shared/tokens.js");
+
+const introSectionStyle = {
+  padding: `${spacing.lg} ${spacing.xl} 0`,
+};
+
+const paragraphStyle = {
+  margin: `0 0 ${spacing.md}`,
+  fontSize: type.sizeBody,
+  lineHeight: type.lineHeightBody,
+  color: colors.textMuted,
+};
+
+const strongStyle = {
+  color: colors.text,
+  fontWeight: type.weightStrong,
+};
+
+const metaStyle = {
+  margin: `0 0 ${spacing.sm}`,
+  fontSize: type.sizeSmall,
+  lineHeight: type.lineHeightBody,
+  color: colors.textSubtle,
+};
+
+/**
+ * @param {object} props
+ * @param {string} props.reportName - e.g. "Shot status"
+ * @param {string} props.reportKindLabel - e.g. "Shot report"
+ * @param {string} props.projectName
+ * @param {string} props.cadenceLabel - e.g. "every Monday 8am"
+ * @param {string} props.generatedLabel - e.g. "Oct 19, 2026, 8:00 AM EDT"
+ * @param {number} props.rowCount - rows in the attached digest
+ * @param {string} props.reportUrl - full https URL of the live report
+ * @param {string} props.publisherEmail - who set up the schedule
+ * @param {string} props.unsubscribeUrl
+ * @param {string | null} [props.projectLogoUrl]
+ */
+function ScheduledReportEmail(props) {
+  const {
+    reportName,
+    reportKindLabel,
+    projectName,
+    cadenceLabel,
+    generatedLabel,
+    rowCount,
+    reportUrl,
+    publisherEmail,
+    unsubscribeUrl,
+    projectLogoUrl,
+  } = props;
+
+  const preview = `${reportName} for ${projectName}`;
+  const rowLabel = rowCount === 1 ? "1 row" : `${rowCount} rows`;
+
+  return React.createElement(
+    EmailLayout,
+    { preview },
+    React.createElement(EmailHeader, {
+      key: "header",
+      projectLogoUrl: projectLogoUrl || null,
+      projectLogoAlt: projectName,
+    }),
+    React.createElement(
+      Section,
+      { key: "intro", style: introSectionStyle },
+      React.createElement(
+        Text,
+        { style: paragraphStyle },
+        "Your scheduled ",
+        reportKindLabel.toLowerCase(),
+        " ",
+        React.createElement("strong", { style: strongStyle }, reportName),
+        " for ",
+        React.createElement("strong", { style: strongStyle }, projectName),
+        " is attached as a PDF.",
+      ),
+      React.createElement(
+        Text,
+        { style: metaStyle },
+        `Generated ${generatedLabel} · ${rowLabel} · sent ${cadenceLabel}`,
+      ),
+    ),
+    React.createElement(
+      EmailButton,
+      { key: "cta", href: reportUrl },
+      "Open Live Report",
+    ),
+    React.createElement(EmailFooter, {
+      key: "footer",
+      publisherEmail,
+      unsubscribeUrl,
+    }),
+  );
+}
+
+module.exports = ScheduledReportEmail;
+module.exports.default = ScheduledReportEmail;
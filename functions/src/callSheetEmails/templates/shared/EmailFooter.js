@@ -1,6 +1,8 @@
 /**
  * EmailFooter — reply-to guidance, expiry notice, and an "if you received
- * this in error" fallback. Always rendered below the CTA.
+ * this in error" fallback. Always rendered below the CTA. Recurring emails
+ * (scheduled reports) pass `unsubscribeUrl`, which replaces the fallback
+ * with a one-click unsubscribe link.
  */
 
 "use strict";
@@ -36,8 +38,9 @@ const linkStyle = {
  * @param {object} props
  * @param {string} props.publisherEmail - the producer's email for reply-to guidance
  * @param {string | null} [props.expiryLabel] - e.g. "Link expires Oct 6, 2026"
+ * @param {string | null} [props.unsubscribeUrl] - recurring emails only
  */
-function EmailFooter({ publisherEmail, expiryLabel }) {
+function EmailFooter({ publisherEmail, expiryLabel, unsubscribeUrl }) {
   return React.createElement(
     Section,
     { style: sectionStyle },
@@ -49,17 +52,35 @@ function EmailFooter({ publisherEmail, expiryLabel }) {
           expiryLabel,
         )
       : null,
-    React.createElement(
-      Text,
-      { style: metaStyle },
-      "If you received this email in error, reply to ",
-      React.createElement(
-        Link,
-        { href: `mailto:${publisherEmail}`, style: linkStyle },
-        publisherEmail,
-      ),
-      " and we'll remove you from this call sheet.",
-    ),
+    unsubscribeUrl
+      ? React.createElement(
+          Text,
+          { style: metaStyle },
+          "Sent on a schedule set up by ",
+          React.createElement(
+            Link,
+            { href: `mailto:${publisherEmail}`, style: linkStyle },
+            publisherEmail,
+          ),
+          ". ",
+          React.createElement(
+            Link,
+            { href: unsubscribeUrl, style: linkStyle },
+            "Unsubscribe",
+          ),
+          " from this report.",
+        )
+      : React.createElement(
+          Text,
+          { style: metaStyle },
+          "If you received this email in error, reply to ",
+          React.createElement(
+            Link,
+            { href: `mailto:${publisherEmail}`, style: linkStyle },
+            publisherEmail,
+          ),
+          " and we'll remove you from this call sheet.",
+        ),
   );
 }
 
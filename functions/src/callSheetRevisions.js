@@ -0,0 +1,219 @@
+/**
+ * Call sheet revisions — structured "what changed" between two published
+ * snapshots of the same schedule.
+ *
+ * Every publish is a revision: `handlePublishCallSheet` finds the previous
+ * share for the schedule, stores `revision = previous + 1`, and records the
+ * diff as `changes` (structured, for highlighting in the app) plus
+ * `changeSummary` (human lines, for the email and the call sheet banner).
+ *
+ * Pure functions — operates on `CallSheetShareSnapshot` shapes only.
+ */
+
+"use strict";
+
+const { parseTimeToMinutes } = require("./calendarFeeds.js");
+
+const MAX_CHANGES = 100;
+
+function formatTime(value) {
+  if (!value) return "—";
+  const minutes = parseTimeToMinutes(value);
+  if (minutes === null) return value;
+  const hours = Math.floor(minutes / 60);
+  const mins = minutes % 60;
+  const hour12 = hours % 12 === 0 ? 12 : hours % 12;
+  return `${hour12}:${String(mins).padStart(2, "0")} ${hours >= 12 ? "PM" : "AM"}`;
+}
+
+function sameTime(a, b) {
+  const am = parseTimeToMinutes(a);
+  const bm = parseTimeToMinutes(b);
+  if (am !== null && bm !== null) return am === bm;
+  return (a || null) === (b || null);
+}
+
+/** Index rows by id, falling back to name for rows without one. */
+function indexBy(rows, idField) {
+  const map = new Map();
+  (Array.isArray(rows) ? rows : []).forEach((row) => {
+    if (!row) return;
+    const key = row[idField] || (row.name ? `name:${row.name}` : null);
+    if (key && !map.has(key)) map.set(key, row);
+  });
+  return map;
+}
+
+function diffPeople(prevRows, nextRows, idField, kind) {
+  const changes = [];
+  const prev = indexBy(prevRows, idField);
+  const next = indexBy(nextRows, idField);
+  next.forEach((row, id) => {
+    const before = prev.get(id);
+    if (!before) {
+      changes.push({ kind: `${kind}Added`, id, label: row.name || "", from: null, to: row.callTime || null });
+    } else if (!sameTime(before.callTime, row.callTime)) {
+      changes.push({
+        kind: `${kind}Call`,
+        id,
+        label: row.name || before.name || "",
+        from: before.callTime || null,
+        to: row.callTime || null,
+      });
+    }
+  });
+  prev.forEach((row, id) => {
+    if (!next.has(id)) {
+      changes.push({ kind: `${kind}Removed`, id, label: row.name || "", from: row.callTime || null, to: null });
+    }
+  });
+  return changes;
+}
+
+function describeLocation(location) {
+  return [location.label, location.address].filter(Boolean).join(", ");
+}
+
+function diffLocations(prevRows, nextRows) {
+  const changes = [];
+  // Location rows carry `label` rather than `name`; alias it for the id fallback.
+  const withName = (rows) => (Array.isArray(rows) ? rows : []).map((l) => ({ ...l, name: l?.label }));
+  const prev = indexBy(withName(prevRows), "id");
+  const next = indexBy(withName(nextRows), "id");
+  next.forEach((location, id) => {
+    const before = prev.get(id);
+    if (!before) {
+      changes.push({ kind: "locationAdded", id, label: location.label, from: null, to: describeLocation(location) });
+      return;
+    }
+    const from = describeLocation(before);
+    const to = describeLocation(location);
+    if (from !== to) {
+      changes.push({ kind: "locationChanged", id, label: location.label, from, to });
+    }
+  });
+  prev.forEach((location, id) => {
+    if (!next.has(id)) {
+      changes.push({ kind: "locationRemoved", id, label: location.label, from: describeLocation(location), to: null });
+    }
+  });
+  return changes;
+}
+
+function describeEntry(entry) {
+  const time = entry.startTime ? formatTime(entry.startTime) : null;
+  return [time, entry.title, entry.locationLabel].filter(Boolean).join(" · ");
+}
+
+function diffEntries(prevSchedule, nextSchedule) {
+  const changes = [];
+  const prev = indexBy(prevSchedule?.entries, "id");
+  const next = indexBy(nextSchedule?.entries, "id");
+  next.forEach((entry, id) => {
+    const before = prev.get(id);
+    if (!before) {
+      changes.push({ kind: "entryAdded", id, label: entry.title, from: null, to: describeEntry(entry) });
+      return;
+    }
+    const moved =
+      !sameTime(before.startTime, entry.startTime) ||
+      !sameTime(before.endTime, entry.endTime) ||
+      (before.title || "") !== (entry.title || "") ||
+      (before.locationLabel || null) !== (entry.locationLabel || null);
+    if (moved) {
+      changes.push({
+        kind: "entryChanged",
+        id,
+        label: entry.title,
+        from: describeEntry(before),
+        to: describeEntry(entry),
+      });
+    }
+  });
+  prev.forEach((entry, id) => {
+    if (!next.has(id)) {
+      changes.push({ kind: "entryRemoved", id, label: entry.title, from: describeEntry(entry), to: null });
+    }
+  });
+  return changes;
+}
+
+/**
+ * Structured diff between two snapshots. Order: day call, people, locations,
+ * schedule — the order a recipient cares about. Capped at MAX_CHANGES.
+ *
+ * @param {object | null} previous - CallSheetShareSnapshot of the last revision
+ * @param {object} next - snapshot being published
+ * @returns {Array<{kind: string, id: string, label: string, from: string|null, to: string|null}>}
+ */
+function diffCallSheetSnapshots(previous, next) {
+  if (!previous || !next) return [];
+  const changes = [];
+
+  const prevCall = previous.dayDetails?.generalCallTime || null;
+  const nextCall = next.dayDetails?.generalCallTime || null;
+  if (!sameTime(prevCall, nextCall)) {
+    changes.push({ kind: "generalCall", id: "generalCall", label: "General call", from: prevCall, to: nextCall });
+  }
+
+  changes.push(
+    ...diffPeople(previous.talentCalls, next.talentCalls, "talentId", "talent"),
+    ...diffPeople(previous.crewCalls, next.crewCalls, "crewMemberId", "crew"),
+    ...diffLocations(previous.locations, next.locations),
+    ...diffEntries(previous.schedule, next.schedule),
+  );
+
+  return changes.slice(0, MAX_CHANGES);
+}
+
+/** One human-readable line per change, for emails and the revision banner. */
+function describeChange(change) {
+  const label = change.label || "Untitled";
+  switch (change.kind) {
+    case "generalCall":
+      return `General call moved: ${formatTime(change.from)} → ${formatTime(change.to)}`;
+    case "talentCall":
+    case "crewCall":
+      return `${label} call: ${formatTime(change.from)} → ${formatTime(change.to)}`;
+    case "talentAdded":
+      return `Talent added: ${label}${change.to ? ` (call ${formatTime(change.to)})` : ""}`;
+    case "crewAdded":
+      return `Crew added: ${label}${change.to ? ` (call ${formatTime(change.to)})` : ""}`;
+    case "talentRemoved":
+      return `Talent removed: ${label}`;
+    case "crewRemoved":
+      return `Crew removed: ${label}`;
+    case "locationAdded":
+      return `Location added: ${change.to || label}`;
+    case "locationRemoved":
+      return `Location removed: ${change.from || label}`;
+    case "locationChanged":
+      return `Location changed: ${change.from} → ${change.to}`;
+    case "entryAdded":
+      return `Schedule added: ${change.to || label}`;
+    case "entryRemoved":
+      return `Schedule removed: ${change.from || label}`;
+    case "entryChanged":
+      return `Schedule changed: ${change.from} → ${change.to}`;
+    default:
+      return label;
+  }
+}
+
+/**
+ * Summary lines for a change list, truncated to `limit` with a trailing
+ * "…and N more" line.
+ */
+function summarizeChanges(changes, limit = 12) {
+  const safe = Array.isArray(changes) ? changes : [];
+  const lines = safe.slice(0, limit).map(describeChange);
+  if (safe.length > limit) lines.push(`…and ${safe.length - limit} more`);
+  return lines;
+}
+
+module.exports = {
+  diffCallSheetSnapshots,
+  describeChange,
+  summarizeChanges,
+  MAX_CHANGES,
+};
@@ -65,7 +65,10 @@ function buildSections(config) {
 function buildDayDetailsSnapshot(dayDetails) {
   if (!dayDetails) return null;
   return {
-    generalCallTime: nullableString(dayDetails.generalCallTime),
+    // The builder stores the day's call as `crewCallTime`; older docs used
+    // `generalCallTime`.
+    generalCallTime:
+      nullableString(dayDetails.generalCallTime) || nullableString(dayDetails.crewCallTime),
     sunrise: nullableString(dayDetails.sunrise),
     sunset: nullableString(dayDetails.sunset),
     weatherSummary: nullableString(dayDetails.weatherSummary),
@@ -192,6 +195,37 @@ function buildLocations(locations) {
   }));
 }
 
+/**
+ * Location blocks from the dayDetails doc (`dayDetails.locations`), in the
+ * `locations` row shape. Used when the schedule has no `locations`
+ * subcollection, which is how the builder stores them.
+ */
+function locationsFromDayDetails(dayDetails) {
+  const blocks = Array.isArray(dayDetails?.locations) ? dayDetails.locations : [];
+  return blocks
+    .filter((block) => block && (nullableString(block.ref?.label) || nullableString(block.title)))
+    .map((block) => ({
+      id: nullableString(block.id),
+      label: nullableString(block.ref?.label) || nullableString(block.title),
+      address: null,
+      notes: nullableString(block.ref?.notes),
+    }));
+}
+
+/**
+ * Labour-rule warnings (meal penalties, turnaround, overtime) computed by the
+ * builder at publish time. Entries without a message are dropped.
+ */
+function buildComplianceWarnings(warnings) {
+  const safe = Array.isArray(warnings) ? warnings : [];
+  return safe
+    .map((warning) => ({
+      id: normalizeString(warning?.id, "compliance"),
+      message: nullableString(warning?.message),
+    }))
+    .filter((warning) => warning.message !== null);
+}
+
 function buildBrand(project) {
   return {
     logoUrl: nullableString(project?.brand?.logoUrl) || nullableString(project?.logoUrl),
@@ -218,6 +252,7 @@ function buildBrand(project) {
  * @param {Array | null} inputs.crewRoster - project-level crew records
  * @param {object} inputs.project - project doc
  * @param {object} inputs.client - client doc
+ * @param {Array | null} inputs.complianceWarnings - [{ id, message }] from the builder
  * @returns {object} CallSheetShareSnapshot
  */
 function buildCallSheetShareSnapshot(inputs) {
@@ -235,6 +270,7 @@ function buildCallSheetShareSnapshot(inputs) {
     crewRoster,
     project,
     client,
+    complianceWarnings,
   } = inputs || {};
 
   return {
@@ -249,10 +285,15 @@ function buildCallSheetShareSnapshot(inputs) {
     talentCalls: buildTalentCalls(talentCalls, talentRoster),
     crewCalls: buildCrewCalls(crewCalls, crewRoster),
     clientCalls: buildClientCalls(clientCalls),
-    locations: buildLocations(locations),
+    locations: buildLocations(
+      Array.isArray(locations) && locations.length > 0
+        ? locations
+        : locationsFromDayDetails(dayDetails),
+    ),
     projectName: normalizeString(project?.name, ""),
     clientName: normalizeString(client?.name, ""),
     brand: buildBrand(project),
+    complianceWarnings: buildComplianceWarnings(complianceWarnings),
   };
 }
 
@@ -266,5 +307,7 @@ module.exports = {
   buildCrewCalls,
   buildClientCalls,
   buildLocations,
+  locationsFromDayDetails,
   buildBrand,
+  buildComplianceWarnings,
 };
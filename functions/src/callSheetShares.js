@@ -1,7 +1,8 @@
 /**
  * Phase 3 publishing — Cloud Functions handler bodies.
  *
- * Five handlers wired via `functions/index.js`:
+ * Five handlers wired via `functions/index.js` (the per-person calendar
+ * feed handler lives in `calendarFeeds.js`):
  *   - handlePublishCallSheet        — queue (op: publishCallSheet)
  *   - handleRecordCallSheetShareView — https onRequest, anonymous
  *   - handleConfirmCallSheetShare   — https onRequest, anonymous
@@ -20,15 +21,23 @@
 const admin = require("firebase-admin");
 const crypto = require("node:crypto");
 const { buildCallSheetShareSnapshot } = require("./callSheetShareSnapshot.js");
+const { ensureCalendarFeeds, buildCalendarFeedUrl, feedKey } = require("./calendarFeeds.js");
+const { diffCallSheetSnapshots, summarizeChanges } = require("./callSheetRevisions.js");
 const {
   sendCallSheetShareEmail,
   sendCallSheetResendEmail,
+  sendCallSheetReminderEmail,
   sendCallSheetConfirmationReceipt,
 } = require("./callSheetEmails/index.js");
 
 const SHARES_COLLECTION = "callSheetShares";
 const RECIPIENTS_SUBCOLLECTION = "recipients";
+const REVISIONS_COLLECTION = "callSheetRevisionCounters";
 const VIEW_RATE_LIMIT_MS = 10_000; // plan §4.3 anti-spam window
+const DEFAULT_REMINDER_HOURS = 24;
+const MAX_REMINDER_HOURS = 24 * 14;
+const REMINDER_SHARES_PER_RUN = 25;
+const MAX_REMINDER_ATTEMPTS = 3;
 
 // ---------------------------------------------------------------------------
 // Utilities
@@ -136,6 +145,28 @@ function validatePublishRecipients(input) {
   });
 }
 
+/**
+ * Optional compliance warnings computed client-side against the project's
+ * labour rules. Producers own the call sheet content, so these are only
+ * shape-checked and capped, not recomputed.
+ */
+function validateComplianceWarnings(input) {
+  if (input === undefined || input === null) return [];
+  if (!Array.isArray(input)) {
+    throw err("complianceWarnings must be an array.", "invalid-argument");
+  }
+  return input.slice(0, 20).map((w, i) => {
+    const ctx = `complianceWarnings[${i}]`;
+    if (!w || typeof w !== "object") {
+      throw err(`${ctx} must be an object.`, "invalid-argument");
+    }
+    return {
+      id: validateString(w.id, `${ctx}.id`, { max: 64 }),
+      message: validateString(w.message, `${ctx}.message`, { max: 500 }),
+    };
+  });
+}
+
 function hashIp(ip) {
   const salt = process.env.CALLSHEET_IP_HASH_SALT || "dev-only-fallback-salt";
   const text = typeof ip === "string" ? ip : "";
@@ -162,6 +193,64 @@ function formatShootDate(shootDate) {
   }
 }
 
+/**
+ * Reminder cutoff in whole hours before the shoot date. `null` / `0` turn
+ * reminders off; `undefined` falls back to CALL_SHEET_REMINDER_HOURS (24).
+ */
+function resolveReminderHours(value) {
+  if (value === null || value === 0 || value === false) return null;
+  if (value === undefined) {
+    const raw = process.env.CALL_SHEET_REMINDER_HOURS;
+    const fromEnv = raw ? Number(raw) : NaN;
+    if (!Number.isFinite(fromEnv) || fromEnv < 0) return DEFAULT_REMINDER_HOURS;
+    return Math.min(Math.round(fromEnv), MAX_REMINDER_HOURS) || null;
+  }
+  const hours = Number(value);
+  if (!Number.isFinite(hours) || hours < 1 || hours > MAX_REMINDER_HOURS) {
+    throw err(`reminderHoursBefore must be between 1 and ${MAX_REMINDER_HOURS}.`, "invalid-argument");
+  }
+  return Math.round(hours);
+}
+
+/**
+ * Reminder schedule for a share. Only shares that ask for confirmation get
+ * one, and only when the cutoff is still ahead — a publish made inside the
+ * window never fires an immediate reminder.
+ *
+ * @returns {{ reminderAt: Date | null, reminderStatus: "pending" | "none" }}
+ */
+function computeReminderSchedule({ shootDate, hoursBefore, requireConfirm, now = new Date() }) {
+  if (!requireConfirm || !hoursBefore || !shootDate) {
+    return { reminderAt: null, reminderStatus: "none" };
+  }
+  const date = typeof shootDate.toDate === "function" ? shootDate.toDate() : new Date(shootDate);
+  if (Number.isNaN(date.getTime())) return { reminderAt: null, reminderStatus: "none" };
+  const reminderAt = new Date(date.getTime() - hoursBefore * 60 * 60 * 1000);
+  return {
+    reminderAt,
+    reminderStatus: reminderAt.getTime() > now.getTime() ? "pending" : "none",
+  };
+}
+
+/**
+ * Recipients still owed a reminder: unconfirmed, not revoked, and not
+ * already reminded for this share.
+ *
+ * @param {Array<{ token: string, data: object }>} recipients
+ * @returns {string[]} tokens
+ */
+function selectReminderTokens(recipients) {
+  return (Array.isArray(recipients) ? recipients : [])
+    .filter(({ data }) =>
+      data &&
+      !data.isConfirmed &&
+      !data.revokedAt &&
+      !data.reminderSentAt &&
+      typeof data.email === "string" &&
+      data.email.length > 0)
+    .map(({ token }) => token);
+}
+
 function formatConfirmationTime(timestamp) {
   if (!timestamp) return "";
   try {
@@ -249,6 +338,61 @@ async function loadPublishContext({ db, clientId, projectId, scheduleId, callShe
   };
 }
 
+/**
+ * Most recent earlier publish of the same schedule, revoked or not — its
+ * recipients may still be holding that version. Uses the
+ * (scheduleId, createdAt desc) index and re-checks client/project scope.
+ */
+async function loadPreviousShare(db, { clientId, projectId, scheduleId }) {
+  const snap = await db.collection(SHARES_COLLECTION)
+    .where("scheduleId", "==", scheduleId)
+    .orderBy("createdAt", "desc")
+    .limit(10)
+    .get();
+  const doc = snap.docs.find((d) => {
+    const data = d.data();
+    return data.clientId === clientId && data.projectId === projectId;
+  });
+  return doc ? { id: doc.id, data: doc.data() } : null;
+}
+
+/** Per-schedule revision counter, keyed `clientId:projectId:scheduleId`. */
+function revisionCounterRef(db, { clientId, projectId, scheduleId }) {
+  const key = [clientId, projectId, scheduleId].map(encodeURIComponent).join(":");
+  return db.collection(REVISIONS_COLLECTION).doc(key);
+}
+
+/**
+ * This publish's revision number and the share it follows, read inside the
+ * publish transaction so concurrent publishes can't take the same number.
+ * The counter names the latest share; schedules published before it existed
+ * fall back to `loadPreviousShare`, and if that query fails the publish goes
+ * out as revision 1 with no diff rather than failing.
+ */
+async function readRevisionBase(tx, db, { clientId, projectId, scheduleId }) {
+  const counterSnap = await tx.get(revisionCounterRef(db, { clientId, projectId, scheduleId }));
+  if (counterSnap.exists) {
+    const { revision, latestShareGroupId } = counterSnap.data();
+    let previousShare = null;
+    if (latestShareGroupId) {
+      const shareSnap = await tx.get(db.collection(SHARES_COLLECTION).doc(latestShareGroupId));
+      if (shareSnap.exists) previousShare = { id: shareSnap.id, data: shareSnap.data() };
+    }
+    return { revision: (Number(revision) || 0) + 1, previousShare };
+  }
+
+  let previousShare = null;
+  try {
+    previousShare = await loadPreviousShare(db, { clientId, projectId, scheduleId });
+  } catch (error) {
+    console.error("[publishCallSheet] Failed to load the previous share; publishing as revision 1:", error);
+  }
+  return {
+    revision: previousShare ? (Number(previousShare.data.revision) || 1) + 1 : 1,
+    previousShare,
+  };
+}
+
 // ---------------------------------------------------------------------------
 // handlePublishCallSheet
 // ---------------------------------------------------------------------------
@@ -269,12 +413,14 @@ async function handlePublishCallSheet(data, caller) {
       ? null
       : validateString(emailMessageRaw, "emailMessage", { max: 5000 });
   const requireConfirm = Boolean(data?.requireConfirm);
+  const reminderHoursBefore = resolveReminderHours(data?.reminderHoursBefore);
   const publishAttemptId = validateString(
     data?.publishAttemptId,
     "publishAttemptId",
     { max: 128 },
   );
   const recipientInputs = validatePublishRecipients(data?.recipients);
+  const complianceWarnings = validateComplianceWarnings(data?.complianceWarnings);
 
   const db = admin.firestore();
 
@@ -331,6 +477,7 @@ async function handlePublishCallSheet(data, caller) {
     crewRoster: ctx.crewRoster,
     project: ctx.project,
     client: ctx.client,
+    complianceWarnings,
   });
 
   // Compute expiry (Q2 = B: shoot date + 14d).
@@ -346,7 +493,23 @@ async function handlePublishCallSheet(data, caller) {
     }
   }
 
-  // Write share + recipients in a single batched write.
+  // One subscribable calendar feed per talent / crew person (fail-open —
+  // a feed hiccup must not block the publish).
+  let feedTokens = new Map();
+  try {
+    feedTokens = await ensureCalendarFeeds(db, { clientId, projectId, recipients: recipientInputs });
+  } catch (feedError) {
+    console.error("[publishCallSheet] Failed to prepare calendar feeds:", feedError);
+  }
+
+  const { reminderAt, reminderStatus } = computeReminderSchedule({
+    shootDate,
+    hoursBefore: reminderHoursBefore,
+    requireConfirm,
+  });
+
+  // Write share + recipients in one transaction that also numbers the
+  // revision and diffs it against the last one.
   const shareRef = db.collection(SHARES_COLLECTION).doc();
   const shareGroupId = shareRef.id;
 
@@ -365,6 +528,9 @@ async function handlePublishCallSheet(data, caller) {
         phone: recipient.phone,
         callTime: recipient.callTime,
         precallTime: recipient.precallTime,
+        calendarFeedToken: recipient.personId
+          ? feedTokens.get(feedKey(recipient.personKind, recipient.personId)) || null
+          : null,
         channel: "email",
         emailSentAt: null,
         emailSendError: null,
@@ -375,34 +541,66 @@ async function handlePublishCallSheet(data, caller) {
         isConfirmed: false,
         confirmedAt: null,
         confirmIpHash: null,
+        reminderSentAt: null,
+        reminderCount: 0,
         createdAt: admin.firestore.FieldValue.serverTimestamp(),
         revokedAt: null,
       },
     };
   });
 
-  const batch = db.batch();
-  batch.set(shareRef, {
-    clientId,
-    projectId,
-    scheduleId,
-    callSheetConfigId,
-    publishAttemptId,
-    createdAt: admin.firestore.FieldValue.serverTimestamp(),
-    createdBy: uid,
-    enabled: true,
-    expiresAt,
-    shootDate: shootDate || null,
-    snapshot,
-    emailSubject,
-    emailMessage,
-    requireConfirm,
-    recipientCount: recipientWrites.length,
-    viewedCount: 0,
-    confirmedCount: 0,
+  const { revision, changeSummary } = await db.runTransaction(async (tx) => {
+    const base = await readRevisionBase(tx, db, { clientId, projectId, scheduleId });
+    const { previousShare } = base;
+    const changes = previousShare
+      ? diffCallSheetSnapshots(previousShare.data.snapshot, snapshot)
+      : [];
+    const summary = summarizeChanges(changes);
+
+    tx.set(shareRef, {
+      clientId,
+      projectId,
+      scheduleId,
+      callSheetConfigId,
+      publishAttemptId,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      createdBy: uid,
+      enabled: true,
+      expiresAt,
+      shootDate: shootDate || null,
+      snapshot,
+      revision: base.revision,
+      previousShareGroupId: previousShare ? previousShare.id : null,
+      changes,
+      changeSummary: summary,
+      emailSubject,
+      emailMessage,
+      requireConfirm,
+      reminderHoursBefore,
+      reminderAt: reminderAt ? admin.firestore.Timestamp.fromDate(reminderAt) : null,
+      reminderStatus,
+      reminderSentAt: null,
+      recipientCount: recipientWrites.length,
+      viewedCount: 0,
+      confirmedCount: 0,
+    });
+    recipientWrites.forEach(({ ref, data: payload }) => tx.set(ref, payload));
+    // The new revision replaces the old one's pending reminder.
+    if (previousShare && previousShare.data.reminderStatus === "pending") {
+      tx.update(db.collection(SHARES_COLLECTION).doc(previousShare.id), {
+        reminderStatus: "superseded",
+      });
+    }
+    tx.set(revisionCounterRef(db, { clientId, projectId, scheduleId }), {
+      clientId,
+      projectId,
+      scheduleId,
+      revision: base.revision,
+      latestShareGroupId: shareGroupId,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    return { revision: base.revision, changeSummary: summary };
   });
-  recipientWrites.forEach(({ ref, data: payload }) => batch.set(ref, payload));
-  await batch.commit();
 
   // Resolve publisher info for FROM + reply_to.
   const publisher = await resolvePublisher(db, uid);
@@ -424,6 +622,7 @@ async function handlePublishCallSheet(data, caller) {
         roleLabel: r.roleLabel,
         token,
         shareGroupId,
+        calendarUrl: r.calendarFeedToken ? buildCalendarFeedUrl(r.calendarFeedToken) : null,
       },
       share: {
         projectName: snapshot.projectName,
@@ -435,6 +634,8 @@ async function handlePublishCallSheet(data, caller) {
         emailMessage,
         requireConfirm,
         expiryLabel,
+        revision,
+        changeSummary,
       },
       publisher,
     });
@@ -455,7 +656,7 @@ async function handlePublishCallSheet(data, caller) {
 
   const failedSends = sendResults.filter((r) => !r.ok).length;
   console.log(
-    `[publishCallSheet] share=${shareGroupId} recipients=${recipientWrites.length} failed=${failedSends}`,
+    `[publishCallSheet] share=${shareGroupId} rev=${revision} recipients=${recipientWrites.length} failed=${failedSends}`,
   );
 
   return {
@@ -463,6 +664,7 @@ async function handlePublishCallSheet(data, caller) {
     recipientCount: recipientWrites.length,
     failedSends,
     deduped: false,
+    revision,
   };
 }
 
@@ -679,6 +881,9 @@ async function handleResendCallSheetShare(data, caller) {
         roleLabel: recipient.roleLabel,
         token,
         shareGroupId,
+        calendarUrl: recipient.calendarFeedToken
+          ? buildCalendarFeedUrl(recipient.calendarFeedToken)
+          : null,
       },
       share: {
         projectName: shareData.snapshot?.projectName || "Call Sheet",
@@ -690,6 +895,8 @@ async function handleResendCallSheetShare(data, caller) {
         emailMessage: shareData.emailMessage,
         requireConfirm: shareData.requireConfirm,
         expiryLabel,
+        revision: shareData.revision || 1,
+        changeSummary: shareData.changeSummary || [],
       },
       publisher,
       reason,
@@ -772,17 +979,211 @@ async function handleRevokeCallSheetShare(data, caller) {
   return { shareGroupId, revokedAll: false, revoked: updated, skipped };
 }
 
+// ---------------------------------------------------------------------------
+// handleSetCallSheetShareReminder
+// ---------------------------------------------------------------------------
+
+async function handleSetCallSheetShareReminder(data, caller) {
+  assertPublisherAuth(caller);
+  const shareGroupId = validateString(data?.shareGroupId, "shareGroupId", { max: 128 });
+  // Explicit null turns reminders off; the env default only applies at publish.
+  const reminderHoursBefore = resolveReminderHours(
+    data?.reminderHoursBefore === undefined ? null : data.reminderHoursBefore,
+  );
+
+  const db = admin.firestore();
+  const shareRef = db.collection(SHARES_COLLECTION).doc(shareGroupId);
+  const shareSnap = await shareRef.get();
+  if (!shareSnap.exists) throw err("Share not found.", "not-found");
+  const shareData = shareSnap.data();
+  if (shareData.clientId !== normalizeClientId(caller)) {
+    throw err("You don't have access to this share.", "permission-denied");
+  }
+  if (!shareData.enabled) {
+    throw err("Share is revoked; reminders not possible.", "failed-precondition");
+  }
+  if (shareData.reminderStatus === "superseded") {
+    throw err("A newer revision of this call sheet has been published.", "failed-precondition");
+  }
+
+  const { reminderAt, reminderStatus } = computeReminderSchedule({
+    shootDate: shareData.shootDate,
+    hoursBefore: reminderHoursBefore,
+    requireConfirm: shareData.requireConfirm,
+  });
+  await shareRef.update({
+    reminderHoursBefore,
+    reminderAt: reminderAt ? admin.firestore.Timestamp.fromDate(reminderAt) : null,
+    reminderStatus,
+    // A new schedule gets a fresh set of retries.
+    reminderAttempts: 0,
+  });
+
+  return {
+    shareGroupId,
+    reminderHoursBefore,
+    reminderAt: reminderAt ? reminderAt.toISOString() : null,
+    reminderStatus,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// handleSendCallSheetReminders (scheduled)
+// ---------------------------------------------------------------------------
+
+/**
+ * Claims a due share by flipping `reminderStatus` pending → sending inside a
+ * transaction, so overlapping runs never email the same share twice.
+ */
+async function claimReminderShare(db, shareRef) {
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(shareRef);
+    if (!snap.exists || snap.data().reminderStatus !== "pending") return null;
+    tx.update(shareRef, { reminderStatus: "sending" });
+    return snap.data();
+  });
+}
+
+/**
+ * Share-level reminder state after a sweep. Failed sends leave the share
+ * `pending` so the next run retries them — recipients already reminded carry
+ * `reminderSentAt` and are skipped — until `MAX_REMINDER_ATTEMPTS` runs. A
+ * run that throws counts as one failed send.
+ */
+function reminderOutcome({ failedSends, previousAttempts }) {
+  const reminderAttempts = (Number(previousAttempts) || 0) + 1;
+  const retry = failedSends > 0 && reminderAttempts < MAX_REMINDER_ATTEMPTS;
+  return { reminderStatus: retry ? "pending" : "sent", reminderAttempts };
+}
+
+async function sendRemindersForShare(db, shareRef, shareData) {
+  const expired = shareData.expiresAt && shareData.expiresAt.toMillis() < Date.now();
+  if (!shareData.enabled || expired) {
+    await shareRef.update({ reminderStatus: "none" });
+    return { shareGroupId: shareRef.id, attempted: 0, failedSends: 0 };
+  }
+
+  const recipientsSnap = await shareRef.collection(RECIPIENTS_SUBCOLLECTION)
+    .where("isConfirmed", "==", false)
+    .get();
+  const recipients = recipientsSnap.docs.map((d) => ({ token: d.id, data: d.data() }));
+  const byToken = new Map(recipients.map((r) => [r.token, r.data]));
+  const tokens = selectReminderTokens(recipients);
+
+  const publisher = await resolvePublisher(db, shareData.createdBy);
+  const share = {
+    projectName: shareData.snapshot?.projectName || "Call Sheet",
+    formattedShootDate: formatShootDate(shareData.shootDate),
+    primaryLocationLabel: shareData.snapshot?.locations?.[0]?.label || null,
+    defaultCallTime: shareData.snapshot?.dayDetails?.generalCallTime || null,
+    projectLogoUrl: shareData.snapshot?.brand?.logoUrl || null,
+    emailSubject: shareData.emailSubject,
+    expiryLabel: shareData.expiresAt
+      ? `Link expires ${formatShootDate(shareData.expiresAt)}`
+      : null,
+    revision: shareData.revision || 1,
+  };
+
+  const results = await Promise.all(tokens.map(async (token) => {
+    const recipient = byToken.get(token);
+    const sendResult = await sendCallSheetReminderEmail({
+      recipient: {
+        name: recipient.name,
+        email: recipient.email,
+        callTime: recipient.callTime,
+        roleLabel: recipient.roleLabel,
+        token,
+        shareGroupId: shareRef.id,
+        calendarUrl: recipient.calendarFeedToken
+          ? buildCalendarFeedUrl(recipient.calendarFeedToken)
+          : null,
+      },
+      share,
+      publisher,
+    });
+    const updates = sendResult.ok
+      ? {
+          reminderSentAt: admin.firestore.FieldValue.serverTimestamp(),
+          reminderCount: admin.firestore.FieldValue.increment(1),
+          emailSendError: null,
+        }
+      : { emailSendError: sendResult.error || "unknown" };
+    try {
+      await shareRef.collection(RECIPIENTS_SUBCOLLECTION).doc(token).update(updates);
+    } catch (updateError) {
+      console.error(`[sendCallSheetReminders] Failed to update recipient ${token}:`, updateError);
+    }
+    return sendResult.ok;
+  }));
+
+  const failedSends = results.filter((ok) => !ok).length;
+  const { reminderStatus, reminderAttempts } = reminderOutcome({
+    failedSends,
+    previousAttempts: shareData.reminderAttempts,
+  });
+  await shareRef.update({
+    reminderStatus,
+    reminderAttempts,
+    reminderSentAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  return { shareGroupId: shareRef.id, attempted: tokens.length, failedSends };
+}
+
+/**
+ * Sweeps shares whose reminder cutoff has passed and emails every recipient
+ * who still hasn't confirmed. Uses the (reminderStatus, reminderAt) index.
+ */
+async function handleSendCallSheetReminders({ now = new Date() } = {}) {
+  const db = admin.firestore();
+  const due = await db.collection(SHARES_COLLECTION)
+    .where("reminderStatus", "==", "pending")
+    .where("reminderAt", "<=", admin.firestore.Timestamp.fromDate(now))
+    .orderBy("reminderAt", "asc")
+    .limit(REMINDER_SHARES_PER_RUN)
+    .get();
+
+  const results = [];
+  for (const doc of due.docs) {
+    let shareData = null;
+    try {
+      shareData = await claimReminderShare(db, doc.ref);
+      if (!shareData) continue;
+      results.push(await sendRemindersForShare(db, doc.ref, shareData));
+    } catch (error) {
+      console.error(`[sendCallSheetReminders] share=${doc.id} failed:`, error);
+      // Count the attempt and put it back so the next run retries, up to the cap.
+      const outcome = reminderOutcome({
+        failedSends: 1,
+        previousAttempts: (shareData || doc.data()).reminderAttempts,
+      });
+      await doc.ref.update(outcome).catch(() => {});
+    }
+  }
+
+  console.log(
+    `[sendCallSheetReminders] shares=${results.length} emails=${results.reduce((n, r) => n + r.attempted, 0)}`,
+  );
+  return { shares: results.length, results };
+}
+
 module.exports = {
   handlePublishCallSheet,
   handleRecordCallSheetShareView,
   handleConfirmCallSheetShare,
   handleResendCallSheetShare,
   handleRevokeCallSheetShare,
+  handleSetCallSheetShareReminder,
+  handleSendCallSheetReminders,
   // Exposed for unit testing:
   parseCompoundToken,
   hashIp,
   formatShootDate,
   formatConfirmationTime,
   validatePublishRecipients,
+  resolveReminderHours,
+  computeReminderSchedule,
+  selectReminderTokens,
+  reminderOutcome,
+  readRevisionBase,
   VIEW_RATE_LIMIT_MS,
 };
@@ -0,0 +1,186 @@
+/**
+ * Pull substitutions and backorders — the warehouse side of a pull that
+ * can't be filled as requested.
+ *
+ * `handlePublicUpdatePull` accepts two extra action types:
+ *   - `recordSubstitution` stores what went out instead (SKU / colour / size,
+ *     quantity, reason) on the line's `substitutions[]` with
+ *     `decision: "pending"` and marks the replaced size `substituted`. The
+ *     producer approves or rejects it from the pull detail page.
+ *   - `createBackorder` spawns a new line for the quantity that is neither
+ *     fulfilled nor covered by a live substitution, linked both ways via
+ *     `backorderOf` / `backorderItemId`.
+ *
+ * Pure functions — operate on plain pull item objects. Timestamps and ids
+ * are passed in because array elements can't hold server timestamps.
+ */
+
+"use strict";
+
+const MAX_TEXT_LENGTH = 200;
+const MAX_SUBSTITUTIONS_PER_ITEM = 50;
+
+function cleanText(value) {
+  if (typeof value !== "string") return null;
+  const trimmed = value.trim().slice(0, MAX_TEXT_LENGTH);
+  return trimmed || null;
+}
+
+function sizesOf(item) {
+  return Array.isArray(item?.sizes) ? item.sizes : [];
+}
+
+function isLive(substitution) {
+  return substitution && substitution.decision !== "rejected";
+}
+
+/**
+ * Validates a `recordSubstitution` action. Returns null when the action is
+ * unusable: no item, no reason, or nothing describing the substitute.
+ */
+function normalizeSubstitutionInput(action) {
+  if (!action || typeof action !== "object") return null;
+  const itemId = typeof action.itemId === "string" ? action.itemId : "";
+  const substitute = action.substitute && typeof action.substitute === "object" ? action.substitute : {};
+  const skuCode = cleanText(substitute.skuCode);
+  const colourName = cleanText(substitute.colourName);
+  const size = cleanText(substitute.size);
+  const reason = cleanText(action.reason);
+  if (!itemId || !reason || (!skuCode && !colourName && !size)) return null;
+
+  const quantity = Number(action.quantity);
+  return {
+    itemId,
+    forSize: cleanText(action.size),
+    skuCode,
+    colourName,
+    size,
+    quantity: Number.isFinite(quantity) ? Math.round(quantity) : null,
+    reason,
+  };
+}
+
+/**
+ * Records a substitution on a pull line. A new substitution replaces any
+ * pending or rejected one for the same size; an approved one is final and
+ * the action is ignored.
+ *
+ * @returns {{ item: object, substitution: object } | null}
+ */
+function applySubstitution(item, input, { id, email, now }) {
+  if (!item || !input) return null;
+  const sizes = sizesOf(item);
+  let forSize = input.forSize;
+  if (forSize && !sizes.some((s) => s.size === forSize)) return null;
+  // A single-size line substitutes that size even when the caller didn't say so.
+  if (!forSize && sizes.length === 1) forSize = sizes[0].size;
+
+  const requested = forSize
+    ? sizes.find((s) => s.size === forSize)?.quantity || 0
+    : sizes.reduce((sum, s) => sum + (s.quantity || 0), 0);
+  const fallbackQuantity = Math.max(1, requested);
+  const quantity = input.quantity === null
+    ? fallbackQuantity
+    : Math.min(Math.max(input.quantity, 1), fallbackQuantity);
+
+  const existing = Array.isArray(item.substitutions) ? item.substitutions : [];
+  const previous = existing.find((s) => (s.forSize || null) === forSize);
+  if (previous && previous.decision === "approved") return null;
+  if (!previous && existing.length >= MAX_SUBSTITUTIONS_PER_ITEM) return null;
+
+  const substitution = {
+    id,
+    forSize,
+    quantity,
+    skuCode: input.skuCode,
+    colourName: input.colourName,
+    size: input.size,
+    reason: input.reason,
+    recordedByEmail: email,
+    recordedAt: now,
+    decision: "pending",
+    reviewedBy: null,
+    reviewedAt: null,
+    reviewNote: null,
+  };
+
+  const nextSizes = sizes.map((s) =>
+    !forSize || s.size === forSize ? { ...s, status: "substituted" } : { ...s },
+  );
+
+  return {
+    item: {
+      ...item,
+      sizes: nextSizes,
+      substitutions: [...existing.filter((s) => s !== previous), substitution],
+    },
+    substitution,
+  };
+}
+
+/**
+ * Units still owed per size: requested minus fulfilled, minus units covered
+ * by a pending or approved substitution, minus anything already backordered.
+ */
+function missingQuantities(item) {
+  const live = (Array.isArray(item?.substitutions) ? item.substitutions : []).filter(isLive);
+  const wholeLine = live.some((s) => !s.forSize);
+  return sizesOf(item)
+    .map((s) => {
+      const covered = wholeLine
+        ? s.quantity || 0
+        : live.filter((sub) => sub.forSize === s.size).reduce((sum, sub) => sum + (sub.quantity || 0), 0);
+      const missing = (s.quantity || 0) - (s.fulfilled || 0) - covered - (s.backordered || 0);
+      return { size: s.size, missing: Math.max(0, missing) };
+    })
+    .filter((s) => s.missing > 0);
+}
+
+/**
+ * Splits the unfulfilled quantity of a line into a new backorder line.
+ * Returns null when nothing is missing or the line was already backordered.
+ *
+ * @returns {{ item: object, backorder: object } | null}
+ */
+function buildBackorderItem(item, { id, email, now, note }) {
+  if (!item || item.backorderItemId) return null;
+  const missing = missingQuantities(item);
+  if (missing.length === 0) return null;
+
+  const missingBySize = new Map(missing.map((m) => [m.size, m.missing]));
+  const original = {
+    ...item,
+    backorderItemId: id,
+    sizes: sizesOf(item).map((s) =>
+      missingBySize.has(s.size)
+        ? { ...s, backordered: (s.backordered || 0) + missingBySize.get(s.size) }
+        : { ...s },
+    ),
+  };
+
+  const backorder = {
+    id,
+    familyId: item.familyId,
+    familyName: item.familyName || null,
+    styleNumber: item.styleNumber || null,
+    gender: item.gender || null,
+    colourId: item.colourId || null,
+    colourName: item.colourName || null,
+    sizes: missing.map((m) => ({ size: m.size, quantity: m.missing, fulfilled: 0, status: "pending" })),
+    fulfillmentStatus: "pending",
+    notes: cleanText(note),
+    shotIds: Array.isArray(item.shotIds) ? item.shotIds : [],
+    backorderOf: item.id,
+    backorderedAt: now,
+    backorderedByEmail: email,
+  };
+
+  return { item: original, backorder };
+}
+
+module.exports = {
+  normalizeSubstitutionInput,
+  applySubstitution,
+  missingQuantities,
+  buildBackorderItem,
+};
@@ -0,0 +1,316 @@
+/**
+ * Server-side digest of a saved report, for scheduled email delivery.
+ *
+ * The app renders shot / product-info / talent reports from TypeScript models
+ * (src-vnext/features/export/lib/report/*Model.ts) that Cloud Functions can't
+ * import without a build step. This module re-derives the part of each model
+ * a scheduled email needs — which rows are in, in what order, in which
+ * group — from the same saved `config` blob, and flattens it to tables that
+ * `reportPdf.js` lays out. Visual recipe options (layout, image size, crops,
+ * tag chips) don't apply; the email links back to the live report for those.
+ *
+ * Config handling mirrors the app:
+ *   - shot-report: `filters` (status/tag, in/notIn), falling back to legacy
+ *     `hiddenStatuses`; `excludedShotIds`; `sortBy`/`sortDir`; `groupBy`
+ *     "status" (anything else prints one table).
+ *   - product-info: `productScope` "in-use" | "library"; `excludedFamilyIds`;
+ *     `hiddenStatuses` drop a family only when every shot using it is hidden.
+ *   - talent: `talentScope` "in-shots" | "project-attached";
+ *     `excludedTalentIds`; `hiddenStatuses` as for products; `groupBy` "agency".
+ */
+
+"use strict";
+
+const SHOT_STATUS_LABELS = {
+  todo: "Draft",
+  in_progress: "In Progress",
+  complete: "Shot",
+  on_hold: "On Hold",
+};
+const SHOT_STATUS_ORDER = ["todo", "in_progress", "on_hold", "complete"];
+
+const collator = new Intl.Collator("en", { numeric: true, sensitivity: "base" });
+
+function compareText(a, b) {
+  return collator.compare(String(a || ""), String(b || ""));
+}
+
+function statusLabel(status) {
+  return SHOT_STATUS_LABELS[status] || status || "—";
+}
+
+function talentName(t) {
+  if (!t) return "";
+  const name = typeof t.name === "string" ? t.name.trim() : "";
+  if (name) return name;
+  return `${(t.firstName || "").trim()} ${(t.lastName || "").trim()}`.trim() || "Unnamed talent";
+}
+
+/** The shot's product family ids across direct products and every look. */
+function shotFamilyIds(shot) {
+  const ids = new Set();
+  for (const p of shot.products || []) if (p && p.familyId) ids.add(p.familyId);
+  for (const look of shot.looks || []) {
+    for (const p of (look && look.products) || []) if (p && p.familyId) ids.add(p.familyId);
+  }
+  return ids;
+}
+
+/** Filters in force — `filters` wins whenever present, as resolveReportFilters. */
+function resolveShotFilters(config) {
+  if (Array.isArray(config.filters)) {
+    const byField = new Map();
+    for (const f of config.filters) if (f && f.field) byField.set(f.field, f);
+    return [...byField.values()];
+  }
+  const hidden = Array.isArray(config.hiddenStatuses) ? config.hiddenStatuses : [];
+  return hidden.length > 0 ? [{ field: "status", operator: "notIn", value: hidden }] : [];
+}
+
+function matchesFilter(shot, filter) {
+  const values = new Set(Array.isArray(filter.value) ? filter.value : []);
+  if (values.size === 0) return true;
+  let hit;
+  if (filter.field === "status") {
+    hit = values.has(shot.status);
+  } else if (filter.field === "tag") {
+    hit = (shot.tags || []).some((tag) => tag && values.has(tag.id));
+  } else {
+    return true;
+  }
+  return filter.operator === "notIn" ? !hit : hit;
+}
+
+function liveShots(shots) {
+  return (shots || []).filter((s) => s && !s.deleted);
+}
+
+// ---------------------------------------------------------------------------
+// Shot report
+// ---------------------------------------------------------------------------
+
+function compareShots(sortBy, talentById) {
+  const firstTalent = (shot) => talentName(talentById.get((shot.talentIds || [])[0]));
+  switch (sortBy) {
+    case "status":
+      return (a, b) =>
+        SHOT_STATUS_ORDER.indexOf(a.status) - SHOT_STATUS_ORDER.indexOf(b.status) ||
+        compareText(a.shotNumber, b.shotNumber);
+    case "talent":
+      return (a, b) => compareText(firstTalent(a), firstTalent(b)) || compareText(a.shotNumber, b.shotNumber);
+    case "custom":
+      return (a, b) => (a.sortOrder || 0) - (b.sortOrder || 0);
+    default:
+      return (a, b) => compareText(a.shotNumber, b.shotNumber) || compareText(a.title, b.title);
+  }
+}
+
+function buildShotDigest(config, { shots, talent, productFamilies }) {
+  const talentById = new Map((talent || []).map((t) => [t.id, t]));
+  const familyById = new Map((productFamilies || []).map((f) => [f.id, f]));
+  const excluded = new Set(config.excludedShotIds || []);
+  const filters = resolveShotFilters(config);
+
+  const rows = liveShots(shots)
+    .filter((shot) => !excluded.has(shot.id) && filters.every((f) => matchesFilter(shot, f)))
+    .sort(compareShots(config.sortBy, talentById));
+  if (config.sortDir === "desc") rows.reverse();
+
+  const toRow = (shot) => [
+    shot.shotNumber || "—",
+    shot.title || "Untitled shot",
+    statusLabel(shot.status),
+    (shot.talentIds || []).map((id) => talentName(talentById.get(id))).filter(Boolean).join(", ") || "—",
+    [...shotFamilyIds(shot)]
+      .map((id) => familyById.get(id)?.styleName)
+      .filter(Boolean)
+      .join(", ") || "—",
+  ];
+  const columns = ["#", "Shot", "Status", "Talent", "Products"];
+
+  if (config.groupBy === "status") {
+    return SHOT_STATUS_ORDER
+      .map((status) => ({
+        label: statusLabel(status),
+        columns,
+        rows: rows.filter((s) => s.status === status).map(toRow),
+      }))
+      .filter((section) => section.rows.length > 0);
+  }
+  return [{ label: null, columns, rows: rows.map(toRow) }];
+}
+
+// ---------------------------------------------------------------------------
+// Product info
+// ---------------------------------------------------------------------------
+
+/** familyId -> { statuses of the live shots using it, colourways styled }. */
+function familyAppearances(shots) {
+  const byFamily = new Map();
+  for (const shot of liveShots(shots)) {
+    const assignments = [
+      ...(shot.products || []),
+      ...(shot.looks || []).flatMap((look) => (look && look.products) || []),
+    ];
+    const seenInShot = new Set();
+    for (const p of assignments) {
+      if (!p || !p.familyId) continue;
+      const agg = byFamily.get(p.familyId) || { statuses: [], colours: [] };
+      byFamily.set(p.familyId, agg);
+      if (!seenInShot.has(p.familyId)) {
+        seenInShot.add(p.familyId);
+        agg.statuses.push(shot.status);
+      }
+      const colour = p.colourName || p.skuName;
+      if (colour && !agg.colours.includes(colour)) agg.colours.push(colour);
+    }
+  }
+  return byFamily;
+}
+
+function keepForStatuses(statuses, hidden) {
+  // Nothing to hide by (library-only item), or at least one visible appearance.
+  return statuses.length === 0 || statuses.some((s) => !hidden.has(s));
+}
+
+function buildProductDigest(config, { shots, productFamilies }) {
+  const excluded = new Set(config.excludedFamilyIds || []);
+  const hidden = new Set(config.hiddenStatuses || []);
+  const appearances = familyAppearances(shots);
+  const families = (productFamilies || []).filter((f) => f && !f.deleted && !f.archived);
+
+  const inScope = config.productScope === "library"
+    ? families
+    : families.filter((f) => appearances.has(f.id));
+
+  const rows = inScope
+    .filter((f) => !excluded.has(f.id) && keepForStatuses(appearances.get(f.id)?.statuses || [], hidden))
+    .sort((a, b) =>
+      config.sortBy === "gender"
+        ? compareText(a.gender, b.gender) || compareText(a.styleName, b.styleName)
+        : compareText(a.styleName, b.styleName),
+    );
+  if (config.sortDir === "desc") rows.reverse();
+
+  return [{
+    label: null,
+    columns: ["Style", "Style #", "Gender", "Colours", "Shots"],
+    rows: rows.map((f) => {
+      const agg = appearances.get(f.id) || { statuses: [], colours: [] };
+      return [
+        f.styleName || "Untitled style",
+        (f.styleNumbers && f.styleNumbers[0]) || f.styleNumber || "—",
+        f.gender || "—",
+        agg.colours.join(", ") || "—",
+        String(agg.statuses.length),
+      ];
+    }),
+  }];
+}
+
+// ---------------------------------------------------------------------------
+// Talent
+// ---------------------------------------------------------------------------
+
+function buildTalentDigest(config, { shots, talent, projectId }) {
+  const excluded = new Set(config.excludedTalentIds || []);
+  const hidden = new Set(config.hiddenStatuses || []);
+  const appearances = new Map();
+  for (const shot of liveShots(shots)) {
+    for (const id of shot.talentIds || []) {
+      const list = appearances.get(id) || [];
+      list.push(shot.status);
+      appearances.set(id, list);
+    }
+  }
+  const live = (talent || []).filter((t) => t && t.deleted !== true);
+  const inScope = config.talentScope === "project-attached"
+    ? live.filter((t) => (t.projectIds || []).includes(projectId))
+    : live.filter((t) => appearances.has(t.id));
+
+  const rows = inScope
+    .filter((t) => !excluded.has(t.id) && keepForStatuses(appearances.get(t.id) || [], hidden))
+    .sort((a, b) => {
+      if (config.sortBy === "agency") return compareText(a.agency, b.agency) || compareText(talentName(a), talentName(b));
+      if (config.sortBy === "gender") return compareText(a.gender, b.gender) || compareText(talentName(a), talentName(b));
+      return compareText(talentName(a), talentName(b));
+    });
+  if (config.sortDir === "desc") rows.reverse();
+
+  const columns = ["Name", "Agency", "Gender", "Shots"];
+  const toRow = (t) => [
+    talentName(t),
+    t.agency || "—",
+    t.gender || "—",
+    String((appearances.get(t.id) || []).length),
+  ];
+
+  if (config.groupBy === "agency") {
+    const groups = new Map();
+    for (const t of rows) {
+      const key = (t.agency || "").trim() || "No agency";
+      groups.set(key, [...(groups.get(key) || []), t]);
+    }
+    return [...groups.entries()]
+      .sort(([a], [b]) => (a === "No agency") - (b === "No agency") || compareText(a, b))
+      .map(([label, members]) => ({ label, columns, rows: members.map(toRow) }));
+  }
+  return [{ label: null, columns, rows: rows.map(toRow) }];
+}
+
+const REPORT_KIND_LABELS = {
+  "shot-report": "Shot report",
+  "product-info": "Product info report",
+  "talent": "Talent report",
+};
+
+/** Report types that can be scheduled (block-canvas docs can't). */
+function isSchedulableReportType(reportType) {
+  return Object.prototype.hasOwnProperty.call(REPORT_KIND_LABELS, reportType);
+}
+
+/**
+ * @param {object} params
+ * @param {object} params.report - the exportReports doc data
+ * @param {string} params.projectId
+ * @param {string} params.projectName
+ * @param {Array} params.shots - the project's shots
+ * @param {Array} params.talent
+ * @param {Array} params.productFamilies
+ * @param {Date} params.generatedAt
+ * @returns {{ title, kindLabel, projectName, generatedLabel, sections, rowCount } | null}
+ */
+function buildReportDigest({ report, projectId, projectName, shots, talent, productFamilies, generatedAt }) {
+  const reportType = report && report.reportType;
+  if (!isSchedulableReportType(reportType)) return null;
+  const config = (report.config && typeof report.config === "object") ? report.config : {};
+  const data = { shots, talent, productFamilies, projectId };
+
+  const sections =
+    reportType === "shot-report" ? buildShotDigest(config, data)
+      : reportType === "product-info" ? buildProductDigest(config, data)
+        : buildTalentDigest(config, data);
+
+  return {
+    title: report.name || "Untitled report",
+    kindLabel: REPORT_KIND_LABELS[reportType],
+    projectName: projectName || "Project",
+    generatedLabel: (generatedAt || new Date()).toLocaleString("en-US", {
+      month: "short",
+      day: "numeric",
+      year: "numeric",
+      hour: "numeric",
+      minute: "2-digit",
+      timeZoneName: "short",
+    }),
+    sections,
+    rowCount: sections.reduce((n, s) => n + s.rows.length, 0),
+  };
+}
+
+module.exports = {
+  buildReportDigest,
+  isSchedulableReportType,
+  // Exposed for unit testing:
+  resolveShotFilters,
+};
@@ -0,0 +1,158 @@
+/**
+ * Renders a report digest (see `reportDigest.js`) to a PDF buffer for the
+ * scheduled report email attachment.
+ *
+ * A deliberately plain tabular layout — title block, then one table per
+ * digest section, rows never split across pages. `@react-pdf/renderer` v4 is
+ * ESM-only, so it's loaded with a dynamic import from this CommonJS module.
+ */
+
+"use strict";
+
+const React = require("react");
+
+const COLORS = {
+  text: "#18181b",
+  muted: "#71717a",
+  border: "#e4e4e7",
+  headerBg: "#f4f4f5",
+};
+
+/** Column flex weights by label: the name/title column gets the most room. */
+function columnFlex(columns) {
+  return columns.map((label) => {
+    if (label === "#" || label === "Shots") return 0.6;
+    if (label === "Shot" || label === "Style" || label === "Name") return 2.2;
+    return 1.4;
+  });
+}
+
+function buildStyles(StyleSheet) {
+  return StyleSheet.create({
+    page: {
+      paddingTop: 36,
+      paddingBottom: 48,
+      paddingHorizontal: 36,
+      fontSize: 9,
+      color: COLORS.text,
+      fontFamily: "Helvetica",
+    },
+    title: { fontSize: 16, fontFamily: "Helvetica-Bold", marginBottom: 4 },
+    meta: { fontSize: 9, color: COLORS.muted, marginBottom: 16 },
+    sectionLabel: { fontSize: 11, fontFamily: "Helvetica-Bold", marginTop: 12, marginBottom: 6 },
+    headerRow: {
+      flexDirection: "row",
+      backgroundColor: COLORS.headerBg,
+      borderBottomWidth: 1,
+      borderBottomColor: COLORS.border,
+    },
+    row: {
+      flexDirection: "row",
+      borderBottomWidth: 1,
+      borderBottomColor: COLORS.border,
+    },
+    headerCell: { paddingVertical: 4, paddingHorizontal: 4, fontFamily: "Helvetica-Bold" },
+    cell: { paddingVertical: 4, paddingHorizontal: 4 },
+    empty: { color: COLORS.muted, fontStyle: "italic", marginTop: 8 },
+    footer: {
+      position: "absolute",
+      bottom: 24,
+      left: 36,
+      right: 36,
+      fontSize: 8,
+      color: COLORS.muted,
+      flexDirection: "row",
+      justifyContent: "space-between",
+    },
+  });
+}
+
+function ReportTable({ pdf, styles, section }) {
+  const { View, Text } = pdf;
+  const flex = columnFlex(section.columns);
+  return React.createElement(
+    View,
+    null,
+    section.label
+      ? React.createElement(Text, { style: styles.sectionLabel, minPresenceAhead: 40 }, section.label)
+      : null,
+    React.createElement(
+      View,
+      { style: styles.headerRow, wrap: false, minPresenceAhead: 20 },
+      ...section.columns.map((label, i) =>
+        React.createElement(Text, { key: label, style: [styles.headerCell, { flex: flex[i] }] }, label),
+      ),
+    ),
+    ...section.rows.map((cells, rowIndex) =>
+      React.createElement(
+        View,
+        { key: `row-${rowIndex}`, style: styles.row, wrap: false },
+        ...cells.map((value, i) =>
+          React.createElement(Text, { key: `cell-${i}`, style: [styles.cell, { flex: flex[i] }] }, value),
+        ),
+      ),
+    ),
+  );
+}
+
+function ReportDocument({ pdf, digest }) {
+  const { Document, Page, View, Text, StyleSheet } = pdf;
+  const styles = buildStyles(StyleSheet);
+  const hasRows = digest.rowCount > 0;
+
+  return React.createElement(
+    Document,
+    { title: digest.title, author: "Production Hub" },
+    React.createElement(
+      Page,
+      { size: "LETTER", style: styles.page },
+      React.createElement(Text, { style: styles.title }, digest.title),
+      React.createElement(
+        Text,
+        { style: styles.meta },
+        `${digest.projectName} · ${digest.kindLabel} · Generated ${digest.generatedLabel}`,
+      ),
+      hasRows
+        ? React.createElement(
+            View,
+            null,
+            ...digest.sections.map((section, i) =>
+              React.createElement(ReportTable, { key: `section-${i}`, pdf, styles, section }),
+            ),
+          )
+        : React.createElement(Text, { style: styles.empty }, "Nothing matches this report's filters right now."),
+      React.createElement(
+        View,
+        { style: styles.footer, fixed: true },
+        React.createElement(Text, null, digest.title),
+        React.createElement(Text, {
+          render: ({ pageNumber, totalPages }) => `Page ${pageNumber} of ${totalPages}`,
+        }),
+      ),
+    ),
+  );
+}
+
+/**
+ * @param {object} digest - output of `buildReportDigest`
+ * @returns {Promise<Buffer>}
+ */
+async function renderReportPdf(digest) {
+  const pdf = await import("@react-pdf/renderer");
+  return pdf.renderToBuffer(React.createElement(ReportDocument, { pdf, digest }));
+}
+
+/** "Shot status report" -> "shot-status-report-2026-10-19.pdf" */
+function buildReportFilename(title, date) {
+  const slug = String(title || "report")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 60) || "report";
+  return `${slug}-${date.toISOString().slice(0, 10)}.pdf`;
+}
+
+module.exports = {
+  renderReportPdf,
+  buildReportFilename,
+};
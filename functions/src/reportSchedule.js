@@ -0,0 +1,267 @@
+/**
+ * Pure helpers for scheduled report delivery (`reportSchedules`).
+ *
+ * A schedule lives at
+ * `clients/{clientId}/projects/{projectId}/reportSchedules/{scheduleId}` and
+ * points at one saved report (`exportReports/{reportId}`) plus a cadence and
+ * a recipient list. `sendScheduledReports` picks up schedules whose
+ * `nextRunAt` has passed; everything here is the Firestore-free part of that.
+ *
+ * Cadence: `{ frequency, weekday?, dayOfMonth?, time, timeZone }` —
+ *   - frequency "daily" | "weekly" | "monthly"
+ *   - weekday 0 (Sunday) – 6, weekly only
+ *   - dayOfMonth 1 – 28, monthly only (no month is too short)
+ *   - time "HH:MM" (24h) read in the IANA `timeZone`
+ *
+ * Next-run computation mirrors src-vnext/features/export/lib/reportSchedules.ts;
+ * the app writes `nextRunAt` on save and the function advances it on each run.
+ *
+ * Recipients are `{ email, token, unsubscribedAt }`. The token is the
+ * unsubscribe credential; unsubscribed recipients stay on the list (so the
+ * producer can see who opted out) but are never emailed again.
+ */
+
+"use strict";
+
+const FREQUENCIES = new Set(["daily", "weekly", "monthly"]);
+const DEFAULT_TIME_ZONE = "America/Toronto";
+const MAX_RECIPIENTS = 50;
+/** Enough to reach any weekday or day-of-month from any start day. */
+const SEARCH_DAYS = 62;
+
+const WEEKDAY_LABELS = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+
+function parseTime(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || "").trim());
+  if (!match) return null;
+  const hour = Number(match[1]);
+  const minute = Number(match[2]);
+  if (hour > 23 || minute > 59) return null;
+  return { hour, minute };
+}
+
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * A cadence with every field in range, or null when it can't be scheduled.
+ */
+function normalizeCadence(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  if (!FREQUENCIES.has(raw.frequency)) return null;
+  const time = parseTime(raw.time);
+  if (!time) return null;
+  const timeZone = typeof raw.timeZone === "string" && isValidTimeZone(raw.timeZone)
+    ? raw.timeZone
+    : DEFAULT_TIME_ZONE;
+
+  const cadence = {
+    frequency: raw.frequency,
+    time: `${String(time.hour).padStart(2, "0")}:${String(time.minute).padStart(2, "0")}`,
+    timeZone,
+  };
+  if (raw.frequency === "weekly") {
+    const weekday = Number(raw.weekday);
+    if (!Number.isInteger(weekday) || weekday < 0 || weekday > 6) return null;
+    cadence.weekday = weekday;
+  }
+  if (raw.frequency === "monthly") {
+    const day = Number(raw.dayOfMonth);
+    if (!Number.isInteger(day) || day < 1 || day > 28) return null;
+    cadence.dayOfMonth = day;
+  }
+  return cadence;
+}
+
+/** Wall-clock parts of `date` in `timeZone`. */
+function zonedParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "numeric",
+    day: "numeric",
+    hour: "numeric",
+    minute: "numeric",
+    second: "numeric",
+  }).formatToParts(date);
+  const get = (type) => Number(parts.find((p) => p.type === type)?.value);
+  return {
+    year: get("year"),
+    month: get("month"),
+    day: get("day"),
+    hour: get("hour"),
+    minute: get("minute"),
+    second: get("second"),
+  };
+}
+
+/** Milliseconds `timeZone` is ahead of UTC at `date`. */
+function zoneOffsetMs(date, timeZone) {
+  const p = zonedParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * The instant that reads as the given wall-clock time in `timeZone`. A time
+ * skipped by a DST jump lands just after the gap.
+ */
+function zonedTimeToDate({ year, month, day, hour, minute }, timeZone) {
+  const guess = Date.UTC(year, month - 1, day, hour, minute);
+  const first = guess - zoneOffsetMs(new Date(guess), timeZone);
+  const second = guess - zoneOffsetMs(new Date(first), timeZone);
+  return new Date(second);
+}
+
+/**
+ * The first run strictly after `from`, or null for an unusable cadence.
+ *
+ * @param {object} rawCadence
+ * @param {Date} from
+ * @returns {Date | null}
+ */
+function computeNextRunAt(rawCadence, from) {
+  const cadence = normalizeCadence(rawCadence);
+  if (!cadence) return null;
+  const { hour, minute } = parseTime(cadence.time);
+  const start = zonedParts(from, cadence.timeZone);
+
+  for (let offset = 0; offset <= SEARCH_DAYS; offset += 1) {
+    // Date.UTC rolls day overflow into the next month/year for us.
+    const calendar = new Date(Date.UTC(start.year, start.month - 1, start.day + offset));
+    const day = {
+      year: calendar.getUTCFullYear(),
+      month: calendar.getUTCMonth() + 1,
+      day: calendar.getUTCDate(),
+    };
+    if (cadence.frequency === "weekly" && calendar.getUTCDay() !== cadence.weekday) continue;
+    if (cadence.frequency === "monthly" && day.day !== cadence.dayOfMonth) continue;
+
+    const candidate = zonedTimeToDate({ ...day, hour, minute }, cadence.timeZone);
+    if (candidate.getTime() > from.getTime()) return candidate;
+  }
+  return null;
+}
+
+function formatTime12h(time) {
+  const parsed = parseTime(time);
+  if (!parsed) return time;
+  const suffix = parsed.hour < 12 ? "am" : "pm";
+  const hour = parsed.hour % 12 === 0 ? 12 : parsed.hour % 12;
+  return parsed.minute === 0 ? `${hour}${suffix}` : `${hour}:${String(parsed.minute).padStart(2, "0")}${suffix}`;
+}
+
+function ordinal(n) {
+  const mod100 = n % 100;
+  if (mod100 >= 11 && mod100 <= 13) return `${n}th`;
+  const suffix = { 1: "st", 2: "nd", 3: "rd" }[n % 10] || "th";
+  return `${n}${suffix}`;
+}
+
+/** "every Monday 8am", "daily 7:30am", "monthly on the 1st 9am". */
+function describeCadence(rawCadence) {
+  const cadence = normalizeCadence(rawCadence);
+  if (!cadence) return "not scheduled";
+  const time = formatTime12h(cadence.time);
+  if (cadence.frequency === "daily") return `daily ${time}`;
+  if (cadence.frequency === "weekly") return `every ${WEEKDAY_LABELS[cadence.weekday]} ${time}`;
+  return `monthly on the ${ordinal(cadence.dayOfMonth)} ${time}`;
+}
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/** Recipients that should get the next delivery: valid, unique, subscribed. */
+function activeRecipients(recipients) {
+  const seen = new Set();
+  const active = [];
+  for (const r of Array.isArray(recipients) ? recipients : []) {
+    const email = typeof r?.email === "string" ? r.email.trim().toLowerCase() : "";
+    if (!EMAIL_RE.test(email) || seen.has(email)) continue;
+    seen.add(email);
+    if (r.unsubscribedAt) continue;
+    active.push({ email, token: typeof r.token === "string" ? r.token : null });
+    if (active.length >= MAX_RECIPIENTS) break;
+  }
+  return active;
+}
+
+/**
+ * Unsubscribe credential carried in the email link:
+ * `{clientId}.{projectId}.{scheduleId}.{recipientToken}` — the same compound
+ * shape as call sheet share tokens. Client slugs, auto ids and UUID tokens
+ * never contain dots, so the split is unambiguous.
+ */
+function buildUnsubscribeToken({ clientId, projectId, scheduleId, recipientToken }) {
+  return [clientId, projectId, scheduleId, recipientToken].join(".");
+}
+
+function parseUnsubscribeToken(token) {
+  const parts = String(token || "").split(".");
+  if (parts.length !== 4 || parts.some((p) => !p || p.length > 200 || p.includes("/"))) return null;
+  const [clientId, projectId, scheduleId, recipientToken] = parts;
+  return { clientId, projectId, scheduleId, recipientToken };
+}
+
+/**
+ * The recipients list with the token's holder unsubscribed, or null when no
+ * subscribed recipient holds it (unknown token, or already unsubscribed).
+ */
+function unsubscribeRecipient(recipients, recipientToken, now) {
+  const list = Array.isArray(recipients) ? recipients : [];
+  const index = list.findIndex((r) => r && r.token === recipientToken);
+  if (index < 0 || list[index].unsubscribedAt) return null;
+  return list.map((r, i) => (i === index ? { ...r, unsubscribedAt: now } : r));
+}
+
+/**
+ * Delivery log entry for one run. Status is "sent" when every active
+ * recipient got the email, "partial" when some did, "failed" when none did
+ * (or the report couldn't be rendered), and "skipped" when nobody was left
+ * to send to.
+ */
+function buildDeliveryLogEntry({ reportName, results, error, skippedUnsubscribed = 0 }) {
+  const list = Array.isArray(results) ? results : [];
+  const sentCount = list.filter((r) => r.ok).length;
+  const failures = list
+    .filter((r) => !r.ok)
+    .map((r) => ({ email: r.email, error: r.error || "unknown" }));
+
+  let status;
+  if (error) status = "failed";
+  else if (list.length === 0) status = "skipped";
+  else if (failures.length === 0) status = "sent";
+  else if (sentCount > 0) status = "partial";
+  else status = "failed";
+
+  return {
+    status,
+    reportName: reportName || "Report",
+    recipientCount: list.length,
+    sentCount,
+    skippedUnsubscribed,
+    failures,
+    error: error || null,
+  };
+}
+
+module.exports = {
+  DEFAULT_TIME_ZONE,
+  MAX_RECIPIENTS,
+  normalizeCadence,
+  computeNextRunAt,
+  describeCadence,
+  activeRecipients,
+  buildUnsubscribeToken,
+  parseUnsubscribeToken,
+  unsubscribeRecipient,
+  buildDeliveryLogEntry,
+  // Exposed for unit testing:
+  zonedTimeToDate,
+};
@@ -0,0 +1,333 @@
+/**
+ * Carrier tracking sync for product samples.
+ *
+ * `syncSampleTracking` (scheduled) polls every `in_transit` sample under
+ * `clients/{c}/productFamilies/{f}/samples/{s}` that has a tracking number,
+ * asks the configured carrier-status adapter where it is, and writes back
+ * `status` / `eta` / `arrivedAt`. Each touched family gets its denormalized
+ * sample aggregates recomputed and one `activity` entry per changed sample.
+ *
+ * Runs page through the in-transit samples in (tracking, path) order and
+ * keep their place in `_syncState/sampleTracking`, so a backlog larger than
+ * one page is worked through across runs instead of re-checking the same
+ * first page forever. Samples without a tracking number are left out by the
+ * query; the carrier is detected from the number, so unknown carriers are
+ * still skipped here.
+ *
+ * Adapters are plain objects `{ name, getStatus({ carrier, tracking }) }`
+ * resolving to a `TrackingResult` (see `normalizeTrackingResult`) or null
+ * when the carrier has nothing for that number. `CARRIER_TRACKING_ADAPTER`
+ * selects one from `CARRIER_ADAPTERS`; only the local `stub` adapter ships
+ * here, fed from `CARRIER_TRACKING_STUB_FIXTURES` (JSON keyed by tracking
+ * number) so the emulator and tests can drive the sync end to end.
+ *
+ * Carrier detection mirrors src-vnext/shared/lib/carrierDetection.ts.
+ */
+
+"use strict";
+
+const admin = require("firebase-admin");
+
+const SAMPLES_COLLECTION_GROUP = "samples";
+const ACTIVITY_SUBCOLLECTION = "activity";
+const SAMPLES_PER_RUN = 200;
+const SYNC_STATE_DOC = "_syncState/sampleTracking";
+const TRACKING_STATUSES = new Set(["in_transit", "delivered", "exception"]);
+
+// ---------------------------------------------------------------------------
+// Carrier detection — mirrors src-vnext/shared/lib/carrierDetection.ts
+// ---------------------------------------------------------------------------
+
+function normalizeCarrierName(name) {
+  const lower = String(name || "").trim().toLowerCase().replace(/[^a-z\s]/g, "");
+  if (lower.startsWith("dhl")) return "dhl";
+  if (lower === "ups") return "ups";
+  if (lower === "fedex" || lower === "federal express") return "fedex";
+  if (lower === "usps" || lower === "us postal" || lower === "us postal service") return "usps";
+  if (lower === "canada post" || lower === "canadapost" || lower === "postes canada") return "canada_post";
+  return "unknown";
+}
+
+function detectCarrierKey(tracking, carrierHint) {
+  const trimmed = String(tracking || "").trim();
+  if (carrierHint) {
+    const key = normalizeCarrierName(carrierHint);
+    if (key !== "unknown") return key;
+  }
+  if (!trimmed) return "unknown";
+  if (/^1Z[A-Z0-9]{14,16}$/i.test(trimmed)) return "ups";
+  if (/^(JD|JVGL|GM)\d+$/i.test(trimmed)) return "dhl";
+  if (/^\d{10}$/.test(trimmed)) return "dhl";
+  if (/^\d{12}$/.test(trimmed) || /^\d{15}$/.test(trimmed)) return "fedex";
+  if (/^\d{20,22}$/.test(trimmed)) return "usps";
+  if (/^[A-Z0-9]{13,16}$/i.test(trimmed) && /[A-Z]/i.test(trimmed) && /\d/.test(trimmed)) {
+    return "canada_post";
+  }
+  return "unknown";
+}
+
+// ---------------------------------------------------------------------------
+// Adapters
+// ---------------------------------------------------------------------------
+
+function toDateOrNull(value) {
+  if (!value) return null;
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : value;
+  if (typeof value.toDate === "function") return value.toDate();
+  if (typeof value === "string" || typeof value === "number") {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+  return null;
+}
+
+/**
+ * Coerces an adapter response to
+ * `{ status: "in_transit" | "delivered" | "exception", eta, deliveredAt, description }`.
+ * Returns null for anything without a recognizable status.
+ */
+function normalizeTrackingResult(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  const status = String(raw.status || "").trim().toLowerCase();
+  if (!TRACKING_STATUSES.has(status)) return null;
+  return {
+    status,
+    eta: toDateOrNull(raw.eta),
+    deliveredAt: status === "delivered" ? toDateOrNull(raw.deliveredAt) : null,
+    description: typeof raw.description === "string" && raw.description.trim()
+      ? raw.description.trim()
+      : null,
+  };
+}
+
+/**
+ * Local adapter backed by a fixture map `{ [tracking]: TrackingResult }`.
+ * Unknown numbers resolve to null, like a carrier with no scan events yet.
+ */
+function createStubAdapter(fixtures = {}) {
+  return {
+    name: "stub",
+    async getStatus({ tracking }) {
+      const key = String(tracking || "").trim().toUpperCase();
+      const hit = Object.keys(fixtures).find((k) => k.trim().toUpperCase() === key);
+      return hit ? fixtures[hit] : null;
+    },
+  };
+}
+
+function parseStubFixtures(raw) {
+  if (!raw) return {};
+  try {
+    const parsed = JSON.parse(raw);
+    return parsed && typeof parsed === "object" && !Array.isArray(parsed) ? parsed : {};
+  } catch (error) {
+    console.warn("[syncSampleTracking] Ignoring malformed CARRIER_TRACKING_STUB_FIXTURES:", error.message);
+    return {};
+  }
+}
+
+const CARRIER_ADAPTERS = {
+  stub: () => createStubAdapter(parseStubFixtures(process.env.CARRIER_TRACKING_STUB_FIXTURES)),
+};
+
+/** Returns the adapter named by `name` (default: CARRIER_TRACKING_ADAPTER, then "stub"), or null. */
+function resolveCarrierAdapter(name = process.env.CARRIER_TRACKING_ADAPTER) {
+  const key = String(name || "stub").trim().toLowerCase();
+  const factory = CARRIER_ADAPTERS[key];
+  return factory ? factory() : null;
+}
+
+// ---------------------------------------------------------------------------
+// Pure sync helpers
+// ---------------------------------------------------------------------------
+
+function sameInstant(a, b) {
+  const left = toDateOrNull(a);
+  const right = toDateOrNull(b);
+  if (!left || !right) return !left && !right;
+  return left.getTime() === right.getTime();
+}
+
+/**
+ * Diffs a tracking result against the stored sample. Returns
+ * `{ status, eta, arrivedAt }` with only the fields that change, or null
+ * when the sample is already up to date.
+ */
+function mapTrackingToSamplePatch(sample, result, now = new Date()) {
+  if (!result) return null;
+  const patch = {};
+
+  if (result.status === "delivered") {
+    patch.status = "arrived";
+    patch.arrivedAt = result.deliveredAt || now;
+  } else if (result.status === "exception") {
+    if (sample.status !== "issue") patch.status = "issue";
+  }
+
+  if (result.eta && !sameInstant(sample.eta, result.eta)) patch.eta = result.eta;
+
+  return Object.keys(patch).length > 0 ? patch : null;
+}
+
+/** Mirrors `computeSampleAggregates` in src-vnext/features/products/lib/productWorkspaceWrites.ts. */
+function computeSampleAggregates(samples) {
+  let total = 0;
+  let arrived = 0;
+  let earliestEta = null;
+  let earliestReturnDue = null;
+
+  for (const s of samples) {
+    if (s.deleted === true) continue;
+    total += 1;
+    if (s.status === "arrived") arrived += 1;
+    const eta = s.status !== "arrived" ? toDateOrNull(s.eta) : null;
+    if (eta && (!earliestEta || eta.getTime() < earliestEta.getTime())) earliestEta = eta;
+    const returnDue = s.status === "arrived" ? toDateOrNull(s.returnDueDate) : null;
+    if (returnDue && (!earliestReturnDue || returnDue.getTime() < earliestReturnDue.getTime())) {
+      earliestReturnDue = returnDue;
+    }
+  }
+
+  return {
+    sampleCount: total,
+    samplesArrivedCount: arrived,
+    earliestSampleEta: earliestEta,
+    earliestSampleReturnDue: earliestReturnDue,
+  };
+}
+
+/** Activity feed entry for one synced sample (createdAt is stamped by the caller). */
+function buildTrackingActivityEntry({ sampleId, sample, patch, result, carrier }) {
+  return {
+    type: "sample_tracking",
+    source: "carrier_sync",
+    sampleId,
+    sampleType: sample.type || null,
+    carrier,
+    tracking: sample.tracking || null,
+    fromStatus: sample.status || null,
+    toStatus: patch.status || sample.status || null,
+    eta: patch.eta || toDateOrNull(sample.eta),
+    trackingStatus: result.status,
+    description: result.description,
+  };
+}
+
+/** `clients/{c}/productFamilies/{f}/samples/{s}` → `{ clientId, familyId }`, else null. */
+function parseSamplePath(path) {
+  const parts = String(path || "").split("/");
+  if (parts.length !== 6 || parts[0] !== "clients" || parts[2] !== "productFamilies") return null;
+  return { clientId: parts[1], familyId: parts[3] };
+}
+
+/**
+ * Where the next run starts: after the last sample of a full page, or back
+ * at the beginning (null) once a page comes up short.
+ */
+function nextSyncCursor(docs, pageSize) {
+  if (docs.length < pageSize) return null;
+  const last = docs[docs.length - 1];
+  return { tracking: last.data().tracking, path: last.ref.path };
+}
+
+// ---------------------------------------------------------------------------
+// Scheduled handler
+// ---------------------------------------------------------------------------
+
+async function syncFamily(db, familyRef, updates, now) {
+  const samplesSnap = await familyRef.collection(SAMPLES_COLLECTION_GROUP).get();
+  const patched = samplesSnap.docs.map((d) => {
+    const update = updates.find((u) => u.sampleId === d.id);
+    return update ? { ...d.data(), ...update.patch } : d.data();
+  });
+
+  const serverNow = admin.firestore.FieldValue.serverTimestamp();
+  const batch = db.batch();
+  updates.forEach((u) => {
+    batch.update(u.ref, { ...u.patch, updatedAt: serverNow });
+    batch.set(familyRef.collection(ACTIVITY_SUBCOLLECTION).doc(), { ...u.activity, createdAt: serverNow });
+  });
+  batch.update(familyRef, { ...computeSampleAggregates(patched), updatedAt: now });
+  await batch.commit();
+}
+
+async function handleSyncSampleTracking({ adapter = resolveCarrierAdapter(), now = new Date() } = {}) {
+  if (!adapter) {
+    console.warn(`[syncSampleTracking] Unknown CARRIER_TRACKING_ADAPTER "${process.env.CARRIER_TRACKING_ADAPTER}"`);
+    return { checked: 0, updated: 0 };
+  }
+
+  const db = admin.firestore();
+  const stateRef = db.doc(SYNC_STATE_DOC);
+  const cursor = (await stateRef.get()).data()?.cursor || null;
+
+  // `tracking > ""` drops null, missing and empty numbers.
+  let query = db.collectionGroup(SAMPLES_COLLECTION_GROUP)
+    .where("status", "==", "in_transit")
+    .where("tracking", ">", "")
+    .orderBy("tracking")
+    .orderBy(admin.firestore.FieldPath.documentId())
+    .limit(SAMPLES_PER_RUN);
+  if (cursor) query = query.startAfter(cursor.tracking, db.doc(cursor.path));
+  const snap = await query.get();
+
+  const byFamily = new Map();
+  let checked = 0;
+  for (const doc of snap.docs) {
+    const location = parseSamplePath(doc.ref.path);
+    const sample = doc.data();
+    if (!location || sample.deleted === true) continue;
+    const carrier = detectCarrierKey(sample.tracking, sample.carrier);
+    if (carrier === "unknown") continue;
+
+    checked += 1;
+    let result;
+    try {
+      result = normalizeTrackingResult(await adapter.getStatus({ carrier, tracking: sample.tracking }));
+    } catch (error) {
+      console.error(`[syncSampleTracking] sample=${doc.ref.path} lookup failed:`, error);
+      continue;
+    }
+    const patch = mapTrackingToSamplePatch(sample, result, now);
+    if (!patch) continue;
+
+    const familyRef = doc.ref.parent.parent;
+    const entry = byFamily.get(familyRef.path) || { familyRef, updates: [] };
+    entry.updates.push({
+      sampleId: doc.id,
+      ref: doc.ref,
+      patch,
+      activity: buildTrackingActivityEntry({ sampleId: doc.id, sample, patch, result, carrier }),
+    });
+    byFamily.set(familyRef.path, entry);
+  }
+
+  let updated = 0;
+  for (const { familyRef, updates } of byFamily.values()) {
+    try {
+      await syncFamily(db, familyRef, updates, now);
+      updated += updates.length;
+    } catch (error) {
+      console.error(`[syncSampleTracking] family=${familyRef.path} write failed:`, error);
+    }
+  }
+
+  await stateRef.set({ cursor: nextSyncCursor(snap.docs, SAMPLES_PER_RUN), updatedAt: now });
+
+  console.log(`[syncSampleTracking] adapter=${adapter.name} checked=${checked} updated=${updated}`);
+  return { checked, updated };
+}
+
+module.exports = {
+  handleSyncSampleTracking,
+  // Exposed for unit testing:
+  detectCarrierKey,
+  normalizeTrackingResult,
+  createStubAdapter,
+  resolveCarrierAdapter,
+  mapTrackingToSamplePatch,
+  computeSampleAggregates,
+  buildTrackingActivityEntry,
+  parseSamplePath,
+  nextSyncCursor,
+};
@@ -0,0 +1,328 @@
+/**
+ * Scheduled report delivery — Cloud Functions handler bodies.
+ *
+ * Two handlers wired via `functions/index.js`:
+ *   - handleSendScheduledReports       — pubsub schedule (every 15 minutes)
+ *   - handleUnsubscribeScheduledReport — https onRequest, anonymous, served
+ *     at `/reports/unsubscribe/{token}` via a hosting rewrite
+ *
+ * Producers save a schedule under
+ * `clients/{clientId}/projects/{projectId}/reportSchedules/{scheduleId}`
+ * pointing at a saved shot / product-info / talent report. Each due run
+ * renders that report's digest to PDF, emails it to every subscribed
+ * recipient, and appends a `deliveries/{deliveryId}` log entry. Cadence and
+ * recipient rules live in `reportSchedule.js`.
+ *
+ * Error conventions match the other handlers:
+ * throw `Object.assign(new Error(msg), { code: "invalid-argument" | ... })`.
+ */
+
+"use strict";
+
+const admin = require("firebase-admin");
+const {
+  computeNextRunAt,
+  describeCadence,
+  activeRecipients,
+  buildUnsubscribeToken,
+  parseUnsubscribeToken,
+  unsubscribeRecipient,
+  buildDeliveryLogEntry,
+} = require("./reportSchedule.js");
+const { buildReportDigest, isSchedulableReportType } = require("./reportDigest.js");
+const { renderReportPdf, buildReportFilename } = require("./reportPdf.js");
+const { sendScheduledReportEmail } = require("./callSheetEmails/index.js");
+
+const SCHEDULES_COLLECTION = "reportSchedules";
+const DELIVERIES_SUBCOLLECTION = "deliveries";
+const SCHEDULES_PER_RUN = 25;
+const FALLBACK_PUBLISHER_EMAIL = "noreply@unboundmerino.immediategroup.ca";
+
+function err(message, code) {
+  return Object.assign(new Error(message), { code });
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function docsData(snap) {
+  return snap.docs.map((d) => ({ id: d.id, ...d.data() }));
+}
+
+async function resolvePublisherEmail(uid) {
+  if (!uid) return FALLBACK_PUBLISHER_EMAIL;
+  try {
+    const userRecord = await admin.auth().getUser(uid);
+    return userRecord.email || FALLBACK_PUBLISHER_EMAIL;
+  } catch (error) {
+    console.warn(`[sendScheduledReports] Could not resolve schedule owner ${uid}:`, error?.message);
+    return FALLBACK_PUBLISHER_EMAIL;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// handleSendScheduledReports
+// ---------------------------------------------------------------------------
+
+/**
+ * Claims a due schedule by advancing its `nextRunAt` past `now` inside a
+ * transaction, so overlapping runs can't both send. A cadence that no longer
+ * parses disables the schedule instead. Returns the schedule data as read,
+ * or null when it's no longer due.
+ */
+async function claimSchedule(db, scheduleRef, now) {
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(scheduleRef);
+    if (!snap.exists) return null;
+    const data = snap.data();
+    if (data.enabled !== true || !data.nextRunAt || data.nextRunAt.toMillis() > now.getTime()) {
+      return null;
+    }
+    const next = computeNextRunAt(data.cadence, now);
+    tx.update(scheduleRef, next
+      ? { nextRunAt: admin.firestore.Timestamp.fromDate(next) }
+      : { enabled: false, nextRunAt: null });
+    return data;
+  });
+}
+
+async function loadReportData(db, clientRef, projectId, reportType) {
+  const shotsSnap = await clientRef.collection("shots").where("projectId", "==", projectId).get();
+  const needsTalent = reportType !== "product-info";
+  const [talentSnap, familiesSnap] = await Promise.all([
+    needsTalent ? clientRef.collection("talent").get() : null,
+    clientRef.collection("productFamilies").get(),
+  ]);
+  return {
+    shots: docsData(shotsSnap),
+    talent: talentSnap ? docsData(talentSnap) : [],
+    productFamilies: docsData(familiesSnap),
+  };
+}
+
+async function deliverSchedule(db, scheduleRef, schedule, now) {
+  const projectRef = scheduleRef.parent.parent;
+  const clientRef = projectRef.parent.parent;
+  const recipients = Array.isArray(schedule.recipients) ? schedule.recipients : [];
+  const skippedUnsubscribed = recipients.filter((r) => r && r.unsubscribedAt).length;
+
+  const reportSnap = schedule.reportId
+    ? await projectRef.collection("exportReports").doc(schedule.reportId).get()
+    : null;
+  const report = reportSnap && reportSnap.exists ? reportSnap.data() : null;
+  const reportName = report?.name || schedule.reportName || "Report";
+
+  if (!report) {
+    return buildDeliveryLogEntry({ reportName, results: [], error: "report_not_found", skippedUnsubscribed });
+  }
+  if (!isSchedulableReportType(report.reportType)) {
+    return buildDeliveryLogEntry({ reportName, results: [], error: "unsupported_report_type", skippedUnsubscribed });
+  }
+
+  const active = activeRecipients(recipients);
+  if (active.length === 0) {
+    return buildDeliveryLogEntry({ reportName, results: [], skippedUnsubscribed });
+  }
+
+  const projectSnap = await projectRef.get();
+  const projectName = projectSnap.exists ? projectSnap.data().name : null;
+  const data = await loadReportData(db, clientRef, projectRef.id, report.reportType);
+  const digest = buildReportDigest({
+    report,
+    projectId: projectRef.id,
+    projectName,
+    ...data,
+    generatedAt: now,
+  });
+
+  let content;
+  try {
+    content = await renderReportPdf(digest);
+  } catch (error) {
+    console.error(`[sendScheduledReports] schedule=${scheduleRef.id} PDF render failed:`, error);
+    return buildDeliveryLogEntry({ reportName, results: [], error: `render_failed: ${error.message}`, skippedUnsubscribed });
+  }
+
+  const attachment = { filename: buildReportFilename(digest.title, now), content };
+  const publisherEmail = await resolvePublisherEmail(schedule.createdBy);
+  const reportInfo = {
+    reportId: schedule.reportId,
+    reportType: report.reportType,
+    reportName: digest.title,
+    reportKindLabel: digest.kindLabel,
+    projectId: projectRef.id,
+    projectName: digest.projectName,
+    cadenceLabel: describeCadence(schedule.cadence),
+    generatedLabel: digest.generatedLabel,
+    rowCount: digest.rowCount,
+  };
+
+  const results = await Promise.all(active.map(async (recipient) => {
+    if (!recipient.token) {
+      return { email: recipient.email, ok: false, error: "missing_unsubscribe_token" };
+    }
+    const sendResult = await sendScheduledReportEmail({
+      to: recipient.email,
+      report: reportInfo,
+      publisher: { email: publisherEmail },
+      unsubscribeToken: buildUnsubscribeToken({
+        clientId: clientRef.id,
+        projectId: projectRef.id,
+        scheduleId: scheduleRef.id,
+        recipientToken: recipient.token,
+      }),
+      attachment,
+    });
+    return { email: recipient.email, ok: sendResult.ok, error: sendResult.error };
+  }));
+
+  return buildDeliveryLogEntry({ reportName: digest.title, results, skippedUnsubscribed });
+}
+
+/**
+ * Sweeps enabled schedules whose `nextRunAt` has passed and delivers each.
+ * Uses the (enabled, nextRunAt) collection-group index.
+ */
+async function handleSendScheduledReports({ now = new Date() } = {}) {
+  const db = admin.firestore();
+  const due = await db.collectionGroup(SCHEDULES_COLLECTION)
+    .where("enabled", "==", true)
+    .where("nextRunAt", "<=", admin.firestore.Timestamp.fromDate(now))
+    .orderBy("nextRunAt", "asc")
+    .limit(SCHEDULES_PER_RUN)
+    .get();
+
+  const results = [];
+  for (const doc of due.docs) {
+    try {
+      const schedule = await claimSchedule(db, doc.ref, now);
+      if (!schedule) continue;
+
+      let entry;
+      try {
+        entry = await deliverSchedule(db, doc.ref, schedule, now);
+      } catch (error) {
+        console.error(`[sendScheduledReports] schedule=${doc.id} delivery failed:`, error);
+        entry = buildDeliveryLogEntry({
+          reportName: schedule.reportName,
+          results: [],
+          error: `delivery_failed: ${error.message || "unknown"}`,
+        });
+      }
+
+      await doc.ref.collection(DELIVERIES_SUBCOLLECTION).add({
+        ...entry,
+        reportId: schedule.reportId || null,
+        ranAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      await doc.ref.update({
+        lastRunAt: admin.firestore.FieldValue.serverTimestamp(),
+        lastStatus: entry.status,
+      });
+      results.push({ scheduleId: doc.id, status: entry.status, sentCount: entry.sentCount });
+    } catch (error) {
+      // Claimed but not logged: nextRunAt has already moved on, so this run is
+      // dropped rather than retried every 15 minutes.
+      console.error(`[sendScheduledReports] schedule=${doc.id} failed:`, error);
+    }
+  }
+
+  console.log(
+    `[sendScheduledReports] schedules=${results.length} emails=${results.reduce((n, r) => n + r.sentCount, 0)}`,
+  );
+  return { schedules: results.length, results };
+}
+
+// ---------------------------------------------------------------------------
+// handleUnsubscribeScheduledReport
+// ---------------------------------------------------------------------------
+
+function renderPage(title, message, form) {
+  return [
+    "<!doctype html>",
+    "<html lang=\"en\"><head><meta charset=\"utf-8\">",
+    "<meta name=\"viewport\" content=\"width=device-width, initial-scale=1\">",
+    `<title>${escapeHtml(title)}</title>`,
+    "<style>body{font-family:-apple-system,BlinkMacSystemFont,\"Segoe UI\",Roboto,sans-serif;",
+    "background:#f4f4f5;color:#18181b;margin:0;padding:48px 16px}",
+    "main{max-width:440px;margin:0 auto;background:#fff;border-radius:8px;padding:32px}",
+    "h1{font-size:18px;margin:0 0 12px}p{color:#3f3f46;font-size:14px;line-height:1.5}",
+    "button{background:#18181b;color:#fff;border:0;border-radius:6px;padding:10px 16px;font-size:14px;cursor:pointer}",
+    "</style></head><body><main>",
+    `<h1>${escapeHtml(title)}</h1>`,
+    `<p>${escapeHtml(message)}</p>`,
+    form || "",
+    "</main></body></html>",
+  ].join("");
+}
+
+/**
+ * GET shows a confirmation page with a POST button (mail scanners prefetch
+ * links, so a GET must never unsubscribe). POST — from that button or a mail
+ * client's RFC 8058 one-click — marks the recipient unsubscribed. Unknown or
+ * already-used tokens get the same "you're unsubscribed" page, so the
+ * endpoint can't be used to probe which addresses are on a list.
+ *
+ * @param {object} params
+ * @param {string} params.method - "GET" | "POST"
+ * @param {string} params.path - e.g. "/reports/unsubscribe/{token}"
+ * @returns {Promise<{status: number, html: string}>}
+ */
+async function handleUnsubscribeScheduledReport({ method, path }) {
+  const raw = decodeURIComponent(String(path || "").split("/").filter(Boolean).pop() || "");
+  const parsed = parseUnsubscribeToken(raw);
+  if (!parsed) {
+    throw err("Invalid unsubscribe link.", "invalid-argument");
+  }
+
+  const db = admin.firestore();
+  const scheduleRef = db.collection("clients").doc(parsed.clientId)
+    .collection("projects").doc(parsed.projectId)
+    .collection(SCHEDULES_COLLECTION).doc(parsed.scheduleId);
+
+  if (method === "GET" || method === "HEAD") {
+    const snap = await scheduleRef.get();
+    const reportName = snap.exists ? snap.data().reportName || "this report" : "this report";
+    return {
+      status: 200,
+      html: renderPage(
+        "Unsubscribe from scheduled report",
+        `You'll stop receiving ${reportName} by email.`,
+        `<form method="post" action="${escapeHtml(`/reports/unsubscribe/${encodeURIComponent(raw)}`)}">` +
+          "<button type=\"submit\">Unsubscribe</button></form>",
+      ),
+    };
+  }
+
+  await db.runTransaction(async (tx) => {
+    const snap = await tx.get(scheduleRef);
+    if (!snap.exists) return;
+    const next = unsubscribeRecipient(
+      snap.data().recipients,
+      parsed.recipientToken,
+      admin.firestore.Timestamp.now(),
+    );
+    if (next) tx.update(scheduleRef, { recipients: next });
+  });
+
+  return {
+    status: 200,
+    html: renderPage(
+      "You're unsubscribed",
+      "You won't receive this scheduled report any more. The producer who set it up can add you back.",
+    ),
+  };
+}
+
+module.exports = {
+  handleSendScheduledReports,
+  handleUnsubscribeScheduledReport,
+  // Exposed for unit testing:
+  escapeHtml,
+};
@@ -0,0 +1,86 @@
+/**
+ * Denormalized `commentCount` on shot docs.
+ *
+ * `syncShotCommentCount` (Firestore trigger) recounts a shot's live comments
+ * whenever one is written and stores the absolute number, so a shot whose
+ * comments predate the counter is corrected by its next comment write rather
+ * than counting up from 0. `scripts/backfill-shot-comment-counts.js` runs the
+ * same recount over every shot once, for shots nobody comments on again.
+ *
+ * A comment is live unless `deleted === true`. Legacy comments may not carry
+ * a `deleted` field at all, and Firestore's `!=` filter skips documents
+ * missing the field, so the live count is all comments minus deleted ones.
+ */
+
+"use strict";
+
+const admin = require("firebase-admin");
+
+const COMMENTS_SUBCOLLECTION = "comments";
+const BACKFILL_PAGE_SIZE = 300;
+
+function isLiveComment(snap) {
+  return snap.exists && snap.data().deleted !== true;
+}
+
+/** Count `shotRef`'s live comments and write the total to the shot. Returns the count, or null if the shot is gone. */
+async function recountShotComments(shotRef) {
+  const comments = shotRef.collection(COMMENTS_SUBCOLLECTION);
+  const [all, deleted] = await Promise.all([
+    comments.count().get(),
+    comments.where("deleted", "==", true).count().get(),
+  ]);
+  const commentCount = Math.max(0, all.data().count - deleted.data().count);
+  try {
+    await shotRef.update({ commentCount });
+  } catch (error) {
+    // The shot may have been hard-deleted; nothing to keep in sync.
+    if (error.code === 5) return null;
+    throw error;
+  }
+  return commentCount;
+}
+
+async function handleShotCommentWrite(change, context, { db = admin.firestore() } = {}) {
+  // Edits that don't change liveness (the body is immutable) skip the recount.
+  if (isLiveComment(change.before) === isLiveComment(change.after)) return null;
+
+  const { clientId, shotId } = context.params;
+  await recountShotComments(db.doc(`clients/${clientId}/shots/${shotId}`));
+  return null;
+}
+
+/**
+ * Recount every client's shots, a page at a time. `onPage` is called with
+ * the running total after each page. Returns the number of shots updated.
+ */
+async function backfillShotCommentCounts(db, { pageSize = BACKFILL_PAGE_SIZE, onPage } = {}) {
+  let updated = 0;
+  const clients = await db.collection("clients").listDocuments();
+  for (const clientRef of clients) {
+    let cursor = null;
+    for (;;) {
+      let query = clientRef.collection("shots")
+        .orderBy(admin.firestore.FieldPath.documentId())
+        .limit(pageSize);
+      if (cursor) query = query.startAfter(cursor);
+      const page = await query.get();
+      if (page.empty) break;
+
+      for (const shot of page.docs) {
+        if ((await recountShotComments(shot.ref)) !== null) updated += 1;
+      }
+      if (onPage) onPage(updated);
+      if (page.size < pageSize) break;
+      cursor = page.docs[page.docs.length - 1];
+    }
+  }
+  return updated;
+}
+
+module.exports = {
+  handleShotCommentWrite,
+  backfillShotCommentCounts,
+  // Exposed for unit testing:
+  recountShotComments,
+};
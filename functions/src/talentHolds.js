@@ -0,0 +1,120 @@
+/**
+ * Agency answers to talent holds.
+ *
+ * Agents confirm or release held dates on the public hold confirmation page,
+ * which writes `talentHoldRequests/{token}/responses/{holdId}` without auth.
+ * `applyTalentHoldResponse` (Firestore trigger) carries each answer onto
+ * `clients/{clientId}/talentHolds/{holdId}`, which agents cannot write.
+ *
+ * Answers only move a hold the producer hasn't already closed: a released
+ * hold stays released, and a pending hold past its `expiresOn` day can no
+ * longer be confirmed. Expiry mirrors src-vnext/features/casting/lib/talentHolds.ts,
+ * but is judged on the UTC day here and on the agent's local day there, so
+ * near midnight the two can disagree. An answer that can't apply gets a
+ * `rejectedReason` written back, and the agency page shows it.
+ */
+
+"use strict";
+
+const admin = require("firebase-admin");
+
+const MAX_NOTE_LENGTH = 2000;
+
+function cleanText(value, max) {
+  if (typeof value !== "string") return null;
+  const trimmed = value.trim().slice(0, max);
+  return trimmed || null;
+}
+
+/** UTC calendar day as YYYY-MM-DD. */
+function toHoldDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Why a valid agent answer can't move the hold, or null when it can:
+ * "superseded" (the hold was re-sent on a newer link), "released", or
+ * "expired" (confirming a pending hold past its `expiresOn` day).
+ */
+function holdResponseRejection(hold, response, { token, today }) {
+  if (!hold || !response) return null;
+  const decision = response.decision;
+  if (decision !== "confirm" && decision !== "release") return null;
+  if (hold.requestToken && hold.requestToken !== token) return "superseded";
+  if (hold.status === "released") return "released";
+
+  const expired = hold.status === "pending" && !!hold.expiresOn && hold.expiresOn < today;
+  if (decision === "confirm" && expired) return "expired";
+  return null;
+}
+
+/**
+ * The hold fields an agent answer changes, or null when the answer doesn't
+ * apply: unknown decision, a rejected answer (see holdResponseRejection), or
+ * no change at all.
+ */
+function buildHoldResponsePatch(hold, response, ctx) {
+  if (!hold || !response) return null;
+  const decision = response.decision;
+  if (decision !== "confirm" && decision !== "release") return null;
+  if (holdResponseRejection(hold, response, ctx)) return null;
+
+  const status = decision === "confirm" ? "confirmed" : "released";
+  const respondedBy = cleanText(response.agentName, 200);
+  const responseNote = cleanText(response.note, MAX_NOTE_LENGTH);
+  if (hold.status === status && hold.respondedBy === respondedBy && (hold.responseNote || null) === responseNote) {
+    return null;
+  }
+
+  return {
+    status,
+    respondedBy,
+    respondedByEmail: cleanText(response.agentEmail, 320),
+    responseNote,
+  };
+}
+
+async function handleTalentHoldResponse(change, context, { now = new Date() } = {}) {
+  if (!change.after.exists) return null;
+  const { token, holdId } = context.params;
+
+  const db = admin.firestore();
+  const requestSnap = await db.doc(`talentHoldRequests/${token}`).get();
+  if (!requestSnap.exists) return null;
+  const request = requestSnap.data();
+  if (!request.clientId || !Array.isArray(request.holdIds) || !request.holdIds.includes(holdId)) {
+    console.warn(`[applyTalentHoldResponse] token=${token} hold=${holdId} not on request`);
+    return null;
+  }
+
+  const holdRef = db.doc(`clients/${request.clientId}/talentHolds/${holdId}`);
+  const holdSnap = await holdRef.get();
+  if (!holdSnap.exists) return null;
+
+  const hold = holdSnap.data();
+  const response = change.after.data();
+  const ctx = { token, today: toHoldDate(now) };
+  const rejectedReason = holdResponseRejection(hold, response, ctx);
+  if (rejectedReason) {
+    // Rewriting the same reason would re-trigger this function for nothing.
+    if (response.rejectedReason !== rejectedReason) {
+      await change.after.ref.update({ rejectedReason });
+    }
+    return null;
+  }
+
+  const patch = buildHoldResponsePatch(hold, response, ctx);
+  if (!patch) return null;
+
+  const serverNow = admin.firestore.FieldValue.serverTimestamp();
+  await holdRef.update({ ...patch, respondedAt: serverNow, updatedAt: serverNow });
+  return null;
+}
+
+module.exports = {
+  handleTalentHoldResponse,
+  // Exposed for unit testing:
+  holdResponseRejection,
+  buildHoldResponsePatch,
+  toHoldDate,
+};
@@ -115,6 +115,9 @@ const CastingBoardPage = lazy(
 const PublicCastingReviewPage = lazy(
   () => import("@/features/casting/components/PublicCastingReviewPage"),
 )
+const PublicTalentHoldPage = lazy(
+  () => import("@/features/casting/components/PublicTalentHoldPage"),
+)
 const SharedLinksPage = lazy(
   () => import("@/features/links/components/SharedLinksPage"),
 )
@@ -147,6 +150,7 @@ export function AppRoutes() {
         <Route path="/pulls/shared/:shareToken/guide" element={<WarehousePickGuidePage />} />
         <Route path="/shots/shared/:shareToken" element={<PublicShotSharePage />} />
         <Route path="/casting/shared/:shareToken" element={<PublicCastingReviewPage />} />
+        <Route path="/holds/:token" element={<PublicTalentHoldPage />} />
         <Route path="/captureone/shared/:shareToken" element={<PublicCaptureOneSharePage />} />
         <Route
           element={
@@ -277,11 +277,12 @@ describeOrSkip("firestore.rules — captureOneShares", () => {
     await assertFails(deleteDoc(doc(authed("crew-member", CLIENT_A, "crew"), "captureOneShares", SHARE_OK)))
   })
 
-  it("[22] crew UPDATE limited to the refresh payload (projectName + shots) succeeds", async () => {
+  it("[22] crew UPDATE limited to the refresh payload (projectName + shots + filenamePattern) succeeds", async () => {
     await assertSucceeds(
       updateDoc(doc(authed("crew-member", CLIENT_A, "crew"), "captureOneShares", SHARE_OK), {
         projectName: "Refreshed",
         shots: [{ id: "s1", shotNumber: "1", title: "Look", filenames: [] }],
+        filenamePattern: "{style}_{view}",
       }),
     )
   })
@@ -0,0 +1,329 @@
+import { useEffect, useMemo, useRef, useState } from "react"
+import { toast } from "sonner"
+import { FileUp, ListPlus } from "lucide-react"
+import type { AuthUser } from "@/shared/types"
+import { parseLineList, readTabularFile } from "@/shared/lib/tabularImport"
+import { ASSET_TYPES } from "@/features/products/lib/assetRequirements"
+import {
+  buildProjectFilenames,
+  loadCaptureOneProjectHeroes,
+  type CaptureOneShotHeroes,
+} from "@/features/captureone/lib/resolveCaptureOneForShare"
+import {
+  extractCaptureOneSelects,
+  filterSelectsByRating,
+  matchCaptureOneSelects,
+  type CaptureOneSelectTarget,
+  type CaptureOneSelectsSource,
+} from "@/features/captureone/lib/importCaptureOneSelects"
+import { applyCaptureOneSelects } from "@/features/captureone/lib/captureOneSelectsWrites"
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from "@/ui/dialog"
+import { Button } from "@/ui/button"
+import { Label } from "@/ui/label"
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/ui/select"
+import { Textarea } from "@/ui/textarea"
+
+const RATING_OPTIONS = [0, 1, 2, 3, 4, 5] as const
+
+interface CaptureOneSelectsImportDialogProps {
+  readonly open: boolean
+  readonly onOpenChange: (open: boolean) => void
+  readonly clientId: string | null
+  readonly projectId: string
+  readonly user: AuthUser | null
+}
+
+/**
+ * Post-shoot round trip for the digi-tech's selects: reads a Capture One
+ * CSV/XLSX export or a pasted filename list, matches names back to shots with
+ * the project's filename template, then completes those shots and records the
+ * files as deliveries on their hero SKUs.
+ */
+export function CaptureOneSelectsImportDialog({
+  open,
+  onOpenChange,
+  clientId,
+  projectId,
+  user,
+}: CaptureOneSelectsImportDialogProps) {
+  const [shots, setShots] = useState<readonly CaptureOneShotHeroes[]>([])
+  const [targets, setTargets] = useState<readonly CaptureOneSelectTarget[]>([])
+  const [loadingShots, setLoadingShots] = useState(false)
+  const [loadError, setLoadError] = useState<string | null>(null)
+  const [source, setSource] = useState<CaptureOneSelectsSource | null>(null)
+  const [sourceLabel, setSourceLabel] = useState("")
+  const [pasted, setPasted] = useState("")
+  const [minRating, setMinRating] = useState(0)
+  const [assetType, setAssetType] = useState("ecomm_on_figure")
+  const [applying, setApplying] = useState(false)
+  const fileInputRef = useRef<HTMLInputElement | null>(null)
+
+  useEffect(() => {
+    if (!open) return
+    setSource(null)
+    setSourceLabel("")
+    setPasted("")
+    setMinRating(0)
+    setLoadError(null)
+    if (!clientId) return
+    let cancelled = false
+    setLoadingShots(true)
+    loadCaptureOneProjectHeroes(clientId, projectId, null)
+      .then((loaded) => {
+        if (cancelled) return
+        setShots(loaded.shots)
+        setTargets(buildProjectFilenames(loaded))
+      })
+      .catch((err) => {
+        if (cancelled) return
+        console.error("[CaptureOneSelectsImportDialog] Failed to load shots:", err)
+        setLoadError(err instanceof Error ? err.message : "Could not load shots.")
+      })
+      .finally(() => {
+        if (!cancelled) setLoadingShots(false)
+      })
+    return () => {
+      cancelled = true
+    }
+  }, [clientId, open, projectId])
+
+  const shotLabels = useMemo(
+    () => new Map(shots.map((s) => [s.id, s.shotNumber ? `#${s.shotNumber}` : s.title])),
+    [shots],
+  )
+
+  const result = useMemo(() => {
+    if (!source) return null
+    return matchCaptureOneSelects(filterSelectsByRating(source.rows, minRating), targets)
+  }, [minRating, source, targets])
+
+  const shotIdsToComplete = useMemo(() => {
+    const ids = new Set(result?.matched.flatMap((m) => m.shotIds) ?? [])
+    for (const shot of shots) {
+      if (shot.status === "complete") ids.delete(shot.id)
+    }
+    return ids
+  }, [result, shots])
+
+  const handleFile = async (file: File) => {
+    try {
+      setSource(extractCaptureOneSelects(await readTabularFile(file)))
+      setSourceLabel(file.name)
+      setMinRating(0)
+    } catch (err) {
+      console.error("[CaptureOneSelectsImportDialog] Failed to read file:", err)
+      toast.error("Could not read file", {
+        description: err instanceof Error ? err.message : "Unsupported file.",
+      })
+    }
+  }
+
+  const handlePaste = () => {
+    const rows = parseLineList(pasted)
+    if (rows.length === 0) return
+    setSource(extractCaptureOneSelects(rows))
+    setSourceLabel("Pasted list")
+    setMinRating(0)
+  }
+
+  const apply = async () => {
+    if (!clientId || !user || !result) return
+    setApplying(true)
+    try {
+      const outcome = await applyCaptureOneSelects({
+        clientId,
+        user,
+        matches: result.matched,
+        assetType,
+        completedShotIds: new Set(shots.filter((s) => s.status === "complete").map((s) => s.id)),
+      })
+      toast.success("Selects imported", {
+        description: [
+          `${outcome.shotsCompleted} ${outcome.shotsCompleted === 1 ? "shot" : "shots"} marked complete`,
+          `${outcome.requirementsDelivered} ${outcome.requirementsDelivered === 1 ? "requirement" : "requirements"} delivered`,
+          result.unmatched.length > 0 ? `${result.unmatched.length} unmatched` : null,
+        ]
+          .filter(Boolean)
+          .join(" · "),
+      })
+      onOpenChange(false)
+    } catch (err) {
+      console.error("[CaptureOneSelectsImportDialog] Failed to apply selects:", err)
+      toast.error("Import failed", {
+        description: err instanceof Error ? err.message : "Could not apply selects.",
+      })
+    } finally {
+      setApplying(false)
+    }
+  }
+
+  const matchedCount = result?.matched.length ?? 0
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-2xl">
+        <DialogHeader>
+          <DialogTitle>Import Capture One selects</DialogTitle>
+          <DialogDescription>
+            Match the digi-tech&apos;s selected files back to shots. Matched shots are marked complete and
+            their hero colorways are marked delivered.
+          </DialogDescription>
+        </DialogHeader>
+
+        {loadError ? (
+          <p className="text-sm text-[var(--color-error)]">{loadError}</p>
+        ) : (
+          <div className="flex flex-col gap-4">
+            <div className="grid gap-3 md:grid-cols-2">
+              <div className="flex flex-col gap-1">
+                <Label className="text-xs">Capture One export</Label>
+                <input
+                  ref={fileInputRef}
+                  type="file"
+                  accept=".csv,.tsv,.txt,.xlsx"
+                  className="hidden"
+                  data-testid="captureone-selects-file-input"
+                  onChange={(e) => {
+                    const file = e.target.files?.[0]
+                    if (file) void handleFile(file)
+                    e.target.value = ""
+                  }}
+                />
+                <Button
+                  type="button"
+                  variant="outline"
+                  disabled={applying || loadingShots}
+                  onClick={() => fileInputRef.current?.click()}
+                >
+                  <FileUp className="h-4 w-4" />
+                  Choose CSV / XLSX
+                </Button>
+                {sourceLabel && (
+                  <p className="truncate text-2xs text-[var(--color-text-muted)]">{sourceLabel}</p>
+                )}
+              </div>
+              <div className="flex flex-col gap-1">
+                <Label htmlFor="captureone-selects-paste" className="text-xs">Or paste filenames</Label>
+                <Textarea
+                  id="captureone-selects-paste"
+                  value={pasted}
+                  disabled={applying || loadingShots}
+                  onChange={(e) => setPasted(e.target.value)}
+                  placeholder="One filename per line"
+                  rows={3}
+                />
+                <Button
+                  type="button"
+                  variant="outline"
+                  size="sm"
+                  className="self-end"
+                  disabled={applying || loadingShots || !pasted.trim()}
+                  onClick={handlePaste}
+                >
+                  <ListPlus className="h-4 w-4" />
+                  Use list
+                </Button>
+              </div>
+            </div>
+
+            <div className="flex flex-wrap gap-3">
+              {source?.hasRating && (
+                <div className="flex flex-col gap-1">
+                  <Label className="text-xs">Minimum rating</Label>
+                  <Select value={String(minRating)} onValueChange={(v) => setMinRating(Number(v))}>
+                    <SelectTrigger className="h-8 w-36 text-xs" aria-label="Minimum rating">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {RATING_OPTIONS.map((n) => (
+                        <SelectItem key={n} value={String(n)} className="text-xs">
+                          {n === 0 ? "Any rating" : `${n}+ stars`}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+              )}
+              <div className="flex flex-col gap-1">
+                <Label className="text-xs">Deliver as</Label>
+                <Select value={assetType} onValueChange={setAssetType}>
+                  <SelectTrigger className="h-8 w-56 text-xs" aria-label="Asset type">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {ASSET_TYPES.map((type) => (
+                      <SelectItem key={type.key} value={type.key} className="text-xs">
+                        {type.label}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+            </div>
+
+            {result && (
+              <div className="grid gap-3 md:grid-cols-2">
+                <div className="flex flex-col gap-1">
+                  <Label className="text-xs">Matched ({matchedCount})</Label>
+                  <ul
+                    className="flex max-h-48 flex-col gap-1 overflow-y-auto rounded-md border border-[var(--color-border)] p-2"
+                    aria-label="Matched files"
+                  >
+                    {result.matched.map((m) => (
+                      <li key={m.fileName} className="text-xs">
+                        <div className="truncate text-[var(--color-text)]">{m.fileName}</div>
+                        <div className="truncate text-2xs text-[var(--color-text-muted)]">
+                          {m.shotIds.map((id) => shotLabels.get(id) ?? id).join(", ")}
+                          {m.skuId ? "" : " · no colorway"}
+                        </div>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+                <div className="flex flex-col gap-1">
+                  <Label className="text-xs">Unmatched ({result.unmatched.length})</Label>
+                  <ul
+                    className="flex max-h-48 flex-col gap-1 overflow-y-auto rounded-md border border-[var(--color-border)] p-2"
+                    aria-label="Unmatched files"
+                  >
+                    {result.unmatched.map((name) => (
+                      <li key={name} className="truncate font-mono text-2xs text-[var(--color-error)]">
+                        {name}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              </div>
+            )}
+          </div>
+        )}
+
+        <div className="flex items-center justify-between gap-2">
+          <p className="text-xs text-[var(--color-text-muted)]" data-testid="captureone-selects-summary">
+            {loadingShots
+              ? "Loading shots…"
+              : !result
+                ? "No selects loaded yet."
+                : `${matchedCount} matched · ${shotIdsToComplete.size} ${
+                    shotIdsToComplete.size === 1 ? "shot" : "shots"
+                  } to complete · ${result.unmatched.length} unmatched`}
+          </p>
+          <div className="flex gap-2">
+            <Button variant="outline" onClick={() => onOpenChange(false)} disabled={applying}>
+              Cancel
+            </Button>
+            <Button onClick={apply} disabled={applying || !clientId || !user || matchedCount === 0}>
+              {applying ? "Importing…" : "Import selects"}
+            </Button>
+          </div>
+        </div>
+      </DialogContent>
+    </Dialog>
+  )
+}
@@ -11,7 +11,7 @@ import {
 import { Button } from "@/ui/button"
 import { Input } from "@/ui/input"
 import { Label } from "@/ui/label"
-import { Copy, Link } from "lucide-react"
+import { Copy, FileCog, Link } from "lucide-react"
 
 type ShareScope = "all" | "selected"
 
@@ -23,6 +23,8 @@ interface CaptureOneShareDialogProps {
   readonly projectName: string
   readonly userId: string
   readonly selectedShotIds?: readonly string[]
+  /** Opens the project's filename template editor. */
+  readonly onEditTemplate?: () => void
 }
 
 async function copyToClipboard(text: string): Promise<boolean> {
@@ -64,6 +66,7 @@ export function CaptureOneShareDialog({
   projectName,
   userId,
   selectedShotIds,
+  onEditTemplate,
 }: CaptureOneShareDialogProps) {
   const selectionCount = selectedShotIds?.length ?? 0
   const hasSelection = selectionCount > 0
@@ -188,6 +191,18 @@ export function CaptureOneShareDialog({
             </p>
           </div>
 
+          {onEditTemplate && (
+            <div className="flex items-center justify-between gap-2 rounded-md border border-[var(--color-border)] px-3 py-2">
+              <span className="text-xs text-[var(--color-text-muted)]">
+                Names follow this project&apos;s filename template.
+              </span>
+              <Button variant="ghost" size="sm" className="h-7 px-2 text-xs" onClick={onEditTemplate}>
+                <FileCog className="mr-1 h-3.5 w-3.5" />
+                Edit template
+              </Button>
+            </div>
+          )}
+
           <div className="flex items-center justify-end gap-2">
             <Button variant="outline" onClick={() => onOpenChange(false)} disabled={creating}>
               Close
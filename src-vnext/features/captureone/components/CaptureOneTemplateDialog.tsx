@@ -0,0 +1,254 @@
+import { useEffect, useMemo, useState } from "react"
+import { toast } from "sonner"
+import { AlertTriangle, RotateCcw } from "lucide-react"
+import type { CaptureOneFilenameTemplate } from "@/shared/types"
+import { updateProjectField } from "@/features/projects/lib/updateProject"
+import { refreshCaptureOneSharesForProject } from "@/features/captureone/lib/captureOneShareWrites"
+import {
+  buildProjectFilenames,
+  loadCaptureOneProjectHeroes,
+  type CaptureOneProjectHeroes,
+} from "@/features/captureone/lib/resolveCaptureOneForShare"
+import {
+  CAPTURE_ONE_TEMPLATE_TOKENS,
+  DEFAULT_CAPTURE_ONE_TEMPLATE,
+  validateCaptureOneTemplate,
+} from "@/features/captureone/lib/captureOneTemplate"
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from "@/ui/dialog"
+import { Badge } from "@/ui/badge"
+import { Button } from "@/ui/button"
+import { Input } from "@/ui/input"
+import { Label } from "@/ui/label"
+
+interface CaptureOneTemplateDialogProps {
+  readonly open: boolean
+  readonly onOpenChange: (open: boolean) => void
+  readonly clientId: string | null
+  readonly projectId: string
+}
+
+function parseViews(value: string): string[] {
+  return value
+    .split(",")
+    .map((v) => v.trim())
+    .filter(Boolean)
+}
+
+/**
+ * Edits the project's Capture One filename template with a live preview over
+ * every shot. Saving re-denormalizes the project's share links so the public
+ * digi-tech page and its .xlsx pick up the new names.
+ */
+export function CaptureOneTemplateDialog({
+  open,
+  onOpenChange,
+  clientId,
+  projectId,
+}: CaptureOneTemplateDialogProps) {
+  const [project, setProject] = useState<CaptureOneProjectHeroes | null>(null)
+  const [loadError, setLoadError] = useState<string | null>(null)
+  const [pattern, setPattern] = useState(DEFAULT_CAPTURE_ONE_TEMPLATE.pattern)
+  const [viewsText, setViewsText] = useState("")
+  const [saving, setSaving] = useState(false)
+
+  useEffect(() => {
+    if (!open || !clientId) return
+    let cancelled = false
+    setProject(null)
+    setLoadError(null)
+    loadCaptureOneProjectHeroes(clientId, projectId, null)
+      .then((loaded) => {
+        if (cancelled) return
+        setProject(loaded)
+        setPattern(loaded.template.pattern)
+        setViewsText(loaded.template.views.join(", "))
+      })
+      .catch((err) => {
+        if (cancelled) return
+        console.error("[CaptureOneTemplateDialog] Failed to load shots:", err)
+        setLoadError(err instanceof Error ? err.message : "Could not load shots.")
+      })
+    return () => {
+      cancelled = true
+    }
+  }, [clientId, open, projectId])
+
+  const draft: CaptureOneFilenameTemplate = useMemo(
+    () => ({ pattern: pattern.trim(), views: parseViews(viewsText) }),
+    [pattern, viewsText],
+  )
+  const errors = useMemo(() => validateCaptureOneTemplate(draft), [draft])
+
+  const preview = useMemo(
+    () => (project && errors.length === 0 ? buildProjectFilenames(project, draft) : []),
+    [draft, errors, project],
+  )
+  const collisionCount = preview.filter((f) => f.disambiguated).length
+
+  const previewByShot = useMemo(() => {
+    const byShot = new Map<string, typeof preview>()
+    for (const file of preview) byShot.set(file.shotId, [...(byShot.get(file.shotId) ?? []), file])
+    return byShot
+  }, [preview])
+
+  const save = async () => {
+    if (!clientId) return
+    setSaving(true)
+    try {
+      await updateProjectField(projectId, clientId, {
+        captureOneTemplate: { pattern: draft.pattern, views: [...draft.views] },
+      })
+      refreshCaptureOneSharesForProject({ clientId, projectId }).catch((err) => {
+        console.error("[CaptureOneTemplateDialog] Share refresh failed:", err)
+      })
+      toast.success("Filename template saved")
+      onOpenChange(false)
+    } catch (err) {
+      console.error("[CaptureOneTemplateDialog] Failed to save template:", err)
+      toast.error("Failed to save template", {
+        description: err instanceof Error ? err.message : undefined,
+      })
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-2xl">
+        <DialogHeader>
+          <DialogTitle>Capture One filename template</DialogTitle>
+          <DialogDescription>
+            Used by share links, the .xlsx export and selects import for this project.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="flex flex-col gap-4">
+          <div className="flex flex-col gap-2">
+            <Label htmlFor="captureone-template-pattern" className="text-xs">Pattern</Label>
+            <div className="flex gap-2">
+              <Input
+                id="captureone-template-pattern"
+                value={pattern}
+                onChange={(e) => setPattern(e.target.value)}
+                className="font-mono text-sm"
+              />
+              <Button
+                type="button"
+                variant="outline"
+                size="sm"
+                title="Reset to default"
+                aria-label="Reset to default"
+                onClick={() => {
+                  setPattern(DEFAULT_CAPTURE_ONE_TEMPLATE.pattern)
+                  setViewsText("")
+                }}
+              >
+                <RotateCcw className="h-3.5 w-3.5" />
+              </Button>
+            </div>
+            <div className="flex flex-wrap gap-1.5">
+              {CAPTURE_ONE_TEMPLATE_TOKENS.map((token) => (
+                <button
+                  key={token.key}
+                  type="button"
+                  title={`${token.label} — e.g. ${token.example}`}
+                  onClick={() => setPattern((p) => `${p}${p && !/[_\-. ]$/.test(p) ? "_" : ""}{${token.key}}`)}
+                  className="rounded-md border border-[var(--color-border)] bg-[var(--color-surface-subtle)] px-2 py-0.5 font-mono text-2xs text-[var(--color-text-muted)] hover:text-[var(--color-text)]"
+                >
+                  {`{${token.key}}`}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div className="flex flex-col gap-2">
+            <Label htmlFor="captureone-template-views" className="text-xs">Views</Label>
+            <Input
+              id="captureone-template-views"
+              value={viewsText}
+              onChange={(e) => setViewsText(e.target.value)}
+              placeholder="Front, Back, Detail"
+              className="text-sm"
+            />
+            <p className="text-2xs text-[var(--color-text-muted)]">
+              With {"{view}"} in the pattern, each hero gets one filename per view.
+            </p>
+          </div>
+
+          {errors.length > 0 && (
+            <ul className="flex flex-col gap-1" data-testid="captureone-template-errors">
+              {errors.map((error) => (
+                <li key={error} className="text-xs text-[var(--color-error)]">{error}</li>
+              ))}
+            </ul>
+          )}
+
+          <div className="flex flex-col gap-2">
+            <div className="flex items-center justify-between gap-2">
+              <Label className="text-xs">Preview</Label>
+              <span className="text-2xs text-[var(--color-text-muted)]" data-testid="captureone-template-summary">
+                {preview.length} filenames
+                {collisionCount > 0 ? ` · ${collisionCount} renamed to avoid collisions` : ""}
+              </span>
+            </div>
+            <div className="max-h-[40vh] overflow-y-auto rounded-md border border-[var(--color-border)] p-2">
+              {loadError ? (
+                <p className="text-xs text-[var(--color-error)]">{loadError}</p>
+              ) : !project ? (
+                <p className="text-xs text-[var(--color-text-muted)]">Loading shots…</p>
+              ) : project.shots.length === 0 ? (
+                <p className="text-xs text-[var(--color-text-muted)]">No shots in this project yet.</p>
+              ) : (
+                <ul className="flex flex-col gap-2" aria-label="Filename preview">
+                  {project.shots.map((shot) => (
+                    <li key={shot.id} className="text-xs">
+                      <div className="text-[var(--color-text-muted)]">
+                        {shot.shotNumber ? `#${shot.shotNumber} · ` : ""}
+                        {shot.title}
+                      </div>
+                      <div className="mt-1 flex flex-wrap gap-1">
+                        {(previewByShot.get(shot.id) ?? []).map((file) => (
+                          <span
+                            key={file.name}
+                            className="inline-flex items-center gap-1 rounded border border-[var(--color-border)] px-1.5 py-0.5 font-mono text-2xs text-[var(--color-text)]"
+                          >
+                            {!file.genderResolved && (
+                              <AlertTriangle className="h-3 w-3 text-amber-500" aria-label="Gender unresolved" />
+                            )}
+                            {file.name}
+                            {file.disambiguated && (
+                              <Badge variant="outline" className="px-1 py-0 text-2xs">renamed</Badge>
+                            )}
+                          </span>
+                        ))}
+                        {!previewByShot.has(shot.id) && (
+                          <span className="text-2xs text-[var(--color-text-subtle)]">No hero products starred.</span>
+                        )}
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          </div>
+
+          <div className="flex items-center justify-end gap-2">
+            <Button variant="outline" onClick={() => onOpenChange(false)} disabled={saving}>
+              Cancel
+            </Button>
+            <Button onClick={save} disabled={saving || !clientId || !project || errors.length > 0}>
+              {saving ? "Saving…" : "Save template"}
+            </Button>
+          </div>
+        </div>
+      </DialogContent>
+    </Dialog>
+  )
+}
@@ -82,6 +82,7 @@ export default function PublicCaptureOneSharePage() {
   const [shots, setShots] = useState<readonly PublicCaptureOneShot[]>([])
   const [shareTitle, setShareTitle] = useState<string | null>(null)
   const [projectName, setProjectName] = useState<string>("Project")
+  const [filenamePattern, setFilenamePattern] = useState<string | null>(null)
   const [loading, setLoading] = useState(true)
   const [errorInfo, setErrorInfo] = useState<ErrorInfo | null>(null)
   const [query, setQuery] = useState("")
@@ -132,6 +133,7 @@ export default function PublicCaptureOneSharePage() {
           : []
         setShots(resolved)
         setProjectName(typeof data.projectName === "string" ? data.projectName : "Project")
+        setFilenamePattern(typeof data.filenamePattern === "string" ? data.filenamePattern : null)
         setShareTitle(typeof data.title === "string" ? data.title : null)
         setLoading(false)
       } catch (err) {
@@ -246,6 +248,11 @@ export default function PublicCaptureOneSharePage() {
             <p className="text-sm text-[var(--color-text-muted)]">
               {projectName} · {filtered.length} shots · {allNames.length} filenames
             </p>
+            {filenamePattern && (
+              <p className="text-xs text-[var(--color-text-muted)]">
+                Naming: <span className="font-mono">{filenamePattern}</span>
+              </p>
+            )}
             {unresolvedCount > 0 && (
               <p className="flex items-center gap-1.5 text-xs text-amber-600">
                 <AlertTriangle className="h-3.5 w-3.5 shrink-0" />
@@ -0,0 +1,127 @@
+import { describe, expect, it } from "vitest"
+import type { ProductAssignment } from "@/shared/types"
+import {
+  buildTemplatedFilenames,
+  DEFAULT_CAPTURE_ONE_TEMPLATE,
+  normalizeCaptureOneTemplate,
+  renderCaptureOneTemplate,
+  templateTokens,
+  validateCaptureOneTemplate,
+  type CaptureOneNameSource,
+} from "../captureOneTemplate"
+
+function source(
+  shotId: string,
+  hero: ProductAssignment,
+  extra: Partial<CaptureOneNameSource> = {},
+): CaptureOneNameSource {
+  return {
+    shotId,
+    shotNumber: null,
+    lookLabel: null,
+    date: null,
+    hero,
+    gender: "men",
+    styleNumber: null,
+    ...extra,
+  }
+}
+
+const tee = { familyId: "fam-tee", familyName: "Crew Tee", skuId: "sku-navy", colourName: "Navy" }
+
+describe("normalizeCaptureOneTemplate", () => {
+  it("falls back to the default pattern and drops blank views", () => {
+    expect(normalizeCaptureOneTemplate(null)).toEqual(DEFAULT_CAPTURE_ONE_TEMPLATE)
+    expect(normalizeCaptureOneTemplate({ pattern: "  ", views: [" Front ", "", 3] })).toEqual({
+      pattern: "{gender}_{product}_{colorway}",
+      views: ["Front"],
+    })
+  })
+})
+
+describe("templateTokens / validateCaptureOneTemplate", () => {
+  it("lists tokens once, in order", () => {
+    expect(templateTokens("{shot}-{product}_{shot}")).toEqual(["shot", "product"])
+  })
+
+  it("accepts the default and reports unknown tokens, missing product, illegal chars and unused views", () => {
+    expect(validateCaptureOneTemplate(DEFAULT_CAPTURE_ONE_TEMPLATE)).toEqual([])
+    expect(validateCaptureOneTemplate({ pattern: "{shot}/{season}", views: ["Front"] })).toEqual([
+      "Unknown token: {season}",
+      "Include {product} or {style} so each file identifies its product.",
+      "Remove characters Capture One can't use in filenames (/ \\ : * ? \" < > |).",
+      "Add {view} to the pattern to use views.",
+    ])
+  })
+})
+
+describe("renderCaptureOneTemplate", () => {
+  it("drops empty tokens together with one adjacent separator", () => {
+    expect(renderCaptureOneTemplate("{gender}_{product}_{colorway}", { gender: "M", product: "Tee" })).toBe("M_Tee")
+    expect(renderCaptureOneTemplate("{shot}-{product}", { product: "Tee" })).toBe("Tee")
+    expect(renderCaptureOneTemplate("{style}__{view}", { style: "A1", view: "Back" })).toBe("A1_Back")
+  })
+})
+
+describe("buildTemplatedFilenames", () => {
+  it("reproduces the legacy format with the default template", () => {
+    const files = buildTemplatedFilenames([source("s1", tee)], DEFAULT_CAPTURE_ONE_TEMPLATE)
+    expect(files).toEqual([
+      {
+        shotId: "s1",
+        name: "M_CrewTee_Navy",
+        genderResolved: true,
+        familyId: "fam-tee",
+        skuId: "sku-navy",
+        view: null,
+        disambiguated: false,
+      },
+    ])
+  })
+
+  it("fills style, shot, look and date tokens and expands views", () => {
+    const files = buildTemplatedFilenames(
+      [source("s1", tee, { shotNumber: "12", lookLabel: "look b", date: "2026-10-19", styleNumber: "CT 100" })],
+      { pattern: "{style}_{shot}_{look}_{date}_{view}", views: ["Front", "back detail"] },
+    )
+    expect(files.map((f) => [f.name, f.view])).toEqual([
+      ["CT100_12_LookB_20261019_Front", "Front"],
+      ["CT100_12_LookB_20261019_BackDetail", "back detail"],
+    ])
+  })
+
+  it("only flags an unresolved gender when the pattern uses {gender}", () => {
+    const unknown = source("s1", tee, { gender: null })
+    expect(buildTemplatedFilenames([unknown], DEFAULT_CAPTURE_ONE_TEMPLATE)[0]!.genderResolved).toBe(false)
+    expect(buildTemplatedFilenames([unknown], { pattern: "{product}_{colorway}", views: [] })[0]).toMatchObject({
+      name: "CrewTee_Navy",
+      genderResolved: true,
+    })
+  })
+
+  it("suffixes a different product that renders to a taken name, case-insensitively", () => {
+    const files = buildTemplatedFilenames(
+      [
+        source("s1", tee),
+        source("s1", { ...tee, skuId: "sku-white", colourName: "White" }),
+        source("s2", { familyId: "fam-other", familyName: "crew tee" }),
+        source("s3", tee),
+      ],
+      { pattern: "{gender}_{product}", views: [] },
+    )
+    expect(files.map((f) => [f.shotId, f.name, f.disambiguated])).toEqual([
+      ["s1", "M_CrewTee", false],
+      ["s1", "M_CrewTee_2", true],
+      ["s2", "M_CrewTee_3", true],
+      ["s3", "M_CrewTee", false],
+    ])
+  })
+
+  it("keeps one name for the same product + colorway across sizes", () => {
+    const files = buildTemplatedFilenames(
+      [source("s1", tee), source("s1", { ...tee, skuId: "sku-navy-xl" })],
+      DEFAULT_CAPTURE_ONE_TEMPLATE,
+    )
+    expect(files.map((f) => f.name)).toEqual(["M_CrewTee_Navy"])
+  })
+})
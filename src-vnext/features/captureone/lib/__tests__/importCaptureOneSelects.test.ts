@@ -0,0 +1,109 @@
+import { describe, expect, it } from "vitest"
+import { buildTemplatedFilenames, DEFAULT_CAPTURE_ONE_TEMPLATE } from "../captureOneTemplate"
+import {
+  captureOneStem,
+  extractCaptureOneSelects,
+  filterSelectsByRating,
+  matchCaptureOneSelects,
+} from "../importCaptureOneSelects"
+
+function source(shotId: string, hero: Parameters<typeof buildTemplatedFilenames>[0][number]["hero"], gender: string) {
+  return { shotId, shotNumber: null, lookLabel: null, date: null, hero, gender, styleNumber: null }
+}
+
+const jogger = { familyId: "fam-jogger", familyName: "Merino Flex Jogger", skuId: "sku-forest", colourName: "Forest" }
+
+const targets = buildTemplatedFilenames(
+  [
+    source("shot-1", jogger, "men"),
+    source("shot-2", { familyId: "fam-tee", familyName: "Crew Tee", skuId: "sku-navy", colourName: "Navy" }, "women"),
+    source("shot-2", { familyId: "fam-tee", familyName: "Crew Tee" }, "women"),
+    source("shot-3", jogger, "men"),
+  ],
+  DEFAULT_CAPTURE_ONE_TEMPLATE,
+)
+
+describe("extractCaptureOneSelects", () => {
+  it("reads the filename and rating columns from a header row", () => {
+    expect(
+      extractCaptureOneSelects([
+        ["Rating", "File Name", "Color Tag"],
+        ["★★★", "M_Tee_0001.jpg", "Green"],
+        ["4", "M_Tee_0002.jpg", ""],
+        ["", "", ""],
+      ]),
+    ).toEqual({
+      rows: [
+        { fileName: "M_Tee_0001.jpg", rating: 3 },
+        { fileName: "M_Tee_0002.jpg", rating: 4 },
+      ],
+      hasRating: true,
+    })
+  })
+
+  it("treats header-less rows as a plain filename list", () => {
+    expect(extractCaptureOneSelects([["W_CrewTee_Navy.tif"], ["M_Tee.jpg", "x"]])).toEqual({
+      rows: [
+        { fileName: "W_CrewTee_Navy.tif", rating: null },
+        { fileName: "M_Tee.jpg", rating: null },
+      ],
+      hasRating: false,
+    })
+  })
+})
+
+describe("filterSelectsByRating", () => {
+  it("dedupes and drops rows under the minimum (unrated included)", () => {
+    const rows = [
+      { fileName: "a.jpg", rating: 5 },
+      { fileName: "b.jpg", rating: 2 },
+      { fileName: "c.jpg", rating: null },
+      { fileName: "a.jpg", rating: 5 },
+    ]
+    expect(filterSelectsByRating(rows, 0)).toEqual(["a.jpg", "b.jpg", "c.jpg"])
+    expect(filterSelectsByRating(rows, 3)).toEqual(["a.jpg"])
+  })
+})
+
+describe("captureOneStem", () => {
+  it("strips folders and the extension", () => {
+    expect(captureOneStem("Selects/Output\\M_Tee_Navy_0001.JPG")).toBe("M_Tee_Navy_0001")
+    expect(captureOneStem("W_CrewTee")).toBe("W_CrewTee")
+  })
+})
+
+describe("matchCaptureOneSelects", () => {
+  it("matches exact names and counter / copy suffixes, case-insensitively", () => {
+    const { matched, unmatched } = matchCaptureOneSelects(
+      ["m_merinoflexjogger_forest_0012.jpg", "W_CrewTee_Navy (1).tif", "W_CrewTee.jpg"],
+      targets,
+    )
+    expect(matched).toEqual([
+      {
+        fileName: "m_merinoflexjogger_forest_0012.jpg",
+        name: "M_MerinoFlexJogger_Forest",
+        shotIds: ["shot-1", "shot-3"],
+        familyId: "fam-jogger",
+        skuId: "sku-forest",
+      },
+      {
+        fileName: "W_CrewTee_Navy (1).tif",
+        name: "W_CrewTee_Navy",
+        shotIds: ["shot-2"],
+        familyId: "fam-tee",
+        skuId: "sku-navy",
+      },
+      { fileName: "W_CrewTee.jpg", name: "W_CrewTee", shotIds: ["shot-2"], familyId: "fam-tee", skuId: null },
+    ])
+    expect(unmatched).toEqual([])
+  })
+
+  it("prefers the longest expected name and reports the rest as unmatched", () => {
+    const { matched, unmatched } = matchCaptureOneSelects(
+      ["W_CrewTee_Navy_0003.jpg", "W_CrewTeeLong.jpg", "M_Unknown_Red.jpg"],
+      targets,
+    )
+    expect(matched.map((m) => m.name)).toEqual(["W_CrewTee_Navy"])
+    expect(unmatched).toEqual(["W_CrewTeeLong.jpg", "M_Unknown_Red.jpg"])
+  })
+})
@@ -1,7 +1,9 @@
 import { describe, expect, it } from "vitest"
 import {
+  buildProjectFilenames,
   buildShotFilenames,
   shotHeroAssignments,
+  shotHeroEntries,
 } from "@/features/captureone/lib/resolveCaptureOneForShare"
 
 describe("shotHeroAssignments", () => {
@@ -124,3 +126,38 @@ describe("buildShotFilenames", () => {
     ).toEqual([])
   })
 })
+
+describe("shotHeroEntries", () => {
+  it("labels heroes with their look, numbering unlabeled looks in multi-look shots", () => {
+    const entries = shotHeroEntries({
+      looks: [
+        { id: "a", label: "Look A", products: [{ familyId: "fam-a", isHero: true }] },
+        { id: "b", products: [{ familyId: "fam-b", isHero: true }] },
+      ],
+    })
+    expect(entries.map((e) => [e.hero.familyId, e.lookLabel])).toEqual([
+      ["fam-a", "Look A"],
+      ["fam-b", "Look 2"],
+    ])
+  })
+})
+
+describe("buildProjectFilenames", () => {
+  it("applies the project template with family gender and style number", () => {
+    const files = buildProjectFilenames({
+      template: { pattern: "{gender}_{style}_{shot}", views: [] },
+      familyNaming: new Map([["fam-m", { gender: "men", styleNumber: "MF-1042" }]]),
+      shots: [
+        {
+          id: "shot-1",
+          shotNumber: "7",
+          title: "Jogger",
+          status: "todo",
+          date: null,
+          heroes: [{ hero: { familyId: "fam-m", familyName: "Jogger" }, lookLabel: null }],
+        },
+      ],
+    })
+    expect(files.map((f) => f.name)).toEqual(["M_MF-1042_7"])
+  })
+})
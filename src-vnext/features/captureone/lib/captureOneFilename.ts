@@ -1,5 +1,6 @@
 // Pure helpers for the Capture One digi-tech filename generator.
-// Format: <Gender>_<ProductNamePascal>_<Colorway>  e.g. M_MerinoFlexJogger_Forest
+// Default format: <Gender>_<ProductNamePascal>_<Colorway>  e.g. M_MerinoFlexJogger_Forest
+// (projects can override it with a filename template — see captureOneTemplate.ts).
 
 // Filesystem / Capture One reserved characters (the only chars we strip — the
 // locked rule is "strip only what Capture One dislikes; keep hyphens").
@@ -0,0 +1,85 @@
+// Applies an imported Capture One selects list: matched shots are marked
+// complete and each matched file is registered as a "capture_one" delivery
+// against its hero SKU, which flips that SKU's requirement to delivered and
+// refreshes the family's delivery aggregates.
+
+import { collection, getDocs } from "firebase/firestore"
+import { db } from "@/shared/lib/firebase"
+import { productFamilySkusPath } from "@/shared/lib/paths"
+import type { AuthUser } from "@/shared/types"
+import { mapProductSku } from "@/features/products/lib/mapProduct"
+import { registerProductAssetDeliveries } from "@/features/products/lib/productWorkspaceWrites"
+import { bulkUpdateShotStatus } from "@/features/shots/lib/bulkShotUpdates"
+import type { CaptureOneSelectMatch } from "@/features/captureone/lib/importCaptureOneSelects"
+
+export interface ApplyCaptureOneSelectsResult {
+  readonly shotsCompleted: number
+  readonly filesRecorded: number
+  readonly requirementsDelivered: number
+  /** Matched files whose hero has no colorway (or a removed one) — shot only, no SKU update. */
+  readonly filesWithoutSku: number
+}
+
+/** Matched files grouped by hero family; files without a SKU are left out. */
+export function groupSelectsByFamily(
+  matches: readonly CaptureOneSelectMatch[],
+): Map<string, CaptureOneSelectMatch[]> {
+  const byFamily = new Map<string, CaptureOneSelectMatch[]>()
+  for (const match of matches) {
+    if (!match.familyId || !match.skuId) continue
+    byFamily.set(match.familyId, [...(byFamily.get(match.familyId) ?? []), match])
+  }
+  return byFamily
+}
+
+export async function applyCaptureOneSelects(args: {
+  readonly clientId: string
+  readonly user: AuthUser
+  readonly matches: readonly CaptureOneSelectMatch[]
+  readonly assetType: string
+  /** Shots already complete are skipped so their updatedAt/updatedBy stay put. */
+  readonly completedShotIds?: ReadonlySet<string>
+}): Promise<ApplyCaptureOneSelectsResult> {
+  const { clientId, user, matches, assetType, completedShotIds } = args
+  if (matches.length === 0) throw new Error("No matched files to import.")
+
+  const shotIds = [...new Set(matches.flatMap((m) => m.shotIds))].filter(
+    (id) => !completedShotIds?.has(id),
+  )
+  const shotsCompleted = await bulkUpdateShotStatus(clientId, shotIds, "complete", user)
+
+  let filesRecorded = 0
+  let requirementsDelivered = 0
+  for (const [familyId, familyMatches] of groupSelectsByFamily(matches)) {
+    const skuPath = productFamilySkusPath(familyId, clientId)
+    const snap = await getDocs(collection(db, skuPath[0]!, ...skuPath.slice(1)))
+    const allSkus = snap.docs
+      .map((d) => mapProductSku(d.id, d.data() as Record<string, unknown>))
+      .filter((sku) => sku.deleted !== true)
+    const deliverable = familyMatches.filter((m) => allSkus.some((sku) => sku.id === m.skuId))
+    if (deliverable.length === 0) continue
+
+    const { flipped } = await registerProductAssetDeliveries({
+      clientId,
+      familyId,
+      userId: user.uid,
+      userName: user.displayName,
+      deliveries: deliverable.map((m) => ({
+        skuId: m.skuId!,
+        assetType,
+        fileName: m.fileName,
+        source: "capture_one" as const,
+      })),
+      allSkus,
+    })
+    filesRecorded += deliverable.length
+    requirementsDelivered += flipped
+  }
+
+  return {
+    shotsCompleted,
+    filesRecorded,
+    requirementsDelivered,
+    filesWithoutSku: matches.length - filesRecorded,
+  }
+}
@@ -60,6 +60,7 @@ export async function createCaptureOneShareLink(args: {
     createdBy: userId,
     shotIds: scopedIds,
     projectName: resolved.projectName,
+    filenamePattern: resolved.filenamePattern,
     shots: resolved.shots.map((s) => ({
       ...s,
       filenames: s.filenames.map((f) => ({ ...f })),
@@ -110,6 +111,7 @@ export async function refreshCaptureOneSharesForProject(args: {
       const resolved = await resolveCaptureOneForShare(clientId, projectId, shotIds)
       await updateDoc(docRef(captureOneShareDocPath(d.id)), {
         projectName: resolved.projectName,
+        filenamePattern: resolved.filenamePattern,
         shots: resolved.shots.map((s) => ({
           ...s,
           filenames: s.filenames.map((f) => ({ ...f })),
@@ -0,0 +1,198 @@
+// Per-project Capture One filename templates. A pattern mixes literal text with
+// {tokens}; the default reproduces the original hard-coded
+// <Gender>_<ProductNamePascal>_<Colorway> format exactly. Token values go
+// through the same sanitiser as the legacy generator, and names that collide
+// across different products are disambiguated with a numeric suffix.
+
+import type { CaptureOneFilenameTemplate, ProductAssignment } from "@/shared/types"
+import { resolveHeroGenderPrefix, toPascalCaseFilename } from "@/features/captureone/lib/captureOneFilename"
+
+export type CaptureOneTemplateToken =
+  | "gender"
+  | "product"
+  | "colorway"
+  | "style"
+  | "shot"
+  | "look"
+  | "view"
+  | "date"
+
+export const CAPTURE_ONE_TEMPLATE_TOKENS: ReadonlyArray<{
+  readonly key: CaptureOneTemplateToken
+  readonly label: string
+  readonly example: string
+}> = [
+  { key: "gender", label: "Gender prefix", example: "M" },
+  { key: "product", label: "Product name", example: "MerinoFlexJogger" },
+  { key: "colorway", label: "Colorway", example: "Forest" },
+  { key: "style", label: "Style number", example: "MF1042" },
+  { key: "shot", label: "Shot number", example: "12" },
+  { key: "look", label: "Look label", example: "LookA" },
+  { key: "view", label: "View", example: "Front" },
+  { key: "date", label: "Shoot date", example: "20261019" },
+]
+
+export const DEFAULT_CAPTURE_ONE_PATTERN = "{gender}_{product}_{colorway}"
+
+export const DEFAULT_CAPTURE_ONE_TEMPLATE: CaptureOneFilenameTemplate = {
+  pattern: DEFAULT_CAPTURE_ONE_PATTERN,
+  views: [],
+}
+
+const TOKEN_KEYS: ReadonlySet<string> = new Set(CAPTURE_ONE_TEMPLATE_TOKENS.map((t) => t.key))
+const TOKEN_RE = /\{([a-zA-Z]+)\}/g
+const ILLEGAL_LITERAL = /[/\\:*?"<>|\x00-\x1f]/
+const SEPARATOR_RUN = /([_\-. ])[_\-. ]+/g
+const EDGE_SEPARATORS = /^[_\-. ]+|[_\-. ]+$/g
+
+/** Coerces a stored template (untrusted Firestore data) onto the default. */
+export function normalizeCaptureOneTemplate(raw: unknown): CaptureOneFilenameTemplate {
+  if (!raw || typeof raw !== "object") return DEFAULT_CAPTURE_ONE_TEMPLATE
+  const data = raw as Record<string, unknown>
+  const pattern = typeof data.pattern === "string" && data.pattern.trim() ? data.pattern.trim() : DEFAULT_CAPTURE_ONE_PATTERN
+  const views = Array.isArray(data.views)
+    ? data.views.filter((v): v is string => typeof v === "string" && v.trim().length > 0).map((v) => v.trim())
+    : []
+  return { pattern, views }
+}
+
+/** Tokens used by a pattern, in order of first appearance. */
+export function templateTokens(pattern: string): string[] {
+  const seen: string[] = []
+  for (const match of pattern.matchAll(TOKEN_RE)) {
+    const key = match[1]!
+    if (!seen.includes(key)) seen.push(key)
+  }
+  return seen
+}
+
+/** Human-readable problems with a template; empty when it is usable. */
+export function validateCaptureOneTemplate(template: CaptureOneFilenameTemplate): string[] {
+  const errors: string[] = []
+  const tokens = templateTokens(template.pattern)
+  const unknown = tokens.filter((t) => !TOKEN_KEYS.has(t))
+  if (unknown.length > 0) errors.push(`Unknown ${unknown.length === 1 ? "token" : "tokens"}: ${unknown.map((t) => `{${t}}`).join(", ")}`)
+  if (!tokens.includes("product") && !tokens.includes("style")) {
+    errors.push("Include {product} or {style} so each file identifies its product.")
+  }
+  if (ILLEGAL_LITERAL.test(template.pattern.replace(TOKEN_RE, ""))) {
+    errors.push("Remove characters Capture One can't use in filenames (/ \\ : * ? \" < > |).")
+  }
+  if (template.views.length > 0 && !tokens.includes("view")) {
+    errors.push("Add {view} to the pattern to use views.")
+  }
+  return errors
+}
+
+/**
+ * Substitutes token values into a pattern. Empty tokens take one adjacent
+ * separator with them, so an absent colorway yields `M_Tee`, not `M_Tee_`.
+ */
+export function renderCaptureOneTemplate(
+  pattern: string,
+  values: Partial<Record<CaptureOneTemplateToken, string | null>>,
+): string {
+  return pattern
+    .replace(TOKEN_RE, (_, key: string) => values[key as CaptureOneTemplateToken] ?? "")
+    .replace(SEPARATOR_RUN, "$1")
+    .replace(EDGE_SEPARATORS, "")
+}
+
+/** Everything a template can draw on for one hero product in one shot. */
+export interface CaptureOneNameSource {
+  readonly shotId: string
+  readonly shotNumber: string | null
+  readonly lookLabel: string | null
+  /** YYYY-MM-DD. */
+  readonly date: string | null
+  readonly hero: ProductAssignment
+  readonly gender: string | null
+  readonly styleNumber: string | null
+}
+
+export interface TemplatedFilename {
+  readonly shotId: string
+  readonly name: string
+  readonly familyId: string | null
+  readonly skuId: string | null
+  readonly view: string | null
+  /** False only when the pattern uses {gender} and it fell back to "U". */
+  readonly genderResolved: boolean
+  /** True when a numeric suffix was added to separate it from another product's name. */
+  readonly disambiguated: boolean
+}
+
+function sanitizeCode(value: string | null | undefined): string {
+  return (value ?? "").replace(/[/\\:*?"<>|\x00-\x1f\s]+/g, "")
+}
+
+/** Same product + colorway + view — differing only by size/SKU is not a collision. */
+function identityKey(source: CaptureOneNameSource, view: string | null): string {
+  const colour = toPascalCaseFilename(source.hero.colourName).toLowerCase()
+  return `${source.hero.familyId}|${colour}|${view ?? ""}`
+}
+
+/**
+ * Renders every hero across the project with `template`. Duplicate names for
+ * the same product collapse (per shot), while a name already claimed by a
+ * different product gets `_2`, `_3`… — compared case-insensitively, since
+ * Capture One sessions often live on case-insensitive volumes.
+ */
+export function buildTemplatedFilenames(
+  sources: readonly CaptureOneNameSource[],
+  template: CaptureOneFilenameTemplate,
+): TemplatedFilename[] {
+  const tokens = templateTokens(template.pattern)
+  const views: ReadonlyArray<string | null> =
+    template.views.length > 0 && tokens.includes("view") ? template.views : [null]
+  // Without {gender} there is no U_ placeholder to warn about.
+  const usesGender = tokens.includes("gender")
+  // Lower-cased final name -> the product identity that claimed it first.
+  const owners = new Map<string, string>()
+  // base name + identity -> final name, so a product keeps one name across shots.
+  const resolved = new Map<string, string>()
+  const seenPerShot = new Set<string>()
+  const out: TemplatedFilename[] = []
+
+  for (const source of sources) {
+    const productName = source.hero.familyName?.trim() || source.hero.skuName?.trim()
+    if (!productName) continue
+    const prefix = resolveHeroGenderPrefix(source.gender)
+    for (const view of views) {
+      const identity = identityKey(source, view)
+      const base = renderCaptureOneTemplate(template.pattern, {
+        gender: prefix ?? "U",
+        product: toPascalCaseFilename(productName),
+        colorway: toPascalCaseFilename(source.hero.colourName),
+        style: sanitizeCode(source.styleNumber),
+        shot: sanitizeCode(source.shotNumber),
+        look: toPascalCaseFilename(source.lookLabel),
+        view: toPascalCaseFilename(view),
+        date: source.date ? source.date.replace(/-/g, "") : "",
+      })
+      const memoKey = `${base.toLowerCase()}#${identity}`
+      let name = resolved.get(memoKey)
+      if (!name) {
+        name = base
+        for (let n = 2; owners.has(name.toLowerCase()) && owners.get(name.toLowerCase()) !== identity; n += 1) {
+          name = `${base}_${n}`
+        }
+        owners.set(name.toLowerCase(), identity)
+        resolved.set(memoKey, name)
+      }
+      const shotKey = `${source.shotId}|${name.toLowerCase()}`
+      if (seenPerShot.has(shotKey)) continue
+      seenPerShot.add(shotKey)
+      out.push({
+        shotId: source.shotId,
+        name,
+        genderResolved: prefix !== null || !usesGender,
+        familyId: source.hero.familyId || null,
+        skuId: source.hero.skuId ?? null,
+        view,
+        disambiguated: name !== base,
+      })
+    }
+  }
+  return out
+}
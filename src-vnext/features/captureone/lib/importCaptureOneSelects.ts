@@ -0,0 +1,145 @@
+// Maps a digi-tech's post-shoot selects (Capture One CSV/XLSX export or a plain
+// filename list) back to shots and SKUs. Expected names come from the same
+// template build as the outbound export, so `M_MerinoFlexJogger_Forest_0012.jpg`
+// resolves to every shot whose hero builds `M_MerinoFlexJogger_Forest`.
+
+import { headerKey, type TabularRows } from "@/shared/lib/tabularImport"
+import type { TemplatedFilename } from "@/features/captureone/lib/captureOneTemplate"
+
+/** Header names Capture One (and hand-edited sheets) use for the file column. */
+const FILENAME_HEADERS = new Set([
+  "filename",
+  "name",
+  "file",
+  "imagename",
+  "captureonefilename",
+  "variantname",
+])
+
+const RATING_HEADERS = new Set(["rating", "starrating", "stars"])
+
+/** Characters Capture One puts between the base name and its counter / copy suffix. */
+const SUFFIX_SEPARATORS = new Set(["_", "-", " ", ".", "("])
+
+export interface CaptureOneSelectRow {
+  readonly fileName: string
+  /** Star rating when the source has a rating column, else null. */
+  readonly rating: number | null
+}
+
+export interface CaptureOneSelectsSource {
+  readonly rows: readonly CaptureOneSelectRow[]
+  readonly hasRating: boolean
+}
+
+/** One expected filename and the shot / hero it came from. */
+export type CaptureOneSelectTarget = Pick<TemplatedFilename, "name" | "shotId" | "familyId" | "skuId">
+
+export interface CaptureOneSelectMatch {
+  readonly fileName: string
+  /** The expected name the file resolved to. */
+  readonly name: string
+  readonly shotIds: readonly string[]
+  readonly familyId: string | null
+  readonly skuId: string | null
+}
+
+export interface CaptureOneSelectsResult {
+  readonly matched: readonly CaptureOneSelectMatch[]
+  readonly unmatched: readonly string[]
+}
+
+function parseRating(value: string | undefined): number | null {
+  if (!value) return null
+  const stars = (value.match(/★/g) ?? []).length
+  if (stars > 0) return stars
+  const n = Number.parseFloat(value)
+  return Number.isFinite(n) ? n : null
+}
+
+/**
+ * Pulls filenames (and ratings, when present) out of parsed rows. A first row
+ * with a recognised filename header is treated as a header; otherwise every
+ * row's first cell is a filename, which covers plain lists.
+ */
+export function extractCaptureOneSelects(rows: TabularRows): CaptureOneSelectsSource {
+  const header = (rows[0] ?? []).map(headerKey)
+  const nameCol = header.findIndex((key) => FILENAME_HEADERS.has(key))
+  if (nameCol === -1) {
+    return {
+      rows: rows.flatMap((row) => (row[0] ? [{ fileName: row[0], rating: null }] : [])),
+      hasRating: false,
+    }
+  }
+  const ratingCol = header.findIndex((key) => RATING_HEADERS.has(key))
+  return {
+    rows: rows.slice(1).flatMap((row) => {
+      const fileName = row[nameCol]
+      if (!fileName) return []
+      return [{ fileName, rating: ratingCol === -1 ? null : parseRating(row[ratingCol]) }]
+    }),
+    hasRating: ratingCol !== -1,
+  }
+}
+
+/** Unique filenames, dropping rows rated below `minRating` (unrated rows drop when a minimum is set). */
+export function filterSelectsByRating(
+  rows: readonly CaptureOneSelectRow[],
+  minRating: number,
+): string[] {
+  const seen = new Set<string>()
+  const out: string[] = []
+  for (const row of rows) {
+    if (minRating > 0 && (row.rating ?? 0) < minRating) continue
+    if (seen.has(row.fileName)) continue
+    seen.add(row.fileName)
+    out.push(row.fileName)
+  }
+  return out
+}
+
+/** Filename without folders or extension — the part the naming rules produced. */
+export function captureOneStem(fileName: string): string {
+  const base = fileName.trim().split(/[/\\]/).pop() ?? ""
+  return base.replace(/\.[A-Za-z0-9]{1,5}$/, "")
+}
+
+/**
+ * Resolves each selected file to the longest expected name it equals or
+ * extends with a counter / copy suffix (`_0012`, `-2`, ` (1)`), so a
+ * colorway-less `M_Tee` never steals `M_Tee_Navy_0001`. Matching ignores case.
+ */
+export function matchCaptureOneSelects(
+  fileNames: readonly string[],
+  targets: readonly CaptureOneSelectTarget[],
+): CaptureOneSelectsResult {
+  const byName = new Map<string, CaptureOneSelectTarget[]>()
+  for (const target of targets) {
+    const key = target.name.toLowerCase()
+    byName.set(key, [...(byName.get(key) ?? []), target])
+  }
+  const keys = [...byName.keys()].sort((a, b) => b.length - a.length)
+
+  const matched: CaptureOneSelectMatch[] = []
+  const unmatched: string[] = []
+  for (const fileName of fileNames) {
+    const stem = captureOneStem(fileName).toLowerCase()
+    const key = keys.find(
+      (k) => stem === k || (stem.startsWith(k) && SUFFIX_SEPARATORS.has(stem.charAt(k.length))),
+    )
+    if (!key) {
+      unmatched.push(fileName)
+      continue
+    }
+    const hits = byName.get(key)!
+    const withSku = hits.find((t) => t.skuId) ?? hits[0]!
+    matched.push({
+      fileName,
+      name: hits[0]!.name,
+      shotIds: [...new Set(hits.map((t) => t.shotId))],
+      familyId: withSku.familyId,
+      skuId: withSku.skuId,
+    })
+  }
+  return { matched, unmatched }
+}
@@ -2,14 +2,21 @@
 // captureOneShares document. Run at share-create (and refresh) time while the
 // caller is authenticated, so productFamilies reads succeed under normal rules.
 // The public digi-tech page then renders the stored payload with no Firestore reads.
+// Names follow the project's filename template (captureOneTemplate.ts).
 
 import { collection, doc, getDoc, getDocs, query, where } from "firebase/firestore"
 import { db } from "@/shared/lib/firebase"
 import { shotsPath, projectPath, productFamiliesPath } from "@/shared/lib/paths"
-import { buildHeroFilename, type HeroFilename } from "@/features/captureone/lib/captureOneFilename"
+import type { HeroFilename } from "@/features/captureone/lib/captureOneFilename"
+import {
+  buildTemplatedFilenames,
+  DEFAULT_CAPTURE_ONE_TEMPLATE,
+  normalizeCaptureOneTemplate,
+  type TemplatedFilename,
+} from "@/features/captureone/lib/captureOneTemplate"
 import { lookHeroAssignments } from "@/features/shots/lib/lookHeroes"
 import { normalizeProducts } from "@/features/shots/lib/mapShot"
-import type { ProductAssignment, ShotLook } from "@/shared/types"
+import type { CaptureOneFilenameTemplate, ProductAssignment, ShotLook } from "@/shared/types"
 
 export interface ResolvedCaptureOneShot {
   readonly id: string
@@ -20,6 +27,8 @@ export interface ResolvedCaptureOneShot {
 
 export interface ResolvedCaptureOnePayload {
   readonly projectName: string
+  /** The template pattern the names were built with, shown on the public page. */
+  readonly filenamePattern: string
   readonly shots: readonly ResolvedCaptureOneShot[]
 }
 
@@ -38,38 +47,98 @@ function normaliseString(value: unknown): string | null {
   return trimmed.length > 0 ? trimmed : null
 }
 
+/** YYYY-MM-DD from a raw Firestore shot date (Timestamp-like), else null. */
+function shotDateOnly(value: unknown): string | null {
+  if (!value || typeof value !== "object" || !("toDate" in value)) return null
+  try {
+    return (value as { toDate: () => Date }).toDate().toISOString().slice(0, 10)
+  } catch {
+    return null
+  }
+}
+
+export interface CaptureOneShotHero {
+  readonly hero: ProductAssignment
+  /** The look's label, else "Look N" for multi-look shots; null for look-less shots. */
+  readonly lookLabel: string | null
+}
+
 /**
- * Hero product assignments across all looks of a shot (isHero-first, legacy fallback).
+ * Hero product assignments across all looks of a shot (isHero-first, legacy
+ * fallback), each with its look label for the {look} template token.
  * Reads RAW Firestore shots, so products are run through normalizeProducts first
  * (legacy productId->familyId, productName->familyName) before hero resolution.
- * No dedup here — buildShotFilenames dedupes by the final filename, which is the
+ * No dedup here — the filename builder dedupes by the final filename, which is the
  * identity that actually matters (distinct colourways must not collapse).
  */
-export function shotHeroAssignments(data: Record<string, unknown>): ProductAssignment[] {
+export function shotHeroEntries(data: Record<string, unknown>): CaptureOneShotHero[] {
   const rawLooks = Array.isArray(data.looks) ? (data.looks as Record<string, unknown>[]) : []
-  const sources: ShotLook[] =
-    rawLooks.length > 0
-      ? rawLooks.map((l) => ({
-          id: typeof l.id === "string" ? l.id : "_",
-          products: normalizeProducts(l.products),
-          heroProductId: typeof l.heroProductId === "string" ? l.heroProductId : undefined,
-        }))
-      : Array.isArray(data.products)
-        ? [{ id: "_", products: normalizeProducts(data.products) }]
-        : []
+  if (rawLooks.length === 0) {
+    if (!Array.isArray(data.products)) return []
+    return lookHeroAssignments({ id: "_", products: normalizeProducts(data.products) }).map((hero) => ({
+      hero,
+      lookLabel: null,
+    }))
+  }
+  return rawLooks.flatMap((l, index) => {
+    const look: ShotLook = {
+      id: typeof l.id === "string" ? l.id : "_",
+      products: normalizeProducts(l.products),
+      heroProductId: typeof l.heroProductId === "string" ? l.heroProductId : undefined,
+    }
+    const lookLabel = normaliseString(l.label) ?? (rawLooks.length > 1 ? `Look ${index + 1}` : null)
+    return lookHeroAssignments(look).map((hero) => ({ hero, lookLabel }))
+  })
+}
+
+/** Hero product assignments across all looks of a shot, without look context. */
+export function shotHeroAssignments(data: Record<string, unknown>): ProductAssignment[] {
+  return shotHeroEntries(data).map((entry) => entry.hero)
+}
+
+export interface CaptureOneShotHeroes {
+  readonly id: string
+  readonly shotNumber: string | null
+  readonly title: string
+  readonly status: string | null
+  /** YYYY-MM-DD: the shot's own date, else the project's first shoot date. */
+  readonly date: string | null
+  readonly heroes: readonly CaptureOneShotHero[]
+}
 
-  return sources.flatMap((look) => lookHeroAssignments(look))
+export interface CaptureOneFamilyNaming {
+  readonly gender: string | null
+  readonly styleNumber: string | null
 }
 
-export async function resolveCaptureOneForShare(
+export interface CaptureOneProjectHeroes {
+  readonly projectName: string
+  readonly template: CaptureOneFilenameTemplate
+  readonly shots: readonly CaptureOneShotHeroes[]
+  readonly familyNaming: ReadonlyMap<string, CaptureOneFamilyNaming>
+}
+
+/**
+ * Reads a project's live shots (or just `shotIds`) with their hero assignments,
+ * sorted by shot number, plus its filename template and each hero family's
+ * gender and style number. Shared by the share resolver, the template preview
+ * and the selects importer so all three produce identical names.
+ */
+export async function loadCaptureOneProjectHeroes(
   clientId: string,
   projectId: string,
   shotIds: readonly string[] | null,
-): Promise<ResolvedCaptureOnePayload> {
+): Promise<CaptureOneProjectHeroes> {
   const projectSnap = await getDoc(docRef(projectPath(projectId, clientId)))
-  const projectName = projectSnap.exists()
-    ? (normaliseString((projectSnap.data() as Record<string, unknown>).name) ?? "Project")
-    : "Project"
+  const projectData = projectSnap.exists() ? (projectSnap.data() as Record<string, unknown>) : {}
+  const projectName = normaliseString(projectData.name) ?? "Project"
+  const template = normalizeCaptureOneTemplate(projectData.captureOneTemplate)
+  const firstShootDate = Array.isArray(projectData.shootDates)
+    ? (projectData.shootDates as unknown[])
+        .map(normaliseString)
+        .filter((d): d is string => d !== null)
+        .sort()[0] ?? null
+    : null
 
   type ShotDoc = { id: string; data: Record<string, unknown> }
   let shotDocs: ShotDoc[] = []
@@ -98,53 +167,104 @@ export async function resolveCaptureOneForShare(
 
   // Batch-read hero product families for gender.
   const familyIdSet = new Set<string>()
-  const heroesByShot = new Map<string, ProductAssignment[]>()
-  for (const s of shotsRaw) {
-    const heroes = shotHeroAssignments(s.data)
-    heroesByShot.set(s.id, heroes)
-    for (const p of heroes) {
-      if (p.familyId) familyIdSet.add(p.familyId)
+  const shots: CaptureOneShotHeroes[] = shotsRaw.map((s) => {
+    const heroes = shotHeroEntries(s.data)
+    for (const { hero } of heroes) {
+      if (hero.familyId) familyIdSet.add(hero.familyId)
     }
-  }
+    return {
+      id: s.id,
+      shotNumber: normaliseString(s.data.shotNumber),
+      title: normaliseString(s.data.title) ?? normaliseString(s.data.name) ?? "Untitled Shot",
+      status: normaliseString(s.data.status),
+      date: shotDateOnly(s.data.date) ?? firstShootDate,
+      heroes,
+    }
+  })
 
-  const genderByFamily = new Map<string, string | null>()
+  const familyNaming = new Map<string, CaptureOneFamilyNaming>()
   if (familyIdSet.size > 0) {
     const refs = Array.from(familyIdSet).map((fid) => docRef(productFamiliesPath(clientId), fid))
     const snaps = await Promise.all(refs.map((r) => getDoc(r)))
     for (const snap of snaps) {
       if (!snap.exists()) continue
-      genderByFamily.set(snap.id, normaliseString((snap.data() as Record<string, unknown>).gender))
+      const data = snap.data() as Record<string, unknown>
+      familyNaming.set(snap.id, {
+        gender: normaliseString(data.gender),
+        styleNumber: normaliseString(data.styleNumber),
+      })
     }
   }
 
-  const shots: ResolvedCaptureOneShot[] = shotsRaw.map((s) => ({
-    id: s.id,
-    shotNumber: normaliseString(s.data.shotNumber),
-    title: normaliseString(s.data.title) ?? normaliseString(s.data.name) ?? "Untitled Shot",
-    filenames: buildShotFilenames(heroesByShot.get(s.id) ?? [], genderByFamily),
-  }))
+  return { projectName, template, shots, familyNaming }
+}
+
+/** Every templated filename across the loaded shots, in shot order. */
+export function buildProjectFilenames(
+  project: Pick<CaptureOneProjectHeroes, "template" | "shots" | "familyNaming">,
+  template: CaptureOneFilenameTemplate = project.template,
+): TemplatedFilename[] {
+  return buildTemplatedFilenames(
+    project.shots.flatMap((shot) =>
+      shot.heroes.map(({ hero, lookLabel }) => {
+        const naming = hero.familyId ? project.familyNaming.get(hero.familyId) : undefined
+        return {
+          shotId: shot.id,
+          shotNumber: shot.shotNumber,
+          lookLabel,
+          date: shot.date,
+          hero,
+          gender: naming?.gender ?? null,
+          styleNumber: naming?.styleNumber ?? null,
+        }
+      }),
+    ),
+    template,
+  )
+}
+
+export async function resolveCaptureOneForShare(
+  clientId: string,
+  projectId: string,
+  shotIds: readonly string[] | null,
+): Promise<ResolvedCaptureOnePayload> {
+  const project = await loadCaptureOneProjectHeroes(clientId, projectId, shotIds)
+  const byShot = new Map<string, HeroFilename[]>()
+  for (const file of buildProjectFilenames(project)) {
+    byShot.set(file.shotId, [
+      ...(byShot.get(file.shotId) ?? []),
+      { name: file.name, genderResolved: file.genderResolved },
+    ])
+  }
 
-  return { projectName, shots }
+  return {
+    projectName: project.projectName,
+    filenamePattern: project.template.pattern,
+    shots: project.shots.map((s) => ({
+      id: s.id,
+      shotNumber: s.shotNumber,
+      title: s.title,
+      filenames: byShot.get(s.id) ?? [],
+    })),
+  }
 }
 
-/** Build deduped Capture One filenames for a shot's hero products, prefix from each family's gender. */
+/** Build deduped Capture One filenames for one shot's hero products, prefix from each family's gender. */
 export function buildShotFilenames(
   heroes: ReadonlyArray<ProductAssignment>,
   genderByFamily: ReadonlyMap<string, string | null>,
+  template: CaptureOneFilenameTemplate = DEFAULT_CAPTURE_ONE_TEMPLATE,
 ): HeroFilename[] {
-  const filenames: HeroFilename[] = []
-  const seenNames = new Set<string>()
-  for (const p of heroes) {
-    const productName = normaliseString(p.familyName) ?? normaliseString(p.skuName)
-    if (!productName) continue // a nameless hero can't produce a usable filename — skip, don't emit "U_"
-    const file = buildHeroFilename({
-      gender: p.familyId ? genderByFamily.get(p.familyId) ?? null : null,
-      productName,
-      colorway: normaliseString(p.colourName),
-    })
-    if (seenNames.has(file.name)) continue
-    seenNames.add(file.name)
-    filenames.push(file)
-  }
-  return filenames
+  return buildTemplatedFilenames(
+    heroes.map((hero) => ({
+      shotId: "_",
+      shotNumber: null,
+      lookLabel: null,
+      date: null,
+      hero,
+      gender: hero.familyId ? genderByFamily.get(hero.familyId) ?? null : null,
+      styleNumber: null,
+    })),
+    template,
+  ).map(({ name, genderResolved }) => ({ name, genderResolved }))
 }
@@ -0,0 +1,102 @@
+// @vitest-environment node
+/**
+ * Unit tests for the pure helpers in `functions/src/talentHolds.js`
+ * (agency answers applied to talent holds by `applyTalentHoldResponse`).
+ * The Firestore trigger itself is not exercised here.
+ */
+
+import { describe, expect, it } from "vitest"
+import { createRequire } from "node:module"
+import { resolve } from "node:path"
+
+type Hold = Record<string, unknown>
+
+const require = createRequire(import.meta.url)
+const holds = require(
+  resolve(__dirname, "../../../../functions/src/talentHolds.js"),
+) as {
+  buildHoldResponsePatch: (
+    hold: Hold | null,
+    response: Record<string, unknown> | null,
+    ctx: { token: string; today: string },
+  ) => Record<string, unknown> | null
+  holdResponseRejection: (
+    hold: Hold | null,
+    response: Record<string, unknown> | null,
+    ctx: { token: string; today: string },
+  ) => string | null
+  toHoldDate: (date: Date) => string
+}
+
+const CTX = { token: "tok-1", today: "2026-05-10" }
+
+function hold(overrides: Hold = {}): Hold {
+  return {
+    status: "pending",
+    expiresOn: "2026-05-12",
+    requestToken: "tok-1",
+    respondedBy: null,
+    responseNote: null,
+    ...overrides,
+  }
+}
+
+const CONFIRM = { decision: "confirm", agentName: " Ana Agent ", agentEmail: "ana@agency.com", note: "  Booked in " }
+
+describe("buildHoldResponsePatch", () => {
+  it("confirms a pending hold with the agent's details", () => {
+    expect(holds.buildHoldResponsePatch(hold(), CONFIRM, CTX)).toEqual({
+      status: "confirmed",
+      respondedBy: "Ana Agent",
+      respondedByEmail: "ana@agency.com",
+      responseNote: "Booked in",
+    })
+  })
+
+  it("lets an agent release a confirmed hold", () => {
+    const patch = holds.buildHoldResponsePatch(
+      hold({ status: "confirmed", respondedBy: "Ana Agent" }),
+      { ...CONFIRM, decision: "release", note: null },
+      CTX,
+    )
+    expect(patch).toMatchObject({ status: "released", responseNote: null })
+  })
+
+  it("ignores answers for released, expired or re-sent holds", () => {
+    expect(holds.buildHoldResponsePatch(hold({ status: "released" }), CONFIRM, CTX)).toBeNull()
+    expect(holds.buildHoldResponsePatch(hold({ expiresOn: "2026-05-09" }), CONFIRM, CTX)).toBeNull()
+    expect(holds.buildHoldResponsePatch(hold({ requestToken: "tok-2" }), CONFIRM, CTX)).toBeNull()
+    expect(holds.buildHoldResponsePatch(hold(), { ...CONFIRM, decision: "maybe" }, CTX)).toBeNull()
+  })
+
+  it("still lets an expired hold be released", () => {
+    const patch = holds.buildHoldResponsePatch(hold({ expiresOn: "2026-05-09" }), { ...CONFIRM, decision: "release" }, CTX)
+    expect(patch?.["status"]).toBe("released")
+  })
+
+  it("skips writes that change nothing", () => {
+    const applied = hold({ status: "confirmed", respondedBy: "Ana Agent", responseNote: "Booked in" })
+    expect(holds.buildHoldResponsePatch(applied, CONFIRM, CTX)).toBeNull()
+  })
+})
+
+describe("holdResponseRejection", () => {
+  it("names why an answer can't apply, so the agency page can say so", () => {
+    expect(holds.holdResponseRejection(hold({ status: "released" }), CONFIRM, CTX)).toBe("released")
+    expect(holds.holdResponseRejection(hold({ expiresOn: "2026-05-09" }), CONFIRM, CTX)).toBe("expired")
+    expect(holds.holdResponseRejection(hold({ requestToken: "tok-2" }), CONFIRM, CTX)).toBe("superseded")
+  })
+
+  it("does not reject answers that apply or change nothing", () => {
+    expect(holds.holdResponseRejection(hold(), CONFIRM, CTX)).toBeNull()
+    const applied = hold({ status: "confirmed", respondedBy: "Ana Agent", responseNote: "Booked in" })
+    expect(holds.holdResponseRejection(applied, CONFIRM, CTX)).toBeNull()
+    expect(holds.holdResponseRejection(hold(), { ...CONFIRM, decision: "maybe" }, CTX)).toBeNull()
+  })
+})
+
+describe("toHoldDate", () => {
+  it("formats the UTC day", () => {
+    expect(holds.toHoldDate(new Date("2026-05-10T23:30:00Z"))).toBe("2026-05-10")
+  })
+})
@@ -0,0 +1,167 @@
+// @vitest-environment node
+/**
+ * Firestore rules tests for talent holds and agency hold confirmation links.
+ *
+ * Covers: talentHolds scoped to admin/producer of the owning client;
+ * talentHoldRequests anon get on enabled/disabled links; anon responses
+ * limited to the link's holds, allowed fields and decisions, including on
+ * links without an expiresAt field; no deletes.
+ *
+ * Requires the Firestore emulator. When FIRESTORE_EMULATOR_HOST is not set the
+ * suite self-skips so a plain `CI=1 npm test` stays green without an emulator.
+ */
+
+import { readFileSync } from "node:fs"
+import { resolve } from "node:path"
+import { afterAll, beforeAll, describe, it } from "vitest"
+import {
+  assertFails,
+  assertSucceeds,
+  initializeTestEnvironment,
+  type RulesTestEnvironment,
+} from "@firebase/rules-unit-testing"
+import { collection, deleteDoc, doc, getDoc, getDocs, query, setDoc, Timestamp, where } from "firebase/firestore"
+
+const EMULATOR_HOST = process.env.FIRESTORE_EMULATOR_HOST
+const skipSuite = !EMULATOR_HOST
+const describeOrSkip = skipSuite ? describe.skip : describe
+
+const PROJECT_ID = "demo-talent-holds-rules"
+const RULES_PATH = resolve(__dirname, "../../../../firestore.rules")
+
+const CLIENT_A = "client-a"
+const CLIENT_B = "client-b"
+const LINK_OK = "hold-link-ok-0001"
+const LINK_DISABLED = "hold-link-off-0001"
+const LINK_NO_EXPIRY = "hold-link-noexp-0001" // no expiresAt field at all
+
+function makeHold(overrides: Record<string, unknown> = {}) {
+  return {
+    talentId: "t1",
+    talentName: "Jane Doe",
+    talentAgency: null,
+    projectId: "p1",
+    projectName: "Spring",
+    date: "2026-05-20",
+    option: 1,
+    status: "pending",
+    expiresOn: null,
+    notes: null,
+    requestToken: null,
+    createdBy: "prod-a",
+    createdAt: Timestamp.now(),
+    updatedAt: Timestamp.now(),
+    ...overrides,
+  }
+}
+
+function makeRequest(overrides: Record<string, unknown> = {}) {
+  return {
+    clientId: CLIENT_A,
+    projectId: "p1",
+    projectName: "Spring",
+    talentId: "t1",
+    talentName: "Jane Doe",
+    talentAgency: null,
+    holdIds: ["h1"],
+    holds: [{ holdId: "h1", date: "2026-05-20", option: 1, expiresOn: null }],
+    message: null,
+    enabled: true,
+    expiresAt: null,
+    createdAt: Timestamp.now(),
+    createdBy: "prod-a",
+    ...overrides,
+  }
+}
+
+const ANSWER = {
+  holdId: "h1",
+  decision: "confirm",
+  agentName: "Ana Agent",
+  agentEmail: "ana@agency.com",
+  note: null,
+  respondedAt: Timestamp.now(),
+}
+
+let testEnv: RulesTestEnvironment | null = null
+
+describeOrSkip("firestore.rules — talent holds", () => {
+  beforeAll(async () => {
+    if (!EMULATOR_HOST) return
+    const [host, portStr] = EMULATOR_HOST.split(":")
+    const port = Number(portStr || "8080")
+    testEnv = await initializeTestEnvironment({
+      projectId: PROJECT_ID,
+      firestore: { host, port, rules: readFileSync(RULES_PATH, "utf8") },
+    })
+
+    await testEnv.withSecurityRulesDisabled(async (ctx) => {
+      const db = ctx.firestore()
+      await setDoc(doc(db, "clients", CLIENT_A, "talentHolds", "h1"), makeHold())
+      await setDoc(doc(db, "talentHoldRequests", LINK_OK), makeRequest())
+      await setDoc(doc(db, "talentHoldRequests", LINK_DISABLED), makeRequest({ enabled: false }))
+      const { expiresAt: _expiresAt, ...noExpiry } = makeRequest()
+      await setDoc(doc(db, "talentHoldRequests", LINK_NO_EXPIRY), noExpiry)
+    })
+  })
+
+  afterAll(async () => {
+    if (testEnv) await testEnv.cleanup()
+  })
+
+  function anon() {
+    return testEnv!.unauthenticatedContext().firestore()
+  }
+  function authed(uid: string, clientId: string, role: string) {
+    return testEnv!.authenticatedContext(uid, { clientId, role }).firestore()
+  }
+
+  it("[1] producer queries their client's holds by talent", async () => {
+    const db = authed("prod-a", CLIENT_A, "producer")
+    await assertSucceeds(getDocs(query(collection(db, "clients", CLIENT_A, "talentHolds"), where("talentId", "==", "t1"))))
+  })
+
+  it("[2] crew and foreign producers cannot read holds", async () => {
+    await assertFails(getDoc(doc(authed("crew-a", CLIENT_A, "crew"), "clients", CLIENT_A, "talentHolds", "h1")))
+    await assertFails(getDoc(doc(authed("prod-b", CLIENT_B, "producer"), "clients", CLIENT_A, "talentHolds", "h1")))
+  })
+
+  it("[3] producer creates a hold; an unknown option is rejected", async () => {
+    const db = authed("prod-a", CLIENT_A, "producer")
+    await assertSucceeds(setDoc(doc(db, "clients", CLIENT_A, "talentHolds", "h-new"), makeHold()))
+    await assertFails(setDoc(doc(db, "clients", CLIENT_A, "talentHolds", "h-bad"), makeHold({ option: 3 })))
+  })
+
+  it("[4] anon reads an enabled link but not a disabled one", async () => {
+    await assertSucceeds(getDoc(doc(anon(), "talentHoldRequests", LINK_OK)))
+    await assertFails(getDoc(doc(anon(), "talentHoldRequests", LINK_DISABLED)))
+  })
+
+  it("[5] anon answers a hold on the link", async () => {
+    await assertSucceeds(setDoc(doc(anon(), "talentHoldRequests", LINK_OK, "responses", "h1"), ANSWER))
+    await assertSucceeds(getDocs(collection(anon(), "talentHoldRequests", LINK_OK, "responses")))
+  })
+
+  it("[6] anon cannot answer holds off the link, on a disabled link, or with extra fields", async () => {
+    await assertFails(
+      setDoc(doc(anon(), "talentHoldRequests", LINK_OK, "responses", "h2"), { ...ANSWER, holdId: "h2" }),
+    )
+    await assertFails(setDoc(doc(anon(), "talentHoldRequests", LINK_DISABLED, "responses", "h1"), ANSWER))
+    await assertFails(
+      setDoc(doc(anon(), "talentHoldRequests", LINK_OK, "responses", "h1"), { ...ANSWER, status: "confirmed" }),
+    )
+    await assertFails(
+      setDoc(doc(anon(), "talentHoldRequests", LINK_OK, "responses", "h1"), { ...ANSWER, decision: "maybe" }),
+    )
+  })
+
+  it("[7] anon cannot write the hold itself or delete answers", async () => {
+    await assertFails(setDoc(doc(anon(), "clients", CLIENT_A, "talentHolds", "h1"), makeHold({ status: "confirmed" })))
+    await assertFails(deleteDoc(doc(anon(), "talentHoldRequests", LINK_OK, "responses", "h1")))
+  })
+
+  it("[8] anon answers and reads answers on a link saved without expiresAt", async () => {
+    await assertSucceeds(setDoc(doc(anon(), "talentHoldRequests", LINK_NO_EXPIRY, "responses", "h1"), ANSWER))
+    await assertSucceeds(getDocs(collection(anon(), "talentHoldRequests", LINK_NO_EXPIRY, "responses")))
+  })
+})
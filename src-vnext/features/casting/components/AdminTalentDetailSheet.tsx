@@ -3,7 +3,8 @@
  *
  * Shows the same rich profile data as the public TalentDetailSheet
  * (headshot, measurements, portfolio, casting images) PLUS aggregated
- * vote tallies and individual reviewer feedback. Does NOT include
+ * vote tallies, individual reviewer feedback and (when `holdContext` is
+ * passed) the talent's shoot-date holds. Does NOT include
  * vote buttons or comment input — admin views, doesn't vote.
  */
 
@@ -31,6 +32,7 @@ import {
   type BoardImage,
 } from "@/features/casting/lib/castingBoardImages"
 import { updateCastingEntryVisibility } from "@/features/casting/lib/castingWrites"
+import { TalentHoldsSection } from "@/features/casting/components/TalentHoldsSection"
 import type { CastingBoardEntry, TalentRecord } from "@/shared/types"
 import type { VoteAggregate } from "@/features/casting/hooks/useCastingVoteAggregates"
 
@@ -43,6 +45,12 @@ interface AdminTalentDetailSheetProps {
   readonly projectId: string | null
   readonly open: boolean
   readonly onOpenChange: (open: boolean) => void
+  /** Enables the shoot-date holds section. Omitted → no holds UI. */
+  readonly holdContext?: {
+    readonly projectName: string
+    readonly userId: string
+    readonly canManage: boolean
+  } | null
 }
 
 function initials(name: string): string {
@@ -256,6 +264,7 @@ export function AdminTalentDetailSheet({
   projectId,
   open,
   onOpenChange,
+  holdContext,
 }: AdminTalentDetailSheetProps) {
   const [lightboxState, setLightboxState] = useState<{
     images: readonly string[]
@@ -422,6 +431,19 @@ export function AdminTalentDetailSheet({
               )}
             </div>
 
+            {/* Shoot-date holds */}
+            {holdContext && entry && clientId && projectId && (
+              <TalentHoldsSection
+                clientId={clientId}
+                projectId={projectId}
+                projectName={holdContext.projectName}
+                userId={holdContext.userId}
+                entry={entry}
+                agency={talent?.agency ?? entry.talentAgency ?? null}
+                canManage={holdContext.canManage}
+              />
+            )}
+
             {/* Vote tally */}
             {voteAggregate && (voteAggregate.approve + voteAggregate.maybe + voteAggregate.disapprove) > 0 && (
               <VoteTallyBar aggregate={voteAggregate} />
@@ -78,6 +78,11 @@ export default function CastingBoardPage() {
     globalRole === ROLE.ADMIN ||
     globalRole === ROLE.PRODUCER ||
     globalRole === ROLE.WAREHOUSE
+  // PINNED to the GLOBAL claim: holds live client-wide at
+  // /clients/{clientId}/talentHolds, whose rule is isAdmin || isProducer —
+  // and so do the /talentHoldRequests agency links.
+  const canManageHolds =
+    (globalRole === ROLE.ADMIN || globalRole === ROLE.PRODUCER) && !isMobile
 
   // Local UI state
   const [search, setSearch] = useState("")
@@ -495,6 +500,11 @@ export default function CastingBoardPage() {
         canEdit={canEdit}
         clientId={clientId}
         projectId={projectId}
+        holdContext={
+          user
+            ? { projectName: projectName || "Project", userId: user.uid, canManage: canManageHolds }
+            : null
+        }
       />
     </ErrorBoundary>
   )
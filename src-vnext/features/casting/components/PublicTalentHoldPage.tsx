@@ -0,0 +1,472 @@
+import { useCallback, useEffect, useState } from "react"
+import { useParams } from "react-router-dom"
+import { collection, doc, getDoc, onSnapshot, type Unsubscribe } from "firebase/firestore"
+import { db } from "@/shared/lib/firebase"
+import { ErrorBoundary } from "@/shared/components/ErrorBoundary"
+import { LoadingState } from "@/shared/components/LoadingState"
+import { DetailPageSkeleton } from "@/shared/components/Skeleton"
+import { Input } from "@/ui/input"
+import { Button } from "@/ui/button"
+import { Textarea } from "@/ui/textarea"
+import { submitTalentHoldResponse } from "@/features/casting/lib/castingWrites"
+import { formatShootDate } from "@/features/projects/lib/shootDates"
+import {
+  HOLD_DECISION_LABELS,
+  HOLD_OPTION_LABELS,
+  HOLD_REJECTION_MESSAGES,
+  isHoldExpired,
+  toHoldDate,
+} from "@/features/casting/lib/talentHolds"
+import type {
+  TalentHoldDecision,
+  TalentHoldRejection,
+  TalentHoldRequestItem,
+} from "@/shared/types"
+
+// ---------------------------------------------------------------------------
+// Types
+// ---------------------------------------------------------------------------
+
+type ErrorInfo = {
+  readonly heading: string
+  readonly message: string
+}
+
+type AgentIdentity = {
+  readonly name: string
+  readonly email: string
+}
+
+type HoldAnswer = {
+  readonly decision: TalentHoldDecision
+  readonly agentName: string
+  readonly note: string | null
+  readonly rejectedReason: TalentHoldRejection | null
+}
+
+type RequestInfo = {
+  readonly projectName: string
+  readonly talentName: string
+  readonly talentAgency: string | null
+  readonly message: string | null
+  readonly holds: readonly TalentHoldRequestItem[]
+}
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+function getStorageKey(token: string): string {
+  return `sb:hold-agent:${token}`
+}
+
+function loadAgent(token: string): AgentIdentity | null {
+  try {
+    const raw = localStorage.getItem(getStorageKey(token))
+    if (!raw) return null
+    const parsed = JSON.parse(raw) as { name?: string; email?: string }
+    if (typeof parsed.name === "string" && typeof parsed.email === "string" && parsed.name && parsed.email) {
+      return { name: parsed.name, email: parsed.email }
+    }
+    return null
+  } catch {
+    return null
+  }
+}
+
+function saveAgent(token: string, identity: AgentIdentity): void {
+  localStorage.setItem(getStorageKey(token), JSON.stringify(identity))
+}
+
+function parseRejection(value: unknown): TalentHoldRejection | null {
+  return value === "expired" || value === "released" || value === "superseded" ? value : null
+}
+
+function parseHoldItems(value: unknown): TalentHoldRequestItem[] {
+  if (!Array.isArray(value)) return []
+  return value
+    .filter((h): h is Record<string, unknown> => !!h && typeof h === "object")
+    .filter((h) => typeof h["holdId"] === "string" && typeof h["date"] === "string")
+    .map((h): TalentHoldRequestItem => ({
+      holdId: h["holdId"] as string,
+      date: h["date"] as string,
+      option: h["option"] === 2 ? 2 : 1,
+      expiresOn: typeof h["expiresOn"] === "string" ? h["expiresOn"] : null,
+    }))
+    .sort((a, b) => a.date.localeCompare(b.date))
+}
+
+// ---------------------------------------------------------------------------
+// Main Page Component
+// ---------------------------------------------------------------------------
+
+/**
+ * Tokenized agency page for talent holds. The agent identifies themselves
+ * once, then confirms or releases each held date; answers are written to
+ * `talentHoldRequests/{token}/responses/{holdId}` and carried onto the
+ * producer's holds server-side.
+ */
+export default function PublicTalentHoldPage() {
+  const { token } = useParams<{ token: string }>()
+
+  const [request, setRequest] = useState<RequestInfo | null>(null)
+  const [answers, setAnswers] = useState<Record<string, HoldAnswer>>({})
+  const [notes, setNotes] = useState<Record<string, string>>({})
+  const [submitting, setSubmitting] = useState<string | null>(null)
+
+  const [loading, setLoading] = useState(true)
+  const [errorInfo, setErrorInfo] = useState<ErrorInfo | null>(null)
+
+  const [agent, setAgent] = useState<AgentIdentity | null>(null)
+  const [nameInput, setNameInput] = useState("")
+  const [emailInput, setEmailInput] = useState("")
+  const [showIdentityForm, setShowIdentityForm] = useState(false)
+
+  const today = toHoldDate(new Date())
+
+  useEffect(() => {
+    if (!token) return
+    const stored = loadAgent(token)
+    if (stored) {
+      setAgent(stored)
+    } else {
+      setShowIdentityForm(true)
+    }
+  }, [token])
+
+  useEffect(() => {
+    let active = true
+    let unsubscribeResponses: Unsubscribe | null = null
+
+    const load = async () => {
+      if (!token || token.length < 10) {
+        setErrorInfo({ heading: "Invalid link", message: "This hold confirmation link is invalid." })
+        setLoading(false)
+        return
+      }
+
+      setLoading(true)
+      setErrorInfo(null)
+
+      try {
+        const snap = await getDoc(doc(db, "talentHoldRequests", token))
+        if (!active) return
+
+        if (!snap.exists()) {
+          setErrorInfo({
+            heading: "Link not found",
+            message: "This hold confirmation link is invalid. It may have been deleted.",
+          })
+          setLoading(false)
+          return
+        }
+
+        const data = snap.data() as Record<string, unknown>
+
+        if (data.enabled !== true) {
+          setErrorInfo({ heading: "Link expired", message: "This hold confirmation link has been disabled." })
+          setLoading(false)
+          return
+        }
+
+        if (data.expiresAt) {
+          try {
+            const expiresAt = (data.expiresAt as { toDate: () => Date }).toDate()
+            if (expiresAt.getTime() < Date.now()) {
+              setErrorInfo({
+                heading: "Link expired",
+                message: "This hold confirmation link has expired. Ask the production for a new one.",
+              })
+              setLoading(false)
+              return
+            }
+          } catch {
+            // Ignore malformed expiresAt
+          }
+        }
+
+        setRequest({
+          projectName: typeof data.projectName === "string" ? data.projectName : "Project",
+          talentName: typeof data.talentName === "string" ? data.talentName : "Talent",
+          talentAgency: typeof data.talentAgency === "string" ? data.talentAgency : null,
+          message: typeof data.message === "string" ? data.message : null,
+          holds: parseHoldItems(data.holds),
+        })
+
+        // Live, so a rejection written back by the server after an answer shows up.
+        unsubscribeResponses = onSnapshot(
+          collection(db, "talentHoldRequests", token, "responses"),
+          (responsesSnap) => {
+            if (!active) return
+            const loaded: Record<string, HoldAnswer> = {}
+            for (const rDoc of responsesSnap.docs) {
+              const r = rDoc.data() as {
+                decision?: string
+                agentName?: string
+                note?: string | null
+                rejectedReason?: unknown
+              }
+              if (r.decision !== "confirm" && r.decision !== "release") continue
+              loaded[rDoc.id] = {
+                decision: r.decision,
+                agentName: r.agentName ?? "",
+                note: r.note ?? null,
+                rejectedReason: parseRejection(r.rejectedReason),
+              }
+            }
+            setAnswers(loaded)
+            setLoading(false)
+          },
+          (err) => {
+            if (!active) return
+            console.error("[PublicTalentHoldPage] Failed to load answers:", err)
+            setLoading(false)
+          },
+        )
+      } catch (err) {
+        if (!active) return
+        console.error("[PublicTalentHoldPage] Failed to load:", err)
+        setErrorInfo({
+          heading: "Failed to load",
+          message: "Something went wrong. Please check the link and try again.",
+        })
+        setLoading(false)
+      }
+    }
+
+    void load()
+    return () => {
+      active = false
+      unsubscribeResponses?.()
+    }
+  }, [token])
+
+  const handleIdentitySubmit = useCallback(() => {
+    const trimmedName = nameInput.trim()
+    const trimmedEmail = emailInput.trim().toLowerCase()
+    if (!trimmedName || !trimmedEmail || !token) return
+
+    const identity: AgentIdentity = { name: trimmedName, email: trimmedEmail }
+    saveAgent(token, identity)
+    setAgent(identity)
+    setShowIdentityForm(false)
+  }, [nameInput, emailInput, token])
+
+  const handleChangeIdentity = useCallback(() => {
+    if (agent) {
+      setNameInput(agent.name)
+      setEmailInput(agent.email)
+    }
+    setShowIdentityForm(true)
+  }, [agent])
+
+  const handleAnswer = async (holdId: string, decision: TalentHoldDecision) => {
+    if (!agent || !token) return
+    const note = notes[holdId]?.trim() || null
+    setSubmitting(holdId)
+    try {
+      await submitTalentHoldResponse({
+        token,
+        holdId,
+        decision,
+        agentName: agent.name,
+        agentEmail: agent.email,
+        note,
+      })
+      setAnswers((prev) => ({
+        ...prev,
+        [holdId]: { decision, agentName: agent.name, note, rejectedReason: null },
+      }))
+    } catch (err) {
+      console.error("[PublicTalentHoldPage] Failed to submit answer:", err)
+      setErrorInfo({
+        heading: "Couldn’t save your answer",
+        message: "The link may have expired. Please contact the production.",
+      })
+    } finally {
+      setSubmitting(null)
+    }
+  }
+
+  // -----------------------------------------------------------------------
+  // Render
+  // -----------------------------------------------------------------------
+
+  if (loading) return <LoadingState loading skeleton={<DetailPageSkeleton />} />
+
+  if (errorInfo || !request) {
+    return (
+      <div className="flex min-h-screen items-center justify-center bg-[var(--color-bg)] px-4">
+        <div className="w-full max-w-md rounded-lg border border-[var(--color-border)] bg-[var(--color-surface)] p-6">
+          <h1 className="heading-subsection">{errorInfo?.heading ?? "Link not found"}</h1>
+          <p className="mt-2 text-sm text-[var(--color-text-muted)]">{errorInfo?.message}</p>
+        </div>
+      </div>
+    )
+  }
+
+  return (
+    <ErrorBoundary>
+      <div className="min-h-screen bg-[var(--color-bg)]">
+        {/* Header */}
+        <header className="border-b border-[var(--color-border)] px-4 py-4">
+          <div className="mx-auto max-w-2xl">
+            <span className="mb-2 inline-block rounded border border-[var(--color-accent)]/20 bg-[var(--color-accent)]/10 px-2 py-0.5 text-3xs font-semibold uppercase tracking-wide text-[var(--color-accent)]">
+              Hold Confirmation
+            </span>
+            <h1 className="heading-page">{request.talentName}</h1>
+            <p className="mt-0.5 text-xs text-[var(--color-text-muted)]">
+              {request.projectName}
+              {request.talentAgency ? ` · ${request.talentAgency}` : ""}
+            </p>
+          </div>
+        </header>
+
+        {request.message && (
+          <div className="border-b border-[var(--color-border)] bg-[var(--color-surface-subtle)] px-4 py-3">
+            <div className="mx-auto max-w-2xl text-sm leading-relaxed text-[var(--color-text-muted)]">
+              {request.message}
+            </div>
+          </div>
+        )}
+
+        {/* Agent identity banner */}
+        <div className="sticky top-0 z-50 border-b border-[var(--color-border)] bg-[var(--color-bg)] px-4 py-3 shadow-sm">
+          <div className="mx-auto max-w-2xl">
+            {showIdentityForm ? (
+              <div>
+                <p className="mb-2.5 text-sm text-[var(--color-text-muted)]">
+                  Enter your info to answer these holds
+                </p>
+                <div className="flex flex-col gap-2 sm:flex-row">
+                  <Input
+                    value={nameInput}
+                    onChange={(e) => setNameInput(e.target.value)}
+                    placeholder="Your name"
+                    className="text-sm"
+                    onKeyDown={(e) => {
+                      if (e.key === "Enter") handleIdentitySubmit()
+                    }}
+                  />
+                  <Input
+                    type="email"
+                    value={emailInput}
+                    onChange={(e) => setEmailInput(e.target.value)}
+                    placeholder="Email address"
+                    className="text-sm"
+                    onKeyDown={(e) => {
+                      if (e.key === "Enter") handleIdentitySubmit()
+                    }}
+                  />
+                  <Button
+                    onClick={handleIdentitySubmit}
+                    disabled={!nameInput.trim() || !emailInput.trim()}
+                    className="bg-[var(--color-accent)] text-[var(--color-bg)] hover:bg-[var(--color-accent-hover)]"
+                  >
+                    Continue
+                  </Button>
+                </div>
+              </div>
+            ) : agent ? (
+              <div className="flex items-center justify-between">
+                <div className="text-sm text-[var(--color-text)]">
+                  Answering as {agent.name}
+                  <span className="ml-2 text-xxs text-[var(--color-text-muted)]">{agent.email}</span>
+                </div>
+                <button
+                  type="button"
+                  onClick={handleChangeIdentity}
+                  className="text-xs text-[var(--color-accent)] hover:underline"
+                >
+                  Change
+                </button>
+              </div>
+            ) : null}
+          </div>
+        </div>
+
+        {/* Held dates */}
+        <main className="mx-auto flex max-w-2xl flex-col gap-3 px-4 pb-16 pt-4">
+          {request.holds.length === 0 ? (
+            <div className="rounded-lg border border-[var(--color-border)] bg-[var(--color-surface)] p-6 text-center">
+              <p className="text-sm text-[var(--color-text-muted)]">No dates on hold.</p>
+            </div>
+          ) : (
+            request.holds.map((hold) => {
+              const answer = answers[hold.holdId]
+              const expired = !answer && isHoldExpired({ status: "pending", expiresOn: hold.expiresOn }, today)
+              const busy = submitting === hold.holdId
+              return (
+                <div
+                  key={hold.holdId}
+                  data-testid={`hold-${hold.holdId}`}
+                  className="flex flex-col gap-2 rounded-lg border border-[var(--color-border)] bg-[var(--color-surface)] p-4"
+                >
+                  <div className="flex items-center justify-between gap-2">
+                    <div>
+                      <div className="text-sm font-medium text-[var(--color-text)]">{formatShootDate(hold.date)}</div>
+                      <div className="text-2xs text-[var(--color-text-muted)]">
+                        {HOLD_OPTION_LABELS[hold.option]}
+                        {hold.expiresOn ? ` · hold expires ${formatShootDate(hold.expiresOn)}` : ""}
+                      </div>
+                    </div>
+                    {answer && (
+                      <span
+                        className={`text-xs font-medium ${
+                          answer.decision === "confirm"
+                            ? "text-[var(--color-status-green-text)]"
+                            : "text-[var(--color-text-muted)]"
+                        }`}
+                      >
+                        {HOLD_DECISION_LABELS[answer.decision]}
+                        {answer.agentName ? ` by ${answer.agentName}` : ""}
+                      </span>
+                    )}
+                    {expired && (
+                      <span className="text-xs font-medium text-[var(--color-error)]">Expired</span>
+                    )}
+                  </div>
+
+                  {answer?.rejectedReason && (
+                    <p className="text-xs text-[var(--color-error)]">
+                      {HOLD_REJECTION_MESSAGES[answer.rejectedReason]}
+                    </p>
+                  )}
+
+                  {!expired && agent && (
+                    <>
+                      <Textarea
+                        value={notes[hold.holdId] ?? ""}
+                        onChange={(e) => setNotes((prev) => ({ ...prev, [hold.holdId]: e.target.value }))}
+                        placeholder="Note for the production (optional)"
+                        maxLength={2000}
+                        className="min-h-[60px] text-sm"
+                      />
+                      <div className="flex justify-end gap-2">
+                        <Button
+                          variant="outline"
+                          size="sm"
+                          disabled={busy || answer?.decision === "release"}
+                          onClick={() => handleAnswer(hold.holdId, "release")}
+                        >
+                          Release
+                        </Button>
+                        <Button
+                          size="sm"
+                          disabled={busy || answer?.decision === "confirm"}
+                          onClick={() => handleAnswer(hold.holdId, "confirm")}
+                        >
+                          Confirm
+                        </Button>
+                      </div>
+                    </>
+                  )}
+                </div>
+              )
+            })
+          )}
+        </main>
+      </div>
+    </ErrorBoundary>
+  )
+}
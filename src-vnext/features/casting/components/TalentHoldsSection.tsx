@@ -0,0 +1,362 @@
+/**
+ * Per-talent shoot-date holds for the current project, shown in the admin
+ * talent sheet. Lists the project's holds with their option, expiry and any
+ * agency answer, flags days the talent is also held on another project, and
+ * lets producers place, confirm, release or remove holds and send the
+ * pending ones to the agency as a confirmation link.
+ */
+
+import { useMemo, useState } from "react"
+import { AlertTriangle, Send, Trash2 } from "lucide-react"
+import { toast } from "sonner"
+import { Badge } from "@/ui/badge"
+import { Button } from "@/ui/button"
+import { Input } from "@/ui/input"
+import { Label } from "@/ui/label"
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/ui/select"
+import { useProject } from "@/features/projects/hooks/useProject"
+import { formatShootDate } from "@/features/projects/lib/shootDates"
+import { useTalentHolds } from "@/features/casting/hooks/useTalentHolds"
+import {
+  createTalentHold,
+  createTalentHoldRequest,
+  deleteTalentHold,
+  updateCastingEntry,
+  updateTalentHold,
+} from "@/features/casting/lib/castingWrites"
+import {
+  HOLD_DECISION_LABELS,
+  HOLD_OPTION_LABELS,
+  HOLD_STATUS_MAP,
+  addHoldDays,
+  findHoldConflicts,
+  getEffectiveHoldStatus,
+  holdsAwaitingAgency,
+  sortHolds,
+  suggestHoldOption,
+  toHoldDate,
+  validateNewHold,
+} from "@/features/casting/lib/talentHolds"
+import type {
+  CastingBoardEntry,
+  TalentHold,
+  TalentHoldOption,
+  TalentHoldStatus,
+} from "@/shared/types"
+
+/** Default hold window before it lapses without a confirmation. */
+const DEFAULT_EXPIRY_DAYS = 3
+
+interface TalentHoldsSectionProps {
+  readonly clientId: string
+  readonly projectId: string
+  readonly projectName: string
+  readonly userId: string
+  readonly entry: CastingBoardEntry
+  readonly agency: string | null
+  readonly canManage: boolean
+}
+
+function errorDescription(err: unknown): string {
+  return err instanceof Error ? err.message : "Unknown error"
+}
+
+function defaultExpiry(date: string, today: string): string {
+  const expiry = addHoldDays(today, DEFAULT_EXPIRY_DAYS)
+  return date && date < expiry ? date : expiry
+}
+
+function ConflictNote({ conflicts, today }: { readonly conflicts: readonly TalentHold[]; readonly today: string }) {
+  if (conflicts.length === 0) return null
+  return (
+    <div className="flex items-start gap-1.5 text-2xs text-[var(--color-status-amber-text)]">
+      <AlertTriangle className="mt-px h-3 w-3 flex-shrink-0" />
+      <span>
+        Also held for{" "}
+        {conflicts
+          .map(
+            (c) =>
+              `${c.projectName} (${HOLD_OPTION_LABELS[c.option]}, ${HOLD_STATUS_MAP[getEffectiveHoldStatus(c, today)].label.toLowerCase()})`,
+          )
+          .join("; ")}
+      </span>
+    </div>
+  )
+}
+
+export function TalentHoldsSection({
+  clientId,
+  projectId,
+  projectName,
+  userId,
+  entry,
+  agency,
+  canManage,
+}: TalentHoldsSectionProps) {
+  const { holds, loading } = useTalentHolds(clientId, entry.talentId)
+  const { data: project } = useProject(projectId)
+  const today = toHoldDate(new Date())
+
+  const [date, setDate] = useState("")
+  const [option, setOption] = useState<TalentHoldOption>(1)
+  const [expiresOn, setExpiresOn] = useState(() => defaultExpiry("", today))
+  const [saving, setSaving] = useState(false)
+  const [sending, setSending] = useState(false)
+
+  const projectHolds = useMemo(
+    () => sortHolds(holds.filter((h) => h.projectId === projectId)),
+    [holds, projectId],
+  )
+  const awaiting = useMemo(() => holdsAwaitingAgency(projectHolds, today), [projectHolds, today])
+  const heldDates = new Set(projectHolds.filter((h) => getEffectiveHoldStatus(h, today) !== "released").map((h) => h.date))
+  const openShootDates = (project?.shootDates ?? []).filter((d) => d >= today && !heldDates.has(d))
+
+  const candidate = { talentId: entry.talentId, projectId, date }
+  const candidateConflicts = date ? findHoldConflicts(candidate, holds, today) : []
+  const validationError = date ? validateNewHold({ ...candidate, expiresOn: expiresOn || null }, holds, today) : null
+
+  const pickDate = (next: string) => {
+    setDate(next)
+    if (!next) return
+    setOption(suggestHoldOption({ talentId: entry.talentId, projectId, date: next }, holds, today))
+    setExpiresOn(defaultExpiry(next, today))
+  }
+
+  const handleAdd = async () => {
+    if (!date || validationError) return
+    setSaving(true)
+    try {
+      await createTalentHold({
+        clientId,
+        projectId,
+        projectName,
+        userId,
+        talentId: entry.talentId,
+        talentName: entry.talentName,
+        talentAgency: agency,
+        date,
+        option,
+        expiresOn: expiresOn || null,
+      })
+      toast.success(`${HOLD_OPTION_LABELS[option]} hold placed for ${formatShootDate(date)}`)
+      setDate("")
+      // The board status is a convenience mirror — a failure here must not
+      // read as the hold failing.
+      if (entry.status === "shortlist") {
+        void updateCastingEntry({ clientId, projectId, talentId: entry.talentId, patch: { status: "hold" } }).catch(
+          (err: unknown) => console.error("[TalentHoldsSection] board status update failed:", err),
+        )
+      }
+    } catch (err) {
+      toast.error("Failed to place hold", { description: errorDescription(err) })
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleStatus = async (hold: TalentHold, status: TalentHoldStatus) => {
+    try {
+      await updateTalentHold({ clientId, holdId: hold.id, patch: { status } })
+    } catch (err) {
+      toast.error("Failed to update hold", { description: errorDescription(err) })
+    }
+  }
+
+  const handleRemove = async (hold: TalentHold) => {
+    try {
+      await deleteTalentHold({ clientId, holdId: hold.id })
+    } catch (err) {
+      toast.error("Failed to remove hold", { description: errorDescription(err) })
+    }
+  }
+
+  const handleSend = async () => {
+    if (awaiting.length === 0) return
+    setSending(true)
+    try {
+      const token = await createTalentHoldRequest({
+        clientId,
+        projectId,
+        projectName,
+        userId,
+        talentId: entry.talentId,
+        talentName: entry.talentName,
+        talentAgency: agency,
+        holds: awaiting,
+      })
+      const url = `${window.location.origin}/holds/${token}`
+      let copied = false
+      try {
+        await navigator.clipboard.writeText(url)
+        copied = true
+      } catch {
+        // Clipboard unavailable — the toast shows the link instead.
+      }
+      toast.success("Agency confirmation link created", {
+        description: copied ? "Copied to clipboard." : url,
+      })
+    } catch (err) {
+      toast.error("Failed to create confirmation link", { description: errorDescription(err) })
+    } finally {
+      setSending(false)
+    }
+  }
+
+  return (
+    <div className="flex flex-col gap-2.5" data-testid="talent-holds">
+      <div className="flex items-center justify-between gap-2">
+        <div className="heading-subsection">
+          Holds
+          {projectHolds.length > 0 && (
+            <span className="ml-2 text-2xs font-normal text-[var(--color-text-subtle)]">
+              {projectHolds.length} date{projectHolds.length !== 1 ? "s" : ""}
+            </span>
+          )}
+        </div>
+        {canManage && awaiting.length > 0 && (
+          <Button variant="outline" size="sm" onClick={handleSend} disabled={sending}>
+            <Send className="mr-1.5 h-3.5 w-3.5" />
+            {sending ? "Creating…" : "Send to agency"}
+          </Button>
+        )}
+      </div>
+
+      {loading ? null : projectHolds.length === 0 ? (
+        <p className="text-xs text-[var(--color-text-subtle)]">No shoot dates held for this project.</p>
+      ) : (
+        <div className="flex flex-col gap-2">
+          {projectHolds.map((hold) => {
+            const status = getEffectiveHoldStatus(hold, today)
+            const color = HOLD_STATUS_MAP[status].colorClass
+            const conflicts = status === "released" ? [] : findHoldConflicts(hold, holds, today)
+            return (
+              <div
+                key={hold.id}
+                className="flex flex-col gap-1 rounded-md border border-[var(--color-border)] bg-[var(--color-surface)] px-3 py-2"
+              >
+                <div className="flex items-center justify-between gap-2">
+                  <div className="flex flex-wrap items-center gap-1.5">
+                    <span className="text-sm font-medium text-[var(--color-text)]">{formatShootDate(hold.date)}</span>
+                    <span className="text-2xs text-[var(--color-text-muted)]">{HOLD_OPTION_LABELS[hold.option]}</span>
+                    <Badge className={`bg-[var(--color-${color}-bg)] text-[var(--color-${color}-text)] border-0 text-2xs font-semibold uppercase tracking-wide`}>
+                      {HOLD_STATUS_MAP[status].label}
+                    </Badge>
+                  </div>
+                  {canManage && (
+                    <div className="flex items-center gap-1">
+                      {status === "pending" && (
+                        <Button variant="ghost" size="sm" className="h-6 px-2 text-2xs" onClick={() => handleStatus(hold, "confirmed")}>
+                          Confirm
+                        </Button>
+                      )}
+                      {(status === "pending" || status === "confirmed") && (
+                        <Button variant="ghost" size="sm" className="h-6 px-2 text-2xs" onClick={() => handleStatus(hold, "released")}>
+                          Release
+                        </Button>
+                      )}
+                      <button
+                        type="button"
+                        aria-label="Remove hold"
+                        onClick={() => handleRemove(hold)}
+                        className="flex h-6 w-6 items-center justify-center text-[var(--color-text-muted)] hover:text-[var(--color-error)]"
+                      >
+                        <Trash2 className="h-3.5 w-3.5" />
+                      </button>
+                    </div>
+                  )}
+                </div>
+                {status === "pending" && hold.expiresOn && (
+                  <span className="text-2xs text-[var(--color-text-subtle)]">
+                    Expires {formatShootDate(hold.expiresOn)}
+                  </span>
+                )}
+                {hold.respondedBy && (status === "confirmed" || status === "released") && (
+                  <span className="text-2xs text-[var(--color-text-muted)]">
+                    {HOLD_DECISION_LABELS[status === "confirmed" ? "confirm" : "release"]} by {hold.respondedBy}
+                    {hold.responseNote ? ` — “${hold.responseNote}”` : ""}
+                  </span>
+                )}
+                <ConflictNote conflicts={conflicts} today={today} />
+              </div>
+            )
+          })}
+        </div>
+      )}
+
+      {canManage && (
+        <div className="flex flex-col gap-2 rounded-md border border-dashed border-[var(--color-border)] px-3 py-2.5">
+          {openShootDates.length > 0 && (
+            <div className="flex flex-wrap gap-1.5">
+              {openShootDates.map((d) => (
+                <button
+                  key={d}
+                  type="button"
+                  onClick={() => pickDate(d)}
+                  className={`rounded border px-2 py-0.5 text-2xs ${
+                    d === date
+                      ? "border-[var(--color-accent)] text-[var(--color-accent)]"
+                      : "border-[var(--color-border)] text-[var(--color-text-muted)] hover:text-[var(--color-text)]"
+                  }`}
+                >
+                  {formatShootDate(d)}
+                </button>
+              ))}
+            </div>
+          )}
+          <div className="grid grid-cols-3 gap-2">
+            <div className="flex flex-col gap-1">
+              <Label htmlFor="hold-date" className="text-2xs">Shoot date</Label>
+              <Input
+                id="hold-date"
+                type="date"
+                value={date}
+                min={today}
+                onChange={(e) => pickDate(e.target.value)}
+                className="h-8 text-xs"
+              />
+            </div>
+            <div className="flex flex-col gap-1">
+              <Label className="text-2xs">Option</Label>
+              <Select value={String(option)} onValueChange={(v) => setOption(v === "2" ? 2 : 1)}>
+                <SelectTrigger className="h-8 text-xs" aria-label="Hold option">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="1">{HOLD_OPTION_LABELS[1]}</SelectItem>
+                  <SelectItem value="2">{HOLD_OPTION_LABELS[2]}</SelectItem>
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="flex flex-col gap-1">
+              <Label htmlFor="hold-expiry" className="text-2xs">Expires</Label>
+              <Input
+                id="hold-expiry"
+                type="date"
+                value={expiresOn}
+                min={today}
+                max={date || undefined}
+                onChange={(e) => setExpiresOn(e.target.value)}
+                className="h-8 text-xs"
+              />
+            </div>
+          </div>
+          <ConflictNote conflicts={candidateConflicts} today={today} />
+          {validationError && (
+            <p className="text-2xs text-[var(--color-error)]">{validationError}</p>
+          )}
+          <div className="flex justify-end">
+            <Button size="sm" onClick={handleAdd} disabled={!date || !!validationError || saving}>
+              {saving ? "Placing…" : "Place hold"}
+            </Button>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,60 @@
+import { useMemo } from "react"
+import { where } from "firebase/firestore"
+import { useFirestoreCollection } from "@/shared/hooks/useFirestoreCollection"
+import { talentHoldsPath } from "@/shared/lib/paths"
+import type { TalentHold, TalentHoldOption, TalentHoldStatus } from "@/shared/types"
+
+function mapTalentHold(id: string, data: Record<string, unknown>): TalentHold {
+  return {
+    id,
+    talentId: (data["talentId"] as string) ?? "",
+    talentName: (data["talentName"] as string) ?? "Unknown",
+    talentAgency: (data["talentAgency"] as string) ?? null,
+    projectId: (data["projectId"] as string) ?? "",
+    projectName: (data["projectName"] as string) ?? "Untitled project",
+    date: (data["date"] as string) ?? "",
+    option: data["option"] === 2 ? 2 : (1 as TalentHoldOption),
+    status: (data["status"] as TalentHoldStatus) ?? "pending",
+    expiresOn: (data["expiresOn"] as string) ?? null,
+    notes: (data["notes"] as string) ?? null,
+    requestToken: (data["requestToken"] as string) ?? null,
+    respondedBy: (data["respondedBy"] as string) ?? null,
+    respondedByEmail: (data["respondedByEmail"] as string) ?? null,
+    responseNote: (data["responseNote"] as string) ?? null,
+    respondedAt: data["respondedAt"],
+    createdBy: (data["createdBy"] as string) ?? "",
+    createdAt: data["createdAt"],
+    updatedAt: data["updatedAt"],
+  }
+}
+
+/**
+ * Every hold on one talent across the client's projects — the current
+ * project's holds plus the ones it may conflict with.
+ */
+export function useTalentHolds(
+  clientId: string | null,
+  talentId: string | null,
+): {
+  readonly holds: readonly TalentHold[]
+  readonly loading: boolean
+  readonly error: Error | null
+} {
+  const path = clientId && talentId ? talentHoldsPath(clientId) : null
+  const constraints = useMemo(
+    () => (talentId ? [where("talentId", "==", talentId)] : []),
+    [talentId],
+  )
+
+  const { data, loading, error } = useFirestoreCollection<TalentHold>(
+    path,
+    constraints,
+    mapTalentHold,
+  )
+
+  return {
+    holds: data,
+    loading,
+    error: error ? new Error(error.message) : null,
+  }
+}
@@ -9,6 +9,13 @@
  *
  * Casting votes (unauthenticated) live under:
  *   castingShares/{shareToken}/votes/{voteId}
+ *
+ * Talent holds live client-wide (so other projects' holds are visible):
+ *   clients/{clientId}/talentHolds/{holdId}
+ *
+ * Agency hold confirmation links and their (unauthenticated) answers:
+ *   talentHoldRequests/{token}
+ *   talentHoldRequests/{token}/responses/{holdId}
  */
 
 import {
@@ -19,6 +26,7 @@ import {
   serverTimestamp,
   updateDoc,
   setDoc,
+  deleteDoc,
   arrayUnion,
 } from "firebase/firestore"
 import { db } from "@/shared/lib/firebase"
@@ -28,6 +36,10 @@ import {
   castingBoardDocPath,
   castingShareDocPath,
   castingShareVoteDocPath,
+  talentHoldDocPath,
+  talentHoldRequestDocPath,
+  talentHoldResponseDocPath,
+  talentHoldsPath,
   talentPath,
 } from "@/shared/lib/paths"
 import type {
@@ -35,6 +47,10 @@ import type {
   CastingShareVisibility,
   CastingVoteDecision,
   ResolvedCastingTalent,
+  TalentHold,
+  TalentHoldDecision,
+  TalentHoldOption,
+  TalentHoldStatus,
 } from "@/shared/types"
 
 const BATCH_CHUNK_SIZE = 250
@@ -334,3 +350,157 @@ export async function submitCastingVote(args: {
     { merge: true },
   )
 }
+
+// ---------------------------------------------------------------------------
+// Talent Holds
+// ---------------------------------------------------------------------------
+
+/**
+ * Place a hold on a talent for one shoot date. Validation and conflict
+ * checks happen in the caller (see `talentHolds.ts`). Returns the hold id.
+ */
+export async function createTalentHold(args: {
+  readonly clientId: string
+  readonly projectId: string
+  readonly projectName: string
+  readonly userId: string
+  readonly talentId: string
+  readonly talentName: string
+  readonly talentAgency?: string | null
+  readonly date: string
+  readonly option: TalentHoldOption
+  readonly expiresOn?: string | null
+  readonly notes?: string | null
+}): Promise<string> {
+  const { clientId, userId, notes, ...hold } = args
+  const holdRef = doc(colRef(talentHoldsPath(clientId)))
+
+  await setDoc(holdRef, {
+    ...hold,
+    talentAgency: hold.talentAgency ?? null,
+    expiresOn: hold.expiresOn || null,
+    notes: notes?.trim() || null,
+    status: "pending" as TalentHoldStatus,
+    requestToken: null,
+    createdBy: userId,
+    createdAt: serverTimestamp(),
+    updatedAt: serverTimestamp(),
+  })
+
+  return holdRef.id
+}
+
+/**
+ * Update a hold's mutable fields (producer-side confirm/release, option
+ * swap, expiry extension).
+ */
+export async function updateTalentHold(args: {
+  readonly clientId: string
+  readonly holdId: string
+  readonly patch: Partial<{
+    status: TalentHoldStatus
+    option: TalentHoldOption
+    expiresOn: string | null
+    notes: string | null
+  }>
+}): Promise<void> {
+  const { clientId, holdId, patch } = args
+  await updateDoc(docRef(talentHoldDocPath(holdId, clientId)), {
+    ...patch,
+    updatedAt: serverTimestamp(),
+  })
+}
+
+export async function deleteTalentHold(args: {
+  readonly clientId: string
+  readonly holdId: string
+}): Promise<void> {
+  await deleteDoc(docRef(talentHoldDocPath(args.holdId, args.clientId)))
+}
+
+// ---------------------------------------------------------------------------
+// Talent Hold Requests (agency confirmation links)
+// ---------------------------------------------------------------------------
+
+/**
+ * Create an agency confirmation link for one talent's holds on a project.
+ * The holds are denormalized onto the request (the agency can't read client
+ * data) and each hold is stamped with the token, atomically. Links the holds
+ * were sent on before are disabled in the same batch, so an agent can't
+ * answer on a link whose answers would no longer apply.
+ * Returns the token (used in the public URL).
+ */
+export async function createTalentHoldRequest(args: {
+  readonly clientId: string
+  readonly projectId: string
+  readonly projectName: string
+  readonly userId: string
+  readonly talentId: string
+  readonly talentName: string
+  readonly talentAgency?: string | null
+  readonly holds: readonly Pick<TalentHold, "id" | "date" | "option" | "expiresOn" | "requestToken">[]
+  readonly message?: string | null
+}): Promise<string> {
+  const { clientId, userId, holds, message, ...request } = args
+  if (holds.length === 0) throw new Error("No holds to send.")
+
+  const token = crypto.randomUUID()
+  const batch = writeBatch(db)
+
+  batch.set(docRef(talentHoldRequestDocPath(token)), {
+    ...request,
+    clientId,
+    talentAgency: request.talentAgency ?? null,
+    holdIds: holds.map((h) => h.id),
+    holds: holds.map((h) => ({
+      holdId: h.id,
+      date: h.date,
+      option: h.option,
+      expiresOn: h.expiresOn ?? null,
+    })),
+    message: message?.trim() || null,
+    enabled: true,
+    expiresAt: null,
+    createdAt: serverTimestamp(),
+    createdBy: userId,
+  })
+
+  for (const hold of holds) {
+    batch.update(docRef(talentHoldDocPath(hold.id, clientId)), {
+      requestToken: token,
+      updatedAt: serverTimestamp(),
+    })
+  }
+
+  const superseded = new Set(holds.map((h) => h.requestToken).filter((t): t is string => !!t))
+  for (const previousToken of superseded) {
+    batch.update(docRef(talentHoldRequestDocPath(previousToken)), { enabled: false })
+  }
+
+  await batch.commit()
+  return token
+}
+
+/**
+ * Record an agent's answer for one hold. Doc ID = holdId so a changed
+ * answer overwrites the previous one; the `applyTalentHoldResponse`
+ * function carries it onto the hold.
+ */
+export async function submitTalentHoldResponse(args: {
+  readonly token: string
+  readonly holdId: string
+  readonly decision: TalentHoldDecision
+  readonly agentName: string
+  readonly agentEmail: string
+  readonly note?: string | null
+}): Promise<void> {
+  const { token, holdId, decision, agentName, agentEmail, note } = args
+  await setDoc(docRef(talentHoldResponseDocPath(token, holdId)), {
+    holdId,
+    decision,
+    agentName: agentName.trim(),
+    agentEmail: agentEmail.trim().toLowerCase(),
+    note: note?.trim() || null,
+    respondedAt: serverTimestamp(),
+  })
+}
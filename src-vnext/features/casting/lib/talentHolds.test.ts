@@ -0,0 +1,105 @@
+import { describe, expect, it } from "vitest"
+import type { TalentHold } from "@/shared/types"
+import {
+  addHoldDays,
+  findHoldConflicts,
+  getEffectiveHoldStatus,
+  holdsAwaitingAgency,
+  isHoldActive,
+  suggestHoldOption,
+  toHoldDate,
+  validateNewHold,
+} from "./talentHolds"
+
+const TODAY = "2026-05-10"
+
+function makeHold(overrides: Partial<TalentHold> & { id: string }): TalentHold {
+  return {
+    talentId: "t1",
+    talentName: "Jane Doe",
+    projectId: "p1",
+    projectName: "Spring",
+    date: "2026-05-20",
+    option: 1,
+    status: "pending",
+    expiresOn: null,
+    createdBy: "u1",
+    createdAt: null,
+    updatedAt: null,
+    ...overrides,
+  }
+}
+
+describe("hold dates", () => {
+  it("formats local days and shifts across month ends", () => {
+    expect(toHoldDate(new Date(2026, 0, 5))).toBe("2026-01-05")
+    expect(addHoldDays("2026-01-30", 3)).toBe("2026-02-02")
+    expect(addHoldDays("2026-03-01", -1)).toBe("2026-02-28")
+  })
+})
+
+describe("getEffectiveHoldStatus", () => {
+  it("expires pending holds after their expiry day", () => {
+    expect(getEffectiveHoldStatus({ status: "pending", expiresOn: "2026-05-10" }, TODAY)).toBe("pending")
+    expect(getEffectiveHoldStatus({ status: "pending", expiresOn: "2026-05-09" }, TODAY)).toBe("expired")
+    expect(getEffectiveHoldStatus({ status: "confirmed", expiresOn: "2026-05-09" }, TODAY)).toBe("confirmed")
+  })
+
+  it("treats released and expired holds as inactive", () => {
+    expect(isHoldActive({ status: "released", expiresOn: null }, TODAY)).toBe(false)
+    expect(isHoldActive({ status: "pending", expiresOn: "2026-05-01" }, TODAY)).toBe(false)
+    expect(isHoldActive({ status: "confirmed", expiresOn: null }, TODAY)).toBe(true)
+  })
+})
+
+describe("findHoldConflicts", () => {
+  const holds = [
+    makeHold({ id: "h1" }),
+    makeHold({ id: "h2", projectId: "p2", projectName: "Summer" }),
+    makeHold({ id: "h3", projectId: "p3", status: "released" }),
+    makeHold({ id: "h4", projectId: "p4", date: "2026-05-21" }),
+    makeHold({ id: "h5", projectId: "p5", talentId: "t2" }),
+  ]
+
+  it("returns active holds for the same talent and day on other projects", () => {
+    expect(findHoldConflicts(holds[0]!, holds, TODAY).map((h) => h.id)).toEqual(["h2"])
+  })
+
+  it("suggests second option when the day is already held elsewhere", () => {
+    expect(suggestHoldOption({ talentId: "t1", projectId: "p1", date: "2026-05-20" }, holds, TODAY)).toBe(2)
+    expect(suggestHoldOption({ talentId: "t1", projectId: "p1", date: "2026-05-22" }, holds, TODAY)).toBe(1)
+  })
+})
+
+describe("validateNewHold", () => {
+  const existing = [makeHold({ id: "h1" })]
+  const candidate = { talentId: "t1", projectId: "p1", date: "2026-05-21" }
+
+  it("accepts a future date with a sensible expiry", () => {
+    expect(validateNewHold({ ...candidate, expiresOn: "2026-05-15" }, existing, TODAY)).toBeNull()
+  })
+
+  it("rejects past dates, bad expiries and duplicates", () => {
+    expect(validateNewHold({ ...candidate, date: "" }, existing, TODAY)).toBe("Pick a shoot date.")
+    expect(validateNewHold({ ...candidate, date: "2026-05-01" }, existing, TODAY)).toMatch(/already passed/)
+    expect(validateNewHold({ ...candidate, expiresOn: "2026-05-22" }, existing, TODAY)).toMatch(/after the shoot date/)
+    expect(validateNewHold({ ...candidate, date: "2026-05-20" }, existing, TODAY)).toMatch(/already held/)
+  })
+
+  it("allows re-holding a day whose previous hold lapsed", () => {
+    const lapsed = [makeHold({ id: "h1", expiresOn: "2026-05-01" })]
+    expect(validateNewHold({ ...candidate, date: "2026-05-20" }, lapsed, TODAY)).toBeNull()
+  })
+})
+
+describe("holdsAwaitingAgency", () => {
+  it("keeps unexpired pending holds in date order", () => {
+    const holds = [
+      makeHold({ id: "b", date: "2026-05-22" }),
+      makeHold({ id: "a", date: "2026-05-21", option: 2 }),
+      makeHold({ id: "c", status: "confirmed" }),
+      makeHold({ id: "d", expiresOn: "2026-05-01" }),
+    ]
+    expect(holdsAwaitingAgency(holds, TODAY).map((h) => h.id)).toEqual(["a", "b"])
+  })
+})
@@ -0,0 +1,161 @@
+/**
+ * Talent hold rules — dates, options, expiry and cross-project conflicts.
+ *
+ * A hold pins one talent to one shoot date for one project, as a first or
+ * second option. Holds are stored client-wide so a producer can see when the
+ * same talent is already held on another project for that day. Expiry is
+ * derived: a pending hold whose `expiresOn` day has passed reads as
+ * "expired" without anything being written.
+ *
+ * Dates are date-only strings (YYYY-MM-DD), compared lexically.
+ */
+
+import type {
+  TalentHold,
+  TalentHoldDecision,
+  TalentHoldOption,
+  TalentHoldRejection,
+  TalentHoldStatus,
+} from "@/shared/types"
+
+export type EffectiveHoldStatus = TalentHoldStatus | "expired"
+
+interface StatusMapping {
+  readonly label: string
+  readonly colorClass: string
+}
+
+export const HOLD_STATUS_MAP: Readonly<Record<EffectiveHoldStatus, StatusMapping>> = {
+  pending: { label: "On hold", colorClass: "status-amber" },
+  confirmed: { label: "Confirmed", colorClass: "status-green" },
+  released: { label: "Released", colorClass: "status-gray" },
+  expired: { label: "Expired", colorClass: "status-red" },
+}
+
+export const HOLD_OPTION_LABELS: Readonly<Record<TalentHoldOption, string>> = {
+  1: "1st option",
+  2: "2nd option",
+}
+
+export const HOLD_DECISION_LABELS: Readonly<Record<TalentHoldDecision, string>> = {
+  confirm: "Confirmed",
+  release: "Released",
+}
+
+/** Agency-facing note for an answer the server didn't apply. */
+export const HOLD_REJECTION_MESSAGES: Readonly<Record<TalentHoldRejection, string>> = {
+  expired: "Not applied — this hold had already expired. Contact the production.",
+  released: "Not applied — the production has released this hold.",
+  superseded: "Not applied — this hold was sent again on a newer link.",
+}
+
+const DATE_ONLY_RE = /^\d{4}-\d{2}-\d{2}$/
+
+/** Local calendar day as YYYY-MM-DD. */
+export function toHoldDate(date: Date): string {
+  const y = date.getFullYear()
+  const m = String(date.getMonth() + 1).padStart(2, "0")
+  const d = String(date.getDate()).padStart(2, "0")
+  return `${y}-${m}-${d}`
+}
+
+/** `date` shifted by whole days (YYYY-MM-DD in, YYYY-MM-DD out). */
+export function addHoldDays(date: string, days: number): string {
+  const [y, m, d] = date.split("-").map(Number)
+  return toHoldDate(new Date(y!, m! - 1, d! + days))
+}
+
+export function isHoldExpired(
+  hold: Pick<TalentHold, "status" | "expiresOn">,
+  today: string,
+): boolean {
+  return hold.status === "pending" && !!hold.expiresOn && hold.expiresOn < today
+}
+
+export function getEffectiveHoldStatus(
+  hold: Pick<TalentHold, "status" | "expiresOn">,
+  today: string,
+): EffectiveHoldStatus {
+  return isHoldExpired(hold, today) ? "expired" : hold.status
+}
+
+/** Pending-and-unexpired or confirmed — the holds that block a day. */
+export function isHoldActive(
+  hold: Pick<TalentHold, "status" | "expiresOn">,
+  today: string,
+): boolean {
+  const status = getEffectiveHoldStatus(hold, today)
+  return status === "pending" || status === "confirmed"
+}
+
+/**
+ * Active holds for the same talent on the same day but a different project.
+ * `hold.id` (when present) is excluded so a saved hold never conflicts with
+ * itself.
+ */
+export function findHoldConflicts(
+  hold: Pick<TalentHold, "talentId" | "projectId" | "date"> & { readonly id?: string },
+  holds: readonly TalentHold[],
+  today: string,
+): TalentHold[] {
+  return holds.filter(
+    (other) =>
+      other.id !== hold.id &&
+      other.talentId === hold.talentId &&
+      other.date === hold.date &&
+      other.projectId !== hold.projectId &&
+      isHoldActive(other, today),
+  )
+}
+
+/**
+ * Option to offer for a new hold: second option when another project
+ * already has the talent on that day, first otherwise.
+ */
+export function suggestHoldOption(
+  candidate: Pick<TalentHold, "talentId" | "projectId" | "date">,
+  holds: readonly TalentHold[],
+  today: string,
+): TalentHoldOption {
+  return findHoldConflicts(candidate, holds, today).length > 0 ? 2 : 1
+}
+
+/**
+ * Validates a new hold against the talent's existing holds. Returns a
+ * user-facing message, or null when the hold can be placed. Conflicts with
+ * other projects are NOT errors — they are surfaced as warnings instead.
+ */
+export function validateNewHold(
+  candidate: Pick<TalentHold, "talentId" | "projectId" | "date"> & {
+    readonly expiresOn?: string | null
+  },
+  holds: readonly TalentHold[],
+  today: string,
+): string | null {
+  if (!DATE_ONLY_RE.test(candidate.date)) return "Pick a shoot date."
+  if (candidate.date < today) return "That shoot date has already passed."
+  if (candidate.expiresOn) {
+    if (!DATE_ONLY_RE.test(candidate.expiresOn)) return "Pick a valid expiry date."
+    if (candidate.expiresOn < today) return "The expiry date has already passed."
+    if (candidate.expiresOn > candidate.date) return "A hold can’t expire after the shoot date."
+  }
+  const duplicate = holds.some(
+    (h) =>
+      h.talentId === candidate.talentId &&
+      h.projectId === candidate.projectId &&
+      h.date === candidate.date &&
+      isHoldActive(h, today),
+  )
+  if (duplicate) return "This talent is already held for this project on that date."
+  return null
+}
+
+/** Date order, first option before second. */
+export function sortHolds(holds: readonly TalentHold[]): TalentHold[] {
+  return [...holds].sort((a, b) => a.date.localeCompare(b.date) || a.option - b.option)
+}
+
+/** Holds an agency can still answer: pending and not yet expired. */
+export function holdsAwaitingAgency(holds: readonly TalentHold[], today: string): TalentHold[] {
+  return sortHolds(holds.filter((h) => getEffectiveHoldStatus(h, today) === "pending"))
+}
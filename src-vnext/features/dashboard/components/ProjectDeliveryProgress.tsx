@@ -0,0 +1,69 @@
+import { useState } from "react"
+import { ChevronDown, ChevronRight, PackageCheck } from "lucide-react"
+import type { ProjectDeliveryProgress as ProjectDeliveryRow } from "../lib/assetDeliveryProgress"
+
+const COLLAPSED_LIMIT = 3
+
+function ProgressBar({ delivered, required }: { readonly delivered: number; readonly required: number }) {
+  const pct = required > 0 ? Math.round((delivered / required) * 100) : 0
+  return (
+    <div
+      className="h-1.5 w-full overflow-hidden rounded-full bg-[var(--color-surface-subtle)]"
+      role="progressbar"
+      aria-valuemin={0}
+      aria-valuemax={required}
+      aria-valuenow={delivered}
+    >
+      <div
+        className="h-full rounded-full bg-[var(--color-status-green-text)]"
+        style={{ width: `${pct}%` }}
+      />
+    </div>
+  )
+}
+
+/** Per-project delivered vs required asset counts, broken down by asset type. */
+export function ProjectDeliveryProgress({ rows }: { readonly rows: ReadonlyArray<ProjectDeliveryRow> }) {
+  const [expanded, setExpanded] = useState(false)
+  if (rows.length === 0) return null
+  const visible = expanded ? rows : rows.slice(0, COLLAPSED_LIMIT)
+
+  return (
+    <div className="mb-3 rounded-md border border-[var(--color-border)] p-3" data-testid="project-delivery-progress">
+      <div className="mb-2 flex items-center gap-2 text-xs font-semibold text-[var(--color-text)]">
+        <PackageCheck className="h-3.5 w-3.5 text-[var(--color-text-muted)]" />
+        Asset delivery by project
+      </div>
+      <ul className="flex flex-col gap-3">
+        {visible.map((row) => (
+          <li key={row.projectId} className="flex flex-col gap-1.5">
+            <div className="flex items-center justify-between gap-2 text-xs">
+              <span className="truncate font-medium text-[var(--color-text)]">{row.projectName}</span>
+              <span className="shrink-0 text-[var(--color-text-muted)]">
+                {row.delivered}/{row.required} delivered
+              </span>
+            </div>
+            <ProgressBar delivered={row.delivered} required={row.required} />
+            <div className="flex flex-wrap gap-x-3 gap-y-0.5 text-2xs text-[var(--color-text-muted)]">
+              {row.byType.map((t) => (
+                <span key={t.assetType} className={t.delivered >= t.required ? "text-[var(--color-status-green-text)]" : undefined}>
+                  {t.label} {t.delivered}/{t.required}
+                </span>
+              ))}
+            </div>
+          </li>
+        ))}
+      </ul>
+      {rows.length > COLLAPSED_LIMIT && (
+        <button
+          type="button"
+          onClick={() => setExpanded((v) => !v)}
+          className="mt-2 flex items-center gap-1 text-2xs text-[var(--color-text-muted)] hover:text-[var(--color-text)]"
+        >
+          {expanded ? <ChevronDown className="h-3 w-3" /> : <ChevronRight className="h-3 w-3" />}
+          {expanded ? "Show fewer" : `Show all ${rows.length} projects`}
+        </button>
+      )}
+    </div>
+  )
+}
@@ -1,6 +1,6 @@
 /// <reference types="@testing-library/jest-dom" />
 import { describe, it, expect, vi, beforeEach } from "vitest"
-import { render, screen } from "@testing-library/react"
+import { render, screen, within } from "@testing-library/react"
 import { MemoryRouter } from "react-router-dom"
 import { ShootReadinessWidget } from "./ShootReadinessWidget"
 import type { ShootReadinessItem } from "@/features/products/lib/shootReadiness"
@@ -14,11 +14,18 @@ function ts(offsetMs: number): Timestamp {
 
 let mockItems: ShootReadinessItem[] = []
 let mockLoading = false
+let mockFamilies: Array<Record<string, unknown>> = []
+let mockFamilyProjectMap = new Map<string, Set<string>>()
+let mockProjectNames = new Map<string, string>()
 
 vi.mock("@/features/products/hooks/useShootReadiness", () => ({
   useShootReadiness: () => ({ items: mockItems, loading: mockLoading }),
 }))
 
+vi.mock("@/features/products/hooks/useProducts", () => ({
+  useProductFamilies: () => ({ data: mockFamilies, loading: false, error: null }),
+}))
+
 vi.mock("@/app/providers/AuthProvider", () => ({
   useAuth: () => ({
     role: "producer",
@@ -34,9 +41,9 @@ vi.mock("@/shared/hooks/useMediaQuery", () => ({
 
 vi.mock("@/features/dashboard/hooks/useProductProjectMap", () => ({
   useProductProjectMap: () => ({
-    familyProjectMap: new Map(),
+    familyProjectMap: mockFamilyProjectMap,
     skuProjectMap: new Map(),
-    projectNames: new Map(),
+    projectNames: mockProjectNames,
   }),
 }))
 
@@ -299,4 +306,62 @@ describe("ShootReadinessWidget", () => {
       expect(screen.getByText("3 need shoot")).toBeInTheDocument()
     })
   })
+
+  describe("asset delivery progress", () => {
+    it("shows delivered vs required per project and asset type", () => {
+      mockItems = [
+        {
+          familyId: "f9",
+          familyName: "Linen Shirt",
+          launchDate: ts(20 * DAY_MS),
+          totalSkus: 2,
+          skusWithFlags: 1,
+          samplesArrived: 0,
+          samplesTotal: 0,
+          readinessPct: 0,
+          shootWindow: null,
+        },
+      ]
+      mockFamilies = [
+        {
+          id: "f9",
+          assetDeliverySummary: {
+            ecomm_on_figure: { required: 2, delivered: 1 },
+            video: { required: 1, delivered: 1 },
+          },
+        },
+      ]
+      mockFamilyProjectMap = new Map([["f9", new Set(["p1"])]])
+      mockProjectNames = new Map([["p1", "Summer Campaign"]])
+      renderWidget()
+
+      const panel = screen.getByTestId("project-delivery-progress")
+      expect(within(panel).getByText("Summer Campaign")).toBeInTheDocument()
+      expect(within(panel).getByText("2/3 delivered")).toBeInTheDocument()
+      expect(within(panel).getByText("On-fig e-comm 1/2")).toBeInTheDocument()
+      expect(within(panel).getByText("Video 1/1")).toBeInTheDocument()
+
+      mockFamilies = []
+      mockFamilyProjectMap = new Map()
+      mockProjectNames = new Map()
+    })
+
+    it("hides the panel when no project has requirements", () => {
+      mockItems = [
+        {
+          familyId: "f10",
+          familyName: "Wool Scarf",
+          launchDate: ts(20 * DAY_MS),
+          totalSkus: 1,
+          skusWithFlags: 1,
+          samplesArrived: 0,
+          samplesTotal: 0,
+          readinessPct: 0,
+          shootWindow: null,
+        },
+      ]
+      renderWidget()
+      expect(screen.queryByTestId("project-delivery-progress")).not.toBeInTheDocument()
+    })
+  })
 })
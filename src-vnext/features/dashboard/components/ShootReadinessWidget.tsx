@@ -2,6 +2,7 @@ import { useState, useCallback, useMemo } from "react"
 import { useAuth } from "@/app/providers/AuthProvider"
 import { canManageProjects } from "@/shared/lib/rbac"
 import { useShootReadiness } from "@/features/products/hooks/useShootReadiness"
+import { useProductFamilies } from "@/features/products/hooks/useProducts"
 import { useProductProjectMap } from "@/features/dashboard/hooks/useProductProjectMap"
 import {
   useProductSelection,
@@ -20,6 +21,8 @@ import {
 } from "../lib/readinessFilters"
 import { ReadinessToolbar } from "./ReadinessToolbar"
 import { ReadinessCard } from "./ReadinessCard"
+import { ProjectDeliveryProgress } from "./ProjectDeliveryProgress"
+import { buildProjectDeliveryProgress } from "../lib/assetDeliveryProgress"
 
 // ---------------------------------------------------------------------------
 // localStorage persistence for filter state
@@ -61,6 +64,12 @@ export function ShootReadinessWidget() {
     skuProjectMap,
     projectNames,
   } = useProductProjectMap(clientId)
+  // Same query as useShootReadiness — Firestore shares the listener.
+  const { data: families } = useProductFamilies()
+  const deliveryProgress = useMemo(
+    () => buildProjectDeliveryProgress(families, familyProjectMap, projectNames),
+    [families, familyProjectMap, projectNames],
+  )
 
   // Selection state — always active (no toggle mode)
   const [showAddDialog, setShowAddDialog] = useState(false)
@@ -191,6 +200,8 @@ export function ShootReadinessWidget() {
           )}
         </div>
 
+        <ProjectDeliveryProgress rows={deliveryProgress} />
+
         {/* Toolbar: search, sort, filters */}
         <ReadinessToolbar
           query={query}
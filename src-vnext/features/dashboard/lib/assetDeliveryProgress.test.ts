@@ -0,0 +1,67 @@
+import { describe, expect, it } from "vitest"
+import { buildProjectDeliveryProgress } from "./assetDeliveryProgress"
+
+const projectNames = new Map([
+  ["p1", "Spring Lookbook"],
+  ["p2", "Holiday Ecomm"],
+])
+
+describe("buildProjectDeliveryProgress", () => {
+  it("sums family tallies per project and asset type", () => {
+    const rows = buildProjectDeliveryProgress(
+      [
+        {
+          id: "f1",
+          assetDeliverySummary: {
+            video: { required: 1, delivered: 0 },
+            ecomm_on_figure: { required: 2, delivered: 2 },
+          },
+        },
+        { id: "f2", assetDeliverySummary: { ecomm_on_figure: { required: 3, delivered: 1 } } },
+      ],
+      new Map([
+        ["f1", new Set(["p1"])],
+        ["f2", new Set(["p1", "p2"])],
+      ]),
+      projectNames,
+    )
+
+    expect(rows).toEqual([
+      {
+        projectId: "p2",
+        projectName: "Holiday Ecomm",
+        required: 3,
+        delivered: 1,
+        byType: [{ assetType: "ecomm_on_figure", label: "On-fig e-comm", required: 3, delivered: 1 }],
+      },
+      {
+        projectId: "p1",
+        projectName: "Spring Lookbook",
+        required: 6,
+        delivered: 3,
+        byType: [
+          { assetType: "ecomm_on_figure", label: "On-fig e-comm", required: 5, delivered: 3 },
+          { assetType: "video", label: "Video", required: 1, delivered: 0 },
+        ],
+      },
+    ])
+  })
+
+  it("skips deleted/archived families, unassigned families and empty projects", () => {
+    const rows = buildProjectDeliveryProgress(
+      [
+        { id: "f1", deleted: true, assetDeliverySummary: { video: { required: 1, delivered: 0 } } },
+        { id: "f2", archived: true, assetDeliverySummary: { video: { required: 1, delivered: 0 } } },
+        { id: "f3", assetDeliverySummary: { video: { required: 1, delivered: 0 } } },
+        { id: "f4" },
+      ],
+      new Map([
+        ["f1", new Set(["p1"])],
+        ["f2", new Set(["p1"])],
+        ["f4", new Set(["p2"])],
+      ]),
+      projectNames,
+    )
+    expect(rows).toEqual([])
+  })
+})
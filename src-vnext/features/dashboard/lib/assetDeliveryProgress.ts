@@ -0,0 +1,70 @@
+import type { AssetDeliveryTally, ProductFamily } from "@/shared/types"
+import { ASSET_TYPES, ASSET_TYPE_SHORT_LABELS } from "@/features/products/lib/assetRequirements"
+
+export interface AssetTypeProgress extends AssetDeliveryTally {
+  readonly assetType: string
+  readonly label: string
+}
+
+export interface ProjectDeliveryProgress extends AssetDeliveryTally {
+  readonly projectId: string
+  readonly projectName: string
+  readonly byType: ReadonlyArray<AssetTypeProgress>
+}
+
+const TYPE_ORDER = new Map(ASSET_TYPES.map((t, i) => [t.key, i]))
+
+/**
+ * Rolls each family's denormalized `assetDeliverySummary` up to the projects
+ * whose shots use it. Projects with nothing required are dropped; the rest
+ * sort least-delivered first.
+ */
+export function buildProjectDeliveryProgress(
+  families: ReadonlyArray<Pick<ProductFamily, "id" | "assetDeliverySummary" | "deleted" | "archived">>,
+  familyProjectMap: ReadonlyMap<string, ReadonlySet<string>>,
+  projectNames: ReadonlyMap<string, string>,
+): ReadonlyArray<ProjectDeliveryProgress> {
+  const byProject = new Map<string, Map<string, { required: number; delivered: number }>>()
+
+  for (const family of families) {
+    if (family.deleted === true || family.archived === true || !family.assetDeliverySummary) continue
+    const projectIds = familyProjectMap.get(family.id)
+    if (!projectIds) continue
+    for (const projectId of projectIds) {
+      const tallies = byProject.get(projectId) ?? new Map<string, { required: number; delivered: number }>()
+      for (const [assetType, tally] of Object.entries(family.assetDeliverySummary)) {
+        const current = tallies.get(assetType) ?? { required: 0, delivered: 0 }
+        current.required += tally.required
+        current.delivered += tally.delivered
+        tallies.set(assetType, current)
+      }
+      byProject.set(projectId, tallies)
+    }
+  }
+
+  const rows: ProjectDeliveryProgress[] = []
+  for (const [projectId, tallies] of byProject) {
+    const byType = [...tallies.entries()]
+      .filter(([, tally]) => tally.required > 0)
+      .map(([assetType, tally]) => ({
+        assetType,
+        label: ASSET_TYPE_SHORT_LABELS[assetType] ?? assetType,
+        required: tally.required,
+        delivered: tally.delivered,
+      }))
+      .sort((a, b) => (TYPE_ORDER.get(a.assetType) ?? 99) - (TYPE_ORDER.get(b.assetType) ?? 99))
+    if (byType.length === 0) continue
+    rows.push({
+      projectId,
+      projectName: projectNames.get(projectId) ?? "Untitled project",
+      required: byType.reduce((n, t) => n + t.required, 0),
+      delivered: byType.reduce((n, t) => n + t.delivered, 0),
+      byType,
+    })
+  }
+
+  return rows.sort((a, b) => {
+    const diff = a.delivered / a.required - b.delivered / b.required
+    return diff !== 0 ? diff : a.projectName.localeCompare(b.projectName)
+  })
+}
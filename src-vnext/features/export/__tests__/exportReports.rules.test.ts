@@ -7,6 +7,12 @@
  * Tested on a PRIVATE project so the permissive project wildcard catch-all is
  * off (producerCanAccessProject requires visibility=='team'), leaving the
  * explicit exportReports block — including its createdBy invariant — governing.
+ * [10]-[14] cover sharing: private reports are owner/admin-editable, and only
+ * the owner or an admin may change visibility or delete. [15] re-checks that on
+ * a team project, where the project wildcard must not re-grant the write.
+ * [16] covers reads: only the owner and admins can open a private report, on
+ * either project, and an unfiltered list is admin-only. [17] checks the
+ * team/own list queries useExportReports runs.
  *
  * Requires the Firestore emulator; self-skips when FIRESTORE_EMULATOR_HOST is unset.
  */
@@ -20,7 +26,18 @@ import {
   initializeTestEnvironment,
   type RulesTestEnvironment,
 } from "@firebase/rules-unit-testing"
-import { doc, setDoc, updateDoc, Timestamp } from "firebase/firestore"
+import {
+  collection,
+  deleteDoc,
+  doc,
+  getDoc,
+  getDocs,
+  query,
+  setDoc,
+  updateDoc,
+  where,
+  Timestamp,
+} from "firebase/firestore"
 
 const EMULATOR_HOST = process.env.FIRESTORE_EMULATOR_HOST
 const skipSuite = !EMULATOR_HOST
@@ -33,6 +50,8 @@ const CLIENT_A = "client-a"
 const CLIENT_B = "client-b"
 const PROJ = "proj-private" // private => wildcard off, explicit block governs
 const REPORT_OWNED = "report-owned" // seeded with createdBy == prod-a
+const REPORT_PRIVATE = "report-private" // createdBy == prod-a, visibility private
+const TEAM_PROJ = "proj-team" // team => wildcard on
 
 function shotReportDoc(createdBy: string) {
   return {
@@ -69,6 +88,15 @@ describeOrSkip("firestore.rules — exportReports (shot-report docs)", () => {
         doc(db, "clients", CLIENT_A, "projects", PROJ, "exportReports", REPORT_OWNED),
         shotReportDoc("prod-a"),
       )
+      await setDoc(
+        doc(db, "clients", CLIENT_A, "projects", PROJ, "exportReports", REPORT_PRIVATE),
+        { ...shotReportDoc("prod-a"), visibility: "private" },
+      )
+      await setDoc(doc(db, "clients", CLIENT_A, "projects", TEAM_PROJ), { visibility: "team" })
+      await setDoc(
+        doc(db, "clients", CLIENT_A, "projects", TEAM_PROJ, "exportReports", REPORT_PRIVATE),
+        { ...shotReportDoc("prod-a"), visibility: "private" },
+      )
     })
   })
 
@@ -84,6 +112,8 @@ describeOrSkip("firestore.rules — exportReports (shot-report docs)", () => {
   }
   const reportRef = (db: ReturnType<typeof anon>, id: string) =>
     doc(db, "clients", CLIENT_A, "projects", PROJ, "exportReports", id)
+  const reportsColl = (db: ReturnType<typeof anon>, projectId: string) =>
+    collection(db, "clients", CLIENT_A, "projects", projectId, "exportReports")
 
   it("[1] producer CREATE a shot-report doc succeeds when createdBy == own uid", async () => {
     const db = authed("prod-a", CLIENT_A, "producer")
@@ -143,6 +173,87 @@ describeOrSkip("firestore.rules — exportReports (shot-report docs)", () => {
       }),
     )
   })
+
+  it("[10] CREATE with an unknown visibility fails", async () => {
+    const db = authed("prod-a", CLIENT_A, "producer")
+    await assertFails(
+      setDoc(reportRef(db, "report-odd"), { ...shotReportDoc("prod-a"), visibility: "public" }),
+    )
+  })
+
+  it("[11] owner and admin can UPDATE a private report; another producer cannot", async () => {
+    await assertSucceeds(
+      updateDoc(reportRef(authed("prod-a", CLIENT_A, "producer"), REPORT_PRIVATE), { revision: 1 }),
+    )
+    await assertSucceeds(
+      updateDoc(reportRef(authed("admin-a", CLIENT_A, "admin"), REPORT_PRIVATE), { revision: 2 }),
+    )
+    await assertFails(
+      updateDoc(reportRef(authed("prod-b", CLIENT_A, "producer"), REPORT_PRIVATE), { revision: 3 }),
+    )
+  })
+
+  it("[12] only the owner can make a team report private", async () => {
+    await assertFails(
+      updateDoc(reportRef(authed("prod-b", CLIENT_A, "producer"), REPORT_OWNED), { visibility: "private" }),
+    )
+    await assertSucceeds(
+      updateDoc(reportRef(authed("prod-a", CLIENT_A, "producer"), REPORT_OWNED), { visibility: "private" }),
+    )
+    await assertSucceeds(
+      updateDoc(reportRef(authed("prod-a", CLIENT_A, "producer"), REPORT_OWNED), { visibility: "team" }),
+    )
+  })
+
+  it("[13] another producer cannot DELETE a team report; the owner can", async () => {
+    await testEnv!.withSecurityRulesDisabled(async (ctx) => {
+      await setDoc(reportRef(ctx.firestore(), "report-deletable"), shotReportDoc("prod-a"))
+    })
+    await assertFails(deleteDoc(reportRef(authed("prod-b", CLIENT_A, "producer"), "report-deletable")))
+    await assertSucceeds(deleteDoc(reportRef(authed("prod-a", CLIENT_A, "producer"), "report-deletable")))
+  })
+
+  it("[14] admin can DELETE someone else's report", async () => {
+    await assertSucceeds(deleteDoc(reportRef(authed("admin-a", CLIENT_A, "admin"), REPORT_OWNED)))
+  })
+
+  it("[15] on a team project the wildcard does not re-grant writes to a private report", async () => {
+    const db = authed("prod-b", CLIENT_A, "producer")
+    const ref = doc(db, "clients", CLIENT_A, "projects", TEAM_PROJ, "exportReports", REPORT_PRIVATE)
+    await assertFails(updateDoc(ref, { revision: 9 }))
+    await assertFails(deleteDoc(ref))
+  })
+
+  it("[16] only the owner and admins can GET a private report; team reports stay open", async () => {
+    await testEnv!.withSecurityRulesDisabled(async (ctx) => {
+      await setDoc(reportRef(ctx.firestore(), "report-team"), { ...shotReportDoc("prod-a"), visibility: "team" })
+    })
+    await assertSucceeds(getDoc(reportRef(authed("prod-a", CLIENT_A, "producer"), REPORT_PRIVATE)))
+    await assertSucceeds(getDoc(reportRef(authed("admin-a", CLIENT_A, "admin"), REPORT_PRIVATE)))
+    await assertFails(getDoc(reportRef(authed("prod-b", CLIENT_A, "producer"), REPORT_PRIVATE)))
+    await assertSucceeds(getDoc(reportRef(authed("prod-b", CLIENT_A, "producer"), "report-team")))
+
+    const prodB = authed("prod-b", CLIENT_A, "producer")
+    await assertFails(
+      getDoc(doc(prodB, "clients", CLIENT_A, "projects", TEAM_PROJ, "exportReports", REPORT_PRIVATE)),
+    )
+    await assertFails(getDocs(reportsColl(prodB, PROJ)))
+    await assertFails(getDocs(reportsColl(prodB, TEAM_PROJ)))
+    await assertSucceeds(getDocs(reportsColl(authed("admin-a", CLIENT_A, "admin"), TEAM_PROJ)))
+  })
+
+  it("[17] producers can list team reports and their own, which is what the hook queries", async () => {
+    for (const projectId of [PROJ, TEAM_PROJ]) {
+      const prodB = authed("prod-b", CLIENT_A, "producer")
+      await assertSucceeds(getDocs(query(reportsColl(prodB, projectId), where("visibility", "==", "team"))))
+      await assertSucceeds(getDocs(query(reportsColl(prodB, projectId), where("createdBy", "==", "prod-b"))))
+      await assertFails(getDocs(query(reportsColl(prodB, projectId), where("createdBy", "==", "prod-a"))))
+
+      const prodA = authed("prod-a", CLIENT_A, "producer")
+      const own = await getDocs(query(reportsColl(prodA, projectId), where("createdBy", "==", "prod-a")))
+      expect(own.docs.map((d) => d.id)).toContain(REPORT_PRIVATE)
+    }
+  })
 })
 
 // Visible skip notice so developers know why zero rules tests ran locally.
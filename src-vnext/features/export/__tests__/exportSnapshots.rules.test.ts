@@ -0,0 +1,149 @@
+// @vitest-environment node
+/**
+ * Firestore rules tests for exportReports/{reportId}/snapshots — the named
+ * version history of a block-canvas report. Snapshots follow their report's
+ * sharing: anyone who may edit the report may read and take them, so a
+ * private report's history is owner/admin-only. They are immutable, and only
+ * their author or the report's owner/admin may delete them.
+ *
+ * Requires the Firestore emulator; self-skips when FIRESTORE_EMULATOR_HOST is unset.
+ */
+
+import { readFileSync } from "node:fs"
+import { resolve } from "node:path"
+import { afterAll, beforeAll, describe, expect, it } from "vitest"
+import {
+  assertFails,
+  assertSucceeds,
+  initializeTestEnvironment,
+  type RulesTestEnvironment,
+} from "@firebase/rules-unit-testing"
+import { deleteDoc, doc, getDoc, setDoc, updateDoc, Timestamp } from "firebase/firestore"
+
+const EMULATOR_HOST = process.env.FIRESTORE_EMULATOR_HOST
+const skipSuite = !EMULATOR_HOST
+const describeOrSkip = skipSuite ? describe.skip : describe
+
+const PROJECT_ID = "demo-exportsnapshots-rules"
+const RULES_PATH = resolve(__dirname, "../../../../firestore.rules")
+
+const CLIENT_A = "client-a"
+const CLIENT_B = "client-b"
+const PROJ = "proj-private"
+const REPORT_TEAM = "report-team" // createdBy == prod-a
+const REPORT_PRIVATE = "report-private" // createdBy == prod-a, visibility private
+const SNAP_BY_B = "snap-by-b" // on REPORT_TEAM, createdBy == prod-b
+
+function reportDoc(createdBy: string) {
+  return {
+    name: "Lookbook",
+    schemaVersion: 2,
+    pages: [{ id: "page-1", items: [] }],
+    settings: { layout: "portrait", size: "letter", fontFamily: "Inter" },
+    customVariables: [],
+    revision: 3,
+    createdAt: Timestamp.now(),
+    updatedAt: Timestamp.now(),
+    createdBy,
+    updatedBy: createdBy,
+  }
+}
+
+function snapshotDoc(createdBy: string, name = "Sent to client v2") {
+  return {
+    name,
+    pages: [{ id: "page-1", items: [] }],
+    settings: { layout: "portrait", size: "letter", fontFamily: "Inter" },
+    customVariables: [],
+    revision: 3,
+    createdAt: Timestamp.now(),
+    createdBy,
+  }
+}
+
+let testEnv: RulesTestEnvironment | null = null
+
+describeOrSkip("firestore.rules — exportReports snapshots", () => {
+  beforeAll(async () => {
+    if (!EMULATOR_HOST) return
+    const [host, portStr] = EMULATOR_HOST.split(":")
+    const port = Number(portStr || "8080")
+    testEnv = await initializeTestEnvironment({
+      projectId: PROJECT_ID,
+      firestore: { host, port, rules: readFileSync(RULES_PATH, "utf8") },
+    })
+
+    await testEnv.withSecurityRulesDisabled(async (ctx) => {
+      const db = ctx.firestore()
+      const reports = ["clients", CLIENT_A, "projects", PROJ, "exportReports"] as const
+      await setDoc(doc(db, "clients", CLIENT_A, "projects", PROJ), { visibility: "private" })
+      await setDoc(doc(db, ...reports, REPORT_TEAM), reportDoc("prod-a"))
+      await setDoc(doc(db, ...reports, REPORT_PRIVATE), { ...reportDoc("prod-a"), visibility: "private" })
+      await setDoc(doc(db, ...reports, REPORT_TEAM, "snapshots", SNAP_BY_B), snapshotDoc("prod-b"))
+      await setDoc(doc(db, ...reports, REPORT_PRIVATE, "snapshots", "snap-private"), snapshotDoc("prod-a"))
+    })
+  })
+
+  afterAll(async () => {
+    if (testEnv) await testEnv.cleanup()
+  })
+
+  function authed(uid: string, clientId: string, role: string) {
+    return testEnv!.authenticatedContext(uid, { clientId, role }).firestore()
+  }
+  const snapshotRef = (db: ReturnType<typeof authed>, reportId: string, id: string) =>
+    doc(db, "clients", CLIENT_A, "projects", PROJ, "exportReports", reportId, "snapshots", id)
+
+  it("[1] producer can snapshot a team report as themselves, not as someone else", async () => {
+    const db = authed("prod-b", CLIENT_A, "producer")
+    await assertSucceeds(setDoc(snapshotRef(db, REPORT_TEAM, "snap-new"), snapshotDoc("prod-b")))
+    await assertFails(setDoc(snapshotRef(db, REPORT_TEAM, "snap-spoof"), snapshotDoc("prod-a")))
+  })
+
+  it("[2] CREATE without a name, or with an overlong one, fails", async () => {
+    const db = authed("prod-a", CLIENT_A, "producer")
+    await assertFails(setDoc(snapshotRef(db, REPORT_TEAM, "snap-blank"), snapshotDoc("prod-a", "")))
+    await assertFails(
+      setDoc(snapshotRef(db, REPORT_TEAM, "snap-long"), snapshotDoc("prod-a", "x".repeat(121))),
+    )
+  })
+
+  it("[3] a private report's snapshots are owner/admin-only", async () => {
+    await assertSucceeds(getDoc(snapshotRef(authed("prod-a", CLIENT_A, "producer"), REPORT_PRIVATE, "snap-private")))
+    await assertSucceeds(getDoc(snapshotRef(authed("admin-a", CLIENT_A, "admin"), REPORT_PRIVATE, "snap-private")))
+    const other = authed("prod-b", CLIENT_A, "producer")
+    await assertFails(getDoc(snapshotRef(other, REPORT_PRIVATE, "snap-private")))
+    await assertFails(setDoc(snapshotRef(other, REPORT_PRIVATE, "snap-b"), snapshotDoc("prod-b")))
+  })
+
+  it("[4] snapshots are immutable", async () => {
+    const db = authed("prod-b", CLIENT_A, "producer")
+    await assertFails(updateDoc(snapshotRef(db, REPORT_TEAM, SNAP_BY_B), { name: "Renamed" }))
+  })
+
+  it("[5] viewer and foreign-tenant producer cannot read or create", async () => {
+    const viewer = authed("viewer-a", CLIENT_A, "viewer")
+    await assertFails(getDoc(snapshotRef(viewer, REPORT_TEAM, SNAP_BY_B)))
+    const foreign = authed("prod-x", CLIENT_B, "producer")
+    await assertFails(getDoc(snapshotRef(foreign, REPORT_TEAM, SNAP_BY_B)))
+    await assertFails(setDoc(snapshotRef(foreign, REPORT_TEAM, "snap-x"), snapshotDoc("prod-x")))
+  })
+
+  it("[6] a third producer cannot delete someone's snapshot; the report owner can", async () => {
+    await assertFails(deleteDoc(snapshotRef(authed("prod-c", CLIENT_A, "producer"), REPORT_TEAM, SNAP_BY_B)))
+    await assertSucceeds(deleteDoc(snapshotRef(authed("prod-a", CLIENT_A, "producer"), REPORT_TEAM, SNAP_BY_B)))
+  })
+
+  it("[7] the author can delete their own snapshot", async () => {
+    await assertSucceeds(deleteDoc(snapshotRef(authed("prod-b", CLIENT_A, "producer"), REPORT_TEAM, "snap-new")))
+  })
+})
+
+// Visible skip notice so developers know why zero rules tests ran locally.
+if (skipSuite) {
+  describe("firestore.rules — exportReports snapshots (skipped)", () => {
+    it("skipped: set FIRESTORE_EMULATOR_HOST to run rules unit tests", () => {
+      expect(skipSuite).toBe(true)
+    })
+  })
+}
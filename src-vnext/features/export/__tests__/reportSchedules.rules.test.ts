@@ -0,0 +1,133 @@
+// @vitest-environment node
+/**
+ * Firestore rules tests for reportSchedules — recurring emailed deliveries of
+ * a saved report. Schedules hold outside recipients' emails and unsubscribe
+ * tokens, so they're producer/admin-only and excluded from the project
+ * wildcard. Tested on a TEAM project, where that wildcard is on, to prove it
+ * doesn't re-grant crew access. Deliveries are written by the function only.
+ *
+ * Requires the Firestore emulator; self-skips when FIRESTORE_EMULATOR_HOST is unset.
+ */
+
+import { readFileSync } from "node:fs"
+import { resolve } from "node:path"
+import { afterAll, beforeAll, describe, it } from "vitest"
+import {
+  assertFails,
+  assertSucceeds,
+  initializeTestEnvironment,
+  type RulesTestEnvironment,
+} from "@firebase/rules-unit-testing"
+import { addDoc, collection, doc, getDoc, setDoc, updateDoc, Timestamp } from "firebase/firestore"
+
+const EMULATOR_HOST = process.env.FIRESTORE_EMULATOR_HOST
+const skipSuite = !EMULATOR_HOST
+const describeOrSkip = skipSuite ? describe.skip : describe
+
+const PROJECT_ID = "demo-reportschedules-rules"
+const RULES_PATH = resolve(__dirname, "../../../../firestore.rules")
+
+const CLIENT_A = "client-a"
+const CLIENT_B = "client-b"
+const PROJ = "proj-team" // team => wildcard on
+const SCHEDULE = "schedule-1" // seeded with createdBy == prod-a
+
+function scheduleDoc(createdBy: string) {
+  return {
+    reportId: "report-1",
+    reportName: "Shot status",
+    reportType: "shot-report",
+    enabled: true,
+    cadence: { frequency: "weekly", weekday: 1, time: "08:00", timeZone: "America/Toronto" },
+    recipients: [{ email: "client@example.com", token: "tok-1", unsubscribedAt: null }],
+    nextRunAt: Timestamp.now(),
+    createdBy,
+    createdAt: Timestamp.now(),
+  }
+}
+
+let testEnv: RulesTestEnvironment | null = null
+
+describeOrSkip("firestore.rules — reportSchedules", () => {
+  beforeAll(async () => {
+    if (!EMULATOR_HOST) return
+    const [host, portStr] = EMULATOR_HOST.split(":")
+    const port = Number(portStr || "8080")
+    testEnv = await initializeTestEnvironment({
+      projectId: PROJECT_ID,
+      firestore: { host, port, rules: readFileSync(RULES_PATH, "utf8") },
+    })
+
+    await testEnv.withSecurityRulesDisabled(async (ctx) => {
+      const db = ctx.firestore()
+      await setDoc(doc(db, "clients", CLIENT_A, "projects", PROJ), { visibility: "team" })
+      await setDoc(doc(db, "clients", CLIENT_A, "projects", PROJ, "members", "crew-a"), { role: "crew" })
+      await setDoc(
+        doc(db, "clients", CLIENT_A, "projects", PROJ, "reportSchedules", SCHEDULE),
+        scheduleDoc("prod-a"),
+      )
+    })
+  })
+
+  afterAll(async () => {
+    if (testEnv) await testEnv.cleanup()
+  })
+
+  function authed(uid: string, clientId: string, role: string) {
+    return testEnv!.authenticatedContext(uid, { clientId, role }).firestore()
+  }
+  const scheduleRef = (db: ReturnType<typeof authed>, id: string) =>
+    doc(db, "clients", CLIENT_A, "projects", PROJ, "reportSchedules", id)
+
+  it("[1] producer CREATE succeeds when createdBy == own uid", async () => {
+    const db = authed("prod-a", CLIENT_A, "producer")
+    await assertSucceeds(setDoc(scheduleRef(db, "schedule-new"), scheduleDoc("prod-a")))
+  })
+
+  it("[2] CREATE fails when createdBy != own uid", async () => {
+    const db = authed("prod-a", CLIENT_A, "producer")
+    await assertFails(setDoc(scheduleRef(db, "schedule-spoof"), scheduleDoc("someone-else")))
+  })
+
+  it("[3] CREATE fails with an unknown frequency or more than 50 recipients", async () => {
+    const db = authed("prod-a", CLIENT_A, "producer")
+    const base = scheduleDoc("prod-a")
+    await assertFails(
+      setDoc(scheduleRef(db, "schedule-hourly"), { ...base, cadence: { ...base.cadence, frequency: "hourly" } }),
+    )
+    const recipients = Array.from({ length: 51 }, (_, i) => ({
+      email: `r${i}@example.com`,
+      token: `t${i}`,
+      unsubscribedAt: null,
+    }))
+    await assertFails(setDoc(scheduleRef(db, "schedule-many"), { ...base, recipients }))
+  })
+
+  it("[4] crew on a team project can neither READ nor WRITE schedules (wildcard excluded)", async () => {
+    const db = authed("crew-a", CLIENT_A, "crew")
+    await assertFails(getDoc(scheduleRef(db, SCHEDULE)))
+    await assertFails(updateDoc(scheduleRef(db, SCHEDULE), { enabled: false }))
+  })
+
+  it("[5] foreign-tenant producer READ fails", async () => {
+    const db = authed("prod-b", CLIENT_B, "producer")
+    await assertFails(getDoc(scheduleRef(db, SCHEDULE)))
+  })
+
+  it("[6] another producer can UPDATE the cadence, but not reassign createdBy", async () => {
+    const db = authed("prod-b", CLIENT_A, "producer")
+    await assertSucceeds(
+      updateDoc(scheduleRef(db, SCHEDULE), {
+        cadence: { frequency: "daily", time: "07:30", timeZone: "America/Toronto" },
+      }),
+    )
+    await assertFails(updateDoc(scheduleRef(db, SCHEDULE), { createdBy: "prod-b" }))
+  })
+
+  it("[7] deliveries are readable by producers and writable by nobody", async () => {
+    const db = authed("prod-a", CLIENT_A, "producer")
+    const deliveries = collection(db, "clients", CLIENT_A, "projects", PROJ, "reportSchedules", SCHEDULE, "deliveries")
+    await assertSucceeds(getDoc(doc(deliveries, "any")))
+    await assertFails(addDoc(deliveries, { status: "sent" }))
+  })
+})
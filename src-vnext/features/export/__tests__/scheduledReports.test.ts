@@ -0,0 +1,227 @@
+// @vitest-environment node
+import { createRequire } from "node:module"
+import { resolve } from "node:path"
+import { describe, expect, it } from "vitest"
+import { computeNextRunAt as appComputeNextRunAt, type ReportCadence } from "../lib/reportSchedules"
+
+const require = createRequire(import.meta.url)
+
+interface DeliveryLogEntry {
+  readonly status: string
+  readonly recipientCount: number
+  readonly sentCount: number
+  readonly skippedUnsubscribed: number
+  readonly failures: readonly { email: string; error: string }[]
+  readonly error: string | null
+}
+
+const schedule = require(resolve(__dirname, "../../../../functions/src/reportSchedule.js")) as {
+  computeNextRunAt: (cadence: unknown, from: Date) => Date | null
+  describeCadence: (cadence: unknown) => string
+  normalizeCadence: (cadence: unknown) => Record<string, unknown> | null
+  activeRecipients: (recipients: unknown) => { email: string; token: string | null }[]
+  buildUnsubscribeToken: (parts: {
+    clientId: string
+    projectId: string
+    scheduleId: string
+    recipientToken: string
+  }) => string
+  parseUnsubscribeToken: (token: unknown) => Record<string, string> | null
+  unsubscribeRecipient: (recipients: unknown, token: string, now: unknown) => unknown[] | null
+  buildDeliveryLogEntry: (input: {
+    reportName?: string
+    results: { email: string; ok: boolean; error?: string }[]
+    error?: string
+    skippedUnsubscribed?: number
+  }) => DeliveryLogEntry
+}
+
+interface Digest {
+  readonly title: string
+  readonly kindLabel: string
+  readonly rowCount: number
+  readonly sections: readonly { label: string | null; columns: string[]; rows: string[][] }[]
+}
+
+const digest = require(resolve(__dirname, "../../../../functions/src/reportDigest.js")) as {
+  buildReportDigest: (input: Record<string, unknown>) => Digest | null
+  isSchedulableReportType: (type: unknown) => boolean
+}
+
+describe("reportSchedule (functions) — cadence", () => {
+  const cadences: ReportCadence[] = [
+    { frequency: "weekly", weekday: 1, time: "08:00", timeZone: "America/Toronto" },
+    { frequency: "daily", time: "23:45", timeZone: "America/Los_Angeles" },
+    { frequency: "monthly", dayOfMonth: 28, time: "06:15", timeZone: "Europe/London" },
+    // 02:30 on 2027-03-14 doesn't exist in Toronto (spring forward).
+    { frequency: "weekly", weekday: 0, time: "02:30", timeZone: "America/Toronto" },
+  ]
+  const starts = ["2026-10-19T11:59:00Z", "2026-12-31T23:00:00Z", "2027-03-08T12:00:00Z"]
+
+  it("computes the same next run as the app for every cadence", () => {
+    for (const cadence of cadences) {
+      for (const iso of starts) {
+        const from = new Date(iso)
+        expect(schedule.computeNextRunAt(cadence, from)?.toISOString()).toBe(
+          appComputeNextRunAt(cadence, from)?.toISOString(),
+        )
+      }
+    }
+  })
+
+  it("rejects cadences the function can't run and defaults a bad time zone", () => {
+    expect(schedule.normalizeCadence({ frequency: "hourly", time: "08:00" })).toBeNull()
+    expect(schedule.normalizeCadence({ frequency: "monthly", dayOfMonth: 31, time: "08:00" })).toBeNull()
+    expect(schedule.normalizeCadence({ frequency: "daily", time: "8:00", timeZone: "Mars/Base" })).toEqual({
+      frequency: "daily",
+      time: "08:00",
+      timeZone: "America/Toronto",
+    })
+  })
+
+  it("labels cadences for the email subject", () => {
+    expect(schedule.describeCadence({ frequency: "weekly", weekday: 1, time: "08:00" })).toBe("every Monday 8am")
+  })
+})
+
+describe("reportSchedule (functions) — recipients and unsubscribe", () => {
+  const recipients = [
+    { email: "Ana@Studio.com", token: "tok-ana", unsubscribedAt: null },
+    { email: "ana@studio.com", token: "tok-dup", unsubscribedAt: null },
+    { email: "ben@studio.com", token: "tok-ben", unsubscribedAt: { seconds: 1 } },
+    { email: "not-an-email", token: "tok-bad", unsubscribedAt: null },
+    { email: "cy@studio.com", token: "tok-cy", unsubscribedAt: null },
+  ]
+
+  it("emails valid, unique, still-subscribed recipients only", () => {
+    expect(schedule.activeRecipients(recipients)).toEqual([
+      { email: "ana@studio.com", token: "tok-ana" },
+      { email: "cy@studio.com", token: "tok-cy" },
+    ])
+  })
+
+  it("caps a run at 50 recipients", () => {
+    const many = Array.from({ length: 60 }, (_, i) => ({ email: `r${i}@x.com`, token: `t${i}` }))
+    expect(schedule.activeRecipients(many)).toHaveLength(50)
+  })
+
+  it("round-trips the compound unsubscribe token and rejects malformed ones", () => {
+    const parts = { clientId: "acme", projectId: "p1", scheduleId: "s1", recipientToken: "tok-ana" }
+    expect(schedule.parseUnsubscribeToken(schedule.buildUnsubscribeToken(parts))).toEqual(parts)
+    expect(schedule.parseUnsubscribeToken("acme.p1.s1")).toBeNull()
+    expect(schedule.parseUnsubscribeToken("acme..s1.tok")).toBeNull()
+    expect(schedule.parseUnsubscribeToken("acme.p1/x.s1.tok")).toBeNull()
+  })
+
+  it("unsubscribes the token's holder once and leaves everyone else alone", () => {
+    const now = { seconds: 99 }
+    const next = schedule.unsubscribeRecipient(recipients, "tok-cy", now)
+    expect(next?.[4]).toEqual({ email: "cy@studio.com", token: "tok-cy", unsubscribedAt: now })
+    expect(next?.[0]).toBe(recipients[0])
+    expect(schedule.unsubscribeRecipient(recipients, "tok-ben", now)).toBeNull()
+    expect(schedule.unsubscribeRecipient(recipients, "tok-unknown", now)).toBeNull()
+  })
+})
+
+describe("reportSchedule (functions) — delivery log", () => {
+  it("classifies runs as sent, partial, failed or skipped", () => {
+    const ok = { email: "a@x.com", ok: true }
+    const bad = { email: "b@x.com", ok: false, error: "send_failed: 500" }
+    expect(schedule.buildDeliveryLogEntry({ results: [ok] }).status).toBe("sent")
+    expect(schedule.buildDeliveryLogEntry({ results: [ok, bad] })).toMatchObject({
+      status: "partial",
+      recipientCount: 2,
+      sentCount: 1,
+      failures: [{ email: "b@x.com", error: "send_failed: 500" }],
+    })
+    expect(schedule.buildDeliveryLogEntry({ results: [bad] }).status).toBe("failed")
+    expect(schedule.buildDeliveryLogEntry({ results: [], skippedUnsubscribed: 3 })).toMatchObject({
+      status: "skipped",
+      skippedUnsubscribed: 3,
+    })
+    expect(schedule.buildDeliveryLogEntry({ results: [], error: "report_not_found" })).toMatchObject({
+      status: "failed",
+      error: "report_not_found",
+    })
+  })
+})
+
+describe("reportDigest (functions)", () => {
+  const shots = [
+    { id: "s1", shotNumber: "2", title: "Parka hero", status: "todo", talentIds: ["t1"], looks: [{ products: [{ familyId: "f1", colourName: "Navy" }] }], tags: [{ id: "tag-a" }] },
+    { id: "s2", shotNumber: "1", title: "Tee flat", status: "complete", talentIds: [], products: [{ familyId: "f2" }], tags: [] },
+    { id: "s3", shotNumber: "10", title: "Cut", status: "in_progress", talentIds: ["t2"], deleted: true },
+    { id: "s4", shotNumber: "3", title: "Beanie", status: "on_hold", talentIds: ["t2"], looks: [{ products: [{ familyId: "f1", colourName: "Olive" }] }], tags: [{ id: "tag-a" }] },
+  ]
+  const talent = [
+    { id: "t1", name: "Ana Ruiz", agency: "North", projectIds: [] },
+    { id: "t2", firstName: "Ben", lastName: "Ode", agency: "", projectIds: ["p1"] },
+    { id: "t3", name: "Cy Lee", agency: "North", projectIds: ["p1"] },
+  ]
+  const productFamilies = [
+    { id: "f1", styleName: "Merino Parka", styleNumbers: ["MP-1"], gender: "women" },
+    { id: "f2", styleName: "Crew Tee", styleNumber: "CT-9", gender: "men" },
+    { id: "f3", styleName: "Archived Sock", archived: true },
+    { id: "f4", styleName: "Alpine Vest" },
+  ]
+  const base = { projectId: "p1", projectName: "FW27", shots, talent, productFamilies, generatedAt: new Date("2026-10-19T12:00:00Z") }
+  const build = (report: Record<string, unknown>) => digest.buildReportDigest({ ...base, report })!
+
+  it("only block-canvas-free report types are schedulable", () => {
+    expect(digest.isSchedulableReportType("shot-report")).toBe(true)
+    expect(digest.isSchedulableReportType("block-canvas")).toBe(false)
+    expect(digest.buildReportDigest({ ...base, report: { reportType: "block-canvas" } })).toBeNull()
+  })
+
+  it("shot report: live shots in shot-number order with talent and products", () => {
+    const d = build({ name: "Shot status", reportType: "shot-report", config: { groupBy: "none", excludedShotIds: [] } })
+    expect(d.title).toBe("Shot status")
+    expect(d.sections).toHaveLength(1)
+    expect(d.sections[0]!.rows).toEqual([
+      ["1", "Tee flat", "Shot", "—", "Crew Tee"],
+      ["2", "Parka hero", "Draft", "Ana Ruiz", "Merino Parka"],
+      ["3", "Beanie", "On Hold", "Ben Ode", "Merino Parka"],
+    ])
+  })
+
+  it("shot report: filters win over legacy hiddenStatuses, exclusions apply, groupBy status splits", () => {
+    const d = build({
+      reportType: "shot-report",
+      config: {
+        groupBy: "status",
+        excludedShotIds: ["s2"],
+        hiddenStatuses: ["todo"],
+        filters: [{ id: "f", field: "tag", operator: "in", value: ["tag-a"] }],
+        sortDir: "desc",
+      },
+    })
+    expect(d.sections.map((s) => s.label)).toEqual(["Draft", "On Hold"])
+    expect(d.rowCount).toBe(2)
+
+    const legacy = build({ reportType: "shot-report", config: { groupBy: "none", excludedShotIds: [], hiddenStatuses: ["todo", "on_hold"] } })
+    expect(legacy.sections[0]!.rows.map((r) => r[0])).toEqual(["1"])
+  })
+
+  it("product info: in-use families with colourways, library scope adds the rest", () => {
+    const inUse = build({ reportType: "product-info", config: { productScope: "in-use", excludedFamilyIds: [] } })
+    expect(inUse.sections[0]!.rows).toEqual([
+      ["Crew Tee", "CT-9", "men", "—", "1"],
+      ["Merino Parka", "MP-1", "women", "Navy, Olive", "2"],
+    ])
+
+    const library = build({ reportType: "product-info", config: { productScope: "library", excludedFamilyIds: ["f2"], hiddenStatuses: ["todo", "on_hold"] } })
+    // f1 only appears in hidden statuses; f3 is archived; f4 is library-only.
+    expect(library.sections[0]!.rows.map((r) => r[0])).toEqual(["Alpine Vest"])
+  })
+
+  it("talent: in-shots vs project-attached scope, grouped by agency", () => {
+    const inShots = build({ reportType: "talent", config: { talentScope: "in-shots", excludedTalentIds: [] } })
+    expect(inShots.sections[0]!.rows.map((r) => r[0])).toEqual(["Ana Ruiz", "Ben Ode"])
+
+    const attached = build({ reportType: "talent", config: { talentScope: "project-attached", excludedTalentIds: [], groupBy: "agency" } })
+    expect(attached.sections.map((s) => [s.label, s.rows.map((r) => r[0])])).toEqual([
+      ["North", ["Cy Lee"]],
+      ["No agency", ["Ben Ode"]],
+    ])
+  })
+})
@@ -1,9 +1,13 @@
 import {
+  CalendarClock,
   ClipboardList,
   Columns,
+  Contact,
   FileDown,
   Grid3x3,
   Image,
+  LayoutGrid,
+  MapPin,
   Minus,
   Square,
   Table,
@@ -27,6 +31,10 @@ const ICON_MAP: Record<string, LucideIcon> = {
   Table,
   ClipboardList,
   Users,
+  CalendarClock,
+  Contact,
+  MapPin,
+  LayoutGrid,
   Minus,
   FileDown,
   Columns,
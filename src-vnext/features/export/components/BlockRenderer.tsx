@@ -1,4 +1,6 @@
+import { Eye, Repeat } from "lucide-react"
 import type { BlockLayout, ExportBlock, ExportVariable } from "../types/exportBuilder"
+import { TEMPLATE_COLLECTIONS } from "../lib/exportVariables"
 import { TextBlockView } from "./blocks/TextBlockView"
 import { ImageBlockView } from "./blocks/ImageBlockView"
 import { ShotGridBlockView } from "./blocks/ShotGridBlockView"
@@ -6,6 +8,10 @@ import { ShotDetailBlockView } from "./blocks/ShotDetailBlockView"
 import { ProductTableBlockView } from "./blocks/ProductTableBlockView"
 import { PullSheetBlockView } from "./blocks/PullSheetBlockView"
 import { CrewListBlockView } from "./blocks/CrewListBlockView"
+import { ScheduleTimelineBlockView } from "./blocks/ScheduleTimelineBlockView"
+import { TalentCardsBlockView } from "./blocks/TalentCardsBlockView"
+import { LocationSheetBlockView } from "./blocks/LocationSheetBlockView"
+import { CastingGridBlockView } from "./blocks/CastingGridBlockView"
 import { DividerBlockView } from "./blocks/DividerBlockView"
 
 interface BlockRendererProps {
@@ -55,6 +61,14 @@ function renderBlockContent(
       return <PullSheetBlockView block={block} />
     case "crew-list":
       return <CrewListBlockView block={block} />
+    case "schedule-timeline":
+      return <ScheduleTimelineBlockView block={block} />
+    case "talent-cards":
+      return <TalentCardsBlockView block={block} />
+    case "location-sheet":
+      return <LocationSheetBlockView block={block} />
+    case "casting-grid":
+      return <CastingGridBlockView block={block} />
     default:
       return null
   }
@@ -92,6 +106,29 @@ function buildLayoutStyle(layout: BlockLayout | undefined): React.CSSProperties
   return style
 }
 
+/** Marks a block the PDF shows conditionally or repeats per record. */
+function TemplateBadges({ block }: { readonly block: ExportBlock }) {
+  const repeatLabel = TEMPLATE_COLLECTIONS.find((c) => c.key === block.repeat)?.label
+  const badgeClass =
+    "inline-flex items-center gap-1 rounded bg-[var(--color-surface-muted)] px-1.5 py-0.5 text-2xs text-[var(--color-text-muted)]"
+  return (
+    <div className="mb-1 flex flex-wrap gap-1" data-testid="block-template-badges">
+      {block.visibleIf && (
+        <span className={badgeClass} title="Left out of the PDF when false">
+          <Eye className="h-3 w-3" />
+          <span className="font-mono">if {block.visibleIf}</span>
+        </span>
+      )}
+      {repeatLabel && (
+        <span className={badgeClass} title="One copy per record in the PDF">
+          <Repeat className="h-3 w-3" />
+          For each: {repeatLabel}
+        </span>
+      )}
+    </div>
+  )
+}
+
 export function BlockRenderer({
   block,
   selected,
@@ -130,6 +167,7 @@ export function BlockRenderer({
       style={layoutStyle}
       className={`cursor-pointer rounded transition-shadow ${selectionRing}`}
     >
+      {(block.visibleIf || block.repeat) && <TemplateBadges block={block} />}
       {renderBlockContent(block, variables, onUpdateBlock)}
     </div>
   )
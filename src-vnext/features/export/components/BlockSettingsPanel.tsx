@@ -1,7 +1,7 @@
 import { useCallback } from "react"
 import { Trash2 } from "lucide-react"
 import { Button } from "@/ui/button"
-import type { BlockLayout, ExportBlock } from "../types/exportBuilder"
+import type { BlockLayout, ExportBlock, ExportVariable } from "../types/exportBuilder"
 import { TextSettings } from "./settings/TextSettings"
 import { ShotGridSettings } from "./settings/ShotGridSettings"
 import { ShotDetailSettings } from "./settings/ShotDetailSettings"
@@ -9,7 +9,12 @@ import { DividerSettings } from "./settings/DividerSettings"
 import { ImageSettings } from "./settings/ImageSettings"
 import { ProductTableSettings } from "./settings/ProductTableSettings"
 import { PullSheetSettings } from "./settings/PullSheetSettings"
+import { ScheduleTimelineSettings } from "./settings/ScheduleTimelineSettings"
+import { TalentCardsSettings } from "./settings/TalentCardsSettings"
+import { LocationSheetSettings } from "./settings/LocationSheetSettings"
+import { CastingGridSettings } from "./settings/CastingGridSettings"
 import { BlockLayoutSettings } from "./settings/BlockLayoutSettings"
+import { BlockConditionSettings } from "./settings/BlockConditionSettings"
 
 interface BlockSettingsPanelProps {
   readonly block: ExportBlock | null
@@ -17,6 +22,8 @@ interface BlockSettingsPanelProps {
   readonly onDeleteBlock: (blockId: string) => void
   readonly clientId?: string | null
   readonly projectId?: string
+  /** Checked against by the block's "Show only if" condition. */
+  readonly variables?: readonly ExportVariable[]
 }
 
 const BLOCK_TYPE_LABELS: Record<string, string> = {
@@ -27,6 +34,10 @@ const BLOCK_TYPE_LABELS: Record<string, string> = {
   "product-table": "Product Table",
   "pull-sheet": "Pull Sheet",
   "crew-list": "Crew List",
+  "schedule-timeline": "Schedule",
+  "talent-cards": "Talent Cards",
+  "location-sheet": "Location Sheet",
+  "casting-grid": "Casting Board",
   divider: "Divider",
   "page-break": "Page Break",
 }
@@ -37,6 +48,7 @@ export function BlockSettingsPanel({
   onDeleteBlock,
   clientId,
   projectId,
+  variables = [],
 }: BlockSettingsPanelProps) {
   const handleUpdate = useCallback(
     (updates: Partial<ExportBlock>) => {
@@ -109,13 +121,29 @@ export function BlockSettingsPanel({
         {block.type === "product-table" && (
           <ProductTableSettings block={block} onUpdate={handleUpdate} />
         )}
+        {block.type === "schedule-timeline" && (
+          <ScheduleTimelineSettings block={block} onUpdate={handleUpdate} />
+        )}
+        {block.type === "talent-cards" && (
+          <TalentCardsSettings block={block} onUpdate={handleUpdate} />
+        )}
+        {block.type === "location-sheet" && (
+          <LocationSheetSettings block={block} onUpdate={handleUpdate} />
+        )}
+        {block.type === "casting-grid" && (
+          <CastingGridSettings block={block} onUpdate={handleUpdate} />
+        )}
         {block.type !== "text" &&
           block.type !== "shot-grid" &&
           block.type !== "shot-detail" &&
           block.type !== "divider" &&
           block.type !== "image" &&
           block.type !== "product-table" &&
-          block.type !== "pull-sheet" && (
+          block.type !== "pull-sheet" &&
+          block.type !== "schedule-timeline" &&
+          block.type !== "talent-cards" &&
+          block.type !== "location-sheet" &&
+          block.type !== "casting-grid" && (
             <p className="text-2xs text-[var(--color-text-muted)]">
               No additional settings for this block type.
             </p>
@@ -126,6 +154,11 @@ export function BlockSettingsPanel({
             onUpdate={handleLayoutUpdate}
           />
         )}
+        <BlockConditionSettings
+          block={block}
+          variables={variables}
+          onUpdate={handleUpdate}
+        />
       </div>
 
       <div className="border-t border-[var(--color-border)] px-4 py-3">
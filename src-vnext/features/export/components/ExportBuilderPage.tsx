@@ -18,6 +18,7 @@ import type {
   CustomVariable,
   ExportBlock,
   ExportDocument,
+  ExportSnapshot,
   ExportTemplate,
   ExportVariable,
   PageItem,
@@ -26,20 +27,22 @@ import type {
 import { isHStackRow } from "../types/exportBuilder"
 import { createBlock } from "../lib/blockDefaults"
 import { getDynamicVariables } from "../lib/exportVariables"
+import { getComputedVariables } from "../lib/exportTemplateData"
 import {
   addBlockToPage,
   addHStackRow,
   applyTemplate,
+  branchFromSnapshot,
   insertBlockAtIndex,
   moveBlock,
   removeBlockFromPage,
+  restoreSnapshot,
   updateSettings,
   wrapBlocksInHStack,
 } from "../lib/documentOperations"
-import {
-  saveDocument,
-  loadDocument,
-} from "../lib/documentPersistence"
+import { saveDocument, takeLegacyDocument } from "../lib/documentPersistence"
+import { BUILT_IN_TEMPLATES } from "../lib/builtInTemplates"
+import { canManageExportDoc, type ExportVisibility } from "../lib/documentSharing"
 import { BLOCK_REGISTRY } from "../lib/blockRegistry"
 import { BlockPalette } from "./BlockPalette"
 import { BlockSettingsPanel } from "./BlockSettingsPanel"
@@ -50,12 +53,15 @@ import { InlineBlockPicker } from "./InlineBlockPicker"
 import { TemplateDialog } from "./TemplateDialog"
 import { VariablesPanel } from "./VariablesPanel"
 import { PageSettingsPanel } from "./PageSettingsPanel"
+import { VersionHistoryPanel } from "./VersionHistoryPanel"
 import { ExportDataProvider, useExportDataContext } from "./ExportDataProvider"
 import { PaletteDragOverlay } from "./PaletteDragOverlay"
 import { generateExportPdf } from "../lib/pdf/generateExportPdf"
 import { useAuth } from "@/app/providers/AuthProvider"
 import { useExportReports } from "../hooks/useExportReports"
 import { useExportTemplates } from "../hooks/useExportTemplates"
+import { useExportSnapshots } from "../hooks/useExportSnapshots"
+import { toExportDocument, useExportReportSync } from "../hooks/useExportReportSync"
 import { useExportBlockOps } from "../hooks/useExportBlockOps"
 import { useInlineBlockPicker } from "../hooks/useInlineBlockPicker"
 import { useExportPageOps } from "../hooks/useExportPageOps"
@@ -95,9 +101,6 @@ function parseHorizontalDropId(
   return null
 }
 
-/** localStorage key for legacy documents */
-const LEGACY_DOC_PREFIX = "sb:export-doc:"
-
 export default function ExportBuilderPage() {
   return (
     <ExportDataProvider>
@@ -109,14 +112,16 @@ export default function ExportBuilderPage() {
 function ExportBuilderPageInner() {
   const { id: projectId } = useParams<{ id: string }>()
   const [searchParams, setSearchParams] = useSearchParams()
-  const { clientId, user } = useAuth()
-  const { project, shots, productFamilies } = useExportDataContext()
+  const { clientId, user, role } = useAuth()
+  const exportData = useExportDataContext()
+  const { project, shots, productFamilies } = exportData
 
   // --- Firestore multi-report ---
   const {
     reports,
     loading: reportsLoading,
     saveReport,
+    setReportVisibility,
     deleteReport,
     createReport,
     loadReport,
@@ -136,24 +141,49 @@ function ExportBuilderPageInner() {
     workspaceTemplates,
     loading: templatesLoading,
     saveTemplate: saveWorkspaceTemplate,
+    setTemplateVisibility,
     deleteTemplate: deleteWorkspaceTemplate,
   } = useExportTemplates(clientId)
 
   const [activeReportId, setActiveReportId] = useState<string | null>(null)
   const [hasInitialized, setHasInitialized] = useState(false)
-  const [showImportPrompt, setShowImportPrompt] = useState(false)
 
   const [activePageId, setActivePageId] = useState<string | null>(null)
   const [selectedBlockId, setSelectedBlockId] = useState<string | null>(null)
   const [showTemplates, setShowTemplates] = useState(false)
   const [showVariables, setShowVariables] = useState(false)
   const [showPageSettings, setShowPageSettings] = useState(false)
+  const [showHistory, setShowHistory] = useState(false)
   const [showKeyboardHelp, setShowKeyboardHelp] = useState(false)
   const [zoom, setZoom] = useState(100)
   const [activeDragType, setActiveDragType] = useState<string | null>(null)
 
   const [document, setDocument] = useState<ExportDocument>(createDefaultDocument)
 
+  // --- Autosave + teammates' concurrent edits ---
+  const { conflict, adopt, keepTheirs, keepMine } = useExportReportSync({
+    uid: user?.uid ?? null,
+    reports: blockCanvasReports,
+    activeReportId,
+    setActiveReportId,
+    document,
+    setDocument,
+    hasInitialized,
+    saveReport,
+    loadReport,
+    importReport,
+  })
+  const isAdmin = role === "admin"
+  const activeReport = blockCanvasReports.find((r) => r.id === activeReportId) ?? null
+
+  // --- Named snapshots of the active report ---
+  const {
+    snapshots,
+    loading: snapshotsLoading,
+    createSnapshot,
+    deleteSnapshot,
+  } = useExportSnapshots(clientId, projectId, activeReportId)
+
   // Ref to hold current activePageId for use inside memoized callbacks
   const activePageIdRef = useRef(activePageId)
   useEffect(() => {
@@ -186,7 +216,7 @@ function ExportBuilderPageInner() {
     handleOpenBlockPicker,
   } = useInlineBlockPicker(document, setDocument, setSelectedBlockId, handleAddBlock, activePageIdRef)
 
-  // --- Initialization: select first report or detect legacy localStorage ---
+  // --- Initialization: move a legacy localStorage doc to Firestore, else select first report ---
   useEffect(() => {
     if (reportsLoading || hasInitialized) return
 
@@ -220,39 +250,53 @@ function ExportBuilderPageInner() {
         }
       }
 
+      // One-time move of a pre-Firestore document saved in this browser. It
+      // was only ever visible here, so it lands private to its owner.
+      const legacy = projectId ? takeLegacyDocument(projectId) : null
+      if (legacy && projectId) {
+        try {
+          const newId = await importReport(
+            legacy.name,
+            legacy.pages,
+            legacy.settings,
+            legacy.customVariables ? [...legacy.customVariables] : undefined,
+            "private",
+          )
+          const imported = { ...legacy, id: newId }
+          setDocument(imported)
+          adopt(imported, 0)
+          setActiveReportId(newId)
+          setActivePageId(legacy.pages[0]?.id ?? null)
+          setHasInitialized(true)
+          toast.success("Local report moved to your project reports", {
+            description: "It is private to you. Share it with the team from the report menu.",
+          })
+          return
+        } catch {
+          saveDocument(projectId, legacy)
+        }
+      }
+
       if (blockCanvasReports.length > 0) {
         // Select first (most recently updated) report
         const first = blockCanvasReports[0]!
         const full = await loadReport(first.id)
         if (full) {
-          setDocument({
-            id: full.id,
-            name: full.name,
-            pages: [...full.pages],
-            settings: full.settings,
-            customVariables: full.customVariables,
-            createdAt: "",
-            updatedAt: full.updatedAt?.toISOString() ?? "",
-          })
+          const loaded = toExportDocument(full)
+          setDocument(loaded)
+          adopt(loaded, full.revision)
           setActiveReportId(full.id)
           setActivePageId(full.pages[0]?.id ?? null)
         }
-      } else if (projectId) {
-        // Check for legacy localStorage document
-        const legacyKey = `${LEGACY_DOC_PREFIX}${projectId}`
-        const legacyRaw = localStorage.getItem(legacyKey)
-        if (legacyRaw) {
-          setShowImportPrompt(true)
-        }
-        // Otherwise stays on default blank document
       }
+      // Otherwise stays on a blank draft, created in Firestore on first edit
       setHasInitialized(true)
     }
 
     initialize().catch(() => {
       setHasInitialized(true)
     })
-  }, [reportsLoading, hasInitialized, blockCanvasReports, loadReport, projectId, searchParams, setSearchParams])
+  }, [reportsLoading, hasInitialized, blockCanvasReports, loadReport, importReport, adopt, projectId, searchParams, setSearchParams])
 
   // --- Switch report ---
   const handleSelectReport = useCallback(
@@ -264,15 +308,9 @@ function ExportBuilderPageInner() {
           toast.error("Report not found")
           return
         }
-        setDocument({
-          id: full.id,
-          name: full.name,
-          pages: [...full.pages],
-          settings: full.settings,
-          customVariables: full.customVariables,
-          createdAt: "",
-          updatedAt: full.updatedAt?.toISOString() ?? "",
-        })
+        const loaded = toExportDocument(full)
+        setDocument(loaded)
+        adopt(loaded, full.revision)
         setActiveReportId(full.id)
         setActivePageId(full.pages[0]?.id ?? null)
         setSelectedBlockId(null)
@@ -280,17 +318,16 @@ function ExportBuilderPageInner() {
         toast.error("Failed to load report")
       }
     },
-    [activeReportId, loadReport],
+    [activeReportId, loadReport, adopt],
   )
 
   // --- Create new report ---
   const handleCreateReport = useCallback(async () => {
     try {
       const newId = await createReport("Untitled Report")
-      setDocument({
-        ...createDefaultDocument(),
-        id: newId,
-      })
+      const created = { ...createDefaultDocument(), id: newId }
+      setDocument(created)
+      adopt(created, 0)
       setActiveReportId(newId)
       setActivePageId("page-1")
       setSelectedBlockId(null)
@@ -298,41 +335,21 @@ function ExportBuilderPageInner() {
     } catch {
       toast.error("Failed to create report")
     }
-  }, [createReport])
-
-  // --- Import legacy localStorage report ---
-  const handleImportLegacy = useCallback(async () => {
-    if (!projectId) return
-    const saved = loadDocument(projectId)
-    if (!saved) {
-      toast.error("No local data found")
-      setShowImportPrompt(false)
-      return
-    }
-    try {
-      const newId = await importReport(
-        saved.name,
-        saved.pages,
-        saved.settings,
-        saved.customVariables ? [...saved.customVariables] : undefined,
-      )
-      setDocument({
-        id: newId,
-        name: saved.name,
-        pages: saved.pages,
-        settings: saved.settings,
-        customVariables: saved.customVariables,
-        createdAt: saved.createdAt,
-        updatedAt: saved.updatedAt,
-      })
-      setActiveReportId(newId)
-      setActivePageId(saved.pages[0]?.id ?? null)
-      setShowImportPrompt(false)
-      toast.success("Local report imported to cloud")
-    } catch {
-      toast.error("Failed to import local report")
-    }
-  }, [projectId, importReport])
+  }, [createReport, adopt])
+
+  // --- Share / unshare report ---
+  const handleChangeVisibility = useCallback(
+    async (visibility: ExportVisibility) => {
+      if (!activeReportId) return
+      try {
+        await setReportVisibility(activeReportId, visibility)
+        toast.success(visibility === "team" ? "Report shared with your team" : "Report is now private")
+      } catch {
+        toast.error("Failed to update sharing")
+      }
+    },
+    [activeReportId, setReportVisibility],
+  )
 
   // --- Rename report ---
   const handleRenameReport = useCallback(
@@ -370,41 +387,6 @@ function ExportBuilderPageInner() {
     [deleteReport, activeReportId, blockCanvasReports, handleSelectReport],
   )
 
-  // --- Auto-save to Firestore (debounced) ---
-  const saveTimerRef = useRef<ReturnType<typeof setTimeout> | null>(null)
-  useEffect(() => {
-    if (!activeReportId || !hasInitialized) return
-
-    if (saveTimerRef.current) clearTimeout(saveTimerRef.current)
-    saveTimerRef.current = setTimeout(() => {
-      saveReport(activeReportId, {
-        name: document.name,
-        pages: document.pages,
-        settings: document.settings,
-        customVariables: document.customVariables ? [...document.customVariables] : undefined,
-      }).catch(() => {
-        // Save failed silently — Firestore offline cache will retry
-      })
-    }, 800)
-
-    return () => {
-      if (saveTimerRef.current) clearTimeout(saveTimerRef.current)
-    }
-  }, [activeReportId, document, hasInitialized, saveReport])
-
-  // --- Fallback: also save to localStorage for offline resilience ---
-  const localSaveTimerRef = useRef<ReturnType<typeof setTimeout> | null>(null)
-  useEffect(() => {
-    if (!projectId) return
-    if (localSaveTimerRef.current) clearTimeout(localSaveTimerRef.current)
-    localSaveTimerRef.current = setTimeout(() => {
-      saveDocument(projectId, document)
-    }, 1000)
-    return () => {
-      if (localSaveTimerRef.current) clearTimeout(localSaveTimerRef.current)
-    }
-  }, [projectId, document])
-
   // Real data from Firestore via ExportDataProvider
   const dynamicVariables = getDynamicVariables({
     projectName: project?.name ?? document.name,
@@ -425,6 +407,7 @@ function ExportBuilderPageInner() {
   }))
   const variables: readonly ExportVariable[] = [
     ...dynamicVariables,
+    ...getComputedVariables(exportData),
     ...customAsExportVars,
   ]
 
@@ -645,22 +628,101 @@ function ExportBuilderPageInner() {
     setSelectedBlockId(null)
   }, [])
 
-  const handleSaveCurrentAsTemplate = useCallback(() => {
+  const handleSaveCurrentAsTemplate = useCallback((visibility: ExportVisibility) => {
     void saveWorkspaceTemplate(
       document.name,
       `Saved from "${document.name}"`,
       document.pages,
       document.settings,
-    ).then(() => toast.success("Template saved to workspace"))
+      visibility,
+    ).then(() => toast.success(visibility === "team" ? "Template shared with your team" : "Template saved for you"))
       .catch(() => toast.error("Failed to save template"))
   }, [document])
 
+  const handleChangeTemplateVisibility = useCallback(
+    (templateId: string, visibility: ExportVisibility) => {
+      setTemplateVisibility(templateId, visibility)
+        .then(() => toast.success(visibility === "team" ? "Template shared with your team" : "Template is now private"))
+        .catch(() => toast.error("Failed to update sharing"))
+    },
+    [setTemplateVisibility],
+  )
+
+  // --- Version history ---
+
+  const handleSaveSnapshot = useCallback(
+    async (name: string) => {
+      try {
+        await createSnapshot(name, document, activeReport?.revision ?? 0)
+        toast.success(`Saved snapshot "${name}"`)
+      } catch (err) {
+        toast.error("Failed to save snapshot")
+        throw err
+      }
+    },
+    [createSnapshot, document, activeReport?.revision],
+  )
+
+  const handleRestoreSnapshot = useCallback(
+    async (snapshot: ExportSnapshot) => {
+      // Keep the layout being replaced, so a restore can itself be undone.
+      try {
+        await createSnapshot(
+          `Before restoring "${snapshot.name}"`,
+          document,
+          activeReport?.revision ?? 0,
+        )
+      } catch {
+        toast.error("Failed to save the current layout; nothing was restored")
+        return
+      }
+      setDocument((prev) => restoreSnapshot(prev, snapshot))
+      setActivePageId(snapshot.pages[0]?.id ?? null)
+      setSelectedBlockId(null)
+      toast.success(`Restored "${snapshot.name}"`)
+    },
+    [createSnapshot, document, activeReport?.revision],
+  )
+
+  const handleBranchSnapshot = useCallback(
+    async (snapshot: ExportSnapshot) => {
+      const branch = branchFromSnapshot(snapshot, `${document.name} (${snapshot.name})`)
+      try {
+        const newId = await importReport(
+          branch.name,
+          branch.pages,
+          branch.settings,
+          branch.customVariables ? [...branch.customVariables] : undefined,
+          activeReport?.visibility ?? "team",
+        )
+        const created = { ...branch, id: newId }
+        setDocument(created)
+        adopt(created, 0)
+        setActiveReportId(newId)
+        setActivePageId(created.pages[0]?.id ?? null)
+        setSelectedBlockId(null)
+        setShowHistory(false)
+        toast.success(`Branched "${branch.name}"`)
+      } catch {
+        toast.error("Failed to branch report")
+      }
+    },
+    [document.name, importReport, activeReport?.visibility, adopt],
+  )
+
+  const handleDeleteSnapshot = useCallback(
+    (snapshot: ExportSnapshot) => {
+      deleteSnapshot(snapshot.id)
+        .then(() => toast.success("Snapshot deleted"))
+        .catch(() => toast.error("Failed to delete snapshot"))
+    },
+    [deleteSnapshot],
+  )
+
   const handleUpdateSettings = useCallback((settings: PageSettings) => {
     setDocument((prev) => updateSettings(prev, settings))
   }, [])
 
-  const exportData = useExportDataContext()
-
   const handleExport = useCallback(() => {
     void generateExportPdf(document, exportData, variables, user?.displayName ?? undefined)
   }, [document, exportData, variables, user?.displayName])
@@ -722,6 +784,7 @@ function ExportBuilderPageInner() {
         onOpenTemplates={() => setShowTemplates(true)}
         onOpenVariables={() => setShowVariables(true)}
         onOpenPageSettings={() => setShowPageSettings(true)}
+        onOpenHistory={() => setShowHistory(true)}
         onExport={handleExport}
         reports={blockCanvasReports}
         activeReportId={activeReportId}
@@ -729,27 +792,38 @@ function ExportBuilderPageInner() {
         onCreateReport={handleCreateReport}
         onRenameReport={handleRenameReport}
         onDeleteReport={handleDeleteReport}
+        currentUserId={user?.uid ?? null}
+        isAdmin={isAdmin}
+        activeVisibility={activeReport?.visibility}
+        onChangeVisibility={
+          activeReport && canManageExportDoc(activeReport, user?.uid ?? null, isAdmin)
+            ? handleChangeVisibility
+            : undefined
+        }
       />
 
-      {/* Import legacy prompt */}
-      {showImportPrompt && (
-        <div className="flex items-center gap-3 border-b border-[var(--color-border)] bg-[var(--color-surface-muted)] px-4 py-2">
-          <span className="text-sm text-[var(--color-text-muted)]">
-            A locally saved report was found for this project.
+      {/* A teammate saved this report while we had unsaved edits */}
+      {conflict && (
+        <div
+          role="alert"
+          className="flex items-center gap-3 border-b border-[var(--color-border)] bg-[var(--color-status-amber-bg)] px-4 py-2"
+        >
+          <span className="text-sm text-[var(--color-status-amber-text)]">
+            A teammate saved changes to this report while you were editing. Autosave is paused.
           </span>
           <button
             type="button"
-            onClick={handleImportLegacy}
+            onClick={() => void keepTheirs()}
             className="rounded-md bg-[var(--color-accent)] px-3 py-1 text-xs font-medium text-white hover:opacity-90 transition-opacity"
           >
-            Import Local Report
+            Load Their Version
           </button>
           <button
             type="button"
-            onClick={() => setShowImportPrompt(false)}
+            onClick={() => void keepMine()}
             className="text-xs text-[var(--color-text-muted)] hover:text-[var(--color-text)] transition-colors"
           >
-            Dismiss
+            Overwrite With Mine
           </button>
         </div>
       )}
@@ -793,6 +867,7 @@ function ExportBuilderPageInner() {
           {/* Right -- Block Settings */}
           <BlockSettingsPanel
             block={selectedBlock}
+            variables={variables}
             onUpdateBlock={handleUpdateBlock}
             onDeleteBlock={handleDeleteBlock}
             clientId={clientId}
@@ -827,6 +902,9 @@ function ExportBuilderPageInner() {
         onSaveCurrent={handleSaveCurrentAsTemplate}
         workspaceTemplates={workspaceTemplates}
         onDeleteTemplate={deleteWorkspaceTemplate}
+        onChangeTemplateVisibility={handleChangeTemplateVisibility}
+        canManageTemplate={(template) => canManageExportDoc(template, user?.uid ?? null, isAdmin)}
+        currentUserId={user?.uid ?? null}
         workspaceLoading={templatesLoading}
       />
 
@@ -846,6 +924,24 @@ function ExportBuilderPageInner() {
         settings={document.settings}
         onUpdateSettings={handleUpdateSettings}
       />
+
+      <VersionHistoryPanel
+        open={showHistory}
+        onOpenChange={setShowHistory}
+        document={document}
+        variables={variables}
+        canSnapshot={activeReportId !== null}
+        snapshots={snapshots}
+        loading={snapshotsLoading}
+        onSaveSnapshot={handleSaveSnapshot}
+        onRestoreSnapshot={handleRestoreSnapshot}
+        onBranchSnapshot={handleBranchSnapshot}
+        onDeleteSnapshot={handleDeleteSnapshot}
+        canDeleteSnapshot={(snapshot) =>
+          snapshot.createdBy === user?.uid ||
+          (activeReport !== null && canManageExportDoc(activeReport, user?.uid ?? null, isAdmin))
+        }
+      />
     </div>
   )
 }
@@ -5,9 +5,12 @@ import {
   Settings,
   Braces,
   Download,
+  History,
   Plus,
   Check,
   Trash2,
+  Lock,
+  Users,
 } from "lucide-react"
 import { Button } from "@/ui/button"
 import {
@@ -18,6 +21,7 @@ import {
   DropdownMenuTrigger,
 } from "@/ui/dropdown-menu"
 import type { ExportReport } from "../hooks/useExportReports"
+import { canManageExportDoc, type ExportVisibility } from "../lib/documentSharing"
 
 const ZOOM_OPTIONS = [50, 75, 100, 125, 150] as const
 
@@ -30,6 +34,7 @@ interface ExportTopBarProps {
   readonly onOpenTemplates: () => void
   readonly onOpenVariables: () => void
   readonly onOpenPageSettings: () => void
+  readonly onOpenHistory: () => void
   readonly onExport: () => void
   readonly reports?: readonly ExportReport[]
   readonly activeReportId?: string | null
@@ -37,6 +42,12 @@ interface ExportTopBarProps {
   readonly onCreateReport?: () => void
   readonly onRenameReport?: (name: string) => void
   readonly onDeleteReport?: (reportId: string) => void
+  /** Reports can only be deleted by their owner or an admin. */
+  readonly currentUserId?: string | null
+  readonly isAdmin?: boolean
+  readonly activeVisibility?: ExportVisibility
+  /** Present when the current user may share/unshare the active report. */
+  readonly onChangeVisibility?: (visibility: ExportVisibility) => void
 }
 
 function InlineRenameInput({
@@ -108,6 +119,7 @@ export function ExportTopBar({
   onOpenTemplates,
   onOpenVariables,
   onOpenPageSettings,
+  onOpenHistory,
   onExport,
   reports,
   activeReportId,
@@ -115,6 +127,10 @@ export function ExportTopBar({
   onCreateReport,
   onRenameReport,
   onDeleteReport,
+  currentUserId = null,
+  isAdmin = false,
+  activeVisibility,
+  onChangeVisibility,
 }: ExportTopBarProps) {
   const hasReports = reports && reports.length > 0
 
@@ -148,12 +164,19 @@ export function ExportTopBar({
                     onClick={() => onSelectReport(report.id)}
                     className="flex items-center justify-between"
                   >
-                    <span className="truncate">{report.name}</span>
+                    <span className="flex min-w-0 items-center gap-1.5">
+                      {report.visibility === "private" && (
+                        <Lock className="h-3 w-3 shrink-0 text-[var(--color-text-muted)]" aria-label="Private" />
+                      )}
+                      <span className="truncate">{report.name}</span>
+                    </span>
                     <div className="flex items-center gap-1.5 shrink-0">
                       {report.id === activeReportId && (
                         <Check className="h-3.5 w-3.5 text-[var(--color-text-muted)]" />
                       )}
-                      {onDeleteReport && report.id !== activeReportId && (
+                      {onDeleteReport &&
+                        report.id !== activeReportId &&
+                        canManageExportDoc(report, currentUserId, isAdmin) && (
                         <button
                           type="button"
                           className="rounded p-0.5 hover:bg-[var(--color-surface-muted)] text-[var(--color-text-muted)] hover:text-[var(--color-danger)]"
@@ -184,6 +207,28 @@ export function ExportTopBar({
           )}
         </div>
 
+        {activeVisibility && (
+          <div className="flex items-center border-l border-[var(--color-border)] pl-3">
+            {onChangeVisibility ? (
+              <Button
+                variant="ghost"
+                size="sm"
+                className="h-6 px-2 text-xs"
+                onClick={() => onChangeVisibility(activeVisibility === "team" ? "private" : "team")}
+                title={activeVisibility === "team" ? "Make private" : "Share with team"}
+              >
+                {activeVisibility === "team" ? <Users className="h-3.5 w-3.5" /> : <Lock className="h-3.5 w-3.5" />}
+                {activeVisibility === "team" ? "Team" : "Private"}
+              </Button>
+            ) : (
+              <span className="flex items-center gap-1 text-xs text-[var(--color-text-muted)]">
+                {activeVisibility === "team" ? <Users className="h-3.5 w-3.5" /> : <Lock className="h-3.5 w-3.5" />}
+                {activeVisibility === "team" ? "Team" : "Private"}
+              </span>
+            )}
+          </div>
+        )}
+
         <div className="flex items-center gap-1.5 border-l border-[var(--color-border)] pl-3">
           <span className="text-xs text-[var(--color-text-muted)]">
             {pageCount} {pageCount === 1 ? "page" : "pages"}
@@ -222,6 +267,10 @@ export function ExportTopBar({
           <Settings className="h-4 w-4" />
           <span className="hidden sm:inline">Page Settings</span>
         </Button>
+        <Button variant="ghost" size="sm" onClick={onOpenHistory}>
+          <History className="h-4 w-4" />
+          <span className="hidden sm:inline">History</span>
+        </Button>
         <Button size="sm" onClick={onExport}>
           <Download className="h-4 w-4" />
           Export PDF
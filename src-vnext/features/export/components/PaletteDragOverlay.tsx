@@ -1,9 +1,13 @@
 import {
+  CalendarClock,
   ClipboardList,
   Columns,
+  Contact,
   FileDown,
   Grid3x3,
   Image,
+  LayoutGrid,
+  MapPin,
   Minus,
   Square,
   Table,
@@ -21,6 +25,10 @@ const ICON_MAP: Record<string, LucideIcon> = {
   Table,
   ClipboardList,
   Users,
+  CalendarClock,
+  Contact,
+  MapPin,
+  LayoutGrid,
   Minus,
   FileDown,
   Columns,
@@ -0,0 +1,250 @@
+import { useMemo } from "react"
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from "@/ui/dialog"
+import type { ExportBlock, ExportVariable, PageItem, PageSettings } from "../types/exportBuilder"
+import { isHStackRow } from "../types/exportBuilder"
+import {
+  diffDocuments,
+  type BlockDiffStatus,
+  type DocumentContent,
+  type PageDiff,
+} from "../lib/documentOperations"
+import { getPreviewPageDimensions } from "../lib/pageDimensions"
+import { BlockRenderer } from "./BlockRenderer"
+
+/** Pages are drawn at this fraction of the editor's size so two fit side by side. */
+const COMPARE_SCALE = 0.4
+
+export interface CompareVersion {
+  readonly label: string
+  readonly content: DocumentContent
+}
+
+interface SnapshotCompareDialogProps {
+  readonly open: boolean
+  readonly onOpenChange: (open: boolean) => void
+  readonly before: CompareVersion | null
+  readonly after: CompareVersion | null
+  readonly variables: readonly ExportVariable[]
+}
+
+const STATUS_STYLES: Record<
+  Exclude<BlockDiffStatus, "unchanged">,
+  { readonly label: string; readonly outline: string; readonly badge: string }
+> = {
+  added: {
+    label: "Added",
+    outline: "outline-[var(--color-status-green-text)]",
+    badge: "bg-[var(--color-status-green-bg)] text-[var(--color-status-green-text)] border-[var(--color-status-green-border)]",
+  },
+  removed: {
+    label: "Removed",
+    outline: "outline-[var(--color-status-red-text)]",
+    badge: "bg-[var(--color-status-red-bg)] text-[var(--color-status-red-text)] border-[var(--color-status-red-border)]",
+  },
+  changed: {
+    label: "Changed",
+    outline: "outline-[var(--color-status-amber-text)]",
+    badge: "bg-[var(--color-status-amber-bg)] text-[var(--color-status-amber-text)] border-[var(--color-status-amber-border)]",
+  },
+  moved: {
+    label: "Moved",
+    outline: "outline-[var(--color-status-blue-text)]",
+    badge: "bg-[var(--color-status-blue-bg)] text-[var(--color-status-blue-text)] border-[var(--color-status-blue-border)]",
+  },
+}
+
+function StatusBadge({ status }: { readonly status: Exclude<BlockDiffStatus, "unchanged"> }) {
+  const style = STATUS_STYLES[status]
+  return (
+    <span className={`rounded border px-1.5 py-0.5 text-2xs font-medium ${style.badge}`}>
+      {style.label}
+    </span>
+  )
+}
+
+/** One block, outlined and labelled by its status on this side of the comparison. */
+function DiffBlock({
+  blockId,
+  status,
+  children,
+}: {
+  readonly blockId: string
+  readonly status: BlockDiffStatus
+  readonly children: React.ReactNode
+}) {
+  if (status === "unchanged") {
+    return <div className="opacity-50">{children}</div>
+  }
+  return (
+    <div
+      data-testid={`diff-${status}-${blockId}`}
+      className={`relative rounded outline outline-2 outline-offset-2 ${STATUS_STYLES[status].outline}`}
+    >
+      <div className="pointer-events-none absolute right-1 top-1 z-10" style={{ zoom: 1 / COMPARE_SCALE }}>
+        <StatusBadge status={status} />
+      </div>
+      {children}
+    </div>
+  )
+}
+
+function ComparePage({
+  items,
+  settings,
+  statuses,
+  variables,
+}: {
+  readonly items: readonly PageItem[]
+  readonly settings: PageSettings
+  readonly statuses: ReadonlyMap<string, BlockDiffStatus>
+  readonly variables: readonly ExportVariable[]
+}) {
+  const dims = getPreviewPageDimensions(settings.size, settings.layout)
+
+  function renderBlock(block: ExportBlock) {
+    const status = statuses.get(block.id) ?? "unchanged"
+    return (
+      <DiffBlock key={block.id} blockId={block.id} status={status}>
+        {block.type === "page-break" ? (
+          <div className="border-t-2 border-dashed border-[var(--color-border)] py-1 text-center text-xs text-[var(--color-text-subtle)]">
+            Page break
+          </div>
+        ) : (
+          <BlockRenderer block={block} selected={false} onSelect={() => {}} variables={variables} />
+        )}
+      </DiffBlock>
+    )
+  }
+
+  return (
+    <div
+      className="doc-page pointer-events-none w-full"
+      style={{ maxWidth: dims.width, minHeight: dims.minHeight, zoom: COMPARE_SCALE }}
+    >
+      <div className="doc-page-content flex flex-col gap-2">
+        {items.map((item) =>
+          isHStackRow(item) ? (
+            <div key={item.id} className="flex gap-2">
+              {item.columns.map((col) => (
+                <div key={col.id} className="flex flex-col gap-2" style={{ width: `${col.widthPercent}%` }}>
+                  {col.blocks.map(renderBlock)}
+                </div>
+              ))}
+            </div>
+          ) : (
+            renderBlock(item)
+          ),
+        )}
+      </div>
+    </div>
+  )
+}
+
+function pageHeading(page: PageDiff): string {
+  if (page.beforeIndex === null) return `Page ${String((page.afterIndex ?? 0) + 1)} (new)`
+  if (page.afterIndex === null) return `Page ${String(page.beforeIndex + 1)} (removed)`
+  if (page.beforeIndex === page.afterIndex) return `Page ${String(page.afterIndex + 1)}`
+  return `Page ${String(page.beforeIndex + 1)} → ${String(page.afterIndex + 1)}`
+}
+
+/**
+ * Side-by-side, page-by-page comparison of two versions of a document
+ * (snapshots or the current draft), outlining added, removed, changed and
+ * moved blocks.
+ */
+export function SnapshotCompareDialog({
+  open,
+  onOpenChange,
+  before,
+  after,
+  variables,
+}: SnapshotCompareDialogProps) {
+  const diff = useMemo(
+    () => (before && after ? diffDocuments(before.content, after.content) : null),
+    [before, after],
+  )
+
+  const summary = diff
+    ? (["added", "removed", "changed", "moved"] as const).filter((s) => diff.counts[s] > 0)
+    : []
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-h-[90vh] max-w-6xl overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>Compare versions</DialogTitle>
+          <DialogDescription>
+            {before && after ? `${before.label} → ${after.label}` : "Pick two versions to compare."}
+          </DialogDescription>
+        </DialogHeader>
+
+        {diff && before && after && (
+          <div className="flex flex-col gap-6">
+            <div className="flex flex-wrap items-center gap-2 text-xs text-[var(--color-text-muted)]">
+              {summary.length === 0 && !diff.settingsChanged && !diff.variablesChanged ? (
+                <span>No differences.</span>
+              ) : (
+                <>
+                  {summary.map((status) => (
+                    <span key={status} className="flex items-center gap-1">
+                      <StatusBadge status={status} />
+                      {diff.counts[status]}
+                    </span>
+                  ))}
+                  {diff.settingsChanged && <span>Page settings changed</span>}
+                  {diff.variablesChanged && <span>Custom variables changed</span>}
+                </>
+              )}
+            </div>
+
+            {diff.pages.map((page) => {
+              const statuses = new Map(page.blocks.map((b) => [b.blockId, b.status]))
+              const beforePage = page.beforeIndex === null ? null : before.content.pages[page.beforeIndex]
+              const afterPage = page.afterIndex === null ? null : after.content.pages[page.afterIndex]
+              return (
+                <section key={page.pageId} aria-label={pageHeading(page)}>
+                  <h3 className="mb-2 text-xs font-medium text-[var(--color-text)]">
+                    {pageHeading(page)}
+                    {page.status === "unchanged" && (
+                      <span className="ml-2 font-normal text-[var(--color-text-subtle)]">No changes</span>
+                    )}
+                  </h3>
+                  <div className="grid grid-cols-2 gap-4">
+                    {[
+                      { side: "before", label: before.label, page: beforePage, settings: before.content.settings },
+                      { side: "after", label: after.label, page: afterPage, settings: after.content.settings },
+                    ].map(({ side, label, page: sidePage, settings }) => (
+                      <div key={side} className="flex flex-col gap-1">
+                        <span className="text-2xs uppercase tracking-wide text-[var(--color-text-subtle)]">
+                          {label}
+                        </span>
+                        {sidePage ? (
+                          <ComparePage
+                            items={sidePage.items}
+                            settings={settings}
+                            statuses={statuses}
+                            variables={variables}
+                          />
+                        ) : (
+                          <div className="flex h-24 items-center justify-center rounded-md border border-dashed border-[var(--color-border)] text-xs text-[var(--color-text-subtle)]">
+                            {side === "before" ? "Not in this version" : "Removed in this version"}
+                          </div>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                </section>
+              )
+            })}
+          </div>
+        )}
+      </DialogContent>
+    </Dialog>
+  )
+}
@@ -11,15 +11,22 @@ import {
 } from "@/ui/dialog"
 import { Tabs, TabsList, TabsTrigger, TabsContent } from "@/ui/tabs"
 import { Button } from "@/ui/button"
-import { Trash2 } from "lucide-react"
+import { Checkbox } from "@/ui/checkbox"
+import { Label } from "@/ui/label"
+import { Lock, Trash2, Users } from "lucide-react"
+import type { ExportVisibility } from "../lib/documentSharing"
 
 interface TemplateDialogProps {
   readonly open: boolean
   readonly onOpenChange: (open: boolean) => void
   readonly onSelectTemplate: (template: ExportTemplate) => void
-  readonly onSaveCurrent?: () => void
+  readonly onSaveCurrent?: (visibility: ExportVisibility) => void
   readonly workspaceTemplates?: readonly ExportTemplate[]
   readonly onDeleteTemplate?: (templateId: string) => void
+  readonly onChangeTemplateVisibility?: (templateId: string, visibility: ExportVisibility) => void
+  /** Owner/admin check for delete and sharing; every template when absent. */
+  readonly canManageTemplate?: (template: ExportTemplate) => boolean
+  readonly currentUserId?: string | null
   readonly workspaceLoading?: boolean
 }
 
@@ -70,12 +77,18 @@ function TemplateCard({
   selected,
   onSelect,
   onDelete,
+  onToggleVisibility,
+  ownerLabel,
 }: {
   readonly template: ExportTemplate
   readonly selected: boolean
   readonly onSelect: () => void
   readonly onDelete?: () => void
+  readonly onToggleVisibility?: () => void
+  readonly ownerLabel?: string
 }) {
+  const isPrivate = template.visibility === "private"
+
   // Card + delete are SIBLING buttons inside a positioning wrapper to avoid
   // nested <button> elements (invalid HTML — fires validateDOMNesting warning
   // and breaks keyboard semantics).
@@ -97,9 +110,26 @@ function TemplateCard({
           <span className="text-2xs text-[var(--color-text-muted)]">
             {template.description}
           </span>
+          {(isPrivate || ownerLabel) && (
+            <span className="flex items-center gap-1 text-2xs text-[var(--color-text-muted)]">
+              {isPrivate && <Lock className="h-3 w-3" aria-hidden="true" />}
+              {[isPrivate ? "Private" : null, ownerLabel].filter(Boolean).join(" · ")}
+            </span>
+          )}
         </div>
         {onDelete && <span aria-hidden="true" className="h-5 w-5 shrink-0" />}
+        {onToggleVisibility && <span aria-hidden="true" className="h-5 w-5 shrink-0" />}
       </button>
+      {onToggleVisibility && (
+        <button
+          type="button"
+          onClick={onToggleVisibility}
+          className={`absolute top-2 ${onDelete ? "right-9" : "right-2"} rounded p-1 text-[var(--color-text-muted)] opacity-0 transition-opacity hover:bg-[var(--color-surface-hover)] hover:text-[var(--color-text)] group-hover:opacity-100 focus-visible:opacity-100`}
+          aria-label={isPrivate ? `Share ${template.name} with team` : `Make ${template.name} private`}
+        >
+          {isPrivate ? <Users className="h-3.5 w-3.5" /> : <Lock className="h-3.5 w-3.5" />}
+        </button>
+      )}
       {onDelete && (
         <button
           type="button"
@@ -121,9 +151,13 @@ export function TemplateDialog({
   onSaveCurrent,
   workspaceTemplates = [],
   onDeleteTemplate,
+  onChangeTemplateVisibility,
+  canManageTemplate = () => true,
+  currentUserId = null,
   workspaceLoading = false,
 }: TemplateDialogProps) {
   const [selected, setSelected] = useState<ExportTemplate | null>(null)
+  const [shareWithTeam, setShareWithTeam] = useState(true)
 
   const handleConfirm = useCallback(() => {
     if (!selected) return
@@ -143,7 +177,7 @@ export function TemplateDialog({
         <DialogHeader>
           <DialogTitle>Choose a Template</DialogTitle>
           <DialogDescription>
-            Start with a pre-built layout or one of your workspace templates.
+            Start with a pre-built layout or a template saved by you or your team.
           </DialogDescription>
         </DialogHeader>
 
@@ -171,14 +205,25 @@ export function TemplateDialog({
               <TabsContent value="workspace">
                 <div className="flex flex-col gap-2 pt-2">
                   {onSaveCurrent && (
-                    <Button
-                      variant="outline"
-                      size="sm"
-                      onClick={onSaveCurrent}
-                      className="self-start"
-                    >
-                      Save current as template
-                    </Button>
+                    <div className="flex items-center gap-3">
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        onClick={() => onSaveCurrent(shareWithTeam ? "team" : "private")}
+                      >
+                        Save current as template
+                      </Button>
+                      <div className="flex items-center gap-2">
+                        <Checkbox
+                          id="template-share-team"
+                          checked={shareWithTeam}
+                          onCheckedChange={(v) => setShareWithTeam(v === true)}
+                        />
+                        <Label htmlFor="template-share-team" className="text-xs">
+                          Share with team
+                        </Label>
+                      </div>
+                    </div>
                   )}
                   {workspaceLoading ? (
                     <p className="py-6 text-center text-2xs text-[var(--color-text-muted)]">
@@ -189,19 +234,34 @@ export function TemplateDialog({
                       No workspace templates yet. Save your current document as a template to get started.
                     </p>
                   ) : (
-                    workspaceTemplates.map((template) => (
-                      <TemplateCard
-                        key={template.id}
-                        template={template}
-                        selected={selected?.id === template.id}
-                        onSelect={() => setSelected(template)}
-                        onDelete={
-                          onDeleteTemplate
-                            ? () => onDeleteTemplate(template.id)
-                            : undefined
-                        }
-                      />
-                    ))
+                    workspaceTemplates.map((template) => {
+                      const canManage = canManageTemplate(template)
+                      return (
+                        <TemplateCard
+                          key={template.id}
+                          template={template}
+                          selected={selected?.id === template.id}
+                          onSelect={() => setSelected(template)}
+                          ownerLabel={
+                            currentUserId && template.createdBy === currentUserId ? "Yours" : undefined
+                          }
+                          onDelete={
+                            onDeleteTemplate && canManage
+                              ? () => onDeleteTemplate(template.id)
+                              : undefined
+                          }
+                          onToggleVisibility={
+                            onChangeTemplateVisibility && canManage
+                              ? () =>
+                                  onChangeTemplateVisibility(
+                                    template.id,
+                                    template.visibility === "private" ? "team" : "private",
+                                  )
+                              : undefined
+                          }
+                        />
+                      )
+                    })
                   )}
                 </div>
               </TabsContent>
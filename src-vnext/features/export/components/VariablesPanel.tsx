@@ -2,6 +2,7 @@ import { useCallback } from "react"
 import { toast } from "sonner"
 import { Plus, X } from "lucide-react"
 import type { ExportVariable, CustomVariable } from "../types/exportBuilder"
+import { TEMPLATE_COLLECTIONS, type TemplateCollectionSpec } from "../lib/exportVariables"
 import {
   Sheet,
   SheetContent,
@@ -55,6 +56,42 @@ function VariableChip({
   )
 }
 
+function copySnippet(snippet: string) {
+  navigator.clipboard.writeText(snippet).then(() => {
+    toast.success("Copied section")
+  }).catch(() => {
+    toast.error("Failed to copy section")
+  })
+}
+
+/** A `{{#each}}` section to paste into a text block, with its item fields. */
+function SectionChip({
+  collection,
+}: {
+  readonly collection: TemplateCollectionSpec
+}) {
+  const handleClick = useCallback(() => {
+    copySnippet(
+      `{{#each ${collection.key}}}{{${collection.itemKey}.name}}{{/each}}`,
+    )
+  }, [collection])
+
+  return (
+    <button
+      type="button"
+      onClick={handleClick}
+      className="flex flex-col gap-0.5 rounded-md border border-[var(--color-border)] bg-[var(--color-surface-raised)] px-2.5 py-1.5 text-left transition-colors hover:bg-[var(--color-surface-muted)]"
+    >
+      <span className="text-2xs font-medium text-[var(--color-text)]">
+        Each of {collection.label.toLowerCase()}
+      </span>
+      <span className="font-mono text-3xs text-[var(--color-text-muted)]">
+        {collection.fields.map((f) => `${collection.itemKey}.${f.key}`).join(" · ")}
+      </span>
+    </button>
+  )
+}
+
 function CustomVariableRow({
   variable,
   onUpdate,
@@ -170,6 +207,24 @@ export function VariablesPanel({
             </div>
           </section>
 
+          {/* Conditional and repeat sections */}
+          <section>
+            <h3 className="text-2xs font-medium uppercase tracking-wide text-[var(--color-text-muted)]">
+              Sections
+            </h3>
+            <p className="mt-1 text-2xs text-[var(--color-text-muted)]">
+              Wrap text in{" "}
+              <code className="font-mono">{"{{#if videoShotCount > 0}}…{{else}}…{{/if}}"}</code>{" "}
+              to show it conditionally. Click a section below to copy a repeat
+              over project data; {"{{@index}}"} numbers each record.
+            </p>
+            <div className="mt-2 flex flex-col gap-1.5">
+              {TEMPLATE_COLLECTIONS.map((collection) => (
+                <SectionChip key={collection.key} collection={collection} />
+              ))}
+            </div>
+          </section>
+
           {/* Custom section */}
           <section>
             <div className="flex items-center justify-between">
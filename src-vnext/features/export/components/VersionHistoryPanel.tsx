@@ -0,0 +1,283 @@
+import { useMemo, useState } from "react"
+import { GitBranch, GitCompare, RotateCcw, Trash2 } from "lucide-react"
+import {
+  Sheet,
+  SheetContent,
+  SheetHeader,
+  SheetTitle,
+  SheetDescription,
+} from "@/ui/sheet"
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+} from "@/ui/alert-dialog"
+import { Button } from "@/ui/button"
+import { Input } from "@/ui/input"
+import type { ExportDocument, ExportSnapshot, ExportVariable } from "../types/exportBuilder"
+import { MAX_SNAPSHOT_NAME_LENGTH } from "../hooks/useExportSnapshots"
+import { SnapshotCompareDialog, type CompareVersion } from "./SnapshotCompareDialog"
+
+/** Select value standing for the unsaved editor state. */
+const CURRENT = "current"
+
+interface VersionHistoryPanelProps {
+  readonly open: boolean
+  readonly onOpenChange: (open: boolean) => void
+  /** The editor's document — snapshotted, and comparable as "Current draft". */
+  readonly document: ExportDocument
+  readonly variables: readonly ExportVariable[]
+  /** False for a blank draft that hasn't been saved as a report yet. */
+  readonly canSnapshot: boolean
+  readonly snapshots: readonly ExportSnapshot[]
+  readonly loading: boolean
+  readonly onSaveSnapshot: (name: string) => Promise<void>
+  readonly onRestoreSnapshot: (snapshot: ExportSnapshot) => Promise<void>
+  readonly onBranchSnapshot: (snapshot: ExportSnapshot) => Promise<void>
+  readonly onDeleteSnapshot: (snapshot: ExportSnapshot) => void
+  readonly canDeleteSnapshot: (snapshot: ExportSnapshot) => boolean
+}
+
+function formatSnapshotDate(iso: string | undefined): string {
+  if (!iso) return "Saving…"
+  return new Date(iso).toLocaleString(undefined, {
+    month: "short",
+    day: "numeric",
+    year: "numeric",
+    hour: "numeric",
+    minute: "2-digit",
+  })
+}
+
+export function VersionHistoryPanel({
+  open,
+  onOpenChange,
+  document,
+  variables,
+  canSnapshot,
+  snapshots,
+  loading,
+  onSaveSnapshot,
+  onRestoreSnapshot,
+  onBranchSnapshot,
+  onDeleteSnapshot,
+  canDeleteSnapshot,
+}: VersionHistoryPanelProps) {
+  const [name, setName] = useState("")
+  const [saving, setSaving] = useState(false)
+  const [pendingRestore, setPendingRestore] = useState<ExportSnapshot | null>(null)
+  const [compareFrom, setCompareFrom] = useState<string>("")
+  const [compareTo, setCompareTo] = useState<string>(CURRENT)
+  const [comparing, setComparing] = useState(false)
+
+  const trimmed = name.trim()
+
+  const handleSave = () => {
+    if (!trimmed || saving) return
+    setSaving(true)
+    onSaveSnapshot(trimmed)
+      .then(() => setName(""))
+      .catch(() => {})
+      .finally(() => setSaving(false))
+  }
+
+  // "From" defaults to the newest snapshot, and falls back to it if the
+  // chosen one is deleted.
+  const isKnown = (id: string) => id === CURRENT || snapshots.some((s) => s.id === id)
+  const fromId = isKnown(compareFrom) ? compareFrom : (snapshots[0]?.id ?? "")
+  const toId = isKnown(compareTo) ? compareTo : CURRENT
+  const canCompare = fromId !== "" && fromId !== toId
+
+  const versions = useMemo(() => {
+    if (!comparing) return null
+    const versionFor = (id: string): CompareVersion | null => {
+      if (id === CURRENT) return { label: "Current draft", content: document }
+      const snapshot = snapshots.find((s) => s.id === id)
+      return snapshot ? { label: snapshot.name, content: snapshot } : null
+    }
+    return { before: versionFor(fromId), after: versionFor(toId) }
+  }, [comparing, fromId, toId, document, snapshots])
+
+  return (
+    <Sheet open={open} onOpenChange={onOpenChange}>
+      <SheetContent side="right" className="overflow-y-auto">
+        <SheetHeader>
+          <SheetTitle>Version History</SheetTitle>
+          <SheetDescription>
+            Save named snapshots of this report, then restore, branch from or compare them.
+          </SheetDescription>
+        </SheetHeader>
+
+        <div className="mt-6 flex flex-col gap-6">
+          <section>
+            <h3 className="text-2xs font-medium uppercase tracking-wide text-[var(--color-text-muted)]">
+              New snapshot
+            </h3>
+            {canSnapshot ? (
+              <form
+                className="mt-2 flex items-center gap-1.5"
+                onSubmit={(e) => {
+                  e.preventDefault()
+                  handleSave()
+                }}
+              >
+                <Input
+                  value={name}
+                  onChange={(e) => setName(e.target.value)}
+                  placeholder="e.g. Sent to client v2"
+                  maxLength={MAX_SNAPSHOT_NAME_LENGTH}
+                  aria-label="Snapshot name"
+                  className="h-8 text-xs"
+                />
+                <Button type="submit" size="sm" disabled={!trimmed || saving}>
+                  Save
+                </Button>
+              </form>
+            ) : (
+              <p className="mt-2 text-2xs text-[var(--color-text-muted)]">
+                Snapshots are available once the report has been saved.
+              </p>
+            )}
+          </section>
+
+          {snapshots.length > 0 && (
+            <section>
+              <h3 className="text-2xs font-medium uppercase tracking-wide text-[var(--color-text-muted)]">
+                Compare
+              </h3>
+              <div className="mt-2 flex items-center gap-1.5">
+                {[
+                  { label: "Compare from", value: fromId, onChange: setCompareFrom },
+                  { label: "Compare to", value: toId, onChange: setCompareTo },
+                ].map((select) => (
+                  <select
+                    key={select.label}
+                    aria-label={select.label}
+                    value={select.value}
+                    onChange={(e) => select.onChange(e.target.value)}
+                    className="h-8 min-w-0 flex-1 rounded border border-[var(--color-border)] bg-[var(--color-surface)] px-1.5 text-xs text-[var(--color-text)] outline-none focus:border-[var(--color-border-hover)]"
+                  >
+                    <option value={CURRENT}>Current draft</option>
+                    {snapshots.map((s) => (
+                      <option key={s.id} value={s.id}>
+                        {s.name}
+                      </option>
+                    ))}
+                  </select>
+                ))}
+                <Button
+                  variant="outline"
+                  size="sm"
+                  disabled={!canCompare}
+                  onClick={() => setComparing(true)}
+                >
+                  <GitCompare className="h-3.5 w-3.5" />
+                  Compare
+                </Button>
+              </div>
+            </section>
+          )}
+
+          <section>
+            <h3 className="text-2xs font-medium uppercase tracking-wide text-[var(--color-text-muted)]">
+              Snapshots
+            </h3>
+            <div className="mt-2 flex flex-col gap-1.5">
+              {loading ? (
+                <p className="text-2xs text-[var(--color-text-muted)]">Loading…</p>
+              ) : snapshots.length === 0 ? (
+                <p className="text-2xs text-[var(--color-text-muted)]">No snapshots yet.</p>
+              ) : (
+                snapshots.map((snapshot) => (
+                  <div
+                    key={snapshot.id}
+                    className="group flex items-center gap-2 rounded-md border border-[var(--color-border)] bg-[var(--color-surface-raised)] px-2.5 py-1.5"
+                  >
+                    <div className="min-w-0 flex-1">
+                      <p className="truncate text-xs font-medium text-[var(--color-text)]">{snapshot.name}</p>
+                      <p className="text-2xs text-[var(--color-text-muted)]">
+                        {formatSnapshotDate(snapshot.createdAt)}
+                      </p>
+                    </div>
+                    <Button
+                      variant="ghost"
+                      size="icon"
+                      className="h-6 w-6 shrink-0"
+                      title="Restore this version"
+                      onClick={() => setPendingRestore(snapshot)}
+                    >
+                      <RotateCcw className="h-3.5 w-3.5" />
+                      <span className="sr-only">Restore {snapshot.name}</span>
+                    </Button>
+                    <Button
+                      variant="ghost"
+                      size="icon"
+                      className="h-6 w-6 shrink-0"
+                      title="Branch a new report from this version"
+                      onClick={() => void onBranchSnapshot(snapshot)}
+                    >
+                      <GitBranch className="h-3.5 w-3.5" />
+                      <span className="sr-only">Branch from {snapshot.name}</span>
+                    </Button>
+                    {canDeleteSnapshot(snapshot) && (
+                      <Button
+                        variant="ghost"
+                        size="icon"
+                        className="h-6 w-6 shrink-0 opacity-0 transition-opacity group-hover:opacity-100 hover:text-[var(--color-danger)]"
+                        onClick={() => onDeleteSnapshot(snapshot)}
+                      >
+                        <Trash2 className="h-3.5 w-3.5" />
+                        <span className="sr-only">Delete {snapshot.name}</span>
+                      </Button>
+                    )}
+                  </div>
+                ))
+              )}
+            </div>
+          </section>
+        </div>
+
+        <AlertDialog
+          open={pendingRestore !== null}
+          onOpenChange={(next) => {
+            if (!next) setPendingRestore(null)
+          }}
+        >
+          <AlertDialogContent>
+            <AlertDialogHeader>
+              <AlertDialogTitle>Restore &ldquo;{pendingRestore?.name}&rdquo;?</AlertDialogTitle>
+              <AlertDialogDescription>
+                The report&apos;s pages, page settings and variables are replaced with this
+                version. The current layout is saved as a snapshot first, so nothing is lost.
+              </AlertDialogDescription>
+            </AlertDialogHeader>
+            <AlertDialogFooter>
+              <AlertDialogCancel>Cancel</AlertDialogCancel>
+              <AlertDialogAction
+                onClick={() => {
+                  if (pendingRestore) void onRestoreSnapshot(pendingRestore)
+                  setPendingRestore(null)
+                }}
+              >
+                Restore
+              </AlertDialogAction>
+            </AlertDialogFooter>
+          </AlertDialogContent>
+        </AlertDialog>
+
+        <SnapshotCompareDialog
+          open={comparing}
+          onOpenChange={setComparing}
+          before={versions?.before ?? null}
+          after={versions?.after ?? null}
+          variables={variables}
+        />
+      </SheetContent>
+    </Sheet>
+  )
+}
@@ -132,6 +132,23 @@ describe("BlockRenderer", () => {
     expect(onSelect).toHaveBeenCalledOnce()
   })
 
+  it.each([
+    ["schedule-timeline", "No schedules in this project"],
+    ["talent-cards", "No talent cast in this project"],
+    ["location-sheet", "No locations used in this project"],
+    ["casting-grid", "No talent on the casting board"],
+  ] as const)("renders an empty %s block", (type, message) => {
+    render(
+      <BlockRenderer
+        block={{ id: "b9", type }}
+        selected={false}
+        onSelect={vi.fn()}
+        variables={VARIABLES}
+      />,
+    )
+    expect(screen.getByTestId(`${type}-block`)).toHaveTextContent(message)
+  })
+
   it("applies selection ring when selected", () => {
     render(
       <BlockRenderer
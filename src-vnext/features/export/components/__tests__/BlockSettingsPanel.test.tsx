@@ -7,6 +7,8 @@ import type {
   ShotDetailBlock,
   PullSheetBlock,
   DividerBlock,
+  CastingGridBlock,
+  ScheduleTimelineBlock,
 } from "../../types/exportBuilder"
 
 // ShotDetailSettings / PullSheetSettings read the export data context; provide it.
@@ -21,6 +23,17 @@ vi.mock("../ExportDataProvider", () => ({
     pulls: [{ id: "pl1", name: "Day 1 Pull", items: [] }],
     crew: [],
     talent: [],
+    schedules: [
+      {
+        id: "d1",
+        name: "Day 1",
+        date: null,
+        tracks: [
+          { id: "t1", name: "Main", order: 0 },
+          { id: "t2", name: "B-Unit", order: 1 },
+        ],
+      },
+    ],
     loading: false,
   }),
 }))
@@ -199,6 +212,48 @@ describe("BlockSettingsPanel", () => {
     ).not.toBeInTheDocument()
   })
 
+  it("narrows a schedule-timeline block to the tracks left checked", () => {
+    const block: ScheduleTimelineBlock = { id: "st1", type: "schedule-timeline" }
+    const onUpdateBlock = vi.fn()
+    render(
+      <BlockSettingsPanel
+        block={block}
+        onUpdateBlock={onUpdateBlock}
+        onDeleteBlock={vi.fn()}
+      />,
+    )
+    expect(screen.getByTestId("schedule-timeline-schedule-select")).toBeInTheDocument()
+    fireEvent.click(screen.getByTestId("schedule-timeline-track-t2"))
+    expect(onUpdateBlock).toHaveBeenCalledWith("st1", { trackIds: ["t1"] })
+  })
+
+  it("narrows a casting-grid block to the statuses left checked", () => {
+    const block: CastingGridBlock = { id: "cg1", type: "casting-grid", statuses: ["booked", "hold"] }
+    const onUpdateBlock = vi.fn()
+    const { unmount } = render(
+      <BlockSettingsPanel
+        block={block}
+        onUpdateBlock={onUpdateBlock}
+        onDeleteBlock={vi.fn()}
+      />,
+    )
+    expect(screen.getByText("Casting Board")).toBeInTheDocument()
+    fireEvent.click(screen.getByTestId("casting-grid-status-hold"))
+    expect(onUpdateBlock).toHaveBeenCalledWith("cg1", { statuses: ["booked"] })
+    // The last checked status can't be cleared — empty means "every status".
+    unmount()
+    onUpdateBlock.mockClear()
+    render(
+      <BlockSettingsPanel
+        block={{ ...block, id: "cg2", statuses: ["passed"] }}
+        onUpdateBlock={onUpdateBlock}
+        onDeleteBlock={vi.fn()}
+      />,
+    )
+    fireEvent.click(screen.getByTestId("casting-grid-status-passed"))
+    expect(onUpdateBlock).not.toHaveBeenCalled()
+  })
+
   it("shows image settings for image block type", () => {
     const imageBlock = {
       id: "img1",
@@ -220,4 +275,25 @@ describe("BlockSettingsPanel", () => {
     expect(screen.getByTestId("image-width-input")).toBeInTheDocument()
     expect(screen.getByTestId("image-alt-input")).toBeInTheDocument()
   })
+
+  it("sets a block's visibility condition and repeat, flagging unknown variables", () => {
+    const onUpdateBlock = vi.fn()
+    const divider: DividerBlock = { id: "d1", type: "divider", visibleIf: "budget > 3" }
+    render(
+      <BlockSettingsPanel
+        block={divider}
+        onUpdateBlock={onUpdateBlock}
+        onDeleteBlock={vi.fn()}
+        variables={[{ key: "videoShotCount", label: "Video Shot Count", value: "2", source: "dynamic" }]}
+      />,
+    )
+    expect(screen.getByTestId("block-visible-if")).toHaveAttribute("aria-invalid", "true")
+    expect(screen.getByText(/doesn't exist/)).toBeInTheDocument()
+
+    fireEvent.change(screen.getByTestId("block-visible-if"), { target: { value: "videoShotCount > 0" } })
+    expect(onUpdateBlock).toHaveBeenCalledWith("d1", { visibleIf: "videoShotCount > 0" })
+
+    fireEvent.change(screen.getByTestId("block-repeat-select"), { target: { value: "scenes" } })
+    expect(onUpdateBlock).toHaveBeenCalledWith("d1", { repeat: "scenes" })
+  })
 })
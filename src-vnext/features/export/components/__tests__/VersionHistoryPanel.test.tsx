@@ -0,0 +1,114 @@
+/// <reference types="@testing-library/jest-dom" />
+import { describe, it, expect, vi } from "vitest"
+import { render, screen, within } from "@testing-library/react"
+import userEvent from "@testing-library/user-event"
+import { VersionHistoryPanel } from "../VersionHistoryPanel"
+import type { ExportDocument, ExportSnapshot, TextBlock } from "../../types/exportBuilder"
+
+vi.mock("../ExportDataProvider", () => ({
+  useExportDataContext: () => ({
+    project: null,
+    shots: [],
+    productFamilies: [],
+    pulls: [],
+    crew: [],
+    talent: [],
+    loading: false,
+  }),
+}))
+
+vi.mock("@/app/providers/AuthProvider", () => ({
+  useAuth: () => ({ clientId: "test-client", role: "admin" }),
+}))
+
+function text(id: string, content: string): TextBlock {
+  return { id, type: "text", content }
+}
+
+const SETTINGS = { layout: "portrait", size: "letter", fontFamily: "Inter" } as const
+
+const SNAPSHOT: ExportSnapshot = {
+  id: "snap-1",
+  name: "Sent to client v2",
+  pages: [{ id: "page-1", items: [text("intro", "Intro"), text("old", "Cut this")] }],
+  settings: SETTINGS,
+  customVariables: [],
+  revision: 3,
+  createdBy: "user-1",
+  createdAt: "2026-10-12T15:00:00.000Z",
+}
+
+const CURRENT: ExportDocument = {
+  id: "report-1",
+  name: "Lookbook",
+  pages: [{ id: "page-1", items: [text("intro", "Intro"), text("new", "Fresh copy")] }],
+  settings: SETTINGS,
+  createdAt: "",
+  updatedAt: "",
+}
+
+function renderPanel(overrides: Partial<React.ComponentProps<typeof VersionHistoryPanel>> = {}) {
+  const props = {
+    open: true,
+    onOpenChange: vi.fn(),
+    document: CURRENT,
+    variables: [],
+    canSnapshot: true,
+    snapshots: [SNAPSHOT],
+    loading: false,
+    onSaveSnapshot: vi.fn().mockResolvedValue(undefined),
+    onRestoreSnapshot: vi.fn().mockResolvedValue(undefined),
+    onBranchSnapshot: vi.fn().mockResolvedValue(undefined),
+    onDeleteSnapshot: vi.fn(),
+    canDeleteSnapshot: () => true,
+    ...overrides,
+  }
+  render(<VersionHistoryPanel {...props} />)
+  return props
+}
+
+describe("VersionHistoryPanel", () => {
+  it("saves a snapshot under the typed name", async () => {
+    const user = userEvent.setup()
+    const props = renderPanel()
+
+    await user.type(screen.getByLabelText("Snapshot name"), "  Final for approval ")
+    await user.click(screen.getByRole("button", { name: "Save" }))
+
+    expect(props.onSaveSnapshot).toHaveBeenCalledWith("Final for approval")
+  })
+
+  it("explains why a blank draft can't be snapshotted", () => {
+    renderPanel({ canSnapshot: false, snapshots: [] })
+    expect(screen.getByText("Snapshots are available once the report has been saved.")).toBeInTheDocument()
+    expect(screen.queryByLabelText("Snapshot name")).not.toBeInTheDocument()
+  })
+
+  it("restores only after confirmation, and branches directly", async () => {
+    const user = userEvent.setup()
+    const props = renderPanel()
+
+    await user.click(screen.getByRole("button", { name: "Restore Sent to client v2" }))
+    expect(props.onRestoreSnapshot).not.toHaveBeenCalled()
+    await user.click(screen.getByRole("button", { name: "Restore" }))
+    expect(props.onRestoreSnapshot).toHaveBeenCalledWith(SNAPSHOT)
+
+    await user.click(screen.getByRole("button", { name: "Branch from Sent to client v2" }))
+    expect(props.onBranchSnapshot).toHaveBeenCalledWith(SNAPSHOT)
+  })
+
+  it("compares the newest snapshot with the current draft page by page", async () => {
+    const user = userEvent.setup()
+    renderPanel()
+
+    expect(screen.getByLabelText("Compare from")).toHaveValue("snap-1")
+    expect(screen.getByLabelText("Compare to")).toHaveValue("current")
+    await user.click(screen.getByRole("button", { name: "Compare" }))
+
+    const dialog = screen.getByRole("dialog", { name: "Compare versions" })
+    expect(within(dialog).getByText("Sent to client v2 → Current draft")).toBeInTheDocument()
+    expect(within(dialog).getByTestId("diff-removed-old")).toHaveTextContent("Cut this")
+    expect(within(dialog).getByTestId("diff-added-new")).toHaveTextContent("Fresh copy")
+    expect(within(dialog).queryByTestId("diff-changed-intro")).not.toBeInTheDocument()
+  })
+})
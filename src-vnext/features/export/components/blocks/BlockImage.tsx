@@ -0,0 +1,26 @@
+import { useStorageUrl } from "@/shared/hooks/useStorageUrl"
+
+interface BlockImageProps {
+  /** Storage path or URL. */
+  readonly src: string | null
+  readonly className: string
+  /** Shown in place of the image while it resolves or when there is none. */
+  readonly placeholder: string
+}
+
+/** Storage-backed image for the data blocks' on-canvas previews. */
+export function BlockImage({ src, className, placeholder }: BlockImageProps) {
+  const url = useStorageUrl(src ?? undefined)
+
+  if (!url) {
+    return (
+      <div
+        className={`flex items-center justify-center bg-[var(--color-surface-muted)] text-2xs font-medium text-[var(--color-text-subtle)] ${className}`}
+      >
+        {placeholder}
+      </div>
+    )
+  }
+
+  return <img src={url} alt="" className={`object-cover ${className}`} />
+}
@@ -0,0 +1,61 @@
+import { useMemo } from "react"
+import type { CastingGridBlock } from "../../types/exportBuilder"
+import { useExportDataContext } from "../ExportDataProvider"
+import { resolveCastingGrid } from "../../lib/blockDataResolvers"
+import { getCastingStatusColor } from "@/features/casting/lib/castingStatuses"
+import { initials } from "@/features/library/components/talentUtils"
+import { BlockImage } from "./BlockImage"
+
+interface CastingGridBlockViewProps {
+  readonly block: CastingGridBlock
+}
+
+export function CastingGridBlockView({ block }: CastingGridBlockViewProps) {
+  const data = useExportDataContext()
+  const cards = useMemo(() => resolveCastingGrid(block, data), [block, data])
+
+  if (cards.length === 0) {
+    return (
+      <div data-testid="casting-grid-block" className="py-6 text-center text-2xs text-[var(--color-text-subtle)] italic">
+        No talent on the casting board
+      </div>
+    )
+  }
+
+  const showHeadshot = block.showHeadshot !== false
+  const showRole = block.showRole !== false
+  const showAgency = block.showAgency !== false
+
+  return (
+    <div
+      data-testid="casting-grid-block"
+      className="grid gap-2"
+      style={{ gridTemplateColumns: `repeat(${block.columns ?? 4}, minmax(0, 1fr))` }}
+    >
+      {cards.map((card) => {
+        const color = getCastingStatusColor(card.status)
+        return (
+          <div key={card.id} className="overflow-hidden rounded border border-[var(--color-border)]">
+            {showHeadshot && (
+              <BlockImage src={card.headshot} placeholder={initials(card.name)} className="aspect-[3/4] w-full" />
+            )}
+            <div className="space-y-0.5 px-2 py-1.5">
+              <p className="truncate text-xs font-semibold text-[var(--color-text)]">{card.name}</p>
+              {showRole && card.roleLabel && (
+                <p className="truncate text-2xs text-[var(--color-text)]">{card.roleLabel}</p>
+              )}
+              {showAgency && card.agency && (
+                <p className="truncate text-2xs text-[var(--color-text-muted)]">{card.agency}</p>
+              )}
+              <span
+                className={`inline-flex rounded-full px-2 py-0.5 text-2xs font-medium bg-[var(--color-${color}-bg)] text-[var(--color-${color}-text)]`}
+              >
+                {card.statusLabel}
+              </span>
+            </div>
+          </div>
+        )
+      })}
+    </div>
+  )
+}
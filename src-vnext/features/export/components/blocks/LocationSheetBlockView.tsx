@@ -0,0 +1,48 @@
+import { useMemo } from "react"
+import type { LocationSheetBlock } from "../../types/exportBuilder"
+import { useExportDataContext } from "../ExportDataProvider"
+import { resolveLocationSheet } from "../../lib/blockDataResolvers"
+import { BlockImage } from "./BlockImage"
+
+interface LocationSheetBlockViewProps {
+  readonly block: LocationSheetBlock
+}
+
+export function LocationSheetBlockView({ block }: LocationSheetBlockViewProps) {
+  const data = useExportDataContext()
+  const sheets = useMemo(() => resolveLocationSheet(block, data), [block, data])
+
+  if (sheets.length === 0) {
+    return (
+      <div data-testid="location-sheet-block" className="py-6 text-center text-2xs text-[var(--color-text-subtle)] italic">
+        No locations used in this project
+      </div>
+    )
+  }
+
+  const showPhoto = block.showPhoto !== false
+  const showPhone = block.showPhone !== false
+  const showNotes = block.showNotes !== false
+
+  return (
+    <div data-testid="location-sheet-block" className="space-y-3">
+      {sheets.map((sheet) => (
+        <div key={sheet.id} className="flex gap-3 rounded border border-[var(--color-border)] p-2">
+          {showPhoto && (
+            <BlockImage src={sheet.photo} placeholder="Photo" className="h-20 w-28 shrink-0 rounded" />
+          )}
+          <div className="min-w-0 flex-1 space-y-0.5">
+            <p className="text-xs font-semibold text-[var(--color-text)]">{sheet.name}</p>
+            <p className="text-2xs text-[var(--color-text)]">{sheet.address ?? "—"}</p>
+            {showPhone && sheet.phone && (
+              <p className="text-2xs text-[var(--color-text-muted)]">{sheet.phone}</p>
+            )}
+            {showNotes && sheet.notes && (
+              <p className="whitespace-pre-wrap text-2xs text-[var(--color-text-muted)]">{sheet.notes}</p>
+            )}
+          </div>
+        </div>
+      ))}
+    </div>
+  )
+}
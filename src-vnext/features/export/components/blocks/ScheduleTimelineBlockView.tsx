@@ -0,0 +1,79 @@
+import { useMemo } from "react"
+import type { ScheduleTimelineBlock } from "../../types/exportBuilder"
+import { useExportDataContext } from "../ExportDataProvider"
+import { resolveScheduleTimeline } from "../../lib/blockDataResolvers"
+
+interface ScheduleTimelineBlockViewProps {
+  readonly block: ScheduleTimelineBlock
+}
+
+export function ScheduleTimelineBlockView({ block }: ScheduleTimelineBlockViewProps) {
+  const data = useExportDataContext()
+  const model = useMemo(() => resolveScheduleTimeline(block, data), [block, data])
+
+  if (!model) {
+    return (
+      <div data-testid="schedule-timeline-block" className="py-6 text-center text-2xs text-[var(--color-text-subtle)] italic">
+        No schedules in this project
+      </div>
+    )
+  }
+
+  const showDuration = block.showDuration !== false
+  const showNotes = block.showNotes !== false
+  const showTrack = model.tracks.length > 1
+  const hd = "border border-[var(--color-border)] px-3 py-1.5 text-2xs font-semibold uppercase tracking-wider text-[var(--color-text-muted)]"
+  const td = "border border-[var(--color-border)] px-3 py-1.5 text-2xs text-[var(--color-text)] align-top"
+
+  return (
+    <div data-testid="schedule-timeline-block" className="space-y-2">
+      <p className="text-2xs font-bold uppercase tracking-wider text-[var(--color-text-muted)]">
+        {model.scheduleName}
+        {model.dateLabel ? ` · ${model.dateLabel}` : ""}
+      </p>
+      {model.rows.length === 0 ? (
+        <div className="py-4 text-center text-2xs text-[var(--color-text-subtle)] italic">
+          No entries scheduled
+        </div>
+      ) : (
+        <table
+          className="w-full border border-[var(--color-border)] text-left"
+          style={{ borderCollapse: "separate", borderSpacing: 0 }}
+        >
+          <thead>
+            <tr className="bg-[var(--color-surface-subtle)]">
+              <th className={`${hd} w-24`}>Time</th>
+              {showDuration && <th className={`${hd} w-16`}>Dur.</th>}
+              {showTrack && <th className={`${hd} w-24`}>Track</th>}
+              <th className={hd}>Entry</th>
+            </tr>
+          </thead>
+          <tbody>
+            {model.rows.map((row, i) => (
+              <tr
+                key={row.id}
+                className={
+                  row.type === "banner"
+                    ? "bg-[var(--color-surface-muted)]"
+                    : i % 2 === 1
+                      ? "bg-[var(--color-surface-subtle)]"
+                      : ""
+                }
+              >
+                <td className={td}>{row.time || "—"}</td>
+                {showDuration && <td className={td}>{row.duration != null ? `${row.duration}m` : "—"}</td>}
+                {showTrack && <td className={td}>{row.trackName ?? "All"}</td>}
+                <td className={td}>
+                  <span className={row.type === "shot" ? "" : "font-medium"}>{row.title}</span>
+                  {showNotes && row.notes && (
+                    <span className="block text-[var(--color-text-muted)]">{row.notes}</span>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  )
+}
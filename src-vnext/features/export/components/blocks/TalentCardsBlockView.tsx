@@ -0,0 +1,65 @@
+import { useMemo } from "react"
+import type { TalentCardsBlock } from "../../types/exportBuilder"
+import { useExportDataContext } from "../ExportDataProvider"
+import { resolveTalentCards } from "../../lib/blockDataResolvers"
+import { initials } from "@/features/library/components/talentUtils"
+import { BlockImage } from "./BlockImage"
+
+interface TalentCardsBlockViewProps {
+  readonly block: TalentCardsBlock
+}
+
+export function TalentCardsBlockView({ block }: TalentCardsBlockViewProps) {
+  const data = useExportDataContext()
+  const cards = useMemo(() => resolveTalentCards(block, data), [block, data])
+
+  if (cards.length === 0) {
+    return (
+      <div data-testid="talent-cards-block" className="py-6 text-center text-2xs text-[var(--color-text-subtle)] italic">
+        No talent cast in this project
+      </div>
+    )
+  }
+
+  const showHeadshot = block.showHeadshot !== false
+  const showMeasurements = block.showMeasurements !== false
+  const showAgency = block.showAgency !== false
+  const showContact = block.showContact === true
+
+  return (
+    <div
+      data-testid="talent-cards-block"
+      className="grid gap-3"
+      style={{ gridTemplateColumns: `repeat(${block.columns ?? 3}, minmax(0, 1fr))` }}
+    >
+      {cards.map((card) => (
+        <div key={card.id} className="overflow-hidden rounded border border-[var(--color-border)]">
+          {showHeadshot && (
+            <BlockImage src={card.headshot} placeholder={initials(card.name)} className="aspect-[3/4] w-full" />
+          )}
+          <div className="space-y-0.5 px-2 py-1.5">
+            <p className="text-xs font-semibold text-[var(--color-text)]">{card.name}</p>
+            {showAgency && card.agency && (
+              <p className="text-2xs text-[var(--color-text-muted)]">{card.agency}</p>
+            )}
+            {showContact && (card.email || card.phone) && (
+              <p className="text-2xs text-[var(--color-text-muted)]">
+                {[card.email, card.phone].filter(Boolean).join(" · ")}
+              </p>
+            )}
+            {showMeasurements && card.measurements.length > 0 && (
+              <dl className="grid grid-cols-2 gap-x-2 pt-1 text-2xs">
+                {card.measurements.map((m) => (
+                  <div key={m.label} className="flex justify-between gap-1">
+                    <dt className="text-[var(--color-text-muted)]">{m.label}</dt>
+                    <dd className="text-[var(--color-text)]">{m.value}</dd>
+                  </div>
+                ))}
+              </dl>
+            )}
+          </div>
+        </div>
+      ))}
+    </div>
+  )
+}
@@ -1,6 +1,7 @@
 import { useState, useCallback, useRef, useEffect } from "react"
 import type { TextBlock, ExportVariable } from "../../types/exportBuilder"
 import { sanitizeHtml } from "@/shared/lib/sanitizeHtml"
+import { decodeTemplateTag, findUnresolvedTokens } from "../../lib/exportVariables"
 import { FloatingTextToolbar } from "../FloatingTextToolbar"
 
 interface TextBlockViewProps {
@@ -18,23 +19,38 @@ function escapeHtml(str: string): string {
   )
 }
 
-const PDF_RENDER_TIME_TOKENS = new Set(["pageNumber", "pageCount"])
+const CHIP_CLASS =
+  "inline-flex items-center rounded bg-[var(--color-accent-subtle)] px-1.5 text-xs text-[var(--color-accent)]"
+const SECTION_CHIP_CLASS =
+  "inline-flex items-center rounded bg-[var(--color-surface-muted)] px-1.5 font-mono text-2xs text-[var(--color-text-muted)] ring-1 ring-[var(--color-border)]"
+const UNRESOLVED_CHIP_CLASS =
+  "inline-flex items-center rounded bg-amber-100 dark:bg-amber-900/30 px-1.5 text-xs text-amber-700 dark:text-amber-400 ring-1 ring-amber-300 dark:ring-amber-700"
+
+/** `#if …`, `else`, `/each` and friends, shown as "if …", "else", "end each". */
+function sectionLabel(tag: string): string | null {
+  if (tag === "else") return "else"
+  if (tag.startsWith("#")) return tag.slice(1)
+  if (tag.startsWith("/")) return `end ${tag.slice(1)}`
+  return null
+}
 
-/** Replace {{variableKey}} tokens with styled chip spans for display */
+/** Replace {{variableKey}} and section tags with styled chip spans for display */
 function renderContentWithChips(
   content: string,
   variables: readonly ExportVariable[],
+  repeat: TextBlock["repeat"],
 ): string {
   const variableMap = new Map(variables.map((v) => [v.key, v]))
-  return content.replace(/\{\{([^}]+)\}\}/g, (_match, key: string) => {
-    const variable = variableMap.get(key)
+  const unresolved = new Set(findUnresolvedTokens(content, variables, { repeat }))
+  return content.replace(/\{\{([^{}]+)\}\}/g, (_match, raw: string) => {
+    const key = decodeTemplateTag(raw)
+    const section = sectionLabel(key)
     const safeKey = escapeHtml(key)
-    const safeLabel = escapeHtml(variable?.label ?? key)
-    const isResolved = variable !== undefined || PDF_RENDER_TIME_TOKENS.has(key)
-    const chipClass = isResolved
-      ? "inline-flex items-center rounded bg-[var(--color-accent-subtle)] px-1.5 text-xs text-[var(--color-accent)]"
-      : "inline-flex items-center rounded bg-amber-100 dark:bg-amber-900/30 px-1.5 text-xs text-amber-700 dark:text-amber-400 ring-1 ring-amber-300 dark:ring-amber-700"
-    return `<span class="${chipClass}" data-token="${safeKey}" contenteditable="false" ${!isResolved ? 'title="Undefined variable"' : ""}>${safeLabel}</span>`
+    const safeLabel = escapeHtml(section ?? variableMap.get(key)?.label ?? key)
+    const isResolved = !unresolved.has(key)
+    const chipClass = !isResolved ? UNRESOLVED_CHIP_CLASS : section ? SECTION_CHIP_CLASS : CHIP_CLASS
+    const title = !isResolved ? (section ? "Invalid section tag" : "Undefined variable") : null
+    return `<span class="${chipClass}" data-token="${safeKey}" contenteditable="false" ${title ? `title="${title}"` : ""}>${safeLabel}</span>`
   })
 }
 
@@ -159,7 +175,7 @@ export function TextBlockView({
 
   if (isEditing) {
     const editContent = block.content
-      ? renderContentWithChips(sanitizeHtml(block.content), variables)
+      ? renderContentWithChips(sanitizeHtml(block.content), variables, block.repeat)
       : ""
 
     return (
@@ -188,7 +204,7 @@ export function TextBlockView({
 
   const displayHtml = isEmpty
     ? ""
-    : renderContentWithChips(sanitizeHtml(block.content), variables)
+    : renderContentWithChips(sanitizeHtml(block.content), variables, block.repeat)
 
   return (
     <div
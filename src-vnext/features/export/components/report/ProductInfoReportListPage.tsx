@@ -1,7 +1,7 @@
 import { useCallback, useMemo, useState } from "react"
 import { useNavigate, useParams } from "react-router-dom"
 import { toast } from "sonner"
-import { Package, Pencil, Plus, Trash2 } from "lucide-react"
+import { CalendarClock, Package, Pencil, Plus, Trash2 } from "lucide-react"
 import { useAuth } from "@/app/providers/AuthProvider"
 import { isFeatureEnabled } from "@/shared/lib/flags"
 import { Button, buttonVariants } from "@/ui/button"
@@ -26,6 +26,7 @@ import {
 import { PageHeader } from "@/shared/components/PageHeader"
 import { EmptyState } from "@/shared/components/EmptyState"
 import { useExportReports } from "../../hooks/useExportReports"
+import { ReportScheduleDialog } from "./ReportScheduleDialog"
 import { DEFAULT_PRODUCT_INFO_CONFIG } from "../../lib/report/productInfoTypes"
 
 // Saved product-info reports for a project: create, open, and delete. Sits beside
@@ -50,6 +51,7 @@ export default function ProductInfoReportListPage() {
   const [pendingDelete, setPendingDelete] = useState<{ id: string; name: string } | null>(null)
   const [pendingRename, setPendingRename] = useState<{ id: string; name: string } | null>(null)
   const [renameDraft, setRenameDraft] = useState("")
+  const [scheduling, setScheduling] = useState<{ id: string; name: string; reportType: string } | null>(null)
 
   const openReport = useCallback(
     (reportId: string) =>
@@ -163,6 +165,15 @@ export default function ProductInfoReportListPage() {
                   <Pencil />
                 </Button>
               )}
+              <Button
+                variant="ghost"
+                size="icon"
+                onClick={() => setScheduling({ id: r.id, name: r.name, reportType: r.reportType })}
+                aria-label={`Schedule ${r.name}`}
+                title="Email this report on a schedule"
+              >
+                <CalendarClock />
+              </Button>
               <Button
                 variant="ghost"
                 size="icon"
@@ -177,6 +188,15 @@ export default function ProductInfoReportListPage() {
         </ul>
       )}
 
+      <ReportScheduleDialog
+        open={scheduling !== null}
+        onOpenChange={(open) => {
+          if (!open) setScheduling(null)
+        }}
+        projectId={projectId}
+        report={scheduling}
+      />
+
       <AlertDialog
         open={pendingDelete !== null}
         onOpenChange={(open) => {
@@ -0,0 +1,381 @@
+import { useEffect, useMemo, useState } from "react"
+import { toast } from "sonner"
+import { Pencil, Trash2 } from "lucide-react"
+import { useAuth } from "@/app/providers/AuthProvider"
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/ui/dialog"
+import { Badge } from "@/ui/badge"
+import { Button } from "@/ui/button"
+import { Input } from "@/ui/input"
+import { Label } from "@/ui/label"
+import { Switch } from "@/ui/switch"
+import { Textarea } from "@/ui/textarea"
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/ui/select"
+import { useReportDeliveries, useReportSchedules } from "../../hooks/useReportSchedules"
+import {
+  buildCadence,
+  DEFAULT_REPORT_CADENCE,
+  describeCadence,
+  localTimeZone,
+  MAX_REPORT_RECIPIENTS,
+  mergeRecipients,
+  parseRecipientList,
+  REPORT_WEEKDAY_LABELS,
+  type ReportCadenceFrequency,
+  type ReportDeliveryStatus,
+  type ReportSchedule,
+} from "../../lib/reportSchedules"
+
+interface ReportScheduleDialogProps {
+  readonly open: boolean
+  readonly onOpenChange: (open: boolean) => void
+  readonly projectId: string | undefined
+  /** The saved report being scheduled; null while closed. */
+  readonly report: { readonly id: string; readonly name: string; readonly reportType: string } | null
+}
+
+const FREQUENCY_OPTIONS: ReadonlyArray<{ readonly value: ReportCadenceFrequency; readonly label: string }> = [
+  { value: "daily", label: "Daily" },
+  { value: "weekly", label: "Weekly" },
+  { value: "monthly", label: "Monthly" },
+]
+
+const DAY_OF_MONTH_OPTIONS = Array.from({ length: 28 }, (_, i) => i + 1)
+
+const DELIVERY_STATUS_LABEL: Record<ReportDeliveryStatus, string> = {
+  sent: "Sent",
+  partial: "Partly sent",
+  failed: "Failed",
+  skipped: "Skipped",
+}
+
+interface Draft {
+  readonly frequency: ReportCadenceFrequency
+  readonly weekday: number
+  readonly dayOfMonth: number
+  readonly time: string
+  readonly recipients: string
+}
+
+const EMPTY_DRAFT: Draft = {
+  frequency: DEFAULT_REPORT_CADENCE.frequency,
+  weekday: DEFAULT_REPORT_CADENCE.weekday ?? 1,
+  dayOfMonth: 1,
+  time: DEFAULT_REPORT_CADENCE.time,
+  recipients: "",
+}
+
+function draftFrom(schedule: ReportSchedule): Draft {
+  return {
+    frequency: schedule.cadence.frequency,
+    weekday: schedule.cadence.weekday ?? 1,
+    dayOfMonth: schedule.cadence.dayOfMonth ?? 1,
+    time: schedule.cadence.time,
+    recipients: schedule.recipients.map((r) => r.email).join("\n"),
+  }
+}
+
+function createToken(): string {
+  return crypto.randomUUID()
+}
+
+function sentenceCase(text: string): string {
+  return text.charAt(0).toUpperCase() + text.slice(1)
+}
+
+function formatRunDate(date: Date): string {
+  return date.toLocaleString(undefined, {
+    weekday: "short",
+    month: "short",
+    day: "numeric",
+    hour: "numeric",
+    minute: "2-digit",
+  })
+}
+
+// Schedules one saved shot / product / talent report for recurring emailed
+// PDF delivery. The sendScheduledReports function does the sending; this
+// dialog edits cadence + recipients and shows each schedule's delivery log.
+export function ReportScheduleDialog({ open, onOpenChange, projectId, report }: ReportScheduleDialogProps) {
+  const { clientId } = useAuth()
+  const { schedules, loading, createSchedule, updateSchedule, setScheduleEnabled, deleteSchedule } =
+    useReportSchedules(clientId, projectId, open ? report : null)
+  const [editingId, setEditingId] = useState<string | null>(null)
+  const [draft, setDraft] = useState<Draft>(EMPTY_DRAFT)
+  const [saving, setSaving] = useState(false)
+  const deliveries = useReportDeliveries(clientId, projectId, open ? editingId : null)
+
+  useEffect(() => {
+    if (!open) return
+    setEditingId(null)
+    setDraft(EMPTY_DRAFT)
+  }, [open, report?.id])
+
+  const editing = schedules.find((s) => s.id === editingId) ?? null
+  const parsed = useMemo(() => parseRecipientList(draft.recipients), [draft.recipients])
+  const unsubscribed = editing?.recipients.filter((r) => r.unsubscribedAt) ?? []
+  const recipientError =
+    parsed.invalid.length > 0
+      ? `Not an email address: ${parsed.invalid.join(", ")}`
+      : parsed.emails.length > MAX_REPORT_RECIPIENTS
+        ? `At most ${MAX_REPORT_RECIPIENTS} recipients per schedule.`
+        : null
+  const canSave = !saving && parsed.emails.length > 0 && recipientError === null && draft.time !== ""
+
+  const startEdit = (schedule: ReportSchedule) => {
+    setEditingId(schedule.id)
+    setDraft(draftFrom(schedule))
+  }
+
+  const resetForm = () => {
+    setEditingId(null)
+    setDraft(EMPTY_DRAFT)
+  }
+
+  async function handleSave() {
+    if (!canSave) return
+    setSaving(true)
+    try {
+      const cadence = buildCadence({
+        frequency: draft.frequency,
+        weekday: draft.weekday,
+        dayOfMonth: draft.dayOfMonth,
+        time: draft.time,
+        timeZone: editing?.cadence.timeZone ?? localTimeZone(),
+      })
+      const recipients = mergeRecipients(editing?.recipients ?? [], parsed.emails, createToken)
+      if (editing) {
+        await updateSchedule(editing.id, { cadence, recipients })
+        toast.success("Schedule updated")
+      } else {
+        await createSchedule({ cadence, recipients })
+        toast.success(`Scheduled ${describeCadence(cadence)}`)
+        resetForm()
+      }
+    } catch {
+      toast.error("Couldn't save the schedule")
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  async function handleToggle(schedule: ReportSchedule, enabled: boolean) {
+    try {
+      await setScheduleEnabled(schedule, enabled)
+    } catch {
+      toast.error(enabled ? "Couldn't resume the schedule" : "Couldn't pause the schedule")
+    }
+  }
+
+  async function handleDelete(schedule: ReportSchedule) {
+    try {
+      await deleteSchedule(schedule.id)
+      if (editingId === schedule.id) resetForm()
+      toast.success("Schedule deleted")
+    } catch {
+      toast.error("Couldn't delete the schedule")
+    }
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-lg">
+        <DialogHeader>
+          <DialogTitle>Schedule “{report?.name}”</DialogTitle>
+          <DialogDescription>
+            Email this report as a PDF on a schedule. Each email links back to the live report.
+          </DialogDescription>
+        </DialogHeader>
+
+        {loading ? (
+          <p className="text-sm text-[var(--color-text-muted)]">Loading…</p>
+        ) : schedules.length > 0 ? (
+          <ul
+            className="divide-y divide-[var(--color-border)] rounded-md border border-[var(--color-border)]"
+            aria-label="Schedules"
+          >
+            {schedules.map((s) => {
+              const optedOut = s.recipients.filter((r) => r.unsubscribedAt).length
+              return (
+                <li key={s.id} className="flex items-center gap-2 p-2" data-testid={`report-schedule-${s.id}`}>
+                  <div className="min-w-0 flex-1">
+                    <span className="block text-sm font-medium text-[var(--color-text)]">
+                      {sentenceCase(describeCadence(s.cadence))}
+                    </span>
+                    <span className="block text-xs text-[var(--color-text-muted)]">
+                      {s.recipients.length - optedOut} recipient{s.recipients.length - optedOut === 1 ? "" : "s"}
+                      {optedOut > 0 ? ` · ${optedOut} unsubscribed` : ""}
+                      {" · "}
+                      {s.enabled && s.nextRunAt ? `Next ${formatRunDate(s.nextRunAt)}` : "Paused"}
+                    </span>
+                  </div>
+                  <Switch
+                    checked={s.enabled}
+                    onCheckedChange={(checked) => void handleToggle(s, checked)}
+                    aria-label={s.enabled ? "Pause schedule" : "Resume schedule"}
+                  />
+                  <Button variant="ghost" size="icon" onClick={() => startEdit(s)} aria-label="Edit schedule">
+                    <Pencil />
+                  </Button>
+                  <Button
+                    variant="ghost"
+                    size="icon"
+                    onClick={() => void handleDelete(s)}
+                    aria-label="Delete schedule"
+                  >
+                    <Trash2 />
+                  </Button>
+                </li>
+              )
+            })}
+          </ul>
+        ) : null}
+
+        <div className="flex flex-col gap-3">
+          <p className="text-sm font-medium text-[var(--color-text)]">
+            {editing ? "Edit schedule" : "New schedule"}
+          </p>
+          <div className="flex flex-wrap items-end gap-2">
+            <div className="flex flex-col gap-1.5">
+              <Label htmlFor="report-schedule-frequency">Repeat</Label>
+              <Select
+                value={draft.frequency}
+                onValueChange={(v) => setDraft((d) => ({ ...d, frequency: v as ReportCadenceFrequency }))}
+              >
+                <SelectTrigger id="report-schedule-frequency" className="w-32" aria-label="Repeat">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {FREQUENCY_OPTIONS.map((opt) => (
+                    <SelectItem key={opt.value} value={opt.value}>
+                      {opt.label}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            {draft.frequency === "weekly" && (
+              <div className="flex flex-col gap-1.5">
+                <Label htmlFor="report-schedule-weekday">On</Label>
+                <Select
+                  value={String(draft.weekday)}
+                  onValueChange={(v) => setDraft((d) => ({ ...d, weekday: Number(v) }))}
+                >
+                  <SelectTrigger id="report-schedule-weekday" className="w-36" aria-label="Weekday">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {REPORT_WEEKDAY_LABELS.map((label, i) => (
+                      <SelectItem key={label} value={String(i)}>
+                        {label}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+            )}
+            {draft.frequency === "monthly" && (
+              <div className="flex flex-col gap-1.5">
+                <Label htmlFor="report-schedule-day">Day</Label>
+                <Select
+                  value={String(draft.dayOfMonth)}
+                  onValueChange={(v) => setDraft((d) => ({ ...d, dayOfMonth: Number(v) }))}
+                >
+                  <SelectTrigger id="report-schedule-day" className="w-20" aria-label="Day of month">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {DAY_OF_MONTH_OPTIONS.map((day) => (
+                      <SelectItem key={day} value={String(day)}>
+                        {day}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+            )}
+            <div className="flex flex-col gap-1.5">
+              <Label htmlFor="report-schedule-time">At</Label>
+              <Input
+                id="report-schedule-time"
+                type="time"
+                className="w-32"
+                value={draft.time}
+                onChange={(e) => setDraft((d) => ({ ...d, time: e.target.value }))}
+              />
+            </div>
+          </div>
+          <p className="text-xs text-[var(--color-text-muted)]">
+            Times are {editing?.cadence.timeZone ?? localTimeZone()}.
+          </p>
+
+          <div className="flex flex-col gap-1.5">
+            <Label htmlFor="report-schedule-recipients">Recipients</Label>
+            <Textarea
+              id="report-schedule-recipients"
+              rows={3}
+              value={draft.recipients}
+              onChange={(e) => setDraft((d) => ({ ...d, recipients: e.target.value }))}
+              placeholder="One email per line, or separated by commas"
+              aria-invalid={recipientError !== null}
+            />
+            {recipientError && <p className="text-xs text-[var(--color-error)]">{recipientError}</p>}
+            {unsubscribed.length > 0 && (
+              <p className="text-xs text-[var(--color-text-muted)]">
+                Unsubscribed: {unsubscribed.map((r) => r.email).join(", ")}. They stay on the list but
+                won’t be emailed.
+              </p>
+            )}
+          </div>
+        </div>
+
+        {editing && (
+          <div className="flex flex-col gap-1.5">
+            <p className="text-sm font-medium text-[var(--color-text)]">Delivery log</p>
+            {deliveries.length === 0 ? (
+              <p className="text-xs text-[var(--color-text-muted)]">No deliveries yet.</p>
+            ) : (
+              <ul className="flex flex-col gap-1" aria-label="Delivery log">
+                {deliveries.map((d) => (
+                  <li key={d.id} className="flex flex-wrap items-center gap-2 text-xs text-[var(--color-text-muted)]">
+                    <Badge variant={d.status === "failed" ? "destructive" : "secondary"}>
+                      {DELIVERY_STATUS_LABEL[d.status]}
+                    </Badge>
+                    <span>{d.ranAt ? formatRunDate(d.ranAt) : "Just now"}</span>
+                    <span>
+                      {d.sentCount} of {d.recipientCount} sent
+                      {d.skippedUnsubscribed > 0 ? ` · ${d.skippedUnsubscribed} unsubscribed` : ""}
+                    </span>
+                    {d.error && <span className="text-[var(--color-error)]">{d.error}</span>}
+                    {d.failures.length > 0 && (
+                      <span className="text-[var(--color-error)]">
+                        Failed: {d.failures.map((f) => f.email).join(", ")}
+                      </span>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
+
+        <DialogFooter>
+          {editing && (
+            <Button variant="outline" onClick={resetForm} disabled={saving}>
+              New schedule
+            </Button>
+          )}
+          <Button onClick={() => void handleSave()} disabled={!canSave}>
+            {saving ? "Saving…" : editing ? "Save changes" : "Add schedule"}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  )
+}
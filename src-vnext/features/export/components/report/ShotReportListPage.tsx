@@ -1,7 +1,7 @@
 import { useCallback, useMemo, useState } from "react"
 import { useNavigate, useParams } from "react-router-dom"
 import { toast } from "sonner"
-import { Copy, FileText, Pencil, Plus, Trash2 } from "lucide-react"
+import { CalendarClock, Copy, FileText, Pencil, Plus, Trash2 } from "lucide-react"
 import { useAuth } from "@/app/providers/AuthProvider"
 import { isFeatureEnabled } from "@/shared/lib/flags"
 import { badgeVariants } from "@/ui/badge"
@@ -28,6 +28,7 @@ import {
 import { PageHeader } from "@/shared/components/PageHeader"
 import { EmptyState } from "@/shared/components/EmptyState"
 import { useExportReports } from "../../hooks/useExportReports"
+import { ReportScheduleDialog } from "./ReportScheduleDialog"
 import {
   DEFAULT_REPORT_CONFIG,
   REPORT_LAYOUT_LABEL,
@@ -69,6 +70,7 @@ export default function ShotReportListPage() {
   const [pendingDelete, setPendingDelete] = useState<{ id: string; name: string } | null>(null)
   const [pendingRename, setPendingRename] = useState<{ id: string; name: string } | null>(null)
   const [renameDraft, setRenameDraft] = useState("")
+  const [scheduling, setScheduling] = useState<{ id: string; name: string; reportType: string } | null>(null)
 
   const openReport = useCallback(
     (reportId: string) => navigate(`/projects/${projectId}/export/report?reportId=${reportId}`),
@@ -238,6 +240,15 @@ export default function ShotReportListPage() {
                   <Pencil />
                 </Button>
               )}
+              <Button
+                variant="ghost"
+                size="icon"
+                onClick={() => setScheduling({ id: r.id, name: r.name, reportType: r.reportType })}
+                aria-label={`Schedule ${r.name}`}
+                title="Email this report on a schedule"
+              >
+                <CalendarClock />
+              </Button>
               <Button
                 variant="ghost"
                 size="icon"
@@ -252,6 +263,15 @@ export default function ShotReportListPage() {
         </ul>
       )}
 
+      <ReportScheduleDialog
+        open={scheduling !== null}
+        onOpenChange={(open) => {
+          if (!open) setScheduling(null)
+        }}
+        projectId={projectId}
+        report={scheduling}
+      />
+
       <AlertDialog
         open={pendingDelete !== null}
         onOpenChange={(open) => {
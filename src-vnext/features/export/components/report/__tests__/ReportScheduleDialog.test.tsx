@@ -0,0 +1,125 @@
+/// <reference types="@testing-library/jest-dom" />
+import { describe, it, expect, vi, beforeEach } from "vitest"
+import { render, screen } from "@testing-library/react"
+import userEvent from "@testing-library/user-event"
+import { ReportScheduleDialog } from "../ReportScheduleDialog"
+import type { ReportDelivery, ReportSchedule } from "../../../lib/reportSchedules"
+
+const createScheduleMock = vi.hoisted(() => vi.fn().mockResolvedValue("schedule-new"))
+const updateScheduleMock = vi.hoisted(() => vi.fn().mockResolvedValue(undefined))
+const setScheduleEnabledMock = vi.hoisted(() => vi.fn().mockResolvedValue(undefined))
+const deleteScheduleMock = vi.hoisted(() => vi.fn().mockResolvedValue(undefined))
+const state = vi.hoisted(() => ({
+  schedules: [] as ReportSchedule[],
+  deliveries: [] as ReportDelivery[],
+}))
+
+vi.mock("../../../hooks/useReportSchedules", () => ({
+  useReportSchedules: () => ({
+    schedules: state.schedules,
+    loading: false,
+    createSchedule: createScheduleMock,
+    updateSchedule: updateScheduleMock,
+    setScheduleEnabled: setScheduleEnabledMock,
+    deleteSchedule: deleteScheduleMock,
+  }),
+  useReportDeliveries: () => state.deliveries,
+}))
+
+vi.mock("@/app/providers/AuthProvider", () => ({
+  useAuth: () => ({ clientId: "client-1", role: "producer" }),
+}))
+
+const REPORT = { id: "report-1", name: "Shot status", reportType: "shot-report" }
+
+const SCHEDULE: ReportSchedule = {
+  id: "schedule-1",
+  reportId: "report-1",
+  reportName: "Shot status",
+  reportType: "shot-report",
+  enabled: true,
+  cadence: { frequency: "weekly", weekday: 1, time: "08:00", timeZone: "America/Toronto" },
+  recipients: [
+    { email: "ana@studio.com", token: "tok-ana", unsubscribedAt: null },
+    { email: "ben@studio.com", token: "tok-ben", unsubscribedAt: new Date("2026-10-01T00:00:00Z") },
+  ],
+  nextRunAt: new Date("2026-10-26T12:00:00Z"),
+  lastRunAt: null,
+  lastStatus: null,
+  createdBy: "prod-1",
+}
+
+function renderDialog() {
+  return render(
+    <ReportScheduleDialog open onOpenChange={() => {}} projectId="proj-1" report={REPORT} />,
+  )
+}
+
+describe("ReportScheduleDialog", () => {
+  beforeEach(() => {
+    createScheduleMock.mockClear()
+    updateScheduleMock.mockClear()
+    state.schedules = []
+    state.deliveries = []
+  })
+
+  it("creates a weekly Monday 8am schedule with a token per recipient", async () => {
+    const user = userEvent.setup()
+    renderDialog()
+
+    await user.type(screen.getByLabelText("Recipients"), "Ana@studio.com, ben@studio.com")
+    await user.click(screen.getByRole("button", { name: "Add schedule" }))
+
+    expect(createScheduleMock).toHaveBeenCalledTimes(1)
+    const [input] = createScheduleMock.mock.calls[0] as [
+      { cadence: Record<string, unknown>; recipients: { email: string; token: string }[] },
+    ]
+    expect(input.cadence).toMatchObject({ frequency: "weekly", weekday: 1, time: "08:00" })
+    expect(input.cadence).not.toHaveProperty("dayOfMonth")
+    expect(input.recipients.map((r) => r.email)).toEqual(["ana@studio.com", "ben@studio.com"])
+    expect(new Set(input.recipients.map((r) => r.token)).size).toBe(2)
+  })
+
+  it("blocks saving while the list has something that isn't an email", async () => {
+    const user = userEvent.setup()
+    renderDialog()
+
+    await user.type(screen.getByLabelText("Recipients"), "ana@studio.com nope")
+    expect(screen.getByText("Not an email address: nope")).toBeInTheDocument()
+    expect(screen.getByRole("button", { name: "Add schedule" })).toBeDisabled()
+  })
+
+  it("lists schedules and, when editing, keeps unsubscribed recipients opted out and shows the log", async () => {
+    state.schedules = [SCHEDULE]
+    state.deliveries = [
+      {
+        id: "d1",
+        status: "partial",
+        ranAt: new Date("2026-10-19T12:00:00Z"),
+        recipientCount: 2,
+        sentCount: 1,
+        skippedUnsubscribed: 1,
+        failures: [{ email: "cy@studio.com", error: "send_failed" }],
+        error: null,
+      },
+    ]
+    const user = userEvent.setup()
+    renderDialog()
+
+    expect(screen.getByText("Every Monday 8am")).toBeInTheDocument()
+    expect(screen.getByText(/1 recipient · 1 unsubscribed/)).toBeInTheDocument()
+
+    await user.click(screen.getByRole("button", { name: "Edit schedule" }))
+    expect(screen.getByText(/Unsubscribed: ben@studio.com/)).toBeInTheDocument()
+    expect(screen.getByText("Partly sent")).toBeInTheDocument()
+    expect(screen.getByText("Failed: cy@studio.com")).toBeInTheDocument()
+
+    await user.click(screen.getByRole("button", { name: "Save changes" }))
+    const [id, input] = updateScheduleMock.mock.calls[0] as [
+      string,
+      { recipients: { email: string; token: string; unsubscribedAt: Date | null }[] },
+    ]
+    expect(id).toBe("schedule-1")
+    expect(input.recipients).toEqual(SCHEDULE.recipients)
+  })
+})
@@ -47,6 +47,9 @@ const legacyDoc: ExportReportFull = {
   schemaVersion: 1,
   updatedAt: null,
   createdBy: "u1",
+  updatedBy: "u1",
+  visibility: "team",
+  revision: 0,
   pages: [],
   settings: { layout: "portrait", size: "letter", fontFamily: "Inter" },
   customVariables: [],
@@ -0,0 +1,86 @@
+import type {
+  ExportBlock,
+  ExportVariable,
+  TemplateCollectionKey,
+} from "../../types/exportBuilder"
+import { TEMPLATE_COLLECTIONS, validateCondition } from "../../lib/exportVariables"
+
+export function BlockConditionSettings({
+  block,
+  variables,
+  onUpdate,
+}: {
+  readonly block: ExportBlock
+  readonly variables: readonly ExportVariable[]
+  readonly onUpdate: (updates: Partial<ExportBlock>) => void
+}) {
+  const condition = block.visibleIf ?? ""
+  const error = validateCondition(condition, variables, block.repeat)
+  const repeatSpec = TEMPLATE_COLLECTIONS.find((c) => c.key === block.repeat)
+
+  const inputClass =
+    "mt-1 w-full rounded-md border border-[var(--color-border)] bg-[var(--color-surface)] px-2.5 py-1.5 text-sm text-[var(--color-text)]"
+  const labelClass = "text-2xs font-medium text-[var(--color-text-muted)]"
+
+  return (
+    <div className="flex flex-col gap-4 border-t border-[var(--color-border)] pt-4 mt-4">
+      <p className="text-2xs font-medium uppercase tracking-wider text-[var(--color-text-muted)]">
+        Conditions
+      </p>
+
+      <div>
+        <label htmlFor="block-visible-if" className={labelClass}>
+          Show only if
+        </label>
+        <input
+          id="block-visible-if"
+          value={condition}
+          onChange={(e) => onUpdate({ visibleIf: e.target.value || undefined })}
+          placeholder="e.g. videoShotCount > 0"
+          aria-invalid={error !== null}
+          data-testid="block-visible-if"
+          className={`${inputClass} font-mono text-xs`}
+        />
+        {error ? (
+          <p className="mt-1 text-2xs text-[var(--color-error)]">{error}</p>
+        ) : (
+          <p className="mt-1 text-2xs text-[var(--color-text-subtle)]">
+            Left out of the PDF when the condition is false.
+          </p>
+        )}
+      </div>
+
+      {block.type !== "page-break" && (
+        <div>
+          <label htmlFor="block-repeat" className={labelClass}>
+            Repeat for each
+          </label>
+          <select
+            id="block-repeat"
+            value={block.repeat ?? ""}
+            onChange={(e) =>
+              onUpdate({ repeat: (e.target.value || undefined) as TemplateCollectionKey | undefined })
+            }
+            data-testid="block-repeat-select"
+            className={inputClass}
+          >
+            <option value="">Don&apos;t repeat</option>
+            {TEMPLATE_COLLECTIONS.map((c) => (
+              <option key={c.key} value={c.key}>
+                {c.label}
+              </option>
+            ))}
+          </select>
+          {repeatSpec && (
+            <p className="mt-1 text-2xs text-[var(--color-text-subtle)]">
+              One copy per record. Use {repeatSpec.fields
+                .slice(0, 2)
+                .map((f) => `{{${repeatSpec.itemKey}.${f.key}}}`)
+                .join(", ")} or {"{{@index}}"} in text.
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,79 @@
+import type { CastingBoardStatus } from "@/shared/types"
+import type { CastingGridBlock } from "../../types/exportBuilder"
+import { CASTING_STATUS_MAP } from "@/features/casting/lib/castingStatuses"
+
+const SELECT_CLASS =
+  "mt-1 w-full rounded-md border border-[var(--color-border)] bg-[var(--color-surface)] px-2.5 py-1.5 text-sm text-[var(--color-text)]"
+
+const STATUSES = Object.keys(CASTING_STATUS_MAP) as CastingBoardStatus[]
+
+const TOGGLES = [
+  { key: "showHeadshot", label: "Show headshots" },
+  { key: "showRole", label: "Show roles" },
+  { key: "showAgency", label: "Show agency" },
+] as const
+
+export function CastingGridSettings({
+  block,
+  onUpdate,
+}: {
+  readonly block: CastingGridBlock
+  readonly onUpdate: (updates: Partial<CastingGridBlock>) => void
+}) {
+  const selected = new Set(block.statuses ?? [])
+
+  const toggleStatus = (status: CastingBoardStatus, checked: boolean) => {
+    // An empty selection means every status, so start from the full set.
+    const current = selected.size > 0 ? selected : new Set(STATUSES)
+    const next = STATUSES.filter((s) => (s === status ? checked : current.has(s)))
+    if (next.length === 0) return
+    onUpdate({ statuses: next.length === STATUSES.length ? undefined : next })
+  }
+
+  return (
+    <div className="flex flex-col gap-3">
+      <div>
+        <label className="text-2xs font-medium text-[var(--color-text-muted)]">
+          Columns
+        </label>
+        <select
+          value={block.columns ?? 4}
+          onChange={(e) => onUpdate({ columns: Number(e.target.value) as CastingGridBlock["columns"] })}
+          data-testid="casting-grid-columns-select"
+          className={SELECT_CLASS}
+        >
+          <option value={3}>3</option>
+          <option value={4}>4</option>
+          <option value={5}>5</option>
+        </select>
+      </div>
+
+      <div className="flex flex-col gap-1.5">
+        <span className="text-2xs font-medium text-[var(--color-text-muted)]">Statuses</span>
+        {STATUSES.map((status) => (
+          <label key={status} className="flex items-center gap-2 text-sm text-[var(--color-text)]">
+            <input
+              type="checkbox"
+              checked={selected.size === 0 || selected.has(status)}
+              onChange={(e) => toggleStatus(status, e.target.checked)}
+              data-testid={`casting-grid-status-${status}`}
+            />
+            {CASTING_STATUS_MAP[status].label}
+          </label>
+        ))}
+      </div>
+
+      {TOGGLES.map(({ key, label }) => (
+        <label key={key} className="flex items-center gap-2 text-sm text-[var(--color-text)]">
+          <input
+            type="checkbox"
+            checked={block[key] !== false}
+            onChange={(e) => onUpdate({ [key]: e.target.checked })}
+            data-testid={`casting-grid-${key}`}
+          />
+          {label}
+        </label>
+      ))}
+    </div>
+  )
+}
@@ -0,0 +1,61 @@
+import { useExportDataContext } from "../ExportDataProvider"
+import type { LocationSheetBlock } from "../../types/exportBuilder"
+
+const TOGGLES = [
+  { key: "showPhoto", label: "Show photos" },
+  { key: "showPhone", label: "Show phone numbers" },
+  { key: "showNotes", label: "Show notes" },
+] as const
+
+export function LocationSheetSettings({
+  block,
+  onUpdate,
+}: {
+  readonly block: LocationSheetBlock
+  readonly onUpdate: (updates: Partial<LocationSheetBlock>) => void
+}) {
+  const { locations = [] } = useExportDataContext()
+  const picked = block.locationIds ?? []
+  const options = [...locations].sort((a, b) => a.name.localeCompare(b.name))
+
+  const toggleLocation = (locationId: string, checked: boolean) => {
+    const next = checked ? [...picked, locationId] : picked.filter((id) => id !== locationId)
+    onUpdate({ locationIds: next.length > 0 ? next : undefined })
+  }
+
+  return (
+    <div className="flex flex-col gap-3">
+      {TOGGLES.map(({ key, label }) => (
+        <label key={key} className="flex items-center gap-2 text-sm text-[var(--color-text)]">
+          <input
+            type="checkbox"
+            checked={block[key] !== false}
+            onChange={(e) => onUpdate({ [key]: e.target.checked })}
+            data-testid={`location-sheet-${key}`}
+          />
+          {label}
+        </label>
+      ))}
+
+      <div className="flex flex-col gap-1.5">
+        <span className="text-2xs font-medium text-[var(--color-text-muted)]">Locations</span>
+        <p className="text-2xs text-[var(--color-text-subtle)]">
+          {picked.length > 0
+            ? "Only the checked locations, in the order checked."
+            : "Every location used by this project's shots and sets."}
+        </p>
+        {options.map((l) => (
+          <label key={l.id} className="flex items-center gap-2 text-sm text-[var(--color-text)]">
+            <input
+              type="checkbox"
+              checked={picked.includes(l.id)}
+              onChange={(e) => toggleLocation(l.id, e.target.checked)}
+              data-testid={`location-sheet-location-${l.id}`}
+            />
+            {l.name}
+          </label>
+        ))}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,91 @@
+import { useExportDataContext } from "../ExportDataProvider"
+import type { ScheduleTimelineBlock } from "../../types/exportBuilder"
+import { resolveBlockSchedule } from "../../lib/blockDataResolvers"
+import { scheduleTracks, sortSchedulesByDate } from "@/features/schedules/lib/multiDay"
+
+const SELECT_CLASS =
+  "mt-1 w-full rounded-md border border-[var(--color-border)] bg-[var(--color-surface)] px-2.5 py-1.5 text-sm text-[var(--color-text)]"
+
+export function ScheduleTimelineSettings({
+  block,
+  onUpdate,
+}: {
+  readonly block: ScheduleTimelineBlock
+  readonly onUpdate: (updates: Partial<ScheduleTimelineBlock>) => void
+}) {
+  const { schedules = [] } = useExportDataContext()
+  const ordered = sortSchedulesByDate(schedules)
+  const schedule = resolveBlockSchedule(block, schedules)
+  const tracks = schedule ? scheduleTracks(schedule) : []
+  const selected = new Set(block.trackIds ?? [])
+
+  const toggleTrack = (trackId: string, checked: boolean) => {
+    // An empty selection means every track, so start from the full set.
+    const current = selected.size > 0 ? selected : new Set(tracks.map((t) => t.id))
+    const next = tracks.map((t) => t.id).filter((id) => (id === trackId ? checked : current.has(id)))
+    if (next.length === 0) return
+    onUpdate({ trackIds: next.length === tracks.length ? undefined : next })
+  }
+
+  return (
+    <div className="flex flex-col gap-3">
+      <div>
+        <label className="text-2xs font-medium text-[var(--color-text-muted)]">
+          Shoot day
+        </label>
+        <select
+          value={block.scheduleId ?? ""}
+          // Track ids are per schedule, so a new day starts with every track.
+          onChange={(e) => onUpdate({ scheduleId: e.target.value || undefined, trackIds: undefined })}
+          data-testid="schedule-timeline-schedule-select"
+          className={SELECT_CLASS}
+        >
+          <option value="">
+            {ordered.length > 0 ? "First shoot day" : "No schedules"}
+          </option>
+          {ordered.map((s) => (
+            <option key={s.id} value={s.id}>
+              {s.name}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {tracks.length > 1 && (
+        <div className="flex flex-col gap-1.5">
+          <span className="text-2xs font-medium text-[var(--color-text-muted)]">Tracks</span>
+          {tracks.map((track) => (
+            <label key={track.id} className="flex items-center gap-2 text-sm text-[var(--color-text)]">
+              <input
+                type="checkbox"
+                checked={selected.size === 0 || selected.has(track.id)}
+                onChange={(e) => toggleTrack(track.id, e.target.checked)}
+                data-testid={`schedule-timeline-track-${track.id}`}
+              />
+              {track.name}
+            </label>
+          ))}
+        </div>
+      )}
+
+      <label className="flex items-center gap-2 text-sm text-[var(--color-text)]">
+        <input
+          type="checkbox"
+          checked={block.showDuration !== false}
+          onChange={(e) => onUpdate({ showDuration: e.target.checked })}
+          data-testid="schedule-timeline-show-duration"
+        />
+        Show durations
+      </label>
+      <label className="flex items-center gap-2 text-sm text-[var(--color-text)]">
+        <input
+          type="checkbox"
+          checked={block.showNotes !== false}
+          onChange={(e) => onUpdate({ showNotes: e.target.checked })}
+          data-testid="schedule-timeline-show-notes"
+        />
+        Show notes
+      </label>
+    </div>
+  )
+}
@@ -0,0 +1,85 @@
+import { useExportDataContext } from "../ExportDataProvider"
+import type { TalentCardsBlock } from "../../types/exportBuilder"
+import { buildDisplayName } from "@/features/library/components/talentUtils"
+
+const SELECT_CLASS =
+  "mt-1 w-full rounded-md border border-[var(--color-border)] bg-[var(--color-surface)] px-2.5 py-1.5 text-sm text-[var(--color-text)]"
+
+const TOGGLES = [
+  { key: "showHeadshot", label: "Show headshots", fallback: true },
+  { key: "showMeasurements", label: "Show measurements", fallback: true },
+  { key: "showAgency", label: "Show agency", fallback: true },
+  { key: "showContact", label: "Show email and phone", fallback: false },
+] as const
+
+export function TalentCardsSettings({
+  block,
+  onUpdate,
+}: {
+  readonly block: TalentCardsBlock
+  readonly onUpdate: (updates: Partial<TalentCardsBlock>) => void
+}) {
+  const { talent } = useExportDataContext()
+  const picked = block.talentIds ?? []
+  const options = talent
+    .filter((t) => t.deleted !== true)
+    .map((t) => ({ id: t.id, name: buildDisplayName(t) }))
+    .sort((a, b) => a.name.localeCompare(b.name))
+
+  const toggleTalent = (talentId: string, checked: boolean) => {
+    const next = checked ? [...picked, talentId] : picked.filter((id) => id !== talentId)
+    onUpdate({ talentIds: next.length > 0 ? next : undefined })
+  }
+
+  return (
+    <div className="flex flex-col gap-3">
+      <div>
+        <label className="text-2xs font-medium text-[var(--color-text-muted)]">
+          Columns
+        </label>
+        <select
+          value={block.columns ?? 3}
+          onChange={(e) => onUpdate({ columns: Number(e.target.value) as TalentCardsBlock["columns"] })}
+          data-testid="talent-cards-columns-select"
+          className={SELECT_CLASS}
+        >
+          <option value={2}>2</option>
+          <option value={3}>3</option>
+          <option value={4}>4</option>
+        </select>
+      </div>
+
+      {TOGGLES.map(({ key, label, fallback }) => (
+        <label key={key} className="flex items-center gap-2 text-sm text-[var(--color-text)]">
+          <input
+            type="checkbox"
+            checked={block[key] ?? fallback}
+            onChange={(e) => onUpdate({ [key]: e.target.checked })}
+            data-testid={`talent-cards-${key}`}
+          />
+          {label}
+        </label>
+      ))}
+
+      <div className="flex flex-col gap-1.5">
+        <span className="text-2xs font-medium text-[var(--color-text-muted)]">Talent</span>
+        <p className="text-2xs text-[var(--color-text-subtle)]">
+          {picked.length > 0
+            ? "Only the checked talent, in the order checked."
+            : "Everyone cast in this project's shots."}
+        </p>
+        {options.map((t) => (
+          <label key={t.id} className="flex items-center gap-2 text-sm text-[var(--color-text)]">
+            <input
+              type="checkbox"
+              checked={picked.includes(t.id)}
+              onChange={(e) => toggleTalent(t.id, e.target.checked)}
+              data-testid={`talent-cards-talent-${t.id}`}
+            />
+            {t.name}
+          </label>
+        ))}
+      </div>
+    </div>
+  )
+}
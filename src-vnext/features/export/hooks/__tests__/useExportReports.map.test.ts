@@ -49,3 +49,19 @@ describe("block-canvas compat filter (legacy list safety)", () => {
     expect(keepBlockCanvas(reports).map((r) => r.id)).toEqual(["legacy", "blocks"])
   })
 })
+
+describe("mapReport sharing fields", () => {
+  it("defaults pre-sharing docs to team visibility at revision 0", () => {
+    const r = mapReport("a", { name: "x", createdBy: "u1" })
+    expect(r.visibility).toBe("team")
+    expect(r.revision).toBe(0)
+    expect(r.updatedBy).toBe("")
+  })
+
+  it("surfaces private visibility, revision and updatedBy", () => {
+    const r = mapReport("b", { name: "x", visibility: "private", revision: 7, updatedBy: "u2" })
+    expect(r.visibility).toBe("private")
+    expect(r.revision).toBe(7)
+    expect(r.updatedBy).toBe("u2")
+  })
+})
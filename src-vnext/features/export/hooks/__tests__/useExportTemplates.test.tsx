@@ -31,6 +31,11 @@ const firestoreMocks = vi.hoisted(() => {
   const collection = vi.fn(() => ({ __type: "collectionRef" }))
   const query = vi.fn((ref: unknown) => ref)
   const orderBy = vi.fn((field: string, dir: string) => ({ field, dir }))
+  const where = vi.fn((field: string, op: string, value: unknown) => ({
+    field,
+    op,
+    value,
+  }))
   const serverTimestamp = vi.fn(() => ({ __type: "serverTimestamp" }))
   return {
     setDoc,
@@ -42,6 +47,7 @@ const firestoreMocks = vi.hoisted(() => {
     collection,
     query,
     orderBy,
+    where,
     serverTimestamp,
   }
 })
@@ -56,6 +62,7 @@ vi.mock("firebase/firestore", () => ({
   collection: firestoreMocks.collection,
   query: firestoreMocks.query,
   orderBy: firestoreMocks.orderBy,
+  where: firestoreMocks.where,
   serverTimestamp: firestoreMocks.serverTimestamp,
 }))
 
@@ -179,6 +186,7 @@ describe("useExportTemplates — migration effect", () => {
     expect(payload).toMatchObject({
       name: "Legacy Template",
       description: "Pre-Firestore template",
+      visibility: "team",
       createdBy: "test-uid",
     })
 
@@ -216,3 +224,28 @@ describe("useExportTemplates — migration effect", () => {
     expect(loadLocalStorageTemplatesMock).not.toHaveBeenCalled()
   })
 })
+
+describe("useExportTemplates — list queries", () => {
+  it("queries team templates and the producer's own separately, so the rules can prove the list", () => {
+    storage.set("sb:export-templates-migrated:client-abc", "true")
+    mockAuth.mockReturnValue({ user: { uid: "test-uid" }, role: "producer" })
+
+    renderHook(() => useExportTemplates("client-abc"))
+
+    expect(firestoreMocks.where.mock.calls).toEqual([
+      ["visibility", "==", "team"],
+      ["createdBy", "==", "test-uid"],
+    ])
+    expect(firestoreMocks.onSnapshot).toHaveBeenCalledTimes(2)
+  })
+
+  it("keeps a single unfiltered query for admins", () => {
+    storage.set("sb:export-templates-migrated:client-abc", "true")
+    mockAuth.mockReturnValue({ user: { uid: "admin-uid" }, role: "admin" })
+
+    renderHook(() => useExportTemplates("client-abc"))
+
+    expect(firestoreMocks.where).not.toHaveBeenCalled()
+    expect(firestoreMocks.onSnapshot).toHaveBeenCalledTimes(1)
+  })
+})
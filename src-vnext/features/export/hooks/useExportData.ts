@@ -1,4 +1,5 @@
 import { useMemo } from "react"
+import { useAuth } from "@/app/providers/AuthProvider"
 import { useProjectScope } from "@/app/providers/ProjectScopeProvider"
 import { useProject } from "@/features/projects/hooks/useProject"
 import { useShots } from "@/features/shots/hooks/useShots"
@@ -7,6 +8,10 @@ import { useProductFamilies } from "@/features/products/hooks/useProducts"
 import { usePulls } from "@/features/pulls/hooks/usePulls"
 import { useCrewLibrary } from "@/features/library/hooks/useCrewLibrary"
 import { useTalentLibrary } from "@/features/library/hooks/useTalentLibrary"
+import { useLocationLibrary } from "@/features/library/hooks/useLocationLibrary"
+import { useSchedules } from "@/features/schedules/hooks/useSchedules"
+import { useMultiDayEntries } from "@/features/schedules/hooks/useMultiDayEntries"
+import { useCastingBoard } from "@/features/casting/hooks/useCastingBoard"
 import type {
   Project,
   Shot,
@@ -15,6 +20,10 @@ import type {
   Pull,
   CrewRecord,
   TalentRecord,
+  LocationRecord,
+  Schedule,
+  ScheduleEntry,
+  CastingBoardEntry,
 } from "@/shared/types"
 
 export interface ExportData {
@@ -31,18 +40,29 @@ export interface ExportData {
   readonly pulls: readonly Pull[]
   readonly crew: readonly CrewRecord[]
   readonly talent: readonly TalentRecord[]
+  /**
+   * Schedule-timeline, location-sheet and casting-grid sources. Optional for
+   * the same reason as `lanes`: readers treat absent as empty.
+   */
+  readonly schedules?: readonly Schedule[]
+  /** Entries per schedule id. */
+  readonly scheduleEntries?: ReadonlyMap<string, readonly ScheduleEntry[]>
+  readonly locations?: readonly LocationRecord[]
+  readonly castingBoard?: readonly CastingBoardEntry[]
   readonly loading: boolean
 }
 
 /**
  * Aggregation hook that subscribes to all data the export builder needs.
- * Opens 7 concurrent Firestore subscriptions (project, shots, lanes, products,
- * pulls, crew, talent). All use onSnapshot and auto-detach on unmount.
+ * Opens Firestore subscriptions for the project, shots, lanes, products,
+ * pulls, crew, talent, locations, casting board, schedules and one per
+ * schedule's entries. All use onSnapshot and auto-detach on unmount.
  * Firebase reuses the websocket and caches aggressively, so the overhead
  * is acceptable — matches the CallSheetBuilderPage pattern.
  */
 export function useExportData(): ExportData {
   const { projectId } = useProjectScope()
+  const { clientId } = useAuth()
 
   const { data: project } = useProject(projectId)
   const { data: shots, loading: shotsLoading } = useShots()
@@ -55,6 +75,14 @@ export function useExportData(): ExportData {
   const { data: pulls, loading: pullsLoading } = usePulls()
   const { data: crew, loading: crewLoading } = useCrewLibrary()
   const { data: talent, loading: talentLoading } = useTalentLibrary()
+  const { data: locations, loading: locationsLoading } = useLocationLibrary()
+  const { data: schedules, loading: schedulesLoading } = useSchedules(clientId, projectId)
+  const scheduleIds = useMemo(() => schedules.map((s) => s.id), [schedules])
+  const { entriesBySchedule: scheduleEntries, loading: entriesLoading } =
+    useMultiDayEntries(clientId, projectId, scheduleIds)
+  // Casting board is producer-scoped; a permission-denied read simply leaves
+  // the casting grid empty, so it never holds up `loading`.
+  const { entries: castingBoard } = useCastingBoard(projectId, clientId)
 
   const loading =
     shotsLoading ||
@@ -62,7 +90,10 @@ export function useExportData(): ExportData {
     productsLoading ||
     pullsLoading ||
     crewLoading ||
-    talentLoading
+    talentLoading ||
+    locationsLoading ||
+    schedulesLoading ||
+    entriesLoading
 
   return useMemo(
     () => ({
@@ -73,8 +104,25 @@ export function useExportData(): ExportData {
       pulls,
       crew,
       talent,
+      schedules,
+      scheduleEntries,
+      locations,
+      castingBoard,
       loading,
     }),
-    [project, shots, lanes, productFamilies, pulls, crew, talent, loading],
+    [
+      project,
+      shots,
+      lanes,
+      productFamilies,
+      pulls,
+      crew,
+      talent,
+      schedules,
+      scheduleEntries,
+      locations,
+      castingBoard,
+      loading,
+    ],
   )
 }
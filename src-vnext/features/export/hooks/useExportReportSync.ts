@@ -0,0 +1,197 @@
+import { useCallback, useEffect, useRef, useState } from "react"
+import { toast } from "sonner"
+import type { ExportDocument } from "../types/exportBuilder"
+import type { ExportReport, ExportReportFull, UseExportReportsReturn } from "./useExportReports"
+import { ExportDocumentConflictError, hasRemoteChange } from "../lib/documentSharing"
+
+/** The block-canvas editor's view of a loaded report. */
+export function toExportDocument(full: ExportReportFull): ExportDocument {
+  return {
+    id: full.id,
+    name: full.name,
+    pages: [...full.pages],
+    settings: full.settings,
+    customVariables: full.customVariables,
+    createdAt: "",
+    updatedAt: full.updatedAt?.toISOString() ?? "",
+  }
+}
+
+/** A draft nobody has touched yet — not worth creating a report for. */
+function isBlankDraft(doc: ExportDocument): boolean {
+  return (
+    doc.pages.every((p) => p.items.length === 0) &&
+    (doc.customVariables?.length ?? 0) === 0
+  )
+}
+
+export interface ExportReportConflict {
+  /** uid of whoever saved over our base revision. */
+  readonly updatedBy: string
+}
+
+interface UseExportReportSyncParams {
+  readonly uid: string | null
+  readonly reports: readonly ExportReport[]
+  readonly activeReportId: string | null
+  readonly setActiveReportId: (id: string) => void
+  readonly document: ExportDocument
+  readonly setDocument: (doc: ExportDocument) => void
+  readonly hasInitialized: boolean
+  readonly saveReport: UseExportReportsReturn["saveReport"]
+  readonly loadReport: UseExportReportsReturn["loadReport"]
+  readonly importReport: UseExportReportsReturn["importReport"]
+}
+
+export interface UseExportReportSyncReturn {
+  readonly conflict: ExportReportConflict | null
+  /** Record `doc` at `revision` as what is stored — call after every load/create. */
+  readonly adopt: (doc: ExportDocument, revision: number) => void
+  /** Drop local edits and load the stored version. */
+  readonly keepTheirs: () => Promise<void>
+  /** Overwrite the stored version with the local edits. */
+  readonly keepMine: () => Promise<void>
+}
+
+/**
+ * Keeps the block-canvas editor and its Firestore report in step: debounced
+ * autosave, creating the report on the first edit of a blank draft, and
+ * revision-based detection of teammates' saves.
+ *
+ * A teammate's save is applied silently when there are no local edits.
+ * Otherwise autosave pauses and `conflict` is set until the user picks a
+ * side — neither version is ever dropped without asking.
+ */
+export function useExportReportSync({
+  uid,
+  reports,
+  activeReportId,
+  setActiveReportId,
+  document,
+  setDocument,
+  hasInitialized,
+  saveReport,
+  loadReport,
+  importReport,
+}: UseExportReportSyncParams): UseExportReportSyncReturn {
+  const [conflict, setConflict] = useState<ExportReportConflict | null>(null)
+  const baseRevisionRef = useRef(0)
+  // The document object last loaded or saved; anything else is a local edit.
+  const persistedDocRef = useRef<ExportDocument | null>(null)
+  const creatingRef = useRef(false)
+  const documentRef = useRef(document)
+  documentRef.current = document
+
+  const adopt = useCallback((doc: ExportDocument, revision: number) => {
+    persistedDocRef.current = doc
+    baseRevisionRef.current = revision
+    setConflict(null)
+  }, [])
+
+  // --- Auto-save to Firestore (debounced) ---
+  const saveTimerRef = useRef<ReturnType<typeof setTimeout> | null>(null)
+  useEffect(() => {
+    if (!hasInitialized || conflict || document === persistedDocRef.current) return
+
+    if (saveTimerRef.current) clearTimeout(saveTimerRef.current)
+    saveTimerRef.current = setTimeout(() => {
+      if (!activeReportId) {
+        if (isBlankDraft(document) || creatingRef.current) return
+        creatingRef.current = true
+        importReport(
+          document.name,
+          document.pages,
+          document.settings,
+          document.customVariables ? [...document.customVariables] : undefined,
+        )
+          .then((newId) => {
+            adopt(document, 0)
+            setActiveReportId(newId)
+          })
+          .catch(() => toast.error("Failed to save report"))
+          .finally(() => {
+            creatingRef.current = false
+          })
+        return
+      }
+
+      saveReport(
+        activeReportId,
+        {
+          name: document.name,
+          pages: document.pages,
+          settings: document.settings,
+          customVariables: document.customVariables ? [...document.customVariables] : undefined,
+        },
+        baseRevisionRef.current,
+      )
+        .then((revision) => {
+          baseRevisionRef.current = revision
+          persistedDocRef.current = document
+        })
+        .catch((err: unknown) => {
+          if (err instanceof ExportDocumentConflictError) {
+            setConflict({ updatedBy: err.remoteUpdatedBy })
+          }
+          // Anything else (offline) leaves the edit unsaved; the next edit retries.
+        })
+    }, 800)
+
+    return () => {
+      if (saveTimerRef.current) clearTimeout(saveTimerRef.current)
+    }
+  }, [activeReportId, document, hasInitialized, conflict, saveReport, importReport, adopt, setActiveReportId])
+
+  // --- Teammates' saves, seen through the reports listener ---
+  useEffect(() => {
+    if (!activeReportId || conflict) return
+    const summary = reports.find((r) => r.id === activeReportId)
+    if (!summary || !hasRemoteChange(baseRevisionRef.current, summary, uid)) return
+
+    if (documentRef.current !== persistedDocRef.current) {
+      setConflict({ updatedBy: summary.updatedBy })
+      return
+    }
+    void loadReport(activeReportId).then((full) => {
+      if (!full || documentRef.current !== persistedDocRef.current) return
+      const loaded = toExportDocument(full)
+      setDocument(loaded)
+      adopt(loaded, full.revision)
+    })
+  }, [reports, activeReportId, conflict, uid, loadReport, setDocument, adopt])
+
+  const keepTheirs = useCallback(async () => {
+    if (!activeReportId) return
+    try {
+      const full = await loadReport(activeReportId)
+      if (!full) {
+        toast.error("Report not found")
+        return
+      }
+      const loaded = toExportDocument(full)
+      setDocument(loaded)
+      adopt(loaded, full.revision)
+    } catch {
+      toast.error("Failed to load report")
+    }
+  }, [activeReportId, loadReport, setDocument, adopt])
+
+  const keepMine = useCallback(async () => {
+    if (!activeReportId) return
+    const doc = documentRef.current
+    try {
+      const revision = await saveReport(activeReportId, {
+        name: doc.name,
+        pages: doc.pages,
+        settings: doc.settings,
+        customVariables: doc.customVariables ? [...doc.customVariables] : undefined,
+      })
+      adopt(doc, revision)
+      toast.success("Your version was saved")
+    } catch {
+      toast.error("Failed to save report")
+    }
+  }, [activeReportId, saveReport, adopt])
+
+  return { conflict, adopt, keepTheirs, keepMine }
+}
@@ -1,20 +1,24 @@
-import { useEffect, useState, useCallback } from "react"
+import { useEffect, useMemo, useState, useCallback } from "react"
 import {
   collection,
-  query,
-  orderBy,
-  onSnapshot,
   doc,
   getDoc,
+  getDocs,
   setDoc,
   updateDoc,
   deleteDoc,
+  runTransaction,
   serverTimestamp,
+  writeBatch,
   type Timestamp,
 } from "firebase/firestore"
 import { db } from "@/shared/lib/firebase"
 import { useAuth } from "@/app/providers/AuthProvider"
-import { exportReportsPath, exportReportDocPath } from "@/shared/lib/paths"
+import {
+  exportReportsPath,
+  exportReportDocPath,
+  exportReportSnapshotsPath,
+} from "@/shared/lib/paths"
 import type {
   ExportPage,
   PageItem,
@@ -24,6 +28,15 @@ import type {
 import { LEGACY_REPORT_LAYOUT, type ReportConfig, type ReportLayout } from "../lib/report/reportTypes"
 import type { ProductInfoConfig } from "../lib/report/productInfoTypes"
 import type { TalentConfig } from "../lib/report/talentTypes"
+import {
+  ExportDocumentConflictError,
+  filterVisible,
+  hasRemoteChange,
+  normalizeRevision,
+  normalizeVisibility,
+  type ExportVisibility,
+} from "../lib/documentSharing"
+import { subscribeVisibleExportDocs } from "../lib/visibleExportDocs"
 
 // Discriminates a saved report doc from a legacy block-canvas doc. Absent on
 // disk for every pre-R2 doc -> defaulted to "block-canvas" at READ time, so no
@@ -42,6 +55,11 @@ export interface ExportReport {
   readonly schemaVersion: number
   readonly updatedAt: Date | null
   readonly createdBy: string
+  readonly updatedBy: string
+  /** "team" when absent (every pre-sharing doc). */
+  readonly visibility: ExportVisibility
+  /** Bumped by every block-canvas save; 0 when absent. */
+  readonly revision: number
 }
 
 /** Full report data including pages/settings, returned by loadReport */
@@ -61,9 +79,21 @@ interface SaveReportData {
 }
 
 export interface UseExportReportsReturn {
+  /** Team reports plus the caller's own private ones (all of them for admins). */
   readonly reports: readonly ExportReport[]
   readonly loading: boolean
-  readonly saveReport: (reportId: string, data: SaveReportData) => Promise<void>
+  /**
+   * Save a block-canvas document and return its new revision. With
+   * `baseRevision`, rejects with ExportDocumentConflictError when someone
+   * else saved since that revision; omit it to overwrite.
+   */
+  readonly saveReport: (
+    reportId: string,
+    data: SaveReportData,
+    baseRevision?: number,
+  ) => Promise<number>
+  /** Share a report with the team or make it private (owner/admin only). */
+  readonly setReportVisibility: (reportId: string, visibility: ExportVisibility) => Promise<void>
   readonly deleteReport: (reportId: string) => Promise<void>
   readonly createReport: (name: string) => Promise<string>
   readonly loadReport: (reportId: string) => Promise<ExportReportFull | null>
@@ -72,6 +102,7 @@ export interface UseExportReportsReturn {
     pages: readonly ExportPage[],
     settings: PageSettings,
     customVariables?: readonly CustomVariable[],
+    visibility?: ExportVisibility,
   ) => Promise<string>
   /** Create a saved shot-report doc whose config IS the recipe. */
   readonly createShotReport: (name: string, config: ReportConfig) => Promise<string>
@@ -110,6 +141,9 @@ export function mapReport(
     schemaVersion: (data.schemaVersion as number) ?? 1,
     updatedAt: ts?.toDate?.() ?? null,
     createdBy: (data.createdBy as string) ?? "",
+    updatedBy: (data.updatedBy as string) ?? "",
+    visibility: normalizeVisibility(data.visibility),
+    revision: normalizeRevision(data.revision),
   }
 }
 
@@ -117,28 +151,33 @@ export function useExportReports(
   clientId: string | null,
   projectId: string | undefined,
 ): UseExportReportsReturn {
-  const { user } = useAuth()
-  const [reports, setReports] = useState<readonly ExportReport[]>([])
+  const { user, role } = useAuth()
+  const [allReports, setAllReports] = useState<readonly ExportReport[]>([])
   const [loading, setLoading] = useState(true)
+  const uid = user?.uid ?? null
+  const isAdmin = role === "admin"
+  const reports = useMemo(
+    () => filterVisible(allReports, uid, isAdmin),
+    [allReports, uid, isAdmin],
+  )
 
   useEffect(() => {
     if (!clientId || !projectId) {
-      setReports([])
+      setAllReports([])
       setLoading(false)
       return
     }
 
     const pathSegments = exportReportsPath(clientId, projectId)
     const collRef = collection(db, pathSegments[0]!, ...pathSegments.slice(1))
-    const q = query(collRef, orderBy("updatedAt", "desc"))
 
-    const unsubscribe = onSnapshot(
-      q,
-      (snapshot) => {
-        const docs = snapshot.docs.map((d) =>
-          mapReport(d.id, d.data() as Record<string, unknown>),
+    const unsubscribe = subscribeVisibleExportDocs(
+      collRef,
+      { uid, isAdmin },
+      (snaps) => {
+        setAllReports(
+          snaps.map((d) => mapReport(d.id, d.data() as Record<string, unknown>)),
         )
-        setReports(docs)
         setLoading(false)
       },
       (err) => {
@@ -149,19 +188,48 @@ export function useExportReports(
     )
 
     return unsubscribe
-  }, [clientId, projectId])
+  }, [clientId, projectId, uid, isAdmin])
 
   const saveReport = useCallback(
-    async (reportId: string, data: SaveReportData) => {
+    async (reportId: string, data: SaveReportData, baseRevision?: number): Promise<number> => {
+      if (!clientId || !projectId) return baseRevision ?? 0
+      const pathSegments = exportReportDocPath(clientId, projectId, reportId)
+      const docRef = doc(db, pathSegments[0]!, ...pathSegments.slice(1))
+      const me = user?.uid ?? ""
+      return runTransaction(db, async (tx) => {
+        const snap = await tx.get(docRef)
+        if (!snap.exists()) throw new Error("Report not found")
+        const stored = snap.data() as Record<string, unknown>
+        const storedRevision = normalizeRevision(stored.revision)
+        const storedBy = (stored.updatedBy as string) ?? ""
+        const remote = { revision: storedRevision, updatedBy: storedBy }
+        if (baseRevision !== undefined && hasRemoteChange(baseRevision, remote, me)) {
+          throw new ExportDocumentConflictError(storedRevision, storedBy)
+        }
+        const revision = storedRevision + 1
+        tx.update(docRef, {
+          name: data.name,
+          pages: data.pages,
+          schemaVersion: 2,
+          settings: data.settings,
+          customVariables: data.customVariables ?? [],
+          revision,
+          updatedAt: serverTimestamp(),
+          updatedBy: me,
+        })
+        return revision
+      })
+    },
+    [clientId, projectId, user?.uid],
+  )
+
+  const setReportVisibility = useCallback(
+    async (reportId: string, visibility: ExportVisibility) => {
       if (!clientId || !projectId) return
       const pathSegments = exportReportDocPath(clientId, projectId, reportId)
       const docRef = doc(db, pathSegments[0]!, ...pathSegments.slice(1))
       await updateDoc(docRef, {
-        name: data.name,
-        pages: data.pages,
-        schemaVersion: 2,
-        settings: data.settings,
-        customVariables: data.customVariables ?? [],
+        visibility,
         updatedAt: serverTimestamp(),
         updatedBy: user?.uid ?? "",
       })
@@ -216,6 +284,8 @@ export function useExportReports(
           fontFamily: "Inter",
         },
         customVariables: [],
+        visibility: "team",
+        revision: 0,
         createdAt: serverTimestamp(),
         updatedAt: serverTimestamp(),
         createdBy: user?.uid ?? "",
@@ -247,6 +317,7 @@ export function useExportReports(
         config,
         pages: [],
         customVariables: [],
+        visibility: "team",
         createdAt: serverTimestamp(),
         updatedAt: serverTimestamp(),
         createdBy: user.uid,
@@ -318,6 +389,7 @@ export function useExportReports(
       pages: readonly ExportPage[],
       settings: PageSettings,
       customVariables?: readonly CustomVariable[],
+      visibility: ExportVisibility = "team",
     ): Promise<string> => {
       if (!clientId || !projectId) throw new Error("Missing clientId or projectId")
       const pathSegments = exportReportsPath(clientId, projectId)
@@ -329,6 +401,8 @@ export function useExportReports(
         pages,
         settings,
         customVariables: customVariables ?? [],
+        visibility,
+        revision: 0,
         createdAt: serverTimestamp(),
         updatedAt: serverTimestamp(),
         createdBy: user?.uid ?? "",
@@ -342,6 +416,16 @@ export function useExportReports(
   const deleteReport = useCallback(
     async (reportId: string) => {
       if (!clientId || !projectId) return
+      // Snapshots first: the snapshot delete rule reads the parent report.
+      const snapshotSegments = exportReportSnapshotsPath(clientId, projectId, reportId)
+      const snapshots = await getDocs(
+        collection(db, snapshotSegments[0]!, ...snapshotSegments.slice(1)),
+      )
+      if (!snapshots.empty) {
+        const batch = writeBatch(db)
+        snapshots.docs.forEach((d) => batch.delete(d.ref))
+        await batch.commit()
+      }
       const pathSegments = exportReportDocPath(clientId, projectId, reportId)
       const docRef = doc(db, pathSegments[0]!, ...pathSegments.slice(1))
       await deleteDoc(docRef)
@@ -353,6 +437,7 @@ export function useExportReports(
     reports,
     loading,
     saveReport,
+    setReportVisibility,
     deleteReport,
     createReport,
     loadReport,
@@ -0,0 +1,129 @@
+import { useCallback, useEffect, useState } from "react"
+import {
+  addDoc,
+  collection,
+  deleteDoc,
+  doc,
+  onSnapshot,
+  orderBy,
+  query,
+  serverTimestamp,
+  type Timestamp,
+} from "firebase/firestore"
+import { db } from "@/shared/lib/firebase"
+import { useAuth } from "@/app/providers/AuthProvider"
+import {
+  exportReportSnapshotDocPath,
+  exportReportSnapshotsPath,
+} from "@/shared/lib/paths"
+import type {
+  CustomVariable,
+  ExportDocument,
+  ExportPage,
+  ExportSnapshot,
+  PageSettings,
+} from "../types/exportBuilder"
+import { normalizeRevision } from "../lib/documentSharing"
+
+export const MAX_SNAPSHOT_NAME_LENGTH = 120
+
+export function mapSnapshot(id: string, data: Record<string, unknown>): ExportSnapshot {
+  const createdAt = data.createdAt as Timestamp | null | undefined
+  return {
+    id,
+    name: (data.name as string) ?? "Untitled snapshot",
+    pages: (data.pages as ExportPage[]) ?? [],
+    settings: (data.settings as PageSettings) ?? {
+      layout: "portrait",
+      size: "letter",
+      fontFamily: "Inter",
+    },
+    customVariables: (data.customVariables as CustomVariable[]) ?? [],
+    revision: normalizeRevision(data.revision),
+    createdBy: (data.createdBy as string) ?? "",
+    // Pending server timestamp while our own write is in flight.
+    createdAt: createdAt?.toDate?.().toISOString() ?? undefined,
+  }
+}
+
+export interface UseExportSnapshotsReturn {
+  /** Newest first. */
+  readonly snapshots: readonly ExportSnapshot[]
+  readonly loading: boolean
+  /** Save `doc`'s current content under `name`; `revision` is the report revision it matches. */
+  readonly createSnapshot: (name: string, doc: ExportDocument, revision: number) => Promise<string>
+  readonly deleteSnapshot: (snapshotId: string) => Promise<void>
+}
+
+/**
+ * Named snapshots (version history) of one block-canvas report, stored under
+ * the report as `exportReports/{reportId}/snapshots`. Snapshots are immutable
+ * copies of the report's pages, settings and variables; restoring or
+ * branching goes through the pure operations in documentOperations.
+ */
+export function useExportSnapshots(
+  clientId: string | null,
+  projectId: string | undefined,
+  reportId: string | null,
+): UseExportSnapshotsReturn {
+  const { user } = useAuth()
+  const [snapshots, setSnapshots] = useState<readonly ExportSnapshot[]>([])
+  const [loading, setLoading] = useState(true)
+
+  useEffect(() => {
+    if (!clientId || !projectId || !reportId) {
+      setSnapshots([])
+      setLoading(false)
+      return
+    }
+    setLoading(true)
+    const pathSegments = exportReportSnapshotsPath(clientId, projectId, reportId)
+    const collRef = collection(db, pathSegments[0]!, ...pathSegments.slice(1))
+    const q = query(collRef, orderBy("createdAt", "desc"))
+
+    return onSnapshot(
+      q,
+      (snapshot) => {
+        setSnapshots(
+          snapshot.docs.map((d) => mapSnapshot(d.id, d.data() as Record<string, unknown>)),
+        )
+        setLoading(false)
+      },
+      (err) => {
+        const fireErr = err as { message?: string }
+        console.error("[useExportSnapshots]", fireErr.message ?? err)
+        setLoading(false)
+      },
+    )
+  }, [clientId, projectId, reportId])
+
+  const createSnapshot = useCallback(
+    async (name: string, source: ExportDocument, revision: number): Promise<string> => {
+      if (!clientId || !projectId || !reportId) throw new Error("No report selected")
+      const pathSegments = exportReportSnapshotsPath(clientId, projectId, reportId)
+      const collRef = collection(db, pathSegments[0]!, ...pathSegments.slice(1))
+      const created = await addDoc(collRef, {
+        name: name.trim().slice(0, MAX_SNAPSHOT_NAME_LENGTH),
+        pages: source.pages,
+        settings: source.settings,
+        customVariables: source.customVariables ?? [],
+        revision,
+        createdAt: serverTimestamp(),
+        createdBy: user?.uid ?? "",
+      })
+      return created.id
+    },
+    [clientId, projectId, reportId, user?.uid],
+  )
+
+  const deleteSnapshot = useCallback(
+    async (snapshotId: string) => {
+      if (!clientId || !projectId || !reportId) return
+      const pathSegments = exportReportSnapshotDocPath(clientId, projectId, reportId, snapshotId)
+      await deleteDoc(doc(db, pathSegments[0]!, ...pathSegments.slice(1)))
+    },
+    [clientId, projectId, reportId],
+  )
+
+  return { snapshots, loading, createSnapshot, deleteSnapshot }
+}
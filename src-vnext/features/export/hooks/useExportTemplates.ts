@@ -1,9 +1,6 @@
-import { useEffect, useState, useCallback, useRef } from "react"
+import { useEffect, useMemo, useState, useCallback, useRef } from "react"
 import {
   collection,
-  query,
-  orderBy,
-  onSnapshot,
   doc,
   setDoc,
   updateDoc,
@@ -18,12 +15,19 @@ import { exportTemplatesPath, exportTemplateDocPath } from "@/shared/lib/paths"
 import { BUILT_IN_TEMPLATES } from "../lib/builtInTemplates"
 import type { ExportTemplate, ExportPage, PageSettings } from "../types/exportBuilder"
 import { loadTemplates as loadLocalStorageTemplates } from "../lib/documentPersistence"
+import { filterVisible, normalizeVisibility, type ExportVisibility } from "../lib/documentSharing"
+import {
+  subscribeVisibleExportDocs,
+  visibleExportDocQueries,
+  type ExportDocViewer,
+} from "../lib/visibleExportDocs"
 
 const LS_TEMPLATES_KEY = "sb:export-templates"
 const LS_MIGRATED_PREFIX = "sb:export-templates-migrated:"
 
 export interface UseExportTemplatesReturn {
   readonly templates: readonly ExportTemplate[]
+  /** Team templates plus the caller's own private ones (all of them for admins). */
   readonly workspaceTemplates: readonly ExportTemplate[]
   readonly loading: boolean
   readonly saveTemplate: (
@@ -31,7 +35,10 @@ export interface UseExportTemplatesReturn {
     description: string,
     pages: readonly ExportPage[],
     settings: PageSettings,
+    visibility?: ExportVisibility,
   ) => Promise<string>
+  /** Share a template with the team or make it private (owner/admin only). */
+  readonly setTemplateVisibility: (templateId: string, visibility: ExportVisibility) => Promise<void>
   readonly deleteTemplate: (templateId: string) => Promise<void>
 }
 
@@ -53,6 +60,7 @@ function mapTemplate(
       fontFamily: "Inter",
     },
     createdBy: (data.createdBy as string) ?? "",
+    visibility: normalizeVisibility(data.visibility),
     createdAt: createdAt?.toDate?.().toISOString() ?? undefined,
     updatedAt: updatedAt?.toDate?.().toISOString() ?? undefined,
   }
@@ -61,10 +69,16 @@ function mapTemplate(
 export function useExportTemplates(
   clientId: string | null,
 ): UseExportTemplatesReturn {
-  const { user } = useAuth()
-  const [workspaceTemplates, setWorkspaceTemplates] = useState<
+  const { user, role } = useAuth()
+  const [allWorkspaceTemplates, setWorkspaceTemplates] = useState<
     readonly ExportTemplate[]
   >([])
+  const uid = user?.uid ?? null
+  const isAdmin = role === "admin"
+  const workspaceTemplates = useMemo(
+    () => filterVisible(allWorkspaceTemplates, uid, isAdmin),
+    [allWorkspaceTemplates, uid, isAdmin],
+  )
   const [loading, setLoading] = useState(true)
   const migrationAttempted = useRef(false)
 
@@ -77,15 +91,14 @@ export function useExportTemplates(
 
     const pathSegments = exportTemplatesPath(clientId)
     const collRef = collection(db, pathSegments[0]!, ...pathSegments.slice(1))
-    const q = query(collRef, orderBy("updatedAt", "desc"))
 
-    const unsubscribe = onSnapshot(
-      q,
-      (snapshot) => {
-        const docs = snapshot.docs.map((d) =>
-          mapTemplate(d.id, d.data() as Record<string, unknown>),
+    const unsubscribe = subscribeVisibleExportDocs(
+      collRef,
+      { uid, isAdmin },
+      (snaps) => {
+        setWorkspaceTemplates(
+          snaps.map((d) => mapTemplate(d.id, d.data() as Record<string, unknown>)),
         )
-        setWorkspaceTemplates(docs)
         setLoading(false)
       },
       (err) => {
@@ -96,7 +109,7 @@ export function useExportTemplates(
     )
 
     return unsubscribe
-  }, [clientId])
+  }, [clientId, uid, isAdmin])
 
   // One-time localStorage → Firestore migration
   useEffect(() => {
@@ -113,8 +126,13 @@ export function useExportTemplates(
       return
     }
 
-    void migrateLocalTemplates(clientId, user.uid, localTemplates, migratedKey)
-  }, [clientId, user?.uid])
+    void migrateLocalTemplates(
+      clientId,
+      { uid: user.uid, isAdmin },
+      localTemplates,
+      migratedKey,
+    )
+  }, [clientId, user?.uid, isAdmin])
 
   const saveTemplate = useCallback(
     async (
@@ -122,6 +140,7 @@ export function useExportTemplates(
       description: string,
       pages: readonly ExportPage[],
       settings: PageSettings,
+      visibility: ExportVisibility = "team",
     ): Promise<string> => {
       if (!clientId) throw new Error("Missing clientId")
       const pathSegments = exportTemplatesPath(clientId)
@@ -132,6 +151,7 @@ export function useExportTemplates(
         description,
         pages,
         settings,
+        visibility,
         createdAt: serverTimestamp(),
         updatedAt: serverTimestamp(),
         createdBy: user?.uid ?? "",
@@ -141,6 +161,16 @@ export function useExportTemplates(
     [clientId, user?.uid],
   )
 
+  const setTemplateVisibility = useCallback(
+    async (templateId: string, visibility: ExportVisibility) => {
+      if (!clientId) return
+      const pathSegments = exportTemplateDocPath(clientId, templateId)
+      const docRef = doc(db, pathSegments[0]!, ...pathSegments.slice(1))
+      await updateDoc(docRef, { visibility, updatedAt: serverTimestamp() })
+    },
+    [clientId],
+  )
+
   const deleteTemplate = useCallback(
     async (templateId: string) => {
       if (!clientId) return
@@ -156,21 +186,32 @@ export function useExportTemplates(
     ...workspaceTemplates,
   ]
 
-  return { templates, workspaceTemplates, loading, saveTemplate, deleteTemplate }
+  return {
+    templates,
+    workspaceTemplates,
+    loading,
+    saveTemplate,
+    setTemplateVisibility,
+    deleteTemplate,
+  }
 }
 
 async function migrateLocalTemplates(
   clientId: string,
-  uid: string,
+  viewer: ExportDocViewer,
   localTemplates: readonly ExportTemplate[],
   migratedKey: string,
 ): Promise<void> {
   try {
     const pathSegments = exportTemplatesPath(clientId)
     const collRef = collection(db, pathSegments[0]!, ...pathSegments.slice(1))
-    const existing = await getDocs(collRef)
+    const existing = await Promise.all(
+      visibleExportDocQueries(collRef, viewer).map((q) => getDocs(q)),
+    )
     const existingNames = new Set(
-      existing.docs.map((d) => (d.data() as Record<string, unknown>).name),
+      existing.flatMap((snap) =>
+        snap.docs.map((d) => (d.data() as Record<string, unknown>).name),
+      ),
     )
 
     for (const template of localTemplates) {
@@ -181,9 +222,10 @@ async function migrateLocalTemplates(
         description: template.description,
         pages: template.pages,
         settings: template.settings,
+        visibility: "team",
         createdAt: serverTimestamp(),
         updatedAt: serverTimestamp(),
-        createdBy: uid,
+        createdBy: viewer.uid,
       })
     }
 
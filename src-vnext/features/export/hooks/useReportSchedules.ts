@@ -0,0 +1,258 @@
+import { useCallback, useEffect, useState } from "react"
+import {
+  addDoc,
+  collection,
+  deleteDoc,
+  doc,
+  limit,
+  onSnapshot,
+  orderBy,
+  query,
+  serverTimestamp,
+  Timestamp,
+  updateDoc,
+  where,
+} from "firebase/firestore"
+import { db } from "@/shared/lib/firebase"
+import { useAuth } from "@/app/providers/AuthProvider"
+import {
+  reportDeliveriesPath,
+  reportScheduleDocPath,
+  reportSchedulesPath,
+} from "@/shared/lib/paths"
+import {
+  computeNextRunAt,
+  DEFAULT_REPORT_CADENCE,
+  type ReportCadence,
+  type ReportDelivery,
+  type ReportDeliveryStatus,
+  type ReportSchedule,
+  type ReportScheduleRecipient,
+} from "../lib/reportSchedules"
+
+/** How many recent runs the schedule dialog shows. */
+const DELIVERY_LOG_LIMIT = 10
+
+function toDate(value: unknown): Date | null {
+  return (value as Timestamp | null | undefined)?.toDate?.() ?? null
+}
+
+export function mapReportSchedule(id: string, data: Record<string, unknown>): ReportSchedule {
+  const recipients = Array.isArray(data.recipients) ? data.recipients : []
+  return {
+    id,
+    reportId: (data.reportId as string) ?? "",
+    reportName: (data.reportName as string) ?? "Untitled",
+    reportType: (data.reportType as string) ?? "shot-report",
+    enabled: data.enabled === true,
+    cadence: (data.cadence as ReportCadence | undefined) ?? DEFAULT_REPORT_CADENCE,
+    recipients: recipients.map((r: Record<string, unknown>) => ({
+      email: (r.email as string) ?? "",
+      token: (r.token as string) ?? "",
+      unsubscribedAt: toDate(r.unsubscribedAt),
+    })),
+    nextRunAt: toDate(data.nextRunAt),
+    lastRunAt: toDate(data.lastRunAt),
+    lastStatus: (data.lastStatus as ReportDeliveryStatus | undefined) ?? null,
+    createdBy: (data.createdBy as string) ?? "",
+  }
+}
+
+function mapDelivery(id: string, data: Record<string, unknown>): ReportDelivery {
+  return {
+    id,
+    status: (data.status as ReportDeliveryStatus) ?? "failed",
+    ranAt: toDate(data.ranAt),
+    recipientCount: (data.recipientCount as number) ?? 0,
+    sentCount: (data.sentCount as number) ?? 0,
+    skippedUnsubscribed: (data.skippedUnsubscribed as number) ?? 0,
+    failures: Array.isArray(data.failures) ? (data.failures as ReportDelivery["failures"]) : [],
+    error: (data.error as string | null | undefined) ?? null,
+  }
+}
+
+/** Recipients as stored: unsubscribedAt goes back to a Firestore Timestamp. */
+function serializeRecipients(recipients: readonly ReportScheduleRecipient[]) {
+  return recipients.map((r) => ({
+    email: r.email,
+    token: r.token,
+    unsubscribedAt: r.unsubscribedAt ? Timestamp.fromDate(r.unsubscribedAt) : null,
+  }))
+}
+
+function nextRunField(cadence: ReportCadence, enabled: boolean) {
+  const next = enabled ? computeNextRunAt(cadence, new Date()) : null
+  return next ? Timestamp.fromDate(next) : null
+}
+
+export interface ReportScheduleInput {
+  readonly cadence: ReportCadence
+  readonly recipients: readonly ReportScheduleRecipient[]
+}
+
+export interface UseReportSchedulesReturn {
+  readonly schedules: readonly ReportSchedule[]
+  readonly loading: boolean
+  readonly createSchedule: (input: ReportScheduleInput) => Promise<string>
+  readonly updateSchedule: (scheduleId: string, input: ReportScheduleInput) => Promise<void>
+  /** Pausing clears nextRunAt; resuming computes it from now, so no backlog fires. */
+  readonly setScheduleEnabled: (schedule: ReportSchedule, enabled: boolean) => Promise<void>
+  readonly deleteSchedule: (scheduleId: string) => Promise<void>
+}
+
+/**
+ * Schedules for one saved report. The report's name and type are copied onto
+ * the schedule so the function and the unsubscribe page can label it
+ * without reading the report.
+ */
+export function useReportSchedules(
+  clientId: string | null,
+  projectId: string | undefined,
+  report: { readonly id: string; readonly name: string; readonly reportType: string } | null,
+): UseReportSchedulesReturn {
+  const { user } = useAuth()
+  const [schedules, setSchedules] = useState<readonly ReportSchedule[]>([])
+  const [loading, setLoading] = useState(true)
+  const reportId = report?.id ?? null
+
+  useEffect(() => {
+    if (!clientId || !projectId || !reportId) {
+      setSchedules([])
+      setLoading(false)
+      return
+    }
+    setLoading(true)
+    const pathSegments = reportSchedulesPath(clientId, projectId)
+    const collRef = collection(db, pathSegments[0]!, ...pathSegments.slice(1))
+    // Equality-only, so no composite index; a report has a handful of schedules.
+    const q = query(collRef, where("reportId", "==", reportId))
+
+    return onSnapshot(
+      q,
+      (snapshot) => {
+        const docs = snapshot.docs
+          .map((d) => mapReportSchedule(d.id, d.data() as Record<string, unknown>))
+          .sort((a, b) => a.id.localeCompare(b.id))
+        setSchedules(docs)
+        setLoading(false)
+      },
+      (err) => {
+        const fireErr = err as { message?: string }
+        console.error("[useReportSchedules]", fireErr.message ?? err)
+        setLoading(false)
+      },
+    )
+  }, [clientId, projectId, reportId])
+
+  const scheduleRef = useCallback(
+    (scheduleId: string) => {
+      const pathSegments = reportScheduleDocPath(clientId!, projectId!, scheduleId)
+      return doc(db, pathSegments[0]!, ...pathSegments.slice(1))
+    },
+    [clientId, projectId],
+  )
+
+  const createSchedule = useCallback(
+    async (input: ReportScheduleInput): Promise<string> => {
+      if (!clientId || !projectId || !report) throw new Error("No report selected")
+      const pathSegments = reportSchedulesPath(clientId, projectId)
+      const collRef = collection(db, pathSegments[0]!, ...pathSegments.slice(1))
+      const created = await addDoc(collRef, {
+        reportId: report.id,
+        reportName: report.name,
+        reportType: report.reportType,
+        enabled: true,
+        cadence: input.cadence,
+        recipients: serializeRecipients(input.recipients),
+        nextRunAt: nextRunField(input.cadence, true),
+        lastRunAt: null,
+        lastStatus: null,
+        createdBy: user?.uid ?? "",
+        createdAt: serverTimestamp(),
+        updatedAt: serverTimestamp(),
+      })
+      return created.id
+    },
+    [clientId, projectId, report, user?.uid],
+  )
+
+  const updateSchedule = useCallback(
+    async (scheduleId: string, input: ReportScheduleInput) => {
+      if (!clientId || !projectId) return
+      const existing = schedules.find((s) => s.id === scheduleId)
+      const enabled = existing?.enabled ?? true
+      await updateDoc(scheduleRef(scheduleId), {
+        // Keep the label current if the report was renamed since.
+        ...(report ? { reportName: report.name } : {}),
+        cadence: input.cadence,
+        recipients: serializeRecipients(input.recipients),
+        nextRunAt: nextRunField(input.cadence, enabled),
+        updatedAt: serverTimestamp(),
+      })
+    },
+    [clientId, projectId, report, scheduleRef, schedules],
+  )
+
+  const setScheduleEnabled = useCallback(
+    async (schedule: ReportSchedule, enabled: boolean) => {
+      if (!clientId || !projectId) return
+      await updateDoc(scheduleRef(schedule.id), {
+        enabled,
+        nextRunAt: nextRunField(schedule.cadence, enabled),
+        updatedAt: serverTimestamp(),
+      })
+    },
+    [clientId, projectId, scheduleRef],
+  )
+
+  const deleteSchedule = useCallback(
+    async (scheduleId: string) => {
+      if (!clientId || !projectId) return
+      await deleteDoc(scheduleRef(scheduleId))
+    },
+    [clientId, projectId, scheduleRef],
+  )
+
+  return {
+    schedules,
+    loading,
+    createSchedule,
+    updateSchedule,
+    setScheduleEnabled,
+    deleteSchedule,
+  }
+}
+
+/** The most recent runs of one schedule, newest first. */
+export function useReportDeliveries(
+  clientId: string | null,
+  projectId: string | undefined,
+  scheduleId: string | null,
+): readonly ReportDelivery[] {
+  const [deliveries, setDeliveries] = useState<readonly ReportDelivery[]>([])
+
+  useEffect(() => {
+    if (!clientId || !projectId || !scheduleId) {
+      setDeliveries([])
+      return
+    }
+    const pathSegments = reportDeliveriesPath(clientId, projectId, scheduleId)
+    const collRef = collection(db, pathSegments[0]!, ...pathSegments.slice(1))
+    const q = query(collRef, orderBy("ranAt", "desc"), limit(DELIVERY_LOG_LIMIT))
+
+    return onSnapshot(
+      q,
+      (snapshot) => {
+        setDeliveries(
+          snapshot.docs.map((d) => mapDelivery(d.id, d.data() as Record<string, unknown>)),
+        )
+      },
+      (err) => {
+        const fireErr = err as { message?: string }
+        console.error("[useReportDeliveries]", fireErr.message ?? err)
+      },
+    )
+  }, [clientId, projectId, scheduleId])
+
+  return deliveries
+}
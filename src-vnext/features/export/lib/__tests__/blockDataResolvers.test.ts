@@ -5,8 +5,21 @@ import {
   resolveTalentNames,
   filterShots,
   sortShots,
+  resolveScheduleTimeline,
+  resolveTalentCards,
+  resolveLocationSheet,
+  resolveCastingGrid,
+  formatLocationAddress,
 } from "../blockDataResolvers"
-import type { Shot, TalentRecord } from "@/shared/types"
+import type { ExportData } from "../../hooks/useExportData"
+import type {
+  CastingBoardEntry,
+  LocationRecord,
+  Schedule,
+  ScheduleEntry,
+  Shot,
+  TalentRecord,
+} from "@/shared/types"
 
 function makeShot(overrides: Partial<Shot> = {}): Shot {
   return {
@@ -199,3 +212,166 @@ describe("sortShots", () => {
     expect(shots).toEqual(original)
   })
 })
+
+// ---------------------------------------------------------------------------
+// Data blocks
+// ---------------------------------------------------------------------------
+
+function makeData(overrides: Partial<ExportData> = {}): ExportData {
+  return {
+    project: null,
+    shots: [],
+    productFamilies: [],
+    pulls: [],
+    crew: [],
+    talent: [],
+    loading: false,
+    ...overrides,
+  }
+}
+
+function makeSchedule(id: string, overrides: Partial<Schedule> = {}): Schedule {
+  return { id, projectId: "p1", name: `Day ${id}`, date: null, ...overrides } as Schedule
+}
+
+function makeEntry(id: string, overrides: Partial<ScheduleEntry> = {}): ScheduleEntry {
+  return { id, type: "setup", title: id, order: 0, ...overrides } as ScheduleEntry
+}
+
+describe("resolveScheduleTimeline", () => {
+  it("returns null when the project has no schedules", () => {
+    expect(resolveScheduleTimeline({ id: "b", type: "schedule-timeline" }, makeData())).toBeNull()
+  })
+
+  it("sorts rows by start time, untimed rows last, and titles shots from the shot", () => {
+    const data = makeData({
+      shots: [makeShot({ id: "shot-1", shotNumber: "12" as unknown as Shot["shotNumber"], title: "Hero" })],
+      schedules: [makeSchedule("d1")],
+      scheduleEntries: new Map([
+        [
+          "d1",
+          [
+            makeEntry("lunch", { type: "break", title: "Lunch", startTime: "12:00", duration: 30, order: 0 }),
+            makeEntry("untimed", { title: "Wrap", order: 1 }),
+            makeEntry("shot", { type: "shot", title: "stale", shotId: "shot-1", startTime: "09:00", order: 2 }),
+          ],
+        ],
+      ]),
+    })
+    const model = resolveScheduleTimeline({ id: "b", type: "schedule-timeline" }, data)
+    expect(model?.scheduleName).toBe("Day d1")
+    expect(model?.rows.map((r) => r.id)).toEqual(["shot", "lunch", "untimed"])
+    expect(model?.rows[0]?.title).toBe("12 \u00b7 Hero")
+    expect(model?.rows[1]).toMatchObject({ time: "12:00 PM", endTime: "12:30 PM", duration: 30 })
+    expect(model?.rows[2]?.time).toBe("")
+  })
+
+  it("uses the picked schedule and labels track-local rows on multi-track days", () => {
+    const tracks = [
+      { id: "t1", name: "Main", order: 0 },
+      { id: "t2", name: "B-Unit", order: 1 },
+    ]
+    const data = makeData({
+      schedules: [makeSchedule("d1"), makeSchedule("d2", { tracks })],
+      scheduleEntries: new Map([
+        [
+          "d2",
+          [
+            makeEntry("a", { trackId: "t1", startTime: "08:00" }),
+            makeEntry("b", { trackId: "t2", startTime: "08:30" }),
+            makeEntry("c", { type: "banner", trackId: "shared", startTime: "09:00" }),
+          ],
+        ],
+      ]),
+    })
+    const all = resolveScheduleTimeline({ id: "b", type: "schedule-timeline", scheduleId: "d2" }, data)
+    expect(all?.rows.map((r) => r.trackName)).toEqual(["Main", "B-Unit", null])
+
+    const one = resolveScheduleTimeline(
+      { id: "b", type: "schedule-timeline", scheduleId: "d2", trackIds: ["t2"] },
+      data,
+    )
+    expect(one?.rows.map((r) => [r.id, r.trackName])).toEqual([
+      ["b", null],
+      ["c", null],
+    ])
+  })
+})
+
+describe("resolveTalentCards", () => {
+  const talent = [
+    { ...makeTalent("t1", "Zoe"), agency: "IMG", measurements: { height: "5'9\"" } },
+    makeTalent("t2", "Alex"),
+    { ...makeTalent("t3", "Gone"), deleted: true },
+    makeTalent("t4", "Unused"),
+  ] as TalentRecord[]
+
+  it("defaults to talent cast in live shots, sorted by name", () => {
+    const data = makeData({
+      talent,
+      shots: [
+        makeShot({ id: "s1", talentIds: ["t1", "t3"] }),
+        makeShot({ id: "s2", talentIds: ["t2"] }),
+        makeShot({ id: "s3", talentIds: ["t4"], deleted: true }),
+      ],
+    })
+    const cards = resolveTalentCards({ id: "b", type: "talent-cards" }, data)
+    expect(cards.map((c) => c.name)).toEqual(["Alex", "Zoe"])
+    expect(cards[1]?.agency).toBe("IMG")
+    expect(cards[1]?.measurements.length).toBeGreaterThan(0)
+  })
+
+  it("keeps the picked order", () => {
+    const cards = resolveTalentCards(
+      { id: "b", type: "talent-cards", talentIds: ["t4", "t1", "missing"] },
+      makeData({ talent }),
+    )
+    expect(cards.map((c) => c.id)).toEqual(["t4", "t1"])
+  })
+})
+
+describe("resolveLocationSheet", () => {
+  const locations: LocationRecord[] = [
+    { id: "l1", name: "Studio B", street: "1 King St", city: "Toronto", province: "ON", photoPath: "loc/l1.jpg" },
+    { id: "l2", name: "Annex", address: "22 Queen St", notes: " Load-in at rear " },
+    { id: "l3", name: "Unused" },
+  ]
+
+  it("composes the address when no display address is stored", () => {
+    expect(formatLocationAddress(locations[0]!)).toBe("1 King St, Toronto, ON")
+    expect(formatLocationAddress(locations[2]!)).toBeNull()
+  })
+
+  it("defaults to locations used by shots and sets", () => {
+    const data = makeData({
+      locations,
+      shots: [makeShot({ locationId: "l1" })],
+      lanes: [{ id: "lane", locationId: "l2" } as NonNullable<ExportData["lanes"]>[number]],
+    })
+    const sheets = resolveLocationSheet({ id: "b", type: "location-sheet" }, data)
+    expect(sheets.map((s) => s.name)).toEqual(["Annex", "Studio B"])
+    expect(sheets[0]?.notes).toBe("Load-in at rear")
+    expect(sheets[1]?.photo).toBe("loc/l1.jpg")
+  })
+})
+
+describe("resolveCastingGrid", () => {
+  const board = [
+    { id: "c1", talentId: "t1", talentName: "Old Name", status: "booked", sortOrder: 2, notes: "secret" },
+    { id: "c2", talentId: "gone", talentName: "Former", talentAgency: "Ford", status: "hold", sortOrder: 1 },
+    { id: "c3", talentId: "t1", talentName: "x", status: "passed", sortOrder: 0 },
+  ] as unknown as CastingBoardEntry[]
+
+  it("filters by status in board order and prefers live talent names", () => {
+    const cards = resolveCastingGrid(
+      { id: "b", type: "casting-grid", statuses: ["booked", "hold"] },
+      makeData({ talent: [makeTalent("t1", "Zoe")], castingBoard: board }),
+    )
+    expect(cards.map((c) => [c.name, c.statusLabel])).toEqual([
+      ["Former", "Hold"],
+      ["Zoe", "Booked"],
+    ])
+    expect(cards[0]?.agency).toBe("Ford")
+    expect(JSON.stringify(cards)).not.toContain("secret")
+  })
+})
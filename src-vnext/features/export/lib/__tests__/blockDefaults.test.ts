@@ -2,14 +2,18 @@ import { describe, expect, it } from "vitest"
 import { createBlock } from "../blockDefaults"
 import type {
   BlockType,
+  CastingGridBlock,
   CrewListBlock,
   DividerBlock,
   ImageBlock,
+  LocationSheetBlock,
   PageBreakBlock,
   ProductTableBlock,
   PullSheetBlock,
+  ScheduleTimelineBlock,
   ShotDetailBlock,
   ShotGridBlock,
+  TalentCardsBlock,
   TextBlock,
 } from "../../types/exportBuilder"
 
@@ -21,6 +25,10 @@ const ALL_BLOCK_TYPES: BlockType[] = [
   "product-table",
   "pull-sheet",
   "crew-list",
+  "schedule-timeline",
+  "talent-cards",
+  "location-sheet",
+  "casting-grid",
   "divider",
   "page-break",
 ]
@@ -114,6 +122,40 @@ describe("createBlock", () => {
     expect(block.groupByDepartment).toBe(true)
   })
 
+  it("creates a schedule-timeline block for the first day and every track", () => {
+    const block = createBlock("schedule-timeline") as ScheduleTimelineBlock
+    expect(block.type).toBe("schedule-timeline")
+    expect(block.scheduleId).toBeUndefined()
+    expect(block.trackIds).toBeUndefined()
+    expect(block.showDuration).toBe(true)
+    expect(block.showNotes).toBe(true)
+  })
+
+  it("creates a talent-cards block with headshots in three columns", () => {
+    const block = createBlock("talent-cards") as TalentCardsBlock
+    expect(block.type).toBe("talent-cards")
+    expect(block.columns).toBe(3)
+    expect(block.showHeadshot).toBe(true)
+    expect(block.showMeasurements).toBe(true)
+    expect(block.showContact).toBe(false)
+  })
+
+  it("creates a location-sheet block with photo, phone and notes", () => {
+    const block = createBlock("location-sheet") as LocationSheetBlock
+    expect(block.type).toBe("location-sheet")
+    expect(block.showPhoto).toBe(true)
+    expect(block.showPhone).toBe(true)
+    expect(block.showNotes).toBe(true)
+  })
+
+  it("creates a casting-grid block showing every status", () => {
+    const block = createBlock("casting-grid") as CastingGridBlock
+    expect(block.type).toBe("casting-grid")
+    expect(block.statuses).toBeUndefined()
+    expect(block.columns).toBe(4)
+    expect(block.showHeadshot).toBe(true)
+  })
+
   it("creates a divider block with solid style", () => {
     const block = createBlock("divider") as DividerBlock
     expect(block.type).toBe("divider")
@@ -16,10 +16,14 @@ import {
   addBlockToColumn,
   moveBlockBetweenColumns,
   wrapBlocksInHStack,
+  restoreSnapshot,
+  branchFromSnapshot,
+  diffDocuments,
 } from "../documentOperations"
 import type {
   ExportBlock,
   ExportDocument,
+  ExportSnapshot,
   ExportTemplate,
   HStackRow,
   PageSettings,
@@ -861,3 +865,216 @@ describe("wrapBlocksInHStack", () => {
     }
   })
 })
+
+function makeSnapshot(overrides?: Partial<ExportSnapshot>): ExportSnapshot {
+  return {
+    id: "snap-1",
+    name: "Sent to client v2",
+    pages: [{ id: "page-s", items: [makeTextBlock("block-s", "Snapshot")] }],
+    settings: { layout: "landscape", size: "a4", fontFamily: "Inter" },
+    customVariables: [{ key: "round", label: "Round", value: "2" }],
+    revision: 4,
+    createdBy: "user-1",
+    ...overrides,
+  }
+}
+
+describe("restoreSnapshot", () => {
+  it("replaces pages, settings and variables but keeps the document's id and name", () => {
+    const doc = makeDocument()
+    const result = restoreSnapshot(doc, makeSnapshot())
+
+    expect(result.id).toBe("doc-1")
+    expect(result.name).toBe("Test Doc")
+    expect(result.pages[0]!.items[0]!.id).toBe("block-s")
+    expect(result.settings.layout).toBe("landscape")
+    expect(result.customVariables).toEqual([{ key: "round", label: "Round", value: "2" }])
+    expect(result.updatedAt).toBe("2026-06-15T12:00:00.000Z")
+  })
+
+  it("does not mutate the original document", () => {
+    const doc = makeDocument()
+    restoreSnapshot(doc, makeSnapshot())
+    expect(doc.pages[0]!.items).toHaveLength(2)
+    expect(doc.settings.layout).toBe("portrait")
+  })
+})
+
+describe("branchFromSnapshot", () => {
+  it("creates a named document with fresh ids and the snapshot's content", () => {
+    const snapshot = makeSnapshot({
+      pages: [
+        {
+          id: "page-s",
+          items: [
+            makeTextBlock("block-s", "Snapshot"),
+            {
+              ...makeHStackRow("row-1", "col-a", "col-b"),
+              columns: [
+                { id: "col-a", widthPercent: 50, blocks: [makeTextBlock("nested")] },
+                { id: "col-b", widthPercent: 50, blocks: [] },
+              ],
+            },
+          ],
+        },
+      ],
+    })
+    const result = branchFromSnapshot(snapshot, "Alt cut")
+
+    expect(result.name).toBe("Alt cut")
+    expect(result.pages[0]!.id).not.toBe("page-s")
+    expect(result.pages[0]!.items[0]!.id).not.toBe("block-s")
+    expect((result.pages[0]!.items[0] as TextBlock).content).toBe("Snapshot")
+    const row = result.pages[0]!.items[1]!
+    expect(isHStackRow(row) && row.columns[0]!.blocks[0]!.id).not.toBe("nested")
+    expect(result.settings).toEqual(snapshot.settings)
+    expect(result.createdAt).toBe("2026-06-15T12:00:00.000Z")
+  })
+})
+
+describe("diffDocuments", () => {
+  it("reports no changes for identical content", () => {
+    const doc = makeDocument()
+    const diff = diffDocuments(doc, { ...doc })
+
+    expect(diff.pages).toHaveLength(1)
+    expect(diff.pages[0]!.status).toBe("unchanged")
+    expect(diff.pages[0]!.blocks.map((b) => b.status)).toEqual(["unchanged", "unchanged"])
+    expect(diff.counts).toEqual({ added: 0, removed: 0, changed: 0, moved: 0 })
+    expect(diff.settingsChanged).toBe(false)
+    expect(diff.variablesChanged).toBe(false)
+  })
+
+  it("flags added, removed and changed blocks, keeping removed ones in place", () => {
+    const before = makeDocument({
+      pages: [
+        {
+          id: "page-1",
+          items: [makeTextBlock("a", "Intro"), makeTextBlock("b", "Old"), makeTextBlock("c", "Outro")],
+        },
+      ],
+    })
+    const after = makeDocument({
+      pages: [
+        {
+          id: "page-1",
+          items: [makeTextBlock("a", "Intro (edited)"), makeTextBlock("c", "Outro"), makeTextBlock("d", "New")],
+        },
+      ],
+    })
+    const diff = diffDocuments(before, after)
+
+    expect(diff.pages[0]!.status).toBe("changed")
+    expect(diff.pages[0]!.blocks.map((b) => [b.blockId, b.status])).toEqual([
+      ["a", "changed"],
+      ["b", "removed"],
+      ["c", "unchanged"],
+      ["d", "added"],
+    ])
+    expect(diff.counts).toEqual({ added: 1, removed: 1, changed: 1, moved: 0 })
+  })
+
+  it("marks only the block that was reordered as moved", () => {
+    const before = makeDocument({
+      pages: [{ id: "page-1", items: ["a", "b", "c", "d"].map((id) => makeTextBlock(id)) }],
+    })
+    const after = makeDocument({
+      pages: [{ id: "page-1", items: ["b", "c", "d", "a"].map((id) => makeTextBlock(id)) }],
+    })
+    const diff = diffDocuments(before, after)
+
+    expect(diff.pages[0]!.blocks.filter((b) => b.status === "moved").map((b) => b.blockId)).toEqual(["a"])
+    expect(diff.counts.moved).toBe(1)
+  })
+
+  it("treats a block wrapped into an HStack column as moved", () => {
+    const before = makeDocument()
+    const after = makeDocument({
+      pages: [
+        {
+          id: "page-1",
+          items: [
+            {
+              ...makeHStackRow("row-1", "col-a", "col-b"),
+              columns: [
+                { id: "col-a", widthPercent: 50, blocks: [makeTextBlock("block-a", "Hello")] },
+                { id: "col-b", widthPercent: 50, blocks: [makeTextBlock("block-b", "World")] },
+              ],
+            },
+          ],
+        },
+      ],
+    })
+    const diff = diffDocuments(before, after)
+    expect(diff.pages[0]!.blocks.map((b) => b.status)).toEqual(["moved", "moved"])
+  })
+
+  it("follows a block across pages and counts it once", () => {
+    const before = makeDocument({
+      pages: [
+        { id: "page-1", items: [makeTextBlock("a"), makeTextBlock("b")] },
+        { id: "page-2", items: [makeTextBlock("c")] },
+      ],
+    })
+    const after = makeDocument({
+      pages: [
+        { id: "page-1", items: [makeTextBlock("a")] },
+        { id: "page-2", items: [makeTextBlock("b"), makeTextBlock("c")] },
+      ],
+    })
+    const diff = diffDocuments(before, after)
+
+    expect(diff.pages[0]!.blocks.map((b) => [b.blockId, b.status])).toEqual([
+      ["a", "unchanged"],
+      ["b", "moved"],
+    ])
+    expect(diff.pages[1]!.blocks.map((b) => [b.blockId, b.status])).toEqual([
+      ["b", "moved"],
+      ["c", "unchanged"],
+    ])
+    expect(diff.counts).toEqual({ added: 0, removed: 0, changed: 0, moved: 1 })
+  })
+
+  it("lists added and removed pages in position with their blocks", () => {
+    const before = makeDocument({
+      pages: [
+        { id: "page-1", items: [makeTextBlock("a")] },
+        { id: "page-2", items: [makeTextBlock("b")] },
+      ],
+    })
+    const after = makeDocument({
+      pages: [
+        { id: "page-1", items: [makeTextBlock("a")] },
+        { id: "page-3", items: [makeTextBlock("c")] },
+      ],
+    })
+    const diff = diffDocuments(before, after)
+
+    expect(diff.pages.map((p) => [p.pageId, p.status, p.beforeIndex, p.afterIndex])).toEqual([
+      ["page-1", "unchanged", 0, 0],
+      ["page-2", "removed", 1, null],
+      ["page-3", "added", null, 1],
+    ])
+    expect(diff.pages[1]!.blocks[0]!.status).toBe("removed")
+    expect(diff.pages[2]!.blocks[0]!.status).toBe("added")
+  })
+
+  it("ignores properties that are undefined on one side only", () => {
+    const before = makeDocument({ pages: [{ id: "page-1", items: [makeTextBlock("a", "Hi")] }] })
+    const after = makeDocument({
+      pages: [{ id: "page-1", items: [{ ...makeTextBlock("a", "Hi"), typography: undefined }] }],
+    })
+    expect(diffDocuments(before, after).pages[0]!.status).toBe("unchanged")
+  })
+
+  it("reports settings and variable changes", () => {
+    const before = makeDocument()
+    const after = makeDocument({
+      settings: { layout: "landscape", size: "letter", fontFamily: "Inter" },
+      customVariables: [{ key: "v", label: "V", value: "1" }],
+    })
+    const diff = diffDocuments(before, after)
+    expect(diff.settingsChanged).toBe(true)
+    expect(diff.variablesChanged).toBe(true)
+  })
+})
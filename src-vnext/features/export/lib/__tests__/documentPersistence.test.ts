@@ -2,6 +2,7 @@ import { describe, expect, it, beforeEach, vi } from "vitest"
 import {
   saveDocument,
   loadDocument,
+  takeLegacyDocument,
   saveTemplate,
   loadTemplates,
   deleteTemplate,
@@ -97,6 +98,31 @@ describe("saveDocument / loadDocument", () => {
   })
 })
 
+describe("takeLegacyDocument", () => {
+  it("returns the document once and removes it from localStorage", () => {
+    saveDocument("proj-1", makeDocument())
+
+    expect(takeLegacyDocument("proj-1")?.id).toBe("doc-1")
+    expect(storage.has("sb:export-doc:proj-1")).toBe(false)
+    expect(takeLegacyDocument("proj-1")).toBeNull()
+  })
+
+  it("leaves other projects' documents alone", () => {
+    saveDocument("proj-1", makeDocument("doc-a"))
+    saveDocument("proj-2", makeDocument("doc-b"))
+    takeLegacyDocument("proj-1")
+
+    expect(loadDocument("proj-2")?.id).toBe("doc-b")
+  })
+
+  it("keeps unreadable data in place", () => {
+    storage.set("sb:export-doc:proj-bad", "not-json{{{")
+
+    expect(takeLegacyDocument("proj-bad")).toBeNull()
+    expect(storage.has("sb:export-doc:proj-bad")).toBe(true)
+  })
+})
+
 describe("saveTemplate / loadTemplates / deleteTemplate", () => {
   it("saves and loads a template", () => {
     const template = makeTemplate("t-1", "Template A")
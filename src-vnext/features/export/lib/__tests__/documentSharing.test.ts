@@ -0,0 +1,75 @@
+import { describe, expect, it } from "vitest"
+import {
+  canManageExportDoc,
+  filterVisible,
+  hasRemoteChange,
+  isVisibleTo,
+  normalizeRevision,
+  normalizeVisibility,
+} from "../documentSharing"
+
+const teamDoc = { createdBy: "owner", visibility: "team" as const }
+const privateDoc = { createdBy: "owner", visibility: "private" as const }
+
+describe("normalizeVisibility", () => {
+  it("reads anything but 'private' as team (pre-sharing docs have no field)", () => {
+    expect(normalizeVisibility(undefined)).toBe("team")
+    expect(normalizeVisibility("public")).toBe("team")
+    expect(normalizeVisibility("private")).toBe("private")
+  })
+})
+
+describe("isVisibleTo / filterVisible", () => {
+  it("shows team docs to everyone and private docs to their owner and admins", () => {
+    expect(isVisibleTo(teamDoc, "someone")).toBe(true)
+    expect(isVisibleTo(privateDoc, "owner")).toBe(true)
+    expect(isVisibleTo(privateDoc, "someone")).toBe(false)
+    expect(isVisibleTo(privateDoc, "someone", true)).toBe(true)
+    expect(isVisibleTo(privateDoc, null)).toBe(false)
+  })
+
+  it("treats a doc without visibility as team", () => {
+    expect(isVisibleTo({ createdBy: "owner" }, "someone")).toBe(true)
+  })
+
+  it("filters a list, keeping order", () => {
+    const docs = [
+      { id: "a", ...teamDoc },
+      { id: "b", ...privateDoc },
+      { id: "c", createdBy: "me", visibility: "private" as const },
+    ]
+    expect(filterVisible(docs, "me").map((d) => d.id)).toEqual(["a", "c"])
+  })
+})
+
+describe("canManageExportDoc", () => {
+  it("allows the owner and admins only", () => {
+    expect(canManageExportDoc(teamDoc, "owner")).toBe(true)
+    expect(canManageExportDoc(teamDoc, "someone")).toBe(false)
+    expect(canManageExportDoc(teamDoc, "someone", true)).toBe(true)
+  })
+
+  it("never matches an ownerless legacy doc to a signed-out user", () => {
+    expect(canManageExportDoc({ createdBy: "" }, null)).toBe(false)
+  })
+})
+
+describe("normalizeRevision", () => {
+  it("defaults missing or invalid revisions to 0", () => {
+    expect(normalizeRevision(undefined)).toBe(0)
+    expect(normalizeRevision(-1)).toBe(0)
+    expect(normalizeRevision("3")).toBe(0)
+    expect(normalizeRevision(4)).toBe(4)
+  })
+})
+
+describe("hasRemoteChange", () => {
+  it("flags a newer revision saved by someone else", () => {
+    expect(hasRemoteChange(2, { revision: 3, updatedBy: "them" }, "me")).toBe(true)
+  })
+
+  it("ignores our own saves and revisions we already have", () => {
+    expect(hasRemoteChange(2, { revision: 3, updatedBy: "me" }, "me")).toBe(false)
+    expect(hasRemoteChange(3, { revision: 3, updatedBy: "them" }, "me")).toBe(false)
+  })
+})
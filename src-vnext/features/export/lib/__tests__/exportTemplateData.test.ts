@@ -0,0 +1,108 @@
+import { describe, it, expect } from "vitest"
+import { buildTemplateCollections, getComputedVariables } from "../exportTemplateData"
+import type { ExportData } from "../../hooks/useExportData"
+import type { Lane, LocationRecord, Project, Shot, TalentRecord } from "@/shared/types"
+
+function makeShot(overrides: Partial<Shot> = {}): Shot {
+  return {
+    id: "s1",
+    title: "Shot",
+    status: "todo",
+    products: [],
+    talent: [],
+    ...overrides,
+  } as Shot
+}
+
+function makeData(overrides: Partial<ExportData> = {}): ExportData {
+  return {
+    project: null,
+    shots: [],
+    productFamilies: [],
+    pulls: [],
+    crew: [],
+    talent: [],
+    loading: false,
+    ...overrides,
+  }
+}
+
+const DATA = makeData({
+  project: { shootDates: ["2026-04-18", "2026-04-15", "2026-04-18"] } as Project,
+  lanes: [
+    { id: "lane-b", name: "Garden", sortOrder: 2 } as Lane,
+    { id: "lane-a", name: "Kitchen", sortOrder: 1, sceneNumber: 4, locationName: "Studio A" } as Lane,
+  ],
+  shots: [
+    makeShot({
+      id: "s1",
+      laneId: "lane-a",
+      mediaType: "video",
+      talentIds: ["t1"],
+      locationId: "l1",
+      products: [{ familyId: "f1", quantity: 3 }, { familyId: "f2" }],
+    }),
+    makeShot({ id: "s2", laneId: "lane-a", mediaType: "photo", talentIds: ["t1", "t2"] }),
+    makeShot({ id: "s3", laneId: "lane-b", mediaType: "video", deleted: true, talentIds: ["t3"] }),
+  ],
+  talent: [
+    { id: "t1", name: "Zoe Park", agency: "IMG" },
+    { id: "t2", name: "Ada Moss" },
+    { id: "t3", name: "Cut From Deleted Shot" },
+  ] as TalentRecord[],
+  locations: [{ id: "l1", name: "Studio A", city: "Toronto" }] as LocationRecord[],
+})
+
+describe("getComputedVariables", () => {
+  it("counts live shots by media type and the records the project uses", () => {
+    const values = Object.fromEntries(getComputedVariables(DATA).map((v) => [v.key, v.value]))
+    expect(values).toMatchObject({
+      photoShotCount: "1",
+      videoShotCount: "1",
+      sceneCount: "2",
+      talentCount: "2",
+      locationCount: "1",
+      shootDayCount: "2",
+      productUnitCount: "4",
+    })
+    expect(values.firstShootDate).toContain("Apr 15")
+    expect(values.lastShootDate).toContain("Apr 18")
+  })
+
+  it("marks every computed variable as dynamic and defaults to empty/zero", () => {
+    const vars = getComputedVariables(makeData())
+    expect(vars.every((v) => v.source === "dynamic")).toBe(true)
+    expect(vars.find((v) => v.key === "firstShootDate")?.value).toBe("")
+    expect(vars.find((v) => v.key === "videoShotCount")?.value).toBe("0")
+  })
+})
+
+describe("buildTemplateCollections", () => {
+  it("lists scenes in lane order with per-scene shot counts", () => {
+    const { scenes } = buildTemplateCollections(DATA)
+    expect(scenes).toEqual([
+      {
+        name: "Kitchen",
+        number: "4",
+        location: "Studio A",
+        direction: "",
+        notes: "",
+        shotCount: "2",
+        photoShotCount: "1",
+        videoShotCount: "1",
+      },
+      expect.objectContaining({ name: "Garden", number: "", shotCount: "0", videoShotCount: "0" }),
+    ])
+  })
+
+  it("lists talent and locations used by live shots, by name", () => {
+    const { talent, locations } = buildTemplateCollections(DATA)
+    expect(talent?.map((t) => [t.name, t.agency, t.shotCount])).toEqual([
+      ["Ada Moss", "", "1"],
+      ["Zoe Park", "IMG", "2"],
+    ])
+    expect(locations).toEqual([
+      { name: "Studio A", address: "Toronto", phone: "", notes: "", shotCount: "1" },
+    ])
+  })
+})
@@ -1,5 +1,12 @@
 import { describe, expect, it } from "vitest"
-import { getDynamicVariables, resolveVariables, findUnresolvedTokens } from "../exportVariables"
+import {
+  getDynamicVariables,
+  resolveVariables,
+  findUnresolvedTokens,
+  isConditionMet,
+  validateCondition,
+  type TemplateCollections,
+} from "../exportVariables"
 import type { ExportVariable } from "../../types/exportBuilder"
 
 describe("getDynamicVariables", () => {
@@ -176,3 +183,118 @@ describe("findUnresolvedTokens", () => {
     expect(result).toEqual(["projectName", "clientName"])
   })
 })
+
+describe("template sections", () => {
+  const variables: ExportVariable[] = [
+    { key: "projectName", label: "Project Name", value: "FW26 Campaign", source: "dynamic" },
+    { key: "shotCount", label: "Shot Count", value: "12", source: "dynamic" },
+    { key: "videoShotCount", label: "Video Shot Count", value: "0", source: "dynamic" },
+    { key: "pageNumber", label: "Page Number", value: "{{pageNumber}}", source: "dynamic" },
+  ]
+  const collections: TemplateCollections = {
+    scenes: [
+      { name: "Kitchen", shotCount: "3", videoShotCount: "1" },
+      { name: "Garden", shotCount: "0", videoShotCount: "0" },
+    ],
+  }
+
+  it("keeps the if branch when the condition holds, else the else branch", () => {
+    expect(resolveVariables("{{#if shotCount > 10}}Big{{else}}Small{{/if}}", variables)).toBe("Big")
+    expect(resolveVariables("{{#if videoShotCount}}Video{{else}}Stills only{{/if}}", variables)).toBe(
+      "Stills only",
+    )
+    expect(resolveVariables("{{#if !videoShotCount}}No video{{/if}}", variables)).toBe("No video")
+  })
+
+  it("reads HTML-escaped comparison operators", () => {
+    expect(resolveVariables("<p>{{#if shotCount &gt;= 12}}Yes{{/if}}</p>", variables)).toBe("<p>Yes</p>")
+  })
+
+  it("compares strings when either side isn't a number", () => {
+    expect(resolveVariables('{{#if projectName == "FW26 Campaign"}}Match{{/if}}', variables)).toBe("Match")
+  })
+
+  it("repeats an each section per record with item fields and @index", () => {
+    const text = "{{#each scenes}}{{@index}}. {{scene.name}} ({{scene.shotCount}}) {{/each}}"
+    expect(resolveVariables(text, variables, { collections })).toBe("1. Kitchen (3) 2. Garden (0) ")
+  })
+
+  it("nests conditions inside a repeat, reading item fields", () => {
+    const text = "{{#each scenes}}{{#if scene.videoShotCount > 0}}{{scene.name}} has video{{/if}}{{/each}}"
+    expect(resolveVariables(text, variables, { collections })).toBe("Kitchen has video")
+  })
+
+  it("renders an each section over a missing collection as nothing", () => {
+    expect(resolveVariables("A{{#each talent}}{{talent.name}}{{/each}}B", variables, {})).toBe("AB")
+  })
+
+  it("resolves item fields at the top level of a repeated block", () => {
+    const repeatItem = { collection: "scenes" as const, item: { name: "Kitchen" }, index: 0 }
+    expect(resolveVariables("{{@index}} {{scene.name}} — {{projectName}}", variables, { repeatItem })).toBe(
+      "1 Kitchen — FW26 Campaign",
+    )
+  })
+
+  it("unwraps control tags typed on their own paragraph", () => {
+    const html = "<p>{{#each scenes}}</p><p>{{scene.name}}</p><p>{{/each}}</p>"
+    expect(resolveVariables(html, variables, { collections })).toBe("<p>Kitchen</p><p>Garden</p>")
+  })
+
+  it("leaves render-time and unknown tokens in place", () => {
+    expect(resolveVariables("{{pageNumber}} {{unknown}} {{#if shotCount}}x{{/if}}", variables)).toBe(
+      "{{pageNumber}} {{unknown}} x",
+    )
+  })
+
+  it("flags unknown collections, fields, conditions and unbalanced tags", () => {
+    expect(findUnresolvedTokens("{{#each shots}}x{{/each}}", variables)).toEqual(["#each shots"])
+    expect(findUnresolvedTokens("{{#each scenes}}{{scene.colour}}{{/each}}", variables)).toEqual(["scene.colour"])
+    expect(findUnresolvedTokens("{{scene.name}} {{@index}}", variables)).toEqual(["scene.name", "@index"])
+    expect(findUnresolvedTokens("{{#if budget > 3}}x{{/if}}", variables)).toEqual(["#if budget > 3"])
+    expect(findUnresolvedTokens("{{#if shotCount >}}x{{/if}}", variables)).toEqual(["#if shotCount >"])
+    expect(findUnresolvedTokens("{{#if shotCount}}x", variables)).toEqual(["#if shotCount"])
+    expect(findUnresolvedTokens("x{{/each}}{{else}}", variables)).toEqual(["/each", "else"])
+  })
+
+  it("accepts well-formed sections and a repeated block's item fields", () => {
+    const text =
+      "{{#if shotCount &gt; 1}}{{#each scenes}}{{@index}} {{scene.name}}{{/each}}{{else}}none{{/if}}"
+    expect(findUnresolvedTokens(text, variables)).toEqual([])
+    expect(findUnresolvedTokens("{{location.address}}", variables, { repeat: "locations" })).toEqual([])
+  })
+})
+
+describe("isConditionMet", () => {
+  const variables: ExportVariable[] = [
+    { key: "videoShotCount", label: "Video Shot Count", value: "2", source: "dynamic" },
+  ]
+
+  it("treats a missing condition as met and an unreadable one as not", () => {
+    expect(isConditionMet(undefined, variables)).toBe(true)
+    expect(isConditionMet("  ", variables)).toBe(true)
+    expect(isConditionMet("videoShotCount >", variables)).toBe(false)
+  })
+
+  it("evaluates against variables and the repeated record", () => {
+    expect(isConditionMet("videoShotCount > 0", variables)).toBe(true)
+    const repeatItem = { collection: "talent" as const, item: { agency: "" }, index: 0 }
+    expect(isConditionMet("talent.agency", variables, repeatItem)).toBe(false)
+  })
+})
+
+describe("validateCondition", () => {
+  const variables: ExportVariable[] = [
+    { key: "shotCount", label: "Shot Count", value: "3", source: "dynamic" },
+  ]
+
+  it("accepts empty and valid conditions", () => {
+    expect(validateCondition("", variables)).toBeNull()
+    expect(validateCondition("shotCount >= 3", variables)).toBeNull()
+    expect(validateCondition("scene.shotCount", variables, "scenes")).toBeNull()
+  })
+
+  it("explains unreadable conditions and unknown variables", () => {
+    expect(validateCondition("shotCount >>", variables)).toMatch(/comparison/)
+    expect(validateCondition("scene.shotCount", variables)).toMatch(/doesn't exist/)
+  })
+})
@@ -0,0 +1,108 @@
+import { describe, expect, it } from "vitest"
+import {
+  buildCadence,
+  computeNextRunAt,
+  describeCadence,
+  isValidCadence,
+  mergeRecipients,
+  parseRecipientList,
+  type ReportCadence,
+} from "../reportSchedules"
+
+const TORONTO = "America/Toronto"
+
+function weekly(weekday: number, time: string): ReportCadence {
+  return { frequency: "weekly", weekday, time, timeZone: TORONTO }
+}
+
+describe("computeNextRunAt", () => {
+  it("finds the coming Monday 8am in the schedule's time zone", () => {
+    // Wed 2026-10-14 12:00 UTC -> Mon 2026-10-19 08:00 EDT (12:00 UTC)
+    const next = computeNextRunAt(weekly(1, "08:00"), new Date("2026-10-14T12:00:00Z"))
+    expect(next?.toISOString()).toBe("2026-10-19T12:00:00.000Z")
+  })
+
+  it("is strictly after `from` — a run at exactly the slot moves to the next week", () => {
+    const next = computeNextRunAt(weekly(1, "08:00"), new Date("2026-10-19T12:00:00Z"))
+    expect(next?.toISOString()).toBe("2026-10-26T12:00:00.000Z")
+  })
+
+  it("keeps 8am local across the November DST change", () => {
+    // Mon 2026-11-02 is the first Monday on EST (UTC-5).
+    const next = computeNextRunAt(weekly(1, "08:00"), new Date("2026-10-27T00:00:00Z"))
+    expect(next?.toISOString()).toBe("2026-11-02T13:00:00.000Z")
+  })
+
+  it("runs daily later the same day when the time hasn't passed", () => {
+    const cadence: ReportCadence = { frequency: "daily", time: "17:30", timeZone: TORONTO }
+    const next = computeNextRunAt(cadence, new Date("2026-10-19T14:00:00Z"))
+    expect(next?.toISOString()).toBe("2026-10-19T21:30:00.000Z")
+  })
+
+  it("rolls a monthly schedule into the next month and year", () => {
+    const cadence: ReportCadence = { frequency: "monthly", dayOfMonth: 1, time: "09:00", timeZone: TORONTO }
+    const next = computeNextRunAt(cadence, new Date("2026-12-15T00:00:00Z"))
+    expect(next?.toISOString()).toBe("2027-01-01T14:00:00.000Z")
+  })
+
+  it("returns null for an invalid cadence", () => {
+    expect(computeNextRunAt(weekly(9, "08:00"), new Date())).toBeNull()
+    expect(computeNextRunAt(weekly(1, "25:00"), new Date())).toBeNull()
+  })
+})
+
+describe("describeCadence", () => {
+  it("reads like a producer would say it", () => {
+    expect(describeCadence(weekly(1, "08:00"))).toBe("every Monday 8am")
+    expect(describeCadence({ frequency: "daily", time: "07:30", timeZone: TORONTO })).toBe("daily 7:30am")
+    expect(
+      describeCadence({ frequency: "monthly", dayOfMonth: 22, time: "13:00", timeZone: TORONTO }),
+    ).toBe("monthly on the 22nd 1pm")
+    expect(
+      describeCadence({ frequency: "monthly", dayOfMonth: 11, time: "00:00", timeZone: TORONTO }),
+    ).toBe("monthly on the 11th 12am")
+  })
+})
+
+describe("buildCadence", () => {
+  it("keeps only the fields the frequency uses", () => {
+    const input = { weekday: 3, dayOfMonth: 15, time: "08:00", timeZone: TORONTO }
+    expect(buildCadence({ ...input, frequency: "daily" })).toEqual({
+      frequency: "daily",
+      time: "08:00",
+      timeZone: TORONTO,
+    })
+    expect(buildCadence({ ...input, frequency: "weekly" })).not.toHaveProperty("dayOfMonth")
+    expect(buildCadence({ ...input, frequency: "monthly" })).not.toHaveProperty("weekday")
+    expect(isValidCadence(buildCadence({ ...input, frequency: "monthly" }))).toBe(true)
+  })
+})
+
+describe("parseRecipientList", () => {
+  it("splits on commas, semicolons and newlines, lowercases and de-dupes", () => {
+    expect(parseRecipientList("Ana@Studio.com, ben@studio.com;\nana@studio.com  nope")).toEqual({
+      emails: ["ana@studio.com", "ben@studio.com"],
+      invalid: ["nope"],
+    })
+  })
+
+  it("is empty for blank input", () => {
+    expect(parseRecipientList("  \n ")).toEqual({ emails: [], invalid: [] })
+  })
+})
+
+describe("mergeRecipients", () => {
+  it("keeps tokens and unsubscribe state for addresses already on the list", () => {
+    const optedOut = new Date("2026-10-01T00:00:00Z")
+    const existing = [
+      { email: "ana@studio.com", token: "tok-ana", unsubscribedAt: optedOut },
+      { email: "ben@studio.com", token: "tok-ben", unsubscribedAt: null },
+    ]
+    let n = 0
+    const merged = mergeRecipients(existing, ["ana@studio.com", "cy@studio.com"], () => `new-${++n}`)
+    expect(merged).toEqual([
+      { email: "ana@studio.com", token: "tok-ana", unsubscribedAt: optedOut },
+      { email: "cy@studio.com", token: "new-1", unsubscribedAt: null },
+    ])
+  })
+})
@@ -1,5 +1,28 @@
-import type { Shot, TalentRecord } from "@/shared/types"
-import type { ShotGridBlock } from "../types/exportBuilder"
+import type {
+  CastingBoardStatus,
+  LocationRecord,
+  Schedule,
+  ScheduleEntryType,
+  ScheduleTrack,
+  Shot,
+  TalentRecord,
+} from "@/shared/types"
+import { buildDisplayName } from "@/features/library/components/talentUtils"
+import {
+  formatLabeledMeasurements,
+  type LabeledMeasurement,
+} from "@/features/library/lib/measurementOptions"
+import { getCastingStatusLabel } from "@/features/casting/lib/castingStatuses"
+import { scheduleTracks, sortSchedulesByDate } from "@/features/schedules/lib/multiDay"
+import { formatMinutesTo12h, parseTimeToMinutes } from "@/features/schedules/lib/time"
+import type { ExportData } from "../hooks/useExportData"
+import type {
+  CastingGridBlock,
+  LocationSheetBlock,
+  ScheduleTimelineBlock,
+  ShotGridBlock,
+  TalentCardsBlock,
+} from "../types/exportBuilder"
 
 /**
  * Resolve unique product names from a shot's products and looks into a
@@ -109,3 +132,295 @@ export function sortShots(
     }
   })
 }
+
+// ---------------------------------------------------------------------------
+// Schedule timeline
+// ---------------------------------------------------------------------------
+
+export interface ScheduleTimelineRow {
+  readonly id: string
+  readonly type: ScheduleEntryType
+  /** 12h start time, "" when the entry has none. */
+  readonly time: string
+  /** 12h end time, "" unless both start and duration are known. */
+  readonly endTime: string
+  readonly duration: number | null
+  readonly title: string
+  /** Track label; null for shared rows and single-track days. */
+  readonly trackName: string | null
+  readonly notes: string | null
+}
+
+export interface ScheduleTimelineModel {
+  readonly scheduleName: string
+  readonly dateLabel: string | null
+  readonly tracks: readonly ScheduleTrack[]
+  readonly rows: readonly ScheduleTimelineRow[]
+}
+
+const SCHEDULE_DATE_FORMAT: Intl.DateTimeFormatOptions = {
+  weekday: "short",
+  month: "short",
+  day: "numeric",
+  year: "numeric",
+}
+
+/** The block's schedule, falling back to the first shoot day. */
+export function resolveBlockSchedule(
+  block: ScheduleTimelineBlock,
+  schedules: readonly Schedule[],
+): Schedule | null {
+  if (block.scheduleId) {
+    const match = schedules.find((s) => s.id === block.scheduleId)
+    if (match) return match
+  }
+  return sortSchedulesByDate(schedules)[0] ?? null
+}
+
+/**
+ * Resolve a schedule-timeline block to one day's running order. Shared
+ * entries (banners, "all"/"shared" tracks, multi-track subsets touching a
+ * shown track) appear once without a track label; track-local entries on a
+ * track the schedule no longer has fall back to its first track, as in the
+ * day view. Rows run by start time, then schedule order.
+ */
+export function resolveScheduleTimeline(
+  block: ScheduleTimelineBlock,
+  data: ExportData,
+): ScheduleTimelineModel | null {
+  const schedule = resolveBlockSchedule(block, data.schedules ?? [])
+  if (!schedule) return null
+
+  const allTracks = scheduleTracks(schedule)
+  const wanted = block.trackIds?.length ? new Set(block.trackIds) : null
+  const tracks = wanted ? allTracks.filter((t) => wanted.has(t.id)) : allTracks
+  const shown = new Set(tracks.map((t) => t.id))
+  const known = new Set(allTracks.map((t) => t.id))
+  const fallbackTrackId = allTracks[0]?.id ?? "primary"
+  const trackNames = new Map(allTracks.map((t) => [t.id, t.name]))
+  const shotsById = new Map(data.shots.map((shot) => [shot.id, shot]))
+  const entries = data.scheduleEntries?.get(schedule.id) ?? []
+
+  const rows: Array<ScheduleTimelineRow & { readonly sortMinutes: number | null; readonly order: number }> = []
+  for (const entry of entries) {
+    const shared =
+      entry.type === "banner" ||
+      entry.trackId === "shared" ||
+      entry.trackId === "all" ||
+      (entry.appliesToTrackIds?.length ?? 0) > 0
+    let trackName: string | null = null
+    if (shared) {
+      const applies = entry.appliesToTrackIds ?? []
+      if (applies.length > 0 && !applies.some((id) => shown.has(id))) continue
+    } else {
+      const raw = entry.trackId ?? "primary"
+      const trackId = known.has(raw) ? raw : fallbackTrackId
+      if (!shown.has(trackId)) continue
+      if (tracks.length > 1) trackName = trackNames.get(trackId) ?? null
+    }
+
+    const start = parseTimeToMinutes(entry.startTime ?? entry.time)
+    const duration = typeof entry.duration === "number" && entry.duration > 0 ? entry.duration : null
+    const shot = entry.type === "shot" && entry.shotId ? shotsById.get(entry.shotId) : undefined
+    const title = shot
+      ? [shot.shotNumber, shot.title].filter(Boolean).join(" \u00b7 ")
+      : entry.title.trim()
+
+    rows.push({
+      id: entry.id,
+      type: entry.type,
+      time: formatMinutesTo12h(start),
+      endTime: start != null && duration != null ? formatMinutesTo12h(start + duration) : "",
+      duration,
+      title: title || "Untitled",
+      trackName,
+      notes: entry.notes?.trim() ? entry.notes.trim() : null,
+      sortMinutes: start,
+      order: entry.order,
+    })
+  }
+
+  rows.sort((a, b) => {
+    if (a.sortMinutes != null && b.sortMinutes != null && a.sortMinutes !== b.sortMinutes) {
+      return a.sortMinutes - b.sortMinutes
+    }
+    if (a.sortMinutes == null && b.sortMinutes != null) return 1
+    if (a.sortMinutes != null && b.sortMinutes == null) return -1
+    return a.order - b.order || a.id.localeCompare(b.id)
+  })
+
+  let dateLabel: string | null = null
+  try {
+    dateLabel = schedule.date?.toDate().toLocaleDateString("en-US", SCHEDULE_DATE_FORMAT) ?? null
+  } catch {
+    dateLabel = null
+  }
+
+  return {
+    scheduleName: schedule.name,
+    dateLabel,
+    tracks,
+    rows: rows.map(({ sortMinutes: _sortMinutes, order: _order, ...row }) => row),
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Talent cards
+// ---------------------------------------------------------------------------
+
+export interface TalentCardModel {
+  readonly id: string
+  readonly name: string
+  readonly agency: string | null
+  readonly email: string | null
+  readonly phone: string | null
+  /** Storage path or URL; resolved by the renderer. */
+  readonly headshot: string | null
+  readonly measurements: readonly LabeledMeasurement[]
+}
+
+/** Talent cast in any non-deleted project shot, in first-appearance order. */
+function talentIdsInShots(shots: readonly Shot[]): readonly string[] {
+  const ids = new Set<string>()
+  for (const shot of shots) {
+    if (shot.deleted) continue
+    for (const id of shot.talentIds ?? []) ids.add(id)
+  }
+  return [...ids]
+}
+
+export function talentHeadshot(t: TalentRecord): string | null {
+  return t.headshotUrl ?? t.imageUrl ?? t.headshotPath ?? null
+}
+
+/**
+ * Resolve a talent-cards block: the picked talent in pick order, or every
+ * talent cast in the project's shots by name. Soft-deleted records drop out.
+ */
+export function resolveTalentCards(
+  block: TalentCardsBlock,
+  data: ExportData,
+): readonly TalentCardModel[] {
+  const byId = new Map(data.talent.map((t) => [t.id, t]))
+  const picked = block.talentIds?.length ? block.talentIds : null
+  const records = (picked ?? talentIdsInShots(data.shots))
+    .map((id) => byId.get(id))
+    .filter((t): t is TalentRecord => t != null && t.deleted !== true)
+
+  const cards = records.map((t) => ({
+    id: t.id,
+    name: buildDisplayName(t),
+    agency: t.agency?.trim() ? t.agency.trim() : null,
+    email: t.email?.trim() ? t.email.trim() : null,
+    phone: t.phone?.trim() ? t.phone.trim() : null,
+    headshot: talentHeadshot(t),
+    measurements: formatLabeledMeasurements(t.measurements, t.gender, "labeled"),
+  }))
+  return picked ? cards : [...cards].sort((a, b) => a.name.localeCompare(b.name))
+}
+
+// ---------------------------------------------------------------------------
+// Location sheet
+// ---------------------------------------------------------------------------
+
+export interface LocationSheetModel {
+  readonly id: string
+  readonly name: string
+  readonly address: string | null
+  readonly phone: string | null
+  /** Storage path or URL; resolved by the renderer. */
+  readonly photo: string | null
+  readonly notes: string | null
+}
+
+/** Composed address, preferring the stored display address. */
+export function formatLocationAddress(location: LocationRecord): string | null {
+  if (location.address?.trim()) return location.address.trim()
+  const street = [location.street, location.unit].filter((p) => p?.trim()).join(", ")
+  const region = [location.city, location.province, location.postal].filter((p) => p?.trim()).join(", ")
+  const composed = [street, region].filter(Boolean).join(", ")
+  return composed || null
+}
+
+/**
+ * Resolve a location-sheet block: the picked locations in pick order, or
+ * every location a project shot or set uses, by name.
+ */
+export function resolveLocationSheet(
+  block: LocationSheetBlock,
+  data: ExportData,
+): readonly LocationSheetModel[] {
+  const byId = new Map((data.locations ?? []).map((l) => [l.id, l]))
+  const picked = block.locationIds?.length ? block.locationIds : null
+
+  let ids: readonly string[]
+  if (picked) {
+    ids = picked
+  } else {
+    const used = new Set<string>()
+    for (const shot of data.shots) {
+      if (!shot.deleted && shot.locationId) used.add(shot.locationId)
+    }
+    for (const lane of data.lanes ?? []) {
+      if (lane.locationId) used.add(lane.locationId)
+    }
+    ids = [...used]
+  }
+
+  const sheets = ids
+    .map((id) => byId.get(id))
+    .filter((l): l is LocationRecord => l != null)
+    .map((l) => ({
+      id: l.id,
+      name: l.name,
+      address: formatLocationAddress(l),
+      phone: l.phone?.trim() ? l.phone.trim() : null,
+      photo: l.photoUrl ?? l.photoPath ?? null,
+      notes: l.notes?.trim() ? l.notes.trim() : null,
+    }))
+  return picked ? sheets : [...sheets].sort((a, b) => a.name.localeCompare(b.name))
+}
+
+// ---------------------------------------------------------------------------
+// Casting grid
+// ---------------------------------------------------------------------------
+
+export interface CastingGridCard {
+  readonly id: string
+  readonly talentId: string
+  readonly name: string
+  readonly agency: string | null
+  readonly roleLabel: string | null
+  readonly status: CastingBoardStatus
+  readonly statusLabel: string
+  /** Storage path or URL; resolved by the renderer. */
+  readonly headshot: string | null
+}
+
+/**
+ * Resolve a casting-grid block to the board in board order, filtered by
+ * status. Board notes are admin-only and never exported.
+ */
+export function resolveCastingGrid(
+  block: CastingGridBlock,
+  data: ExportData,
+): readonly CastingGridCard[] {
+  const talentById = new Map(data.talent.map((t) => [t.id, t]))
+  const statuses = block.statuses?.length ? new Set(block.statuses) : null
+  return [...(data.castingBoard ?? [])]
+    .filter((entry) => !statuses || statuses.has(entry.status))
+    .sort((a, b) => a.sortOrder - b.sortOrder)
+    .map((entry) => {
+      const talent = talentById.get(entry.talentId)
+      return {
+        id: entry.id,
+        talentId: entry.talentId,
+        name: talent ? buildDisplayName(talent) : entry.talentName,
+        agency: (talent?.agency ?? entry.talentAgency)?.trim() || null,
+        roleLabel: entry.roleLabel?.trim() ? entry.roleLabel.trim() : null,
+        status: entry.status,
+        statusLabel: getCastingStatusLabel(entry.status),
+        headshot: talent ? talentHeadshot(talent) : null,
+      }
+    })
+}
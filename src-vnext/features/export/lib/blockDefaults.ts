@@ -1,16 +1,20 @@
 import type {
   BlockType,
+  CastingGridBlock,
   CrewListBlock,
   DividerBlock,
   ExportBlock,
   ImageBlock,
+  LocationSheetBlock,
   PageBreakBlock,
   ProductTableBlock,
   PullSheetBlock,
+  ScheduleTimelineBlock,
   ShotDetailBlock,
   ShotGridBlock,
   ShotGridColumn,
   ProductTableColumn,
+  TalentCardsBlock,
   TextBlock,
 } from "../types/exportBuilder"
 
@@ -112,6 +116,48 @@ function createCrewListBlock(): CrewListBlock {
   }
 }
 
+function createScheduleTimelineBlock(): ScheduleTimelineBlock {
+  return {
+    id: crypto.randomUUID(),
+    type: "schedule-timeline",
+    showDuration: true,
+    showNotes: true,
+  }
+}
+
+function createTalentCardsBlock(): TalentCardsBlock {
+  return {
+    id: crypto.randomUUID(),
+    type: "talent-cards",
+    columns: 3,
+    showHeadshot: true,
+    showMeasurements: true,
+    showAgency: true,
+    showContact: false,
+  }
+}
+
+function createLocationSheetBlock(): LocationSheetBlock {
+  return {
+    id: crypto.randomUUID(),
+    type: "location-sheet",
+    showPhoto: true,
+    showPhone: true,
+    showNotes: true,
+  }
+}
+
+function createCastingGridBlock(): CastingGridBlock {
+  return {
+    id: crypto.randomUUID(),
+    type: "casting-grid",
+    columns: 4,
+    showHeadshot: true,
+    showRole: true,
+    showAgency: true,
+  }
+}
+
 function createDividerBlock(): DividerBlock {
   return {
     id: crypto.randomUUID(),
@@ -135,6 +181,10 @@ const BLOCK_FACTORIES: Record<BlockType, () => ExportBlock> = {
   "product-table": createProductTableBlock,
   "pull-sheet": createPullSheetBlock,
   "crew-list": createCrewListBlock,
+  "schedule-timeline": createScheduleTimelineBlock,
+  "talent-cards": createTalentCardsBlock,
+  "location-sheet": createLocationSheetBlock,
+  "casting-grid": createCastingGridBlock,
   "divider": createDividerBlock,
   "page-break": createPageBreakBlock,
 }
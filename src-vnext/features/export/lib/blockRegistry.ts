@@ -66,6 +66,38 @@ export const BLOCK_REGISTRY: readonly BlockRegistryEntry[] = [
     category: "data",
     accentColor: "indigo",
   },
+  {
+    type: "schedule-timeline",
+    label: "Schedule",
+    description: "Day running order by track",
+    icon: "CalendarClock",
+    category: "data",
+    accentColor: "sky",
+  },
+  {
+    type: "talent-cards",
+    label: "Talent Cards",
+    description: "Headshots + measurements",
+    icon: "Contact",
+    category: "data",
+    accentColor: "rose",
+  },
+  {
+    type: "location-sheet",
+    label: "Location Sheet",
+    description: "Address, photo and notes",
+    icon: "MapPin",
+    category: "data",
+    accentColor: "orange",
+  },
+  {
+    type: "casting-grid",
+    label: "Casting Board",
+    description: "Casting grid with statuses",
+    icon: "LayoutGrid",
+    category: "data",
+    accentColor: "pink",
+  },
   {
     type: "divider",
     label: "Divider",
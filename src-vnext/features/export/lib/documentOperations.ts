@@ -1,7 +1,9 @@
 import type {
+  BlockType,
   ExportBlock,
   ExportDocument,
   ExportPage,
+  ExportSnapshot,
   ExportTemplate,
   HStackColumn,
   HStackRow,
@@ -546,3 +548,232 @@ export function moveBlockBetweenColumns(
     updatedAt: new Date().toISOString(),
   }
 }
+
+// ---------------------------------------------------------------------------
+// Snapshots (version history)
+// ---------------------------------------------------------------------------
+
+/** Replace a document's content with a snapshot's. Id and name are kept. */
+export function restoreSnapshot(
+  doc: ExportDocument,
+  snapshot: ExportSnapshot,
+): ExportDocument {
+  return {
+    ...doc,
+    pages: snapshot.pages,
+    settings: { ...snapshot.settings },
+    customVariables: [...snapshot.customVariables],
+    updatedAt: new Date().toISOString(),
+  }
+}
+
+/** Start a new document from a snapshot (deep copy with new ids, like applyTemplate) */
+export function branchFromSnapshot(
+  snapshot: ExportSnapshot,
+  name: string,
+): ExportDocument {
+  const now = new Date().toISOString()
+
+  return {
+    id: crypto.randomUUID(),
+    name,
+    pages: snapshot.pages.map((page) => ({
+      id: crypto.randomUUID(),
+      items: page.items.map(duplicateItem),
+    })),
+    settings: { ...snapshot.settings },
+    customVariables: [...snapshot.customVariables],
+    createdAt: now,
+    updatedAt: now,
+  }
+}
+
+/** The parts of a document a snapshot captures and a diff compares. */
+export type DocumentContent = Pick<ExportDocument, "pages" | "settings" | "customVariables">
+
+export type BlockDiffStatus = "added" | "removed" | "changed" | "moved" | "unchanged"
+
+export interface BlockDiff {
+  readonly blockId: string
+  readonly type: BlockType
+  readonly status: BlockDiffStatus
+}
+
+export interface PageDiff {
+  readonly pageId: string
+  /** Zero-based position in each version; null where the page doesn't exist. */
+  readonly beforeIndex: number | null
+  readonly afterIndex: number | null
+  readonly status: "added" | "removed" | "changed" | "unchanged"
+  /** After-version order, with removed blocks placed where they used to be. */
+  readonly blocks: readonly BlockDiff[]
+}
+
+export interface DocumentDiff {
+  readonly pages: readonly PageDiff[]
+  readonly settingsChanged: boolean
+  readonly variablesChanged: boolean
+  /** Each block counted once, even when it moved between pages. */
+  readonly counts: Readonly<Record<Exclude<BlockDiffStatus, "unchanged">, number>>
+}
+
+interface LocatedBlock {
+  readonly block: ExportBlock
+  readonly pageId: string
+  /** "page" for top-level blocks, else the HStack column holding the block. */
+  readonly container: string
+}
+
+function locateBlocks(page: ExportPage): readonly LocatedBlock[] {
+  return page.items.flatMap((item) =>
+    isHStackRow(item)
+      ? item.columns.flatMap((col) =>
+          col.blocks.map((block) => ({ block, pageId: page.id, container: `${item.id}/${col.id}` })),
+        )
+      : [{ block: item, pageId: page.id, container: "page" }],
+  )
+}
+
+/** Structural equality that treats an `undefined` property as absent (Firestore drops them). */
+function isSameValue(a: unknown, b: unknown): boolean {
+  if (a === b) return true
+  if (typeof a !== "object" || typeof b !== "object" || a === null || b === null) return false
+  if (Array.isArray(a) !== Array.isArray(b)) return false
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((v, i) => isSameValue(v, b[i]))
+  }
+  const ra = a as Record<string, unknown>
+  const rb = b as Record<string, unknown>
+  const keys = new Set([...Object.keys(ra), ...Object.keys(rb)])
+  for (const key of keys) {
+    if (!isSameValue(ra[key], rb[key])) return false
+  }
+  return true
+}
+
+/** Ids kept in place by the longest common subsequence of two orderings; the rest moved. */
+function stableIds(before: readonly string[], after: readonly string[]): ReadonlySet<string> {
+  const lengths = before.map(() => new Array<number>(after.length + 1).fill(0))
+  lengths.push(new Array<number>(after.length + 1).fill(0))
+  for (let i = before.length - 1; i >= 0; i -= 1) {
+    for (let j = after.length - 1; j >= 0; j -= 1) {
+      lengths[i]![j] =
+        before[i] === after[j]
+          ? lengths[i + 1]![j + 1]! + 1
+          : Math.max(lengths[i + 1]![j]!, lengths[i]![j + 1]!)
+    }
+  }
+  const stable = new Set<string>()
+  let i = 0
+  let j = 0
+  while (i < before.length && j < after.length) {
+    if (before[i] === after[j]) {
+      stable.add(before[i]!)
+      i += 1
+      j += 1
+    } else if (lengths[i + 1]![j]! >= lengths[i]![j + 1]!) {
+      i += 1
+    } else {
+      j += 1
+    }
+  }
+  return stable
+}
+
+/**
+ * Page-by-page comparison of two versions of a document. Pages and blocks
+ * are matched by id. A block whose content differs is "changed"; one with
+ * the same content in a different position, column or page is "moved".
+ */
+export function diffDocuments(before: DocumentContent, after: DocumentContent): DocumentDiff {
+  const beforeById = new Map(before.pages.flatMap(locateBlocks).map((l) => [l.block.id, l]))
+  const afterById = new Map(after.pages.flatMap(locateBlocks).map((l) => [l.block.id, l]))
+  const statusById = new Map<string, BlockDiffStatus>()
+
+  function statusOf(id: string, stable: ReadonlySet<string>): BlockDiffStatus {
+    const was = beforeById.get(id)
+    const now = afterById.get(id)
+    if (!was) return "added"
+    if (!now) return "removed"
+    if (!isSameValue(was.block, now.block)) return "changed"
+    if (was.pageId !== now.pageId || was.container !== now.container || !stable.has(id)) return "moved"
+    return "unchanged"
+  }
+
+  function diffPage(beforePage: ExportPage | undefined, afterPage: ExportPage | undefined): readonly BlockDiff[] {
+    const was = beforePage ? locateBlocks(beforePage) : []
+    const now = afterPage ? locateBlocks(afterPage) : []
+    const pageId = afterPage?.id ?? beforePage?.id
+    const onBothHere = (l: LocatedBlock) =>
+      beforeById.get(l.block.id)?.pageId === pageId && afterById.get(l.block.id)?.pageId === pageId
+    const stable = stableIds(
+      was.filter(onBothHere).map((l) => l.block.id),
+      now.filter(onBothHere).map((l) => l.block.id),
+    )
+
+    const merged: BlockDiff[] = now.map(({ block }) => {
+      const status = statusOf(block.id, stable)
+      statusById.set(block.id, status)
+      return { blockId: block.id, type: block.type, status }
+    })
+    let insertAt = 0
+    for (const { block } of was) {
+      const index = merged.findIndex((d) => d.blockId === block.id)
+      if (index !== -1) {
+        insertAt = index + 1
+        continue
+      }
+      // Gone from this page: either deleted, or moved to another page.
+      const status = afterById.has(block.id) ? statusOf(block.id, stable) : "removed"
+      if (status === "removed") statusById.set(block.id, status)
+      merged.splice(insertAt, 0, { blockId: block.id, type: block.type, status })
+      insertAt += 1
+    }
+    return merged
+  }
+
+  const pages: PageDiff[] = after.pages.map((page, afterIndex) => {
+    const beforeIndex = before.pages.findIndex((p) => p.id === page.id)
+    const blocks = diffPage(before.pages[beforeIndex], page)
+    return {
+      pageId: page.id,
+      beforeIndex: beforeIndex === -1 ? null : beforeIndex,
+      afterIndex,
+      status:
+        beforeIndex === -1
+          ? "added"
+          : blocks.every((b) => b.status === "unchanged")
+            ? "unchanged"
+            : "changed",
+      blocks,
+    }
+  })
+  let insertAt = 0
+  before.pages.forEach((page, beforeIndex) => {
+    const index = pages.findIndex((p) => p.pageId === page.id)
+    if (index !== -1) {
+      insertAt = index + 1
+      return
+    }
+    pages.splice(insertAt, 0, {
+      pageId: page.id,
+      beforeIndex,
+      afterIndex: null,
+      status: "removed",
+      blocks: diffPage(page, undefined),
+    })
+    insertAt += 1
+  })
+
+  const counts = { added: 0, removed: 0, changed: 0, moved: 0 }
+  for (const status of statusById.values()) {
+    if (status !== "unchanged") counts[status] += 1
+  }
+
+  return {
+    pages,
+    settingsChanged: !isSameValue(before.settings, after.settings),
+    variablesChanged: !isSameValue(before.customVariables ?? [], after.customVariables ?? []),
+    counts,
+  }
+}
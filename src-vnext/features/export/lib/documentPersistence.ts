@@ -81,9 +81,9 @@ function migrateBlocksToItems(doc: ExportDocument): ExportDocument {
 }
 
 /**
- * @deprecated Firestore `exportReports` subcollection is the primary store.
- * localStorage is kept as an offline fallback and for legacy data import.
- * See `useExportReports` hook for the Firestore-based persistence.
+ * @deprecated Firestore `exportReports` subcollection is the store. The
+ * localStorage copy is only read for its one-time move to Firestore
+ * (`takeLegacyDocument`). See `useExportReports`.
  */
 export function saveDocument(projectId: string, doc: ExportDocument): void {
   try {
@@ -95,9 +95,9 @@ export function saveDocument(projectId: string, doc: ExportDocument): void {
 }
 
 /**
- * @deprecated Firestore `exportReports` subcollection is the primary store.
- * localStorage is kept as an offline fallback and for legacy data import.
- * See `useExportReports` hook for the Firestore-based persistence.
+ * @deprecated Firestore `exportReports` subcollection is the store. The
+ * localStorage copy is only read for its one-time move to Firestore
+ * (`takeLegacyDocument`). See `useExportReports`.
  */
 export function loadDocument(projectId: string): ExportDocument | null {
   try {
@@ -114,6 +114,22 @@ export function loadDocument(projectId: string): ExportDocument | null {
   }
 }
 
+/**
+ * Remove and return a project's legacy localStorage document for its one-time
+ * move to Firestore. Removing first keeps a second tab from importing it
+ * again; put it back with `saveDocument` if the import fails.
+ */
+export function takeLegacyDocument(projectId: string): ExportDocument | null {
+  const doc = loadDocument(projectId)
+  if (!doc) return null
+  try {
+    localStorage.removeItem(`${DOCUMENT_KEY_PREFIX}${projectId}`)
+  } catch {
+    // localStorage unavailable — nothing was readable either
+  }
+  return doc
+}
+
 /** Save a user template to localStorage */
 export function saveTemplate(template: ExportTemplate): void {
   try {
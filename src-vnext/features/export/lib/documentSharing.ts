@@ -0,0 +1,78 @@
+/**
+ * Ownership, team sharing and edit-conflict rules for export builder
+ * documents (`exportReports`) and workspace templates (`exportTemplates`).
+ *
+ * Both collections carry `createdBy` (the owner) and `visibility`:
+ *   - "team" (or unset, every pre-sharing doc): listed for and editable by
+ *     every producer in the client.
+ *   - "private": listed for, opened by and editable by the owner (and admins)
+ *     only.
+ * firestore.rules enforce all of it: a producer may only list what the query
+ * proves visible, so lists run one query for team docs and one for their own
+ * (see visibleExportDocs). Docs saved before sharing have no `visibility`
+ * field and only list for their owner and admins until backfilled.
+ *
+ * Documents also carry a `revision` counter bumped on every save. A save is
+ * based on the revision the editor last loaded; when the stored revision has
+ * moved on, someone else saved in between and the save is refused.
+ */
+
+export type ExportVisibility = "team" | "private"
+
+export interface ExportOwnership {
+  readonly createdBy?: string
+  /** Unset reads as "team". */
+  readonly visibility?: ExportVisibility
+}
+
+export function normalizeVisibility(value: unknown): ExportVisibility {
+  return value === "private" ? "private" : "team"
+}
+
+/** Whether `uid` sees the doc in lists and pickers. */
+export function isVisibleTo(doc: ExportOwnership, uid: string | null, isAdmin = false): boolean {
+  return doc.visibility !== "private" || isAdmin || (!!uid && doc.createdBy === uid)
+}
+
+/** Owner or admin — may share/unshare and delete. */
+export function canManageExportDoc(doc: ExportOwnership, uid: string | null, isAdmin = false): boolean {
+  return isAdmin || (!!uid && doc.createdBy === uid)
+}
+
+export function filterVisible<T extends ExportOwnership>(
+  docs: readonly T[],
+  uid: string | null,
+  isAdmin = false,
+): T[] {
+  return docs.filter((d) => isVisibleTo(d, uid, isAdmin))
+}
+
+/** Thrown by a save whose base revision is no longer the stored one. */
+export class ExportDocumentConflictError extends Error {
+  readonly remoteRevision: number
+  readonly remoteUpdatedBy: string
+
+  constructor(remoteRevision: number, remoteUpdatedBy: string) {
+    super("This report was changed by someone else since you opened it.")
+    this.name = "ExportDocumentConflictError"
+    this.remoteRevision = remoteRevision
+    this.remoteUpdatedBy = remoteUpdatedBy
+  }
+}
+
+export function normalizeRevision(value: unknown): number {
+  return typeof value === "number" && Number.isFinite(value) && value >= 0 ? Math.floor(value) : 0
+}
+
+/**
+ * Whether a stored doc has moved past the revision the editor is based on
+ * because of someone else's save. The editor's own saves (same `updatedBy`)
+ * never count — the listener can deliver them before the save resolves.
+ */
+export function hasRemoteChange(
+  baseRevision: number,
+  remote: { readonly revision: number; readonly updatedBy: string },
+  uid: string | null,
+): boolean {
+  return remote.revision > baseRevision && remote.updatedBy !== (uid ?? "")
+}
@@ -0,0 +1,84 @@
+import type { Shot } from "@/shared/types"
+import type { ExportData } from "../hooks/useExportData"
+import type { ExportVariable } from "../types/exportBuilder"
+import { resolveLocationSheet, resolveTalentCards } from "./blockDataResolvers"
+import { formatDateString, type TemplateCollections } from "./exportVariables"
+
+function liveShots(data: ExportData): readonly Shot[] {
+  return data.shots.filter((shot) => !shot.deleted)
+}
+
+function countBy(shots: readonly Shot[], matches: (shot: Shot) => boolean): string {
+  return String(shots.filter(matches).length)
+}
+
+/**
+ * Variables computed from project data, on top of `getDynamicVariables`:
+ * per-media shot counts, how many scenes/talent/locations the project uses,
+ * the shoot-date range and the total product units across shots.
+ */
+export function getComputedVariables(data: ExportData): readonly ExportVariable[] {
+  const shots = liveShots(data)
+  const shootDates = [...(data.project?.shootDates ?? [])].sort()
+  const productUnits = shots.reduce(
+    (sum, shot) => sum + shot.products.reduce((n, p) => n + (p.quantity ?? 1), 0),
+    0,
+  )
+
+  const computed: readonly (readonly [key: string, label: string, value: string])[] = [
+    ["photoShotCount", "Photo Shot Count", countBy(shots, (s) => s.mediaType === "photo")],
+    ["videoShotCount", "Video Shot Count", countBy(shots, (s) => s.mediaType === "video")],
+    ["sceneCount", "Scene Count", String(data.lanes?.length ?? 0)],
+    ["talentCount", "Talent Count", String(resolveTalentCards({ id: "", type: "talent-cards" }, data).length)],
+    ["locationCount", "Location Count", String(resolveLocationSheet({ id: "", type: "location-sheet" }, data).length)],
+    ["firstShootDate", "First Shoot Date", formatDateString(shootDates[0] ?? "")],
+    ["lastShootDate", "Last Shoot Date", formatDateString(shootDates[shootDates.length - 1] ?? "")],
+    ["shootDayCount", "Shoot Days", String(new Set(shootDates).size)],
+    ["productUnitCount", "Product Units", String(productUnits)],
+  ]
+  return computed.map(([key, label, value]) => ({ key, label, value, source: "dynamic" }))
+}
+
+/**
+ * Records for `{{#each}}` sections and repeated blocks. Scenes follow the
+ * shot list's lane order; talent and locations are the ones the project's
+ * shots use, by name — the same lists the talent-cards and location-sheet
+ * blocks show by default.
+ */
+export function buildTemplateCollections(data: ExportData): TemplateCollections {
+  const shots = liveShots(data)
+
+  const scenes = [...(data.lanes ?? [])]
+    .sort((a, b) => a.sortOrder - b.sortOrder)
+    .map((lane) => {
+      const laneShots = shots.filter((s) => s.laneId === lane.id)
+      return {
+        name: lane.name,
+        number: lane.sceneNumber != null ? String(lane.sceneNumber) : "",
+        location: lane.locationName ?? "",
+        direction: lane.direction ?? "",
+        notes: lane.notes ?? "",
+        shotCount: String(laneShots.length),
+        photoShotCount: countBy(laneShots, (s) => s.mediaType === "photo"),
+        videoShotCount: countBy(laneShots, (s) => s.mediaType === "video"),
+      }
+    })
+
+  const talent = resolveTalentCards({ id: "", type: "talent-cards" }, data).map((card) => ({
+    name: card.name,
+    agency: card.agency ?? "",
+    email: card.email ?? "",
+    phone: card.phone ?? "",
+    shotCount: countBy(shots, (s) => s.talentIds?.includes(card.id) ?? false),
+  }))
+
+  const locations = resolveLocationSheet({ id: "", type: "location-sheet" }, data).map((sheet) => ({
+    name: sheet.name,
+    address: sheet.address ?? "",
+    phone: sheet.phone ?? "",
+    notes: sheet.notes ?? "",
+    shotCount: countBy(shots, (s) => s.locationId === sheet.id),
+  }))
+
+  return { scenes, talent, locations }
+}
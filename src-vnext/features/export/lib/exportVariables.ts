@@ -1,4 +1,4 @@
-import type { ExportVariable } from "../types/exportBuilder"
+import type { ExportVariable, TemplateCollectionKey } from "../types/exportBuilder"
 
 interface VariableContext {
   readonly projectName?: string
@@ -71,44 +71,482 @@ export function getDynamicVariables(context: VariableContext): readonly ExportVa
   ]
 }
 
-/** Replace all {{variableKey}} tokens in text with their resolved values */
+// ---------------------------------------------------------------------------
+// Template syntax
+//
+//   {{key}}                          variable substitution
+//   {{#if videoShotCount > 0}}…{{else}}…{{/if}}
+//   {{#each scenes}}{{@index}}. {{scene.name}}{{/each}}
+//
+// Conditions are a single operand (truthy unless empty, "0" or "false"),
+// `!operand`, or `operand op operand` with ==, !=, >, >=, <, <=. Operands are
+// variable keys, item fields, numbers or quoted strings. Text content is
+// HTML, so tags are entity-decoded before they're read.
+// ---------------------------------------------------------------------------
+
+/** One repeated record: field key → display value. */
+export type TemplateItem = Readonly<Record<string, string>>
+
+/** Repeatable project data. An absent collection repeats zero times. */
+export type TemplateCollections = Partial<Record<TemplateCollectionKey, readonly TemplateItem[]>>
+
+export interface TemplateCollectionSpec {
+  readonly key: TemplateCollectionKey
+  /** Field prefix inside the section: `{{scene.name}}`. */
+  readonly itemKey: string
+  readonly label: string
+  readonly fields: readonly { readonly key: string; readonly label: string }[]
+}
+
+export const TEMPLATE_COLLECTIONS: readonly TemplateCollectionSpec[] = [
+  {
+    key: "scenes",
+    itemKey: "scene",
+    label: "Scenes",
+    fields: [
+      { key: "name", label: "Name" },
+      { key: "number", label: "Scene Number" },
+      { key: "location", label: "Location" },
+      { key: "direction", label: "Direction" },
+      { key: "notes", label: "Notes" },
+      { key: "shotCount", label: "Shot Count" },
+      { key: "photoShotCount", label: "Photo Shot Count" },
+      { key: "videoShotCount", label: "Video Shot Count" },
+    ],
+  },
+  {
+    key: "talent",
+    itemKey: "talent",
+    label: "Talent",
+    fields: [
+      { key: "name", label: "Name" },
+      { key: "agency", label: "Agency" },
+      { key: "email", label: "Email" },
+      { key: "phone", label: "Phone" },
+      { key: "shotCount", label: "Shot Count" },
+    ],
+  },
+  {
+    key: "locations",
+    itemKey: "location",
+    label: "Locations",
+    fields: [
+      { key: "name", label: "Name" },
+      { key: "address", label: "Address" },
+      { key: "phone", label: "Phone" },
+      { key: "notes", label: "Notes" },
+      { key: "shotCount", label: "Shot Count" },
+    ],
+  },
+]
+
+/** 1-based position of the current item inside a repeat. */
+const INDEX_TOKEN = "@index"
+
+/** The record a repeated block is being emitted for. */
+export interface RepeatItem {
+  readonly collection: TemplateCollectionKey
+  readonly item: TemplateItem
+  readonly index: number
+}
+
+export interface TemplateScope {
+  readonly collections?: TemplateCollections
+  readonly repeatItem?: RepeatItem
+}
+
+type TemplateNode =
+  | { readonly kind: "text"; readonly value: string }
+  | { readonly kind: "token"; readonly key: string; readonly source: string }
+  | {
+      readonly kind: "if"
+      readonly expr: string
+      readonly tag: string
+      readonly then: readonly TemplateNode[]
+      readonly otherwise: readonly TemplateNode[]
+    }
+  | {
+      readonly kind: "each"
+      readonly collection: string
+      readonly tag: string
+      readonly body: readonly TemplateNode[]
+    }
+
+interface ParsedTemplate {
+  readonly nodes: readonly TemplateNode[]
+  /** Tags that don't pair up: stray `{{/if}}`/`{{else}}`, unclosed `{{#each}}`. */
+  readonly structureErrors: readonly string[]
+}
+
+const TAG_PATTERN = /\{\{([^{}]+)\}\}/g
+
+/**
+ * A control tag alone in a paragraph (how the rich-text editor stores a tag
+ * typed on its own line) is unwrapped, so the section doesn't leave an empty
+ * paragraph behind for every repetition.
+ */
+const LONE_CONTROL_TAG_PATTERN =
+  /<(p|div)(?:\s[^>]*)?>\s*(\{\{\s*(?:#(?:if|each)\b[^{}]*|else|\/(?:if|each))\s*\}\})\s*(?:<br\s*\/?>\s*)?<\/\1>/g
+
+/** Decode the HTML entities the editor writes inside a tag, and trim it. */
+export function decodeTemplateTag(raw: string): string {
+  return raw
+    .replace(/&nbsp;/g, " ")
+    .replace(/&gt;/g, ">")
+    .replace(/&lt;/g, "<")
+    .replace(/&quot;/g, '"')
+    .replace(/&#x27;|&#39;/g, "'")
+    .replace(/&amp;/g, "&")
+    .trim()
+}
+
+function parseTemplate(text: string): ParsedTemplate {
+  interface Frame {
+    readonly open: "if" | "each"
+    readonly arg: string
+    readonly tag: string
+    readonly then: TemplateNode[]
+    otherwise: TemplateNode[] | null
+  }
+  const root: TemplateNode[] = []
+  const stack: Frame[] = []
+  const structureErrors: string[] = []
+  const current = (): TemplateNode[] => {
+    const top = stack[stack.length - 1]
+    if (!top) return root
+    return top.otherwise ?? top.then
+  }
+  const close = (frame: Frame): TemplateNode =>
+    frame.open === "if"
+      ? { kind: "if", expr: frame.arg, tag: frame.tag, then: frame.then, otherwise: frame.otherwise ?? [] }
+      : { kind: "each", collection: frame.arg, tag: frame.tag, body: frame.then }
+
+  let last = 0
+  for (const match of text.matchAll(TAG_PATTERN)) {
+    const start = match.index
+    if (start > last) current().push({ kind: "text", value: text.slice(last, start) })
+    last = start + match[0].length
+
+    const tag = decodeTemplateTag(match[1] ?? "")
+    const opener = /^#(if|each)\s+(.+)$/.exec(tag)
+    if (opener) {
+      stack.push({ open: opener[1] as Frame["open"], arg: (opener[2] ?? "").trim(), tag, then: [], otherwise: null })
+      continue
+    }
+    const top = stack[stack.length - 1]
+    if (tag === "else") {
+      if (top?.open === "if" && top.otherwise === null) {
+        top.otherwise = []
+      } else {
+        structureErrors.push(tag)
+      }
+      continue
+    }
+    if (tag === "/if" || tag === "/each") {
+      if (top && tag === `/${top.open}`) {
+        stack.pop()
+        current().push(close(top))
+      } else {
+        structureErrors.push(tag)
+        current().push({ kind: "text", value: match[0] })
+      }
+      continue
+    }
+    current().push({ kind: "token", key: tag, source: match[0] })
+  }
+  if (last < text.length) current().push({ kind: "text", value: text.slice(last) })
+
+  // An unclosed section runs to the end of the text.
+  while (stack.length > 0) {
+    const frame = stack.pop()!
+    structureErrors.push(frame.tag)
+    current().push(close(frame))
+  }
+  return { nodes: root, structureErrors }
+}
+
+interface ScopeFrame {
+  readonly itemKey: string
+  readonly item: TemplateItem
+  readonly index: number
+}
+
+/** Resolve a key against the innermost matching repeat item, then the variables. */
+function lookup(
+  key: string,
+  values: ReadonlyMap<string, string>,
+  frames: readonly ScopeFrame[],
+): string | undefined {
+  if (key === INDEX_TOKEN) {
+    const frame = frames[frames.length - 1]
+    return frame ? String(frame.index + 1) : undefined
+  }
+  const dot = key.indexOf(".")
+  if (dot > 0) {
+    const prefix = key.slice(0, dot)
+    for (let i = frames.length - 1; i >= 0; i--) {
+      const frame = frames[i]!
+      if (frame.itemKey === prefix) return frame.item[key.slice(dot + 1)]
+    }
+  }
+  return values.get(key)
+}
+
+type Operand = { readonly literal: string } | { readonly key: string }
+
+interface Condition {
+  readonly negate: boolean
+  readonly left: Operand
+  readonly op?: "==" | "!=" | ">" | ">=" | "<" | "<="
+  readonly right?: Operand
+}
+
+const OPERAND_SOURCE = String.raw`-?\d+(?:\.\d+)?|"[^"]*"|'[^']*'|[\w.@-]+`
+const SINGLE_CONDITION = new RegExp(`^(!?)\\s*(${OPERAND_SOURCE})$`)
+const COMPARISON_CONDITION = new RegExp(
+  `^(${OPERAND_SOURCE})\\s*(==|!=|>=|<=|>|<)\\s*(${OPERAND_SOURCE})$`,
+)
+
+function parseOperand(source: string): Operand {
+  if (/^-?\d+(?:\.\d+)?$/.test(source)) return { literal: source }
+  if (/^(["']).*\1$/.test(source)) return { literal: source.slice(1, -1) }
+  return { key: source }
+}
+
+function parseCondition(expr: string): Condition | null {
+  const comparison = COMPARISON_CONDITION.exec(expr)
+  if (comparison) {
+    return {
+      negate: false,
+      left: parseOperand(comparison[1] ?? ""),
+      op: comparison[2] as Condition["op"],
+      right: parseOperand(comparison[3] ?? ""),
+    }
+  }
+  const single = SINGLE_CONDITION.exec(expr)
+  if (single) return { negate: single[1] === "!", left: parseOperand(single[2] ?? "") }
+  return null
+}
+
+function isTruthy(value: string | undefined): boolean {
+  return value !== undefined && value !== "" && value !== "0" && value.toLowerCase() !== "false"
+}
+
+function compare(left: string, right: string, op: NonNullable<Condition["op"]>): boolean {
+  const a = Number(left)
+  const b = Number(right)
+  const numeric = left.trim() !== "" && right.trim() !== "" && Number.isFinite(a) && Number.isFinite(b)
+  const order = numeric ? a - b : left.localeCompare(right)
+  switch (op) {
+    case "==":
+      return numeric ? order === 0 : left === right
+    case "!=":
+      return numeric ? order !== 0 : left !== right
+    case ">":
+      return order > 0
+    case ">=":
+      return order >= 0
+    case "<":
+      return order < 0
+    case "<=":
+      return order <= 0
+  }
+}
+
+function evaluate(
+  condition: Condition,
+  values: ReadonlyMap<string, string>,
+  frames: readonly ScopeFrame[],
+): boolean {
+  const read = (operand: Operand) =>
+    "literal" in operand ? operand.literal : lookup(operand.key, values, frames)
+  const left = read(condition.left)
+  if (!condition.op || !condition.right) return condition.negate !== isTruthy(left)
+  const right = read(condition.right)
+  if (left === undefined || right === undefined) return false
+  return compare(left, right, condition.op)
+}
+
+function collectionSpec(key: string): TemplateCollectionSpec | undefined {
+  return TEMPLATE_COLLECTIONS.find((c) => c.key === key)
+}
+
+function repeatFrames(repeatItem: RepeatItem | undefined): ScopeFrame[] {
+  const spec = repeatItem ? collectionSpec(repeatItem.collection) : undefined
+  if (!repeatItem || !spec) return []
+  return [{ itemKey: spec.itemKey, item: repeatItem.item, index: repeatItem.index }]
+}
+
+function renderNodes(
+  nodes: readonly TemplateNode[],
+  values: ReadonlyMap<string, string>,
+  collections: TemplateCollections,
+  frames: readonly ScopeFrame[],
+): string {
+  let out = ""
+  for (const node of nodes) {
+    switch (node.kind) {
+      case "text":
+        out += node.value
+        break
+      case "token":
+        // Unknown tokens stay in place so they're flagged downstream.
+        out += lookup(node.key, values, frames) ?? node.source
+        break
+      case "if": {
+        const condition = parseCondition(node.expr)
+        const met = condition !== null && evaluate(condition, values, frames)
+        out += renderNodes(met ? node.then : node.otherwise, values, collections, frames)
+        break
+      }
+      case "each": {
+        const spec = collectionSpec(node.collection)
+        if (!spec) break
+        const items = collections[spec.key] ?? []
+        items.forEach((item, index) => {
+          out += renderNodes(node.body, values, collections, [
+            ...frames,
+            { itemKey: spec.itemKey, item, index },
+          ])
+        })
+        break
+      }
+    }
+  }
+  return out
+}
+
+/**
+ * Resolve text content: substitute `{{key}}` tokens, keep or drop `{{#if}}`
+ * sections and expand `{{#each}}` sections over `scope.collections`. Inside a
+ * repeated block, `scope.repeatItem` supplies the `{{scene.name}}`-style
+ * fields. Unknown tokens are left untouched.
+ */
 export function resolveVariables(
   text: string,
   variables: readonly ExportVariable[],
+  scope: TemplateScope = {},
 ): string {
-  let resolved = text
-  for (const variable of variables) {
-    const token = `{{${variable.key}}}`
-    if (resolved.includes(token)) {
-      resolved = resolved.split(token).join(variable.value)
-    }
-  }
-  return resolved
+  if (!text.includes("{{")) return text
+  const values = new Map(variables.map((v) => [v.key, v.value]))
+  const { nodes } = parseTemplate(text.replace(LONE_CONTROL_TAG_PATTERN, "$2"))
+  return renderNodes(nodes, values, scope.collections ?? {}, repeatFrames(scope.repeatItem))
+}
+
+/**
+ * Evaluate a block's `visibleIf` condition. A missing condition is always
+ * met; one that can't be read is not.
+ */
+export function isConditionMet(
+  expr: string | undefined,
+  variables: readonly ExportVariable[],
+  repeatItem?: RepeatItem,
+): boolean {
+  if (!expr?.trim()) return true
+  const condition = parseCondition(decodeTemplateTag(expr))
+  if (!condition) return false
+  const values = new Map(variables.map((v) => [v.key, v.value]))
+  return evaluate(condition, values, repeatFrames(repeatItem))
 }
 
 const PDF_RENDER_TIME_TOKENS = new Set(["pageNumber", "pageCount"])
 
-/** Find all {{token}} keys in text that don't match any known variable */
+interface ValidationScope {
+  readonly knownKeys: ReadonlySet<string>
+  /** Item keys of the enclosing repeats, innermost last. */
+  readonly itemKeys: readonly string[]
+}
+
+function isKnownKey(key: string, scope: ValidationScope): boolean {
+  if (scope.knownKeys.has(key) || PDF_RENDER_TIME_TOKENS.has(key)) return true
+  if (key === INDEX_TOKEN) return scope.itemKeys.length > 0
+  const dot = key.indexOf(".")
+  if (dot <= 0) return false
+  const prefix = key.slice(0, dot)
+  if (!scope.itemKeys.includes(prefix)) return false
+  const spec = TEMPLATE_COLLECTIONS.find((c) => c.itemKey === prefix)
+  return spec?.fields.some((f) => f.key === key.slice(dot + 1)) ?? false
+}
+
+function isValidCondition(expr: string, scope: ValidationScope): boolean {
+  const condition = parseCondition(expr)
+  if (!condition) return false
+  return [condition.left, condition.right].every(
+    (operand) => !operand || "literal" in operand || isKnownKey(operand.key, scope),
+  )
+}
+
+function collectProblems(
+  nodes: readonly TemplateNode[],
+  scope: ValidationScope,
+  out: string[],
+): void {
+  for (const node of nodes) {
+    switch (node.kind) {
+      case "text":
+        break
+      case "token":
+        if (!isKnownKey(node.key, scope)) out.push(node.key)
+        break
+      case "if":
+        if (!isValidCondition(node.expr, scope)) out.push(node.tag)
+        collectProblems(node.then, scope, out)
+        collectProblems(node.otherwise, scope, out)
+        break
+      case "each": {
+        const spec = collectionSpec(node.collection)
+        if (!spec) out.push(node.tag)
+        collectProblems(
+          node.body,
+          spec ? { ...scope, itemKeys: [...scope.itemKeys, spec.itemKey] } : scope,
+          out,
+        )
+        break
+      }
+    }
+  }
+}
+
+/**
+ * Find every tag in text that won't resolve: unknown variables, item fields
+ * used outside their `{{#each}}` (or the repeated block's collection),
+ * unreadable `{{#if}}` conditions, unknown collections and sections that
+ * don't pair up. Each problem is reported once, as the tag's decoded text.
+ */
 export function findUnresolvedTokens(
   text: string,
   variables: readonly ExportVariable[],
+  options: { readonly repeat?: TemplateCollectionKey } = {},
 ): readonly string[] {
-  const knownKeys = new Set(variables.map((v) => v.key))
-  const tokenPattern = /\{\{(\w+)\}\}/g
-  const unresolved: string[] = []
-  const seen = new Set<string>()
-
-  let match: RegExpExecArray | null
-  while ((match = tokenPattern.exec(text)) !== null) {
-    const key = match[1]
-    if (!key) continue
-    if (!knownKeys.has(key) && !PDF_RENDER_TIME_TOKENS.has(key) && !seen.has(key)) {
-      seen.add(key)
-      unresolved.push(key)
-    }
-  }
+  if (!text.includes("{{")) return []
+  const { nodes, structureErrors } = parseTemplate(text)
+  const repeatSpec = options.repeat ? collectionSpec(options.repeat) : undefined
+  const problems: string[] = [...structureErrors]
+  collectProblems(
+    nodes,
+    {
+      knownKeys: new Set(variables.map((v) => v.key)),
+      itemKeys: repeatSpec ? [repeatSpec.itemKey] : [],
+    },
+    problems,
+  )
+  return [...new Set(problems)]
+}
 
-  return unresolved
+/**
+ * Check a block's `visibleIf` condition. Returns a short message for the
+ * settings panel, or null when the condition is empty or valid.
+ */
+export function validateCondition(
+  expr: string,
+  variables: readonly ExportVariable[],
+  repeat?: TemplateCollectionKey,
+): string | null {
+  const decoded = decodeTemplateTag(expr)
+  if (!decoded) return null
+  if (!parseCondition(decoded)) return "Use a variable, !variable, or a comparison like shotCount > 10."
+  const [unknown] = findUnresolvedTokens(`{{#if ${decoded}}}{{/if}}`, variables, { repeat })
+  return unknown ? "Refers to a variable that doesn't exist here." : null
 }
 
 function formatShootDates(dates?: readonly string[]): string {
@@ -122,7 +560,8 @@ function formatShootDates(dates?: readonly string[]): string {
   return `${formatDateString(first)} – ${formatDateString(last)}`
 }
 
-function formatDateString(dateStr: string): string {
+/** Format a YYYY-MM-DD date as "Apr 15, 2026" without a timezone shift */
+export function formatDateString(dateStr: string): string {
   if (!dateStr) return ""
   // Parse YYYY-MM-DD without timezone shift
   const [year, month, day] = dateStr.split("-")
@@ -8,6 +8,10 @@ import { ShotDetailBlockPdf } from "./blocks/ShotDetailBlockPdf"
 import { ProductTableBlockPdf } from "./blocks/ProductTableBlockPdf"
 import { PullSheetBlockPdf } from "./blocks/PullSheetBlockPdf"
 import { CrewListBlockPdf } from "./blocks/CrewListBlockPdf"
+import { ScheduleTimelineBlockPdf } from "./blocks/ScheduleTimelineBlockPdf"
+import { TalentCardsBlockPdf } from "./blocks/TalentCardsBlockPdf"
+import { LocationSheetBlockPdf } from "./blocks/LocationSheetBlockPdf"
+import { CastingGridBlockPdf } from "./blocks/CastingGridBlockPdf"
 import { blockLayoutToPdfStyle } from "./blockLayoutToPdfStyle"
 
 interface BlockMapperProps {
@@ -93,6 +97,30 @@ export function ExportPdfBlockMapper({
           <CrewListBlockPdf block={block} data={data} />
         </MaybeLayoutWrap>
       )
+    case "schedule-timeline":
+      return (
+        <MaybeLayoutWrap layout={layout}>
+          <ScheduleTimelineBlockPdf block={block} data={data} />
+        </MaybeLayoutWrap>
+      )
+    case "talent-cards":
+      return (
+        <MaybeLayoutWrap layout={layout}>
+          <TalentCardsBlockPdf block={block} data={data} imageMap={imageMap} />
+        </MaybeLayoutWrap>
+      )
+    case "location-sheet":
+      return (
+        <MaybeLayoutWrap layout={layout}>
+          <LocationSheetBlockPdf block={block} data={data} imageMap={imageMap} />
+        </MaybeLayoutWrap>
+      )
+    case "casting-grid":
+      return (
+        <MaybeLayoutWrap layout={layout}>
+          <CastingGridBlockPdf block={block} data={data} imageMap={imageMap} />
+        </MaybeLayoutWrap>
+      )
     case "image": {
       if (!block.src) return null
       const resolved = imageMap.get(block.src)
@@ -0,0 +1,85 @@
+import { describe, it, expect } from "vitest"
+import { expandTemplateItems } from "../expandTemplateItems"
+import type { TemplateCollections } from "../../exportVariables"
+import type {
+  DividerBlock,
+  ExportVariable,
+  HStackRow,
+  PageItem,
+  TextBlock,
+} from "../../../types/exportBuilder"
+
+const VARIABLES: ExportVariable[] = [
+  { key: "projectName", label: "Project Name", value: "FW26", source: "dynamic" },
+  { key: "videoShotCount", label: "Video Shot Count", value: "0", source: "dynamic" },
+]
+
+const COLLECTIONS: TemplateCollections = {
+  scenes: [
+    { name: "Kitchen", videoShotCount: "2" },
+    { name: "Garden", videoShotCount: "0" },
+  ],
+}
+
+function text(id: string, content: string, extra: Partial<TextBlock> = {}): TextBlock {
+  return { id, type: "text", content, ...extra }
+}
+
+describe("expandTemplateItems", () => {
+  it("resolves variables and sections in text blocks", () => {
+    const items = expandTemplateItems(
+      [text("a", "{{projectName}}: {{#each scenes}}{{scene.name}} {{/each}}")],
+      VARIABLES,
+      COLLECTIONS,
+    )
+    expect(items).toEqual([text("a", "FW26: Kitchen Garden ")])
+  })
+
+  it("drops blocks whose visibleIf is false", () => {
+    const divider: DividerBlock = { id: "d", type: "divider", visibleIf: "projectName" }
+    const items = expandTemplateItems(
+      [text("video", "Video call times", { visibleIf: "videoShotCount > 0" }), divider],
+      VARIABLES,
+      COLLECTIONS,
+    )
+    expect(items.map((i) => i.id)).toEqual(["d"])
+  })
+
+  it("emits a repeated block once per record, filtered by the record's condition", () => {
+    const items = expandTemplateItems(
+      [
+        text("scene", "{{@index}}. {{scene.name}}", { repeat: "scenes" }),
+        text("video", "{{scene.name}} needs video crew", {
+          repeat: "scenes",
+          visibleIf: "scene.videoShotCount > 0",
+        }),
+        text("none", "{{talent.name}}", { repeat: "talent" }),
+      ],
+      VARIABLES,
+      COLLECTIONS,
+    )
+    expect(items.map((i) => [i.id, (i as TextBlock).content])).toEqual([
+      ["scene-1", "1. Kitchen"],
+      ["scene-2", "2. Garden"],
+      ["video-1", "Kitchen needs video crew"],
+    ])
+  })
+
+  it("repeats blocks inside HStack columns and drops rows left empty", () => {
+    const row = (id: string, blocks: TextBlock[]): HStackRow => ({
+      id,
+      type: "hstack",
+      columns: [{ id: `${id}-col`, widthPercent: 100, blocks }],
+    })
+    const items: PageItem[] = [
+      row("kept", [text("name", "{{scene.name}}", { repeat: "scenes" })]),
+      row("empty", [text("hidden", "x", { visibleIf: "videoShotCount" })]),
+    ]
+    const expanded = expandTemplateItems(items, VARIABLES, COLLECTIONS)
+    expect(expanded).toHaveLength(1)
+    expect((expanded[0] as HStackRow).columns[0]?.blocks.map((b) => (b as TextBlock).content)).toEqual([
+      "Kitchen",
+      "Garden",
+    ])
+  })
+})
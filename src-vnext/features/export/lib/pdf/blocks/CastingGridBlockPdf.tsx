@@ -0,0 +1,71 @@
+import { Image, Text, View } from "@react-pdf/renderer"
+import type { CastingBoardStatus } from "@/shared/types"
+import type { CastingGridBlock } from "../../../types/exportBuilder"
+import type { ExportData } from "../../../hooks/useExportData"
+import { resolveCastingGrid } from "../../blockDataResolvers"
+import { styles } from "../pdfStyles"
+
+interface CastingGridBlockPdfProps {
+  readonly block: CastingGridBlock
+  readonly data: ExportData
+  readonly imageMap: ReadonlyMap<string, string>
+}
+
+/** Print equivalents of the casting board's status badge colors. */
+const STATUS_COLORS: Record<CastingBoardStatus, { readonly bg: string; readonly text: string }> = {
+  shortlist: { bg: "#F3F4F6", text: "#4B5563" },
+  hold: { bg: "#FEF3C7", text: "#92400E" },
+  booked: { bg: "#DBEAFE", text: "#1E40AF" },
+  passed: { bg: "#FEE2E2", text: "#991B1B" },
+}
+
+export function CastingGridBlockPdf({ block, data, imageMap }: CastingGridBlockPdfProps) {
+  const cards = resolveCastingGrid(block, data)
+  if (cards.length === 0) return null
+
+  const columns = block.columns ?? 4
+  const showHeadshot = block.showHeadshot !== false
+  const showRole = block.showRole !== false
+  const showAgency = block.showAgency !== false
+
+  return (
+    <View style={{ flexDirection: "row", flexWrap: "wrap", marginHorizontal: -3 }}>
+      {cards.map((card) => {
+        const src = card.headshot ? imageMap.get(card.headshot) : undefined
+        const color = STATUS_COLORS[card.status] ?? STATUS_COLORS.shortlist
+        return (
+          <View
+            key={card.id}
+            wrap={false}
+            style={{ width: `${100 / columns}%`, paddingHorizontal: 3, marginBottom: 6 }}
+          >
+            <View style={{ borderWidth: 0.5, borderColor: "#E5E7EB", borderRadius: 3 }}>
+              {showHeadshot &&
+                (src ? (
+                  <Image src={src} style={{ width: "100%", aspectRatio: 0.75, objectFit: "cover" }} />
+                ) : (
+                  <View style={{ width: "100%", aspectRatio: 0.75, backgroundColor: "#F3F4F6" }} />
+                ))}
+              <View style={{ padding: 4 }}>
+                <Text style={{ fontSize: 8, fontFamily: "Helvetica-Bold", color: "#111827" }}>
+                  {card.name}
+                </Text>
+                {showRole && card.roleLabel && (
+                  <Text style={{ fontSize: 7, color: "#374151", marginTop: 1 }}>{card.roleLabel}</Text>
+                )}
+                {showAgency && card.agency && (
+                  <Text style={{ fontSize: 7, color: "#6B7280", marginTop: 1 }}>{card.agency}</Text>
+                )}
+                <View style={{ flexDirection: "row", marginTop: 3 }}>
+                  <Text style={{ ...styles.badge, backgroundColor: color.bg, color: color.text }}>
+                    {card.statusLabel}
+                  </Text>
+                </View>
+              </View>
+            </View>
+          </View>
+        )
+      })}
+    </View>
+  )
+}
@@ -0,0 +1,60 @@
+import { Image, Text, View } from "@react-pdf/renderer"
+import type { LocationSheetBlock } from "../../../types/exportBuilder"
+import type { ExportData } from "../../../hooks/useExportData"
+import { resolveLocationSheet } from "../../blockDataResolvers"
+import { styles } from "../pdfStyles"
+
+interface LocationSheetBlockPdfProps {
+  readonly block: LocationSheetBlock
+  readonly data: ExportData
+  readonly imageMap: ReadonlyMap<string, string>
+}
+
+export function LocationSheetBlockPdf({ block, data, imageMap }: LocationSheetBlockPdfProps) {
+  const sheets = resolveLocationSheet(block, data)
+  if (sheets.length === 0) return null
+
+  const showPhoto = block.showPhoto !== false
+  const showPhone = block.showPhone !== false
+  const showNotes = block.showNotes !== false
+
+  return (
+    <View>
+      {sheets.map((sheet) => {
+        const src = showPhoto && sheet.photo ? imageMap.get(sheet.photo) : undefined
+        return (
+          <View
+            key={sheet.id}
+            wrap={false}
+            style={{
+              flexDirection: "row",
+              borderWidth: 0.5,
+              borderColor: "#E5E7EB",
+              borderRadius: 3,
+              padding: 6,
+              marginBottom: 6,
+            }}
+          >
+            {src && (
+              <Image src={src} style={{ width: 110, height: 74, objectFit: "cover", marginRight: 8 }} />
+            )}
+            <View style={{ flex: 1 }}>
+              <Text style={{ fontSize: 10, fontFamily: "Helvetica-Bold", color: "#111827" }}>
+                {sheet.name}
+              </Text>
+              <Text style={{ ...styles.bodyText, marginTop: 2 }}>{sheet.address ?? "—"}</Text>
+              {showPhone && sheet.phone && (
+                <Text style={{ fontSize: 8, color: "#6B7280", marginTop: 2 }}>{sheet.phone}</Text>
+              )}
+              {showNotes && sheet.notes && (
+                <Text style={{ fontSize: 8, color: "#6B7280", marginTop: 4, lineHeight: 1.4 }}>
+                  {sheet.notes}
+                </Text>
+              )}
+            </View>
+          </View>
+        )
+      })}
+    </View>
+  )
+}
@@ -0,0 +1,71 @@
+import { Text, View } from "@react-pdf/renderer"
+import type { ScheduleTimelineBlock } from "../../../types/exportBuilder"
+import type { ExportData } from "../../../hooks/useExportData"
+import { resolveScheduleTimeline } from "../../blockDataResolvers"
+import { styles } from "../pdfStyles"
+
+interface ScheduleTimelineBlockPdfProps {
+  readonly block: ScheduleTimelineBlock
+  readonly data: ExportData
+}
+
+export function ScheduleTimelineBlockPdf({ block, data }: ScheduleTimelineBlockPdfProps) {
+  const model = resolveScheduleTimeline(block, data)
+  if (!model || model.rows.length === 0) return null
+
+  const showDuration = block.showDuration !== false
+  const showNotes = block.showNotes !== false
+  const showTrack = model.tracks.length > 1
+
+  return (
+    <View>
+      <Text style={{ ...styles.sectionLabel, marginTop: 0 }}>
+        {model.scheduleName}
+        {model.dateLabel ? ` · ${model.dateLabel}` : ""}
+      </Text>
+      <View style={styles.tableContainer}>
+        <View style={styles.tableHeader}>
+          <Text style={{ ...styles.tableHeaderCell, width: 60 }}>Time</Text>
+          {showDuration && <Text style={{ ...styles.tableHeaderCell, width: 40 }}>Dur.</Text>}
+          {showTrack && <Text style={{ ...styles.tableHeaderCell, width: 70 }}>Track</Text>}
+          <Text style={{ ...styles.tableHeaderCell, flex: 1 }}>Entry</Text>
+        </View>
+        {model.rows.map((row, i) => (
+          <View
+            key={row.id}
+            wrap={false}
+            style={
+              row.type === "banner"
+                ? { ...styles.tableRow, backgroundColor: "#F3F4F6" }
+                : i % 2 === 1
+                  ? styles.tableRowStriped
+                  : styles.tableRow
+            }
+          >
+            <Text style={{ ...styles.tableCell, width: 60 }}>{row.time || "—"}</Text>
+            {showDuration && (
+              <Text style={{ ...styles.tableCell, width: 40 }}>
+                {row.duration != null ? `${row.duration}m` : "—"}
+              </Text>
+            )}
+            {showTrack && <Text style={{ ...styles.tableCell, width: 70 }}>{row.trackName ?? "All"}</Text>}
+            <View style={{ flex: 1 }}>
+              <Text
+                style={
+                  row.type === "shot"
+                    ? styles.tableCell
+                    : { ...styles.tableCell, fontFamily: "Helvetica-Bold" }
+                }
+              >
+                {row.title}
+              </Text>
+              {showNotes && row.notes && (
+                <Text style={{ ...styles.tableCellMuted, paddingTop: 0 }}>{row.notes}</Text>
+              )}
+            </View>
+          </View>
+        ))}
+      </View>
+    </View>
+  )
+}
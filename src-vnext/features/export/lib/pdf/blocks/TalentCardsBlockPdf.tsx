@@ -0,0 +1,68 @@
+import { Image, Text, View } from "@react-pdf/renderer"
+import type { TalentCardsBlock } from "../../../types/exportBuilder"
+import type { ExportData } from "../../../hooks/useExportData"
+import { resolveTalentCards } from "../../blockDataResolvers"
+
+interface TalentCardsBlockPdfProps {
+  readonly block: TalentCardsBlock
+  readonly data: ExportData
+  readonly imageMap: ReadonlyMap<string, string>
+}
+
+export function TalentCardsBlockPdf({ block, data, imageMap }: TalentCardsBlockPdfProps) {
+  const cards = resolveTalentCards(block, data)
+  if (cards.length === 0) return null
+
+  const columns = block.columns ?? 3
+  const showHeadshot = block.showHeadshot !== false
+  const showMeasurements = block.showMeasurements !== false
+  const showAgency = block.showAgency !== false
+  const showContact = block.showContact === true
+
+  return (
+    <View style={{ flexDirection: "row", flexWrap: "wrap", marginHorizontal: -4 }}>
+      {cards.map((card) => {
+        const src = card.headshot ? imageMap.get(card.headshot) : undefined
+        return (
+          <View
+            key={card.id}
+            wrap={false}
+            style={{ width: `${100 / columns}%`, paddingHorizontal: 4, marginBottom: 8 }}
+          >
+            <View style={{ borderWidth: 0.5, borderColor: "#E5E7EB", borderRadius: 3 }}>
+              {showHeadshot &&
+                (src ? (
+                  <Image src={src} style={{ width: "100%", aspectRatio: 0.75, objectFit: "cover" }} />
+                ) : (
+                  <View style={{ width: "100%", aspectRatio: 0.75, backgroundColor: "#F3F4F6" }} />
+                ))}
+              <View style={{ padding: 5 }}>
+                <Text style={{ fontSize: 9, fontFamily: "Helvetica-Bold", color: "#111827" }}>
+                  {card.name}
+                </Text>
+                {showAgency && card.agency && (
+                  <Text style={{ fontSize: 7, color: "#6B7280", marginTop: 1 }}>{card.agency}</Text>
+                )}
+                {showContact && (card.email || card.phone) && (
+                  <Text style={{ fontSize: 7, color: "#6B7280", marginTop: 1 }}>
+                    {[card.email, card.phone].filter(Boolean).join(" · ")}
+                  </Text>
+                )}
+                {showMeasurements && card.measurements.length > 0 && (
+                  <View style={{ marginTop: 3 }}>
+                    {card.measurements.map((m) => (
+                      <View key={m.label} style={{ flexDirection: "row", justifyContent: "space-between" }}>
+                        <Text style={{ fontSize: 7, color: "#6B7280" }}>{m.label}</Text>
+                        <Text style={{ fontSize: 7, color: "#374151" }}>{m.value}</Text>
+                      </View>
+                    ))}
+                  </View>
+                )}
+              </View>
+            </View>
+          </View>
+        )
+      })}
+    </View>
+  )
+}
@@ -308,11 +308,11 @@ function renderHtmlContent(
 
 /** Split text on unresolved {{token}} patterns and wrap them in yellow highlight */
 function renderWithWarningHighlights(text: string): React.ReactNode {
-  const parts = text.split(/(\{\{\w+\}\})/g)
+  const parts = text.split(/(\{\{[^{}]+\}\})/g)
   if (parts.length === 1) return text
 
   return parts.map((part, i) => {
-    if (/^\{\{\w+\}\}$/.test(part)) {
+    if (/^\{\{[^{}]+\}\}$/.test(part)) {
       return (
         <Text key={i} style={{ backgroundColor: "#FEF3C7", color: "#92400E" }}>
           {part}
@@ -0,0 +1,67 @@
+import {
+  isConditionMet,
+  resolveVariables,
+  type RepeatItem,
+  type TemplateCollections,
+} from "../exportVariables"
+import type { ExportBlock, ExportVariable, PageItem } from "../../types/exportBuilder"
+import { isHStackRow } from "../../types/exportBuilder"
+
+function resolveBlockText(
+  block: ExportBlock,
+  variables: readonly ExportVariable[],
+  collections: TemplateCollections,
+  repeatItem?: RepeatItem,
+): ExportBlock {
+  if (block.type !== "text") return block
+  return {
+    ...block,
+    content: resolveVariables(block.content, variables, { collections, repeatItem }),
+  }
+}
+
+/** A block as it appears in the PDF: zero copies, one, or one per repeated record. */
+function expandBlock(
+  block: ExportBlock,
+  variables: readonly ExportVariable[],
+  collections: TemplateCollections,
+): readonly ExportBlock[] {
+  if (!block.repeat) {
+    if (!isConditionMet(block.visibleIf, variables)) return []
+    return [resolveBlockText(block, variables, collections)]
+  }
+
+  const collection = block.repeat
+  return (collections[collection] ?? []).flatMap((item, index) => {
+    const repeatItem = { collection, item, index }
+    if (!isConditionMet(block.visibleIf, variables, repeatItem)) return []
+    return [
+      {
+        ...resolveBlockText(block, variables, collections, repeatItem),
+        id: `${block.id}-${String(index + 1)}`,
+      },
+    ]
+  })
+}
+
+/**
+ * Apply a page's template logic for the PDF: drop blocks whose `visibleIf`
+ * is false, emit repeated blocks once per scene/talent/location, and resolve
+ * text variables and sections. HStack columns get the same treatment; a row
+ * whose columns all end up empty is dropped.
+ */
+export function expandTemplateItems(
+  items: readonly PageItem[],
+  variables: readonly ExportVariable[],
+  collections: TemplateCollections,
+): readonly PageItem[] {
+  return items.flatMap((item): readonly PageItem[] => {
+    if (!isHStackRow(item)) return expandBlock(item, variables, collections)
+
+    const columns = item.columns.map((col) => ({
+      ...col,
+      blocks: col.blocks.flatMap((block) => expandBlock(block, variables, collections)),
+    }))
+    return columns.some((col) => col.blocks.length > 0) ? [{ ...item, columns }] : []
+  })
+}
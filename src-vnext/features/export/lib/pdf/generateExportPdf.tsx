@@ -1,49 +1,11 @@
 import { toast } from "sonner"
-import { resolveVariables } from "../exportVariables"
-import type {
-  ExportDocument,
-  ExportVariable,
-  PageItem,
-  TextBlock,
-} from "../../types/exportBuilder"
-import { isHStackRow } from "../../types/exportBuilder"
+import type { ExportDocument, ExportVariable } from "../../types/exportBuilder"
 import type { ExportData } from "../../hooks/useExportData"
+import { buildTemplateCollections } from "../exportTemplateData"
+import { expandTemplateItems } from "./expandTemplateItems"
 import { splitByPageBreaks, flattenPagesToBlocks } from "./splitByPageBreaks"
 import { resolveExportImages } from "./resolveExportImages"
 
-/** Resolve text variables inside all blocks, including those nested in HStack columns */
-function resolveItemVariables(
-  items: readonly PageItem[],
-  variables: readonly ExportVariable[],
-): readonly PageItem[] {
-  return items.map((item) => {
-    if (isHStackRow(item)) {
-      return {
-        ...item,
-        columns: item.columns.map((col) => ({
-          ...col,
-          blocks: col.blocks.map((block) => {
-            if (block.type === "text") {
-              return {
-                ...block,
-                content: resolveVariables(block.content, variables),
-              } as TextBlock
-            }
-            return block
-          }),
-        })),
-      }
-    }
-    if (item.type === "text") {
-      return {
-        ...item,
-        content: resolveVariables(item.content, variables),
-      } as TextBlock
-    }
-    return item
-  })
-}
-
 /**
  * Generate a PDF blob from the export document.
  * Lazy-imports @react-pdf/renderer for code-splitting.
@@ -57,10 +19,12 @@ export async function generateExportPdf(
   const toastId = toast.loading("Generating PDF...")
 
   try {
-    // Step 1: Resolve text variables (page numbers resolve at render time)
+    // Step 1: Apply conditions and repeats, and resolve text variables and
+    // sections (page numbers resolve at render time)
+    const collections = buildTemplateCollections(data)
     const resolvedPages = doc.pages.map((page) => ({
       ...page,
-      items: resolveItemVariables(page.items, variables),
+      items: expandTemplateItems(page.items, variables, collections),
     }))
 
     const resolvedDoc = { ...doc, pages: resolvedPages }
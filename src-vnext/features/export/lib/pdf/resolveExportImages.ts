@@ -1,6 +1,11 @@
 import { resolvePdfImageSrc } from "@/features/shots/lib/resolvePdfImageSrc"
 import type { ExportBlock } from "../../types/exportBuilder"
 import type { ExportData } from "../../hooks/useExportData"
+import {
+  resolveCastingGrid,
+  resolveLocationSheet,
+  resolveTalentCards,
+} from "../blockDataResolvers"
 
 /**
  * Collect all image URLs from blocks and project data,
@@ -36,6 +41,23 @@ export async function resolveExportImages(
     }
   }
 
+  // Headshots and location photos, for only the cards each block will render
+  for (const block of blocks) {
+    if (block.type === "talent-cards" && block.showHeadshot !== false) {
+      for (const card of resolveTalentCards(block, data)) {
+        if (card.headshot) urls.add(card.headshot)
+      }
+    } else if (block.type === "casting-grid" && block.showHeadshot !== false) {
+      for (const card of resolveCastingGrid(block, data)) {
+        if (card.headshot) urls.add(card.headshot)
+      }
+    } else if (block.type === "location-sheet" && block.showPhoto !== false) {
+      for (const sheet of resolveLocationSheet(block, data)) {
+        if (sheet.photo) urls.add(sheet.photo)
+      }
+    }
+  }
+
   if (urls.size === 0) return new Map()
 
   // Resolve in parallel with concurrency limit of 4
@@ -0,0 +1,263 @@
+/**
+ * Scheduled report deliveries — cadence math and recipient handling for the
+ * schedule dialog. The `sendScheduledReports` Cloud Function reads the same
+ * doc shape; cadence rules here mirror functions/src/reportSchedule.js, so a
+ * `nextRunAt` the app writes on save is the one the function would compute.
+ */
+
+export type ReportCadenceFrequency = "daily" | "weekly" | "monthly"
+
+export interface ReportCadence {
+  readonly frequency: ReportCadenceFrequency
+  /** 0 (Sunday) – 6; weekly only. */
+  readonly weekday?: number
+  /** 1 – 28; monthly only, so every month has the day. */
+  readonly dayOfMonth?: number
+  /** "HH:MM", 24h, read in `timeZone`. */
+  readonly time: string
+  readonly timeZone: string
+}
+
+export interface ReportScheduleRecipient {
+  readonly email: string
+  /** Unsubscribe credential carried in the email link. */
+  readonly token: string
+  readonly unsubscribedAt: Date | null
+}
+
+export interface ReportSchedule {
+  readonly id: string
+  readonly reportId: string
+  readonly reportName: string
+  readonly reportType: string
+  readonly enabled: boolean
+  readonly cadence: ReportCadence
+  readonly recipients: readonly ReportScheduleRecipient[]
+  readonly nextRunAt: Date | null
+  readonly lastRunAt: Date | null
+  readonly lastStatus: ReportDeliveryStatus | null
+  readonly createdBy: string
+}
+
+export type ReportDeliveryStatus = "sent" | "partial" | "failed" | "skipped"
+
+export interface ReportDelivery {
+  readonly id: string
+  readonly status: ReportDeliveryStatus
+  readonly ranAt: Date | null
+  readonly recipientCount: number
+  readonly sentCount: number
+  readonly skippedUnsubscribed: number
+  readonly failures: readonly { readonly email: string; readonly error: string }[]
+  readonly error: string | null
+}
+
+export const DEFAULT_REPORT_TIME_ZONE = "America/Toronto"
+export const MAX_REPORT_RECIPIENTS = 50
+
+export const REPORT_WEEKDAY_LABELS = [
+  "Sunday",
+  "Monday",
+  "Tuesday",
+  "Wednesday",
+  "Thursday",
+  "Friday",
+  "Saturday",
+] as const
+
+export const DEFAULT_REPORT_CADENCE: ReportCadence = {
+  frequency: "weekly",
+  weekday: 1,
+  time: "08:00",
+  timeZone: DEFAULT_REPORT_TIME_ZONE,
+}
+
+/**
+ * A cadence carrying only the fields its frequency uses — Firestore rejects
+ * `undefined` values, and a stale weekday on a monthly schedule would only
+ * confuse the next edit.
+ */
+export function buildCadence(input: {
+  readonly frequency: ReportCadenceFrequency
+  readonly weekday: number
+  readonly dayOfMonth: number
+  readonly time: string
+  readonly timeZone: string
+}): ReportCadence {
+  const base = { frequency: input.frequency, time: input.time, timeZone: input.timeZone }
+  if (input.frequency === "weekly") return { ...base, weekday: input.weekday }
+  if (input.frequency === "monthly") return { ...base, dayOfMonth: input.dayOfMonth }
+  return base
+}
+
+/** Enough to reach any weekday or day-of-month from any start day. */
+const SEARCH_DAYS = 62
+
+function parseTime(value: string): { readonly hour: number; readonly minute: number } | null {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(value.trim())
+  if (!match) return null
+  const hour = Number(match[1])
+  const minute = Number(match[2])
+  if (hour > 23 || minute > 59) return null
+  return { hour, minute }
+}
+
+/** The browser's IANA zone, falling back to the studio default. */
+export function localTimeZone(): string {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || DEFAULT_REPORT_TIME_ZONE
+  } catch {
+    return DEFAULT_REPORT_TIME_ZONE
+  }
+}
+
+export function isValidCadence(cadence: ReportCadence): boolean {
+  if (!parseTime(cadence.time)) return false
+  if (cadence.frequency === "weekly") {
+    const w = cadence.weekday
+    return w !== undefined && Number.isInteger(w) && w >= 0 && w <= 6
+  }
+  if (cadence.frequency === "monthly") {
+    const d = cadence.dayOfMonth
+    return d !== undefined && Number.isInteger(d) && d >= 1 && d <= 28
+  }
+  return cadence.frequency === "daily"
+}
+
+interface ZonedParts {
+  readonly year: number
+  readonly month: number
+  readonly day: number
+  readonly hour: number
+  readonly minute: number
+  readonly second: number
+}
+
+function zonedParts(date: Date, timeZone: string): ZonedParts {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "numeric",
+    day: "numeric",
+    hour: "numeric",
+    minute: "numeric",
+    second: "numeric",
+  }).formatToParts(date)
+  const get = (type: Intl.DateTimeFormatPartTypes) =>
+    Number(parts.find((p) => p.type === type)?.value)
+  return {
+    year: get("year"),
+    month: get("month"),
+    day: get("day"),
+    hour: get("hour"),
+    minute: get("minute"),
+    second: get("second"),
+  }
+}
+
+function zoneOffsetMs(date: Date, timeZone: string): number {
+  const p = zonedParts(date, timeZone)
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second)
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000
+}
+
+function zonedTimeToDate(
+  wall: { readonly year: number; readonly month: number; readonly day: number; readonly hour: number; readonly minute: number },
+  timeZone: string,
+): Date {
+  const guess = Date.UTC(wall.year, wall.month - 1, wall.day, wall.hour, wall.minute)
+  const first = guess - zoneOffsetMs(new Date(guess), timeZone)
+  return new Date(guess - zoneOffsetMs(new Date(first), timeZone))
+}
+
+/** The first run strictly after `from`, or null for an invalid cadence. */
+export function computeNextRunAt(cadence: ReportCadence, from: Date): Date | null {
+  if (!isValidCadence(cadence)) return null
+  const { hour, minute } = parseTime(cadence.time)!
+  const timeZone = cadence.timeZone || DEFAULT_REPORT_TIME_ZONE
+  const start = zonedParts(from, timeZone)
+
+  for (let offset = 0; offset <= SEARCH_DAYS; offset += 1) {
+    const calendar = new Date(Date.UTC(start.year, start.month - 1, start.day + offset))
+    if (cadence.frequency === "weekly" && calendar.getUTCDay() !== cadence.weekday) continue
+    if (cadence.frequency === "monthly" && calendar.getUTCDate() !== cadence.dayOfMonth) continue
+    const candidate = zonedTimeToDate(
+      {
+        year: calendar.getUTCFullYear(),
+        month: calendar.getUTCMonth() + 1,
+        day: calendar.getUTCDate(),
+        hour,
+        minute,
+      },
+      timeZone,
+    )
+    if (candidate.getTime() > from.getTime()) return candidate
+  }
+  return null
+}
+
+function formatTime12h(time: string): string {
+  const parsed = parseTime(time)
+  if (!parsed) return time
+  const suffix = parsed.hour < 12 ? "am" : "pm"
+  const hour = parsed.hour % 12 === 0 ? 12 : parsed.hour % 12
+  return parsed.minute === 0
+    ? `${hour}${suffix}`
+    : `${hour}:${String(parsed.minute).padStart(2, "0")}${suffix}`
+}
+
+function ordinal(n: number): string {
+  const mod100 = n % 100
+  if (mod100 >= 11 && mod100 <= 13) return `${n}th`
+  const suffix = ({ 1: "st", 2: "nd", 3: "rd" } as Record<number, string>)[n % 10] ?? "th"
+  return `${n}${suffix}`
+}
+
+/** "every Monday 8am", "daily 7:30am", "monthly on the 1st 9am". */
+export function describeCadence(cadence: ReportCadence): string {
+  if (!isValidCadence(cadence)) return "not scheduled"
+  const time = formatTime12h(cadence.time)
+  if (cadence.frequency === "daily") return `daily ${time}`
+  if (cadence.frequency === "weekly") return `every ${REPORT_WEEKDAY_LABELS[cadence.weekday!]} ${time}`
+  return `monthly on the ${ordinal(cadence.dayOfMonth!)} ${time}`
+}
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+
+export interface ParsedRecipientList {
+  /** Valid, lowercased, de-duplicated, in input order. */
+  readonly emails: readonly string[]
+  /** Entries that aren't email addresses, as typed. */
+  readonly invalid: readonly string[]
+}
+
+/** Split a pasted list (commas, semicolons, whitespace or newlines). */
+export function parseRecipientList(input: string): ParsedRecipientList {
+  const emails: string[] = []
+  const invalid: string[] = []
+  for (const raw of input.split(/[\s,;]+/)) {
+    const entry = raw.trim()
+    if (!entry) continue
+    const email = entry.toLowerCase()
+    if (!EMAIL_RE.test(email)) invalid.push(entry)
+    else if (!emails.includes(email)) emails.push(email)
+  }
+  return { emails, invalid }
+}
+
+/**
+ * The recipient list to save for `emails`. An address already on the
+ * schedule keeps its token and unsubscribe state, so editing the list never
+ * re-subscribes someone who opted out; new addresses get a fresh token.
+ */
+export function mergeRecipients(
+  existing: readonly ReportScheduleRecipient[],
+  emails: readonly string[],
+  createToken: () => string,
+): readonly ReportScheduleRecipient[] {
+  const byEmail = new Map(existing.map((r) => [r.email.toLowerCase(), r]))
+  return emails.map(
+    (email) => byEmail.get(email) ?? { email, token: createToken(), unsubscribedAt: null },
+  )
+}
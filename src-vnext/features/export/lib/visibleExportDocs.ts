@@ -0,0 +1,72 @@
+import {
+  onSnapshot,
+  orderBy,
+  query,
+  where,
+  type CollectionReference,
+  type Query,
+  type QueryDocumentSnapshot,
+  type Timestamp,
+  type Unsubscribe,
+} from "firebase/firestore"
+
+export interface ExportDocViewer {
+  readonly uid: string | null
+  readonly isAdmin: boolean
+}
+
+/**
+ * The queries that list the export docs `viewer` may see. firestore.rules
+ * only allow a producer's list when it is provable from the query, so a
+ * producer gets two — team docs and their own — while admins keep a single
+ * unfiltered query.
+ */
+export function visibleExportDocQueries(
+  collRef: CollectionReference,
+  viewer: ExportDocViewer,
+): Query[] {
+  if (viewer.isAdmin) return [query(collRef, orderBy("updatedAt", "desc"))]
+  const queries: Query[] = [query(collRef, where("visibility", "==", "team"))]
+  if (viewer.uid) queries.push(query(collRef, where("createdBy", "==", viewer.uid)))
+  return queries
+}
+
+function updatedAtMillis(snap: QueryDocumentSnapshot): number {
+  const ts = snap.get("updatedAt") as Timestamp | null | undefined
+  return ts?.toMillis?.() ?? 0
+}
+
+/**
+ * Live union of `visibleExportDocQueries`, deduped by id and newest first.
+ * `onDocs` fires once every query has delivered its first snapshot.
+ */
+export function subscribeVisibleExportDocs(
+  collRef: CollectionReference,
+  viewer: ExportDocViewer,
+  onDocs: (docs: QueryDocumentSnapshot[]) => void,
+  onError: (err: unknown) => void,
+): Unsubscribe {
+  const queries = visibleExportDocQueries(collRef, viewer)
+  const results: (QueryDocumentSnapshot[] | null)[] = queries.map(() => null)
+
+  const emit = () => {
+    if (results.some((r) => r === null)) return
+    const byId = new Map<string, QueryDocumentSnapshot>()
+    for (const list of results) for (const snap of list ?? []) byId.set(snap.id, snap)
+    onDocs(Array.from(byId.values()).sort((a, b) => updatedAtMillis(b) - updatedAtMillis(a)))
+  }
+
+  const unsubscribes = queries.map((q, index) =>
+    onSnapshot(
+      q,
+      (snapshot) => {
+        results[index] = snapshot.docs
+        emit()
+      },
+      onError,
+    ),
+  )
+  return () => {
+    for (const unsubscribe of unsubscribes) unsubscribe()
+  }
+}
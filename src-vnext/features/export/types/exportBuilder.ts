@@ -1,3 +1,5 @@
+import type { CastingBoardStatus } from "@/shared/types"
+
 /** Block types available in the export builder */
 export type BlockType =
   | "text"
@@ -7,13 +9,24 @@ export type BlockType =
   | "product-table"
   | "pull-sheet"
   | "crew-list"
+  | "schedule-timeline"
+  | "talent-cards"
+  | "location-sheet"
+  | "casting-grid"
   | "divider"
   | "page-break"
 
+/** Project data a block or `{{#each}}` section can repeat over */
+export type TemplateCollectionKey = "scenes" | "talent" | "locations"
+
 /** Base block interface — all blocks extend this */
 export interface BaseBlock {
   readonly id: string
   readonly type: BlockType
+  /** `{{#if}}` condition (e.g. `videoShotCount > 0`); the block is left out of the PDF when false. */
+  readonly visibleIf?: string
+  /** Emit one copy of the block per scene, talent or location, with its `{{scene.name}}`-style fields resolved. */
+  readonly repeat?: TemplateCollectionKey
 }
 
 /** Layout properties shared by most blocks */
@@ -149,6 +162,49 @@ export interface CrewListBlock extends BaseBlock {
   readonly layout?: BlockLayout
 }
 
+/** Schedule timeline block — one shoot day's running order */
+export interface ScheduleTimelineBlock extends BaseBlock {
+  readonly type: "schedule-timeline"
+  readonly scheduleId?: string // undefined = first shoot day
+  readonly trackIds?: readonly string[] // undefined/empty = every track
+  readonly showDuration?: boolean
+  readonly showNotes?: boolean
+  readonly layout?: BlockLayout
+}
+
+/** Talent cards block — headshot cards for the project's talent */
+export interface TalentCardsBlock extends BaseBlock {
+  readonly type: "talent-cards"
+  readonly talentIds?: readonly string[] // undefined/empty = talent cast in shots
+  readonly columns?: 2 | 3 | 4
+  readonly showHeadshot?: boolean
+  readonly showMeasurements?: boolean
+  readonly showAgency?: boolean
+  readonly showContact?: boolean
+  readonly layout?: BlockLayout
+}
+
+/** Location sheet block — address, photo and notes per location */
+export interface LocationSheetBlock extends BaseBlock {
+  readonly type: "location-sheet"
+  readonly locationIds?: readonly string[] // undefined/empty = locations used by shots
+  readonly showPhoto?: boolean
+  readonly showPhone?: boolean
+  readonly showNotes?: boolean
+  readonly layout?: BlockLayout
+}
+
+/** Casting grid block — the project's casting board with statuses */
+export interface CastingGridBlock extends BaseBlock {
+  readonly type: "casting-grid"
+  readonly statuses?: readonly CastingBoardStatus[] // undefined/empty = every status
+  readonly columns?: 3 | 4 | 5
+  readonly showHeadshot?: boolean
+  readonly showRole?: boolean
+  readonly showAgency?: boolean
+  readonly layout?: BlockLayout
+}
+
 /** Divider block */
 export interface DividerBlock extends BaseBlock {
   readonly type: "divider"
@@ -170,6 +226,10 @@ export type ExportBlock =
   | ProductTableBlock
   | PullSheetBlock
   | CrewListBlock
+  | ScheduleTimelineBlock
+  | TalentCardsBlock
+  | LocationSheetBlock
+  | CastingGridBlock
   | DividerBlock
   | PageBreakBlock
 
@@ -251,6 +311,21 @@ export interface ExportTemplate {
   readonly pages: readonly ExportPage[]
   readonly settings: PageSettings
   readonly createdBy?: string
+  /** Workspace templates only: "private" ones are listed for their owner alone. */
+  readonly visibility?: "team" | "private"
   readonly createdAt?: string
   readonly updatedAt?: string
 }
+
+/** Named, immutable copy of a report's content ("Sent to client v2") */
+export interface ExportSnapshot {
+  readonly id: string
+  readonly name: string
+  readonly pages: readonly ExportPage[]
+  readonly settings: PageSettings
+  readonly customVariables: readonly CustomVariable[]
+  /** Report revision the snapshot was taken at. */
+  readonly revision: number
+  readonly createdBy: string
+  readonly createdAt?: string
+}
@@ -0,0 +1,262 @@
+// @vitest-environment node
+/**
+ * Unit tests for the pure helpers in `functions/src/sampleTracking.js`
+ * (scheduled carrier status sync for product samples). The Firestore-backed
+ * `handleSyncSampleTracking` is not exercised here.
+ */
+
+import { describe, expect, it } from "vitest"
+import { createRequire } from "node:module"
+import { resolve } from "node:path"
+
+type TrackingResult = {
+  status: string
+  eta: Date | null
+  deliveredAt: Date | null
+  description: string | null
+}
+
+type Adapter = {
+  name: string
+  getStatus: (input: { carrier: string; tracking: string }) => Promise<unknown>
+}
+
+const require = createRequire(import.meta.url)
+const tracking = require(
+  resolve(__dirname, "../../../../functions/src/sampleTracking.js"),
+) as {
+  detectCarrierKey: (tracking: string, carrierHint?: string | null) => string
+  normalizeTrackingResult: (raw: unknown) => TrackingResult | null
+  createStubAdapter: (fixtures?: Record<string, unknown>) => Adapter
+  resolveCarrierAdapter: (name?: string) => Adapter | null
+  mapTrackingToSamplePatch: (
+    sample: Record<string, unknown>,
+    result: TrackingResult | null,
+    now?: Date,
+  ) => Record<string, unknown> | null
+  computeSampleAggregates: (samples: Array<Record<string, unknown>>) => {
+    sampleCount: number
+    samplesArrivedCount: number
+    earliestSampleEta: Date | null
+    earliestSampleReturnDue: Date | null
+  }
+  buildTrackingActivityEntry: (input: Record<string, unknown>) => Record<string, unknown>
+  parseSamplePath: (path: string) => { clientId: string; familyId: string } | null
+  nextSyncCursor: (
+    docs: Array<{ data: () => Record<string, unknown>; ref: { path: string } }>,
+    pageSize: number,
+  ) => { tracking: string; path: string } | null
+}
+
+function ts(iso: string) {
+  return { toDate: () => new Date(iso) }
+}
+
+const NOW = new Date("2026-04-02T12:00:00Z")
+
+describe("detectCarrierKey", () => {
+  it("prefers a recognizable carrier hint", () => {
+    expect(tracking.detectCarrierKey("123456789012", "Canada Post")).toBe("canada_post")
+  })
+
+  it("falls back to the tracking number format", () => {
+    expect(tracking.detectCarrierKey("1Z999AA10123456784", "")).toBe("ups")
+    expect(tracking.detectCarrierKey("123456789012")).toBe("fedex")
+    expect(tracking.detectCarrierKey("JD014600006281187411")).toBe("dhl")
+  })
+
+  it("returns unknown for unrecognized numbers", () => {
+    expect(tracking.detectCarrierKey("abc", "Courier Bob")).toBe("unknown")
+    expect(tracking.detectCarrierKey("")).toBe("unknown")
+  })
+})
+
+describe("normalizeTrackingResult", () => {
+  it("coerces dates and trims the description", () => {
+    expect(
+      tracking.normalizeTrackingResult({
+        status: "Delivered",
+        eta: "2026-04-01T00:00:00Z",
+        deliveredAt: "2026-04-01T15:30:00Z",
+        description: "  Front desk ",
+      }),
+    ).toEqual({
+      status: "delivered",
+      eta: new Date("2026-04-01T00:00:00Z"),
+      deliveredAt: new Date("2026-04-01T15:30:00Z"),
+      description: "Front desk",
+    })
+  })
+
+  it("drops deliveredAt unless delivered", () => {
+    expect(
+      tracking.normalizeTrackingResult({ status: "in_transit", deliveredAt: "2026-04-01T00:00:00Z" })
+        ?.deliveredAt,
+    ).toBeNull()
+  })
+
+  it("rejects unknown statuses and non-objects", () => {
+    expect(tracking.normalizeTrackingResult({ status: "label_created" })).toBeNull()
+    expect(tracking.normalizeTrackingResult(null)).toBeNull()
+    expect(tracking.normalizeTrackingResult("delivered")).toBeNull()
+  })
+})
+
+describe("stub adapter", () => {
+  it("answers from fixtures, case-insensitively", async () => {
+    const adapter = tracking.createStubAdapter({
+      "1z999aa10123456784": { status: "delivered" },
+    })
+    expect(adapter.name).toBe("stub")
+    await expect(adapter.getStatus({ carrier: "ups", tracking: " 1Z999AA10123456784 " })).resolves.toEqual({
+      status: "delivered",
+    })
+    await expect(adapter.getStatus({ carrier: "ups", tracking: "1Z000" })).resolves.toBeNull()
+  })
+
+  it("resolves by name and rejects unknown adapters", () => {
+    expect(tracking.resolveCarrierAdapter("stub")?.name).toBe("stub")
+    expect(tracking.resolveCarrierAdapter("aftership")).toBeNull()
+  })
+})
+
+describe("mapTrackingToSamplePatch", () => {
+  const sample = { status: "in_transit", eta: ts("2026-04-03T00:00:00Z") }
+
+  it("marks delivered samples arrived with the carrier's delivery time", () => {
+    const deliveredAt = new Date("2026-04-02T09:00:00Z")
+    expect(
+      tracking.mapTrackingToSamplePatch(
+        sample,
+        { status: "delivered", eta: null, deliveredAt, description: null },
+        NOW,
+      ),
+    ).toEqual({ status: "arrived", arrivedAt: deliveredAt })
+  })
+
+  it("stamps arrivedAt with now when the carrier gives no delivery time", () => {
+    expect(
+      tracking.mapTrackingToSamplePatch(
+        sample,
+        { status: "delivered", eta: null, deliveredAt: null, description: null },
+        NOW,
+      ),
+    ).toEqual({ status: "arrived", arrivedAt: NOW })
+  })
+
+  it("flags carrier exceptions as issues", () => {
+    expect(
+      tracking.mapTrackingToSamplePatch(
+        sample,
+        { status: "exception", eta: null, deliveredAt: null, description: "Address unknown" },
+        NOW,
+      ),
+    ).toEqual({ status: "issue" })
+  })
+
+  it("updates only a changed eta", () => {
+    const eta = new Date("2026-04-05T00:00:00Z")
+    expect(
+      tracking.mapTrackingToSamplePatch(sample, { status: "in_transit", eta, deliveredAt: null, description: null }, NOW),
+    ).toEqual({ eta })
+    expect(
+      tracking.mapTrackingToSamplePatch(
+        sample,
+        { status: "in_transit", eta: new Date("2026-04-03T00:00:00Z"), deliveredAt: null, description: null },
+        NOW,
+      ),
+    ).toBeNull()
+  })
+
+  it("returns null without a result", () => {
+    expect(tracking.mapTrackingToSamplePatch(sample, null, NOW)).toBeNull()
+  })
+})
+
+describe("computeSampleAggregates", () => {
+  it("mirrors the client aggregates", () => {
+    expect(
+      tracking.computeSampleAggregates([
+        { status: "in_transit", eta: ts("2026-04-05T00:00:00Z") },
+        { status: "requested", eta: new Date("2026-04-04T00:00:00Z") },
+        { status: "arrived", eta: ts("2026-04-01T00:00:00Z"), returnDueDate: ts("2026-04-20T00:00:00Z") },
+        { status: "arrived", returnDueDate: ts("2026-04-10T00:00:00Z") },
+        { status: "in_transit", eta: ts("2026-03-01T00:00:00Z"), deleted: true },
+      ]),
+    ).toEqual({
+      sampleCount: 4,
+      samplesArrivedCount: 2,
+      earliestSampleEta: new Date("2026-04-04T00:00:00Z"),
+      earliestSampleReturnDue: new Date("2026-04-10T00:00:00Z"),
+    })
+  })
+
+  it("returns nulls for an empty family", () => {
+    expect(tracking.computeSampleAggregates([])).toEqual({
+      sampleCount: 0,
+      samplesArrivedCount: 0,
+      earliestSampleEta: null,
+      earliestSampleReturnDue: null,
+    })
+  })
+})
+
+describe("buildTrackingActivityEntry", () => {
+  it("records the status transition and carrier details", () => {
+    const eta = new Date("2026-04-05T00:00:00Z")
+    expect(
+      tracking.buildTrackingActivityEntry({
+        sampleId: "s1",
+        sample: { type: "shoot", status: "in_transit", tracking: "1Z999AA10123456784" },
+        patch: { eta },
+        result: { status: "in_transit", eta, deliveredAt: null, description: "Departed facility" },
+        carrier: "ups",
+      }),
+    ).toEqual({
+      type: "sample_tracking",
+      source: "carrier_sync",
+      sampleId: "s1",
+      sampleType: "shoot",
+      carrier: "ups",
+      tracking: "1Z999AA10123456784",
+      fromStatus: "in_transit",
+      toStatus: "in_transit",
+      eta,
+      trackingStatus: "in_transit",
+      description: "Departed facility",
+    })
+  })
+})
+
+describe("parseSamplePath", () => {
+  it("extracts client and family ids from product sample paths", () => {
+    expect(tracking.parseSamplePath("clients/c1/productFamilies/f1/samples/s1")).toEqual({
+      clientId: "c1",
+      familyId: "f1",
+    })
+  })
+
+  it("ignores other samples collections", () => {
+    expect(tracking.parseSamplePath("clients/c1/projects/p1/samples/s1")).toBeNull()
+    expect(tracking.parseSamplePath("samples/s1")).toBeNull()
+  })
+})
+
+describe("nextSyncCursor", () => {
+  const doc = (id: string, number: string) => ({
+    data: () => ({ tracking: number }),
+    ref: { path: `clients/c1/productFamilies/f1/samples/${id}` },
+  })
+
+  it("continues after the last sample of a full page", () => {
+    expect(tracking.nextSyncCursor([doc("s1", "1Z001"), doc("s2", "1Z002")], 2)).toEqual({
+      tracking: "1Z002",
+      path: "clients/c1/productFamilies/f1/samples/s2",
+    })
+  })
+
+  it("starts over after a short page", () => {
+    expect(tracking.nextSyncCursor([doc("s1", "1Z001")], 2)).toBeNull()
+    expect(tracking.nextSyncCursor([], 2)).toBeNull()
+  })
+})
@@ -0,0 +1,90 @@
+import type { ProductAssetDelivery, ProductSku } from "@/shared/types"
+import { useProductAssetDeliveries } from "@/features/products/hooks/useProductWorkspace"
+import { ASSET_TYPE_SHORT_LABELS } from "@/features/products/lib/assetRequirements"
+import { formatBytes, formatDateTime } from "@/features/products/lib/productDetailHelpers"
+import { useStorageUrl } from "@/shared/hooks/useStorageUrl"
+import { Badge } from "@/ui/badge"
+import { PackageCheck } from "lucide-react"
+
+const DELIVERY_SOURCE_LABELS: Record<ProductAssetDelivery["source"], string> = {
+  upload: "Uploaded",
+  manifest: "Manifest",
+  capture_one: "Capture One",
+}
+
+function DeliveryRow({
+  delivery,
+  skuLabel,
+}: {
+  readonly delivery: ProductAssetDelivery
+  readonly skuLabel: string
+}) {
+  const url = useStorageUrl(delivery.storagePath ?? undefined)
+  return (
+    <li className="flex items-center justify-between gap-3 rounded-md border border-[var(--color-border)] px-3 py-2">
+      <div className="min-w-0">
+        {url ? (
+          <a
+            href={url}
+            target="_blank"
+            rel="noreferrer"
+            className="block truncate text-sm font-medium text-[var(--color-text)] hover:underline"
+          >
+            {delivery.fileName}
+          </a>
+        ) : (
+          <div className="truncate text-sm font-medium text-[var(--color-text)]">{delivery.fileName}</div>
+        )}
+        <div className="truncate text-xs text-[var(--color-text-muted)]">
+          {skuLabel} · {ASSET_TYPE_SHORT_LABELS[delivery.assetType] ?? delivery.assetType}
+          {delivery.sizeBytes ? ` · ${formatBytes(delivery.sizeBytes)}` : ""}
+          {" · "}
+          {delivery.createdByName ?? "Member"} · {formatDateTime(delivery.createdAt)}
+        </div>
+      </div>
+      <Badge variant="outline" className="shrink-0">
+        {DELIVERY_SOURCE_LABELS[delivery.source]}
+      </Badge>
+    </li>
+  )
+}
+
+/** Evidence behind "delivered" flags: every file registered for the family, newest first. */
+export function AssetDeliveriesPanel({
+  familyId,
+  skus,
+}: {
+  readonly familyId: string
+  readonly skus: ReadonlyArray<ProductSku>
+}) {
+  const { data: deliveries, loading, error } = useProductAssetDeliveries(familyId)
+  const skuLabels = new Map(skus.map((sku) => [sku.id, sku.colorName ?? sku.name]))
+
+  return (
+    <div className="rounded-[var(--radius-lg)] border border-[var(--color-border)] bg-[var(--color-surface)] p-4">
+      <div className="flex items-center gap-2 text-sm font-semibold text-[var(--color-text)]">
+        <PackageCheck className="h-4 w-4 text-[var(--color-text-muted)]" />
+        Delivered files
+      </div>
+      <div className="mt-3">
+        {error ? (
+          <p className="text-xs text-[var(--color-error)]">{error.message}</p>
+        ) : loading ? (
+          <p className="text-xs text-[var(--color-text-muted)]">Loading…</p>
+        ) : deliveries.length === 0 ? (
+          <p className="text-xs text-[var(--color-text-muted)]">No deliveries registered yet.</p>
+        ) : (
+          <ul className="flex flex-col gap-2" aria-label="Delivered files">
+            {deliveries.map((delivery) => (
+              <DeliveryRow
+                key={delivery.id}
+                delivery={delivery}
+                skuLabel={skuLabels.get(delivery.skuId) ?? "Removed colorway"}
+              />
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  )
+}
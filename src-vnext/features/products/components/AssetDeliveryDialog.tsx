@@ -0,0 +1,283 @@
+import { useMemo, useRef, useState } from "react"
+import { FileUp, ListPlus, X } from "lucide-react"
+import type { ProductSku } from "@/shared/types"
+import { useAuth } from "@/app/providers/AuthProvider"
+import { toast } from "@/shared/hooks/use-toast"
+import {
+  applyDeliveredFlags,
+  ASSET_TYPES,
+  matchDeliveryFile,
+} from "@/features/products/lib/assetRequirements"
+import { registerProductAssetDeliveries } from "@/features/products/lib/productWorkspaceWrites"
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/ui/dialog"
+import { Button } from "@/ui/button"
+import { Label } from "@/ui/label"
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/ui/select"
+import { Textarea } from "@/ui/textarea"
+
+interface DeliveryRow {
+  readonly key: string
+  readonly fileName: string
+  readonly file: File | null
+  readonly skuId: string
+  readonly assetType: string
+}
+
+interface AssetDeliveryDialogProps {
+  readonly open: boolean
+  readonly onOpenChange: (open: boolean) => void
+  readonly familyId: string
+  readonly skus: ReadonlyArray<ProductSku>
+}
+
+/**
+ * Registers delivered finals against colorway asset requirements — either
+ * uploaded files or a pasted filename manifest. Each name is matched to a
+ * colorway and asset type up front; the producer can correct any row.
+ */
+export function AssetDeliveryDialog({ open, onOpenChange, familyId, skus }: AssetDeliveryDialogProps) {
+  const { clientId, user } = useAuth()
+  const [rows, setRows] = useState<ReadonlyArray<DeliveryRow>>([])
+  const [manifest, setManifest] = useState("")
+  const [saving, setSaving] = useState(false)
+  const fileInputRef = useRef<HTMLInputElement | null>(null)
+  const rowSeqRef = useRef(0)
+
+  const addRows = (entries: ReadonlyArray<{ readonly fileName: string; readonly file: File | null }>) => {
+    setRows((prev) => [
+      ...prev,
+      ...entries.map((entry) => {
+        const match = matchDeliveryFile(entry.fileName, skus)
+        rowSeqRef.current += 1
+        return {
+          key: `row-${rowSeqRef.current}`,
+          fileName: entry.fileName,
+          file: entry.file,
+          skuId: match.skuId ?? "",
+          assetType: match.assetType ?? "",
+        }
+      }),
+    ])
+  }
+
+  const updateRow = (key: string, patch: Partial<DeliveryRow>) => {
+    setRows((prev) => prev.map((row) => (row.key === key ? { ...row, ...patch } : row)))
+  }
+
+  const handleAddManifest = () => {
+    const names = manifest
+      .split(/\r?\n/)
+      .map((line) => line.trim())
+      .filter(Boolean)
+    if (names.length === 0) return
+    addRows(names.map((fileName) => ({ fileName, file: null })))
+    setManifest("")
+  }
+
+  const incomplete = rows.filter((row) => !row.skuId || !row.assetType).length
+
+  // How many requirements this registration will flip to delivered.
+  const flipCount = useMemo(() => {
+    let count = 0
+    for (const sku of skus) {
+      const types = rows.filter((r) => r.skuId === sku.id && r.assetType).map((r) => r.assetType)
+      const next = applyDeliveredFlags(sku.assetRequirements, types)
+      if (!next) continue
+      count += Object.keys(next).filter(
+        (k) => next[k] === "delivered" && sku.assetRequirements?.[k] !== "delivered",
+      ).length
+    }
+    return count
+  }, [rows, skus])
+
+  const handleRegister = () => {
+    if (!clientId || !user) return
+    setSaving(true)
+    void registerProductAssetDeliveries({
+      clientId,
+      familyId,
+      userId: user.uid,
+      userName: user.displayName,
+      deliveries: rows.map((row) => ({
+        skuId: row.skuId,
+        assetType: row.assetType,
+        fileName: row.fileName,
+        file: row.file,
+      })),
+      allSkus: skus,
+    })
+      .then(({ flipped }) => {
+        toast({
+          title: "Deliveries registered",
+          description: `${rows.length} ${rows.length === 1 ? "file" : "files"} recorded${
+            flipped > 0 ? ` · ${flipped} ${flipped === 1 ? "requirement" : "requirements"} marked delivered` : ""
+          }.`,
+        })
+        setRows([])
+        onOpenChange(false)
+      })
+      .catch((err) => {
+        toast({
+          title: "Registration failed",
+          description: err instanceof Error ? err.message : "Could not register deliveries.",
+        })
+      })
+      .finally(() => setSaving(false))
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-3xl">
+        <DialogHeader>
+          <DialogTitle>Register delivered assets</DialogTitle>
+          <DialogDescription>
+            Upload finals or paste a filename manifest. Matching requirements are marked delivered.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="grid gap-3 md:grid-cols-2">
+          <div className="flex flex-col gap-1">
+            <Label className="text-xs">Files</Label>
+            <input
+              ref={fileInputRef}
+              type="file"
+              multiple
+              accept="image/*,video/*"
+              className="hidden"
+              data-testid="asset-delivery-file-input"
+              onChange={(e) => {
+                const files = Array.from(e.target.files ?? [])
+                addRows(files.map((file) => ({ fileName: file.name, file })))
+                e.target.value = ""
+              }}
+            />
+            <Button
+              type="button"
+              variant="outline"
+              disabled={saving}
+              onClick={() => fileInputRef.current?.click()}
+            >
+              <FileUp className="h-4 w-4" />
+              Choose files
+            </Button>
+          </div>
+          <div className="flex flex-col gap-1">
+            <Label htmlFor="asset-delivery-manifest" className="text-xs">Filename manifest</Label>
+            <Textarea
+              id="asset-delivery-manifest"
+              value={manifest}
+              disabled={saving}
+              onChange={(e) => setManifest(e.target.value)}
+              placeholder="One filename per line"
+              rows={3}
+            />
+            <Button
+              type="button"
+              variant="outline"
+              size="sm"
+              className="self-end"
+              disabled={saving || !manifest.trim()}
+              onClick={handleAddManifest}
+            >
+              <ListPlus className="h-4 w-4" />
+              Add filenames
+            </Button>
+          </div>
+        </div>
+
+        {rows.length > 0 && (
+          <ul className="flex max-h-[40vh] flex-col gap-2 overflow-y-auto" aria-label="Files to register">
+            {rows.map((row) => (
+              <li
+                key={row.key}
+                className="grid grid-cols-[minmax(0,1fr)_10rem_12rem_auto] items-center gap-2 rounded-md border border-[var(--color-border)] px-2 py-1.5"
+              >
+                <div className="min-w-0">
+                  <div className="truncate text-sm text-[var(--color-text)]">{row.fileName}</div>
+                  <div className="text-2xs text-[var(--color-text-subtle)]">
+                    {row.file ? "Upload" : "Manifest only"}
+                  </div>
+                </div>
+                <Select
+                  value={row.skuId}
+                  onValueChange={(value) => updateRow(row.key, { skuId: value })}
+                  disabled={saving}
+                >
+                  <SelectTrigger className="h-8 text-xs" aria-label={`Colorway for ${row.fileName}`}>
+                    <SelectValue placeholder="Pick colorway" />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {skus.map((sku) => (
+                      <SelectItem key={sku.id} value={sku.id} className="text-xs">
+                        {sku.colorName ?? sku.name}
+                        {sku.skuCode ? ` · ${sku.skuCode}` : ""}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+                <Select
+                  value={row.assetType}
+                  onValueChange={(value) => updateRow(row.key, { assetType: value })}
+                  disabled={saving}
+                >
+                  <SelectTrigger className="h-8 text-xs" aria-label={`Asset type for ${row.fileName}`}>
+                    <SelectValue placeholder="Pick asset type" />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {ASSET_TYPES.map((type) => (
+                      <SelectItem key={type.key} value={type.key} className="text-xs">
+                        {type.label}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+                <Button
+                  type="button"
+                  variant="ghost"
+                  size="sm"
+                  className="h-8 w-8 p-0"
+                  aria-label={`Remove ${row.fileName}`}
+                  disabled={saving}
+                  onClick={() => setRows((prev) => prev.filter((r) => r.key !== row.key))}
+                >
+                  <X className="h-4 w-4" />
+                </Button>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        <DialogFooter className="items-center gap-2 sm:justify-between">
+          <p className="text-xs text-[var(--color-text-muted)]" data-testid="asset-delivery-summary">
+            {rows.length === 0
+              ? "No files added yet."
+              : incomplete > 0
+                ? `${incomplete} of ${rows.length} need a colorway and asset type.`
+                : `${rows.length} ${rows.length === 1 ? "file" : "files"} · ${flipCount} ${
+                    flipCount === 1 ? "requirement" : "requirements"
+                  } will be marked delivered.`}
+          </p>
+          <div className="flex gap-2">
+            <Button type="button" variant="outline" onClick={() => onOpenChange(false)} disabled={saving}>
+              Cancel
+            </Button>
+            <Button
+              type="button"
+              onClick={handleRegister}
+              disabled={saving || !clientId || rows.length === 0 || incomplete > 0}
+            >
+              {saving ? "Registering…" : "Register"}
+            </Button>
+          </div>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  )
+}
@@ -0,0 +1,119 @@
+import { useEffect, useState } from "react"
+import { Link } from "react-router-dom"
+import { collection, getDocs } from "firebase/firestore"
+import { db } from "@/shared/lib/firebase"
+import { productFamilySamplesPath } from "@/shared/lib/paths"
+import type { ProductFamily } from "@/shared/types"
+import { mapProductSample } from "@/features/products/lib/mapProductWorkspace"
+import { buildOverdueReturns, type OverdueReturnRow } from "@/features/products/lib/sampleLedger"
+import { Sheet, SheetContent, SheetDescription, SheetHeader, SheetTitle } from "@/ui/sheet"
+import { Badge } from "@/ui/badge"
+
+async function loadOverdueReturns(
+  clientId: string,
+  families: ReadonlyArray<ProductFamily>,
+): Promise<OverdueReturnRow[]> {
+  const groups = await Promise.all(
+    families.map(async (family) => {
+      const path = productFamilySamplesPath(family.id, clientId)
+      const snap = await getDocs(collection(db, path[0]!, ...path.slice(1)))
+      return {
+        family,
+        samples: snap.docs.map((d) => mapProductSample(d.id, d.data() as Record<string, unknown>)),
+      }
+    }),
+  )
+  return buildOverdueReturns(groups)
+}
+
+function sampleTypeLabel(type: string): string {
+  return type === "pre_production" ? "Pre-production" : type === "bulk" ? "Bulk" : "Shoot"
+}
+
+/**
+ * Cross-product report of arrived samples past their return due date.
+ * `families` should already be narrowed with `familiesWithOverdueReturns`
+ * so only those families' samples are read.
+ */
+export function OverdueSampleReturnsSheet({
+  open,
+  onOpenChange,
+  clientId,
+  families,
+}: {
+  readonly open: boolean
+  readonly onOpenChange: (open: boolean) => void
+  readonly clientId: string
+  readonly families: ReadonlyArray<ProductFamily>
+}) {
+  const [rows, setRows] = useState<OverdueReturnRow[] | null>(null)
+  const [error, setError] = useState<string | null>(null)
+
+  useEffect(() => {
+    if (!open) return
+    let cancelled = false
+    setRows(null)
+    setError(null)
+    loadOverdueReturns(clientId, families)
+      .then((next) => {
+        if (!cancelled) setRows(next)
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err instanceof Error ? err.message : "Failed to load samples.")
+      })
+    return () => {
+      cancelled = true
+    }
+  }, [open, clientId, families])
+
+  return (
+    <Sheet open={open} onOpenChange={onOpenChange}>
+      <SheetContent side="right" className="w-full overflow-y-auto sm:max-w-xl">
+        <SheetHeader>
+          <SheetTitle>Overdue sample returns</SheetTitle>
+          <SheetDescription>Arrived samples past their return due date, most overdue first.</SheetDescription>
+        </SheetHeader>
+
+        <div className="mt-4 flex flex-col gap-2">
+          {error ? (
+            <p className="text-sm text-[var(--color-error)]">{error}</p>
+          ) : rows === null ? (
+            <p className="text-sm text-[var(--color-text-muted)]">Loading…</p>
+          ) : rows.length === 0 ? (
+            <p className="text-sm text-[var(--color-text-muted)]">No overdue returns.</p>
+          ) : (
+            <ul className="flex flex-col gap-2" aria-label="Overdue returns">
+              {rows.map((row) => (
+                <li
+                  key={`${row.familyId}:${row.sample.id}`}
+                  className="flex flex-col gap-1 rounded-md border border-[var(--color-border)] bg-[var(--color-surface)] px-3 py-2"
+                >
+                  <div className="flex items-center justify-between gap-2">
+                    <Link
+                      to={`/products/${row.familyId}?section=samples`}
+                      className="truncate text-sm font-medium text-[var(--color-text)] hover:underline"
+                      onClick={() => onOpenChange(false)}
+                    >
+                      {row.styleNumber ? `${row.styleNumber} · ` : ""}
+                      {row.familyName}
+                    </Link>
+                    <Badge variant="destructive" className="shrink-0">
+                      {row.daysOverdue} {row.daysOverdue === 1 ? "day" : "days"} overdue
+                    </Badge>
+                  </div>
+                  <div className="text-xs text-[var(--color-text-muted)]">
+                    {sampleTypeLabel(row.sample.type)}
+                    {row.sample.sizeRun.length > 0 ? ` · ${row.sample.sizeRun.join(", ")}` : ""}
+                    {" · "}Due {row.dueDate.toLocaleDateString()}
+                    {row.holderName ? ` · With ${row.holderName}` : ""}
+                    {row.sample.custody?.projectName ? ` (${row.sample.custody.projectName})` : ""}
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </SheetContent>
+    </Sheet>
+  )
+}
@@ -1,12 +1,18 @@
 import { useState } from "react"
-import type { ProductFamily, ProductComment, ProductSample, ProductDocument } from "@/shared/types"
+import type {
+  ProductActivityEntry,
+  ProductFamily,
+  ProductComment,
+  ProductSample,
+  ProductDocument,
+} from "@/shared/types"
 import { LoadingState } from "@/shared/components/LoadingState"
 import { InlineEmpty } from "@/shared/components/InlineEmpty"
 import { ConfirmDialog } from "@/shared/components/ConfirmDialog"
 import { useAuth } from "@/app/providers/AuthProvider"
 import { isAdmin } from "@/shared/lib/rbac"
 import { createProductComment, setProductCommentDeleted } from "@/features/products/lib/productWorkspaceWrites"
-import { formatDateTime } from "@/features/products/lib/productDetailHelpers"
+import { describeProductActivity, formatDateTime } from "@/features/products/lib/productDetailHelpers"
 import { toast } from "@/shared/hooks/use-toast"
 import { Button } from "@/ui/button"
 import { Separator } from "@/ui/separator"
@@ -22,6 +28,8 @@ interface ProductActivitySectionProps {
   readonly commentsError: { message: string } | null
   readonly visibleSamples: ReadonlyArray<ProductSample>
   readonly visibleDocuments: ReadonlyArray<ProductDocument>
+  /** Server-written feed (carrier tracking sync), newest first. */
+  readonly activity: ReadonlyArray<ProductActivityEntry>
   readonly canEdit: boolean
   readonly clientId: string | null
   readonly userId: string | null
@@ -37,6 +45,7 @@ export function ProductActivitySection({
   commentsError,
   visibleSamples,
   visibleDocuments,
+  activity,
   canEdit,
   clientId,
   userId,
@@ -221,7 +230,7 @@ export function ProductActivitySection({
           Timeline
         </div>
         <p className="mt-1 text-xs text-[var(--color-text-muted)]">
-          Created/updated metadata plus sample/doc activity.
+          Created/updated metadata, carrier tracking updates, and sample/doc activity.
         </p>
 
         <div className="mt-3 flex flex-col gap-2 text-sm">
@@ -230,6 +239,17 @@ export function ProductActivitySection({
             <TimelineEntry label="Product updated" when={formatDateTime(family.updatedAt)} />
           )}
 
+          {activity.slice(0, 10).map((entry) => {
+            const { label, detail } = describeProductActivity(entry)
+            return (
+              <TimelineEntry
+                key={`activity-${entry.id}`}
+                label={label}
+                detail={detail ? `${detail} · ${formatDateTime(entry.createdAt)}` : formatDateTime(entry.createdAt)}
+              />
+            )
+          })}
+
           {visibleDocuments.slice(0, 10).map((doc) => (
             <TimelineEntry
               key={`doc-${doc.id}`}
@@ -0,0 +1,416 @@
+import { useEffect, useMemo, useRef, useState } from "react"
+import { toast } from "sonner"
+import { AlertTriangle, Download, FileUp } from "lucide-react"
+import type { AuthUser, ProductFamily, ProductSku } from "@/shared/types"
+import { readTabularFile, type TabularRows } from "@/shared/lib/tabularImport"
+import { cn } from "@/shared/lib/utils"
+import {
+  CATALOG_IMPORT_FIELDS,
+  autoMapColumns,
+  buildCatalogImportErrorReport,
+  buildImportFamilies,
+  catalogImportTargetIds,
+  planCatalogImport,
+  planEntryIssue,
+  validateCatalogMapping,
+  type CatalogColumnMapping,
+  type CatalogImportAction,
+  type CatalogImportIssue,
+  type CatalogImportPlan,
+  type CatalogImportPlanEntry,
+  type ParsedCatalogImport,
+} from "@/features/products/lib/productCatalogImport"
+import {
+  commitCatalogImport,
+  loadFamilySkus,
+  type CatalogImportProgress,
+  type CatalogImportResult,
+} from "@/features/products/lib/productCatalogImportWrites"
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from "@/ui/dialog"
+import { Badge } from "@/ui/badge"
+import { Button } from "@/ui/button"
+import { Label } from "@/ui/label"
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/ui/select"
+
+interface ProductCatalogImportDialogProps {
+  readonly open: boolean
+  readonly onOpenChange: (open: boolean) => void
+  readonly clientId: string
+  readonly user: AuthUser | null
+  readonly families: ReadonlyArray<ProductFamily>
+}
+
+type ImportStep = "upload" | "map" | "review" | "result"
+
+const NOT_MAPPED = "__none"
+
+const ACTION_LABELS: Readonly<Record<CatalogImportAction, string>> = {
+  create: "Create",
+  update: "Update",
+  merge: "Merge",
+  unchanged: "Unchanged",
+  invalid: "Invalid",
+}
+
+const ACTION_CLASSES: Readonly<Record<CatalogImportAction, string>> = {
+  create: "bg-[var(--color-status-green-bg)] text-[var(--color-status-green-text)]",
+  update: "bg-[var(--color-status-blue-bg)] text-[var(--color-status-blue-text)]",
+  merge: "bg-[var(--color-status-amber-bg)] text-[var(--color-status-amber-text)]",
+  unchanged: "bg-[var(--color-status-gray-bg)] text-[var(--color-status-gray-text)]",
+  invalid: "bg-[var(--color-status-red-bg)] text-[var(--color-status-red-text)]",
+}
+
+function plural(n: number, word: string): string {
+  return `${n} ${n === 1 ? word : `${word}s`}`
+}
+
+function entrySummary(entry: CatalogImportPlanEntry): string {
+  if (entry.problem) return entry.problem
+  const parts: string[] = []
+  if (entry.action === "merge" && entry.target) parts.push(`into "${entry.target.styleName}"`)
+  for (const change of entry.fieldChanges) {
+    parts.push(`${change.label}: ${change.from || "(empty)"} → ${change.to}`)
+  }
+  if (entry.newColorways.length > 0) {
+    parts.push(`+${plural(entry.newColorways.length, "colorway")} (${entry.newColorways.join(", ")})`)
+  }
+  if (entry.updatedColorways.length > 0) {
+    parts.push(`updates ${entry.updatedColorways.join(", ")}`)
+  }
+  return parts.join(" · ")
+}
+
+function downloadErrorReport(issues: ReadonlyArray<CatalogImportIssue>, sourceName: string) {
+  const blob = new Blob([buildCatalogImportErrorReport(issues)], { type: "text/csv;charset=utf-8" })
+  const base = sourceName.replace(/\.[^.]+$/, "") || "product-import"
+  const url = URL.createObjectURL(blob)
+  const a = document.createElement("a")
+  a.href = url
+  a.download = `${base}-errors.csv`
+  document.body.appendChild(a)
+  a.click()
+  a.remove()
+  URL.revokeObjectURL(url)
+}
+
+/**
+ * Catalogue import wizard: upload a CSV/XLSX, map its columns to product and
+ * colorway fields, review a dry-run of creates / updates / merges against the
+ * existing catalogue, then commit in batches. Rows that fail validation or
+ * writing are collected into a downloadable CSV error report.
+ */
+export function ProductCatalogImportDialog({
+  open,
+  onOpenChange,
+  clientId,
+  user,
+  families,
+}: ProductCatalogImportDialogProps) {
+  const [step, setStep] = useState<ImportStep>("upload")
+  const [fileName, setFileName] = useState("")
+  const [rows, setRows] = useState<TabularRows>([])
+  const [mapping, setMapping] = useState<CatalogColumnMapping>({})
+  const [parsed, setParsed] = useState<ParsedCatalogImport | null>(null)
+  const [plan, setPlan] = useState<CatalogImportPlan | null>(null)
+  const [planning, setPlanning] = useState(false)
+  const [committing, setCommitting] = useState(false)
+  const [progress, setProgress] = useState<CatalogImportProgress | null>(null)
+  const [result, setResult] = useState<CatalogImportResult | null>(null)
+  const fileInputRef = useRef<HTMLInputElement | null>(null)
+
+  useEffect(() => {
+    if (open) return
+    setStep("upload")
+    setFileName("")
+    setRows([])
+    setMapping({})
+    setParsed(null)
+    setPlan(null)
+    setProgress(null)
+    setResult(null)
+  }, [open])
+
+  const headers = rows[0] ?? []
+  const sampleRow = rows[1] ?? []
+  const mappingErrors = useMemo(() => validateCatalogMapping(mapping), [mapping])
+
+  const issues = useMemo(() => {
+    const out: CatalogImportIssue[] = [...(parsed?.issues ?? [])]
+    for (const entry of plan?.entries ?? []) {
+      if (entry.action === "invalid") out.push(planEntryIssue(entry))
+    }
+    out.push(...(result?.failures ?? []))
+    return out
+  }, [parsed, plan, result])
+
+  const writableCount = plan ? plan.counts.create + plan.counts.update + plan.counts.merge : 0
+
+  const handleFile = async (file: File) => {
+    try {
+      const read = await readTabularFile(file)
+      if (read.length < 2) {
+        toast.error("Nothing to import", { description: "The file needs a header row and at least one product row." })
+        return
+      }
+      setRows(read)
+      setFileName(file.name)
+      setMapping(autoMapColumns(read[0]!))
+      setStep("map")
+    } catch (err) {
+      console.error("[ProductCatalogImportDialog] Failed to read file:", err)
+      toast.error("Could not read file", {
+        description: err instanceof Error ? err.message : "Unsupported file.",
+      })
+    }
+  }
+
+  const setColumn = (field: keyof CatalogColumnMapping, value: string) => {
+    setMapping((prev) => {
+      const next = { ...prev }
+      if (value === NOT_MAPPED) delete next[field]
+      else next[field] = Number(value)
+      return next
+    })
+  }
+
+  const buildPlan = async () => {
+    setPlanning(true)
+    try {
+      const nextParsed = buildImportFamilies(rows, mapping)
+      const targetIds = catalogImportTargetIds(nextParsed.families, families)
+      const loaded = await Promise.all(targetIds.map((id) => loadFamilySkus(clientId, id)))
+      const skusByFamily = new Map<string, ReadonlyArray<ProductSku>>(
+        targetIds.map((id, i) => [id, loaded[i]!]),
+      )
+      setParsed(nextParsed)
+      setPlan(planCatalogImport(nextParsed.families, families, skusByFamily))
+      setStep("review")
+    } catch (err) {
+      console.error("[ProductCatalogImportDialog] Failed to plan import:", err)
+      toast.error("Could not prepare import", {
+        description: err instanceof Error ? err.message : undefined,
+      })
+    } finally {
+      setPlanning(false)
+    }
+  }
+
+  const commit = async () => {
+    if (!plan || !user) return
+    setCommitting(true)
+    setProgress({ done: 0, total: writableCount })
+    try {
+      const outcome = await commitCatalogImport({
+        clientId,
+        user,
+        entries: plan.entries,
+        onProgress: setProgress,
+      })
+      setResult(outcome)
+      setStep("result")
+      if (outcome.failures.length > 0) {
+        toast.error("Import finished with errors", {
+          description: `${plural(outcome.failures.length, "product")} failed — download the error report.`,
+        })
+      } else {
+        toast.success("Products imported", {
+          description: `${outcome.created} created · ${outcome.updated} updated`,
+        })
+      }
+    } catch (err) {
+      console.error("[ProductCatalogImportDialog] Import failed:", err)
+      toast.error("Import failed", {
+        description: err instanceof Error ? err.message : undefined,
+      })
+    } finally {
+      setCommitting(false)
+    }
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={(next) => { if (!committing) onOpenChange(next) }}>
+      <DialogContent className="max-w-3xl">
+        <DialogHeader>
+          <DialogTitle>Import products</DialogTitle>
+          <DialogDescription>
+            One row per colorway. Rows sharing a style number become one product; existing products are
+            matched by style number and name.
+          </DialogDescription>
+        </DialogHeader>
+
+        {step === "upload" && (
+          <div className="flex flex-col items-center gap-3 rounded-md border border-dashed border-[var(--color-border)] p-8">
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept=".csv,.tsv,.txt,.xlsx"
+              className="hidden"
+              data-testid="product-import-file-input"
+              onChange={(e) => {
+                const file = e.target.files?.[0]
+                if (file) void handleFile(file)
+                e.target.value = ""
+              }}
+            />
+            <Button type="button" variant="outline" onClick={() => fileInputRef.current?.click()}>
+              <FileUp className="h-4 w-4" />
+              Choose CSV / XLSX
+            </Button>
+            <p className="text-xs text-[var(--color-text-muted)]">
+              Columns are matched to fields automatically; you can adjust them next.
+            </p>
+          </div>
+        )}
+
+        {step === "map" && (
+          <div className="flex flex-col gap-3">
+            <p className="text-xs text-[var(--color-text-muted)]">
+              {fileName} · {plural(rows.length - 1, "row")}
+            </p>
+            <div className="grid max-h-[50vh] gap-2 overflow-y-auto sm:grid-cols-2">
+              {CATALOG_IMPORT_FIELDS.map((field) => {
+                const column = mapping[field.key]
+                return (
+                  <div key={field.key} className="flex flex-col gap-1">
+                    <Label className="text-xs">
+                      {field.label}
+                      {field.level === "sku" && (
+                        <span className="ml-1 text-[var(--color-text-subtle)]">(colorway)</span>
+                      )}
+                    </Label>
+                    <Select
+                      value={column === undefined ? NOT_MAPPED : String(column)}
+                      onValueChange={(value) => setColumn(field.key, value)}
+                    >
+                      <SelectTrigger className="h-8 text-xs" aria-label={`${field.label} column`}>
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        <SelectItem value={NOT_MAPPED} className="text-xs">Not imported</SelectItem>
+                        {headers.map((header, index) => (
+                          <SelectItem key={index} value={String(index)} className="text-xs">
+                            {header || `Column ${index + 1}`}
+                          </SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                    {column !== undefined && sampleRow[column] && (
+                      <p className="truncate text-2xs text-[var(--color-text-subtle)]">e.g. {sampleRow[column]}</p>
+                    )}
+                  </div>
+                )
+              })}
+            </div>
+            {mappingErrors.length > 0 && (
+              <ul className="flex flex-col gap-1" data-testid="product-import-mapping-errors">
+                {mappingErrors.map((error) => (
+                  <li key={error} className="text-xs text-[var(--color-error)]">{error}</li>
+                ))}
+              </ul>
+            )}
+            <div className="flex justify-between gap-2">
+              <Button variant="outline" onClick={() => setStep("upload")} disabled={planning}>
+                Back
+              </Button>
+              <Button onClick={buildPlan} disabled={planning || mappingErrors.length > 0}>
+                {planning ? "Checking…" : "Preview import"}
+              </Button>
+            </div>
+          </div>
+        )}
+
+        {step === "review" && plan && parsed && (
+          <div className="flex flex-col gap-3">
+            <div className="flex flex-wrap items-center gap-2 text-xs" data-testid="product-import-counts">
+              {(Object.keys(ACTION_LABELS) as CatalogImportAction[]).map((action) => (
+                <span key={action} className={cn("rounded-full px-2 py-0.5 font-medium", ACTION_CLASSES[action])}>
+                  {plan.counts[action]} {ACTION_LABELS[action].toLowerCase()}
+                </span>
+              ))}
+              {parsed.issues.length > 0 && (
+                <span className="text-[var(--color-error)]">{plural(parsed.issues.length, "row")} skipped</span>
+              )}
+            </div>
+            <ul
+              className="flex max-h-[45vh] flex-col divide-y divide-[var(--color-border)] overflow-y-auto rounded-md border border-[var(--color-border)]"
+              aria-label="Import preview"
+            >
+              {plan.entries.map((entry) => (
+                <li key={entry.imported.key} className="flex flex-col gap-0.5 px-3 py-2 text-xs">
+                  <div className="flex items-center gap-2">
+                    <Badge variant="outline" className={cn("border-transparent px-1.5 py-0 text-2xs", ACTION_CLASSES[entry.action])}>
+                      {ACTION_LABELS[entry.action]}
+                    </Badge>
+                    <span className="font-medium text-[var(--color-text)]">{entry.imported.styleName}</span>
+                    {entry.imported.styleNumber && (
+                      <span className="text-[var(--color-text-muted)]">{entry.imported.styleNumber}</span>
+                    )}
+                    <span className="ml-auto text-2xs text-[var(--color-text-subtle)]">
+                      {entry.imported.rows.length === 1 ? "Row" : "Rows"} {entry.imported.rows.join(", ")}
+                    </span>
+                  </div>
+                  {entrySummary(entry) && (
+                    <p className={cn("text-[var(--color-text-muted)]", entry.problem && "text-[var(--color-error)]")}>
+                      {entrySummary(entry)}
+                    </p>
+                  )}
+                  {entry.warnings.map((warning) => (
+                    <p key={warning} className="flex items-start gap-1 text-2xs text-[var(--color-status-amber-text)]">
+                      <AlertTriangle className="mt-px h-3 w-3 shrink-0" />
+                      {warning}
+                    </p>
+                  ))}
+                </li>
+              ))}
+            </ul>
+            <div className="flex items-center justify-between gap-2">
+              <Button variant="outline" onClick={() => setStep("map")} disabled={committing}>
+                Back
+              </Button>
+              <div className="flex items-center gap-2">
+                {committing && progress && (
+                  <span className="text-xs text-[var(--color-text-muted)]" data-testid="product-import-progress">
+                    {progress.done} / {progress.total}
+                  </span>
+                )}
+                {issues.length > 0 && (
+                  <Button variant="outline" onClick={() => downloadErrorReport(issues, fileName)} disabled={committing}>
+                    <Download className="h-4 w-4" />
+                    Error report
+                  </Button>
+                )}
+                <Button onClick={commit} disabled={committing || !user || writableCount === 0}>
+                  {committing ? "Importing…" : `Import ${plural(writableCount, "product")}`}
+                </Button>
+              </div>
+            </div>
+          </div>
+        )}
+
+        {step === "result" && result && (
+          <div className="flex flex-col gap-3">
+            <p className="text-sm text-[var(--color-text)]" data-testid="product-import-result">
+              {result.created} created · {result.updated} updated
+              {issues.length > 0 ? ` · ${plural(issues.length, "error")}` : ""}
+            </p>
+            <div className="flex justify-end gap-2">
+              {issues.length > 0 && (
+                <Button variant="outline" onClick={() => downloadErrorReport(issues, fileName)}>
+                  <Download className="h-4 w-4" />
+                  Download error report
+                </Button>
+              )}
+              <Button onClick={() => onOpenChange(false)}>Done</Button>
+            </div>
+          </div>
+        )}
+      </DialogContent>
+    </Dialog>
+  )
+}
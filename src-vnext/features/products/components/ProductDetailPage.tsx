@@ -18,7 +18,12 @@ import { LinkedShotsSection } from "@/features/products/components/LinkedShotsSe
 import { setProductFamilyDeleted } from "@/features/products/lib/productWrites"
 import { countActiveRequirements } from "@/features/products/lib/assetRequirements"
 import { useProductFamily, useProductSkus } from "@/features/products/hooks/useProducts"
-import { useProductComments, useProductDocuments, useProductSamples } from "@/features/products/hooks/useProductWorkspace"
+import {
+  useProductActivity,
+  useProductComments,
+  useProductDocuments,
+  useProductSamples,
+} from "@/features/products/hooks/useProductWorkspace"
 import { useLinkedShots } from "@/features/products/hooks/useLinkedShots"
 import { humanizeClassificationKey } from "@/features/products/lib/productClassifications"
 import { useIsMobile } from "@/shared/hooks/useMediaQuery"
@@ -86,6 +91,7 @@ export default function ProductDetailPage() {
   const { data: samples, loading: samplesLoading, error: samplesError } = useProductSamples(fid ?? null)
   const { data: comments, loading: commentsLoading, error: commentsError } = useProductComments(fid ?? null)
   const { data: documents, loading: documentsLoading, error: documentsError } = useProductDocuments(fid ?? null)
+  const { data: activity } = useProductActivity(fid ?? null)
   const { groups: linkedShotGroups, totalCount: linkedShotCount, loading: linkedShotsLoading, error: linkedShotsError } = useLinkedShots(fid ?? null, clientId)
 
   // Derived data
@@ -350,6 +356,7 @@ export default function ProductDetailPage() {
               commentsError={commentsError}
               visibleSamples={visibleSamples}
               visibleDocuments={visibleDocuments}
+              activity={activity}
               canEdit={canEdit}
               clientId={clientId}
               userId={user?.uid ?? null}
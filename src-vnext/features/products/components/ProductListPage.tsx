@@ -32,8 +32,11 @@ import {
   DropdownMenuTrigger,
 } from "@/ui/dropdown-menu"
 import { useKeyboardShortcuts } from "@/shared/hooks/useKeyboardShortcuts"
-import { LayoutGrid, Merge, Package, Plus, Search, SlidersHorizontal, Table, X } from "lucide-react"
+import { FileUp, LayoutGrid, Merge, Package, Plus, RotateCcw, Search, SlidersHorizontal, Table, X } from "lucide-react"
 import { ProductMergeWizard } from "@/features/products/components/ProductMergeWizard"
+import { ProductCatalogImportDialog } from "@/features/products/components/ProductCatalogImportDialog"
+import { OverdueSampleReturnsSheet } from "@/features/products/components/OverdueSampleReturnsSheet"
+import { familiesWithOverdueReturns } from "@/features/products/lib/sampleLedger"
 import { cn } from "@/shared/lib/utils"
 import {
   deriveProductScaffoldOptions,
@@ -82,6 +85,11 @@ export default function ProductListPage() {
   const [selectionMode, setSelectionMode] = useState(false)
   const [showBulkDialog, setShowBulkDialog] = useState(false)
   const [mergeOpen, setMergeOpen] = useState(false)
+  const [importOpen, setImportOpen] = useState(false)
+  const [overdueReturnsOpen, setOverdueReturnsOpen] = useState(false)
+  // Denormalized earliestSampleReturnDue narrows the report to families that
+  // actually owe a return, so only their samples are read.
+  const overdueReturnFamilies = useMemo(() => familiesWithOverdueReturns(families), [families])
   const selection = useProductSelection()
 
   const navigateToCreate = () => {
@@ -252,6 +260,32 @@ export default function ProductListPage() {
               </div>
             )}
 
+            {overdueReturnFamilies.length > 0 && clientId && !selectionMode && (
+              <Button
+                type="button"
+                variant="outline"
+                size="sm"
+                onClick={() => setOverdueReturnsOpen(true)}
+                data-testid="overdue-returns-btn"
+              >
+                <RotateCcw className="h-4 w-4 mr-1.5" />
+                Overdue returns
+              </Button>
+            )}
+
+            {canEdit && clientId && !selectionMode && (
+              <Button
+                type="button"
+                variant="outline"
+                size="sm"
+                onClick={() => setImportOpen(true)}
+                data-testid="product-import-btn"
+              >
+                <FileUp className="h-4 w-4 mr-1.5" />
+                Import
+              </Button>
+            )}
+
             {showMerge && !selectionMode && (
               <Button
                 type="button"
@@ -753,6 +787,25 @@ export default function ProductListPage() {
       />
     )}
 
+    {clientId && (
+      <OverdueSampleReturnsSheet
+        open={overdueReturnsOpen}
+        onOpenChange={setOverdueReturnsOpen}
+        clientId={clientId}
+        families={overdueReturnFamilies}
+      />
+    )}
+
+    {importOpen && clientId && (
+      <ProductCatalogImportDialog
+        open={importOpen}
+        onOpenChange={setImportOpen}
+        clientId={clientId}
+        user={currentUser}
+        families={families}
+      />
+    )}
+
     {mergeOpen && clientId && (
       <ProductMergeWizard
         open={mergeOpen}
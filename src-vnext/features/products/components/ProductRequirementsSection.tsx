@@ -1,12 +1,15 @@
-import { useCallback, useMemo, useSyncExternalStore } from "react"
+import { useCallback, useMemo, useState, useSyncExternalStore } from "react"
 import type { AuthUser, ProductFamily, ProductSku, ProductSample, ProductAssetType, ProductAssetFlag } from "@/shared/types"
 import { ASSET_TYPES, ASSET_FLAG_OPTIONS, summarizeSkuAssetFlags } from "@/features/products/lib/assetRequirements"
 import { ProductLaunchDateField } from "@/features/products/components/ProductLaunchDateField"
 import { SkuRequirementsRow } from "@/features/products/components/SkuRequirementsRow"
+import { AssetDeliveryDialog } from "@/features/products/components/AssetDeliveryDialog"
+import { AssetDeliveriesPanel } from "@/features/products/components/AssetDeliveriesPanel"
 import { updateProductSkuAssetRequirements } from "@/features/products/lib/productWorkspaceWrites"
 import { toast } from "@/shared/hooks/use-toast"
+import { Button } from "@/ui/button"
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/ui/select"
-import { ClipboardCheck, LayoutGrid, Table2 } from "lucide-react"
+import { ClipboardCheck, FileUp, LayoutGrid, Table2 } from "lucide-react"
 
 type ViewMode = "chips" | "table"
 
@@ -79,6 +82,7 @@ export function ProductRequirementsSection({
   const editEnabled = canEdit && !isFamilyDeleted && !!clientId
   const summary = useMemo(() => summarizeSkuAssetFlags(activeSkus), [activeSkus])
   const viewMode = useSyncExternalStore(subscribe, getSnapshot, getServerSnapshot)
+  const [deliveryOpen, setDeliveryOpen] = useState(false)
 
   const aiCount = useMemo(() => {
     let count = 0
@@ -112,6 +116,7 @@ export function ProductRequirementsSection({
         skuId,
         userId,
         assetRequirements: next,
+        allSkus: activeSkus,
       })
     } catch (err) {
       toast({
@@ -137,23 +142,31 @@ export function ProductRequirementsSection({
           </div>
         </div>
         {activeSkus.length > 0 && (
-          <button
-            type="button"
-            onClick={handleToggleView}
-            className="flex items-center gap-1.5 rounded-md px-2 py-1 text-xs text-[var(--color-text-muted)] transition-colors hover:bg-[var(--color-surface-subtle)] hover:text-[var(--color-text)]"
-          >
-            {viewMode === "chips" ? (
-              <>
-                <Table2 className="h-3.5 w-3.5" />
-                Table view
-              </>
-            ) : (
-              <>
-                <LayoutGrid className="h-3.5 w-3.5" />
-                Chip view
-              </>
+          <div className="flex items-center gap-2">
+            {editEnabled && (
+              <Button type="button" variant="outline" size="sm" onClick={() => setDeliveryOpen(true)}>
+                <FileUp className="h-4 w-4" />
+                Register deliveries
+              </Button>
             )}
-          </button>
+            <button
+              type="button"
+              onClick={handleToggleView}
+              className="flex items-center gap-1.5 rounded-md px-2 py-1 text-xs text-[var(--color-text-muted)] transition-colors hover:bg-[var(--color-surface-subtle)] hover:text-[var(--color-text)]"
+            >
+              {viewMode === "chips" ? (
+                <>
+                  <Table2 className="h-3.5 w-3.5" />
+                  Table view
+                </>
+              ) : (
+                <>
+                  <LayoutGrid className="h-3.5 w-3.5" />
+                  Chip view
+                </>
+              )}
+            </button>
+          </div>
         )}
       </div>
 
@@ -291,6 +304,8 @@ export function ProductRequirementsSection({
         </div>
       )}
 
+      {activeSkus.length > 0 && <AssetDeliveriesPanel familyId={family.id} skus={activeSkus} />}
+
       {/* Sample readiness summary */}
       {visibleSamples.length > 0 && (
         <div className="rounded-[var(--radius-lg)] border border-[var(--color-border)] bg-[var(--color-surface)] p-4">
@@ -301,6 +316,15 @@ export function ProductRequirementsSection({
           </div>
         </div>
       )}
+
+      {deliveryOpen && (
+        <AssetDeliveryDialog
+          open={deliveryOpen}
+          onOpenChange={setDeliveryOpen}
+          familyId={family.id}
+          skus={activeSkus}
+        />
+      )}
     </div>
   )
 }
@@ -8,6 +8,11 @@ import {
   createProductSample,
   updateProductSample,
 } from "@/features/products/lib/productWorkspaceWrites"
+import { findSampleByScan } from "@/features/products/lib/sampleLedger"
+import { SampleCustodyDialog } from "@/features/products/components/SampleCustodyDialog"
+import { SampleLedgerHistory } from "@/features/products/components/SampleLedgerHistory"
+import { SampleLabelsPrintPortal, type SampleLabel } from "@/features/products/components/SampleLabelsPrintPortal"
+import { SampleScanPanel } from "@/features/products/components/SampleScanPanel"
 import {
   formatDateTime,
   parseDateInput,
@@ -25,7 +30,7 @@ import { Label } from "@/ui/label"
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/ui/select"
 import { Textarea } from "@/ui/textarea"
 import { Sheet, SheetContent, SheetFooter, SheetHeader, SheetTitle } from "@/ui/sheet"
-import { AlertTriangle, Box, Clock, ExternalLink, Plus, RotateCcw, Trash2 } from "lucide-react"
+import { AlertTriangle, Box, Clock, ExternalLink, LogIn, LogOut, Plus, Printer, RotateCcw, ScanLine, Trash2, User } from "lucide-react"
 import { cn } from "@/shared/lib/utils"
 import { detectCarrier, getTrackingUrl, normalizeCarrierName, CARRIER_NAMES } from "@/shared/lib/carrierDetection"
 
@@ -43,6 +48,10 @@ const STATUS_PIPELINE: ReadonlyArray<{ key: SampleStatusFilter; label: string }>
   { key: "issue", label: "Issues" },
 ]
 
+function sampleTypeLabel(type: ProductSampleType): string {
+  return type === "pre_production" ? "Pre-production" : type === "bulk" ? "Bulk" : "Shoot"
+}
+
 interface ProductSamplesSectionProps {
   readonly family: ProductFamily
   readonly activeSkus: ReadonlyArray<ProductSku>
@@ -74,6 +83,12 @@ export function ProductSamplesSection({
   const [saving, setSaving] = useState(false)
   const [mutatingId, setMutatingId] = useState<string | null>(null)
   const [deleteConfirmOpen, setDeleteConfirmOpen] = useState(false)
+  const [scanMode, setScanMode] = useState(false)
+  const [custodyTarget, setCustodyTarget] = useState<{
+    readonly sampleId: string
+    readonly scanned: boolean
+  } | null>(null)
+  const [printOpen, setPrintOpen] = useState(false)
   const [draft, setDraft] = useState<{
     readonly type: ProductSampleType
     readonly status: ProductSampleStatus
@@ -134,6 +149,33 @@ export function ProductSamplesSection({
     return out
   }, [statusFilter, typeFilter, scopedSamples])
 
+  const scopeLabel = (sample: ProductSample): string | null =>
+    sample.scopeSkuId ? scopeSkuOptions.find((o) => o.id === sample.scopeSkuId)?.label ?? null : null
+
+  const sampleLabel = (sample: ProductSample): string =>
+    [sampleTypeLabel(sample.type), scopeLabel(sample)].filter(Boolean).join(" · ")
+
+  // Resolve from the live list so the dialog sees fresh custody after writes.
+  const custodySample = custodyTarget
+    ? visibleSamples.find((s) => s.id === custodyTarget.sampleId) ?? null
+    : null
+
+  const labels: SampleLabel[] = filteredSamples.map((sample) => ({
+    sampleId: sample.id,
+    title: [family.styleNumber, family.styleName].filter(Boolean).join(" · "),
+    subtitle: [
+      sampleLabel(sample),
+      sample.sizeRun.length > 0 ? sample.sizeRun.join(", ") : null,
+    ].filter(Boolean).join(" · ") || null,
+  }))
+
+  const handleScan = (raw: string): string | null => {
+    const match = findSampleByScan(visibleSamples, raw)
+    if (!match) return `No sample on this product matches "${raw.trim()}".`
+    setCustodyTarget({ sampleId: match.id, scanned: true })
+    return null
+  }
+
   const openNewSample = () => {
     setActiveSample(null)
     setDraft({
@@ -262,14 +304,37 @@ export function ProductSamplesSection({
             Track sample requests, shipping, arrivals, and issues.
           </p>
         </div>
-        {canEdit && !isFamilyDeleted && (
-          <Button type="button" onClick={openNewSample} disabled={!clientId || saving || samplesLoading}>
-            <Plus className="h-4 w-4" />
-            Add sample
-          </Button>
-        )}
+        <div className="flex flex-wrap items-center gap-2">
+          {filteredSamples.length > 0 && (
+            <Button type="button" variant="outline" onClick={() => setPrintOpen(true)} disabled={samplesLoading}>
+              <Printer className="h-4 w-4" />
+              Print labels
+            </Button>
+          )}
+          {canEdit && !isFamilyDeleted && (
+            <Button
+              type="button"
+              variant={scanMode ? "secondary" : "outline"}
+              onClick={() => setScanMode((on) => !on)}
+              disabled={!clientId || samplesLoading}
+            >
+              <ScanLine className="h-4 w-4" />
+              Scan
+            </Button>
+          )}
+          {canEdit && !isFamilyDeleted && (
+            <Button type="button" onClick={openNewSample} disabled={!clientId || saving || samplesLoading}>
+              <Plus className="h-4 w-4" />
+              Add sample
+            </Button>
+          )}
+        </div>
       </div>
 
+      {scanMode && canEdit && !isFamilyDeleted && (
+        <SampleScanPanel onScan={handleScan} onClose={() => setScanMode(false)} />
+      )}
+
       {samplesError && (
         <div className="rounded-md border border-[var(--color-border)] bg-[var(--color-surface)] p-3 text-sm text-[var(--color-error)]">
           {samplesError.message}
@@ -369,6 +434,7 @@ export function ProductSamplesSection({
                   mutatingId={mutatingId}
                   onEdit={openEditSample}
                   onStatusChange={handleInlineStatusChange}
+                  onCustody={(target) => setCustodyTarget({ sampleId: target.id, scanned: false })}
                 />
               ))}
             </div>
@@ -521,6 +587,10 @@ export function ProductSamplesSection({
               />
             </div>
 
+            {activeSample && (
+              <SampleLedgerHistory familyId={family.id} sampleId={activeSample.id} />
+            )}
+
             {activeSample && (
               <div className="rounded-md border border-[var(--color-border)] bg-[var(--color-surface-subtle)] p-3 text-xs text-[var(--color-text-muted)]">
                 Created {formatDateTime(activeSample.createdAt)} · Updated {formatDateTime(activeSample.updatedAt ?? activeSample.createdAt)}
@@ -555,6 +625,23 @@ export function ProductSamplesSection({
         </SheetContent>
       </Sheet>
 
+      {custodySample && (
+        <SampleCustodyDialog
+          key={custodySample.id}
+          open
+          onOpenChange={(open) => {
+            if (!open) setCustodyTarget(null)
+          }}
+          familyId={family.id}
+          sample={custodySample}
+          sampleLabel={sampleLabel(custodySample)}
+          allSamples={samples}
+          scanned={custodyTarget?.scanned ?? false}
+        />
+      )}
+
+      <SampleLabelsPrintPortal open={printOpen} onOpenChange={setPrintOpen} labels={labels} />
+
       <ConfirmDialog
         open={deleteConfirmOpen}
         onOpenChange={setDeleteConfirmOpen}
@@ -599,6 +686,7 @@ function SampleRow({
   mutatingId,
   onEdit,
   onStatusChange,
+  onCustody,
 }: {
   readonly sample: ProductSample
   readonly scopeSkuOptions: ReadonlyArray<{ id: string; label: string }>
@@ -607,6 +695,7 @@ function SampleRow({
   readonly mutatingId: string | null
   readonly onEdit: (sample: ProductSample) => void
   readonly onStatusChange: (sample: ProductSample, status: ProductSampleStatus) => void
+  readonly onCustody: (sample: ProductSample) => void
 }) {
   const overdue = isSampleOverdue(sample)
   const dueSoon = !overdue && isSampleDueSoon(sample)
@@ -632,7 +721,7 @@ function SampleRow({
       <div className="min-w-0">
         <div className="flex flex-wrap items-center gap-2">
           <span className="text-sm font-medium text-[var(--color-text)]">
-            {sample.type === "pre_production" ? "Pre-production" : sample.type === "bulk" ? "Bulk" : "Shoot"}
+            {sampleTypeLabel(sample.type)}
           </span>
           <Badge variant="outline" className="text-xs font-normal text-[var(--color-text-muted)]">
             {sample.status.split("_").join(" ")}
@@ -666,6 +755,13 @@ function SampleRow({
               Return due soon
             </Badge>
           )}
+          {sample.custody && (
+            <Badge variant="secondary" className="gap-1 text-xs font-normal">
+              <User className="h-3 w-3" />
+              With {sample.custody.holderName}
+              {sample.custody.projectName ? ` · ${sample.custody.projectName}` : ""}
+            </Badge>
+          )}
           {conditionMeta && (
             <Badge className={cn("gap-1", {
               "border-green-200 bg-green-50 text-green-700 dark:border-green-800 dark:bg-green-950 dark:text-green-300": conditionMeta.color === "green",
@@ -688,6 +784,16 @@ function SampleRow({
           onClick={(e) => e.stopPropagation()}
           onKeyDown={(e) => e.stopPropagation()}
         >
+          <Button
+            type="button"
+            variant="outline"
+            size="sm"
+            className="h-9"
+            onClick={() => onCustody(sample)}
+          >
+            {sample.custody ? <LogIn className="h-4 w-4" /> : <LogOut className="h-4 w-4" />}
+            {sample.custody ? "Check in" : "Check out"}
+          </Button>
           <Select
             value={sample.status}
             onValueChange={(value) => onStatusChange(sample, value as ProductSampleStatus)}
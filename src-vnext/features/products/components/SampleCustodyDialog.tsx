@@ -0,0 +1,219 @@
+import { useState } from "react"
+import type { ProductSample, ProductSampleCondition } from "@/shared/types"
+import { useAuth } from "@/app/providers/AuthProvider"
+import { useProjects } from "@/features/projects/hooks/useProjects"
+import { toast } from "@/shared/hooks/use-toast"
+import {
+  checkInProductSample,
+  checkOutProductSample,
+} from "@/features/products/lib/productWorkspaceWrites"
+import { nextLedgerAction, sampleLabelCode } from "@/features/products/lib/sampleLedger"
+import { formatDateTime, parseDateInput, SAMPLE_CONDITIONS } from "@/features/products/lib/productDetailHelpers"
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/ui/dialog"
+import { Button } from "@/ui/button"
+import { Input } from "@/ui/input"
+import { Label } from "@/ui/label"
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/ui/select"
+import { Textarea } from "@/ui/textarea"
+
+const NO_PROJECT = "__none__"
+const NO_CONDITION = "__none__"
+
+interface SampleCustodyDialogProps {
+  readonly open: boolean
+  readonly onOpenChange: (open: boolean) => void
+  readonly familyId: string
+  readonly sample: ProductSample
+  readonly sampleLabel: string
+  readonly allSamples: ReadonlyArray<ProductSample>
+  /** Found via a scanned label — recorded on the ledger entry. */
+  readonly scanned?: boolean
+}
+
+export function SampleCustodyDialog({
+  open,
+  onOpenChange,
+  familyId,
+  sample,
+  sampleLabel,
+  allSamples,
+  scanned = false,
+}: SampleCustodyDialogProps) {
+  const { clientId, user } = useAuth()
+  const { data: projects } = useProjects()
+  // Fixed at open: the live sample flips custody as soon as the write lands.
+  const [action] = useState(() => nextLedgerAction(sample))
+
+  const [holderName, setHolderName] = useState("")
+  const [projectId, setProjectId] = useState("")
+  const [returnDue, setReturnDue] = useState(
+    sample.returnDueDate ? sample.returnDueDate.toDate().toISOString().slice(0, 10) : "",
+  )
+  const [condition, setCondition] = useState<ProductSampleCondition | "">(sample.condition ?? "")
+  const [notes, setNotes] = useState("")
+  const [saving, setSaving] = useState(false)
+
+  const activeProjects = projects.filter((p) => !p.deletedAt && p.status !== "archived")
+
+  const handleSubmit = () => {
+    if (!clientId || !user) return
+    setSaving(true)
+    const op =
+      action === "check_out"
+        ? checkOutProductSample({
+            clientId,
+            familyId,
+            sample,
+            userId: user.uid,
+            userName: user.displayName,
+            holderName,
+            projectId: projectId || null,
+            projectName: activeProjects.find((p) => p.id === projectId)?.name ?? null,
+            returnDueDate: parseDateInput(returnDue),
+            notes,
+            scanned,
+            allSamples,
+          })
+        : checkInProductSample({
+            clientId,
+            familyId,
+            sample,
+            userId: user.uid,
+            userName: user.displayName,
+            condition: condition || null,
+            notes,
+            scanned,
+          })
+
+    void op
+      .then(() => {
+        toast({
+          title: action === "check_out" ? "Checked out" : "Checked in",
+          description:
+            action === "check_out"
+              ? `${sampleLabel} is with ${holderName.trim()}.`
+              : `${sampleLabel} is back in the sample room.`,
+        })
+        onOpenChange(false)
+      })
+      .catch((err) => {
+        toast({
+          title: "Save failed",
+          description: err instanceof Error ? err.message : "Failed to update custody.",
+        })
+      })
+      .finally(() => setSaving(false))
+  }
+
+  const canSubmit = !saving && !!clientId && (action === "check_in" || holderName.trim().length > 0)
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent>
+        <DialogHeader>
+          <DialogTitle>{action === "check_out" ? "Check out sample" : "Check in sample"}</DialogTitle>
+          <DialogDescription>
+            {sampleLabel} · <span className="font-mono">{sampleLabelCode(sample.id)}</span>
+          </DialogDescription>
+        </DialogHeader>
+
+        {action === "check_out" ? (
+          <div className="grid gap-3">
+            <div className="flex flex-col gap-1">
+              <Label htmlFor="custody-holder" className="text-xs">Checked out to</Label>
+              <Input
+                id="custody-holder"
+                value={holderName}
+                disabled={saving}
+                onChange={(e) => setHolderName(e.target.value)}
+                placeholder="Stylist, photographer…"
+                autoFocus
+              />
+            </div>
+            <div className="grid gap-3 md:grid-cols-2">
+              <div className="flex flex-col gap-1">
+                <Label className="text-xs">Shoot</Label>
+                <Select
+                  value={projectId || NO_PROJECT}
+                  onValueChange={(value) => setProjectId(value === NO_PROJECT ? "" : value)}
+                  disabled={saving}
+                >
+                  <SelectTrigger aria-label="Shoot"><SelectValue placeholder="No shoot" /></SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value={NO_PROJECT}>No shoot</SelectItem>
+                    {activeProjects.map((p) => (
+                      <SelectItem key={p.id} value={p.id}>{p.name}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <div className="flex flex-col gap-1">
+                <Label htmlFor="custody-return-due" className="text-xs">Return due</Label>
+                <Input
+                  id="custody-return-due"
+                  type="date"
+                  value={returnDue}
+                  disabled={saving}
+                  onChange={(e) => setReturnDue(e.target.value)}
+                />
+              </div>
+            </div>
+          </div>
+        ) : (
+          <div className="grid gap-3">
+            <p className="text-sm text-[var(--color-text-muted)]">
+              With <span className="font-medium text-[var(--color-text)]">{sample.custody?.holderName}</span>
+              {sample.custody?.projectName ? ` for ${sample.custody.projectName}` : ""} since{" "}
+              {formatDateTime(sample.custody?.checkedOutAt)}
+            </p>
+            <div className="flex flex-col gap-1">
+              <Label className="text-xs">Condition</Label>
+              <Select
+                value={condition || NO_CONDITION}
+                onValueChange={(value) =>
+                  setCondition(value === NO_CONDITION ? "" : (value as ProductSampleCondition))
+                }
+                disabled={saving}
+              >
+                <SelectTrigger aria-label="Condition"><SelectValue placeholder="Not set" /></SelectTrigger>
+                <SelectContent>
+                  <SelectItem value={NO_CONDITION}>Not set</SelectItem>
+                  {SAMPLE_CONDITIONS.map((opt) => (
+                    <SelectItem key={opt.key} value={opt.key}>{opt.label}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+          </div>
+        )}
+
+        <div className="flex flex-col gap-1">
+          <Label htmlFor="custody-notes" className="text-xs">Notes</Label>
+          <Textarea
+            id="custody-notes"
+            value={notes}
+            disabled={saving}
+            onChange={(e) => setNotes(e.target.value)}
+            placeholder="Optional"
+          />
+        </div>
+
+        <DialogFooter>
+          <Button type="button" variant="outline" onClick={() => onOpenChange(false)} disabled={saving}>
+            Cancel
+          </Button>
+          <Button type="button" onClick={handleSubmit} disabled={!canSubmit}>
+            {action === "check_out" ? "Check out" : "Check in"}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  )
+}
@@ -0,0 +1,122 @@
+import { createPortal } from "react-dom"
+import { useEffect, useRef, useState } from "react"
+import { toast } from "@/shared/hooks/use-toast"
+import { code39Bars, sampleLabelCode } from "@/features/products/lib/sampleLedger"
+
+export interface SampleLabel {
+  readonly sampleId: string
+  readonly title: string
+  readonly subtitle: string | null
+}
+
+const MODULE_WIDTH = 2
+const BAR_HEIGHT = 48
+
+export function SampleBarcode({ code }: { readonly code: string }) {
+  const bars = code39Bars(code)
+  const last = bars[bars.length - 1]
+  const width = last ? (last[0] + last[1]) * MODULE_WIDTH : 0
+  return (
+    <svg
+      role="img"
+      aria-label={`Barcode ${code}`}
+      viewBox={`0 0 ${width} ${BAR_HEIGHT}`}
+      width="100%"
+      height={BAR_HEIGHT}
+      preserveAspectRatio="none"
+      shapeRendering="crispEdges"
+    >
+      {bars.map(([start, size]) => (
+        <rect key={start} x={start * MODULE_WIDTH} y={0} width={size * MODULE_WIDTH} height={BAR_HEIGHT} fill="#000" />
+      ))}
+    </svg>
+  )
+}
+
+function LabelSheet({ labels }: { readonly labels: ReadonlyArray<SampleLabel> }) {
+  // bg-white is intentional: labels always print on white stock
+  return (
+    <div data-sample-labels-print-root className="min-h-screen bg-white p-6">
+      <div className="grid grid-cols-2 gap-4">
+        {labels.map((label) => {
+          const code = sampleLabelCode(label.sampleId)
+          return (
+            <div
+              key={label.sampleId}
+              className="sample-label flex flex-col gap-1 rounded border border-black/30 p-3 text-black"
+            >
+              <div className="truncate text-sm font-semibold">{label.title}</div>
+              {label.subtitle && <div className="truncate text-xs">{label.subtitle}</div>}
+              <SampleBarcode code={code} />
+              <div className="text-center font-mono text-xs tracking-wider">{code}</div>
+            </div>
+          )
+        })}
+      </div>
+    </div>
+  )
+}
+
+/**
+ * Renders Code 39 sample labels into a print-only portal and opens the
+ * browser print dialog. Closes itself after printing.
+ */
+export function SampleLabelsPrintPortal({
+  open,
+  onOpenChange,
+  labels,
+}: {
+  readonly open: boolean
+  readonly onOpenChange: (open: boolean) => void
+  readonly labels: ReadonlyArray<SampleLabel>
+}) {
+  const [container] = useState(() => {
+    const el = document.createElement("div")
+    el.setAttribute("data-sample-labels-print-portal", "1")
+    el.style.position = "fixed"
+    el.style.inset = "0"
+    el.style.background = "white"
+    el.style.zIndex = "9999"
+    el.style.overflow = "auto"
+    return el
+  })
+  const closeTimerRef = useRef<number | null>(null)
+
+  useEffect(() => {
+    if (!open) return
+    document.body.appendChild(container)
+    document.body.setAttribute("data-sample-labels-printing", "1")
+
+    const handleAfterPrint = () => onOpenChange(false)
+    window.addEventListener("afterprint", handleAfterPrint)
+
+    // Labels are plain SVG — print on the next frame once they're laid out.
+    const frame = window.requestAnimationFrame(() => {
+      try {
+        window.print()
+        closeTimerRef.current = window.setTimeout(() => onOpenChange(false), 250)
+      } catch {
+        toast({ title: "Print failed", description: "Could not open the print dialog." })
+        onOpenChange(false)
+      }
+    })
+
+    return () => {
+      window.cancelAnimationFrame(frame)
+      window.removeEventListener("afterprint", handleAfterPrint)
+      document.body.removeAttribute("data-sample-labels-printing")
+      if (closeTimerRef.current !== null) {
+        window.clearTimeout(closeTimerRef.current)
+        closeTimerRef.current = null
+      }
+      try {
+        container.remove()
+      } catch {
+        // ignore
+      }
+    }
+  }, [open, container, onOpenChange])
+
+  if (!open) return null
+  return createPortal(<LabelSheet labels={labels} />, container)
+}
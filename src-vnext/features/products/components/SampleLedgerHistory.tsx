@@ -0,0 +1,59 @@
+import { useProductSampleLedger } from "@/features/products/hooks/useProductWorkspace"
+import { LEDGER_ACTION_LABELS } from "@/features/products/lib/sampleLedger"
+import { formatDateTime, SAMPLE_CONDITIONS } from "@/features/products/lib/productDetailHelpers"
+import { Badge } from "@/ui/badge"
+
+/** Custody history for one sample, newest first. */
+export function SampleLedgerHistory({
+  familyId,
+  sampleId,
+}: {
+  readonly familyId: string
+  readonly sampleId: string
+}) {
+  const { data: entries, loading, error } = useProductSampleLedger(familyId, sampleId)
+
+  return (
+    <div className="flex flex-col gap-2">
+      <div className="text-2xs uppercase tracking-wider text-[var(--color-text-subtle)]">Custody history</div>
+      {error ? (
+        <p className="text-xs text-[var(--color-error)]">{error.message}</p>
+      ) : loading ? (
+        <p className="text-xs text-[var(--color-text-muted)]">Loading…</p>
+      ) : entries.length === 0 ? (
+        <p className="text-xs text-[var(--color-text-muted)]">Never checked out.</p>
+      ) : (
+        <ol className="flex flex-col gap-1.5" aria-label="Custody history">
+          {entries.map((entry) => {
+            const condition = entry.condition
+              ? SAMPLE_CONDITIONS.find((c) => c.key === entry.condition)?.label ?? entry.condition
+              : null
+            return (
+              <li
+                key={entry.id}
+                className="flex flex-wrap items-center gap-x-2 gap-y-0.5 rounded-md border border-[var(--color-border)] px-2 py-1.5 text-xs"
+              >
+                <Badge variant={entry.action === "check_out" ? "secondary" : "outline"}>
+                  {LEDGER_ACTION_LABELS[entry.action]}
+                </Badge>
+                <span className="text-[var(--color-text)]">
+                  {entry.action === "check_out" ? "to" : "from"} {entry.holderName ?? "—"}
+                  {entry.projectName ? ` · ${entry.projectName}` : ""}
+                </span>
+                {condition && <span className="text-[var(--color-text-muted)]">· {condition}</span>}
+                <span className="ml-auto text-[var(--color-text-subtle)]">
+                  {formatDateTime(entry.createdAt)}
+                  {entry.createdByName ? ` · ${entry.createdByName}` : ""}
+                  {entry.scanned ? " · scanned" : ""}
+                </span>
+                {entry.notes && (
+                  <span className="w-full text-[var(--color-text-muted)]">{entry.notes}</span>
+                )}
+              </li>
+            )
+          })}
+        </ol>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,161 @@
+import { useEffect, useRef, useState } from "react"
+import { Camera, CameraOff, ScanLine } from "lucide-react"
+import { Button } from "@/ui/button"
+import { Input } from "@/ui/input"
+import { Label } from "@/ui/label"
+
+// Shape-Detection API — not in the TS DOM lib yet, and Chromium-only.
+interface DetectedBarcode {
+  readonly rawValue: string
+}
+interface BarcodeDetectorLike {
+  detect(source: HTMLVideoElement): Promise<DetectedBarcode[]>
+}
+type BarcodeDetectorCtor = new (options?: { formats?: string[] }) => BarcodeDetectorLike
+
+const SCAN_FORMATS = ["code_39", "code_128", "qr_code"]
+const SCAN_INTERVAL_MS = 300
+
+function getBarcodeDetector(): BarcodeDetectorCtor | null {
+  if (typeof window === "undefined") return null
+  const ctor = (window as unknown as { BarcodeDetector?: BarcodeDetectorCtor }).BarcodeDetector
+  const hasCamera = typeof navigator !== "undefined" && !!navigator.mediaDevices?.getUserMedia
+  return ctor && hasCamera ? ctor : null
+}
+
+interface SampleScanPanelProps {
+  /** Returns an error message when the code doesn't match a sample. */
+  readonly onScan: (raw: string) => string | null
+  readonly onClose: () => void
+}
+
+/**
+ * Scan mode for the samples list. Handheld scanners type the code and press
+ * Enter, so the input stays focused; the camera path decodes labels with the
+ * browser's BarcodeDetector where available.
+ */
+export function SampleScanPanel({ onScan, onClose }: SampleScanPanelProps) {
+  const [value, setValue] = useState("")
+  const [error, setError] = useState<string | null>(null)
+  const [cameraOn, setCameraOn] = useState(false)
+  const [cameraError, setCameraError] = useState<string | null>(null)
+  const videoRef = useRef<HTMLVideoElement | null>(null)
+  const inputRef = useRef<HTMLInputElement | null>(null)
+  const onScanRef = useRef(onScan)
+  onScanRef.current = onScan
+  const Detector = getBarcodeDetector()
+
+  const submit = (raw: string) => {
+    if (!raw.trim()) return
+    const message = onScanRef.current(raw)
+    setError(message)
+    setValue("")
+    inputRef.current?.focus()
+  }
+
+  useEffect(() => {
+    if (!cameraOn || !Detector) return
+    let stream: MediaStream | null = null
+    let timer: number | null = null
+    let cancelled = false
+    const detector = new Detector({ formats: SCAN_FORMATS })
+
+    const tick = async () => {
+      const video = videoRef.current
+      if (cancelled || !video || video.readyState < 2) return
+      try {
+        const [hit] = await detector.detect(video)
+        if (hit?.rawValue && !cancelled) {
+          setCameraOn(false)
+          submit(hit.rawValue)
+        }
+      } catch {
+        // Frame not decodable yet — keep polling.
+      }
+    }
+
+    navigator.mediaDevices
+      .getUserMedia({ video: { facingMode: "environment" } })
+      .then((s) => {
+        if (cancelled) {
+          s.getTracks().forEach((t) => t.stop())
+          return
+        }
+        stream = s
+        if (videoRef.current) {
+          videoRef.current.srcObject = s
+          void videoRef.current.play().catch(() => undefined)
+        }
+        timer = window.setInterval(() => void tick(), SCAN_INTERVAL_MS)
+      })
+      .catch(() => {
+        setCameraError("Camera unavailable — type or scan the code instead.")
+        setCameraOn(false)
+      })
+
+    return () => {
+      cancelled = true
+      if (timer !== null) window.clearInterval(timer)
+      stream?.getTracks().forEach((t) => t.stop())
+    }
+  }, [cameraOn])
+
+  return (
+    <div
+      className="flex flex-col gap-3 rounded-[var(--radius-lg)] border border-[var(--color-border)] bg-[var(--color-surface)] p-3"
+      data-testid="sample-scan-panel"
+    >
+      <div className="flex items-center justify-between gap-2">
+        <div className="flex items-center gap-2 text-sm font-medium text-[var(--color-text)]">
+          <ScanLine className="h-4 w-4" />
+          Scan mode
+        </div>
+        <Button type="button" variant="ghost" size="sm" onClick={onClose}>
+          Done
+        </Button>
+      </div>
+      <form
+        className="flex flex-wrap items-end gap-2"
+        onSubmit={(e) => {
+          e.preventDefault()
+          submit(value)
+        }}
+      >
+        <div className="flex min-w-[220px] flex-1 flex-col gap-1">
+          <Label htmlFor="sample-scan-input" className="text-xs">Sample label</Label>
+          <Input
+            id="sample-scan-input"
+            ref={inputRef}
+            value={value}
+            onChange={(e) => setValue(e.target.value)}
+            placeholder="Scan or type SMP-…"
+            autoComplete="off"
+            autoFocus
+          />
+        </div>
+        <Button type="submit" variant="outline" disabled={!value.trim()}>
+          Find
+        </Button>
+        {Detector && (
+          <Button type="button" variant="outline" onClick={() => setCameraOn((on) => !on)}>
+            {cameraOn ? <CameraOff className="h-4 w-4" /> : <Camera className="h-4 w-4" />}
+            {cameraOn ? "Stop camera" : "Use camera"}
+          </Button>
+        )}
+      </form>
+      {cameraOn && (
+        <video
+          ref={videoRef}
+          className="aspect-video w-full max-w-md rounded-md bg-black object-cover"
+          muted
+          playsInline
+        />
+      )}
+      {(error ?? cameraError) && (
+        <p className="text-xs text-[var(--color-error)]" role="alert">
+          {error ?? cameraError}
+        </p>
+      )}
+    </div>
+  )
+}
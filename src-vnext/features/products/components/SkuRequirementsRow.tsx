@@ -1,6 +1,11 @@
 import type { Timestamp } from "firebase/firestore"
 import type { AuthUser, ProductAssetFlag, ProductAssetRequirements, ProductFamily, ProductSku } from "@/shared/types"
-import { ASSET_TYPES, LEGACY_ASSET_TYPES, ASSET_FLAG_OPTIONS } from "@/features/products/lib/assetRequirements"
+import {
+  ASSET_TYPES,
+  LEGACY_ASSET_TYPES,
+  ASSET_FLAG_OPTIONS,
+  ASSET_TYPE_SHORT_LABELS,
+} from "@/features/products/lib/assetRequirements"
 import { updateProductSkuAssetRequirements, updateProductSkuLaunchDateWithSync } from "@/features/products/lib/productWorkspaceWrites"
 import { InlineDateField } from "@/features/products/components/InlineDateField"
 import { toast } from "@/shared/hooks/use-toast"
@@ -69,6 +74,7 @@ export function SkuRequirementsRow({
   const usedKeys = resolveUsedKeys(sku.assetRequirements)
   const swatchColor = sku.hexColor ?? sku.colourHex
   const colorName = sku.colorName ?? sku.name
+  const deliveryCounts = Object.entries(sku.assetDeliveryCounts ?? {})
 
   const handleFlagChange = async (typeKey: string, newFlag: ProductAssetFlag) => {
     if (!clientId) return
@@ -232,6 +238,14 @@ export function SkuRequirementsRow({
           <span className="text-2xs text-[var(--color-text-muted)]">No requirements set</span>
         )}
       </div>
+      {deliveryCounts.length > 0 && (
+        <div className="text-2xs text-[var(--color-text-muted)]" data-testid="sku-delivery-counts">
+          Delivered files:{" "}
+          {deliveryCounts
+            .map(([typeKey, count]) => `${ASSET_TYPE_SHORT_LABELS[typeKey] ?? typeKey} ×${count}`)
+            .join(" · ")}
+        </div>
+      )}
     </div>
   )
 }
@@ -51,6 +51,8 @@ vi.mock("@/features/products/hooks/useProductWorkspace", () => ({
   useProductSamples: () => ({ data: [], loading: false, error: null }),
   useProductComments: () => ({ data: [], loading: false, error: null }),
   useProductDocuments: () => ({ data: [], loading: false, error: null }),
+  useProductActivity: () => ({ data: [], loading: false, error: null }),
+  useProductAssetDeliveries: () => ({ data: [], loading: false, error: null }),
 }))
 
 describe("ProductDetailPage", () => {
@@ -0,0 +1,128 @@
+/// <reference types="@testing-library/jest-dom" />
+import { describe, it, expect, vi, beforeEach } from "vitest"
+import { render, screen } from "@testing-library/react"
+import userEvent from "@testing-library/user-event"
+import type { ProductFamily, ProductSample } from "@/shared/types"
+
+vi.mock("@/shared/hooks/use-toast", () => ({
+  toast: vi.fn(),
+}))
+
+vi.mock("@/features/products/lib/productWorkspaceWrites", () => ({
+  createProductSample: vi.fn(),
+  updateProductSample: vi.fn(),
+}))
+
+vi.mock("@/features/products/components/SampleCustodyDialog", () => ({
+  SampleCustodyDialog: ({
+    sample,
+    scanned,
+  }: {
+    readonly sample: ProductSample
+    readonly scanned: boolean
+  }) => (
+    <div data-testid="custody-dialog">
+      {sample.id}:{scanned ? "scanned" : "manual"}
+    </div>
+  ),
+}))
+
+vi.mock("@/features/products/components/SampleLedgerHistory", () => ({
+  SampleLedgerHistory: () => null,
+}))
+
+vi.mock("@/features/products/components/SampleLabelsPrintPortal", () => ({
+  SampleLabelsPrintPortal: ({
+    open,
+    labels,
+  }: {
+    readonly open: boolean
+    readonly labels: ReadonlyArray<{ readonly sampleId: string; readonly title: string }>
+  }) =>
+    open ? (
+      <div data-testid="labels-portal">
+        {labels.map((l) => `${l.sampleId}:${l.title}`).join("|")}
+      </div>
+    ) : null,
+}))
+
+import { ProductSamplesSection } from "@/features/products/components/ProductSamplesSection"
+
+const family = {
+  id: "f1",
+  styleName: "Oxford Shirt",
+  styleNumber: "OX-1",
+} as ProductFamily
+
+function makeSample(overrides: Partial<ProductSample> & Pick<ProductSample, "id">): ProductSample {
+  return {
+    type: "shoot",
+    status: "arrived",
+    sizeRun: ["M"],
+    ...overrides,
+  }
+}
+
+function renderSection(samples: ProductSample[], canEdit = true) {
+  return render(
+    <ProductSamplesSection
+      family={family}
+      activeSkus={[]}
+      samples={samples}
+      samplesLoading={false}
+      samplesError={null}
+      canEdit={canEdit}
+      clientId="c1"
+      userId="u1"
+      isFamilyDeleted={false}
+    />,
+  )
+}
+
+describe("ProductSamplesSection custody", () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+  })
+
+  it("opens the custody dialog for a scanned label", async () => {
+    const user = userEvent.setup()
+    renderSection([makeSample({ id: "aB3x" }), makeSample({ id: "other" })])
+
+    await user.click(screen.getByRole("button", { name: /scan/i }))
+    await user.type(screen.getByLabelText("Sample label"), "*SMP-AB3X*{enter}")
+
+    expect(screen.getByTestId("custody-dialog")).toHaveTextContent("aB3x:scanned")
+  })
+
+  it("reports scans that match no sample", async () => {
+    const user = userEvent.setup()
+    renderSection([makeSample({ id: "aB3x" })])
+
+    await user.click(screen.getByRole("button", { name: /scan/i }))
+    await user.type(screen.getByLabelText("Sample label"), "SMP-NOPE{enter}")
+
+    expect(screen.getByRole("alert")).toHaveTextContent('No sample on this product matches "SMP-NOPE"')
+    expect(screen.queryByTestId("custody-dialog")).not.toBeInTheDocument()
+  })
+
+  it("shows the holder and offers check-in for checked-out samples", async () => {
+    const user = userEvent.setup()
+    renderSection([
+      makeSample({ id: "s1", custody: { holderName: "Ana", projectName: "SS26", entryId: "e1" } }),
+    ])
+
+    expect(screen.getByText(/With Ana/)).toHaveTextContent("With Ana · SS26")
+    await user.click(screen.getByRole("button", { name: "Check in" }))
+    expect(screen.getByTestId("custody-dialog")).toHaveTextContent("s1:manual")
+  })
+
+  it("prints labels for the visible samples and hides scan for read-only users", async () => {
+    const user = userEvent.setup()
+    renderSection([makeSample({ id: "s1" }), makeSample({ id: "s2", deleted: true })], false)
+
+    expect(screen.queryByRole("button", { name: /scan/i })).not.toBeInTheDocument()
+    await user.click(screen.getByRole("button", { name: /print labels/i }))
+    expect(screen.getByTestId("labels-portal")).toHaveTextContent("s1:OX-1 · Oxford Shirt")
+    expect(screen.getByTestId("labels-portal")).not.toHaveTextContent("s2")
+  })
+})
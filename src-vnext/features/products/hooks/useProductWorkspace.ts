@@ -1,16 +1,29 @@
-import { orderBy } from "firebase/firestore"
+import { limit, orderBy } from "firebase/firestore"
 import { useAuth } from "@/app/providers/AuthProvider"
 import { useFirestoreCollection } from "@/shared/hooks/useFirestoreCollection"
 import {
+  productFamilyActivityPath,
+  productFamilyAssetDeliveriesPath,
   productFamilyCommentsPath,
   productFamilyDocumentsPath,
+  productFamilySampleLedgerPath,
   productFamilySamplesPath,
 } from "@/shared/lib/paths"
-import type { ProductComment, ProductDocument, ProductSample } from "@/shared/types"
+import type {
+  ProductActivityEntry,
+  ProductAssetDelivery,
+  ProductComment,
+  ProductDocument,
+  ProductSample,
+  ProductSampleLedgerEntry,
+} from "@/shared/types"
 import {
+  mapProductActivityEntry,
+  mapProductAssetDelivery,
   mapProductComment,
   mapProductDocument,
   mapProductSample,
+  mapProductSampleLedgerEntry,
 } from "@/features/products/lib/mapProductWorkspace"
 
 export function useProductSamples(familyId: string | null) {
@@ -22,6 +35,35 @@ export function useProductSamples(familyId: string | null) {
   )
 }
 
+export function useProductSampleLedger(familyId: string | null, sampleId: string | null) {
+  const { clientId } = useAuth()
+  return useFirestoreCollection<ProductSampleLedgerEntry>(
+    clientId && familyId && sampleId
+      ? productFamilySampleLedgerPath(familyId, sampleId, clientId)
+      : null,
+    [orderBy("createdAt", "desc")],
+    mapProductSampleLedgerEntry,
+  )
+}
+
+export function useProductActivity(familyId: string | null) {
+  const { clientId } = useAuth()
+  return useFirestoreCollection<ProductActivityEntry>(
+    clientId && familyId ? productFamilyActivityPath(familyId, clientId) : null,
+    [orderBy("createdAt", "desc"), limit(20)],
+    mapProductActivityEntry,
+  )
+}
+
+export function useProductAssetDeliveries(familyId: string | null) {
+  const { clientId } = useAuth()
+  return useFirestoreCollection<ProductAssetDelivery>(
+    clientId && familyId ? productFamilyAssetDeliveriesPath(familyId, clientId) : null,
+    [orderBy("createdAt", "desc")],
+    mapProductAssetDelivery,
+  )
+}
+
 export function useProductComments(familyId: string | null) {
   const { clientId } = useAuth()
   return useFirestoreCollection<ProductComment>(
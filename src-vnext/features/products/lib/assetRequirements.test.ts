@@ -14,6 +14,9 @@ import {
   summarizeSkuAssetFlags,
   resolveSkuLaunchDate,
   resolveEarliestLaunchDate,
+  matchDeliveryFile,
+  applyDeliveredFlags,
+  summarizeAssetDeliveryByType,
 } from "./assetRequirements"
 import type { ProductSku } from "@/shared/types"
 
@@ -300,4 +303,71 @@ describe("assetRequirements", () => {
       expect(resolveEarliestLaunchDate(null, skus)).toBeNull()
     })
   })
+
+  describe("matchDeliveryFile", () => {
+    const skus = [
+      { id: "navy", name: "Navy", colorName: "Navy", skuCode: "CT100-NVY" },
+      { id: "navy-stripe", name: "Navy Stripe", colorName: "Navy Stripe", skuCode: "CT100-NVS" },
+      { id: "white", name: "White", colorName: "White" },
+    ]
+
+    it("matches SKU code and asset keyword", () => {
+      expect(matchDeliveryFile("CT100_NVY_ecomm_01.jpg", skus)).toEqual({
+        skuId: "navy",
+        assetType: "ecomm_on_figure",
+      })
+    })
+
+    it("falls back to the longest colour name", () => {
+      expect(matchDeliveryFile("navy-stripe-flatlay.tif", skus)).toEqual({
+        skuId: "navy-stripe",
+        assetType: "off_figure_pinup",
+      })
+      expect(matchDeliveryFile("White on-fig 3.jpg", skus)).toEqual({
+        skuId: "white",
+        assetType: "ecomm_on_figure",
+      })
+    })
+
+    it("treats video extensions as video and strips folders", () => {
+      expect(matchDeliveryFile("finals/CT100-NVS/spin.MOV", skus)).toEqual({
+        skuId: "navy-stripe",
+        assetType: "video",
+      })
+    })
+
+    it("returns nulls when nothing matches", () => {
+      expect(matchDeliveryFile("IMG_0042.jpg", skus)).toEqual({ skuId: null, assetType: null })
+    })
+  })
+
+  describe("applyDeliveredFlags", () => {
+    it("flips only actionable requirements", () => {
+      expect(
+        applyDeliveredFlags(
+          { ecomm_on_figure: "needed", video: "in_progress", lifestyle: "not_needed" },
+          ["ecomm_on_figure", "video", "lifestyle", "off_figure_detail"],
+        ),
+      ).toEqual({ ecomm_on_figure: "delivered", video: "delivered", lifestyle: "not_needed" })
+    })
+
+    it("returns null when nothing changes", () => {
+      expect(applyDeliveredFlags({ video: "delivered" }, ["video"])).toBeNull()
+      expect(applyDeliveredFlags(null, ["video"])).toBeNull()
+    })
+  })
+
+  describe("summarizeAssetDeliveryByType", () => {
+    it("tallies required and delivered per type across active SKUs", () => {
+      const skus = [
+        { assetRequirements: { ecomm_on_figure: "delivered", video: "needed", other_label: "Gif" } },
+        { assetRequirements: { ecomm_on_figure: "in_progress", lifestyle: "not_needed", video: "ai_generated" } },
+        { deleted: true, assetRequirements: { ecomm_on_figure: "needed" } },
+      ]
+      expect(summarizeAssetDeliveryByType(skus)).toEqual({
+        ecomm_on_figure: { required: 2, delivered: 1 },
+        video: { required: 1, delivered: 0 },
+      })
+    })
+  })
 })
@@ -1,4 +1,9 @@
-import type { ProductAssetFlag, ProductAssetRequirements, ProductSku } from "@/shared/types"
+import type {
+  AssetDeliveryTally,
+  ProductAssetFlag,
+  ProductAssetRequirements,
+  ProductSku,
+} from "@/shared/types"
 import type { Timestamp } from "firebase/firestore"
 
 export interface AssetTypeEntry {
@@ -166,3 +171,117 @@ export function resolveEarliestLaunchDate(
     }
   })
 }
+
+// ---------------------------------------------------------------------------
+// Asset delivery
+// ---------------------------------------------------------------------------
+
+/** Filename tokens that identify an asset type in a delivered file name. */
+const ASSET_FILE_KEYWORDS: ReadonlyArray<{ readonly key: string; readonly tokens: ReadonlyArray<string> }> = [
+  { key: "ecomm_on_figure", tokens: ["ecomm", "ecom", "onfig", "onfigure", "model", "pdp"] },
+  { key: "lifestyle", tokens: ["lifestyle", "campaign", "editorial"] },
+  { key: "off_figure_pinup", tokens: ["pinup", "flatlay", "flat", "laydown", "ghost"] },
+  { key: "off_figure_detail", tokens: ["detail", "dtl", "fabric", "swatch", "closeup"] },
+  { key: "video", tokens: ["video", "vid", "motion"] },
+]
+
+const VIDEO_EXTENSIONS = new Set(["mp4", "mov", "m4v", "webm", "avi"])
+
+function compact(value: string): string {
+  return value.toLowerCase().replace(/[^a-z0-9]/g, "")
+}
+
+/** Lower-cased word tokens plus each adjacent pair joined ("on-fig" → "onfig"). */
+function fileNameTokens(stem: string): ReadonlySet<string> {
+  const words = stem
+    .toLowerCase()
+    .replace(/([a-z])(\d)/g, "$1 $2")
+    .replace(/(\d)([a-z])/g, "$1 $2")
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean)
+  const tokens = new Set(words)
+  for (let i = 0; i < words.length - 1; i += 1) tokens.add(`${words[i]}${words[i + 1]}`)
+  return tokens
+}
+
+export interface DeliveryFileMatch {
+  readonly skuId: string | null
+  readonly assetType: string | null
+}
+
+/**
+ * Guesses the SKU and asset type a delivered file belongs to from its name.
+ * SKU: longest SKU code found in the path, else longest colour name.
+ * Type: first keyword hit (see ASSET_FILE_KEYWORDS), else "video" for video
+ * extensions. Either side is null when nothing matches.
+ */
+export function matchDeliveryFile(
+  fileName: string,
+  skus: ReadonlyArray<Pick<ProductSku, "id" | "skuCode" | "colorName" | "name">>,
+): DeliveryFileMatch {
+  const base = fileName.split(/[\\/]/).pop() ?? fileName
+  const dot = base.lastIndexOf(".")
+  const stem = dot > 0 ? base.slice(0, dot) : base
+  const ext = dot > 0 ? base.slice(dot + 1).toLowerCase() : ""
+  // Folders often carry the SKU ("finals/CT100-NVY/spin.mov"), so match SKUs on the full path.
+  const haystack = compact(dot > 0 ? fileName.slice(0, fileName.length - ext.length - 1) : fileName)
+
+  const longestHit = (valueOf: (sku: (typeof skus)[number]) => string | undefined) => {
+    let best: { id: string; length: number } | null = null
+    for (const sku of skus) {
+      const needle = compact(valueOf(sku) ?? "")
+      if (needle.length < 2 || !haystack.includes(needle)) continue
+      if (!best || needle.length > best.length) best = { id: sku.id, length: needle.length }
+    }
+    return best?.id ?? null
+  }
+  const skuId = longestHit((sku) => sku.skuCode) ?? longestHit((sku) => sku.colorName ?? sku.name)
+
+  const tokens = fileNameTokens(stem)
+  const keywordHit = ASSET_FILE_KEYWORDS.find((entry) => entry.tokens.some((t) => tokens.has(t)))
+  const assetType = keywordHit?.key ?? (VIDEO_EXTENSIONS.has(ext) ? "video" : null)
+
+  return { skuId, assetType }
+}
+
+/**
+ * Flips actionable (needed / in progress) requirements for the delivered
+ * asset types to "delivered". Returns null when nothing changes.
+ */
+export function applyDeliveredFlags(
+  reqs: ProductAssetRequirements | null | undefined,
+  assetTypes: Iterable<string>,
+): ProductAssetRequirements | null {
+  const next: Record<string, string | undefined> = { ...(reqs ?? {}) }
+  let changed = false
+  for (const key of assetTypes) {
+    if (key === "other_label") continue
+    if (isRequirementActionable(next[key] as ProductAssetFlag | undefined)) {
+      next[key] = "delivered"
+      changed = true
+    }
+  }
+  return changed ? (next as ProductAssetRequirements) : null
+}
+
+/**
+ * Per asset type across active SKUs: `required` counts needed / in progress /
+ * delivered flags, `delivered` the delivered ones. Denormalized onto the
+ * family as `assetDeliverySummary`.
+ */
+export function summarizeAssetDeliveryByType(
+  skus: ReadonlyArray<Pick<ProductSku, "assetRequirements" | "deleted">>,
+): Record<string, AssetDeliveryTally> {
+  const summary: Record<string, { required: number; delivered: number }> = {}
+  for (const sku of skus) {
+    if (sku.deleted === true || !sku.assetRequirements) continue
+    for (const [key, flag] of Object.entries(sku.assetRequirements)) {
+      if (key === "other_label") continue
+      if (flag !== "needed" && flag !== "in_progress" && flag !== "delivered") continue
+      const tally = summary[key] ?? (summary[key] = { required: 0, delivered: 0 })
+      tally.required += 1
+      if (flag === "delivered") tally.delivered += 1
+    }
+  }
+  return summary
+}
@@ -1,5 +1,10 @@
 import { Timestamp } from "firebase/firestore"
-import type { ProductFamily, ProductSku, ProductAssetRequirements } from "@/shared/types"
+import type {
+  AssetDeliveryTally,
+  ProductFamily,
+  ProductSku,
+  ProductAssetRequirements,
+} from "@/shared/types"
 
 function asString(value: unknown): string | undefined {
   return typeof value === "string" && value.trim().length > 0 ? value : undefined
@@ -41,6 +46,29 @@ function normalizeTimestamp(value: unknown): Timestamp | undefined {
   return undefined
 }
 
+function asCountRecord(value: unknown): Record<string, number> | undefined {
+  if (!value || typeof value !== "object" || Array.isArray(value)) return undefined
+  const result: Record<string, number> = {}
+  for (const [key, val] of Object.entries(value as Record<string, unknown>)) {
+    const n = asNumber(val)
+    if (typeof n === "number" && n > 0) result[key] = n
+  }
+  return Object.keys(result).length > 0 ? result : undefined
+}
+
+function normalizeDeliverySummary(value: unknown): Record<string, AssetDeliveryTally> | undefined {
+  if (!value || typeof value !== "object" || Array.isArray(value)) return undefined
+  const result: Record<string, AssetDeliveryTally> = {}
+  for (const [key, val] of Object.entries(value as Record<string, unknown>)) {
+    if (!val || typeof val !== "object") continue
+    const tally = val as Record<string, unknown>
+    const required = asNumber(tally["required"]) ?? 0
+    if (required <= 0) continue
+    result[key] = { required, delivered: Math.min(asNumber(tally["delivered"]) ?? 0, required) }
+  }
+  return Object.keys(result).length > 0 ? result : undefined
+}
+
 export function mapProductFamily(id: string, data: Record<string, unknown>): ProductFamily {
   const styleName = asString(data["styleName"]) ?? ""
 
@@ -86,8 +114,10 @@ export function mapProductFamily(id: string, data: Record<string, unknown>): Pro
     sampleCount: asNumber(data["sampleCount"]),
     samplesArrivedCount: asNumber(data["samplesArrivedCount"]),
     earliestSampleEta: normalizeTimestamp(data["earliestSampleEta"]),
+    earliestSampleReturnDue: normalizeTimestamp(data["earliestSampleReturnDue"]),
     earliestLaunchDate: normalizeTimestamp(data["earliestLaunchDate"]),
     activeRequirementCount: asNumber(data["activeRequirementCount"]),
+    assetDeliverySummary: normalizeDeliverySummary(data["assetDeliverySummary"]),
     deleted: asBoolean(data["deleted"]),
     deletedAt: normalizeTimestamp(data["deletedAt"]),
     createdAt: normalizeTimestamp(data["createdAt"]),
@@ -137,6 +167,7 @@ export function mapProductSku(id: string, data: Record<string, unknown>): Produc
     hexColor,
     assetRequirements: normalizeAssetRequirements(data["assetRequirements"]),
     launchDate: normalizeTimestamp(data["launchDate"]),
+    assetDeliveryCounts: asCountRecord(data["assetDeliveryCounts"]),
     deleted: asBoolean(data["deleted"]),
     deletedAt: normalizeTimestamp(data["deletedAt"]),
     createdAt: normalizeTimestamp(data["createdAt"]),
@@ -1,8 +1,13 @@
 import { Timestamp } from "firebase/firestore"
 import type {
+  ProductActivityEntry,
+  ProductAssetDelivery,
   ProductComment,
   ProductDocument,
   ProductSample,
+  ProductSampleCondition,
+  ProductSampleCustody,
+  ProductSampleLedgerEntry,
   ProductSampleStatus,
   ProductSampleType,
 } from "@/shared/types"
@@ -51,6 +56,29 @@ function normalizeSampleStatus(value: unknown): ProductSampleStatus {
   return "requested"
 }
 
+const SAMPLE_CONDITIONS = new Set<string>(["new", "good", "fair", "damaged"])
+
+function normalizeCondition(value: unknown): ProductSampleCondition | null {
+  const v = asString(value)?.toLowerCase()
+  return v && SAMPLE_CONDITIONS.has(v) ? (v as ProductSampleCondition) : null
+}
+
+function mapCustody(value: unknown): ProductSampleCustody | null {
+  if (!value || typeof value !== "object") return null
+  const data = value as Record<string, unknown>
+  const holderName = asString(data.holderName)
+  const entryId = asString(data.entryId)
+  if (!holderName || !entryId) return null
+  return {
+    holderName,
+    projectId: asString(data.projectId),
+    projectName: asString(data.projectName),
+    checkedOutAt: asTimestamp(data.checkedOutAt),
+    checkedOutBy: asString(data.checkedOutBy),
+    entryId,
+  }
+}
+
 export function mapProductSample(id: string, data: Record<string, unknown>): ProductSample {
   return {
     id,
@@ -65,6 +93,7 @@ export function mapProductSample(id: string, data: Record<string, unknown>): Pro
     scopeSkuId: asString(data.scopeSkuId),
     returnDueDate: asTimestamp(data.returnDueDate),
     condition: asString(data.condition) ?? null,
+    custody: mapCustody(data.custody),
     deleted: asBoolean(data.deleted),
     createdAt: asTimestamp(data.createdAt) ?? undefined,
     updatedAt: asTimestamp(data.updatedAt) ?? undefined,
@@ -73,6 +102,65 @@ export function mapProductSample(id: string, data: Record<string, unknown>): Pro
   }
 }
 
+export function mapProductSampleLedgerEntry(
+  id: string,
+  data: Record<string, unknown>,
+): ProductSampleLedgerEntry {
+  return {
+    id,
+    action: data.action === "check_in" ? "check_in" : "check_out",
+    holderName: asString(data.holderName),
+    projectId: asString(data.projectId),
+    projectName: asString(data.projectName),
+    condition: normalizeCondition(data.condition),
+    returnDueDate: asTimestamp(data.returnDueDate),
+    notes: asString(data.notes),
+    scanned: asBoolean(data.scanned),
+    createdAt: asTimestamp(data.createdAt) ?? undefined,
+    createdBy: asString(data.createdBy),
+    createdByName: asString(data.createdByName),
+  }
+}
+
+export function mapProductActivityEntry(
+  id: string,
+  data: Record<string, unknown>,
+): ProductActivityEntry {
+  return {
+    id,
+    type: "sample_tracking",
+    sampleId: asString(data.sampleId),
+    sampleType: data.sampleType ? normalizeSampleType(data.sampleType) : null,
+    carrier: asString(data.carrier),
+    tracking: asString(data.tracking),
+    fromStatus: data.fromStatus ? normalizeSampleStatus(data.fromStatus) : null,
+    toStatus: data.toStatus ? normalizeSampleStatus(data.toStatus) : null,
+    eta: asTimestamp(data.eta),
+    trackingStatus: asString(data.trackingStatus),
+    description: asString(data.description),
+    createdAt: asTimestamp(data.createdAt) ?? undefined,
+  }
+}
+
+export function mapProductAssetDelivery(
+  id: string,
+  data: Record<string, unknown>,
+): ProductAssetDelivery {
+  return {
+    id,
+    skuId: asString(data.skuId) ?? "",
+    assetType: asString(data.assetType) ?? "other",
+    fileName: asString(data.fileName) ?? "Untitled",
+    source: data.source === "upload" || data.source === "capture_one" ? data.source : "manifest",
+    storagePath: asString(data.storagePath),
+    contentType: asString(data.contentType),
+    sizeBytes: typeof data.sizeBytes === "number" ? data.sizeBytes : null,
+    createdAt: asTimestamp(data.createdAt) ?? undefined,
+    createdBy: asString(data.createdBy),
+    createdByName: asString(data.createdByName),
+  }
+}
+
 export function mapProductComment(id: string, data: Record<string, unknown>): ProductComment {
   return {
     id,
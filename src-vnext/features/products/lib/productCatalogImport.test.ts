@@ -0,0 +1,245 @@
+import { describe, expect, it } from "vitest"
+import type { ProductFamily, ProductSku } from "@/shared/types"
+import {
+  autoMapColumns,
+  buildCatalogImportErrorReport,
+  buildImportFamilies,
+  catalogImportTargetIds,
+  planCatalogImport,
+  validateCatalogMapping,
+} from "./productCatalogImport"
+import { mergeSkuDrafts } from "./productCatalogImportWrites"
+
+function makeFamily(
+  overrides: Partial<ProductFamily> & { id: string; styleName: string },
+): ProductFamily {
+  return {
+    clientId: "c1",
+    status: "active",
+    sizes: [],
+    ...overrides,
+  } as unknown as ProductFamily
+}
+
+function makeSku(overrides: Partial<ProductSku> & { id: string; name: string }): ProductSku {
+  return { status: "active", ...overrides }
+}
+
+const HEADER = ["Style Number", "Style Name", "Gender", "Colour", "SKU", "Hex"]
+
+describe("autoMapColumns", () => {
+  it("maps common header spellings to fields", () => {
+    expect(autoMapColumns(HEADER)).toEqual({
+      styleNumber: 0,
+      styleName: 1,
+      gender: 2,
+      colorName: 3,
+      skuCode: 4,
+      hexColor: 5,
+    })
+  })
+
+  it("never maps one column to two fields", () => {
+    const mapping = autoMapColumns(["Style", "Style Name"])
+    expect(mapping).toEqual({ styleName: 1, styleNumber: 0 })
+  })
+})
+
+describe("validateCatalogMapping", () => {
+  it("requires a style name or style number column", () => {
+    expect(validateCatalogMapping({ colorName: 0 })).toEqual(["Map a Style name or Style number column."])
+    expect(validateCatalogMapping({ styleNumber: 0 })).toEqual([])
+  })
+
+  it("rejects a column mapped twice", () => {
+    expect(validateCatalogMapping({ styleName: 0, notes: 0 })).toEqual([
+      "Each column can only be mapped to one field.",
+    ])
+  })
+})
+
+describe("buildImportFamilies", () => {
+  const mapping = autoMapColumns(HEADER)
+
+  it("groups colorway rows by normalized style number", () => {
+    const { families, issues, rowCount } = buildImportFamilies(
+      [
+        HEADER,
+        ["AB-100", "Merino Tee", "Men's", "Navy", "AB100-NVY", "1f3a5f"],
+        ["ab 100", "", "", "Forest", "AB100-FOR", "#0f0"],
+        ["CD200", "Trail Short", "women", "Black", "", ""],
+      ],
+      mapping,
+    )
+    expect(issues).toEqual([])
+    expect(rowCount).toBe(3)
+    expect(families).toHaveLength(2)
+    const tee = families[0]!
+    expect(tee.key).toBe("AB100")
+    expect(tee.rows).toEqual([2, 3])
+    expect(tee.gender).toBe("men")
+    expect(tee.skus.map((s) => [s.colorName, s.skuCode, s.hexColor])).toEqual([
+      ["Navy", "AB100-NVY", "#1F3A5F"],
+      ["Forest", "AB100-FOR", "#00FF00"],
+    ])
+    expect(families[1]!.skus[0]!.skuCode).toBeNull()
+  })
+
+  it("reports rows without an identity, bad hex values and nameless styles", () => {
+    const { families, issues } = buildImportFamilies(
+      [
+        HEADER,
+        ["", "", "", "Navy", "", ""],
+        ["AB100", "Merino Tee", "", "Navy", "", "navy"],
+        ["ZZ9", "", "", "Red", "", ""],
+      ],
+      mapping,
+    )
+    expect(families.map((f) => f.styleName)).toEqual([])
+    expect(issues.map((i) => [i.rows, i.message])).toEqual([
+      [[2], "Row has no style name or style number."],
+      [[3], '"navy" is not a hex colour (e.g. #1F3A5F).'],
+      [[4], "No row for this style number has a style name."],
+    ])
+  })
+
+  it("keeps the first value and warns about conflicting or repeated rows", () => {
+    const { families } = buildImportFamilies(
+      [
+        HEADER,
+        ["AB100", "Merino Tee", "men", "Navy", "", ""],
+        ["AB100", "Merino Tee", "women", "Navy (NV1)", "", ""],
+      ],
+      mapping,
+    )
+    expect(families[0]!.gender).toBe("men")
+    expect(families[0]!.skus).toHaveLength(1)
+    expect(families[0]!.warnings).toEqual([
+      'Row 3: Gender "women" ignored (row 2 has "men").',
+      'Row 3: colorway "Navy (NV1)" repeats an earlier row and was skipped.',
+    ])
+  })
+
+  it("groups rows without a style number by name", () => {
+    const { families } = buildImportFamilies(
+      [["Name", "Color"], ["Trail Short", "Black"], ["trail  short", "Sand"]],
+      { styleName: 0, colorName: 1 },
+    )
+    expect(families).toHaveLength(1)
+    expect(families[0]!.key).toBe("name:trail short")
+    expect(families[0]!.skus.map((s) => s.colorName)).toEqual(["Black", "Sand"])
+  })
+})
+
+describe("planCatalogImport", () => {
+  const mapping = autoMapColumns(HEADER)
+  const parse = (...rows: string[][]) => buildImportFamilies([HEADER, ...rows], mapping).families
+
+  it("creates families that match nothing", () => {
+    const plan = planCatalogImport(parse(["AB100", "Merino Tee", "men", "Navy", "", ""]), [])
+    expect(plan.entries[0]!.action).toBe("create")
+    expect(plan.entries[0]!.newColorways).toEqual(["Navy"])
+    expect(plan.counts.create).toBe(1)
+  })
+
+  it("flags new families without colorways as invalid", () => {
+    const plan = planCatalogImport(parse(["AB100", "Merino Tee", "men", "", "", ""]), [])
+    expect(plan.entries[0]!.action).toBe("invalid")
+    expect(plan.entries[0]!.problem).toBe("New products need at least one colorway.")
+  })
+
+  it("updates a same-named family with field and colorway changes", () => {
+    const existing = makeFamily({
+      id: "f1",
+      styleName: "Merino Tee",
+      styleNumber: "AB-100",
+      gender: "women",
+      colorNames: ["Navy"],
+    })
+    const skus = new Map([["f1", [makeSku({ id: "s1", name: "Navy", colorName: "Navy", skuCode: "OLD" })]]])
+    const imported = parse(
+      ["AB100", "Merino Tee", "men", "Navy", "AB100-NVY", ""],
+      ["AB100", "", "", "Forest", "", ""],
+    )
+    expect(catalogImportTargetIds(imported, [existing])).toEqual(["f1"])
+    const entry = planCatalogImport(imported, [existing], skus).entries[0]!
+    expect(entry.action).toBe("update")
+    expect(entry.target?.id).toBe("f1")
+    expect(entry.fieldChanges).toEqual([
+      { field: "gender", label: "Gender", from: "women", to: "men" },
+    ])
+    expect(entry.newColorways).toEqual(["Forest"])
+    expect(entry.updatedColorways).toEqual(["Navy"])
+  })
+
+  it("merges into a similarly named duplicate and keeps its name", () => {
+    const existing = makeFamily({ id: "f1", styleName: "Merino Tees", styleNumber: "AB100", colorNames: ["Navy"] })
+    const entry = planCatalogImport(parse(["AB100", "Merino Tee", "", "Forest", "", ""]), [existing]).entries[0]!
+    expect(entry.action).toBe("merge")
+    expect(entry.fieldChanges).toEqual([])
+    expect(entry.newColorways).toEqual(["Forest"])
+  })
+
+  it("reports unchanged families", () => {
+    const existing = makeFamily({ id: "f1", styleName: "Merino Tee", styleNumber: "AB100", gender: "men", colorNames: ["Navy"] })
+    const entry = planCatalogImport(parse(["AB100", "Merino Tee", "men", "Navy", "", ""]), [existing]).entries[0]!
+    expect(entry.action).toBe("unchanged")
+  })
+
+  it("targets one of several existing duplicates and warns", () => {
+    const existing = [
+      makeFamily({ id: "f1", styleName: "Merino Tees", styleNumber: "AB100", skuCount: 5 }),
+      makeFamily({ id: "f2", styleName: "Merino Tee", styleNumber: "AB-100", skuCount: 1 }),
+    ]
+    const entry = planCatalogImport(parse(["AB100", "Merino Tee", "", "Navy", "", ""]), existing).entries[0]!
+    expect(entry.target?.id).toBe("f2")
+    expect(entry.duplicateIds).toEqual(["f1"])
+    expect(entry.warnings[0]).toContain("Use Merge Duplicates")
+  })
+
+  it("creates when the style number belongs to a differently named product, with a warning", () => {
+    const existing = makeFamily({ id: "f1", styleName: "Alpine Parka", styleNumber: "AB100" })
+    const entry = planCatalogImport(parse(["AB100", "Merino Tee", "", "Navy", "", ""]), [existing]).entries[0]!
+    expect(entry.action).toBe("create")
+    expect(entry.warnings).toEqual([
+      'Style number is already used by "Alpine Parka" under a different name.',
+    ])
+  })
+
+  it("ignores deleted families", () => {
+    const existing = makeFamily({ id: "f1", styleName: "Merino Tee", styleNumber: "AB100", deleted: true })
+    const entry = planCatalogImport(parse(["AB100", "Merino Tee", "", "Navy", "", ""]), [existing]).entries[0]!
+    expect(entry.action).toBe("create")
+  })
+})
+
+describe("mergeSkuDrafts", () => {
+  it("fills matched colorways in place and appends new ones", () => {
+    const drafts = mergeSkuDrafts(
+      [
+        makeSku({ id: "s1", name: "Navy", colorName: "Navy", skuCode: "OLD", sizes: ["S"] }),
+        makeSku({ id: "s2", name: "Sand", colorName: "Sand", skuCode: "KEEP" }),
+      ],
+      [
+        { row: 2, colorName: "navy", skuCode: "NEW", sizes: null, status: null, hexColor: "#112233" },
+        { row: 3, colorName: "Forest", skuCode: null, sizes: ["M", "L"], status: null, hexColor: null },
+      ],
+    )
+    expect(drafts.map((d) => [d.id, d.colorName, d.skuCode, d.sizesCsv, d.hexColor])).toEqual([
+      ["s1", "Navy", "NEW", "S", "#112233"],
+      ["s2", "Sand", "KEEP", "", ""],
+      [undefined, "Forest", "", "M, L", ""],
+    ])
+  })
+})
+
+describe("buildCatalogImportErrorReport", () => {
+  it("writes a CSV with quoted cells where needed", () => {
+    const csv = buildCatalogImportErrorReport([
+      { rows: [3, 4], styleNumber: "AB100", styleName: "Tee, Merino", colorName: null, message: 'Bad "hex"' },
+    ])
+    expect(csv).toBe(
+      'Row,Style number,Style name,Colorway,Error\r\n3 4,AB100,"Tee, Merino",,"Bad ""hex"""\r\n',
+    )
+  })
+})
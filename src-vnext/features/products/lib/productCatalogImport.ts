@@ -0,0 +1,555 @@
+/**
+ * Product catalogue import (CSV / XLSX) — column mapping, row grouping and the
+ * dry-run plan. Pure: the wizard reads the file with `readTabularFile` and the
+ * writes live in `productCatalogImportWrites.ts`.
+ *
+ * One row per colorway; rows sharing a style number (or, without one, a style
+ * name) become one family. Existing families are matched with
+ * `detectDuplicates`, so an import never adds a duplicate the merge wizard
+ * would later have to clean up.
+ */
+
+import type { ProductFamily, ProductSku } from "@/shared/types"
+import { mapColumnsByAlias, type TabularRows } from "@/shared/lib/tabularImport"
+import {
+  baseColorName,
+  detectDuplicates,
+  normalizeProductName,
+  normalizeStyleNumber,
+} from "@/features/products/lib/productDedup"
+import {
+  normalizeClassificationGender,
+  normalizeClassificationKey,
+} from "@/features/products/lib/productClassifications"
+
+// ---------------------------------------------------------------------------
+// Fields + column mapping
+// ---------------------------------------------------------------------------
+
+export type CatalogImportFamilyField =
+  | "styleName"
+  | "styleNumber"
+  | "previousStyleNumber"
+  | "gender"
+  | "productType"
+  | "productSubcategory"
+  | "status"
+  | "sizes"
+  | "notes"
+
+export type CatalogImportSkuField = "colorName" | "skuCode" | "skuSizes" | "skuStatus" | "hexColor"
+
+export type CatalogImportField = CatalogImportFamilyField | CatalogImportSkuField
+
+export interface CatalogImportFieldDef {
+  readonly key: CatalogImportField
+  readonly label: string
+  readonly level: "family" | "sku"
+  /** `headerKey`-normalized header names that auto-map to this field. */
+  readonly aliases: ReadonlyArray<string>
+}
+
+export const CATALOG_IMPORT_FIELDS: ReadonlyArray<CatalogImportFieldDef> = [
+  { key: "styleName", label: "Style name", level: "family", aliases: ["stylename", "productname", "name", "style", "product"] },
+  { key: "styleNumber", label: "Style number", level: "family", aliases: ["stylenumber", "styleno", "stylenum", "stylecode", "style"] },
+  { key: "previousStyleNumber", label: "Previous style number", level: "family", aliases: ["previousstylenumber", "prevstylenumber", "oldstylenumber"] },
+  { key: "gender", label: "Gender", level: "family", aliases: ["gender", "department"] },
+  { key: "productType", label: "Product type", level: "family", aliases: ["producttype", "type", "category"] },
+  { key: "productSubcategory", label: "Subcategory", level: "family", aliases: ["productsubcategory", "subcategory", "subtype"] },
+  { key: "status", label: "Product status", level: "family", aliases: ["status", "productstatus", "stylestatus"] },
+  { key: "sizes", label: "Product sizes", level: "family", aliases: ["sizes", "sizerange", "productsizes"] },
+  { key: "notes", label: "Notes", level: "family", aliases: ["notes", "description", "comments"] },
+  { key: "colorName", label: "Colorway", level: "sku", aliases: ["colorname", "colourname", "colorway", "colourway", "color", "colour"] },
+  { key: "skuCode", label: "SKU code", level: "sku", aliases: ["skucode", "sku", "skunumber", "upc", "ean"] },
+  { key: "skuSizes", label: "Colorway sizes", level: "sku", aliases: ["skusizes", "colorsizes", "colorwaysizes", "colourwaysizes"] },
+  { key: "skuStatus", label: "Colorway status", level: "sku", aliases: ["skustatus", "colorstatus", "colorwaystatus", "colourwaystatus"] },
+  { key: "hexColor", label: "Hex colour", level: "sku", aliases: ["hexcolor", "hexcolour", "hex", "colorhex", "colourhex", "swatch"] },
+]
+
+/** Field -> zero-based column index. Unmapped fields are absent. */
+export type CatalogColumnMapping = Partial<Record<CatalogImportField, number>>
+
+/** Auto-maps header cells to fields by alias, in `CATALOG_IMPORT_FIELDS` order. */
+export function autoMapColumns(headers: ReadonlyArray<string>): CatalogColumnMapping {
+  return mapColumnsByAlias(headers, CATALOG_IMPORT_FIELDS)
+}
+
+/** Problems that block parsing; empty when the mapping is usable. */
+export function validateCatalogMapping(mapping: CatalogColumnMapping): string[] {
+  const errors: string[] = []
+  if (mapping.styleName === undefined && mapping.styleNumber === undefined) {
+    errors.push("Map a Style name or Style number column.")
+  }
+  const columns = Object.values(mapping)
+  if (new Set(columns).size !== columns.length) {
+    errors.push("Each column can only be mapped to one field.")
+  }
+  return errors
+}
+
+// ---------------------------------------------------------------------------
+// Row grouping
+// ---------------------------------------------------------------------------
+
+/** Imported values; null means "column not mapped or cell empty" — never overwrite with it. */
+export interface ImportedSku {
+  readonly row: number
+  readonly colorName: string
+  readonly skuCode: string | null
+  readonly sizes: ReadonlyArray<string> | null
+  readonly status: string | null
+  readonly hexColor: string | null
+}
+
+export interface ImportedFamily {
+  /** Normalized style number, or `name:<normalized name>` when there is none. */
+  readonly key: string
+  /** 1-based spreadsheet rows (the header is row 1). */
+  readonly rows: ReadonlyArray<number>
+  readonly styleName: string | null
+  readonly styleNumber: string | null
+  readonly previousStyleNumber: string | null
+  readonly gender: string | null
+  readonly productType: string | null
+  readonly productSubcategory: string | null
+  readonly status: string | null
+  readonly sizes: ReadonlyArray<string> | null
+  readonly notes: string | null
+  readonly skus: ReadonlyArray<ImportedSku>
+  /** Non-blocking notes, e.g. a later row disagreeing with the first. */
+  readonly warnings: ReadonlyArray<string>
+}
+
+/** A row (or family) that could not be imported, as listed in the error report. */
+export interface CatalogImportIssue {
+  readonly rows: ReadonlyArray<number>
+  readonly styleNumber: string | null
+  readonly styleName: string | null
+  readonly colorName: string | null
+  readonly message: string
+}
+
+export interface ParsedCatalogImport {
+  readonly families: ReadonlyArray<ImportedFamily>
+  readonly issues: ReadonlyArray<CatalogImportIssue>
+  /** Data rows read, excluding the header. */
+  readonly rowCount: number
+}
+
+const HEX_RE = /^#?([0-9a-f]{6}|[0-9a-f]{3})$/i
+
+function splitSizes(value: string): string[] {
+  return value
+    .split(/[,;|]/)
+    .map((s) => s.trim())
+    .filter(Boolean)
+}
+
+function normalizeHex(value: string): string | null {
+  const match = HEX_RE.exec(value.trim())
+  if (!match) return null
+  const digits = match[1]!.length === 3
+    ? match[1]!.split("").map((c) => c + c).join("")
+    : match[1]!
+  return `#${digits.toUpperCase()}`
+}
+
+interface FamilyAccumulator {
+  key: string
+  rows: number[]
+  values: Partial<Record<CatalogImportFamilyField, string>>
+  sizes: string[] | null
+  skus: ImportedSku[]
+  warnings: string[]
+}
+
+const FAMILY_TEXT_FIELDS: ReadonlyArray<Exclude<CatalogImportFamilyField, "sizes">> = [
+  "styleName",
+  "styleNumber",
+  "previousStyleNumber",
+  "gender",
+  "productType",
+  "productSubcategory",
+  "status",
+  "notes",
+]
+
+function normalizeFamilyValue(field: CatalogImportFamilyField, value: string): string {
+  if (field === "gender") return normalizeClassificationGender(value) ?? ""
+  if (field === "productType" || field === "productSubcategory" || field === "status") {
+    return normalizeClassificationKey(value) ?? ""
+  }
+  return value
+}
+
+/**
+ * Groups data rows into families. `rows[0]` is the header. The first non-empty
+ * value of a family field wins; later rows that disagree add a warning.
+ */
+export function buildImportFamilies(
+  rows: TabularRows,
+  mapping: CatalogColumnMapping,
+): ParsedCatalogImport {
+  const cell = (row: ReadonlyArray<string>, field: CatalogImportField): string => {
+    const index = mapping[field]
+    return index === undefined ? "" : (row[index] ?? "").trim()
+  }
+
+  const byKey = new Map<string, FamilyAccumulator>()
+  const issues: CatalogImportIssue[] = []
+  const dataRows = rows.slice(1)
+
+  dataRows.forEach((row, i) => {
+    const rowNumber = i + 2
+    const styleName = cell(row, "styleName")
+    const styleNumber = cell(row, "styleNumber")
+    const colorName = cell(row, "colorName")
+    const issue = (message: string): CatalogImportIssue => ({
+      rows: [rowNumber],
+      styleNumber: styleNumber || null,
+      styleName: styleName || null,
+      colorName: colorName || null,
+      message,
+    })
+
+    const key = normalizeStyleNumber(styleNumber) || (styleName ? `name:${normalizeProductName(styleName)}` : "")
+    if (!key) {
+      issues.push(issue("Row has no style name or style number."))
+      return
+    }
+
+    const hexRaw = cell(row, "hexColor")
+    const hexColor = hexRaw ? normalizeHex(hexRaw) : null
+    if (hexRaw && !hexColor) {
+      issues.push(issue(`"${hexRaw}" is not a hex colour (e.g. #1F3A5F).`))
+      return
+    }
+
+    let family = byKey.get(key)
+    if (!family) {
+      family = { key, rows: [], values: {}, sizes: null, skus: [], warnings: [] }
+      byKey.set(key, family)
+    }
+    family.rows.push(rowNumber)
+
+    for (const field of FAMILY_TEXT_FIELDS) {
+      const raw = cell(row, field)
+      if (!raw) continue
+      const value = normalizeFamilyValue(field, raw)
+      const current = family.values[field]
+      if (current === undefined) {
+        family.values[field] = value
+      } else if (current.toLowerCase() !== value.toLowerCase()) {
+        const label = CATALOG_IMPORT_FIELDS.find((f) => f.key === field)!.label
+        family.warnings.push(`Row ${rowNumber}: ${label} "${raw}" ignored (row ${family.rows[0]} has "${current}").`)
+      }
+    }
+    const sizesRaw = cell(row, "sizes")
+    if (sizesRaw && !family.sizes) family.sizes = splitSizes(sizesRaw)
+
+    if (!colorName) return
+    const base = baseColorName(colorName)
+    if (family.skus.some((sku) => baseColorName(sku.colorName) === base)) {
+      family.warnings.push(`Row ${rowNumber}: colorway "${colorName}" repeats an earlier row and was skipped.`)
+      return
+    }
+    const skuSizes = cell(row, "skuSizes")
+    family.skus.push({
+      row: rowNumber,
+      colorName,
+      skuCode: cell(row, "skuCode") || null,
+      sizes: skuSizes ? splitSizes(skuSizes) : null,
+      status: normalizeClassificationKey(cell(row, "skuStatus")),
+      hexColor,
+    })
+  })
+
+  const families: ImportedFamily[] = []
+  for (const acc of byKey.values()) {
+    const styleName = acc.values.styleName ?? null
+    if (!styleName) {
+      issues.push({
+        rows: acc.rows,
+        styleNumber: acc.values.styleNumber ?? null,
+        styleName: null,
+        colorName: null,
+        message: "No row for this style number has a style name.",
+      })
+      continue
+    }
+    families.push({
+      key: acc.key,
+      rows: acc.rows,
+      styleName,
+      styleNumber: acc.values.styleNumber ?? null,
+      previousStyleNumber: acc.values.previousStyleNumber ?? null,
+      gender: acc.values.gender ?? null,
+      productType: acc.values.productType ?? null,
+      productSubcategory: acc.values.productSubcategory ?? null,
+      status: acc.values.status ?? null,
+      sizes: acc.sizes,
+      notes: acc.values.notes ?? null,
+      skus: acc.skus,
+      warnings: acc.warnings,
+    })
+  }
+
+  return { families, issues, rowCount: dataRows.length }
+}
+
+// ---------------------------------------------------------------------------
+// Dry-run plan
+// ---------------------------------------------------------------------------
+
+/**
+ * - `create`: no existing family matches.
+ * - `update`: matches an existing family of the same name; mapped fields or colorways change.
+ * - `merge`: matches a similarly named existing family (a would-be duplicate);
+ *   the rows fold into it and its name is kept.
+ * - `unchanged`: matches, but nothing would change.
+ * - `invalid`: cannot be written (reason in `problem`).
+ */
+export type CatalogImportAction = "create" | "update" | "merge" | "unchanged" | "invalid"
+
+export interface CatalogFieldChange {
+  readonly field: CatalogImportFamilyField
+  readonly label: string
+  readonly from: string
+  readonly to: string
+}
+
+export interface CatalogImportPlanEntry {
+  readonly imported: ImportedFamily
+  readonly action: CatalogImportAction
+  readonly target: ProductFamily | null
+  /** Other existing families the duplicate check grouped with the target. */
+  readonly duplicateIds: ReadonlyArray<string>
+  readonly fieldChanges: ReadonlyArray<CatalogFieldChange>
+  readonly newColorways: ReadonlyArray<string>
+  readonly updatedColorways: ReadonlyArray<string>
+  readonly warnings: ReadonlyArray<string>
+  readonly problem: string | null
+}
+
+export interface CatalogImportPlan {
+  readonly entries: ReadonlyArray<CatalogImportPlanEntry>
+  readonly counts: Readonly<Record<CatalogImportAction, number>>
+}
+
+const IMPORT_ID_PREFIX = "import:"
+
+function toPseudoFamily(imported: ImportedFamily, index: number): ProductFamily {
+  return {
+    id: `${IMPORT_ID_PREFIX}${index}`,
+    styleName: imported.styleName ?? "",
+    styleNumber: imported.styleNumber ?? undefined,
+    gender: imported.gender,
+    productType: imported.productType ?? undefined,
+    productSubcategory: imported.productSubcategory ?? undefined,
+    clientId: "",
+  }
+}
+
+function rankTarget(imported: ImportedFamily, candidates: ReadonlyArray<ProductFamily>): ProductFamily[] {
+  const name = normalizeProductName(imported.styleName ?? "")
+  return [...candidates].sort((a, b) => {
+    const exactA = normalizeProductName(a.styleName) === name ? 1 : 0
+    const exactB = normalizeProductName(b.styleName) === name ? 1 : 0
+    if (exactA !== exactB) return exactB - exactA
+    return (b.skuCount ?? 0) - (a.skuCount ?? 0)
+  })
+}
+
+interface CatalogImportMatch {
+  readonly target: ProductFamily | null
+  readonly duplicateIds: ReadonlyArray<string>
+  readonly warnings: ReadonlyArray<string>
+}
+
+function matchImportedFamilies(
+  imported: ReadonlyArray<ImportedFamily>,
+  existing: ReadonlyArray<ProductFamily>,
+): CatalogImportMatch[] {
+  const live = existing.filter((f) => f.deleted !== true)
+  const pseudo = imported.map(toPseudoFamily)
+  const candidatesByIndex = new Map<number, ProductFamily[]>()
+  for (const group of detectDuplicates([...live, ...pseudo])) {
+    const existingInGroup = group.families.filter((f) => !f.id.startsWith(IMPORT_ID_PREFIX))
+    if (existingInGroup.length === 0) continue
+    for (const family of group.families) {
+      if (!family.id.startsWith(IMPORT_ID_PREFIX)) continue
+      candidatesByIndex.set(Number(family.id.slice(IMPORT_ID_PREFIX.length)), existingInGroup)
+    }
+  }
+
+  return imported.map((family, index) => {
+    const warnings: string[] = []
+    let candidates = candidatesByIndex.get(index) ?? []
+    if (candidates.length === 0 && !family.styleNumber) {
+      // Style-number-less rows fall back to an exact name match.
+      const name = normalizeProductName(family.styleName ?? "")
+      candidates = live.filter((f) => f.archived !== true && normalizeProductName(f.styleName) === name)
+    }
+    if (candidates.length === 0 && family.styleNumber) {
+      const key = normalizeStyleNumber(family.styleNumber)
+      const sameNumber = live.filter((f) => normalizeStyleNumber(f.styleNumber) === key)
+      if (sameNumber.length > 0) {
+        warnings.push(
+          `Style number is already used by ${sameNumber.map((f) => `"${f.styleName}"`).join(", ")} under a different name.`,
+        )
+      }
+    }
+    const [target, ...others] = rankTarget(family, candidates)
+    if (others.length > 0) {
+      warnings.push(
+        `${others.length + 1} existing products share this style number — rows apply to "${target!.styleName}". Use Merge Duplicates to combine them.`,
+      )
+    }
+    return { target: target ?? null, duplicateIds: others.map((f) => f.id), warnings }
+  })
+}
+
+/** Existing families the plan will compare against — load their SKUs before planning. */
+export function catalogImportTargetIds(
+  imported: ReadonlyArray<ImportedFamily>,
+  existing: ReadonlyArray<ProductFamily>,
+): string[] {
+  return [...new Set(
+    matchImportedFamilies(imported, existing).flatMap((m) => (m.target ? [m.target.id] : [])),
+  )]
+}
+
+function familyFieldValue(family: ProductFamily, field: CatalogImportFamilyField): string {
+  if (field === "sizes") return (family.sizes ?? []).join(", ")
+  if (field === "notes") return typeof family.notes === "string" ? family.notes : ""
+  const value = family[field]
+  return typeof value === "string" ? value : ""
+}
+
+function importedFieldValue(imported: ImportedFamily, field: CatalogImportFamilyField): string | null {
+  if (field === "sizes") return imported.sizes ? imported.sizes.join(", ") : null
+  return imported[field]
+}
+
+function sameText(a: string, b: string): boolean {
+  return a.trim().toLowerCase() === b.trim().toLowerCase()
+}
+
+function skuDiffers(sku: ProductSku, imported: ImportedSku): boolean {
+  if (imported.skuCode !== null && !sameText(sku.skuCode ?? "", imported.skuCode)) return true
+  if (imported.sizes !== null && !sameText((sku.sizes ?? []).join(","), imported.sizes.join(","))) return true
+  if (imported.status !== null && !sameText(sku.status ?? "active", imported.status)) return true
+  const hex = sku.hexColor ?? sku.colourHex ?? ""
+  if (imported.hexColor !== null && !sameText(hex, imported.hexColor)) return true
+  return false
+}
+
+/**
+ * Compares each imported family with its match. `skusByFamily` holds the live
+ * SKUs of matched families (see `catalogImportTargetIds`); without an entry,
+ * colorways are compared by the family's denormalized `colorNames` only.
+ */
+export function planCatalogImport(
+  imported: ReadonlyArray<ImportedFamily>,
+  existing: ReadonlyArray<ProductFamily>,
+  skusByFamily: ReadonlyMap<string, ReadonlyArray<ProductSku>> = new Map(),
+): CatalogImportPlan {
+  const matches = matchImportedFamilies(imported, existing)
+  const entries = imported.map((family, index): CatalogImportPlanEntry => {
+    const { target, duplicateIds, warnings: matchWarnings } = matches[index]!
+    const warnings = [...family.warnings, ...matchWarnings]
+    const base = { imported: family, target, duplicateIds, warnings }
+
+    if (!target) {
+      const colorways = family.skus.map((s) => s.colorName)
+      return {
+        ...base,
+        action: colorways.length === 0 ? "invalid" : "create",
+        fieldChanges: [],
+        newColorways: colorways,
+        updatedColorways: [],
+        problem: colorways.length === 0 ? "New products need at least one colorway." : null,
+      }
+    }
+
+    const isMerge = !sameText(normalizeProductName(target.styleName), normalizeProductName(family.styleName ?? ""))
+    const fieldChanges: CatalogFieldChange[] = []
+    for (const def of CATALOG_IMPORT_FIELDS) {
+      if (def.level !== "family") continue
+      const field = def.key as CatalogImportFamilyField
+      // A merge keeps the existing product's name.
+      if (isMerge && field === "styleName") continue
+      const to = importedFieldValue(family, field)
+      if (to === null) continue
+      const from = familyFieldValue(target, field)
+      // Matched style numbers only differ in formatting; the existing one is kept.
+      if (field === "styleNumber" && normalizeStyleNumber(from) === normalizeStyleNumber(to)) continue
+      if (!sameText(from, to)) fieldChanges.push({ field, label: def.label, from, to })
+    }
+
+    const skus = skusByFamily.get(target.id)
+    const existingColors = skus
+      ? skus.filter((s) => s.deleted !== true).map((s) => s.colorName ?? s.name)
+      : [...(target.colorNames ?? [])]
+    const newColorways: string[] = []
+    const updatedColorways: string[] = []
+    for (const sku of family.skus) {
+      const base = baseColorName(sku.colorName)
+      const matchIndex = existingColors.findIndex((c) => baseColorName(c) === base)
+      if (matchIndex === -1) {
+        newColorways.push(sku.colorName)
+        continue
+      }
+      const existingSku = skus?.find((s) => s.deleted !== true && baseColorName(s.colorName ?? s.name) === base)
+      if (existingSku && skuDiffers(existingSku, sku)) updatedColorways.push(existingColors[matchIndex]!)
+    }
+
+    const changed = fieldChanges.length > 0 || newColorways.length > 0 || updatedColorways.length > 0
+    return {
+      ...base,
+      action: !changed ? "unchanged" : isMerge ? "merge" : "update",
+      fieldChanges,
+      newColorways,
+      updatedColorways,
+      problem: null,
+    }
+  })
+
+  const counts: Record<CatalogImportAction, number> = { create: 0, update: 0, merge: 0, unchanged: 0, invalid: 0 }
+  for (const entry of entries) counts[entry.action] += 1
+  return { entries, counts }
+}
+
+/** The issue an invalid plan entry (or a failed write) contributes to the error report. */
+export function planEntryIssue(entry: CatalogImportPlanEntry, message = entry.problem ?? ""): CatalogImportIssue {
+  return {
+    rows: entry.imported.rows,
+    styleNumber: entry.imported.styleNumber,
+    styleName: entry.imported.styleName,
+    colorName: null,
+    message,
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Error report
+// ---------------------------------------------------------------------------
+
+function csvCell(value: string): string {
+  return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value
+}
+
+/** CSV listing every row that was not imported and why, for fixing and re-uploading. */
+export function buildCatalogImportErrorReport(issues: ReadonlyArray<CatalogImportIssue>): string {
+  const lines = [["Row", "Style number", "Style name", "Colorway", "Error"]]
+  for (const issue of issues) {
+    lines.push([
+      issue.rows.join(" "),
+      issue.styleNumber ?? "",
+      issue.styleName ?? "",
+      issue.colorName ?? "",
+      issue.message,
+    ])
+  }
+  return `${lines.map((line) => line.map(csvCell).join(",")).join("\r\n")}\r\n`
+}
@@ -0,0 +1,168 @@
+/**
+ * Commits a planned catalogue import (see `productCatalogImport.ts`) through
+ * the same writers as the product editor, a batch of families at a time.
+ * A failing family is recorded and skipped; the rest of the import continues.
+ */
+
+import { collection, getDocs } from "firebase/firestore"
+import { db } from "@/shared/lib/firebase"
+import { productFamilySkusPath } from "@/shared/lib/paths"
+import type { AuthUser, ProductFamily, ProductSku } from "@/shared/types"
+import { mapProductSku } from "@/features/products/lib/mapProduct"
+import { baseColorName } from "@/features/products/lib/productDedup"
+import {
+  createProductFamilyWithSkus,
+  updateProductFamilyWithSkus,
+  type ProductFamilyDraft,
+  type ProductSkuDraft,
+} from "@/features/products/lib/productWrites"
+import {
+  planEntryIssue,
+  type CatalogImportIssue,
+  type CatalogImportPlanEntry,
+  type ImportedFamily,
+  type ImportedSku,
+} from "@/features/products/lib/productCatalogImport"
+
+export const CATALOG_IMPORT_BATCH_SIZE = 10
+
+export interface CatalogImportProgress {
+  readonly done: number
+  readonly total: number
+}
+
+export interface CatalogImportResult {
+  readonly created: number
+  readonly updated: number
+  readonly failures: ReadonlyArray<CatalogImportIssue>
+}
+
+export async function loadFamilySkus(clientId: string, familyId: string): Promise<ProductSku[]> {
+  const skuPath = productFamilySkusPath(familyId, clientId)
+  const snap = await getDocs(collection(db, skuPath[0]!, ...skuPath.slice(1)))
+  return snap.docs.map((d) => mapProductSku(d.id, d.data() as Record<string, unknown>))
+}
+
+function familyDraft(imported: ImportedFamily, existing: ProductFamily | null, keepName: boolean): ProductFamilyDraft {
+  const pick = (value: string | null, fallback: string | null | undefined): string =>
+    value ?? fallback ?? ""
+  return {
+    styleName: keepName && existing ? existing.styleName : pick(imported.styleName, existing?.styleName),
+    styleNumber: existing?.styleNumber || (imported.styleNumber ?? ""),
+    previousStyleNumber: pick(imported.previousStyleNumber, existing?.previousStyleNumber),
+    gender: pick(imported.gender, existing?.gender),
+    productType: pick(imported.productType, existing?.productType),
+    productSubcategory: pick(imported.productSubcategory, existing?.productSubcategory),
+    status: pick(imported.status, existing?.status ?? "active"),
+    archived: existing?.archived ?? false,
+    sizesCsv: (imported.sizes ?? existing?.sizes ?? []).join(", "),
+    notes: pick(imported.notes, typeof existing?.notes === "string" ? existing.notes : ""),
+    headerImagePath: existing?.headerImagePath ?? null,
+    thumbnailImagePath: existing?.thumbnailImagePath ?? null,
+  }
+}
+
+function skuDraft(imported: ImportedSku | null, existing: ProductSku | null): ProductSkuDraft {
+  return {
+    id: existing?.id,
+    colorName: existing ? (existing.colorName ?? existing.name) : imported!.colorName,
+    skuCode: imported?.skuCode ?? existing?.skuCode ?? "",
+    sizesCsv: (imported?.sizes ?? existing?.sizes ?? []).join(", "),
+    status: imported?.status ?? existing?.status ?? "active",
+    archived: existing?.archived ?? false,
+    imagePath: existing?.imagePath ?? null,
+    colorKey: existing?.colorKey ?? "",
+    hexColor: imported?.hexColor ?? existing?.hexColor ?? existing?.colourHex ?? "",
+    deleted: existing?.deleted ?? false,
+  }
+}
+
+/** Existing colorways keep their ids (and names); imported colorways fill in or append. */
+export function mergeSkuDrafts(
+  existingSkus: ReadonlyArray<ProductSku>,
+  imported: ReadonlyArray<ImportedSku>,
+): ProductSkuDraft[] {
+  const remaining = [...imported]
+  const drafts = existingSkus.map((sku) => {
+    if (sku.deleted === true) return skuDraft(null, sku)
+    const base = baseColorName(sku.colorName ?? sku.name)
+    const index = remaining.findIndex((s) => baseColorName(s.colorName) === base)
+    if (index === -1) return skuDraft(null, sku)
+    const [match] = remaining.splice(index, 1)
+    return skuDraft(match!, sku)
+  })
+  return [...drafts, ...remaining.map((sku) => skuDraft(sku, null))]
+}
+
+async function commitEntry(args: {
+  readonly clientId: string
+  readonly user: AuthUser
+  readonly entry: CatalogImportPlanEntry
+}): Promise<"created" | "updated"> {
+  const { clientId, user, entry } = args
+  const { imported, target } = entry
+  if (!target) {
+    await createProductFamilyWithSkus({
+      clientId,
+      userId: user.uid,
+      family: familyDraft(imported, null, false),
+      skus: imported.skus.map((sku) => skuDraft(sku, null)),
+      user,
+    })
+    return "created"
+  }
+  const existingSkus = await loadFamilySkus(clientId, target.id)
+  await updateProductFamilyWithSkus({
+    clientId,
+    userId: user.uid,
+    familyId: target.id,
+    family: familyDraft(imported, target, entry.action === "merge"),
+    skus: mergeSkuDrafts(existingSkus, imported.skus),
+    existingSkus,
+    existingFamily: target,
+    user,
+  })
+  return "updated"
+}
+
+/**
+ * Writes every create / update / merge entry, `batchSize` families in
+ * parallel. `onProgress` fires after each batch.
+ */
+export async function commitCatalogImport(args: {
+  readonly clientId: string
+  readonly user: AuthUser
+  readonly entries: ReadonlyArray<CatalogImportPlanEntry>
+  readonly batchSize?: number
+  readonly onProgress?: (progress: CatalogImportProgress) => void
+}): Promise<CatalogImportResult> {
+  const { clientId, user, batchSize = CATALOG_IMPORT_BATCH_SIZE, onProgress } = args
+  const pending = args.entries.filter(
+    (e) => e.action === "create" || e.action === "update" || e.action === "merge",
+  )
+  let created = 0
+  let updated = 0
+  const failures: CatalogImportIssue[] = []
+
+  for (let start = 0; start < pending.length; start += batchSize) {
+    const batch = pending.slice(start, start + batchSize)
+    const results = await Promise.allSettled(
+      batch.map((entry) => commitEntry({ clientId, user, entry })),
+    )
+    results.forEach((result, i) => {
+      if (result.status === "fulfilled") {
+        if (result.value === "created") created += 1
+        else updated += 1
+        return
+      }
+      const entry = batch[i]!
+      console.error("[commitCatalogImport] Failed to import", entry.imported.styleName, result.reason)
+      failures.push(
+        planEntryIssue(entry, result.reason instanceof Error ? result.reason.message : "Write failed."),
+      )
+    })
+    onProgress?.({ done: Math.min(start + batchSize, pending.length), total: pending.length })
+  }
+
+  return { created, updated, failures }
+}
@@ -1,6 +1,7 @@
 import { describe, expect, it, vi } from "vitest"
 import { Timestamp } from "firebase/firestore"
 import {
+  describeProductActivity,
   isSampleReturnOverdue,
   isSampleReturnDueSoon,
   SAMPLE_CONDITIONS,
@@ -80,3 +81,38 @@ describe("SAMPLE_CONDITIONS", () => {
     expect(fair?.color).toBe("amber")
   })
 })
+
+describe("describeProductActivity", () => {
+  const base = {
+    id: "a1",
+    type: "sample_tracking" as const,
+    sampleType: "shoot" as const,
+    carrier: "ups",
+    tracking: "1Z999AA10123456784",
+  }
+
+  it("labels a delivery and omits the ETA", () => {
+    const result = describeProductActivity({
+      ...base,
+      fromStatus: "in_transit",
+      toStatus: "arrived",
+      eta: ts(-DAY_MS),
+      description: "Left at front desk",
+    })
+    expect(result.label).toBe("Sample delivered")
+    expect(result.detail).toBe("Shoot · UPS 1Z999AA10123456784 · Left at front desk")
+  })
+
+  it("labels a carrier exception", () => {
+    const result = describeProductActivity({ ...base, sampleType: "bulk", fromStatus: "in_transit", toStatus: "issue" })
+    expect(result.label).toBe("Carrier reported an issue")
+    expect(result.detail).toBe("Bulk · UPS 1Z999AA10123456784")
+  })
+
+  it("labels an ETA change with the new date", () => {
+    const eta = ts(3 * DAY_MS)
+    const result = describeProductActivity({ ...base, fromStatus: "in_transit", toStatus: "in_transit", eta })
+    expect(result.label).toBe("Sample ETA updated")
+    expect(result.detail).toContain(`ETA ${eta.toDate().toLocaleDateString()}`)
+  })
+})
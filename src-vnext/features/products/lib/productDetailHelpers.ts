@@ -1,5 +1,6 @@
-import type { ProductSampleCondition } from "@/shared/types"
+import type { ProductActivityEntry, ProductSampleCondition } from "@/shared/types"
 import type { Timestamp } from "firebase/firestore"
+import { CARRIER_NAMES } from "@/shared/lib/carrierDetection"
 
 export function formatDateTime(ts: Timestamp | undefined | null): string {
   if (!ts) return "—"
@@ -141,3 +142,25 @@ export function isSampleReturnDueSoon(sample: { readonly status: string; readonl
     return false
   }
 }
+
+/** Timeline label + detail (without the timestamp) for a carrier sync entry. */
+export function describeProductActivity(entry: ProductActivityEntry): {
+  readonly label: string
+  readonly detail: string
+} {
+  const label =
+    entry.toStatus === "arrived" && entry.fromStatus !== "arrived"
+      ? "Sample delivered"
+      : entry.toStatus === "issue" && entry.fromStatus !== "issue"
+        ? "Carrier reported an issue"
+        : "Sample ETA updated"
+  const carrier = entry.carrier ? CARRIER_NAMES[entry.carrier] ?? entry.carrier : null
+  const eta = entry.eta && entry.toStatus !== "arrived" ? `ETA ${entry.eta.toDate().toLocaleDateString()}` : null
+  const parts = [
+    entry.sampleType === "pre_production" ? "Pre-production" : entry.sampleType === "bulk" ? "Bulk" : "Shoot",
+    carrier && entry.tracking ? `${carrier} ${entry.tracking}` : carrier ?? entry.tracking,
+    eta,
+    entry.description,
+  ]
+  return { label, detail: parts.filter(Boolean).join(" · ") }
+}
@@ -0,0 +1,114 @@
+import { describe, it, expect, vi, beforeEach } from "vitest"
+
+const mockRunTransaction = vi.fn()
+
+vi.mock("firebase/firestore", async (importOriginal) => ({
+  ...(await importOriginal<typeof import("firebase/firestore")>()),
+  runTransaction: (...args: unknown[]) => mockRunTransaction(...args),
+  collection: vi.fn((_db: unknown, ...segments: string[]) => ({ path: segments.join("/") })),
+  doc: vi.fn((parent: { path?: string }, ...segments: string[]) =>
+    segments.length > 0
+      ? { id: segments[segments.length - 1], path: segments.join("/") }
+      : { id: "entry-1", path: `${parent.path ?? ""}/entry-1` },
+  ),
+}))
+
+vi.mock("@/shared/lib/firebase", () => ({ db: {}, storage: {} }))
+
+import { checkInProductSample, checkOutProductSample } from "./productWorkspaceWrites"
+
+interface FakeTx {
+  readonly get: ReturnType<typeof vi.fn>
+  readonly set: ReturnType<typeof vi.fn>
+  readonly update: ReturnType<typeof vi.fn>
+}
+
+let tx: FakeTx
+
+/** Runs the transaction body against a sample doc holding `stored`. */
+function storeSample(stored: Record<string, unknown>) {
+  tx = {
+    get: vi.fn(async () => ({ id: "sample-1", exists: () => true, data: () => stored })),
+    set: vi.fn(),
+    update: vi.fn(),
+  }
+  mockRunTransaction.mockImplementation(async (_db: unknown, fn: (t: FakeTx) => Promise<unknown>) => fn(tx))
+}
+
+const CUSTODY = { holderName: "Sam Stylist", projectId: "p1", projectName: "Spring", entryId: "entry-0" }
+
+beforeEach(() => {
+  mockRunTransaction.mockReset()
+})
+
+describe("checkOutProductSample", () => {
+  it("refuses when the stored sample is already checked out, whatever the caller saw", async () => {
+    storeSample({ custody: CUSTODY })
+
+    await expect(
+      checkOutProductSample({
+        clientId: "c1",
+        familyId: "f1",
+        sample: { id: "sample-1" },
+        userId: "u1",
+        holderName: "Alex",
+      }),
+    ).rejects.toThrow("Sample is already checked out to Sam Stylist.")
+    expect(tx.set).not.toHaveBeenCalled()
+    expect(tx.update).not.toHaveBeenCalled()
+  })
+
+  it("writes the ledger entry and custody in the same transaction", async () => {
+    storeSample({ custody: null })
+
+    const entryId = await checkOutProductSample({
+      clientId: "c1",
+      familyId: "f1",
+      sample: { id: "sample-1" },
+      userId: "u1",
+      holderName: " Alex ",
+    })
+
+    expect(entryId).toBe("entry-1")
+    expect(tx.set).toHaveBeenCalledWith(
+      expect.objectContaining({ id: "entry-1" }),
+      expect.objectContaining({ action: "check_out", holderName: "Alex" }),
+    )
+    expect(tx.update).toHaveBeenCalledWith(
+      expect.objectContaining({ id: "sample-1" }),
+      expect.objectContaining({ custody: expect.objectContaining({ holderName: "Alex", entryId: "entry-1" }) }),
+    )
+  })
+})
+
+describe("checkInProductSample", () => {
+  it("records the stored holder and clears custody in the same transaction", async () => {
+    storeSample({ custody: CUSTODY })
+
+    await checkInProductSample({
+      clientId: "c1",
+      familyId: "f1",
+      sample: { id: "sample-1" },
+      userId: "u1",
+      condition: "damaged",
+    })
+
+    expect(tx.set).toHaveBeenCalledWith(
+      expect.anything(),
+      expect.objectContaining({ action: "check_in", holderName: "Sam Stylist", projectName: "Spring" }),
+    )
+    expect(tx.update).toHaveBeenCalledWith(
+      expect.objectContaining({ id: "sample-1" }),
+      expect.objectContaining({ custody: null, condition: "damaged" }),
+    )
+  })
+
+  it("refuses when the stored sample was already checked in", async () => {
+    storeSample({ custody: null })
+
+    await expect(
+      checkInProductSample({ clientId: "c1", familyId: "f1", sample: { id: "sample-1" }, userId: "u1" }),
+    ).rejects.toThrow("Sample is not checked out.")
+    expect(tx.set).not.toHaveBeenCalled()
+  })
+})
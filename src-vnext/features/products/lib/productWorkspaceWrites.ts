@@ -3,6 +3,7 @@ import {
   collection,
   deleteDoc,
   doc,
+  runTransaction,
   setDoc,
   Timestamp,
   updateDoc,
@@ -12,18 +13,29 @@ import { deleteObject, ref as storageRef, uploadBytes } from "firebase/storage"
 import { db, storage } from "@/shared/lib/firebase"
 import {
   productFamiliesPath,
+  productFamilyAssetDeliveriesPath,
   productFamilyCommentsPath,
   productFamilyDocumentsPath,
+  productFamilySampleLedgerPath,
   productFamilySamplesPath,
   productFamilySkusPath,
 } from "@/shared/lib/paths"
 import { compressImageToWebp } from "@/shared/lib/uploadImage"
-import { countActiveRequirements, resolveEarliestLaunchDate } from "@/features/products/lib/assetRequirements"
+import {
+  applyDeliveredFlags,
+  countActiveRequirements,
+  resolveEarliestLaunchDate,
+  summarizeAssetDeliveryByType,
+} from "@/features/products/lib/assetRequirements"
 import { createProductVersionSnapshot } from "@/features/products/lib/productVersioning"
+import { mapProductSample } from "@/features/products/lib/mapProductWorkspace"
 import type {
   AuthUser,
+  ProductAssetDeliverySource,
   ProductAssetRequirements,
   ProductFamily,
+  ProductSample,
+  ProductSampleCondition,
   ProductSampleStatus,
   ProductSampleType,
   ProductSku,
@@ -37,15 +49,36 @@ interface SampleCountAggregates {
   readonly sampleCount: number
   readonly samplesArrivedCount: number
   readonly earliestSampleEta: Date | null
+  readonly earliestSampleReturnDue: Date | null
+}
+
+type SampleDateLike = { toDate?: () => Date } | Date | null
+
+interface SampleAggregateInput {
+  readonly status?: string
+  readonly eta?: SampleDateLike
+  readonly returnDueDate?: SampleDateLike
+  readonly deleted?: boolean
+}
+
+function toDateOrNull(value: SampleDateLike | undefined): Date | null {
+  if (!value) return null
+  try {
+    if (value instanceof Date) return value
+    return typeof value.toDate === "function" ? value.toDate() : null
+  } catch {
+    return null
+  }
 }
 
 function computeSampleAggregates(
-  samples: ReadonlyArray<{ readonly status?: string; readonly eta?: { toDate?: () => Date } | Date | null; readonly deleted?: boolean }>,
+  samples: ReadonlyArray<SampleAggregateInput>,
 ): SampleCountAggregates {
   let total = 0
   let arrived = 0
   let earliestEtaMs = Number.MAX_SAFE_INTEGER
   let earliestEta: Date | null = null
+  let earliestReturnDue: Date | null = null
 
   for (const s of samples) {
     if (s.deleted === true) continue
@@ -67,9 +100,30 @@ function computeSampleAggregates(
         // Skip invalid timestamps
       }
     }
+    // Only arrived samples are out on loan and owe a return (isSampleReturnOverdue).
+    const returnDue = s.status === "arrived" ? toDateOrNull(s.returnDueDate) : null
+    if (returnDue && (!earliestReturnDue || returnDue.getTime() < earliestReturnDue.getTime())) {
+      earliestReturnDue = returnDue
+    }
   }
 
-  return { sampleCount: total, samplesArrivedCount: arrived, earliestSampleEta: earliestEta }
+  return {
+    sampleCount: total,
+    samplesArrivedCount: arrived,
+    earliestSampleEta: earliestEta,
+    earliestSampleReturnDue: earliestReturnDue,
+  }
+}
+
+function familyAggregateUpdate(agg: SampleCountAggregates, userId: string | null) {
+  return {
+    sampleCount: agg.sampleCount,
+    samplesArrivedCount: agg.samplesArrivedCount,
+    earliestSampleEta: agg.earliestSampleEta,
+    earliestSampleReturnDue: agg.earliestSampleReturnDue,
+    updatedAt: new Date(),
+    updatedBy: userId,
+  }
 }
 
 function cleanFileName(name: string): string {
@@ -139,7 +193,7 @@ export async function createProductSample(args: {
   readonly scopeSkuId?: string | null
   readonly returnDueDate?: Date | null
   readonly condition?: string | null
-  readonly allSamples?: ReadonlyArray<{ readonly status?: string; readonly eta?: { toDate?: () => Date } | Date | null; readonly deleted?: boolean }>
+  readonly allSamples?: ReadonlyArray<SampleAggregateInput>
 }): Promise<string> {
   const {
     clientId,
@@ -188,16 +242,13 @@ export async function createProductSample(args: {
     const batch = writeBatch(db)
     batch.set(sampleRef, sampleData)
 
-    const newSample = { status, eta: eta ?? null, deleted: false }
+    const newSample = { status, eta: eta ?? null, returnDueDate: returnDueDate ?? null, deleted: false }
     const agg = computeSampleAggregates([...args.allSamples, newSample])
     const familyPath = productFamiliesPath(clientId)
-    batch.update(doc(db, familyPath[0]!, ...familyPath.slice(1), familyId), {
-      sampleCount: agg.sampleCount,
-      samplesArrivedCount: agg.samplesArrivedCount,
-      earliestSampleEta: agg.earliestSampleEta,
-      updatedAt: now,
-      updatedBy: userId,
-    })
+    batch.update(
+      doc(db, familyPath[0]!, ...familyPath.slice(1), familyId),
+      familyAggregateUpdate(agg, userId),
+    )
 
     await batch.commit()
   } else {
@@ -226,7 +277,7 @@ export async function updateProductSample(args: {
     readonly condition: string | null
     readonly deleted: boolean
   }>
-  readonly allSamples?: ReadonlyArray<{ readonly id?: string; readonly status?: string; readonly eta?: { toDate?: () => Date } | Date | null; readonly deleted?: boolean }>
+  readonly allSamples?: ReadonlyArray<SampleAggregateInput & { readonly id?: string }>
 }): Promise<void> {
   const { clientId, familyId, sampleId, userId, patch } = args
   const base = productFamilySamplesPath(familyId, clientId)
@@ -260,6 +311,7 @@ export async function updateProductSample(args: {
           ...s,
           status: patch.status ?? s.status,
           eta: patch.eta !== undefined ? patch.eta : s.eta,
+          returnDueDate: patch.returnDueDate !== undefined ? patch.returnDueDate : s.returnDueDate,
           deleted: patch.deleted !== undefined ? patch.deleted : s.deleted,
         }
       }
@@ -267,13 +319,10 @@ export async function updateProductSample(args: {
     })
     const agg = computeSampleAggregates(patchedSamples)
     const familyPath = productFamiliesPath(clientId)
-    batch.update(doc(db, familyPath[0]!, ...familyPath.slice(1), familyId), {
-      sampleCount: agg.sampleCount,
-      samplesArrivedCount: agg.samplesArrivedCount,
-      earliestSampleEta: agg.earliestSampleEta,
-      updatedAt: new Date(),
-      updatedBy: userId,
-    })
+    batch.update(
+      doc(db, familyPath[0]!, ...familyPath.slice(1), familyId),
+      familyAggregateUpdate(agg, userId),
+    )
 
     await batch.commit()
   } else {
@@ -281,6 +330,144 @@ export async function updateProductSample(args: {
   }
 }
 
+/**
+ * Hands a sample to a person (optionally for a project). Appends a
+ * `check_out` ledger entry and denormalizes custody onto the sample in one
+ * transaction that re-reads the sample, so two people can't check out the
+ * same sample at once. A new return due date also re-syncs the family
+ * aggregates.
+ */
+export async function checkOutProductSample(args: {
+  readonly clientId: string
+  readonly familyId: string
+  readonly sample: Pick<ProductSample, "id">
+  readonly userId: string
+  readonly userName?: string | null
+  readonly holderName: string
+  readonly projectId?: string | null
+  readonly projectName?: string | null
+  readonly returnDueDate?: Date | null
+  readonly notes?: string | null
+  readonly scanned?: boolean
+  readonly allSamples?: ReadonlyArray<SampleAggregateInput & { readonly id?: string }>
+}): Promise<string> {
+  const { clientId, familyId, sample, userId } = args
+  const holderName = args.holderName.trim()
+  if (!holderName) throw new Error("Enter who is taking the sample.")
+
+  const now = new Date()
+  const ledgerPath = productFamilySampleLedgerPath(familyId, sample.id, clientId)
+  const entryRef = doc(collection(db, ledgerPath[0]!, ...ledgerPath.slice(1)))
+  const samplesPath = productFamilySamplesPath(familyId, clientId)
+  const sampleRef = doc(db, samplesPath[0]!, ...samplesPath.slice(1), sample.id)
+  const projectId = args.projectId?.trim() || null
+  const projectName = projectId ? args.projectName?.trim() || null : null
+
+  await runTransaction(db, async (tx) => {
+    const snap = await tx.get(sampleRef)
+    if (!snap.exists()) throw new Error("Sample not found.")
+    const custody = mapProductSample(snap.id, snap.data()).custody
+    if (custody?.holderName) {
+      throw new Error(`Sample is already checked out to ${custody.holderName}.`)
+    }
+
+    tx.set(entryRef, {
+      action: "check_out",
+      holderName,
+      projectId,
+      projectName,
+      returnDueDate: args.returnDueDate ?? null,
+      notes: args.notes?.trim() || null,
+      scanned: args.scanned === true,
+      createdAt: now,
+      createdBy: userId,
+      createdByName: args.userName ?? null,
+    })
+
+    const sampleUpdate: Record<string, unknown> = {
+      custody: {
+        holderName,
+        projectId,
+        projectName,
+        checkedOutAt: now,
+        checkedOutBy: userId,
+        entryId: entryRef.id,
+      },
+      updatedAt: now,
+      updatedBy: userId,
+    }
+    if (args.returnDueDate) sampleUpdate.returnDueDate = args.returnDueDate
+    tx.update(sampleRef, sampleUpdate)
+
+    if (args.returnDueDate && args.allSamples) {
+      const agg = computeSampleAggregates(
+        args.allSamples.map((s) =>
+          s.id === sample.id ? { ...s, returnDueDate: args.returnDueDate ?? null } : s,
+        ),
+      )
+      const familyPath = productFamiliesPath(clientId)
+      tx.update(
+        doc(db, familyPath[0]!, ...familyPath.slice(1), familyId),
+        familyAggregateUpdate(agg, userId),
+      )
+    }
+  })
+  return entryRef.id
+}
+
+/**
+ * Returns a checked-out sample to the sample room, recording its condition.
+ * Appends a `check_in` ledger entry and clears custody in one transaction
+ * that re-reads the sample, so the entry names whoever actually holds it.
+ */
+export async function checkInProductSample(args: {
+  readonly clientId: string
+  readonly familyId: string
+  readonly sample: Pick<ProductSample, "id">
+  readonly userId: string
+  readonly userName?: string | null
+  readonly condition?: ProductSampleCondition | null
+  readonly notes?: string | null
+  readonly scanned?: boolean
+}): Promise<string> {
+  const { clientId, familyId, sample, userId } = args
+
+  const now = new Date()
+  const ledgerPath = productFamilySampleLedgerPath(familyId, sample.id, clientId)
+  const entryRef = doc(collection(db, ledgerPath[0]!, ...ledgerPath.slice(1)))
+  const samplesPath = productFamilySamplesPath(familyId, clientId)
+  const sampleRef = doc(db, samplesPath[0]!, ...samplesPath.slice(1), sample.id)
+
+  await runTransaction(db, async (tx) => {
+    const snap = await tx.get(sampleRef)
+    if (!snap.exists()) throw new Error("Sample not found.")
+    const custody = mapProductSample(snap.id, snap.data()).custody
+    if (!custody?.holderName) throw new Error("Sample is not checked out.")
+
+    tx.set(entryRef, {
+      action: "check_in",
+      holderName: custody.holderName,
+      projectId: custody.projectId ?? null,
+      projectName: custody.projectName ?? null,
+      condition: args.condition ?? null,
+      notes: args.notes?.trim() || null,
+      scanned: args.scanned === true,
+      createdAt: now,
+      createdBy: userId,
+      createdByName: args.userName ?? null,
+    })
+
+    const sampleUpdate: Record<string, unknown> = {
+      custody: null,
+      updatedAt: now,
+      updatedBy: userId,
+    }
+    if (args.condition) sampleUpdate.condition = args.condition
+    tx.update(sampleRef, sampleUpdate)
+  })
+  return entryRef.id
+}
+
 export async function createProductDocument(args: {
   readonly clientId: string
   readonly familyId: string
@@ -394,6 +581,18 @@ export async function updateProductFamilyLaunchDate(args: {
   }
 }
 
+function familyRequirementAggregates(skus: ReadonlyArray<ProductSku>) {
+  let count = 0
+  for (const s of skus) {
+    if (s.deleted === true) continue
+    count += countActiveRequirements(s.assetRequirements)
+  }
+  return {
+    activeRequirementCount: count,
+    assetDeliverySummary: summarizeAssetDeliveryByType(skus),
+  }
+}
+
 export async function updateProductSkuAssetRequirements(args: {
   readonly clientId: string
   readonly familyId: string
@@ -418,17 +617,11 @@ export async function updateProductSkuAssetRequirements(args: {
       updatedBy: userId,
     })
 
-    // Recompute count with the patched SKU
-    let count = 0
-    for (const s of allSkus) {
-      if (s.deleted === true) continue
-      const reqs = s.id === skuId ? assetRequirements : s.assetRequirements
-      count += countActiveRequirements(reqs)
-    }
-
+    // Recompute aggregates with the patched SKU
+    const patchedSkus = allSkus.map((s) => (s.id === skuId ? { ...s, assetRequirements } : s))
     const familyPath = productFamiliesPath(clientId)
     batch.update(doc(db, familyPath[0]!, ...familyPath.slice(1), familyId), {
-      activeRequirementCount: count,
+      ...familyRequirementAggregates(patchedSkus),
       updatedAt: now,
       updatedBy: userId,
     })
@@ -464,6 +657,124 @@ export async function updateProductSkuAssetRequirements(args: {
   }
 }
 
+/** Firestore batch limit, less headroom for the SKU + family updates. */
+const MAX_DELIVERIES_PER_BATCH = 400
+
+export interface AssetDeliveryInput {
+  readonly skuId: string
+  readonly assetType: string
+  readonly fileName: string
+  /** Present for uploads; manifest entries record the filename only. */
+  readonly file?: File | null
+  /** Provenance for filename-only entries (defaults to "manifest"). */
+  readonly source?: Exclude<ProductAssetDeliverySource, "upload">
+}
+
+/**
+ * Registers delivered files against SKU asset requirements: uploads any
+ * files, writes one `assetDeliveries` doc each, flips matching needed /
+ * in-progress requirements to delivered, bumps the SKU's
+ * `assetDeliveryCounts`, and recomputes the family aggregates.
+ */
+export async function registerProductAssetDeliveries(args: {
+  readonly clientId: string
+  readonly familyId: string
+  readonly userId: string
+  readonly userName?: string | null
+  readonly deliveries: ReadonlyArray<AssetDeliveryInput>
+  readonly allSkus: ReadonlyArray<ProductSku>
+}): Promise<{ readonly flipped: number }> {
+  const { clientId, familyId, userId, userName, deliveries, allSkus } = args
+  if (deliveries.length === 0) throw new Error("No files to register.")
+  if (deliveries.length > MAX_DELIVERIES_PER_BATCH) {
+    throw new Error(`Register at most ${MAX_DELIVERIES_PER_BATCH} files at a time.`)
+  }
+  for (const d of deliveries) {
+    if (!allSkus.some((s) => s.id === d.skuId)) throw new Error(`Pick a colorway for ${d.fileName}.`)
+    if (!d.assetType) throw new Error(`Pick an asset type for ${d.fileName}.`)
+  }
+
+  const deliveriesPath = productFamilyAssetDeliveriesPath(familyId, clientId)
+  const rows = deliveries.map((d) => {
+    const ref = doc(collection(db, deliveriesPath[0]!, ...deliveriesPath.slice(1)))
+    const name = cleanFileName(d.fileName || d.file?.name || "file")
+    return {
+      ...d,
+      ref,
+      name,
+      storagePath: d.file
+        ? `clients/${clientId}/deliveries/productFamilies/${familyId}/${ref.id}/${name}`
+        : null,
+    }
+  })
+
+  const uploaded: string[] = []
+  try {
+    // Finals are stored as delivered — no recompression.
+    for (const row of rows) {
+      if (!row.file || !row.storagePath) continue
+      await uploadBytes(storageRef(storage, row.storagePath), row.file, {
+        contentType: row.file.type || undefined,
+      })
+      uploaded.push(row.storagePath)
+    }
+
+    const now = new Date()
+    const batch = writeBatch(db)
+    rows.forEach((row) => {
+      batch.set(row.ref, {
+        skuId: row.skuId,
+        assetType: row.assetType,
+        fileName: row.name,
+        source: row.file ? "upload" : (row.source ?? "manifest"),
+        storagePath: row.storagePath,
+        contentType: row.file?.type || null,
+        sizeBytes: row.file && typeof row.file.size === "number" ? row.file.size : null,
+        createdAt: now,
+        createdBy: userId,
+        createdByName: userName ?? null,
+      })
+    })
+
+    let flipped = 0
+    const skuPath = productFamilySkusPath(familyId, clientId)
+    const patchedSkus = allSkus.map((sku) => {
+      const mine = rows.filter((r) => r.skuId === sku.id)
+      if (mine.length === 0) return sku
+      const counts: Record<string, number> = { ...(sku.assetDeliveryCounts ?? {}) }
+      for (const r of mine) counts[r.assetType] = (counts[r.assetType] ?? 0) + 1
+      const nextReqs = applyDeliveredFlags(sku.assetRequirements, mine.map((r) => r.assetType))
+      if (nextReqs) {
+        flipped += Object.keys(nextReqs).filter(
+          (k) => nextReqs[k] === "delivered" && sku.assetRequirements?.[k] !== "delivered",
+        ).length
+      }
+      batch.update(doc(db, skuPath[0]!, ...skuPath.slice(1), sku.id), {
+        assetDeliveryCounts: counts,
+        ...(nextReqs ? { assetRequirements: nextReqs } : {}),
+        updatedAt: now,
+        updatedBy: userId,
+      })
+      return nextReqs ? { ...sku, assetRequirements: nextReqs } : sku
+    })
+
+    const familyPath = productFamiliesPath(clientId)
+    batch.update(doc(db, familyPath[0]!, ...familyPath.slice(1), familyId), {
+      ...familyRequirementAggregates(patchedSkus),
+      updatedAt: now,
+      updatedBy: userId,
+    })
+
+    await batch.commit()
+    return { flipped }
+  } catch (err) {
+    await Promise.all(
+      uploaded.map((path) => deleteObject(storageRef(storage, path)).catch(() => undefined)),
+    )
+    throw err
+  }
+}
+
 export async function updateProductSkuLaunchDate(args: {
   readonly clientId: string
   readonly familyId: string
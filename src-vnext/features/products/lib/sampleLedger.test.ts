@@ -0,0 +1,121 @@
+import { describe, expect, it } from "vitest"
+import { Timestamp } from "firebase/firestore"
+import {
+  buildOverdueReturns,
+  code39Bars,
+  encodeCode39,
+  familiesWithOverdueReturns,
+  findSampleByScan,
+  nextLedgerAction,
+  parseSampleScan,
+  sampleLabelCode,
+} from "@/features/products/lib/sampleLedger"
+import type { ProductSample } from "@/shared/types"
+
+const NOW = new Date("2026-03-10T12:00:00Z")
+
+function ts(iso: string): Timestamp {
+  return Timestamp.fromDate(new Date(iso))
+}
+
+function makeSample(overrides: Partial<ProductSample> & Pick<ProductSample, "id">): ProductSample {
+  return {
+    type: "shoot",
+    status: "arrived",
+    sizeRun: ["M"],
+    ...overrides,
+  }
+}
+
+describe("sample labels", () => {
+  it("upper-cases the id behind an SMP- prefix", () => {
+    expect(sampleLabelCode("aB3x")).toBe("SMP-AB3X")
+  })
+
+  it("parses bare codes, Code 39 asterisks and embedded payloads", () => {
+    expect(parseSampleScan(" smp-ab3x ")).toBe("AB3X")
+    expect(parseSampleScan("*SMP-AB3X*")).toBe("AB3X")
+    expect(parseSampleScan("https://example.com/s?c=SMP-AB3X")).toBe("AB3X")
+    expect(parseSampleScan("ab3x")).toBe("AB3X")
+    expect(parseSampleScan("   ")).toBeNull()
+    expect(parseSampleScan("not a code")).toBeNull()
+  })
+
+  it("matches scans case-insensitively and skips deleted samples", () => {
+    const samples = [
+      makeSample({ id: "aB3x", deleted: true }),
+      makeSample({ id: "Zz9" }),
+    ]
+    expect(findSampleByScan(samples, "SMP-ZZ9")?.id).toBe("Zz9")
+    expect(findSampleByScan(samples, "SMP-AB3X")).toBeNull()
+  })
+})
+
+describe("encodeCode39", () => {
+  it("wraps the text in start/stop characters with narrow gaps", () => {
+    // * A * → 3 chars × 12 modules + 2 gaps
+    const modules = encodeCode39("a")
+    expect(modules).toBe("100101101101" + "0" + "110101001011" + "0" + "100101101101")
+  })
+
+  it("rejects characters Code 39 can't encode", () => {
+    expect(() => encodeCode39("a_b")).toThrow(/can't encode "_"/)
+  })
+
+  it("collapses modules into bar runs", () => {
+    const bars = code39Bars("")
+    // "**" = 100101101101 0 100101101101
+    expect(bars.slice(0, 4)).toEqual([[0, 1], [3, 1], [5, 2], [8, 2]])
+    const last = bars[bars.length - 1]!
+    expect(last[0] + last[1]).toBe(25)
+  })
+})
+
+describe("nextLedgerAction", () => {
+  it("checks out samples in the room and checks in samples that are out", () => {
+    expect(nextLedgerAction({ custody: null })).toBe("check_out")
+    expect(nextLedgerAction({ custody: { holderName: "Ana", entryId: "e1" } })).toBe("check_in")
+  })
+})
+
+describe("overdue returns", () => {
+  const family = { id: "f1", styleName: "Oxford Shirt", styleNumber: "OX-1" }
+
+  it("lists arrived samples past their due date, most overdue first", () => {
+    const rows = buildOverdueReturns(
+      [
+        {
+          family,
+          samples: [
+            makeSample({ id: "late", returnDueDate: ts("2026-03-08T12:00:00Z") }),
+            makeSample({
+              id: "later",
+              returnDueDate: ts("2026-03-01T12:00:00Z"),
+              custody: { holderName: "Ana", entryId: "e1" },
+            }),
+            makeSample({ id: "future", returnDueDate: ts("2026-03-20T12:00:00Z") }),
+            makeSample({ id: "returned", status: "returned", returnDueDate: ts("2026-03-01T12:00:00Z") }),
+            makeSample({ id: "gone", deleted: true, returnDueDate: ts("2026-03-01T12:00:00Z") }),
+            makeSample({ id: "nodate" }),
+          ],
+        },
+      ],
+      NOW,
+    )
+    expect(rows.map((r) => [r.sample.id, r.daysOverdue, r.holderName])).toEqual([
+      ["later", 9, "Ana"],
+      ["late", 2, null],
+    ])
+    expect(rows[0]).toMatchObject({ familyId: "f1", familyName: "Oxford Shirt", styleNumber: "OX-1" })
+  })
+
+  it("narrows families by the denormalized earliest return due date", () => {
+    const families = [
+      { id: "a", earliestSampleReturnDue: ts("2026-03-01T00:00:00Z") },
+      { id: "b", earliestSampleReturnDue: ts("2026-04-01T00:00:00Z") },
+      { id: "c", earliestSampleReturnDue: null },
+      { id: "d", earliestSampleReturnDue: ts("2026-03-01T00:00:00Z"), deleted: true },
+    ]
+    expect(familiesWithOverdueReturns(families, NOW).map((f) => f.id)).toEqual(["a"])
+  })
+})
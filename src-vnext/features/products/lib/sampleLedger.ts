@@ -0,0 +1,177 @@
+import type {
+  ProductFamily,
+  ProductSample,
+  ProductSampleLedgerAction,
+} from "@/shared/types"
+
+// ---------------------------------------------------------------------------
+// Labels
+// ---------------------------------------------------------------------------
+
+const LABEL_PREFIX = "SMP-"
+
+/**
+ * Printed on the sample label as both barcode and text. Firestore ids are
+ * alphanumeric, so upper-casing keeps them Code 39-safe; scans match
+ * case-insensitively.
+ */
+export function sampleLabelCode(sampleId: string): string {
+  return `${LABEL_PREFIX}${sampleId.toUpperCase()}`
+}
+
+/**
+ * Normalizes a typed or scanned value to the sample id part of a label code.
+ * Accepts the bare code, Code 39 start/stop asterisks, or any payload that
+ * embeds an `SMP-` code (e.g. a QR URL). Returns null for empty input.
+ */
+export function parseSampleScan(raw: string): string | null {
+  const value = raw.trim().toUpperCase().replace(/^\*+|\*+$/g, "")
+  if (!value) return null
+  const embedded = /SMP-([A-Z0-9]+)/.exec(value)
+  if (embedded) return embedded[1]!
+  return /^[A-Z0-9]+$/.test(value) ? value : null
+}
+
+export function findSampleByScan<T extends Pick<ProductSample, "id" | "deleted">>(
+  samples: ReadonlyArray<T>,
+  raw: string,
+): T | null {
+  const code = parseSampleScan(raw)
+  if (!code) return null
+  return samples.find((s) => s.deleted !== true && s.id.toUpperCase() === code) ?? null
+}
+
+// Code 39 modules at a 2:1 wide/narrow ratio ("1" = bar, "0" = space).
+const CODE39: Readonly<Record<string, string>> = {
+  "0": "101001101101", "1": "110100101011", "2": "101100101011", "3": "110110010101",
+  "4": "101001101011", "5": "110100110101", "6": "101100110101", "7": "101001011011",
+  "8": "110100101101", "9": "101100101101", A: "110101001011", B: "101101001011",
+  C: "110110100101", D: "101011001011", E: "110101100101", F: "101101100101",
+  G: "101010011011", H: "110101001101", I: "101101001101", J: "101011001101",
+  K: "110101010011", L: "101101010011", M: "110110101001", N: "101011010011",
+  O: "110101101001", P: "101101101001", Q: "101010110011", R: "110101011001",
+  S: "101101011001", T: "101011011001", U: "110010101011", V: "100110101011",
+  W: "110011010101", X: "100101101011", Y: "110010110101", Z: "100110110101",
+  "-": "100101011011", ".": "110010101101", " ": "100110101101", "*": "100101101101",
+}
+
+/**
+ * Encodes text as Code 39 modules, wrapped in `*` start/stop characters
+ * with a narrow gap between characters. Throws on characters Code 39 can't
+ * represent.
+ */
+export function encodeCode39(text: string): string {
+  const chars = `*${text.toUpperCase()}*`.split("")
+  return chars
+    .map((ch) => {
+      const pattern = CODE39[ch]
+      if (!pattern) throw new Error(`Code 39 can't encode "${ch}".`)
+      return pattern
+    })
+    .join("0")
+}
+
+/** Runs of consecutive bars, as `[start, width]` in modules, for SVG rendering. */
+export function code39Bars(text: string): Array<readonly [number, number]> {
+  const modules = encodeCode39(text)
+  const bars: Array<readonly [number, number]> = []
+  let start = -1
+  for (let i = 0; i <= modules.length; i++) {
+    const isBar = modules[i] === "1"
+    if (isBar && start < 0) start = i
+    if (!isBar && start >= 0) {
+      bars.push([start, i - start])
+      start = -1
+    }
+  }
+  return bars
+}
+
+// ---------------------------------------------------------------------------
+// Custody
+// ---------------------------------------------------------------------------
+
+export const LEDGER_ACTION_LABELS: Readonly<Record<ProductSampleLedgerAction, string>> = {
+  check_out: "Checked out",
+  check_in: "Checked in",
+}
+
+export function isSampleCheckedOut(sample: Pick<ProductSample, "custody">): boolean {
+  return !!sample.custody?.holderName
+}
+
+/** A scan toggles custody: samples in the room go out, samples out come back. */
+export function nextLedgerAction(sample: Pick<ProductSample, "custody">): ProductSampleLedgerAction {
+  return isSampleCheckedOut(sample) ? "check_in" : "check_out"
+}
+
+// ---------------------------------------------------------------------------
+// Overdue returns
+// ---------------------------------------------------------------------------
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+function returnDueMs(sample: Pick<ProductSample, "returnDueDate">): number | null {
+  try {
+    const ms = sample.returnDueDate?.toDate().getTime()
+    return typeof ms === "number" && Number.isFinite(ms) ? ms : null
+  } catch {
+    return null
+  }
+}
+
+export interface OverdueReturnRow {
+  readonly familyId: string
+  readonly familyName: string
+  readonly styleNumber: string | null
+  readonly sample: ProductSample
+  readonly dueDate: Date
+  readonly daysOverdue: number
+  /** Current holder when the sample is checked out. */
+  readonly holderName: string | null
+}
+
+/**
+ * Samples that arrived but are past their return due date, most overdue
+ * first. Matches `isSampleReturnOverdue` (returned samples drop out).
+ */
+export function buildOverdueReturns(
+  groups: ReadonlyArray<{
+    readonly family: Pick<ProductFamily, "id" | "styleName" | "styleNumber">
+    readonly samples: ReadonlyArray<ProductSample>
+  }>,
+  now: Date = new Date(),
+): OverdueReturnRow[] {
+  const nowMs = now.getTime()
+  const rows: OverdueReturnRow[] = []
+  for (const { family, samples } of groups) {
+    for (const sample of samples) {
+      if (sample.deleted === true || sample.status !== "arrived") continue
+      const dueMs = returnDueMs(sample)
+      if (dueMs === null || dueMs >= nowMs) continue
+      rows.push({
+        familyId: family.id,
+        familyName: family.styleName,
+        styleNumber: family.styleNumber ?? null,
+        sample,
+        dueDate: new Date(dueMs),
+        daysOverdue: Math.max(1, Math.floor((nowMs - dueMs) / DAY_MS)),
+        holderName: sample.custody?.holderName ?? null,
+      })
+    }
+  }
+  return rows.sort((a, b) => a.dueDate.getTime() - b.dueDate.getTime())
+}
+
+/** Families whose denormalized earliest return due date has passed. */
+export function familiesWithOverdueReturns<T extends Pick<ProductFamily, "earliestSampleReturnDue" | "deleted">>(
+  families: ReadonlyArray<T>,
+  now: Date = new Date(),
+): T[] {
+  const nowMs = now.getTime()
+  return families.filter((f) => {
+    if (f.deleted === true || !f.earliestSampleReturnDue) return false
+    const ms = returnDueMs({ returnDueDate: f.earliestSampleReturnDue })
+    return ms !== null && ms < nowMs
+  })
+}
@@ -13,6 +13,8 @@ function mapProject(id: string, data: Record<string, unknown>): Project {
     shootDates: normalizeShootDates(data["shootDates"]),
     notes: data["notes"] as string | undefined,
     briefUrl: data["briefUrl"] as string | undefined,
+    complianceRules: data["complianceRules"] as Project["complianceRules"],
+    captureOneTemplate: data["captureOneTemplate"] as Project["captureOneTemplate"],
     deletedAt: data["deletedAt"],
     createdAt: data["createdAt"] as Project["createdAt"],
     updatedAt: data["updatedAt"] as Project["updatedAt"],
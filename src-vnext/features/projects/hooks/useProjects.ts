@@ -14,6 +14,8 @@ export function mapProject(id: string, data: Record<string, unknown>): Project {
     shootDates: normalizeShootDates(data["shootDates"]),
     notes: data["notes"] as string | undefined,
     briefUrl: data["briefUrl"] as string | undefined,
+    complianceRules: data["complianceRules"] as Project["complianceRules"],
+    captureOneTemplate: data["captureOneTemplate"] as Project["captureOneTemplate"],
     visibility: data["visibility"] as Project["visibility"],
     createdBy: data["createdBy"] as string | undefined,
     deletedAt: data["deletedAt"],
@@ -0,0 +1,231 @@
+// @vitest-environment node
+/**
+ * Unit tests for the pure helpers in `functions/src/calendarFeeds.js`
+ * (per-person .ics feeds for published call sheets). The Firestore-backed
+ * handler and publish-time token creation are not exercised here.
+ */
+
+import { describe, expect, it } from "vitest"
+import { createRequire } from "node:module"
+import { resolve } from "node:path"
+
+const require = createRequire(import.meta.url)
+const feeds = require(
+  resolve(__dirname, "../../../../functions/src/calendarFeeds.js"),
+) as {
+  escapeIcsText: (value: string) => string
+  foldIcsLine: (line: string) => string
+  buildIcsCalendar: (input: { name: string; events: unknown[] }) => string
+  parseTimeToMinutes: (value: unknown) => number | null
+  shootDateKey: (shootDate: unknown, timeZone?: string) => string | null
+  pickLatestSharePerSchedule: (
+    shares: Array<{ id: string; data: Record<string, unknown> }>,
+  ) => Array<{ id: string }>
+  buildFeedEvent: (input: Record<string, unknown>) => Record<string, unknown> | null
+  parseFeedToken: (input: { path?: string; query?: Record<string, unknown> }) => string | null
+  buildCalendarFeedUrl: (token: string, appUrl?: string) => string
+  formatUtcDateTime: (date: string, minutes: number, timeZone: string) => string
+  feedKeyDocId: (input: {
+    clientId: string
+    projectId: string
+    personKind: string
+    personId: string
+  }) => string
+}
+
+function ts(iso: string) {
+  return { toDate: () => new Date(iso) }
+}
+
+const share = {
+  scheduleId: "sched-1",
+  createdAt: ts("2026-03-10T15:00:00Z"),
+  shootDate: ts("2026-03-14T04:00:00Z"),
+  snapshot: {
+    title: "Day 1",
+    projectName: "Spring Campaign",
+    schedule: {
+      tracks: [],
+      entries: [
+        { id: "e1", startTime: "08:00", endTime: "12:00", title: "Hero", trackLabel: null, locationLabel: null },
+        { id: "e2", startTime: "17:00", endTime: "18:30", title: "Detail", trackLabel: null, locationLabel: null },
+      ],
+    },
+    locations: [
+      { id: "l1", label: "Studio 4", address: "12 King St", notes: "Door 2", latitude: null, longitude: null },
+    ],
+    dayDetails: { generalCallTime: null, sunrise: null, sunset: null, weatherSummary: null, notes: "Bring layers" },
+  },
+}
+
+const recipient = {
+  personId: "t1",
+  personKind: "talent",
+  name: "Ava Reed",
+  roleLabel: "Lead",
+  callTime: "6:30 AM",
+  precallTime: "06:00",
+}
+
+describe("ICS encoding", () => {
+  it("escapes text values", () => {
+    expect(feeds.escapeIcsText("a,b;c\nd")).toBe("a\\,b\\;c\\nd")
+  })
+
+  it("folds long lines at 75 octets", () => {
+    const folded = feeds.foldIcsLine(`DESCRIPTION:${"x".repeat(100)}`)
+    const parts = folded.split("\r\n")
+    expect(parts[0]).toHaveLength(75)
+    expect(parts[1]!.startsWith(" ")).toBe(true)
+  })
+
+  it("builds a CRLF calendar with a refresh hint", () => {
+    const ics = feeds.buildIcsCalendar({ name: "Calls", events: [] })
+    expect(ics.startsWith("BEGIN:VCALENDAR\r\n")).toBe(true)
+    expect(ics).toContain("REFRESH-INTERVAL;VALUE=DURATION:PT1H")
+    expect(ics.endsWith("END:VCALENDAR\r\n")).toBe(true)
+  })
+})
+
+describe("parseTimeToMinutes", () => {
+  it("reads 24h and 12h call times", () => {
+    expect(feeds.parseTimeToMinutes("07:15")).toBe(435)
+    expect(feeds.parseTimeToMinutes("6:30 AM")).toBe(390)
+    expect(feeds.parseTimeToMinutes("12 PM")).toBe(720)
+    expect(feeds.parseTimeToMinutes("O/C")).toBeNull()
+    expect(feeds.parseTimeToMinutes(null)).toBeNull()
+  })
+})
+
+describe("shootDateKey", () => {
+  it("uses the production time zone for the calendar day", () => {
+    const lateEvening = ts("2026-03-15T02:00:00Z")
+    expect(feeds.shootDateKey(lateEvening, "America/Toronto")).toBe("2026-03-14")
+    expect(feeds.shootDateKey(lateEvening, "UTC")).toBe("2026-03-15")
+    expect(feeds.shootDateKey(null)).toBeNull()
+  })
+})
+
+describe("pickLatestSharePerSchedule", () => {
+  it("keeps only the most recent publish of each day", () => {
+    const picked = feeds.pickLatestSharePerSchedule([
+      { id: "old", data: { scheduleId: "s1", createdAt: ts("2026-03-01T00:00:00Z") } },
+      { id: "new", data: { scheduleId: "s1", createdAt: ts("2026-03-02T00:00:00Z") } },
+      { id: "other", data: { scheduleId: "s2", createdAt: ts("2026-03-01T00:00:00Z") } },
+    ])
+    expect(picked.map((s) => s.id).sort()).toEqual(["new", "other"])
+  })
+})
+
+describe("buildFeedEvent", () => {
+  it("builds a timed event with a stable per-person UID", () => {
+    const event = feeds.buildFeedEvent({
+      shareId: "shareA",
+      share,
+      recipientToken: "recB",
+      recipient,
+      appUrl: "https://app.test",
+      timeZone: "America/Toronto",
+    })
+    expect(event).toMatchObject({
+      uid: "sched-1-talent-t1@callsheet",
+      date: "2026-03-14",
+      startMinutes: 390,
+      endMinutes: 18 * 60 + 30,
+      summary: "Call: Spring Campaign — Day 1",
+      location: "Studio 4, 12 King St",
+      url: "https://app.test/s/shareA.recB",
+      sequence: Date.parse("2026-03-10T15:00:00Z") / 1000,
+    })
+    expect(event!.description).toContain("Lead")
+    expect(event!.description).toContain("Pre-call: 06:00")
+    expect(event!.description).toContain("Studio 4, 12 King St (Door 2)")
+    expect(event!.description).toContain("Bring layers")
+  })
+
+  it("falls back to an all-day event when the call is not a time", () => {
+    const event = feeds.buildFeedEvent({
+      shareId: "shareA",
+      share,
+      recipientToken: "recB",
+      recipient: { ...recipient, callTime: "O/C" },
+      timeZone: "America/Toronto",
+    })
+    expect(event).toMatchObject({ startMinutes: null, endMinutes: null })
+    expect(event!.description).toContain("Call: O/C")
+  })
+
+  it("skips shares without a shoot date", () => {
+    const undated = { ...share, shootDate: null, snapshot: { ...share.snapshot, date: null } }
+    expect(
+      feeds.buildFeedEvent({ shareId: "a", share: undated, recipientToken: "b", recipient }),
+    ).toBeNull()
+  })
+
+  it("renders as a VEVENT with UTC times for the production's zone", () => {
+    const event = feeds.buildFeedEvent({
+      shareId: "shareA",
+      share,
+      recipientToken: "recB",
+      recipient,
+      timeZone: "America/Toronto",
+    })
+    const ics = feeds.buildIcsCalendar({ name: "Calls", events: [event] })
+    // 14 March 2026 is after the DST switch, so Toronto is UTC-4.
+    expect(ics).toContain("DTSTART:20260314T103000Z\r\n")
+    expect(ics).toContain("DTEND:20260314T223000Z\r\n")
+    expect(ics).toContain("SEQUENCE:")
+  })
+})
+
+describe("formatUtcDateTime", () => {
+  it("converts wall-clock minutes in the zone to a UTC date-time", () => {
+    expect(feeds.formatUtcDateTime("2026-01-10", 7 * 60, "America/Toronto")).toBe("20260110T120000Z")
+    expect(feeds.formatUtcDateTime("2026-01-10", 7 * 60, "America/Vancouver")).toBe("20260110T150000Z")
+  })
+
+  it("rolls overnight wraps into the next day", () => {
+    expect(feeds.formatUtcDateTime("2026-01-10", 25 * 60, "America/Toronto")).toBe("20260111T060000Z")
+  })
+
+  it("uses the offset in force at each time on a DST change day", () => {
+    expect(feeds.formatUtcDateTime("2026-03-08", 60, "America/Toronto")).toBe("20260308T060000Z")
+    expect(feeds.formatUtcDateTime("2026-03-08", 4 * 60, "America/Toronto")).toBe("20260308T080000Z")
+  })
+})
+
+describe("feedKeyDocId", () => {
+  it("is the same for the same person on a project", () => {
+    const person = { clientId: "c1", projectId: "p1", personKind: "crew", personId: "m1" }
+    expect(feeds.feedKeyDocId(person)).toBe("c1:p1:crew:m1")
+    expect(feeds.feedKeyDocId({ ...person })).toBe(feeds.feedKeyDocId(person))
+  })
+
+  it("keeps ids containing separators or slashes from colliding", () => {
+    const a = feeds.feedKeyDocId({ clientId: "c1", projectId: "p:1", personKind: "crew", personId: "m1" })
+    const b = feeds.feedKeyDocId({ clientId: "c1:p", projectId: "1", personKind: "crew", personId: "m1" })
+    expect(a).not.toBe(b)
+    expect(feeds.feedKeyDocId({ clientId: "c1", projectId: "p1", personKind: "crew", personId: "a/b" })).not.toContain("/")
+  })
+})
+
+describe("parseFeedToken", () => {
+  it("reads the token from the rewrite path or query string", () => {
+    expect(feeds.parseFeedToken({ path: "/calendar/AbCdEf0123456789xyz1.ics" })).toBe("AbCdEf0123456789xyz1")
+    expect(feeds.parseFeedToken({ path: "/", query: { token: "AbCdEf0123456789xyz1" } })).toBe(
+      "AbCdEf0123456789xyz1",
+    )
+  })
+
+  it("rejects malformed tokens", () => {
+    expect(feeds.parseFeedToken({ path: "/calendar/short.ics" })).toBeNull()
+    expect(feeds.parseFeedToken({ path: "/calendar/../../etc.ics" })).toBeNull()
+    expect(feeds.parseFeedToken({})).toBeNull()
+  })
+})
+
+describe("buildCalendarFeedUrl", () => {
+  it("points at the hosting rewrite", () => {
+    expect(feeds.buildCalendarFeedUrl("tok123", "https://app.test")).toBe("https://app.test/calendar/tok123.ics")
+  })
+})
@@ -165,6 +165,16 @@ describe("CallSheetShareEmail template", () => {
     expect(html).toContain("Oct 4 at 9:15 AM")
   })
 
+  it("renders the reminder banner in place of the resend one when reminder=true", async () => {
+    const html = await emailsModule.renderHtml(emailsModule.CallSheetShareEmail, {
+      ...baseShareProps,
+      reminder: true,
+      resend: true,
+    })
+    expect(html).toContain("had your confirmation for this call sheet")
+    expect(html).not.toContain("resend of the call sheet")
+  })
+
   it("omits the confirm hint when requireConfirm=false", async () => {
     const html = await emailsModule.renderHtml(emailsModule.CallSheetShareEmail, {
       ...baseShareProps,
@@ -180,6 +190,23 @@ describe("CallSheetShareEmail template", () => {
     })
     expect(html).toContain("Link expires Oct 6, 2026")
   })
+
+  it("lists changes since the last version on a later revision", async () => {
+    const html = await emailsModule.renderHtml(emailsModule.CallSheetShareEmail, {
+      ...baseShareProps,
+      revision: 2,
+      changeSummary: ["General call moved: 7:00 AM → 6:30 AM", "Talent added: Ben Ode"],
+    })
+    expect(html).toContain("revision 2")
+    expect(html).toContain("Changes since last version")
+    expect(html).toContain("General call moved: 7:00 AM → 6:30 AM")
+    expect(html).toContain("Talent added: Ben Ode")
+  })
+
+  it("omits the changes section on the first publish", async () => {
+    const html = await emailsModule.renderHtml(emailsModule.CallSheetShareEmail, baseShareProps)
+    expect(html).not.toContain("Changes since last version")
+  })
 })
 
 describe("CallSheetConfirmationReceipt template", () => {
@@ -0,0 +1,131 @@
+// @vitest-environment node
+/**
+ * Unit tests for `functions/src/callSheetRevisions.js` — the "what changed"
+ * diff stored on each republished call sheet and summarized in the email.
+ */
+
+import { describe, expect, it } from "vitest"
+import { createRequire } from "node:module"
+import { resolve } from "node:path"
+
+const require = createRequire(import.meta.url)
+const revisions = require(
+  resolve(__dirname, "../../../../functions/src/callSheetRevisions.js"),
+) as {
+  diffCallSheetSnapshots: (previous: unknown, next: unknown) => Array<Record<string, unknown>>
+  describeChange: (change: Record<string, unknown>) => string
+  summarizeChanges: (changes: unknown, limit?: number) => string[]
+  MAX_CHANGES: number
+}
+
+function snapshot(overrides: Record<string, unknown> = {}) {
+  return {
+    dayDetails: { generalCallTime: "07:00", sunrise: null, sunset: null, weatherSummary: null, notes: null },
+    talentCalls: [{ talentId: "t1", name: "Ava Reed", callTime: "08:00" }],
+    crewCalls: [{ crewMemberId: "c1", name: "Sam Cho", callTime: "06:30" }],
+    locations: [{ id: "l1", label: "Studio 4", address: "12 King St", notes: null }],
+    schedule: {
+      tracks: [],
+      entries: [{ id: "e1", startTime: "09:00", endTime: "10:00", title: "Hero", locationLabel: null }],
+    },
+    ...overrides,
+  }
+}
+
+describe("diffCallSheetSnapshots", () => {
+  it("returns nothing for identical snapshots or a first publish", () => {
+    expect(revisions.diffCallSheetSnapshots(snapshot(), snapshot())).toEqual([])
+    expect(revisions.diffCallSheetSnapshots(null, snapshot())).toEqual([])
+  })
+
+  it("treats equivalent time formats as unchanged", () => {
+    const next = snapshot({ talentCalls: [{ talentId: "t1", name: "Ava Reed", callTime: "8:00 AM" }] })
+    expect(revisions.diffCallSheetSnapshots(snapshot(), next)).toEqual([])
+  })
+
+  it("reports call time moves, additions and removals", () => {
+    const next = snapshot({
+      dayDetails: { generalCallTime: "06:30" },
+      talentCalls: [
+        { talentId: "t1", name: "Ava Reed", callTime: "09:00" },
+        { talentId: "t2", name: "Ben Ode", callTime: "10:00" },
+      ],
+      crewCalls: [],
+    })
+    expect(revisions.diffCallSheetSnapshots(snapshot(), next)).toEqual([
+      { kind: "generalCall", id: "generalCall", label: "General call", from: "07:00", to: "06:30" },
+      { kind: "talentCall", id: "t1", label: "Ava Reed", from: "08:00", to: "09:00" },
+      { kind: "talentAdded", id: "t2", label: "Ben Ode", from: null, to: "10:00" },
+      { kind: "crewRemoved", id: "c1", label: "Sam Cho", from: "06:30", to: null },
+    ])
+  })
+
+  it("reports location and schedule entry changes", () => {
+    const next = snapshot({
+      locations: [{ id: "l1", label: "Studio 5", address: "12 King St", notes: null }],
+      schedule: {
+        tracks: [],
+        entries: [
+          { id: "e1", startTime: "10:00", endTime: "11:00", title: "Hero", locationLabel: null },
+          { id: "e2", startTime: "12:00", endTime: null, title: "Lunch", locationLabel: null },
+        ],
+      },
+    })
+    const changes = revisions.diffCallSheetSnapshots(snapshot(), next)
+    expect(changes.map((c) => c.kind)).toEqual(["locationChanged", "entryChanged", "entryAdded"])
+    expect(changes[0]).toMatchObject({ from: "Studio 4, 12 King St", to: "Studio 5, 12 King St" })
+    expect(changes[1]).toMatchObject({ id: "e1", from: "9:00 AM · Hero", to: "10:00 AM · Hero" })
+  })
+
+  it("falls back to names for people without ids", () => {
+    const prev = snapshot({ talentCalls: [{ talentId: null, name: "Walk-on", callTime: "08:00" }] })
+    const next = snapshot({ talentCalls: [{ talentId: null, name: "Walk-on", callTime: "08:30" }] })
+    expect(revisions.diffCallSheetSnapshots(prev, next)).toEqual([
+      { kind: "talentCall", id: "name:Walk-on", label: "Walk-on", from: "08:00", to: "08:30" },
+    ])
+  })
+
+  it("caps the change list", () => {
+    const entries = Array.from({ length: revisions.MAX_CHANGES + 20 }, (_, i) => ({
+      id: `e${i}`,
+      startTime: null,
+      endTime: null,
+      title: `Entry ${i}`,
+      locationLabel: null,
+    }))
+    const next = snapshot({ schedule: { tracks: [], entries } })
+    expect(revisions.diffCallSheetSnapshots(snapshot({ schedule: null }), next)).toHaveLength(revisions.MAX_CHANGES)
+  })
+})
+
+describe("describeChange", () => {
+  it("formats times in 12h", () => {
+    expect(
+      revisions.describeChange({ kind: "crewCall", id: "c1", label: "Sam Cho", from: "06:30", to: "13:00" }),
+    ).toBe("Sam Cho call: 6:30 AM → 1:00 PM")
+    expect(
+      revisions.describeChange({ kind: "talentAdded", id: "t2", label: "Ben Ode", from: null, to: "10:00" }),
+    ).toBe("Talent added: Ben Ode (call 10:00 AM)")
+  })
+
+  it("keeps free-text call values as written", () => {
+    expect(
+      revisions.describeChange({ kind: "talentCall", id: "t1", label: "Ava", from: "O/C", to: "09:00" }),
+    ).toBe("Ava call: O/C → 9:00 AM")
+  })
+})
+
+describe("summarizeChanges", () => {
+  it("truncates with a trailing count", () => {
+    const changes = Array.from({ length: 5 }, (_, i) => ({
+      kind: "entryAdded",
+      id: `e${i}`,
+      label: `Entry ${i}`,
+      from: null,
+      to: `Entry ${i}`,
+    }))
+    const lines = revisions.summarizeChanges(changes, 3)
+    expect(lines).toEqual(["Schedule added: Entry 0", "Schedule added: Entry 1", "Schedule added: Entry 2", "…and 2 more"])
+    expect(revisions.summarizeChanges(null)).toEqual([])
+  })
+})
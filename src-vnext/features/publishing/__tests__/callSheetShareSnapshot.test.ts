@@ -21,7 +21,9 @@ const snapshotModule = require(
   buildCrewCalls: (calls: unknown, roster: unknown) => unknown[]
   buildClientCalls: (calls: unknown) => unknown[]
   buildLocations: (locations: unknown) => unknown[]
+  locationsFromDayDetails: (dayDetails: unknown) => unknown[]
   buildBrand: (project: unknown) => unknown
+  buildComplianceWarnings: (warnings: unknown) => unknown[]
 }
 
 describe("buildSections", () => {
@@ -86,6 +88,11 @@ describe("buildDayDetailsSnapshot", () => {
   it("returns null when dayDetails is missing", () => {
     expect(snapshotModule.buildDayDetailsSnapshot(null)).toBeNull()
   })
+
+  it("falls back to the builder's crewCallTime for the general call", () => {
+    const result = snapshotModule.buildDayDetailsSnapshot({ crewCallTime: "07:00" }) as Record<string, unknown>
+    expect(result.generalCallTime).toBe("07:00")
+  })
 })
 
 describe("buildScheduleSnapshot", () => {
@@ -173,6 +180,26 @@ describe("buildLocations", () => {
   })
 })
 
+describe("locationsFromDayDetails", () => {
+  it("maps named location blocks to location rows", () => {
+    const result = snapshotModule.locationsFromDayDetails({
+      locations: [
+        { id: "b1", title: "Basecamp", ref: { label: "Lot B", notes: "Gate 3" } },
+        { id: "b2", title: "Shoot Location", ref: null },
+        { id: "b3", title: "", ref: { label: "" } },
+      ],
+    })
+    expect(result).toEqual([
+      { id: "b1", label: "Lot B", address: null, notes: "Gate 3" },
+      { id: "b2", label: "Shoot Location", address: null, notes: null },
+    ])
+  })
+
+  it("returns an empty list without blocks", () => {
+    expect(snapshotModule.locationsFromDayDetails(null)).toEqual([])
+  })
+})
+
 describe("buildBrand", () => {
   it("reads from project.brand when present", () => {
     expect(
@@ -194,6 +221,26 @@ describe("buildBrand", () => {
   })
 })
 
+describe("buildComplianceWarnings", () => {
+  it("keeps id/message pairs and drops empty messages", () => {
+    expect(
+      snapshotModule.buildComplianceWarnings([
+        { id: "projected-overtime", message: "Projected 12h day." },
+        { id: "first-meal-late", message: "  " },
+        { message: "No id" },
+      ]),
+    ).toEqual([
+      { id: "projected-overtime", message: "Projected 12h day." },
+      { id: "compliance", message: "No id" },
+    ])
+  })
+
+  it("returns an empty list for non-arrays", () => {
+    expect(snapshotModule.buildComplianceWarnings(null)).toEqual([])
+    expect(snapshotModule.buildComplianceWarnings({ id: "x" })).toEqual([])
+  })
+})
+
 describe("buildCallSheetShareSnapshot — integration", () => {
   it("assembles a minimal well-formed snapshot", () => {
     const result = snapshotModule.buildCallSheetShareSnapshot({
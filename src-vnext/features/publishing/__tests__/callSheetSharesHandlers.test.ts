@@ -6,7 +6,7 @@
  * FIRESTORE_EMULATOR_HOST set.
  */
 
-import { describe, expect, it } from "vitest"
+import { afterEach, describe, expect, it, vi } from "vitest"
 import { createRequire } from "node:module"
 import { resolve } from "node:path"
 
@@ -20,6 +20,23 @@ const handlers = require(
   formatConfirmationTime: (ts: unknown) => string
   validatePublishRecipients: (input: unknown) => Array<Record<string, unknown>>
   VIEW_RATE_LIMIT_MS: number
+  resolveReminderHours: (value: unknown) => number | null
+  computeReminderSchedule: (input: {
+    shootDate: unknown
+    hoursBefore: number | null
+    requireConfirm: boolean
+    now?: Date
+  }) => { reminderAt: Date | null; reminderStatus: string }
+  selectReminderTokens: (recipients: Array<{ token: string; data: Record<string, unknown> }>) => string[]
+  reminderOutcome: (input: {
+    failedSends: number
+    previousAttempts?: unknown
+  }) => { reminderStatus: string; reminderAttempts: number }
+  readRevisionBase: (
+    tx: unknown,
+    db: unknown,
+    scope: { clientId: string; projectId: string; scheduleId: string },
+  ) => Promise<{ revision: number; previousShare: { id: string; data: Record<string, unknown> } | null }>
 }
 
 describe("parseCompoundToken", () => {
@@ -220,3 +237,178 @@ describe("VIEW_RATE_LIMIT_MS", () => {
     expect(handlers.VIEW_RATE_LIMIT_MS).toBe(10_000)
   })
 })
+
+describe("resolveReminderHours", () => {
+  afterEach(() => {
+    vi.unstubAllEnvs()
+  })
+
+  it("turns reminders off for null or 0", () => {
+    expect(handlers.resolveReminderHours(null)).toBeNull()
+    expect(handlers.resolveReminderHours(0)).toBeNull()
+  })
+
+  it("defaults to 24 hours when unset", () => {
+    vi.stubEnv("CALL_SHEET_REMINDER_HOURS", "")
+    expect(handlers.resolveReminderHours(undefined)).toBe(24)
+  })
+
+  it("reads the env default, where 0 disables reminders", () => {
+    vi.stubEnv("CALL_SHEET_REMINDER_HOURS", "12")
+    expect(handlers.resolveReminderHours(undefined)).toBe(12)
+    vi.stubEnv("CALL_SHEET_REMINDER_HOURS", "0")
+    expect(handlers.resolveReminderHours(undefined)).toBeNull()
+  })
+
+  it("rejects out-of-range explicit values", () => {
+    expect(handlers.resolveReminderHours(48)).toBe(48)
+    expect(() => handlers.resolveReminderHours(-1)).toThrow(/between 1 and 336/)
+    expect(() => handlers.resolveReminderHours(500)).toThrow(/between 1 and 336/)
+    expect(() => handlers.resolveReminderHours("soon")).toThrow(/between 1 and 336/)
+  })
+})
+
+describe("computeReminderSchedule", () => {
+  const shootDate = { toDate: () => new Date("2026-03-14T04:00:00Z") }
+  const now = new Date("2026-03-10T12:00:00Z")
+
+  it("schedules a pending reminder ahead of the shoot date", () => {
+    const result = handlers.computeReminderSchedule({ shootDate, hoursBefore: 24, requireConfirm: true, now })
+    expect(result.reminderStatus).toBe("pending")
+    expect(result.reminderAt?.toISOString()).toBe("2026-03-13T04:00:00.000Z")
+  })
+
+  it("does not schedule when the cutoff has already passed", () => {
+    const late = new Date("2026-03-13T10:00:00Z")
+    const result = handlers.computeReminderSchedule({ shootDate, hoursBefore: 24, requireConfirm: true, now: late })
+    expect(result.reminderStatus).toBe("none")
+  })
+
+  it("skips shares that don't ask for confirmation or have no date", () => {
+    expect(
+      handlers.computeReminderSchedule({ shootDate, hoursBefore: 24, requireConfirm: false, now }),
+    ).toEqual({ reminderAt: null, reminderStatus: "none" })
+    expect(
+      handlers.computeReminderSchedule({ shootDate: null, hoursBefore: 24, requireConfirm: true, now }),
+    ).toEqual({ reminderAt: null, reminderStatus: "none" })
+  })
+})
+
+describe("selectReminderTokens", () => {
+  it("keeps only reachable, unconfirmed, not-yet-reminded recipients", () => {
+    expect(
+      handlers.selectReminderTokens([
+        { token: "a", data: { email: "a@example.com", isConfirmed: false } },
+        { token: "b", data: { email: "b@example.com", isConfirmed: true } },
+        { token: "c", data: { email: "c@example.com", isConfirmed: false, revokedAt: new Date() } },
+        { token: "d", data: { email: "d@example.com", isConfirmed: false, reminderSentAt: new Date() } },
+        { token: "e", data: { email: "", isConfirmed: false } },
+      ]),
+    ).toEqual(["a"])
+  })
+})
+
+describe("reminderOutcome", () => {
+  it("marks the share sent when every reminder went out", () => {
+    expect(handlers.reminderOutcome({ failedSends: 0 })).toEqual({
+      reminderStatus: "sent",
+      reminderAttempts: 1,
+    })
+  })
+
+  it("leaves the share pending after failed sends so the next run retries them", () => {
+    expect(handlers.reminderOutcome({ failedSends: 2 })).toEqual({
+      reminderStatus: "pending",
+      reminderAttempts: 1,
+    })
+    expect(handlers.reminderOutcome({ failedSends: 1, previousAttempts: 1 })).toEqual({
+      reminderStatus: "pending",
+      reminderAttempts: 2,
+    })
+  })
+
+  it("stops retrying after the third run", () => {
+    expect(handlers.reminderOutcome({ failedSends: 1, previousAttempts: 2 })).toEqual({
+      reminderStatus: "sent",
+      reminderAttempts: 3,
+    })
+  })
+
+  it("starts counting again from a rescheduled reminder", () => {
+    // handleSetCallSheetShareReminder resets reminderAttempts to 0.
+    expect(handlers.reminderOutcome({ failedSends: 1, previousAttempts: 0 })).toEqual({
+      reminderStatus: "pending",
+      reminderAttempts: 1,
+    })
+  })
+
+  it("picks up only the failed recipients on the retry", () => {
+    // After a run where "a" was reminded and "b" failed, the retry selects just "b".
+    expect(
+      handlers.selectReminderTokens([
+        { token: "a", data: { email: "a@example.com", isConfirmed: false, reminderSentAt: new Date() } },
+        { token: "b", data: { email: "b@example.com", isConfirmed: false, emailSendError: "bounced" } },
+      ]),
+    ).toEqual(["b"])
+  })
+})
+
+describe("readRevisionBase", () => {
+  const scope = { clientId: "c1", projectId: "p1", scheduleId: "s1" }
+
+  /** Docs by path; `sharesQuery` stands in for the legacy previous-share lookup. */
+  function fakeFirestore(docs: Record<string, Record<string, unknown>>, sharesQuery: () => Promise<unknown>) {
+    const query = { where: () => query, orderBy: () => query, limit: () => query, get: sharesQuery }
+    const db = {
+      collection: (name: string) => ({
+        doc: (id: string) => ({ path: `${name}/${id}` }),
+        ...query,
+      }),
+    }
+    const tx = {
+      get: async (ref: { path: string }) => ({
+        id: ref.path.split("/").pop(),
+        exists: ref.path in docs,
+        data: () => docs[ref.path],
+      }),
+    }
+    return { db, tx }
+  }
+
+  it("numbers from the schedule's counter and diffs against the share it names", async () => {
+    const { db, tx } = fakeFirestore(
+      {
+        "callSheetRevisionCounters/c1:p1:s1": { revision: 4, latestShareGroupId: "share4" },
+        "callSheetShares/share4": { revision: 4, snapshot: { title: "Day 1" } },
+      },
+      () => Promise.reject(new Error("counter path should not query")),
+    )
+    await expect(handlers.readRevisionBase(tx, db, scope)).resolves.toEqual({
+      revision: 5,
+      previousShare: { id: "share4", data: { revision: 4, snapshot: { title: "Day 1" } } },
+    })
+  })
+
+  it("falls back to the latest share for schedules published before the counter", async () => {
+    const { db, tx } = fakeFirestore({}, async () => ({
+      docs: [
+        { id: "other", data: () => ({ clientId: "c2", projectId: "p1", revision: 9 }) },
+        { id: "share2", data: () => ({ clientId: "c1", projectId: "p1", revision: 2 }) },
+      ],
+    }))
+    const base = await handlers.readRevisionBase(tx, db, scope)
+    expect(base.revision).toBe(3)
+    expect(base.previousShare?.id).toBe("share2")
+  })
+
+  it("publishes as revision 1 with no previous share when the lookup fails", async () => {
+    const consoleError = vi.spyOn(console, "error").mockImplementation(() => {})
+    const { db, tx } = fakeFirestore({}, () => Promise.reject(new Error("FAILED_PRECONDITION: missing index")))
+    await expect(handlers.readRevisionBase(tx, db, scope)).resolves.toEqual({
+      revision: 1,
+      previousShare: null,
+    })
+    expect(consoleError).toHaveBeenCalled()
+    consoleError.mockRestore()
+  })
+})
@@ -0,0 +1,49 @@
+// @vitest-environment node
+/**
+ * The browser .ics download (`schedules/lib/icsCalendar.ts`) and the
+ * subscribed feeds (`functions/src/calendarFeeds.js`) each carry their own
+ * RFC 5545 escaping and line folding. These fixtures run through both so the
+ * two encoders can't drift apart.
+ */
+
+import { describe, expect, it } from "vitest"
+import { createRequire } from "node:module"
+import { resolve } from "node:path"
+
+import { escapeIcsText, foldIcsLine } from "@/features/schedules/lib/icsCalendar"
+
+const require = createRequire(import.meta.url)
+const feeds = require(
+  resolve(__dirname, "../../../../functions/src/calendarFeeds.js"),
+) as {
+  escapeIcsText: (value: string) => string
+  foldIcsLine: (line: string) => string
+}
+
+const TEXT_FIXTURES = [
+  "Plain summary",
+  "Studio 4, 12 King St; Door 2",
+  "C:\\shoots\\day-1",
+  "Line one\nLine two\r\nLine three",
+  "Café — déjà vu, naïve; 🎬",
+  "",
+]
+
+const LINE_FIXTURES = [
+  "SUMMARY:short",
+  `DESCRIPTION:${"a".repeat(75)}`,
+  `DESCRIPTION:${"a".repeat(76)}`,
+  `DESCRIPTION:${"word ".repeat(60)}`,
+  `LOCATION:${"é".repeat(80)}`,
+  `SUMMARY:${"x".repeat(73)}🎬${"y".repeat(40)}`,
+]
+
+describe("ICS encoding parity", () => {
+  it.each(TEXT_FIXTURES)("escapes %j the same way", (text) => {
+    expect(feeds.escapeIcsText(text)).toBe(escapeIcsText(text))
+  })
+
+  it.each(LINE_FIXTURES)("folds %j the same way", (line) => {
+    expect(feeds.foldIcsLine(line)).toBe(foldIcsLine(line))
+  })
+})
@@ -0,0 +1,271 @@
+import { useMemo, useState } from "react"
+import { toast } from "sonner"
+import type { Timestamp } from "firebase/firestore"
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from "@/ui/dialog"
+import { Badge } from "@/ui/badge"
+import { Button } from "@/ui/button"
+import { Label } from "@/ui/label"
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/ui/select"
+import { ConfirmDialog } from "@/shared/components/ConfirmDialog"
+import { useCallSheetShareRecipients } from "@/features/publishing/hooks/useCallSheetShareRecipients"
+import type { LatestCallSheetShare } from "@/features/publishing/hooks/useLatestCallSheetShare"
+import {
+  RECIPIENT_STATUS_LABELS,
+  countRecipientStatuses,
+  recipientDeliveryStatus,
+  unconfirmedRecipientTokens,
+  type RecipientDeliveryStatus,
+} from "@/features/publishing/lib/recipientStatus"
+import {
+  resendCallSheetShare,
+  setCallSheetShareReminder,
+} from "@/features/publishing/lib/callSheetShareWrites"
+
+interface CallSheetRecipientsDialogProps {
+  readonly open: boolean
+  readonly onOpenChange: (open: boolean) => void
+  readonly share: LatestCallSheetShare
+}
+
+const REMINDER_OFF = "off"
+const REMINDER_PRESETS = [2, 6, 12, 24, 48, 72] as const
+
+const STATUS_VARIANTS: Record<RecipientDeliveryStatus, "default" | "secondary" | "destructive" | "outline"> = {
+  confirmed: "default",
+  viewed: "secondary",
+  sent: "outline",
+  pending: "outline",
+  failed: "destructive",
+  revoked: "outline",
+}
+
+function formatStamp(value: Timestamp | null): string {
+  if (!value) return "—"
+  try {
+    return value.toDate().toLocaleString(undefined, {
+      month: "short",
+      day: "numeric",
+      hour: "numeric",
+      minute: "2-digit",
+    })
+  } catch {
+    return "—"
+  }
+}
+
+function reminderDescription(share: LatestCallSheetShare): string {
+  if (!share.requireConfirm) return "Confirmation wasn't requested for this publish, so no reminders are sent."
+  switch (share.reminderStatus) {
+    case "pending":
+      return `Unconfirmed recipients get a reminder ${formatStamp(share.reminderAt)}.`
+    case "sending":
+      return "Sending reminders now."
+    case "sent":
+      return "Reminders have been sent."
+    case "superseded":
+      return "A newer revision replaced this reminder."
+    default:
+      return share.reminderHoursBefore ? "The reminder cutoff has already passed." : "Reminders are off."
+  }
+}
+
+/**
+ * Per-recipient delivery dashboard for the latest publish of a call sheet:
+ * sent / viewed / confirmed state with timestamps, bulk resend to everyone
+ * who hasn't confirmed, and the reminder cutoff.
+ */
+export function CallSheetRecipientsDialog({ open, onOpenChange, share }: CallSheetRecipientsDialogProps) {
+  const { data: recipients, loading } = useCallSheetShareRecipients(open ? share.id : null)
+  const [confirmResendOpen, setConfirmResendOpen] = useState(false)
+  const [resending, setResending] = useState(false)
+  const [savingReminder, setSavingReminder] = useState(false)
+
+  const counts = useMemo(() => countRecipientStatuses(recipients), [recipients])
+  const unconfirmed = useMemo(() => unconfirmedRecipientTokens(recipients), [recipients])
+
+  const reminderValue = share.reminderHoursBefore ? String(share.reminderHoursBefore) : REMINDER_OFF
+  const reminderOptions = useMemo(() => {
+    const hours = new Set<number>(REMINDER_PRESETS)
+    if (share.reminderHoursBefore) hours.add(share.reminderHoursBefore)
+    return [...hours].sort((a, b) => a - b)
+  }, [share.reminderHoursBefore])
+
+  const handleResend = async () => {
+    setResending(true)
+    try {
+      const result = await resendCallSheetShare({ shareGroupId: share.id, tokens: unconfirmed })
+      if (result.failedSends > 0) {
+        toast.error(`${result.failedSends} of ${result.attempted} emails failed to send.`)
+      } else {
+        toast.success(`Resent to ${result.attempted} unconfirmed ${result.attempted === 1 ? "recipient" : "recipients"}.`)
+      }
+    } catch (err) {
+      console.error("Failed to resend call sheet", err)
+      toast.error("Couldn't resend the call sheet — try again.")
+    } finally {
+      setResending(false)
+    }
+  }
+
+  const handleReminderChange = async (value: string) => {
+    setSavingReminder(true)
+    try {
+      await setCallSheetShareReminder({
+        shareGroupId: share.id,
+        reminderHoursBefore: value === REMINDER_OFF ? null : Number(value),
+      })
+      toast.success(value === REMINDER_OFF ? "Reminder turned off." : "Reminder updated.")
+    } catch (err) {
+      console.error("Failed to update reminder", err)
+      toast.error("Couldn't update the reminder — try again.")
+    } finally {
+      setSavingReminder(false)
+    }
+  }
+
+  return (
+    <>
+      <Dialog open={open} onOpenChange={onOpenChange}>
+        <DialogContent className="max-w-4xl">
+          <DialogHeader>
+            <DialogTitle>Recipients</DialogTitle>
+            <DialogDescription>
+              Revision {share.revision}
+              {share.createdAt ? ` · published ${formatStamp(share.createdAt)}` : ""}
+              {share.enabled ? "" : " · revoked"}
+            </DialogDescription>
+          </DialogHeader>
+
+          <div className="flex flex-wrap items-center justify-between gap-3">
+            <p className="text-sm text-[var(--color-text-muted)]" data-testid="recipient-counts">
+              {counts.sent} of {counts.total} sent · {counts.viewed} viewed · {counts.confirmed} confirmed
+              {counts.failed > 0 && ` · ${counts.failed} failed`}
+            </p>
+            <Button
+              size="sm"
+              variant="outline"
+              disabled={!share.enabled || unconfirmed.length === 0 || resending}
+              onClick={() => setConfirmResendOpen(true)}
+            >
+              Resend to unconfirmed ({unconfirmed.length})
+            </Button>
+          </div>
+
+          {share.requireConfirm && share.enabled && (
+            <div className="flex flex-wrap items-center gap-3 rounded-md border border-[var(--color-border)] px-3 py-2">
+              <Label htmlFor="callsheet-reminder" className="text-sm">
+                Remind unconfirmed
+              </Label>
+              <Select value={reminderValue} onValueChange={(v) => void handleReminderChange(v)} disabled={savingReminder}>
+                <SelectTrigger id="callsheet-reminder" className="h-8 w-56" aria-label="Reminder cutoff">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value={REMINDER_OFF}>Off</SelectItem>
+                  {reminderOptions.map((hours) => (
+                    <SelectItem key={hours} value={String(hours)}>
+                      {hours} hours before the shoot day
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              <span className="text-xs text-[var(--color-text-muted)]">{reminderDescription(share)}</span>
+            </div>
+          )}
+          {!share.requireConfirm && (
+            <p className="text-xs text-[var(--color-text-muted)]">{reminderDescription(share)}</p>
+          )}
+
+          <div className="max-h-[55vh] overflow-auto rounded-lg border border-[var(--color-border)]">
+            {loading ? (
+              <p className="px-4 py-6 text-sm text-[var(--color-text-muted)]">Loading recipients…</p>
+            ) : recipients.length === 0 ? (
+              <p className="px-4 py-6 text-sm text-[var(--color-text-muted)]">No recipients on this publish.</p>
+            ) : (
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="border-b border-[var(--color-border)] bg-[var(--color-surface-subtle)]">
+                    <th className="label-meta px-3 py-2 text-left">Recipient</th>
+                    <th className="label-meta px-3 py-2 text-left">Status</th>
+                    <th className="label-meta px-3 py-2 text-left">Sent</th>
+                    <th className="label-meta px-3 py-2 text-left">Viewed</th>
+                    <th className="label-meta px-3 py-2 text-left">Confirmed</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {recipients.map((r) => {
+                    const status = recipientDeliveryStatus(r)
+                    return (
+                      <tr key={r.id} className="border-b border-[var(--color-border)] last:border-b-0">
+                        <td className="px-3 py-2">
+                          <div className="font-medium text-[var(--color-text)]">{r.name}</div>
+                          <div className="text-xs text-[var(--color-text-muted)]">
+                            {[r.roleLabel, r.email].filter(Boolean).join(" · ")}
+                          </div>
+                        </td>
+                        <td className="px-3 py-2">
+                          <Badge variant={STATUS_VARIANTS[status]}>{RECIPIENT_STATUS_LABELS[status]}</Badge>
+                          {r.reminderSentAt && (
+                            <div className="mt-1 text-2xs text-[var(--color-text-subtle)]">
+                              Reminded {formatStamp(r.reminderSentAt)}
+                            </div>
+                          )}
+                        </td>
+                        <td className="px-3 py-2 text-xs">
+                          {formatStamp(r.emailSentAt)}
+                          {r.emailSendError && (
+                            <div className="text-[var(--color-error)]" title={r.emailSendError}>
+                              Last attempt failed
+                            </div>
+                          )}
+                        </td>
+                        <td className="px-3 py-2 text-xs">
+                          {r.firstViewedAt ? (
+                            <>
+                              {formatStamp(r.firstViewedAt)}
+                              {r.viewCount > 1 && (
+                                <div className="text-[var(--color-text-subtle)]">
+                                  {r.viewCount} views · last {formatStamp(r.lastViewedAt)}
+                                </div>
+                              )}
+                            </>
+                          ) : (
+                            "—"
+                          )}
+                        </td>
+                        <td className="px-3 py-2 text-xs">{formatStamp(r.confirmedAt)}</td>
+                      </tr>
+                    )
+                  })}
+                </tbody>
+              </table>
+            )}
+          </div>
+        </DialogContent>
+      </Dialog>
+
+      <ConfirmDialog
+        open={confirmResendOpen}
+        onOpenChange={setConfirmResendOpen}
+        title="Resend to unconfirmed?"
+        description={`Email the call sheet again to ${unconfirmed.length} ${
+          unconfirmed.length === 1 ? "recipient who hasn't" : "recipients who haven't"
+        } confirmed.`}
+        confirmLabel="Resend"
+        onConfirm={() => void handleResend()}
+      />
+    </>
+  )
+}
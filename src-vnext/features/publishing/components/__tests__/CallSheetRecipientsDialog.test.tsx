@@ -0,0 +1,153 @@
+import { beforeEach, describe, expect, it, vi } from "vitest"
+import { render, screen, within } from "@testing-library/react"
+import userEvent from "@testing-library/user-event"
+import type { Timestamp } from "firebase/firestore"
+import { CallSheetRecipientsDialog } from "@/features/publishing/components/CallSheetRecipientsDialog"
+import type { LatestCallSheetShare } from "@/features/publishing/hooks/useLatestCallSheetShare"
+import type { CallSheetShareRecipientRow } from "@/features/publishing/hooks/useCallSheetShareRecipients"
+
+// --- Hook + write mocks ---
+
+const recipientsState = vi.hoisted(() => ({
+  data: [] as CallSheetShareRecipientRow[],
+  loading: false,
+}))
+
+vi.mock("@/features/publishing/hooks/useCallSheetShareRecipients", () => ({
+  useCallSheetShareRecipients: () => ({ ...recipientsState, error: null }),
+}))
+
+const writes = vi.hoisted(() => ({
+  resendCallSheetShare: vi.fn(),
+  setCallSheetShareReminder: vi.fn(),
+}))
+
+vi.mock("@/features/publishing/lib/callSheetShareWrites", () => writes)
+
+const toastMock = vi.hoisted(() => ({ success: vi.fn(), error: vi.fn() }))
+
+vi.mock("sonner", () => ({ toast: toastMock }))
+
+// --- Helpers ---
+
+function ts(iso: string): Timestamp {
+  return { toDate: () => new Date(iso) } as Timestamp
+}
+
+function makeRecipient(overrides: Partial<CallSheetShareRecipientRow> = {}): CallSheetShareRecipientRow {
+  return {
+    id: "r1",
+    personKind: "talent",
+    name: "Ava Reed",
+    roleLabel: "Lead",
+    email: "ava@example.com",
+    emailSentAt: ts("2026-03-10T15:00:00Z"),
+    emailSendError: null,
+    emailSendAttempts: 1,
+    viewCount: 0,
+    firstViewedAt: null,
+    lastViewedAt: null,
+    isConfirmed: false,
+    confirmedAt: null,
+    reminderSentAt: null,
+    revokedAt: null,
+    ...overrides,
+  }
+}
+
+const share: LatestCallSheetShare = {
+  id: "share-1",
+  revision: 2,
+  changes: [],
+  changeSummary: [],
+  createdAt: ts("2026-03-10T15:00:00Z"),
+  enabled: true,
+  requireConfirm: true,
+  recipientCount: 3,
+  reminderHoursBefore: 24,
+  reminderAt: ts("2026-03-13T04:00:00Z"),
+  reminderStatus: "pending",
+}
+
+function renderDialog(overrides: Partial<LatestCallSheetShare> = {}) {
+  return render(<CallSheetRecipientsDialog open onOpenChange={vi.fn()} share={{ ...share, ...overrides }} />)
+}
+
+beforeEach(() => {
+  vi.clearAllMocks()
+  recipientsState.loading = false
+  recipientsState.data = [
+    makeRecipient(),
+    makeRecipient({
+      id: "r2",
+      name: "Sam Cho",
+      viewCount: 3,
+      firstViewedAt: ts("2026-03-10T16:00:00Z"),
+      lastViewedAt: ts("2026-03-11T09:00:00Z"),
+      isConfirmed: true,
+      confirmedAt: ts("2026-03-11T09:05:00Z"),
+    }),
+    makeRecipient({ id: "r3", name: "Kit Lam", emailSentAt: null, emailSendError: "bounced" }),
+  ]
+  writes.resendCallSheetShare.mockResolvedValue({ shareGroupId: "share-1", attempted: 2, failedSends: 0 })
+  writes.setCallSheetShareReminder.mockResolvedValue(undefined)
+})
+
+// --- Tests ---
+
+describe("CallSheetRecipientsDialog", () => {
+  it("lists each recipient with their delivery status", () => {
+    renderDialog()
+
+    expect(screen.getByTestId("recipient-counts")).toHaveTextContent(
+      "2 of 3 sent · 1 viewed · 1 confirmed · 1 failed",
+    )
+    const rows = screen.getAllByRole("row").slice(1)
+    expect(within(rows[0]!).getByText("Sent")).toBeInTheDocument()
+    expect(within(rows[1]!).getByText("Confirmed")).toBeInTheDocument()
+    expect(within(rows[1]!).getByText(/3 views/)).toBeInTheDocument()
+    expect(within(rows[2]!).getByText("Send failed")).toBeInTheDocument()
+    expect(within(rows[2]!).getByText("Last attempt failed")).toBeInTheDocument()
+  })
+
+  it("resends to unconfirmed recipients after confirmation", async () => {
+    const user = userEvent.setup()
+    renderDialog()
+
+    await user.click(screen.getByRole("button", { name: "Resend to unconfirmed (2)" }))
+    await user.click(screen.getByRole("button", { name: "Resend" }))
+
+    expect(writes.resendCallSheetShare).toHaveBeenCalledWith({ shareGroupId: "share-1", tokens: ["r1", "r3"] })
+    expect(toastMock.success).toHaveBeenCalledWith("Resent to 2 unconfirmed recipients.")
+  })
+
+  it("reports partial send failures", async () => {
+    writes.resendCallSheetShare.mockResolvedValue({ shareGroupId: "share-1", attempted: 2, failedSends: 1 })
+    const user = userEvent.setup()
+    renderDialog()
+
+    await user.click(screen.getByRole("button", { name: "Resend to unconfirmed (2)" }))
+    await user.click(screen.getByRole("button", { name: "Resend" }))
+
+    expect(toastMock.error).toHaveBeenCalledWith("1 of 2 emails failed to send.")
+  })
+
+  it("disables resend once everyone has confirmed", () => {
+    recipientsState.data = [makeRecipient({ isConfirmed: true, confirmedAt: ts("2026-03-11T09:05:00Z") })]
+    renderDialog()
+
+    expect(screen.getByRole("button", { name: "Resend to unconfirmed (0)" })).toBeDisabled()
+  })
+
+  it("shows the reminder cutoff only when confirmation was requested", () => {
+    const { unmount } = renderDialog()
+    expect(screen.getByRole("combobox", { name: "Reminder cutoff" })).toHaveTextContent(
+      "24 hours before the shoot day",
+    )
+    unmount()
+
+    renderDialog({ requireConfirm: false, reminderStatus: "none", reminderHoursBefore: null })
+    expect(screen.queryByRole("combobox", { name: "Reminder cutoff" })).not.toBeInTheDocument()
+    expect(screen.getByText(/confirmation wasn't requested/i)).toBeInTheDocument()
+  })
+})
@@ -0,0 +1,65 @@
+import { orderBy, type Timestamp } from "firebase/firestore"
+import { useFirestoreCollection } from "@/shared/hooks/useFirestoreCollection"
+import { callSheetShareRecipientsPath } from "@/shared/lib/paths"
+import type {
+  CallSheetShareRecipient,
+  CallSheetShareRecipientKind,
+} from "@/features/publishing/types/callSheetShare"
+
+/** Recipient row for the dashboard; the IP hash and feed token are not read. */
+export type CallSheetShareRecipientRow = Pick<
+  CallSheetShareRecipient,
+  | "id"
+  | "personKind"
+  | "name"
+  | "roleLabel"
+  | "email"
+  | "emailSentAt"
+  | "emailSendError"
+  | "emailSendAttempts"
+  | "viewCount"
+  | "firstViewedAt"
+  | "lastViewedAt"
+  | "isConfirmed"
+  | "confirmedAt"
+  | "reminderSentAt"
+  | "revokedAt"
+>
+
+function ts(value: unknown): Timestamp | null {
+  return value && typeof (value as Timestamp).toDate === "function" ? (value as Timestamp) : null
+}
+
+function str(value: unknown): string | null {
+  return typeof value === "string" && value.length > 0 ? value : null
+}
+
+export function mapRecipientRow(id: string, data: Record<string, unknown>): CallSheetShareRecipientRow {
+  return {
+    id,
+    personKind: (str(data["personKind"]) ?? "adhoc") as CallSheetShareRecipientKind,
+    name: str(data["name"]) ?? "",
+    roleLabel: str(data["roleLabel"]),
+    email: str(data["email"]) ?? "",
+    emailSentAt: ts(data["emailSentAt"]),
+    emailSendError: str(data["emailSendError"]),
+    emailSendAttempts: typeof data["emailSendAttempts"] === "number" ? data["emailSendAttempts"] : 0,
+    viewCount: typeof data["viewCount"] === "number" ? data["viewCount"] : 0,
+    firstViewedAt: ts(data["firstViewedAt"]),
+    lastViewedAt: ts(data["lastViewedAt"]),
+    isConfirmed: data["isConfirmed"] === true,
+    confirmedAt: ts(data["confirmedAt"]),
+    reminderSentAt: ts(data["reminderSentAt"]),
+    revokedAt: ts(data["revokedAt"]),
+  }
+}
+
+/** Live recipient list for one share (admin / producer only, per rules). */
+export function useCallSheetShareRecipients(shareGroupId: string | null) {
+  return useFirestoreCollection<CallSheetShareRecipientRow>(
+    shareGroupId ? callSheetShareRecipientsPath(shareGroupId) : null,
+    [orderBy("createdAt", "asc")],
+    mapRecipientRow,
+    { quietErrorCodes: ["permission-denied"] },
+  )
+}
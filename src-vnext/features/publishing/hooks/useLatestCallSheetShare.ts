@@ -0,0 +1,77 @@
+import { limit, orderBy, where, type Timestamp } from "firebase/firestore"
+import { useFirestoreCollection } from "@/shared/hooks/useFirestoreCollection"
+import { callSheetSharesPath } from "@/shared/lib/paths"
+import type {
+  CallSheetShareChange,
+  CallSheetShareReminderStatus,
+} from "@/features/publishing/types/callSheetShare"
+
+/** The revision and delivery fields of a share doc — the snapshot stays unread. */
+export interface LatestCallSheetShare {
+  readonly id: string
+  readonly revision: number
+  readonly changes: ReadonlyArray<CallSheetShareChange>
+  readonly changeSummary: ReadonlyArray<string>
+  readonly createdAt: Timestamp | null
+  readonly enabled: boolean
+  readonly requireConfirm: boolean
+  readonly recipientCount: number
+  readonly reminderHoursBefore: number | null
+  readonly reminderAt: Timestamp | null
+  readonly reminderStatus: CallSheetShareReminderStatus
+}
+
+function asTimestamp(value: unknown): Timestamp | null {
+  return value && typeof (value as Timestamp).toDate === "function" ? (value as Timestamp) : null
+}
+
+function mapLatestShare(id: string, data: Record<string, unknown>): LatestCallSheetShare {
+  const revision = typeof data["revision"] === "number" && data["revision"] >= 1 ? data["revision"] : 1
+  const changes = Array.isArray(data["changes"]) ? (data["changes"] as CallSheetShareChange[]) : []
+  const changeSummary = Array.isArray(data["changeSummary"])
+    ? (data["changeSummary"] as unknown[]).filter((line): line is string => typeof line === "string")
+    : []
+  return {
+    id,
+    revision,
+    changes,
+    changeSummary,
+    createdAt: asTimestamp(data["createdAt"]),
+    enabled: data["enabled"] !== false,
+    requireConfirm: data["requireConfirm"] === true,
+    recipientCount: typeof data["recipientCount"] === "number" ? data["recipientCount"] : 0,
+    reminderHoursBefore: typeof data["reminderHoursBefore"] === "number" ? data["reminderHoursBefore"] : null,
+    reminderAt: asTimestamp(data["reminderAt"]),
+    reminderStatus:
+      typeof data["reminderStatus"] === "string"
+        ? (data["reminderStatus"] as CallSheetShareReminderStatus)
+        : "none",
+  }
+}
+
+/**
+ * Most recent publish of a schedule, for "what changed" highlights and the
+ * recipients dashboard in the builder. Share reads are admin/producer-only
+ * (firestore.rules), so callers pass `enabled = false` for everyone else
+ * rather than eat a denied listener.
+ */
+export function useLatestCallSheetShare(
+  clientId: string | null,
+  scheduleId: string | null,
+  enabled: boolean,
+) {
+  const result = useFirestoreCollection<LatestCallSheetShare>(
+    enabled && clientId && scheduleId ? callSheetSharesPath() : null,
+    clientId && scheduleId
+      ? [
+          where("clientId", "==", clientId),
+          where("scheduleId", "==", scheduleId),
+          orderBy("createdAt", "desc"),
+          limit(1),
+        ]
+      : [],
+    mapLatestShare,
+    { quietErrorCodes: ["permission-denied"] },
+  )
+  return { share: result.data[0] ?? null, loading: result.loading, error: result.error }
+}
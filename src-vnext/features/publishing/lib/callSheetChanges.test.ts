@@ -0,0 +1,30 @@
+import { describe, expect, it } from "vitest"
+import { buildChangeHighlights } from "./callSheetChanges"
+
+describe("buildChangeHighlights", () => {
+  it("collects ids for changes still visible on the sheet", () => {
+    const highlights = buildChangeHighlights([
+      { kind: "generalCall", id: "generalCall", label: "General call", from: "07:00", to: "06:30" },
+      { kind: "talentCall", id: "t1", label: "Ava", from: "08:00", to: "09:00" },
+      { kind: "talentAdded", id: "t2", label: "Ben", from: null, to: "10:00" },
+      { kind: "crewCall", id: "c1", label: "Sam", from: "06:00", to: "06:30" },
+      { kind: "locationChanged", id: "l1", label: "Studio", from: "Studio 4", to: "Studio 5" },
+      { kind: "entryChanged", id: "e1", label: "Hero", from: "8:00 AM · Hero", to: "9:00 AM · Hero" },
+    ])
+    expect(highlights.generalCall).toBe(true)
+    expect([...highlights.talentIds]).toEqual(["t1", "t2"])
+    expect([...highlights.crewIds]).toEqual(["c1"])
+    expect([...highlights.locationIds]).toEqual(["l1"])
+    expect([...highlights.entryIds]).toEqual(["e1"])
+  })
+
+  it("ignores removals", () => {
+    const highlights = buildChangeHighlights([
+      { kind: "talentRemoved", id: "t1", label: "Ava", from: "08:00", to: null },
+      { kind: "entryRemoved", id: "e1", label: "Hero", from: "Hero", to: null },
+    ])
+    expect(highlights.generalCall).toBe(false)
+    expect(highlights.talentIds.size).toBe(0)
+    expect(highlights.entryIds.size).toBe(0)
+  })
+})
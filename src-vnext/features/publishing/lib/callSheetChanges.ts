@@ -0,0 +1,65 @@
+/**
+ * Client-side view of a share's revision diff (see
+ * `functions/src/callSheetRevisions.js`). The server stores structured
+ * `changes` on each share doc; this folds them into id sets the call sheet
+ * renderer can highlight against.
+ */
+
+import type { CallSheetShareChange } from "@/features/publishing/types/callSheetShare"
+
+export interface CallSheetChangeHighlights {
+  readonly generalCall: boolean
+  readonly talentIds: ReadonlySet<string>
+  readonly crewIds: ReadonlySet<string>
+  readonly locationIds: ReadonlySet<string>
+  readonly entryIds: ReadonlySet<string>
+}
+
+/** What the renderer needs to show "Changes in Revision N". */
+export interface CallSheetRevisionChanges {
+  readonly revision: number
+  readonly summary: readonly string[]
+  readonly highlights: CallSheetChangeHighlights
+}
+
+/**
+ * Removals are left out — there is nothing on the current sheet to mark —
+ * but they still appear in the summary lines.
+ */
+export function buildChangeHighlights(
+  changes: ReadonlyArray<CallSheetShareChange>,
+): CallSheetChangeHighlights {
+  const talentIds = new Set<string>()
+  const crewIds = new Set<string>()
+  const locationIds = new Set<string>()
+  const entryIds = new Set<string>()
+  let generalCall = false
+
+  for (const change of changes) {
+    switch (change.kind) {
+      case "generalCall":
+        generalCall = true
+        break
+      case "talentCall":
+      case "talentAdded":
+        talentIds.add(change.id)
+        break
+      case "crewCall":
+      case "crewAdded":
+        crewIds.add(change.id)
+        break
+      case "locationAdded":
+      case "locationChanged":
+        locationIds.add(change.id)
+        break
+      case "entryAdded":
+      case "entryChanged":
+        entryIds.add(change.id)
+        break
+      default:
+        break
+    }
+  }
+
+  return { generalCall, talentIds, crewIds, locationIds, entryIds }
+}
@@ -0,0 +1,38 @@
+import { callFunction } from "@/shared/lib/callFunction"
+
+interface ResendCallSheetShareResult {
+  readonly shareGroupId: string
+  readonly attempted: number
+  readonly failedSends: number
+}
+
+/** Re-emails the given recipients through the `resendCallSheetShare` queue action. */
+export async function resendCallSheetShare({
+  shareGroupId,
+  tokens,
+  reason,
+}: {
+  readonly shareGroupId: string
+  readonly tokens: readonly string[]
+  readonly reason?: string | null
+}): Promise<ResendCallSheetShareResult> {
+  return callFunction<ResendCallSheetShareResult>("resendCallSheetShare", {
+    shareGroupId,
+    tokens: [...tokens],
+    ...(reason ? { reason } : {}),
+  })
+}
+
+/**
+ * Sets when unconfirmed recipients get the reminder email, in hours before
+ * the shoot date. `null` turns the reminder off.
+ */
+export async function setCallSheetShareReminder({
+  shareGroupId,
+  reminderHoursBefore,
+}: {
+  readonly shareGroupId: string
+  readonly reminderHoursBefore: number | null
+}): Promise<void> {
+  await callFunction("setCallSheetShareReminder", { shareGroupId, reminderHoursBefore })
+}
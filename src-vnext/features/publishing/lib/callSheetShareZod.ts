@@ -116,6 +116,11 @@ const locationSnapshotSchema = z.object({
   longitude: z.number().nullable(),
 })
 
+const complianceWarningSnapshotSchema = z.object({
+  id: z.string().min(1).max(64),
+  message: z.string().min(1).max(500),
+})
+
 export const callSheetShareSnapshotSchema = z.object({
   title: z.string().min(1).max(500),
   date: nullableTimestamp,
@@ -132,6 +137,31 @@ export const callSheetShareSnapshotSchema = z.object({
     logoUrl: z.string().nullable(),
     primaryColor: z.string().nullable(),
   }),
+  complianceWarnings: z.array(complianceWarningSnapshotSchema).optional(),
+})
+
+// --- Revisions -------------------------------------------------------------
+
+const callSheetShareChangeSchema = z.object({
+  kind: z.enum([
+    "generalCall",
+    "talentCall",
+    "crewCall",
+    "talentAdded",
+    "talentRemoved",
+    "crewAdded",
+    "crewRemoved",
+    "locationAdded",
+    "locationRemoved",
+    "locationChanged",
+    "entryAdded",
+    "entryRemoved",
+    "entryChanged",
+  ]),
+  id: z.string(),
+  label: z.string(),
+  from: z.string().nullable(),
+  to: z.string().nullable(),
 })
 
 // --- Share doc -------------------------------------------------------------
@@ -148,9 +178,18 @@ export const callSheetShareSchema = z.object({
   expiresAt: nullableTimestamp,
   shootDate: nullableTimestamp,
   snapshot: callSheetShareSnapshotSchema,
+  revision: z.number().int().min(1).optional(),
+  previousShareGroupId: z.string().nullable().optional(),
+  changes: z.array(callSheetShareChangeSchema).max(100).optional(),
+  changeSummary: z.array(z.string()).optional(),
   emailSubject: z.string().min(1).max(500),
   emailMessage: z.string().max(5000).nullable(),
   requireConfirm: z.boolean(),
+  reminderHoursBefore: z.number().int().min(1).max(336).nullable().optional(),
+  reminderAt: nullableTimestamp.optional(),
+  reminderStatus: z.enum(["pending", "sending", "sent", "superseded", "none"]).optional(),
+  reminderSentAt: nullableTimestamp.optional(),
+  reminderAttempts: z.number().int().min(0).optional(),
   recipientCount: z.number().int().min(0),
   viewedCount: z.number().int().min(0),
   confirmedCount: z.number().int().min(0),
@@ -171,6 +210,7 @@ export const callSheetShareRecipientSchema = z.object({
   phone: z.string().max(50).nullable(),
   callTime: z.string().max(50).nullable(),
   precallTime: z.string().max(50).nullable(),
+  calendarFeedToken: z.string().max(64).nullable().optional(),
   channel: z.literal("email"),
   emailSentAt: nullableTimestamp,
   emailSendError: z.string().max(2000).nullable(),
@@ -181,6 +221,8 @@ export const callSheetShareRecipientSchema = z.object({
   isConfirmed: z.boolean(),
   confirmedAt: nullableTimestamp,
   confirmIpHash: z.string().max(128).nullable(),
+  reminderSentAt: nullableTimestamp.optional(),
+  reminderCount: z.number().int().min(0).optional(),
   createdAt: timestampSchema,
   revokedAt: nullableTimestamp,
 })
@@ -206,7 +248,9 @@ export const publishCallSheetRequestSchema = z.object({
   emailSubject: z.string().min(1).max(500),
   emailMessage: z.string().max(5000).nullable(),
   requireConfirm: z.boolean(),
+  reminderHoursBefore: z.number().int().min(1).max(336).nullable().optional(),
   recipients: z.array(publishRecipientInputSchema).min(1),
+  complianceWarnings: z.array(complianceWarningSnapshotSchema).max(20).optional(),
   publishAttemptId: z.string().min(1).max(128),
 })
 
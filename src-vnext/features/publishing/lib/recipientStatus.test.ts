@@ -0,0 +1,68 @@
+import { describe, expect, it } from "vitest"
+import { Timestamp } from "firebase/firestore"
+import {
+  countRecipientStatuses,
+  recipientDeliveryStatus,
+  unconfirmedRecipientTokens,
+  type RecipientStatusFields,
+} from "./recipientStatus"
+
+const ts = Timestamp.fromMillis(1_700_000_000_000)
+
+function recipient(
+  id: string,
+  overrides: Partial<RecipientStatusFields> = {},
+): RecipientStatusFields & { id: string } {
+  return {
+    id,
+    emailSentAt: ts,
+    emailSendError: null,
+    firstViewedAt: null,
+    isConfirmed: false,
+    revokedAt: null,
+    ...overrides,
+  }
+}
+
+describe("recipientDeliveryStatus", () => {
+  it("reports the furthest state reached", () => {
+    expect(recipientDeliveryStatus(recipient("a", { emailSentAt: null }))).toBe("pending")
+    expect(recipientDeliveryStatus(recipient("a", { emailSentAt: null, emailSendError: "send_failed" }))).toBe(
+      "failed",
+    )
+    expect(recipientDeliveryStatus(recipient("a"))).toBe("sent")
+    expect(recipientDeliveryStatus(recipient("a", { firstViewedAt: ts }))).toBe("viewed")
+    expect(recipientDeliveryStatus(recipient("a", { firstViewedAt: ts, isConfirmed: true }))).toBe("confirmed")
+    expect(recipientDeliveryStatus(recipient("a", { isConfirmed: true, revokedAt: ts }))).toBe("revoked")
+  })
+
+  it("keeps a successful earlier send over a later resend failure", () => {
+    expect(recipientDeliveryStatus(recipient("a", { emailSendError: "send_failed" }))).toBe("sent")
+  })
+})
+
+describe("unconfirmedRecipientTokens", () => {
+  it("skips confirmed and revoked recipients", () => {
+    const tokens = unconfirmedRecipientTokens([
+      recipient("a"),
+      recipient("b", { isConfirmed: true }),
+      recipient("c", { revokedAt: ts }),
+      recipient("d", { emailSentAt: null, emailSendError: "send_failed" }),
+    ])
+    expect(tokens).toEqual(["a", "d"])
+  })
+})
+
+describe("countRecipientStatuses", () => {
+  it("counts cumulatively and leaves revoked recipients out", () => {
+    expect(
+      countRecipientStatuses([
+        recipient("a"),
+        recipient("b", { firstViewedAt: ts }),
+        recipient("c", { firstViewedAt: ts, isConfirmed: true }),
+        recipient("d", { emailSentAt: null, emailSendError: "x" }),
+        recipient("e", { revokedAt: ts }),
+      ]),
+    ).toEqual({ total: 4, sent: 3, viewed: 2, confirmed: 1, failed: 1 })
+  })
+})
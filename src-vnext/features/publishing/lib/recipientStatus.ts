@@ -0,0 +1,82 @@
+/**
+ * Delivery state for the call sheet recipients dashboard. Derived from the
+ * counters the publish / view / confirm / resend handlers write on each
+ * `recipients/{token}` doc.
+ */
+
+import type { CallSheetShareRecipient } from "@/features/publishing/types/callSheetShare"
+
+export type RecipientDeliveryStatus =
+  | "revoked"
+  | "confirmed"
+  | "viewed"
+  | "sent"
+  | "failed"
+  | "pending"
+
+/** The recipient fields the dashboard reads; older docs may lack the reminder ones. */
+export type RecipientStatusFields = Pick<
+  CallSheetShareRecipient,
+  | "emailSentAt"
+  | "emailSendError"
+  | "firstViewedAt"
+  | "isConfirmed"
+  | "revokedAt"
+>
+
+export const RECIPIENT_STATUS_LABELS: Readonly<Record<RecipientDeliveryStatus, string>> = {
+  revoked: "Revoked",
+  confirmed: "Confirmed",
+  viewed: "Viewed",
+  sent: "Sent",
+  failed: "Send failed",
+  pending: "Not sent",
+}
+
+/** Furthest state reached, so a confirmed recipient never reads as "viewed". */
+export function recipientDeliveryStatus(recipient: RecipientStatusFields): RecipientDeliveryStatus {
+  if (recipient.revokedAt) return "revoked"
+  if (recipient.isConfirmed) return "confirmed"
+  if (recipient.firstViewedAt) return "viewed"
+  if (recipient.emailSentAt) return "sent"
+  if (recipient.emailSendError) return "failed"
+  return "pending"
+}
+
+/** Tokens for "resend to unconfirmed" — everyone still reachable who hasn't confirmed. */
+export function unconfirmedRecipientTokens(
+  recipients: ReadonlyArray<RecipientStatusFields & { readonly id: string }>,
+): string[] {
+  return recipients
+    .filter((r) => !r.isConfirmed && !r.revokedAt)
+    .map((r) => r.id)
+}
+
+export interface RecipientStatusCounts {
+  readonly total: number
+  readonly sent: number
+  readonly viewed: number
+  readonly confirmed: number
+  readonly failed: number
+}
+
+/** Cumulative counts: a confirmed recipient also counts as sent and viewed. */
+export function countRecipientStatuses(
+  recipients: ReadonlyArray<RecipientStatusFields>,
+): RecipientStatusCounts {
+  let sent = 0
+  let viewed = 0
+  let confirmed = 0
+  let failed = 0
+  let total = 0
+  for (const r of recipients) {
+    const status = recipientDeliveryStatus(r)
+    if (status === "revoked") continue
+    total += 1
+    if (status === "failed") failed += 1
+    if (status === "confirmed" || status === "viewed" || status === "sent") sent += 1
+    if (status === "confirmed" || status === "viewed") viewed += 1
+    if (status === "confirmed") confirmed += 1
+  }
+  return { total, sent, viewed, confirmed, failed }
+}
@@ -96,6 +96,11 @@ export interface ReadonlyLocationSnapshot {
   readonly longitude: number | null
 }
 
+export interface ReadonlyComplianceWarningSnapshot {
+  readonly id: string
+  readonly message: string
+}
+
 export interface CallSheetShareSnapshot {
   readonly title: string
   readonly date: Timestamp | null
@@ -112,8 +117,58 @@ export interface CallSheetShareSnapshot {
     readonly logoUrl: string | null
     readonly primaryColor: string | null
   }
+  /** Labour-rule warnings at publish time. Absent on shares published before these existed. */
+  readonly complianceWarnings?: ReadonlyArray<ReadonlyComplianceWarningSnapshot>
 }
 
+// --- Revisions -------------------------------------------------------------
+
+export type CallSheetShareChangeKind =
+  | "generalCall"
+  | "talentCall"
+  | "crewCall"
+  | "talentAdded"
+  | "talentRemoved"
+  | "crewAdded"
+  | "crewRemoved"
+  | "locationAdded"
+  | "locationRemoved"
+  | "locationChanged"
+  | "entryAdded"
+  | "entryRemoved"
+  | "entryChanged"
+
+/**
+ * One difference between a share's snapshot and the previous publish of the
+ * same schedule. `id` is the talentId / crewMemberId / location id / entry id
+ * the change is about (or `"generalCall"`), so the renderer can highlight it.
+ */
+export interface CallSheetShareChange {
+  readonly kind: CallSheetShareChangeKind
+  readonly id: string
+  readonly label: string
+  readonly from: string | null
+  readonly to: string | null
+}
+
+// --- Reminders -------------------------------------------------------------
+
+/**
+ * Unconfirmed-recipient reminder state on a share:
+ *   - `pending`: the `sendCallSheetReminders` schedule will email at `reminderAt`
+ *     (also set again after a sweep with failed sends, to retry them)
+ *   - `sending`: claimed by a running sweep
+ *   - `sent`: done (recipients reminded are stamped with `reminderSentAt`)
+ *   - `superseded`: a newer revision was published before the cutoff
+ *   - `none`: no confirmation requested, reminders off, or cutoff already past
+ */
+export type CallSheetShareReminderStatus =
+  | "pending"
+  | "sending"
+  | "sent"
+  | "superseded"
+  | "none"
+
 // --- Share doc -------------------------------------------------------------
 
 /**
@@ -138,9 +193,26 @@ export interface CallSheetShare {
   readonly expiresAt: Timestamp | null
   readonly shootDate: Timestamp | null
   readonly snapshot: CallSheetShareSnapshot
+  /**
+   * 1-based publish count for this schedule. Absent on shares published
+   * before revisions existed (treat as 1).
+   */
+  readonly revision?: number
+  readonly previousShareGroupId?: string | null
+  /** Structured diff against the previous revision; empty for revision 1. */
+  readonly changes?: ReadonlyArray<CallSheetShareChange>
+  /** Human-readable lines for `changes`, as sent in the email. */
+  readonly changeSummary?: ReadonlyArray<string>
   readonly emailSubject: string
   readonly emailMessage: string | null
   readonly requireConfirm: boolean
+  /** Hours before the shoot date that unconfirmed recipients are reminded; null = off. */
+  readonly reminderHoursBefore?: number | null
+  readonly reminderAt?: Timestamp | null
+  readonly reminderStatus?: CallSheetShareReminderStatus
+  readonly reminderSentAt?: Timestamp | null
+  /** Reminder sweeps run so far; a sweep with failed sends is retried up to 3 times. */
+  readonly reminderAttempts?: number
   readonly recipientCount: number
   readonly viewedCount: number
   readonly confirmedCount: number
@@ -175,6 +247,12 @@ export interface CallSheetShareRecipient {
   readonly phone: string | null
   readonly callTime: string | null
   readonly precallTime: string | null
+  /**
+   * `calendarFeeds/{token}` id for talent / crew recipients tied to a project
+   * person; the feed lives at `/calendar/{token}.ics`. Absent on recipients
+   * published before feeds existed.
+   */
+  readonly calendarFeedToken?: string | null
   readonly channel: CallSheetShareChannel
   readonly emailSentAt: Timestamp | null
   readonly emailSendError: string | null
@@ -186,6 +264,9 @@ export interface CallSheetShareRecipient {
   readonly isConfirmed: boolean
   readonly confirmedAt: Timestamp | null
   readonly confirmIpHash: string | null
+  /** Set when the scheduled reminder went out to this recipient. */
+  readonly reminderSentAt?: Timestamp | null
+  readonly reminderCount?: number
   readonly createdAt: Timestamp
   readonly revokedAt: Timestamp | null
 }
@@ -216,7 +297,14 @@ export interface PublishCallSheetRequest {
   readonly emailSubject: string
   readonly emailMessage: string | null
   readonly requireConfirm: boolean
+  /**
+   * Reminder cutoff in hours before the shoot date (1–336). `null` turns
+   * reminders off; omitted uses the server default (24).
+   */
+  readonly reminderHoursBefore?: number | null
   readonly recipients: ReadonlyArray<PublishCallSheetRecipientInput>
+  /** Compliance warnings computed by the builder; stored on the snapshot as-is. */
+  readonly complianceWarnings?: ReadonlyArray<ReadonlyComplianceWarningSnapshot>
   /** Idempotency key; duplicate attemptIds are no-ops. */
   readonly publishAttemptId: string
 }
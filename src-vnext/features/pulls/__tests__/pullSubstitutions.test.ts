@@ -0,0 +1,159 @@
+// @vitest-environment node
+/**
+ * Unit tests for the pure helpers in `functions/src/pullSubstitutions.js`
+ * (warehouse substitutions and backorders recorded via `publicUpdatePull`).
+ * The transaction in `handlePublicUpdatePull` is not exercised here.
+ */
+
+import { describe, expect, it } from "vitest"
+import { createRequire } from "node:module"
+import { resolve } from "node:path"
+
+type Item = Record<string, unknown> & {
+  sizes: Array<Record<string, unknown>>
+  substitutions?: Array<Record<string, unknown>>
+}
+
+const require = createRequire(import.meta.url)
+const subs = require(
+  resolve(__dirname, "../../../../functions/src/pullSubstitutions.js"),
+) as {
+  normalizeSubstitutionInput: (action: unknown) => Record<string, unknown> | null
+  applySubstitution: (
+    item: Item,
+    input: Record<string, unknown> | null,
+    meta: { id: string; email: string; now: unknown },
+  ) => { item: Item; substitution: Record<string, unknown> } | null
+  missingQuantities: (item: Item) => Array<{ size: string; missing: number }>
+  buildBackorderItem: (
+    item: Item,
+    meta: { id: string; email: string; now: unknown; note?: string },
+  ) => { item: Item; backorder: Item } | null
+}
+
+const META = { id: "sub1", email: "wh@example.com", now: "NOW" }
+
+function line(overrides: Partial<Item> = {}): Item {
+  return {
+    id: "i1",
+    familyId: "f1",
+    familyName: "Oxford Shirt",
+    colourId: "sku-ivory",
+    colourName: "Ivory",
+    sizes: [
+      { size: "S", quantity: 2, fulfilled: 0, status: "pending" },
+      { size: "M", quantity: 3, fulfilled: 1, status: "partial" },
+    ],
+    fulfillmentStatus: "partial",
+    ...overrides,
+  }
+}
+
+function input(overrides: Record<string, unknown> = {}) {
+  return subs.normalizeSubstitutionInput({
+    itemId: "i1",
+    size: "M",
+    substitute: { skuCode: "OX-NAVY", colourName: "Navy", size: "" },
+    reason: "Ivory out of stock",
+    ...overrides,
+  })
+}
+
+describe("normalizeSubstitutionInput", () => {
+  it("requires a reason and at least one substitute detail", () => {
+    expect(input({ reason: "  " })).toBeNull()
+    expect(input({ substitute: { skuCode: "", colourName: " " } })).toBeNull()
+    expect(input({ itemId: 4 })).toBeNull()
+    expect(input()).toEqual({
+      itemId: "i1",
+      forSize: "M",
+      skuCode: "OX-NAVY",
+      colourName: "Navy",
+      size: null,
+      quantity: null,
+      reason: "Ivory out of stock",
+    })
+  })
+})
+
+describe("applySubstitution", () => {
+  it("records a pending substitution and marks the replaced size", () => {
+    const result = subs.applySubstitution(line(), input({ quantity: 9 }), META)
+    expect(result?.substitution).toMatchObject({
+      id: "sub1",
+      forSize: "M",
+      quantity: 3,
+      decision: "pending",
+      recordedByEmail: "wh@example.com",
+      recordedAt: "NOW",
+    })
+    expect(result?.item.sizes.map((s) => s.status)).toEqual(["pending", "substituted"])
+  })
+
+  it("defaults a single-size line to that size", () => {
+    const item = line({ sizes: [{ size: "One Size", quantity: 1, fulfilled: 0, status: "pending" }] })
+    const result = subs.applySubstitution(item, input({ size: null }), META)
+    expect(result?.substitution.forSize).toBe("One Size")
+  })
+
+  it("rejects unknown sizes", () => {
+    expect(subs.applySubstitution(line(), input({ size: "XL" }), META)).toBeNull()
+  })
+
+  it("replaces a rejected substitution but never an approved one", () => {
+    const rejected = line({
+      substitutions: [{ id: "old", forSize: "M", quantity: 1, decision: "rejected" }],
+    })
+    const replaced = subs.applySubstitution(rejected, input(), META)
+    expect(replaced?.item.substitutions?.map((s) => s.id)).toEqual(["sub1"])
+
+    const approved = line({
+      substitutions: [{ id: "old", forSize: "M", quantity: 1, decision: "approved" }],
+    })
+    expect(subs.applySubstitution(approved, input(), META)).toBeNull()
+  })
+})
+
+describe("missingQuantities / buildBackorderItem", () => {
+  it("subtracts fulfilled, live substitutions and earlier backorders", () => {
+    const item = line({
+      substitutions: [
+        { id: "a", forSize: "M", quantity: 1, decision: "pending" },
+        { id: "b", forSize: "S", quantity: 2, decision: "rejected" },
+      ],
+    })
+    expect(subs.missingQuantities(item)).toEqual([
+      { size: "S", missing: 2 },
+      { size: "M", missing: 1 },
+    ])
+  })
+
+  it("treats a whole-line substitution as covering every size", () => {
+    const item = line({ substitutions: [{ id: "a", forSize: null, quantity: 5, decision: "approved" }] })
+    expect(subs.missingQuantities(item)).toEqual([])
+  })
+
+  it("spawns a linked backorder line for the missing units once", () => {
+    const result = subs.buildBackorderItem(line(), { id: "bo1", email: "wh@example.com", now: "NOW", note: " Due Friday " })
+    expect(result?.backorder).toMatchObject({
+      id: "bo1",
+      familyId: "f1",
+      colourId: "sku-ivory",
+      backorderOf: "i1",
+      fulfillmentStatus: "pending",
+      notes: "Due Friday",
+      sizes: [
+        { size: "S", quantity: 2, fulfilled: 0, status: "pending" },
+        { size: "M", quantity: 2, fulfilled: 0, status: "pending" },
+      ],
+    })
+    expect(result?.item.backorderItemId).toBe("bo1")
+    expect(result?.item.sizes.map((s) => s.backordered)).toEqual([2, 2])
+    expect(subs.buildBackorderItem(result!.item, { ...META, id: "bo2" })).toBeNull()
+  })
+
+  it("returns null when nothing is missing", () => {
+    const item = line({ sizes: [{ size: "S", quantity: 1, fulfilled: 1, status: "fulfilled" }] })
+    expect(subs.buildBackorderItem(item, META)).toBeNull()
+  })
+})
@@ -4,26 +4,45 @@ import { ErrorBoundary } from "@/shared/components/ErrorBoundary"
 import { collectionGroup, getDocs, limit, query, where } from "firebase/firestore"
 import { toast } from "sonner"
 import { db } from "@/shared/lib/firebase"
-import { callFunction } from "@/shared/lib/callFunction"
 import { LoadingState } from "@/shared/components/LoadingState"
 import { DetailPageSkeleton } from "@/shared/components/Skeleton"
+import { Badge } from "@/ui/badge"
 import { Button } from "@/ui/button"
 import { Card, CardContent, CardHeader, CardTitle } from "@/ui/card"
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/ui/dialog"
 import { Input } from "@/ui/input"
 import { Label } from "@/ui/label"
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/ui/select"
 import { Separator } from "@/ui/separator"
 import type { Pull, PullItem } from "@/shared/types"
 import { mapPull } from "@/features/pulls/lib/mapPull"
+import { submitPublicPullActions, type PublicPullAction } from "@/features/pulls/lib/publicPullActions"
+import {
+  SUBSTITUTION_DECISION_LABELS,
+  describeSubstitute,
+  missingQuantities,
+} from "@/features/pulls/lib/pullSubstitutions"
+import {
+  EMPTY_SUBSTITUTE_DRAFT,
+  SubstituteFields,
+  isSubstituteDraftComplete,
+  type SubstituteDraft,
+} from "@/features/pulls/components/SubstituteFields"
 
-type PublicUpdatePullPayload = {
-  readonly shareToken: string
-  readonly email: string
-  readonly actions: readonly {
-    readonly type: "updateFulfillment"
-    readonly itemId: string
-    readonly sizes: readonly { readonly size: string; readonly fulfilled: number }[]
-  }[]
-}
+const WHOLE_LINE = "__whole_line__"
 
 function isExpired(pull: Pull): boolean {
   const ts = pull.shareExpireAt ?? pull.shareExpiresAt ?? null
@@ -35,6 +54,20 @@ function isExpired(pull: Pull): boolean {
   }
 }
 
+async function loadSharedPull(shareToken: string): Promise<Pull | null> {
+  const pullsRef = collectionGroup(db, "pulls")
+  const q = query(
+    pullsRef,
+    where("shareToken", "==", shareToken),
+    where("shareEnabled", "==", true),
+    limit(1),
+  )
+  const snapshot = await getDocs(q)
+  if (snapshot.empty) return null
+  const doc = snapshot.docs[0]!
+  return mapPull(doc.id, doc.data() as Record<string, unknown>)
+}
+
 function deepCloneItems(items: readonly PullItem[]): PullItem[] {
   return items.map((item) => ({
     ...item,
@@ -50,6 +83,7 @@ export default function PublicPullViewPage() {
   const [loading, setLoading] = useState(true)
   const [saving, setSaving] = useState(false)
   const [error, setError] = useState<string | null>(null)
+  const [substituteItem, setSubstituteItem] = useState<PullItem | null>(null)
 
   const canRespond = useMemo(() => {
     if (!pull) return false
@@ -71,16 +105,9 @@ export default function PublicPullViewPage() {
       setError(null)
 
       try {
-        const pullsRef = collectionGroup(db, "pulls")
-        const q = query(
-          pullsRef,
-          where("shareToken", "==", shareToken),
-          where("shareEnabled", "==", true),
-          limit(1),
-        )
-        const snapshot = await getDocs(q)
+        const next = await loadSharedPull(shareToken)
         if (!active) return
-        if (snapshot.empty) {
+        if (!next) {
           setError("Pull not found or sharing is disabled.")
           setPull(null)
           setDraftItems([])
@@ -88,8 +115,6 @@ export default function PublicPullViewPage() {
           return
         }
 
-        const doc = snapshot.docs[0]!
-        const next = mapPull(doc.id, doc.data() as Record<string, unknown>)
         setPull(next)
         setDraftItems(deepCloneItems(next.items))
         setLoading(false)
@@ -109,18 +134,48 @@ export default function PublicPullViewPage() {
     }
   }, [shareToken])
 
-  const submit = async () => {
-    if (!shareToken || !pull) return
-    if (!canRespond) return
+  /** Sends actions, then reloads from Firestore to confirm canonical state. */
+  const sendActions = async (actions: readonly PublicPullAction[], successMessage: string): Promise<boolean> => {
+    if (!shareToken || !canRespond) return false
 
     const trimmedEmail = email.trim()
     if (!trimmedEmail) {
       toast.error("Email is required to submit updates.")
-      return
+      return false
+    }
+
+    setSaving(true)
+    try {
+      await submitPublicPullActions(shareToken, trimmedEmail, actions)
+      toast.success(successMessage)
+      setLoading(true)
+      setError(null)
+      const next = await loadSharedPull(shareToken)
+      if (!next) {
+        setError("Pull not found or sharing is disabled.")
+        setPull(null)
+        setDraftItems([])
+      } else {
+        setPull(next)
+        setDraftItems(deepCloneItems(next.items))
+      }
+      return true
+    } catch (err) {
+      console.error("[PublicPullViewPage] Failed to submit updates:", err)
+      toast.error("Failed to submit updates. Please try again.")
+      return false
+    } finally {
+      setSaving(false)
+      setLoading(false)
     }
+  }
+
+  const submit = async () => {
+    if (!shareToken || !pull) return
+    if (!canRespond) return
 
     const originalItems = pull.items
-    const actions: Array<PublicUpdatePullPayload["actions"][number]> = []
+    const actions: PublicPullAction[] = []
 
     for (const draft of draftItems) {
       const itemId = draft.id
@@ -148,42 +203,12 @@ export default function PublicPullViewPage() {
       return
     }
 
-    setSaving(true)
-    try {
-      await callFunction<{ ok: boolean; pull: unknown }>(
-        "publicUpdatePull",
-        { shareToken, email: trimmedEmail, actions } satisfies PublicUpdatePullPayload,
-        { skipAuth: true },
-      )
-      toast.success("Updates submitted.")
-      // Reload from Firestore (single query) to confirm canonical state.
-      setLoading(true)
-      setError(null)
-      const pullsRef = collectionGroup(db, "pulls")
-      const q = query(
-        pullsRef,
-        where("shareToken", "==", shareToken),
-        where("shareEnabled", "==", true),
-        limit(1),
-      )
-      const snapshot = await getDocs(q)
-      if (snapshot.empty) {
-        setError("Pull not found or sharing is disabled.")
-        setPull(null)
-        setDraftItems([])
-      } else {
-        const doc = snapshot.docs[0]!
-        const next = mapPull(doc.id, doc.data() as Record<string, unknown>)
-        setPull(next)
-        setDraftItems(deepCloneItems(next.items))
-      }
-    } catch (err) {
-      console.error("[PublicPullViewPage] Failed to submit updates:", err)
-      toast.error("Failed to submit updates. Please try again.")
-    } finally {
-      setSaving(false)
-      setLoading(false)
-    }
+    await sendActions(actions, "Updates submitted.")
+  }
+
+  const backorder = async (item: PullItem) => {
+    if (!item.id) return
+    await sendActions([{ type: "createBackorder", itemId: item.id }], "Backorder line added.")
   }
 
   if (loading) return <LoadingState loading skeleton={<DetailPageSkeleton />} />
@@ -277,12 +302,29 @@ export default function PublicPullViewPage() {
                     prev.map((it) => (it.id && next.id && it.id === next.id ? next : it)),
                   )
                 }}
+                onSubstitute={() => setSubstituteItem(item)}
+                onBackorder={() => void backorder(item)}
+                busy={saving}
               />
             ))}
           </div>
         )}
       </div>
     </div>
+
+    {substituteItem && (
+      <RecordSubstituteDialog
+        item={substituteItem}
+        saving={saving}
+        onOpenChange={(open) => {
+          if (!open) setSubstituteItem(null)
+        }}
+        onSubmit={async (action) => {
+          const ok = await sendActions([action], "Substitution recorded.")
+          if (ok) setSubstituteItem(null)
+        }}
+      />
+    )}
     </ErrorBoundary>
   )
 }
@@ -291,12 +333,20 @@ function PublicPullItemCard({
   item,
   editable,
   onChange,
+  onSubstitute,
+  onBackorder,
+  busy,
 }: {
   readonly item: PullItem
   readonly editable: boolean
   readonly onChange: (next: PullItem) => void
+  readonly onSubstitute: () => void
+  readonly onBackorder: () => void
+  readonly busy: boolean
 }) {
   const canEditItem = editable && typeof item.id === "string" && item.id.length > 0
+  const missing = missingQuantities(item).reduce((sum, m) => sum + m.missing, 0)
+  const canBackorder = canEditItem && missing > 0 && !item.backorderItemId
 
   return (
     <Card>
@@ -308,6 +358,9 @@ function PublicPullItemCard({
               {item.colourName}
             </span>
           ) : null}
+          {item.backorderOf ? (
+            <Badge variant="outline" className="ml-2">Backorder</Badge>
+          ) : null}
         </CardTitle>
       </CardHeader>
       <CardContent className="flex flex-col gap-3">
@@ -357,10 +410,131 @@ function PublicPullItemCard({
           </div>
         )}
 
+        {item.substitutions && item.substitutions.length > 0 ? (
+          <ul className="flex flex-col gap-1" aria-label="Substitutions">
+            {item.substitutions.map((sub) => (
+              <li key={sub.id} className="flex flex-wrap items-center gap-2 text-xs text-[var(--color-text-muted)]">
+                <span className="text-[var(--color-text)]">
+                  {sub.forSize ?? "All sizes"} → {describeSubstitute(sub)} ×{sub.quantity}
+                </span>
+                <span>{sub.reason}</span>
+                <Badge variant="outline">{SUBSTITUTION_DECISION_LABELS[sub.decision]}</Badge>
+              </li>
+            ))}
+          </ul>
+        ) : null}
+
         {item.notes ? (
           <p className="text-xs text-[var(--color-text-muted)]">{item.notes}</p>
         ) : null}
+
+        {canEditItem ? (
+          <div className="flex flex-wrap gap-2">
+            <Button variant="outline" size="sm" onClick={onSubstitute} disabled={busy}>
+              Record substitute
+            </Button>
+            {canBackorder ? (
+              <Button variant="outline" size="sm" onClick={onBackorder} disabled={busy}>
+                Backorder {missing} missing
+              </Button>
+            ) : null}
+          </div>
+        ) : null}
       </CardContent>
     </Card>
   )
 }
+
+function RecordSubstituteDialog({
+  item,
+  saving,
+  onOpenChange,
+  onSubmit,
+}: {
+  readonly item: PullItem
+  readonly saving: boolean
+  readonly onOpenChange: (open: boolean) => void
+  readonly onSubmit: (action: PublicPullAction) => Promise<void>
+}) {
+  const [forSize, setForSize] = useState(item.sizes.length === 1 ? item.sizes[0]!.size : WHOLE_LINE)
+  const [quantity, setQuantity] = useState("")
+  const [draft, setDraft] = useState<SubstituteDraft>(EMPTY_SUBSTITUTE_DRAFT)
+
+  const requested =
+    forSize === WHOLE_LINE
+      ? item.sizes.reduce((sum, s) => sum + s.quantity, 0)
+      : (item.sizes.find((s) => s.size === forSize)?.quantity ?? 0)
+
+  const handleSubmit = async () => {
+    if (!item.id || !isSubstituteDraftComplete(draft)) return
+    const parsed = Number(quantity)
+    await onSubmit({
+      type: "recordSubstitution",
+      itemId: item.id,
+      size: forSize === WHOLE_LINE ? null : forSize,
+      ...(quantity.trim() && Number.isFinite(parsed) ? { quantity: parsed } : {}),
+      substitute: {
+        skuCode: draft.skuCode.trim(),
+        colourName: draft.colourName.trim(),
+        size: draft.size.trim(),
+      },
+      reason: draft.reason.trim(),
+    })
+  }
+
+  return (
+    <Dialog open onOpenChange={onOpenChange}>
+      <DialogContent>
+        <DialogHeader>
+          <DialogTitle>Record substitute</DialogTitle>
+          <DialogDescription>
+            {item.familyName ?? item.familyId}
+            {item.colourName ? ` — ${item.colourName}` : ""}. The producer reviews every substitution.
+          </DialogDescription>
+        </DialogHeader>
+        <div className="flex flex-col gap-3">
+          <div className="grid gap-3 sm:grid-cols-2">
+            <div className="flex flex-col gap-1.5">
+              <Label htmlFor="substitute-for-size" className="text-xs">Replaces</Label>
+              <Select value={forSize} onValueChange={setForSize}>
+                <SelectTrigger id="substitute-for-size" className="h-9">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {item.sizes.length > 1 && <SelectItem value={WHOLE_LINE}>All sizes</SelectItem>}
+                  {item.sizes.map((s) => (
+                    <SelectItem key={s.size} value={s.size}>
+                      {s.size} (qty {s.quantity})
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="flex flex-col gap-1.5">
+              <Label htmlFor="substitute-quantity" className="text-xs">Quantity</Label>
+              <Input
+                id="substitute-quantity"
+                type="number"
+                min={1}
+                max={requested || undefined}
+                value={quantity}
+                onChange={(e) => setQuantity(e.target.value)}
+                placeholder={String(requested || 1)}
+                inputMode="numeric"
+              />
+            </div>
+          </div>
+          <SubstituteFields idPrefix="substitute" value={draft} onChange={setDraft} />
+        </div>
+        <DialogFooter>
+          <Button variant="outline" onClick={() => onOpenChange(false)} disabled={saving}>
+            Cancel
+          </Button>
+          <Button onClick={() => void handleSubmit()} disabled={saving || !isSubstituteDraftComplete(draft)}>
+            {saving ? "Saving..." : "Record substitute"}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  )
+}
@@ -7,13 +7,20 @@ import { ErrorBoundary } from "@/shared/components/ErrorBoundary"
 import { StatusBadge } from "@/shared/components/StatusBadge"
 import { InlineEdit } from "@/shared/components/InlineEdit"
 import { FulfillmentToggle } from "@/features/pulls/components/FulfillmentToggle"
+import { SubstitutionReviewDialog } from "@/features/pulls/components/SubstitutionReviewDialog"
 import { usePull } from "@/features/pulls/hooks/usePull"
 import { updatePullField } from "@/features/pulls/lib/updatePull"
+import {
+  SUBSTITUTION_DECISION_LABELS,
+  describeSubstitute,
+  pendingSubstitutions,
+  type PendingSubstitution,
+} from "@/features/pulls/lib/pullSubstitutions"
 import { useAuth } from "@/app/providers/AuthProvider"
 import { useProjectScope } from "@/app/providers/ProjectScopeProvider"
 import { useEffectiveRole } from "@/shared/hooks/useEffectiveRole"
 import { EffectiveRoleChip } from "@/shared/components/EffectiveRoleChip"
-import { canManagePulls, canFulfillPulls } from "@/shared/lib/rbac"
+import { canManagePulls, canFulfillPulls, canManageProjects } from "@/shared/lib/rbac"
 import { useIsMobile } from "@/shared/hooks/useMediaQuery"
 import {
   getPullStatusLabel,
@@ -21,6 +28,7 @@ import {
   getFulfillmentStatusLabel,
   getFulfillmentStatusColor,
 } from "@/shared/lib/statusMappings"
+import { Badge } from "@/ui/badge"
 import { Button } from "@/ui/button"
 import { Label } from "@/ui/label"
 import { Separator } from "@/ui/separator"
@@ -35,7 +43,12 @@ import {
 import { ArrowLeft, Share2, Package } from "lucide-react"
 import { toast } from "sonner"
 import { useState } from "react"
-import type { FulfillmentFirestoreStatus, PullFirestoreStatus, PullItem } from "@/shared/types"
+import type {
+  FulfillmentFirestoreStatus,
+  PullFirestoreStatus,
+  PullItem,
+  PullSubstitution,
+} from "@/shared/types"
 import { PULL_STATUSES } from "@/shared/lib/statusMappings"
 
 export default function PullDetailPage() {
@@ -62,6 +75,9 @@ export default function PullDetailPage() {
   // rbac.canFulfillPulls (admin||warehouse) is intentionally STRICTER than
   // the rule (which also allows producer) — UI-stricter is fine.
   const canFulfill = !roleResolving && canFulfillPulls(role)
+  // Substitution approval is a producer call — it can rewrite shot products.
+  const canReviewSubstitutions = !roleResolving && canManageProjects(role)
+  const [reviewing, setReviewing] = useState<PendingSubstitution | null>(null)
 
   const save = async (fields: Record<string, unknown>) => {
     if (!pull || !clientId) return
@@ -129,6 +145,7 @@ export default function PullDetailPage() {
   }
 
   const displayStatus = statusOptimistic[0] ?? pull.status
+  const pendingCount = pendingSubstitutions(pull.items).length
 
   return (
     <ErrorBoundary>
@@ -213,6 +230,11 @@ export default function PullDetailPage() {
             <Label className="label-meta">
               Items ({pull.items.length})
             </Label>
+            {pendingCount > 0 && (
+              <p className="text-xs text-[var(--color-text-muted)]" data-testid="pending-substitutions">
+                {pendingCount} {pendingCount === 1 ? "substitution" : "substitutions"} awaiting review
+              </p>
+            )}
             {pull.items.map((item, index) => (
               <PullItemRow
                 key={`${item.familyId}-${index}`}
@@ -220,10 +242,28 @@ export default function PullDetailPage() {
                 index={index}
                 onUpdate={handleFulfillmentUpdate}
                 canFulfill={canFulfill}
+                onReview={
+                  canReviewSubstitutions
+                    ? (substitution) => setReviewing({ item, substitution })
+                    : undefined
+                }
               />
             ))}
           </div>
         )}
+
+        {reviewing && (
+          <SubstitutionReviewDialog
+            key={reviewing.substitution.id}
+            open
+            onOpenChange={(open) => {
+              if (!open) setReviewing(null)
+            }}
+            pull={pull}
+            item={reviewing.item}
+            substitution={reviewing.substitution}
+          />
+        )}
       </div>
     </ErrorBoundary>
   )
@@ -234,12 +274,15 @@ function PullItemRow({
   index,
   onUpdate,
   canFulfill,
+  onReview,
 }: {
   readonly item: PullItem
   readonly index: number
   readonly onUpdate: (index: number, status: FulfillmentFirestoreStatus) => Promise<void>
   readonly canFulfill: boolean
+  readonly onReview?: (substitution: PullSubstitution) => void
 }) {
+  const substitutions = item.substitutions ?? []
   return (
     <Card>
       <CardHeader className="flex flex-row items-center justify-between gap-2 pb-2">
@@ -250,6 +293,12 @@ function PullItemRow({
               {item.colourName}
             </span>
           )}
+          {item.backorderOf && (
+            <Badge variant="outline" className="ml-2">Backorder</Badge>
+          )}
+          {item.backorderItemId && (
+            <Badge variant="secondary" className="ml-2">Backordered</Badge>
+          )}
         </CardTitle>
         <FulfillmentToggle
           currentStatus={item.fulfillmentStatus}
@@ -280,6 +329,34 @@ function PullItemRow({
               {item.notes}
             </p>
           )}
+          {substitutions.length > 0 && (
+            <ul className="mt-3 flex flex-col gap-2" aria-label="Substitutions">
+              {substitutions.map((sub) => (
+                <li
+                  key={sub.id}
+                  className="flex flex-wrap items-center gap-2 rounded-md bg-[var(--color-surface-subtle)] px-2 py-1.5 text-xs"
+                >
+                  <span className="font-medium">
+                    {sub.forSize ?? "All sizes"} → {describeSubstitute(sub)} ×{sub.quantity}
+                  </span>
+                  <span className="text-[var(--color-text-muted)]">{sub.reason}</span>
+                  <Badge variant={sub.decision === "rejected" ? "destructive" : sub.decision === "approved" ? "default" : "secondary"}>
+                    {SUBSTITUTION_DECISION_LABELS[sub.decision]}
+                  </Badge>
+                  {sub.decision === "pending" && onReview && (
+                    <Button
+                      size="sm"
+                      variant="outline"
+                      className="ml-auto h-7"
+                      onClick={() => onReview(sub)}
+                    >
+                      Review
+                    </Button>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
         </CardContent>
       )}
     </Card>
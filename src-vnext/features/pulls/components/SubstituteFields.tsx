@@ -0,0 +1,56 @@
+import { Input } from "@/ui/input"
+import { Label } from "@/ui/label"
+
+export interface SubstituteDraft {
+  readonly skuCode: string
+  readonly colourName: string
+  readonly size: string
+  readonly reason: string
+}
+
+export const EMPTY_SUBSTITUTE_DRAFT: SubstituteDraft = {
+  skuCode: "",
+  colourName: "",
+  size: "",
+  reason: "",
+}
+
+/** A reason plus at least one detail of what went out instead. */
+export function isSubstituteDraftComplete(draft: SubstituteDraft): boolean {
+  const described = [draft.skuCode, draft.colourName, draft.size].some((v) => v.trim().length > 0)
+  return described && draft.reason.trim().length > 0
+}
+
+interface SubstituteFieldsProps {
+  readonly idPrefix: string
+  readonly value: SubstituteDraft
+  readonly onChange: (next: SubstituteDraft) => void
+}
+
+/** Substitute SKU / colour / size + reason inputs shared by the public pull pages. */
+export function SubstituteFields({ idPrefix, value, onChange }: SubstituteFieldsProps) {
+  const field = (key: keyof SubstituteDraft, label: string, placeholder: string) => (
+    <div className="flex flex-col gap-1.5">
+      <Label htmlFor={`${idPrefix}-${key}`} className="text-xs">
+        {label}
+      </Label>
+      <Input
+        id={`${idPrefix}-${key}`}
+        value={value[key]}
+        onChange={(e) => onChange({ ...value, [key]: e.target.value })}
+        placeholder={placeholder}
+      />
+    </div>
+  )
+
+  return (
+    <div className="flex flex-col gap-3">
+      <div className="grid gap-3 sm:grid-cols-3">
+        {field("skuCode", "Substitute SKU / style #", "e.g. WH-002")}
+        {field("colourName", "Colour", "e.g. Navy")}
+        {field("size", "Size", "e.g. M")}
+      </div>
+      {field("reason", "Reason", "e.g. Ivory out of stock")}
+    </div>
+  )
+}
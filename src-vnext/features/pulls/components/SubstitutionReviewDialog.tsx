@@ -0,0 +1,219 @@
+import { useMemo, useState } from "react"
+import { toast } from "sonner"
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/ui/dialog"
+import { Button } from "@/ui/button"
+import { Checkbox } from "@/ui/checkbox"
+import { Input } from "@/ui/input"
+import { Label } from "@/ui/label"
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/ui/select"
+import { useAuth } from "@/app/providers/AuthProvider"
+import { useProductSkus } from "@/features/shots/hooks/usePickerData"
+import { useShots } from "@/features/shots/hooks/useShots"
+import { describeSubstitute } from "@/features/pulls/lib/pullSubstitutions"
+import { reviewPullSubstitution } from "@/features/pulls/lib/pullSubstitutionWrites"
+import type { ProductSku, Pull, PullItem, PullSubstitution } from "@/shared/types"
+
+interface SubstitutionReviewDialogProps {
+  readonly open: boolean
+  readonly onOpenChange: (open: boolean) => void
+  readonly pull: Pull
+  readonly item: PullItem
+  readonly substitution: PullSubstitution
+}
+
+function normalize(value: string | null | undefined): string {
+  return (value ?? "").trim().toLowerCase()
+}
+
+/** The catalogue SKU the warehouse most likely meant, by code then colour. */
+function guessSku(skus: readonly ProductSku[], substitution: PullSubstitution): ProductSku | null {
+  const code = normalize(substitution.skuCode)
+  const colour = normalize(substitution.colourName)
+  const live = skus.filter((s) => !s.deleted && !s.archived)
+  return (
+    (code && live.find((s) => normalize(s.skuCode) === code)) ||
+    (colour && live.find((s) => normalize(s.colorName) === colour || normalize(s.name) === colour)) ||
+    null
+  )
+}
+
+export function SubstitutionReviewDialog({
+  open,
+  onOpenChange,
+  pull,
+  item,
+  substitution,
+}: SubstitutionReviewDialogProps) {
+  const { clientId, user } = useAuth()
+  const { data: skus } = useProductSkus(open ? item.familyId : null)
+  const { data: shots } = useShots()
+
+  const pullShots = useMemo(() => {
+    const ids = new Set(pull.shotIds)
+    return shots.filter((s) => ids.has(s.id))
+  }, [pull.shotIds, shots])
+
+  const guessed = useMemo(() => guessSku(skus, substitution), [skus, substitution])
+  const [note, setNote] = useState("")
+  const [updateShots, setUpdateShots] = useState(false)
+  const [skuChoice, setSkuChoice] = useState<string | null>(null)
+  const [size, setSize] = useState(substitution.size ?? "")
+  const [saving, setSaving] = useState(false)
+
+  const skuId = skuChoice ?? guessed?.id ?? ""
+  const selectedSku = skus.find((s) => s.id === skuId) ?? null
+  const canUpdateShots = pullShots.length > 0 && skus.length > 0
+
+  const submit = async (decision: "approved" | "rejected") => {
+    if (!clientId || !item.id || !user) return
+    if (decision === "approved" && updateShots && !selectedSku) {
+      toast.error("Pick the catalogue SKU to put on the shots.")
+      return
+    }
+    setSaving(true)
+    try {
+      const applied = await reviewPullSubstitution({
+        pull,
+        clientId,
+        review: {
+          itemId: item.id,
+          substitutionId: substitution.id,
+          decision,
+          reviewerId: user.uid,
+          note,
+        },
+        shotUpdate:
+          decision === "approved" && updateShots && selectedSku
+            ? {
+                shots: pullShots,
+                replacement: {
+                  skuId: selectedSku.id,
+                  skuName: selectedSku.name,
+                  colourName: selectedSku.colorName ?? null,
+                  size: size.trim() || null,
+                },
+              }
+            : null,
+      })
+      if (decision === "rejected") {
+        toast.success("Substitution rejected")
+      } else if (applied.length > 0) {
+        toast.success(`Substitution approved — ${applied.length} ${applied.length === 1 ? "shot" : "shots"} updated`)
+      } else {
+        toast.success("Substitution approved")
+      }
+      onOpenChange(false)
+    } catch (err) {
+      toast.error(err instanceof Error ? err.message : "Failed to save review")
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent>
+        <DialogHeader>
+          <DialogTitle>Review substitution</DialogTitle>
+          <DialogDescription>
+            {item.familyName ?? item.familyId}
+            {item.colourName ? ` — ${item.colourName}` : ""}
+            {substitution.forSize ? `, size ${substitution.forSize}` : ", all sizes"}
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="flex flex-col gap-3 text-sm">
+          <div className="rounded-md border border-[var(--color-border)] bg-[var(--color-surface-subtle)] p-3">
+            <p className="font-medium text-[var(--color-text)]">
+              {describeSubstitute(substitution)} ×{substitution.quantity}
+            </p>
+            <p className="mt-1 text-xs text-[var(--color-text-muted)]">{substitution.reason}</p>
+            {substitution.recordedByEmail && (
+              <p className="mt-1 text-xs text-[var(--color-text-subtle)]">
+                Recorded by {substitution.recordedByEmail}
+              </p>
+            )}
+          </div>
+
+          <div className="flex flex-col gap-1.5">
+            <Label htmlFor="substitution-review-note" className="text-xs">Note (optional)</Label>
+            <Input
+              id="substitution-review-note"
+              value={note}
+              onChange={(e) => setNote(e.target.value)}
+              placeholder="e.g. Navy works for the hero look"
+            />
+          </div>
+
+          {canUpdateShots && (
+            <div className="flex flex-col gap-3 rounded-md border border-[var(--color-border)] p-3">
+              <div className="flex items-center gap-2">
+                <Checkbox
+                  id="substitution-update-shots"
+                  checked={updateShots}
+                  onCheckedChange={(checked) => setUpdateShots(checked === true)}
+                />
+                <Label htmlFor="substitution-update-shots" className="text-sm">
+                  Update shot products to match
+                </Label>
+              </div>
+              {updateShots && (
+                <div className="grid gap-3 sm:grid-cols-2">
+                  <div className="flex flex-col gap-1.5">
+                    <Label htmlFor="substitution-sku" className="text-xs">Catalogue SKU</Label>
+                    <Select value={skuId} onValueChange={setSkuChoice}>
+                      <SelectTrigger id="substitution-sku" className="h-9">
+                        <SelectValue placeholder="Select a colourway" />
+                      </SelectTrigger>
+                      <SelectContent>
+                        {skus
+                          .filter((s) => !s.deleted && !s.archived)
+                          .map((s) => (
+                            <SelectItem key={s.id} value={s.id}>
+                              {s.colorName ?? s.name}
+                              {s.skuCode ? ` (${s.skuCode})` : ""}
+                            </SelectItem>
+                          ))}
+                      </SelectContent>
+                    </Select>
+                  </div>
+                  <div className="flex flex-col gap-1.5">
+                    <Label htmlFor="substitution-size" className="text-xs">Size</Label>
+                    <Input
+                      id="substitution-size"
+                      value={size}
+                      onChange={(e) => setSize(e.target.value)}
+                      placeholder="Keep current"
+                    />
+                  </div>
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+
+        <DialogFooter>
+          <Button variant="outline" onClick={() => void submit("rejected")} disabled={saving}>
+            Reject
+          </Button>
+          <Button onClick={() => void submit("approved")} disabled={saving}>
+            Approve
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  )
+}
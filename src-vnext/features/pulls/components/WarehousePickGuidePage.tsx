@@ -1,5 +1,6 @@
 import { useCallback, useEffect, useState } from "react"
 import { useParams, useNavigate } from "react-router-dom"
+import { toast } from "sonner"
 import { ErrorBoundary } from "@/shared/components/ErrorBoundary"
 import { collectionGroup, getDocs, limit, query, where } from "firebase/firestore"
 import { db } from "@/shared/lib/firebase"
@@ -7,17 +8,48 @@ import { LoadingState } from "@/shared/components/LoadingState"
 import { DetailPageSkeleton } from "@/shared/components/Skeleton"
 import { Button } from "@/ui/button"
 import { Input } from "@/ui/input"
+import { Label } from "@/ui/label"
 import { WarehousePickProgress } from "./WarehousePickProgress"
 import { WarehousePickStep } from "./WarehousePickStep"
 import { WarehousePickOutcomeBar, type PickOutcome } from "./WarehousePickOutcomeBar"
+import {
+  EMPTY_SUBSTITUTE_DRAFT,
+  SubstituteFields,
+  isSubstituteDraftComplete,
+  type SubstituteDraft,
+} from "./SubstituteFields"
 import { mapPull } from "@/features/pulls/lib/mapPull"
+import { submitPublicPullActions, type PublicPullAction } from "@/features/pulls/lib/publicPullActions"
 import type { Pull, PullItem } from "@/shared/types"
 import { ArrowLeft, ClipboardList } from "lucide-react"
 
 interface ItemOutcome {
   readonly itemId: string
   readonly outcome: PickOutcome
-  readonly substituteNote?: string
+  readonly substitute?: SubstituteDraft
+}
+
+/** Substitutions become substitution records; unavailable lines are backordered. */
+function buildOutcomeActions(outcomes: readonly ItemOutcome[]): PublicPullAction[] {
+  return outcomes.flatMap((o): PublicPullAction[] => {
+    if (o.outcome === "substitute" && o.substitute) {
+      return [
+        {
+          type: "recordSubstitution",
+          itemId: o.itemId,
+          size: null,
+          substitute: {
+            skuCode: o.substitute.skuCode.trim(),
+            colourName: o.substitute.colourName.trim(),
+            size: o.substitute.size.trim(),
+          },
+          reason: o.substitute.reason.trim(),
+        },
+      ]
+    }
+    if (o.outcome === "not_available") return [{ type: "createBackorder", itemId: o.itemId }]
+    return []
+  })
 }
 
 export default function WarehousePickGuidePage() {
@@ -30,8 +62,11 @@ export default function WarehousePickGuidePage() {
   const [started, setStarted] = useState(false)
   const [currentIndex, setCurrentIndex] = useState(0)
   const [outcomes, setOutcomes] = useState<readonly ItemOutcome[]>([])
-  const [substituteNote, setSubstituteNote] = useState("")
+  const [substituteDraft, setSubstituteDraft] = useState<SubstituteDraft>(EMPTY_SUBSTITUTE_DRAFT)
   const [awaitingSubNote, setAwaitingSubNote] = useState(false)
+  const [email, setEmail] = useState("")
+  const [sending, setSending] = useState(false)
+  const [sent, setSent] = useState(false)
 
   useEffect(() => {
     let active = true
@@ -91,16 +126,36 @@ export default function WarehousePickGuidePage() {
 
   const confirmSubstitute = useCallback(() => {
     const item = items[currentIndex]
-    if (!item?.id) return
+    if (!item?.id || !isSubstituteDraftComplete(substituteDraft)) return
 
     setOutcomes((prev) => [
       ...prev,
-      { itemId: item.id!, outcome: "substitute", substituteNote: substituteNote.trim() || undefined },
+      { itemId: item.id!, outcome: "substitute", substitute: substituteDraft },
     ])
-    setSubstituteNote("")
+    setSubstituteDraft(EMPTY_SUBSTITUTE_DRAFT)
     setAwaitingSubNote(false)
     setCurrentIndex((prev) => prev + 1)
-  }, [currentIndex, items, substituteNote])
+  }, [currentIndex, items, substituteDraft])
+
+  const sendResults = async () => {
+    if (!shareToken) return
+    const trimmedEmail = email.trim()
+    if (!trimmedEmail) {
+      toast.error("Email is required to send results.")
+      return
+    }
+    setSending(true)
+    try {
+      await submitPublicPullActions(shareToken, trimmedEmail, buildOutcomeActions(outcomes))
+      setSent(true)
+      toast.success("Sent to your producer.")
+    } catch (err) {
+      console.error("[WarehousePickGuidePage] Failed to send pick results:", err)
+      toast.error("Failed to send. Please try again.")
+    } finally {
+      setSending(false)
+    }
+  }
 
   if (loading) return <LoadingState loading skeleton={<DetailPageSkeleton />} />
 
@@ -162,6 +217,7 @@ export default function WarehousePickGuidePage() {
     const picked = outcomes.filter((o) => o.outcome === "picked").length
     const notAvailable = outcomes.filter((o) => o.outcome === "not_available").length
     const substituted = outcomes.filter((o) => o.outcome === "substitute").length
+    const canSend = pull.shareAllowResponses === true && !sent && (notAvailable > 0 || substituted > 0)
 
     return (
       <ErrorBoundary>
@@ -184,9 +240,34 @@ export default function WarehousePickGuidePage() {
               <p className="text-xs text-[var(--color-text-muted)]">Substituted</p>
             </div>
           </div>
-          <p className="text-sm text-[var(--color-text-muted)]">
-            Hand off to your producer for review.
-          </p>
+          {canSend ? (
+            <div className="flex w-full max-w-xs flex-col gap-2 text-left">
+              <Label htmlFor="pick-email">Your email</Label>
+              <Input
+                id="pick-email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                placeholder="name@company.com"
+                inputMode="email"
+                autoComplete="email"
+              />
+              <Button
+                className="touch-target"
+                onClick={() => void sendResults()}
+                disabled={sending}
+                data-testid="send-pick-results"
+              >
+                {sending ? "Sending..." : "Send substitutions & backorders"}
+              </Button>
+              <p className="text-xs text-[var(--color-text-muted)]">
+                Substitutions go to your producer for approval; unavailable items get a backorder line.
+              </p>
+            </div>
+          ) : (
+            <p className="text-sm text-[var(--color-text-muted)]">
+              {sent ? "Sent to your producer for review." : "Hand off to your producer for review."}
+            </p>
+          )}
           <Button
             variant="outline"
             className="touch-target"
@@ -212,16 +293,12 @@ export default function WarehousePickGuidePage() {
 
       {awaitingSubNote ? (
         <div className="flex flex-col gap-3 border-t border-[var(--color-border)] px-4 pb-[max(1rem,env(safe-area-inset-bottom))] pt-3">
-          <p className="text-sm font-medium text-[var(--color-text)]">Substitute note (optional)</p>
-          <Input
-            value={substituteNote}
-            onChange={(e) => setSubstituteNote(e.target.value)}
-            placeholder="e.g. Replaced with blue variant"
-            autoFocus
-          />
+          <p className="text-sm font-medium text-[var(--color-text)]">What went out instead?</p>
+          <SubstituteFields idPrefix="pick-substitute" value={substituteDraft} onChange={setSubstituteDraft} />
           <Button
             className="min-h-[56px] touch-target bg-amber-500 text-[var(--color-text-inverted)] hover:bg-amber-600"
             onClick={confirmSubstitute}
+            disabled={!isSubstituteDraftComplete(substituteDraft)}
             data-testid="confirm-substitute"
           >
             Confirm Substitute
@@ -1,9 +1,10 @@
 /// <reference types="@testing-library/jest-dom" />
 import { describe, it, expect, vi, beforeEach } from "vitest"
 import { render, screen } from "@testing-library/react"
+import userEvent from "@testing-library/user-event"
 import { MemoryRouter, Routes, Route } from "react-router-dom"
 import { Timestamp } from "firebase/firestore"
-import type { FulfillmentFirestoreStatus, Pull, PullItem } from "@/shared/types"
+import type { FulfillmentFirestoreStatus, Pull, PullItem, PullSubstitution } from "@/shared/types"
 
 vi.mock("@/features/pulls/hooks/usePull", () => ({
   usePull: vi.fn(),
@@ -53,6 +54,12 @@ vi.mock("@/features/pulls/components/FulfillmentToggle", () => ({
   ),
 }))
 
+vi.mock("@/features/pulls/components/SubstitutionReviewDialog", () => ({
+  SubstitutionReviewDialog: ({ substitution }: { readonly substitution: { readonly id: string } }) => (
+    <div data-testid="substitution-review-dialog">{substitution.id}</div>
+  ),
+}))
+
 import { usePull } from "@/features/pulls/hooks/usePull"
 import PullDetailPage from "@/features/pulls/components/PullDetailPage"
 
@@ -63,6 +70,24 @@ function makeItem(overrides: Partial<PullItem>): PullItem {
     sizes: overrides.sizes ?? [],
     fulfillmentStatus:
       overrides.fulfillmentStatus ?? ("pending" as FulfillmentFirestoreStatus),
+    ...(overrides.id ? { id: overrides.id } : {}),
+    ...(overrides.substitutions ? { substitutions: overrides.substitutions } : {}),
+    ...(overrides.backorderItemId ? { backorderItemId: overrides.backorderItemId } : {}),
+  }
+}
+
+function makeSubstitution(overrides: Partial<PullSubstitution>): PullSubstitution {
+  return {
+    id: overrides.id ?? "sub1",
+    forSize: overrides.forSize ?? "M",
+    quantity: overrides.quantity ?? 1,
+    skuCode: overrides.skuCode ?? "WH-002",
+    colourName: overrides.colourName ?? "Navy",
+    size: overrides.size ?? null,
+    reason: overrides.reason ?? "Ivory out of stock",
+    recordedByEmail: overrides.recordedByEmail ?? "wh@example.com",
+    recordedAt: null,
+    decision: overrides.decision ?? "pending",
   }
 }
 
@@ -170,4 +195,47 @@ describe("PullDetailPage", () => {
     expect(screen.queryByRole("button", { name: /share/i })).not.toBeInTheDocument()
     expect(screen.getByRole("combobox")).toBeDisabled()
   })
+  it("lets a producer open the review for a pending substitution", async () => {
+    setPull(
+      makePull({
+        items: [
+          makeItem({
+            id: "i1",
+            sizes: [{ size: "M", quantity: 1, fulfilled: 0, status: "substituted" }],
+            substitutions: [
+              makeSubstitution({}),
+              makeSubstitution({ id: "sub0", forSize: "S", decision: "rejected" }),
+            ],
+          }),
+        ],
+      }),
+    )
+    renderPage()
+    expect(screen.getByTestId("pending-substitutions")).toHaveTextContent("1 substitution awaiting review")
+    expect(screen.getByText("Rejected")).toBeInTheDocument()
+    const reviewButtons = screen.getAllByRole("button", { name: "Review" })
+    expect(reviewButtons).toHaveLength(1)
+    await userEvent.click(reviewButtons[0]!)
+    expect(screen.getByTestId("substitution-review-dialog")).toHaveTextContent("sub1")
+  })
+
+  it("hides substitution review from warehouse members", () => {
+    effectiveState.role = "warehouse"
+    setPull(
+      makePull({
+        items: [
+          makeItem({
+            id: "i1",
+            sizes: [{ size: "M", quantity: 1, fulfilled: 0, status: "substituted" }],
+            substitutions: [makeSubstitution({})],
+            backorderItemId: "i2",
+          }),
+        ],
+      }),
+    )
+    renderPage()
+    expect(screen.getByText("Awaiting review")).toBeInTheDocument()
+    expect(screen.getByText("Backordered")).toBeInTheDocument()
+    expect(screen.queryByRole("button", { name: "Review" })).not.toBeInTheDocument()
+  })
 })
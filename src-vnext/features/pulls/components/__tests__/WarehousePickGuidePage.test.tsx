@@ -19,8 +19,17 @@ vi.mock("@/shared/hooks/useStorageUrl", () => ({
   useStorageUrl: () => null,
 }))
 
+vi.mock("@/features/pulls/lib/publicPullActions", () => ({
+  submitPublicPullActions: vi.fn(),
+}))
+
+vi.mock("sonner", () => ({
+  toast: { success: vi.fn(), error: vi.fn() },
+}))
+
 // Import after mocks
 import { getDocs } from "firebase/firestore"
+import { submitPublicPullActions } from "@/features/pulls/lib/publicPullActions"
 
 const mockPull = {
   id: "pull-1",
@@ -137,7 +146,36 @@ describe("WarehousePickGuidePage", () => {
     fireEvent.click(await screen.findByTestId("start-picking"))
     fireEvent.click(await screen.findByTestId("pick-substitute"))
 
-    expect(await screen.findByTestId("confirm-substitute")).toBeInTheDocument()
+    expect(await screen.findByTestId("confirm-substitute")).toBeDisabled()
+  })
+
+  it("sends recorded substitutions and backorders from the completion screen", async () => {
+    const mockSubmit = submitPublicPullActions as unknown as ReturnType<typeof vi.fn>
+    mockSubmit.mockResolvedValue(undefined)
+    renderPage()
+    fireEvent.click(await screen.findByTestId("start-picking"))
+    fireEvent.click(await screen.findByTestId("pick-substitute"))
+    fireEvent.change(await screen.findByLabelText("Colour"), { target: { value: "Navy" } })
+    fireEvent.change(screen.getByLabelText("Reason"), { target: { value: "Ivory out of stock" } })
+    fireEvent.click(screen.getByTestId("confirm-substitute"))
+    fireEvent.click(await screen.findByTestId("pick-not-available"))
+
+    expect(await screen.findByText("Pick Complete")).toBeInTheDocument()
+    fireEvent.change(screen.getByLabelText("Your email"), { target: { value: "wh@example.com" } })
+    fireEvent.click(screen.getByTestId("send-pick-results"))
+
+    await vi.waitFor(() => expect(mockSubmit).toHaveBeenCalledTimes(1))
+    expect(mockSubmit).toHaveBeenCalledWith("abc123", "wh@example.com", [
+      {
+        type: "recordSubstitution",
+        itemId: "item-1",
+        size: null,
+        substitute: { skuCode: "", colourName: "Navy", size: "" },
+        reason: "Ivory out of stock",
+      },
+      { type: "createBackorder", itemId: "item-2" },
+    ])
+    expect(await screen.findByText("Sent to your producer for review.")).toBeInTheDocument()
   })
 
   it("action buttons have >= 64px height", async () => {
@@ -1,4 +1,14 @@
-import type { Pull, PullItem, PullItemSize, PullItemSizeStatus, FulfillmentFirestoreStatus, PullFirestoreStatus } from "@/shared/types"
+import type { Timestamp } from "firebase/firestore"
+import type {
+  Pull,
+  PullItem,
+  PullItemSize,
+  PullItemSizeStatus,
+  PullSubstitution,
+  PullSubstitutionDecision,
+  FulfillmentFirestoreStatus,
+  PullFirestoreStatus,
+} from "@/shared/types"
 
 function asString(value: unknown): string | null {
   return typeof value === "string" ? value : null
@@ -20,18 +30,54 @@ function asArray(value: unknown): unknown[] {
   return Array.isArray(value) ? value : []
 }
 
+function asTimestamp(value: unknown): Timestamp | null {
+  return value && typeof (value as Timestamp).toDate === "function" ? (value as Timestamp) : null
+}
+
+const SUBSTITUTION_DECISIONS: ReadonlySet<string> = new Set(["pending", "approved", "rejected"])
+
 function mapSize(raw: Record<string, unknown>): PullItemSize | null {
   const size = asString(raw["size"]) ?? ""
   if (!size) return null
   const quantity = asNumber(raw["quantity"]) ?? 0
   const fulfilled = asNumber(raw["fulfilled"]) ?? 0
   const status = asString(raw["status"]) as PullItemSizeStatus | null
+  const backordered = asNumber(raw["backordered"])
 
   return {
     size,
     quantity,
     fulfilled,
     status: status ?? undefined,
+    ...(backordered ? { backordered } : {}),
+  }
+}
+
+function mapSubstitution(raw: Record<string, unknown>): PullSubstitution | null {
+  const id = asString(raw["id"])
+  if (!id) return null
+  const decision = asString(raw["decision"])
+  const appliedToShotIds = asArray(raw["appliedToShotIds"]).filter(
+    (v): v is string => typeof v === "string",
+  )
+
+  return {
+    id,
+    forSize: asString(raw["forSize"]),
+    quantity: asNumber(raw["quantity"]) ?? 0,
+    skuCode: asString(raw["skuCode"]),
+    colourName: asString(raw["colourName"]),
+    size: asString(raw["size"]),
+    reason: asString(raw["reason"]) ?? "",
+    recordedByEmail: asString(raw["recordedByEmail"]),
+    recordedAt: asTimestamp(raw["recordedAt"]),
+    decision: (decision && SUBSTITUTION_DECISIONS.has(decision)
+      ? decision
+      : "pending") as PullSubstitutionDecision,
+    reviewedBy: asString(raw["reviewedBy"]),
+    reviewedAt: asTimestamp(raw["reviewedAt"]),
+    reviewNote: asString(raw["reviewNote"]),
+    ...(appliedToShotIds.length > 0 ? { appliedToShotIds } : {}),
   }
 }
 
@@ -49,6 +95,14 @@ function mapItem(raw: Record<string, unknown>): PullItem | null {
     (asString(raw["fulfillmentStatus"]) as FulfillmentFirestoreStatus | null) ??
     "pending"
 
+  const substitutions = asArray(raw["substitutions"])
+    .map(asObject)
+    .filter(Boolean)
+    .map((sub) => mapSubstitution(sub!))
+    .filter(Boolean) as PullSubstitution[]
+  const backorderOf = asString(raw["backorderOf"])
+  const backorderItemId = asString(raw["backorderItemId"])
+
   return {
     id: asString(raw["id"]) ?? undefined,
     familyId,
@@ -60,6 +114,9 @@ function mapItem(raw: Record<string, unknown>): PullItem | null {
     sizes,
     fulfillmentStatus,
     notes: asString(raw["notes"]),
+    ...(substitutions.length > 0 ? { substitutions } : {}),
+    ...(backorderOf ? { backorderOf } : {}),
+    ...(backorderItemId ? { backorderItemId } : {}),
   }
 }
 
@@ -0,0 +1,44 @@
+import { callFunction } from "@/shared/lib/callFunction"
+
+export interface SubstituteDetails {
+  readonly skuCode: string
+  readonly colourName: string
+  readonly size: string
+}
+
+export type PublicPullAction =
+  | {
+      readonly type: "updateFulfillment"
+      readonly itemId: string
+      readonly sizes: readonly { readonly size: string; readonly fulfilled: number }[]
+    }
+  | {
+      readonly type: "recordSubstitution"
+      readonly itemId: string
+      /** Requested size being replaced; null = the whole line. */
+      readonly size: string | null
+      readonly quantity?: number
+      readonly substitute: SubstituteDetails
+      readonly reason: string
+    }
+  | {
+      readonly type: "createBackorder"
+      readonly itemId: string
+      readonly note?: string
+    }
+
+/**
+ * Sends warehouse updates through the public `publicUpdatePull` endpoint.
+ * The email is recorded on every change but not verified.
+ */
+export async function submitPublicPullActions(
+  shareToken: string,
+  email: string,
+  actions: readonly PublicPullAction[],
+): Promise<void> {
+  await callFunction<{ ok: boolean; pull: unknown }>(
+    "publicUpdatePull",
+    { shareToken, email, actions },
+    { skipAuth: true },
+  )
+}
@@ -0,0 +1,104 @@
+import { Timestamp, doc, serverTimestamp, writeBatch } from "firebase/firestore"
+import { db } from "@/shared/lib/firebase"
+import { pullPath, shotPath } from "@/shared/lib/paths"
+import {
+  reviewSubstitution,
+  substituteShotProducts,
+  type SubstituteProduct,
+  type SubstitutionReview,
+} from "@/features/pulls/lib/pullSubstitutions"
+import type { Pull, Shot } from "@/shared/types"
+
+function stripUndefinedDeep(value: unknown): unknown {
+  if (value === undefined) return undefined
+  if (value === null) return null
+
+  if (Array.isArray(value)) {
+    return value
+      .map((entry) => stripUndefinedDeep(entry))
+      .filter((entry) => entry !== undefined)
+  }
+
+  if (typeof (value as { toDate?: unknown }).toDate === "function") {
+    // Firestore Timestamp-like objects must be preserved as-is.
+    return value
+  }
+
+  if (typeof value === "object") {
+    const next: Record<string, unknown> = {}
+    for (const [key, entry] of Object.entries(value as Record<string, unknown>)) {
+      const normalized = stripUndefinedDeep(entry)
+      if (normalized !== undefined) next[key] = normalized
+    }
+    return next
+  }
+
+  return value
+}
+
+function docRef(segments: string[]) {
+  return doc(db, segments[0]!, ...segments.slice(1))
+}
+
+/**
+ * Approves or rejects a warehouse substitution. On approval, `shotUpdate`
+ * switches the original product to the substitute SKU on every shot of the
+ * pull that carries it — in the same batch as the pull write.
+ *
+ * @returns ids of the shots that were updated
+ */
+export async function reviewPullSubstitution({
+  pull,
+  clientId,
+  review,
+  shotUpdate,
+}: {
+  readonly pull: Pull
+  readonly clientId: string
+  readonly review: Omit<SubstitutionReview, "reviewedAt" | "appliedToShotIds">
+  readonly shotUpdate?: {
+    readonly shots: readonly Shot[]
+    readonly replacement: SubstituteProduct
+  } | null
+}): Promise<string[]> {
+  const item = pull.items.find((it) => it.id === review.itemId)
+  const substitution = item?.substitutions?.find((s) => s.id === review.substitutionId)
+  if (!item || !substitution) throw new Error("Substitution not found.")
+
+  const shotPatches: { id: string; fields: Record<string, unknown> }[] = []
+  if (review.decision === "approved" && shotUpdate) {
+    const pullShotIds = new Set(pull.shotIds)
+    for (const shot of shotUpdate.shots) {
+      if (!pullShotIds.has(shot.id)) continue
+      const patch = substituteShotProducts(
+        shot,
+        { familyId: item.familyId, colourId: item.colourId, forSize: substitution.forSize },
+        shotUpdate.replacement,
+      )
+      if (patch) shotPatches.push({ id: shot.id, fields: patch })
+    }
+  }
+
+  const appliedToShotIds = shotPatches.map((p) => p.id)
+  const items = reviewSubstitution(pull.items, {
+    ...review,
+    reviewedAt: Timestamp.now(),
+    appliedToShotIds,
+  })
+  if (!items) throw new Error("This substitution was already reviewed.")
+
+  const batch = writeBatch(db)
+  batch.update(docRef(pullPath(pull.id, pull.projectId, clientId)), {
+    items: stripUndefinedDeep(items),
+    updatedAt: serverTimestamp(),
+  })
+  for (const patch of shotPatches) {
+    batch.update(docRef(shotPath(patch.id, clientId)), {
+      ...(stripUndefinedDeep(patch.fields) as Record<string, unknown>),
+      updatedAt: serverTimestamp(),
+    })
+  }
+  await batch.commit()
+
+  return appliedToShotIds
+}
@@ -0,0 +1,200 @@
+import { describe, expect, it } from "vitest"
+import { Timestamp } from "firebase/firestore"
+import {
+  describeSubstitute,
+  itemFulfillmentStatus,
+  missingQuantities,
+  pendingSubstitutions,
+  reviewSubstitution,
+  substituteShotProducts,
+} from "@/features/pulls/lib/pullSubstitutions"
+import type { ProductAssignment, PullItem, PullSubstitution } from "@/shared/types"
+
+const NOW = new Timestamp(10, 0)
+
+function makeSubstitution(overrides: Partial<PullSubstitution> = {}): PullSubstitution {
+  return {
+    id: overrides.id ?? "sub1",
+    forSize: overrides.forSize === undefined ? "M" : overrides.forSize,
+    quantity: overrides.quantity ?? 1,
+    skuCode: overrides.skuCode ?? "OX-NAVY",
+    colourName: overrides.colourName ?? "Navy",
+    size: overrides.size ?? null,
+    reason: overrides.reason ?? "Ivory out of stock",
+    recordedByEmail: "wh@example.com",
+    recordedAt: null,
+    decision: overrides.decision ?? "pending",
+  }
+}
+
+function makeItem(overrides: Partial<PullItem> = {}): PullItem {
+  return {
+    id: "i1",
+    familyId: "f1",
+    colourId: "sku-ivory",
+    colourName: "Ivory",
+    sizes: [
+      { size: "S", quantity: 1, fulfilled: 1, status: "fulfilled" },
+      { size: "M", quantity: 2, fulfilled: 0, status: "substituted" },
+    ],
+    fulfillmentStatus: "substituted",
+    substitutions: [makeSubstitution()],
+    ...overrides,
+  }
+}
+
+describe("describeSubstitute", () => {
+  it("joins whatever details were recorded", () => {
+    expect(describeSubstitute({ skuCode: "OX-NAVY", colourName: null, size: "L" })).toBe("OX-NAVY · L")
+    expect(describeSubstitute({ skuCode: null, colourName: null, size: null })).toBe("Substitute")
+  })
+})
+
+describe("itemFulfillmentStatus", () => {
+  it("prefers substituted, then compares fulfilled against requested", () => {
+    expect(itemFulfillmentStatus(makeItem())).toBe("substituted")
+    expect(
+      itemFulfillmentStatus({
+        sizes: [
+          { size: "S", quantity: 1, fulfilled: 1, status: "fulfilled" },
+          { size: "M", quantity: 2, fulfilled: 0, status: "pending" },
+        ],
+      }),
+    ).toBe("partial")
+    expect(itemFulfillmentStatus({ sizes: [] })).toBe("pending")
+  })
+})
+
+describe("missingQuantities", () => {
+  it("ignores rejected substitutions and counts backordered units", () => {
+    const item = makeItem({
+      sizes: [
+        { size: "S", quantity: 3, fulfilled: 1, status: "partial", backordered: 1 },
+        { size: "M", quantity: 2, fulfilled: 0, status: "pending" },
+      ],
+      substitutions: [makeSubstitution({ decision: "rejected", quantity: 2 })],
+    })
+    expect(missingQuantities(item)).toEqual([
+      { size: "S", missing: 1 },
+      { size: "M", missing: 2 },
+    ])
+  })
+})
+
+describe("reviewSubstitution", () => {
+  it("approves a pending substitution and records the reviewer", () => {
+    const items = reviewSubstitution([makeItem()], {
+      itemId: "i1",
+      substitutionId: "sub1",
+      decision: "approved",
+      reviewerId: "u1",
+      reviewedAt: NOW,
+      note: "  fine  ",
+      appliedToShotIds: ["s1"],
+    })
+    expect(items?.[0]?.substitutions?.[0]).toMatchObject({
+      decision: "approved",
+      reviewedBy: "u1",
+      reviewedAt: NOW,
+      reviewNote: "fine",
+      appliedToShotIds: ["s1"],
+    })
+    expect(items?.[0]?.fulfillmentStatus).toBe("substituted")
+    expect(pendingSubstitutions(items ?? [])).toEqual([])
+  })
+
+  it("reverts the size status on rejection", () => {
+    const items = reviewSubstitution([makeItem()], {
+      itemId: "i1",
+      substitutionId: "sub1",
+      decision: "rejected",
+      reviewerId: "u1",
+      reviewedAt: NOW,
+    })
+    expect(items?.[0]?.sizes.map((s) => s.status)).toEqual(["fulfilled", "pending"])
+    expect(items?.[0]?.fulfillmentStatus).toBe("partial")
+  })
+
+  it("keeps a size substituted while another live substitution covers it", () => {
+    const item = makeItem({
+      substitutions: [
+        makeSubstitution(),
+        makeSubstitution({ id: "sub2", forSize: null, decision: "approved" }),
+      ],
+    })
+    const items = reviewSubstitution([item], {
+      itemId: "i1",
+      substitutionId: "sub1",
+      decision: "rejected",
+      reviewerId: "u1",
+      reviewedAt: NOW,
+    })
+    expect(items?.[0]?.sizes[1]?.status).toBe("substituted")
+  })
+
+  it("returns null for an already reviewed substitution", () => {
+    const item = makeItem({ substitutions: [makeSubstitution({ decision: "approved" })] })
+    expect(
+      reviewSubstitution([item], {
+        itemId: "i1",
+        substitutionId: "sub1",
+        decision: "rejected",
+        reviewerId: "u1",
+        reviewedAt: NOW,
+      }),
+    ).toBeNull()
+  })
+})
+
+describe("substituteShotProducts", () => {
+  const original: ProductAssignment = {
+    familyId: "f1",
+    familyName: "Oxford Shirt",
+    skuId: "sku-ivory",
+    skuName: "Ivory",
+    colourId: "sku-ivory",
+    colourName: "Ivory",
+    sizeScope: "single",
+    size: "M",
+    skuImageUrl: "ivory.jpg",
+    thumbUrl: "ivory.jpg",
+    familyImageUrl: "family.jpg",
+  }
+  const replacement = { skuId: "sku-navy", skuName: "Navy", colourName: "Navy", size: "L" }
+
+  it("swaps matching assignments on the shot and its looks", () => {
+    const other: ProductAssignment = { familyId: "f2", colourId: "x" }
+    const patch = substituteShotProducts(
+      {
+        products: [original, other],
+        looks: [{ id: "l1", products: [original] }],
+      },
+      { familyId: "f1", colourId: "sku-ivory", forSize: "M" },
+      replacement,
+    )
+    expect(patch?.products[0]).toEqual({
+      familyId: "f1",
+      familyName: "Oxford Shirt",
+      skuId: "sku-navy",
+      skuName: "Navy",
+      colourId: "sku-navy",
+      colourName: "Navy",
+      sizeScope: "single",
+      size: "L",
+      thumbUrl: "family.jpg",
+      familyImageUrl: "family.jpg",
+    })
+    expect(patch?.products[1]).toBe(other)
+    expect(patch?.looks?.[0]?.products[0]?.skuId).toBe("sku-navy")
+  })
+
+  it("leaves other sizes alone and returns null when nothing matches", () => {
+    expect(
+      substituteShotProducts(
+        { products: [original] },
+        { familyId: "f1", colourId: "sku-ivory", forSize: "S" },
+        replacement,
+      ),
+    ).toBeNull()
+  })
+})
@@ -0,0 +1,205 @@
+import type { Timestamp } from "firebase/firestore"
+import type {
+  FulfillmentFirestoreStatus,
+  ProductAssignment,
+  PullItem,
+  PullItemSize,
+  PullItemSizeStatus,
+  PullSubstitution,
+  PullSubstitutionDecision,
+  Shot,
+  ShotLook,
+} from "@/shared/types"
+
+// --- Labels ---
+
+export const SUBSTITUTION_DECISION_LABELS: Readonly<Record<PullSubstitutionDecision, string>> = {
+  pending: "Awaiting review",
+  approved: "Approved",
+  rejected: "Rejected",
+}
+
+/** "SKU 1234 · Navy · M" — whatever the warehouse filled in. */
+export function describeSubstitute(sub: Pick<PullSubstitution, "skuCode" | "colourName" | "size">): string {
+  return [sub.skuCode, sub.colourName, sub.size].filter(Boolean).join(" · ") || "Substitute"
+}
+
+// --- Fulfillment ---
+
+function derivedSizeStatus(size: PullItemSize): PullItemSizeStatus {
+  if (size.quantity > 0 && size.fulfilled >= size.quantity) return "fulfilled"
+  return size.fulfilled > 0 ? "partial" : "pending"
+}
+
+/** Client mirror of the server's `calculateItemFulfillment`. */
+export function itemFulfillmentStatus(item: Pick<PullItem, "sizes">): FulfillmentFirestoreStatus {
+  if (item.sizes.length === 0) return "pending"
+  if (item.sizes.some((s) => s.status === "substituted")) return "substituted"
+  const requested = item.sizes.reduce((sum, s) => sum + (s.quantity || 0), 0)
+  const fulfilled = item.sizes.reduce((sum, s) => sum + (s.fulfilled || 0), 0)
+  if (fulfilled <= 0) return "pending"
+  return fulfilled >= requested ? "fulfilled" : "partial"
+}
+
+function covers(sub: PullSubstitution, size: string): boolean {
+  return sub.forSize === null || sub.forSize === size
+}
+
+/**
+ * Units still owed per size — requested minus fulfilled, minus units covered
+ * by a pending or approved substitution, minus anything already backordered.
+ * Mirrors the server's `missingQuantities`.
+ */
+export function missingQuantities(item: PullItem): { size: string; missing: number }[] {
+  const live = (item.substitutions ?? []).filter((s) => s.decision !== "rejected")
+  return item.sizes
+    .map((size) => {
+      const covered = live
+        .filter((s) => covers(s, size.size))
+        .reduce((sum, s) => sum + (s.forSize === null ? size.quantity : s.quantity), 0)
+      const missing = size.quantity - size.fulfilled - covered - (size.backordered ?? 0)
+      return { size: size.size, missing: Math.max(0, missing) }
+    })
+    .filter((m) => m.missing > 0)
+}
+
+export interface PendingSubstitution {
+  readonly item: PullItem
+  readonly substitution: PullSubstitution
+}
+
+export function pendingSubstitutions(items: readonly PullItem[]): PendingSubstitution[] {
+  return items.flatMap((item) =>
+    (item.substitutions ?? [])
+      .filter((substitution) => substitution.decision === "pending")
+      .map((substitution) => ({ item, substitution })),
+  )
+}
+
+export interface SubstitutionReview {
+  readonly itemId: string
+  readonly substitutionId: string
+  readonly decision: Exclude<PullSubstitutionDecision, "pending">
+  readonly reviewerId: string
+  readonly reviewedAt: Timestamp
+  readonly note?: string | null
+  readonly appliedToShotIds?: readonly string[]
+}
+
+/**
+ * Records the producer's decision on a substitution. Rejecting one puts the
+ * sizes it covered back on their fulfilled-count status unless another live
+ * substitution still covers them. Returns null when the substitution is
+ * missing or already reviewed.
+ */
+export function reviewSubstitution(
+  items: readonly PullItem[],
+  review: SubstitutionReview,
+): PullItem[] | null {
+  const item = items.find((it) => it.id === review.itemId)
+  const target = item?.substitutions?.find((s) => s.id === review.substitutionId)
+  if (!item || !target || target.decision !== "pending") return null
+
+  const substitutions = (item.substitutions ?? []).map((s) =>
+    s.id === target.id
+      ? {
+          ...s,
+          decision: review.decision,
+          reviewedBy: review.reviewerId,
+          reviewedAt: review.reviewedAt,
+          reviewNote: review.note?.trim() || null,
+          ...(review.appliedToShotIds && review.appliedToShotIds.length > 0
+            ? { appliedToShotIds: [...review.appliedToShotIds] }
+            : {}),
+        }
+      : s,
+  )
+
+  const live = substitutions.filter((s) => s.decision !== "rejected")
+  const sizes =
+    review.decision === "rejected"
+      ? item.sizes.map((size) =>
+          covers(target, size.size) &&
+          size.status === "substituted" &&
+          !live.some((s) => covers(s, size.size))
+            ? { ...size, status: derivedSizeStatus(size) }
+            : size,
+        )
+      : item.sizes
+
+  const nextItem: PullItem = { ...item, sizes, substitutions }
+  const reviewed = { ...nextItem, fulfillmentStatus: itemFulfillmentStatus(nextItem) }
+  return items.map((it) => (it === item ? reviewed : it))
+}
+
+// --- Shot product assignments ---
+
+export interface SubstituteProduct {
+  readonly skuId: string
+  readonly skuName: string
+  readonly colourName?: string | null
+  /** Only applied to single-size assignments. */
+  readonly size?: string | null
+}
+
+export interface SubstitutionMatch {
+  readonly familyId: string
+  readonly colourId?: string | null
+  /** Requested size being replaced; null = every size on the line. */
+  readonly forSize: string | null
+}
+
+function matchesAssignment(product: ProductAssignment, match: SubstitutionMatch): boolean {
+  if (product.familyId !== match.familyId) return false
+  if ((product.colourId ?? null) !== (match.colourId ?? null)) return false
+  if (match.forSize === null || product.sizeScope !== "single") return true
+  return product.size === match.forSize
+}
+
+function swapAssignment(product: ProductAssignment, replacement: SubstituteProduct): ProductAssignment {
+  const {
+    skuId: _skuId,
+    skuName: _skuName,
+    colourId: _colourId,
+    colourName: _colourName,
+    skuImageUrl: _skuImageUrl,
+    thumbUrl: _thumbUrl,
+    ...rest
+  } = product
+  // The old SKU image no longer applies; fall back to the family image.
+  const thumbUrl = product.familyImageUrl
+  const colourName = replacement.colourName || replacement.skuName
+  return {
+    ...rest,
+    skuId: replacement.skuId,
+    skuName: replacement.skuName,
+    // Colourways are SKUs; the assignment's colourId tracks the SKU id.
+    colourId: replacement.skuId,
+    ...(colourName ? { colourName } : {}),
+    ...(thumbUrl ? { thumbUrl } : {}),
+    ...(product.sizeScope === "single" && replacement.size ? { size: replacement.size } : {}),
+  }
+}
+
+/**
+ * Swaps the substituted product on a shot — both the shot-level list and
+ * every look. Returns null when the shot doesn't carry the original product.
+ */
+export function substituteShotProducts(
+  shot: Pick<Shot, "products" | "looks">,
+  match: SubstitutionMatch,
+  replacement: SubstituteProduct,
+): { products: ProductAssignment[]; looks?: ShotLook[] } | null {
+  let changed = false
+  const swap = (list: readonly ProductAssignment[]) =>
+    list.map((p) => {
+      if (!matchesAssignment(p, match)) return p
+      changed = true
+      return swapAssignment(p, replacement)
+    })
+
+  const products = swap(shot.products)
+  const looks = shot.looks?.map((look) => ({ ...look, products: swap(look.products) }))
+  if (!changed) return null
+  return looks ? { products, looks } : { products }
+}
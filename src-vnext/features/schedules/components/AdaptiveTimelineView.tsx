@@ -1,5 +1,5 @@
 import { useCallback, useEffect, useMemo, useRef, useState } from "react"
-import { Camera, StickyNote, Sparkles, LayoutList, BarChart2 } from "lucide-react"
+import { Camera, StickyNote, Sparkles, LayoutList, BarChart2, Wand2 } from "lucide-react"
 import { toast } from "sonner"
 import { Button } from "@/ui/button"
 import { useAuth } from "@/app/providers/AuthProvider"
@@ -17,6 +17,7 @@ import {
   computeTrackCounts,
 } from "@/features/schedules/components/AdaptiveTimelineHeader"
 import { AdaptiveUnscheduledTray } from "@/features/schedules/components/AdaptiveUnscheduledTray"
+import { OptimizeDayDialog } from "@/features/schedules/components/OptimizeDayDialog"
 import { useAdaptiveSegments } from "@/features/schedules/hooks/useAdaptiveSegments"
 import {
   addScheduleEntryCustom,
@@ -39,9 +40,11 @@ import { findTrackOverlapConflicts, type TrackOverlapConflict } from "@/features
 import { parseTimeToMinutes, formatMinutesTo12h } from "@/features/schedules/lib/time"
 import { detectScheduleGaps, type ScheduleGap } from "@/features/schedules/lib/gapDetection"
 import { detectSharedResourceConflicts } from "@/features/schedules/lib/sharedResourceConflicts"
+import { proposeDaySequence, type DaySequenceProposal } from "@/features/schedules/lib/autoSequence"
 import type { VisibleFields } from "@/features/schedules/lib/adaptiveSegments"
 import type { ProjectedScheduleRow } from "@/features/schedules/lib/projection"
 import type {
+  DayDetails,
   Schedule,
   ScheduleEntry,
   ScheduleSettings,
@@ -134,6 +137,7 @@ interface AdaptiveTimelineViewProps {
   readonly shots: readonly Shot[]
   readonly talentLookup?: readonly TalentRecord[]
   readonly talentCalls?: readonly TalentCallSheet[]
+  readonly dayDetails?: DayDetails | null
   readonly undoStack: UseUndoStackResult<UndoSnapshot>
 }
 
@@ -162,6 +166,7 @@ export function AdaptiveTimelineView({
   shots,
   talentLookup,
   talentCalls,
+  dayDetails,
   undoStack,
 }: AdaptiveTimelineViewProps) {
   const { clientId } = useAuth()
@@ -261,6 +266,23 @@ export function AdaptiveTimelineView({
     trackId: "primary",
   })
 
+  const [optimizeOpen, setOptimizeOpen] = useState(false)
+  // Solved once when the dialog opens and held, so live snapshots can't change
+  // the proposal under review before it is accepted.
+  const [sequenceProposal, setSequenceProposal] = useState<DaySequenceProposal | null>(null)
+
+  const openOptimizeDialog = useCallback(() => {
+    setSequenceProposal(
+      proposeDaySequence({ entries, shots, tracks, settings, dayDetails, talentCalls, talentLookup }),
+    )
+    setOptimizeOpen(true)
+  }, [dayDetails, entries, settings, shots, talentCalls, talentLookup, tracks])
+
+  const handleOptimizeOpenChange = useCallback((open: boolean) => {
+    setOptimizeOpen(open)
+    if (!open) setSequenceProposal(null)
+  }, [])
+
   const editEntry = editEntryId ? entries.find((e) => e.id === editEntryId) ?? null : null
 
   // Close sheet if entry disappears
@@ -512,6 +534,15 @@ export function AdaptiveTimelineView({
           <Sparkles className="mr-1.5 h-3.5 w-3.5" />
           Add Highlight
         </Button>
+        <Button
+          variant="outline"
+          size="sm"
+          onClick={openOptimizeDialog}
+          disabled={!entries.some((entry) => entry.type === "shot")}
+        >
+          <Wand2 className="mr-1.5 h-3.5 w-3.5" />
+          Optimize Day
+        </Button>
 
         {/* View mode toggle */}
         <div className="ml-auto flex items-center rounded-md border border-[var(--color-border)] bg-[var(--color-surface-subtle)] p-0.5">
@@ -741,6 +772,24 @@ export function AdaptiveTimelineView({
         }}
       />
 
+      {/* Optimize day — proposed sequence diff */}
+      <OptimizeDayDialog
+        open={optimizeOpen}
+        onOpenChange={handleOptimizeOpenChange}
+        proposal={sequenceProposal}
+        onAccept={async (patches) => {
+          if (!clientId) return false
+          try {
+            await batchUpdateScheduleEntries(clientId, projectId, scheduleId, patches)
+            toast.success("Schedule optimized.")
+            return true
+          } catch {
+            toast.error("Failed to apply the optimized schedule.")
+            return false
+          }
+        }}
+      />
+
       {/* Add custom entry dialog */}
       <AddCustomEntryDialog
         open={customDialog.open}
@@ -1,7 +1,7 @@
 import { useEffect, useMemo, useState } from "react"
 import { useNavigate, useSearchParams } from "react-router-dom"
 import { toast } from "sonner"
-import { CalendarDays, ListOrdered, ZoomIn, ZoomOut } from "lucide-react"
+import { CalendarDays, CalendarPlus, History, ListOrdered, Scale, Users, ZoomIn, ZoomOut } from "lucide-react"
 import { ErrorBoundary } from "@/shared/components/ErrorBoundary"
 import { LoadingState } from "@/shared/components/LoadingState"
 import { DetailPageSkeleton } from "@/shared/components/Skeleton"
@@ -11,11 +11,14 @@ import { useProjectScope } from "@/app/providers/ProjectScopeProvider"
 import { useEffectiveRole } from "@/shared/hooks/useEffectiveRole"
 import { EffectiveRoleChip } from "@/shared/components/EffectiveRoleChip"
 import { useIsMobile } from "@/shared/hooks/useMediaQuery"
-import { canManageSchedules } from "@/shared/lib/rbac"
+import { canManageProjects, canManageSchedules } from "@/shared/lib/rbac"
 import { useCallSheetBundle } from "@/features/schedules/hooks/useCallSheetBundle"
 import { useTalent } from "@/features/shots/hooks/usePickerData"
 import { useShots } from "@/features/shots/hooks/useShots"
 import { useCrew } from "@/features/schedules/hooks/useCrew"
+import { useProject } from "@/features/projects/hooks/useProject"
+import { updateProjectField } from "@/features/projects/lib/updateProject"
+import { scheduleDateKey, useAdjacentShootDays } from "@/features/schedules/hooks/useAdjacentShootDays"
 import { CallSheetRenderer } from "@/features/schedules/components/CallSheetRenderer"
 import { SectionOrderDialog } from "@/features/schedules/components/SectionOrderDialog"
 import { DayDetailsEditor } from "@/features/schedules/components/DayDetailsEditor"
@@ -25,6 +28,7 @@ import { CallOverridesEditor } from "@/features/schedules/components/CallOverrid
 import { CallSheetOutputControls } from "@/features/schedules/components/CallSheetOutputControls"
 import { CallSheetPrintPortal } from "@/features/schedules/components/CallSheetPrintPortal"
 import { TrustChecks } from "@/features/schedules/components/TrustChecks"
+import { ComplianceRulesDialog } from "@/features/schedules/components/ComplianceRulesDialog"
 import { OnSetViewer } from "@/features/schedules/components/OnSetViewer"
 import { DEFAULT_CALLSHEET_COLORS } from "@/features/schedules/lib/callSheetConfig"
 import { deriveDefaultCallSheetTitle } from "@/features/schedules/lib/callSheetTitle"
@@ -32,6 +36,12 @@ import { updateScheduleFields } from "@/features/schedules/lib/scheduleWrites"
 import { useUndoStack } from "@/shared/hooks/useUndoStack"
 import { useLastSaved } from "@/shared/hooks/useLastSaved"
 import { filterCrewCallsByTrack, filterTalentCallsByTrack } from "@/features/schedules/lib/trackFiltering"
+import { computeComplianceWarnings, resolveComplianceRules } from "@/features/schedules/lib/complianceChecks"
+import { downloadCallSheetIcs } from "@/features/schedules/lib/icsCalendar"
+import { useLatestCallSheetShare } from "@/features/publishing/hooks/useLatestCallSheetShare"
+import { buildChangeHighlights } from "@/features/publishing/lib/callSheetChanges"
+import { CallSheetRecipientsDialog } from "@/features/publishing/components/CallSheetRecipientsDialog"
+import type { ComplianceRules } from "@/shared/types"
 import type { UndoSnapshot } from "@/features/schedules/lib/undoSnapshots"
 import { InlineEdit } from "@/shared/components/InlineEdit"
 import { PageHeader } from "@/shared/components/PageHeader"
@@ -121,6 +131,9 @@ export default function CallSheetBuilderPage() {
   const [previewOpen, setPreviewOpen] = useState(false)
   const [printOpen, setPrintOpen] = useState(false)
   const [sectionOrderOpen, setSectionOrderOpen] = useState(false)
+  const [complianceRulesOpen, setComplianceRulesOpen] = useState(false)
+  const [showChanges, setShowChanges] = useState(true)
+  const [recipientsOpen, setRecipientsOpen] = useState(false)
   const undoStack = useUndoStack<UndoSnapshot>()
   // Drives the "Saved Xs ago" pill on the Output controls header. The
   // output writes are all routed through callSheetConfig setters from
@@ -161,6 +174,68 @@ export default function CallSheetBuilderPage() {
     return [...set].sort()
   }, [entries, shots])
 
+  // Labour-rule checks: project rules + neighbouring days for turnaround.
+  const { data: project } = useProject(projectId)
+  const storedComplianceRules = project?.complianceRules
+  const complianceRules = useMemo(
+    () => resolveComplianceRules(storedComplianceRules),
+    [storedComplianceRules],
+  )
+  const { previousDay, nextDay } = useAdjacentShootDays(clientId, projectId, schedule)
+  const scheduleDate = scheduleDateKey(schedule)
+  const compliance = useMemo(
+    () => ({
+      rules: complianceRules,
+      date: scheduleDate,
+      talentLookup: talentLibrary,
+      previousDay,
+      nextDay,
+    }),
+    [complianceRules, scheduleDate, talentLibrary, previousDay, nextDay],
+  )
+  const complianceWarnings = useMemo(
+    () =>
+      computeComplianceWarnings({
+        ...compliance,
+        entries,
+        dayDetails,
+        talentCalls,
+        crewCalls,
+        crewLibrary,
+      }),
+    [compliance, entries, dayDetails, talentCalls, crewCalls, crewLibrary],
+  )
+
+  // Highlights come from the latest publish; only its readers (admin /
+  // producer) subscribe.
+  const { share: latestShare } = useLatestCallSheetShare(
+    clientId,
+    scheduleId,
+    !roleResolving && canManageProjects(role),
+  )
+  const availableChanges = useMemo(() => {
+    if (!latestShare || latestShare.revision < 2 || latestShare.changeSummary.length === 0) return null
+    return {
+      revision: latestShare.revision,
+      summary: latestShare.changeSummary,
+      highlights: buildChangeHighlights(latestShare.changes),
+    }
+  }, [latestShare])
+  const revisionChanges = showChanges ? availableChanges : null
+
+  const handleSaveComplianceRules = async (rules: ComplianceRules): Promise<boolean> => {
+    if (!clientId) return false
+    try {
+      await updateProjectField(projectId, clientId, { complianceRules: rules })
+      toast.success("Labour rules updated")
+      return true
+    } catch (err) {
+      const message = err instanceof Error ? err.message : "Failed to update labour rules"
+      toast.error("Failed to update labour rules", { description: message })
+      return false
+    }
+  }
+
   // Mobile: render nothing while redirect fires
   if (isMobile && canManage && !isPreviewParam) return null
 
@@ -243,6 +318,22 @@ export default function CallSheetBuilderPage() {
     setPrintOpen(true)
   }
 
+  const handleCalendarExport = () => {
+    if (!schedule.date) {
+      toast.error("Set a shoot date before exporting to a calendar.")
+      return
+    }
+    downloadCallSheetIcs({
+      projectName,
+      schedule,
+      dayDetails,
+      talentCalls: exportTalentCalls,
+      crewCalls: exportCrewCalls,
+      talentLookup: talentLibrary,
+      crewLookup: crewLibrary,
+    })
+  }
+
   return (
     <ErrorBoundary>
       <CallSheetPrintPortal
@@ -259,6 +350,8 @@ export default function CallSheetBuilderPage() {
           talentLibrary,
           crewLibrary,
           config: rendererConfig,
+          complianceWarnings,
+          revisionChanges,
         }}
         readiness={{
           scheduleReady: !scheduleLoading,
@@ -321,6 +414,8 @@ export default function CallSheetBuilderPage() {
                   talentLookup={talentLibrary}
                   crewLookup={crewLibrary}
                   config={rendererConfig}
+                  complianceWarnings={complianceWarnings}
+                  revisionChanges={revisionChanges}
                 />
               </div>
             </div>
@@ -375,6 +470,49 @@ export default function CallSheetBuilderPage() {
                 <ListOrdered className="mr-1 h-3.5 w-3.5" />
                 Section Order
               </Button>
+              {canManageProjects(role) && (
+                <Button
+                  variant="outline"
+                  size="sm"
+                  aria-label="Labour rules"
+                  onClick={() => setComplianceRulesOpen(true)}
+                >
+                  <Scale className="mr-1 h-3.5 w-3.5" />
+                  Labour Rules
+                </Button>
+              )}
+              <Button
+                variant="outline"
+                size="sm"
+                aria-label="Export calendar"
+                onClick={handleCalendarExport}
+              >
+                <CalendarPlus className="mr-1 h-3.5 w-3.5" />
+                Calendar
+              </Button>
+              {availableChanges && (
+                <Button
+                  variant={showChanges ? "secondary" : "outline"}
+                  size="sm"
+                  aria-label="Show changes since last version"
+                  aria-pressed={showChanges}
+                  onClick={() => setShowChanges((prev) => !prev)}
+                >
+                  <History className="mr-1 h-3.5 w-3.5" />
+                  Changes
+                </Button>
+              )}
+              {latestShare && (
+                <Button
+                  variant="outline"
+                  size="sm"
+                  aria-label="Recipients"
+                  onClick={() => setRecipientsOpen(true)}
+                >
+                  <Users className="mr-1 h-3.5 w-3.5" />
+                  Recipients
+                </Button>
+              )}
               <Button
                 variant="outline"
                 size="sm"
@@ -402,6 +540,21 @@ export default function CallSheetBuilderPage() {
             }}
           />
 
+          <ComplianceRulesDialog
+            open={complianceRulesOpen}
+            onOpenChange={setComplianceRulesOpen}
+            rules={complianceRules}
+            onSave={handleSaveComplianceRules}
+          />
+
+          {latestShare && (
+            <CallSheetRecipientsDialog
+              open={recipientsOpen}
+              onOpenChange={setRecipientsOpen}
+              share={latestShare}
+            />
+          )}
+
           <Sheet open={previewOpen} onOpenChange={setPreviewOpen}>
             <SheetContent
               side="right"
@@ -454,6 +607,8 @@ export default function CallSheetBuilderPage() {
                         talentLookup={talentLibrary}
                         crewLookup={crewLibrary}
                         config={rendererConfig}
+                        complianceWarnings={complianceWarnings}
+                        revisionChanges={revisionChanges}
                       />
                     </div>
                   </div>
@@ -486,6 +641,7 @@ export default function CallSheetBuilderPage() {
                 shots={shots}
                 talentLookup={talentLibrary}
                 talentCalls={talentCalls}
+                dayDetails={dayDetails}
                 undoStack={undoStack}
               />
 
@@ -572,6 +728,7 @@ export default function CallSheetBuilderPage() {
                 talentCalls={talentCalls}
                 crewCalls={crewCalls}
                 crewLibrary={crewLibrary}
+                compliance={compliance}
               />
             </div>
           </div>
@@ -17,6 +17,8 @@ interface CallSheetCastTableProps {
   readonly talentLookup: readonly TalentRecord[]
   readonly dayDetails: DayDetails | null
   readonly fieldConfig?: CallSheetSectionFieldConfig
+  /** Talent ids changed since the last published revision. */
+  readonly changedTalentIds?: ReadonlySet<string>
 }
 
 /** Default pixel width when container measurement is unavailable. */
@@ -45,6 +47,7 @@ export function CallSheetCastTable({
   talentLookup,
   dayDetails,
   fieldConfig,
+  changedTalentIds,
 }: CallSheetCastTableProps) {
   const talentMap = useMemo(() => {
     const map = new Map<string, TalentRecord>()
@@ -180,7 +183,12 @@ export function CallSheetCastTable({
             }
 
             return (
-              <tr key={tc.id} className={`${isEven ? "callsheet-row-even" : "callsheet-row-odd"} data-[active-row]:bg-[var(--color-primary)]/5`}>
+              <tr
+                key={tc.id}
+                className={`${isEven ? "callsheet-row-even" : "callsheet-row-odd"} ${
+                  changedTalentIds?.has(tc.talentId) ? "callsheet-row-changed" : ""
+                } data-[active-row]:bg-[var(--color-primary)]/5`}
+              >
                 {visibleFields.map((field) => cellValues[field.key] ?? <td key={field.key}>{"\u2014"}</td>)}
               </tr>
             )
@@ -15,6 +15,8 @@ interface CallSheetDeptGridProps {
   readonly crewLookup: readonly CrewRecord[]
   readonly dayDetails: DayDetails | null
   readonly fieldConfig?: CallSheetSectionFieldConfig
+  /** Crew member ids changed since the last published revision. */
+  readonly changedCrewIds?: ReadonlySet<string>
 }
 
 interface DeptGroup {
@@ -24,6 +26,7 @@ interface DeptGroup {
 
 interface DeptMember {
   readonly id: string
+  readonly crewMemberId: string
   readonly name: string
   readonly position: string
   readonly callTime: string
@@ -61,6 +64,7 @@ function groupByDepartment(
       ...existing,
       {
         id: cc.id,
+        crewMemberId: cc.crewMemberId,
         name,
         position,
         callTime,
@@ -83,9 +87,11 @@ function groupByDepartment(
 function DeptBlock({
   group,
   visibleFields,
+  changedCrewIds,
 }: {
   readonly group: DeptGroup
   readonly visibleFields: readonly CallSheetFieldConfig[]
+  readonly changedCrewIds?: ReadonlySet<string>
 }) {
   return (
     <div className="callsheet-dept-block">
@@ -130,7 +136,12 @@ function DeptBlock({
             }
 
             return (
-              <tr key={member.id} className={idx % 2 === 1 ? "callsheet-row-even" : "callsheet-row-odd"}>
+              <tr
+                key={member.id}
+                className={`${idx % 2 === 1 ? "callsheet-row-even" : "callsheet-row-odd"} ${
+                  changedCrewIds?.has(member.crewMemberId) ? "callsheet-row-changed" : ""
+                }`}
+              >
                 {visibleFields.map((field) => cellValues[field.key] ?? <td key={field.key}>{"\u2014"}</td>)}
               </tr>
             )
@@ -150,6 +161,7 @@ export function CallSheetDeptGrid({
   crewLookup,
   dayDetails,
   fieldConfig,
+  changedCrewIds,
 }: CallSheetDeptGridProps) {
   const config = fieldConfig ?? DEFAULT_CREW_SECTION
 
@@ -186,6 +198,7 @@ export function CallSheetDeptGrid({
           key={group.department}
           group={group}
           visibleFields={visibleFields}
+          changedCrewIds={changedCrewIds}
         />
       ))}
     </div>
@@ -5,6 +5,8 @@ import { CallSheetRenderer } from "@/features/schedules/components/CallSheetRend
 import type {
   CallSheetConfig,
 } from "@/features/schedules/components/CallSheetRenderer"
+import type { CallSheetRevisionChanges } from "@/features/publishing/lib/callSheetChanges"
+import type { ComplianceWarning } from "@/features/schedules/lib/complianceChecks"
 import type {
   Schedule,
   DayDetails,
@@ -138,6 +140,8 @@ function PrintApp({
             talentLookup={data.talentLibrary}
             crewLookup={data.crewLibrary}
             config={data.config}
+            complianceWarnings={data.complianceWarnings}
+            revisionChanges={data.revisionChanges}
           />
         </div>
       </div>
@@ -156,6 +160,8 @@ export interface CallSheetPrintData {
   readonly talentLibrary: readonly TalentRecord[]
   readonly crewLibrary: readonly CrewRecord[]
   readonly config: CallSheetConfig
+  readonly complianceWarnings?: readonly ComplianceWarning[]
+  readonly revisionChanges?: CallSheetRevisionChanges | null
 }
 
 export interface CallSheetPrintReadiness {
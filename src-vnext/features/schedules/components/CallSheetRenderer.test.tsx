@@ -285,4 +285,52 @@ describe("CallSheetRenderer", () => {
     expect(screen.queryByText("Photo Lane")).not.toBeInTheDocument()
     expect(screen.queryByText("Video Lane")).not.toBeInTheDocument()
   })
+
+  it("leads with a revision summary and highlights changed rows", () => {
+    const { container } = render(
+      <CallSheetRenderer
+        schedule={buildSchedule()}
+        dayDetails={null}
+        entries={[
+          { id: "entry-1", type: "shot", title: "Moved Shot", startTime: "09:00", order: 0 },
+          { id: "entry-2", type: "shot", title: "Same Shot", startTime: "11:00", order: 1 },
+        ]}
+        shots={[]}
+        talentCalls={[
+          { id: "tc-1", talentId: "t1", callTime: "09:00" },
+          { id: "tc-2", talentId: "t2", callTime: "10:00" },
+        ]}
+        crewCalls={[]}
+        talentLookup={[
+          { id: "t1", name: "Ava Reed" },
+          { id: "t2", name: "Ben Ode" },
+        ] as never}
+        crewLookup={[]}
+        config={{ sections: { header: false } }}
+        revisionChanges={{
+          revision: 3,
+          summary: ["Ava Reed call: 8:00 AM → 9:00 AM", "Schedule changed: Moved Shot"],
+          highlights: {
+            generalCall: false,
+            talentIds: new Set(["t1"]),
+            crewIds: new Set(),
+            locationIds: new Set(),
+            entryIds: new Set(["entry-1"]),
+          },
+        }}
+      />,
+    )
+
+    const changes = screen.getByTestId("callsheet-changes")
+    expect(changes).toHaveTextContent("Changes in Revision 3")
+    expect(changes).toHaveTextContent("Ava Reed call: 8:00 AM → 9:00 AM")
+
+    const changedRows = container.querySelectorAll("tr.callsheet-row-changed")
+    expect(changedRows).toHaveLength(1)
+    expect(changedRows[0]).toHaveTextContent("Ava Reed")
+
+    const changedBlocks = container.querySelectorAll(".callsheet-block.callsheet-changed")
+    expect(changedBlocks).toHaveLength(1)
+    expect(changedBlocks[0]).toHaveTextContent("Moved Shot")
+  })
 })
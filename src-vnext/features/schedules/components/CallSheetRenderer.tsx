@@ -9,6 +9,8 @@ import { CallSheetDeptGrid } from "@/features/schedules/components/CallSheetDept
 import { CallSheetPageHeader } from "@/features/schedules/components/CallSheetPageHeader"
 import { compareLocationsByRole } from "@/features/schedules/lib/locationRoles"
 import type { CallSheetSectionFieldConfig } from "@/features/schedules/lib/fieldConfig"
+import type { ComplianceWarning } from "@/features/schedules/lib/complianceChecks"
+import type { CallSheetRevisionChanges } from "@/features/publishing/lib/callSheetChanges"
 import type {
   Schedule,
   DayDetails,
@@ -83,6 +85,13 @@ export interface CallSheetRendererProps {
   readonly talentLookup?: readonly TalentRecord[]
   readonly crewLookup?: readonly CrewRecord[]
   readonly config?: CallSheetConfig
+  /** Labour-rule warnings; printed after the sections when non-empty. */
+  readonly complianceWarnings?: readonly ComplianceWarning[]
+  /**
+   * Diff against the previous published revision. When set, a summary block
+   * leads the sheet and changed rows are highlighted.
+   */
+  readonly revisionChanges?: CallSheetRevisionChanges | null
 }
 
 // --- Defaults ---
@@ -120,13 +129,21 @@ function formatDate(date: Schedule["date"]): string {
   }
 }
 
-function TimeField({ label, value }: { readonly label: string; readonly value: string | null | undefined }) {
+function TimeField({
+  label,
+  value,
+  changed = false,
+}: {
+  readonly label: string
+  readonly value: string | null | undefined
+  readonly changed?: boolean
+}) {
   if (!value) return null
   const formatted = formatHHMMTo12h(value)
   const display = formatted || value
   if (!display) return null
   return (
-    <div className="flex items-baseline gap-2">
+    <div className={`flex items-baseline gap-2 ${changed ? "callsheet-changed" : ""}`}>
       <span className="text-xs font-medium uppercase tracking-wide text-[var(--color-text-muted)]">
         {label}
       </span>
@@ -164,11 +181,13 @@ function RendererEntryRow({
   shot,
   fields,
   talentNames,
+  changed = false,
 }: {
   readonly entry: ScheduleEntry
   readonly shot: Shot | null
   readonly fields: Required<ScheduleBlockFields>
   readonly talentNames: readonly string[]
+  readonly changed?: boolean
 }) {
   const isRhythm = RHYTHM_TYPES.has(entry.type)
   const isHighlight = entry.type !== "shot" && !!entry.highlight
@@ -177,7 +196,7 @@ function RendererEntryRow({
 
   if (isRhythm) {
     return (
-      <div className="callsheet-block flex items-start gap-3 border-b border-amber-100 bg-amber-50/40 px-2 py-1.5 last:border-b-0">
+      <div className={`callsheet-block flex items-start gap-3 border-b border-amber-100 bg-amber-50/40 px-2 py-1.5 last:border-b-0 ${changed ? "callsheet-changed" : ""}`}>
         {timeLabel && (
           <div className="w-16 shrink-0 space-y-0.5">
             <p className="font-mono text-xs font-semibold leading-tight tabular-nums text-[var(--color-text)]">
@@ -228,7 +247,7 @@ function RendererEntryRow({
     <div
       className={`callsheet-block flex flex-col gap-1 border-b border-[var(--color-border)] py-2 last:border-b-0 ${
         isHighlight ? "rounded px-2" : ""
-      }`}
+      } ${changed ? "callsheet-changed" : ""}`}
       style={highlightStyle}
     >
       <div className="flex items-start gap-3">
@@ -329,6 +348,8 @@ export function CallSheetRenderer({
   talentLookup,
   crewLookup,
   config,
+  complianceWarnings,
+  revisionChanges,
 }: CallSheetRendererProps) {
   const sections = { ...DEFAULT_SECTIONS, ...config?.sections }
   const scheduleFields = { ...DEFAULT_SCHEDULE_FIELDS, ...config?.scheduleBlockFields }
@@ -375,6 +396,7 @@ export function CallSheetRenderer({
   }, [entries, schedule?.tracks])
 
   const headerLayout = config?.headerLayout ?? "legacy"
+  const highlights = revisionChanges?.highlights ?? null
 
   if (!schedule) {
     return null
@@ -422,7 +444,7 @@ export function CallSheetRenderer({
         <div key="dayDetails" className="flex flex-col gap-3">
           <div className="callsheet-section-label">Day Details</div>
           <div className="grid grid-cols-2 gap-x-6 gap-y-2">
-            <TimeField label="Crew Call" value={dayDetails.crewCallTime} />
+            <TimeField label="Crew Call" value={dayDetails.crewCallTime} changed={highlights?.generalCall ?? false} />
             <TimeField label="Shooting Call" value={dayDetails.shootingCallTime} />
             <TimeField label="Estimated Wrap" value={dayDetails.estimatedWrap} />
             <TimeField label="Breakfast" value={dayDetails.breakfastTime} />
@@ -438,7 +460,15 @@ export function CallSheetRenderer({
           {dayDetails.locations && dayDetails.locations.length > 0 && (
             <div className="flex flex-col gap-1 text-xs text-[var(--color-text-muted)]">
               {dayDetails.locations.slice().sort(compareLocationsByRole).map((loc) => (
-                <p key={loc.id}>
+                <p
+                  key={loc.id}
+                  className={
+                    highlights?.locationIds.has(loc.id) ||
+                    (loc.ref?.locationId != null && highlights?.locationIds.has(loc.ref.locationId))
+                      ? "callsheet-changed"
+                      : undefined
+                  }
+                >
                   <span className="font-semibold uppercase tracking-wide" style={{ color: "var(--doc-accent,#2563eb)" }}>{loc.title}</span>{" "}
                   {loc.ref?.label ?? loc.ref?.locationId ?? ""}
                 </p>
@@ -462,7 +492,7 @@ export function CallSheetRenderer({
                 const shot = entry.shotId ? (shotMap.get(entry.shotId) ?? null) : null
                 const talentIds = shot?.talentIds && shot.talentIds.length > 0 ? shot.talentIds : (shot?.talent ?? [])
                 const talentNames = entry.type === "shot" && shot ? talentIds.map((id) => talentMap.get(id)?.name ?? id).filter(Boolean) : []
-                return <RendererEntryRow key={entry.id} entry={entry} shot={shot} fields={scheduleFields} talentNames={talentNames} />
+                return <RendererEntryRow key={entry.id} entry={entry} shot={shot} fields={scheduleFields} talentNames={talentNames} changed={highlights?.entryIds.has(entry.id) ?? false} />
               })}
             </div>
           )}
@@ -477,7 +507,7 @@ export function CallSheetRenderer({
             {fieldConfigs?.cast?.title ?? "Cast"}
             {talentCalls && talentCalls.length > 0 && <span className="callsheet-section-label-meta">{talentCalls.length} Talent</span>}
           </div>
-          <CallSheetCastTable talentCalls={talentCalls ?? []} talentLookup={talentLookup ?? []} dayDetails={dayDetails} fieldConfig={fieldConfigs?.cast} />
+          <CallSheetCastTable talentCalls={talentCalls ?? []} talentLookup={talentLookup ?? []} dayDetails={dayDetails} fieldConfig={fieldConfigs?.cast} changedTalentIds={highlights?.talentIds} />
         </div>
       ) : null,
 
@@ -492,7 +522,7 @@ export function CallSheetRenderer({
             {fieldConfigs?.crew?.title ?? "Crew"}
             {crewCalls && crewCalls.length > 0 && <span className="callsheet-section-label-meta">{crewCalls.length} Members</span>}
           </div>
-          <CallSheetDeptGrid crewCalls={crewCalls ?? []} crewLookup={crewLookup ?? []} dayDetails={dayDetails} fieldConfig={fieldConfigs?.crew} />
+          <CallSheetDeptGrid crewCalls={crewCalls ?? []} crewLookup={crewLookup ?? []} dayDetails={dayDetails} fieldConfig={fieldConfigs?.crew} changedCrewIds={highlights?.crewIds} />
         </div>
       ) : null,
 
@@ -515,8 +545,30 @@ export function CallSheetRenderer({
         ...(text ? ({ ["--color-doc-ink" as string]: text } as CSSProperties) : {}),
       }}
     >
+      {revisionChanges && revisionChanges.summary.length > 0 && (
+        <div className="callsheet-changes flex flex-col gap-1" data-testid="callsheet-changes">
+          <div className="callsheet-section-label">Changes in Revision {revisionChanges.revision}</div>
+          <ul className="flex flex-col gap-0.5 text-xs text-[var(--color-text)]">
+            {revisionChanges.summary.map((line, idx) => (
+              <li key={idx}>{line}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+
       {sectionOrder.map((key) => sectionRenderers[key]())}
 
+      {complianceWarnings && complianceWarnings.length > 0 && (
+        <div className="flex flex-col gap-1" data-testid="callsheet-compliance">
+          <div className="callsheet-section-label">Labour Notes</div>
+          <ul className="flex flex-col gap-0.5 text-xs text-[var(--color-text)]">
+            {complianceWarnings.map((w) => (
+              <li key={w.id}>{w.message}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+
       <div className="callsheet-page-footer-left" aria-hidden="true">
         {resolvedProjectName} &mdash; Call Sheet &mdash; Confidential
       </div>
@@ -0,0 +1,145 @@
+import { useEffect, useState } from "react"
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/ui/dialog"
+import { Button } from "@/ui/button"
+import { Input } from "@/ui/input"
+import { Label } from "@/ui/label"
+import { Switch } from "@/ui/switch"
+import type { ComplianceRules } from "@/shared/types"
+
+interface ComplianceRulesDialogProps {
+  readonly open: boolean
+  readonly onOpenChange: (open: boolean) => void
+  readonly rules: ComplianceRules
+  /** Resolves true once written; the dialog stays open on false. */
+  readonly onSave: (rules: ComplianceRules) => Promise<boolean>
+}
+
+type NumericRuleKey = Exclude<keyof ComplianceRules, "enabled">
+
+const NUMERIC_FIELDS: ReadonlyArray<{
+  readonly key: NumericRuleKey
+  readonly label: string
+  readonly unit: string
+}> = [
+  { key: "firstMealWithinHours", label: "First meal within", unit: "hours of crew call" },
+  { key: "secondMealWithinHours", label: "Second meal within", unit: "hours of first meal" },
+  { key: "mealBreakMinutes", label: "Meal break length", unit: "minutes" },
+  { key: "minTurnaroundHours", label: "Minimum turnaround", unit: "hours between days" },
+  { key: "overtimeAfterHours", label: "Overtime after", unit: "hours from crew call" },
+]
+
+type Draft = Record<NumericRuleKey, string>
+
+function toDraft(rules: ComplianceRules): Draft {
+  return {
+    firstMealWithinHours: String(rules.firstMealWithinHours),
+    secondMealWithinHours: String(rules.secondMealWithinHours),
+    mealBreakMinutes: String(rules.mealBreakMinutes),
+    minTurnaroundHours: String(rules.minTurnaroundHours),
+    overtimeAfterHours: String(rules.overtimeAfterHours),
+  }
+}
+
+function parsePositive(value: string): number | null {
+  const n = Number(value)
+  return Number.isFinite(n) && n > 0 ? n : null
+}
+
+export function ComplianceRulesDialog({ open, onOpenChange, rules, onSave }: ComplianceRulesDialogProps) {
+  const [enabled, setEnabled] = useState(rules.enabled)
+  const [draft, setDraft] = useState<Draft>(() => toDraft(rules))
+  const [saving, setSaving] = useState(false)
+
+  useEffect(() => {
+    if (!open) return
+    setEnabled(rules.enabled)
+    setDraft(toDraft(rules))
+  }, [open, rules])
+
+  const invalidKeys = NUMERIC_FIELDS.filter((f) => parsePositive(draft[f.key]) == null).map((f) => f.key)
+
+  async function handleSave() {
+    if (invalidKeys.length > 0) return
+    setSaving(true)
+    try {
+      const next: ComplianceRules = {
+        enabled,
+        firstMealWithinHours: parsePositive(draft.firstMealWithinHours)!,
+        secondMealWithinHours: parsePositive(draft.secondMealWithinHours)!,
+        mealBreakMinutes: parsePositive(draft.mealBreakMinutes)!,
+        minTurnaroundHours: parsePositive(draft.minTurnaroundHours)!,
+        overtimeAfterHours: parsePositive(draft.overtimeAfterHours)!,
+      }
+      if (await onSave(next)) onOpenChange(false)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-md">
+        <DialogHeader>
+          <DialogTitle>Labour Rules</DialogTitle>
+          <DialogDescription>
+            Meal, turnaround and overtime limits checked on every call sheet in this project.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="flex flex-col gap-4">
+          <div className="flex items-center justify-between gap-3">
+            <Label htmlFor="compliance-enabled">Check labour rules</Label>
+            <Switch
+              id="compliance-enabled"
+              checked={enabled}
+              onCheckedChange={setEnabled}
+              disabled={saving}
+            />
+          </div>
+
+          {NUMERIC_FIELDS.map((field) => {
+            const invalid = invalidKeys.includes(field.key)
+            return (
+              <div key={field.key} className="flex flex-col gap-1.5">
+                <Label htmlFor={`compliance-${field.key}`}>{field.label}</Label>
+                <div className="flex items-center gap-2">
+                  <Input
+                    id={`compliance-${field.key}`}
+                    type="number"
+                    min={0}
+                    step="0.5"
+                    className="w-24"
+                    value={draft[field.key]}
+                    onChange={(e) => setDraft((prev) => ({ ...prev, [field.key]: e.target.value }))}
+                    disabled={saving || !enabled}
+                    aria-invalid={invalid}
+                  />
+                  <span className="text-xs text-[var(--color-text-muted)]">{field.unit}</span>
+                </div>
+                {invalid && (
+                  <p className="text-xs text-[var(--color-error)]">Enter a number greater than zero.</p>
+                )}
+              </div>
+            )
+          })}
+        </div>
+
+        <DialogFooter>
+          <Button variant="outline" onClick={() => onOpenChange(false)} disabled={saving}>
+            Cancel
+          </Button>
+          <Button onClick={() => void handleSave()} disabled={saving || invalidKeys.length > 0}>
+            {saving ? "Saving…" : "Save"}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  )
+}
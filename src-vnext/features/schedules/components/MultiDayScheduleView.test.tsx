@@ -0,0 +1,124 @@
+import { describe, expect, it, vi } from "vitest"
+import { fireEvent, render, screen } from "@testing-library/react"
+import { MultiDayScheduleView } from "@/features/schedules/components/MultiDayScheduleView"
+import type { Schedule, ScheduleEntry, Shot } from "@/shared/types"
+
+function makeSchedule(id: string, overrides: Partial<Schedule> = {}): Schedule {
+  return {
+    id,
+    projectId: "p1",
+    name: id === "day-1" ? "Day 1" : "Day 2",
+    date: null,
+    createdAt: null as never,
+    updatedAt: null as never,
+    ...overrides,
+  }
+}
+
+function makeEntry(id: string, overrides: Partial<ScheduleEntry> = {}): ScheduleEntry {
+  return { id, type: "shot", title: id, order: 0, trackId: "primary", ...overrides }
+}
+
+const schedules = [
+  makeSchedule("day-1"),
+  makeSchedule("day-2", {
+    tracks: [
+      { id: "primary", name: "A Unit", order: 0 },
+      { id: "b", name: "B Unit", order: 1 },
+    ],
+  }),
+]
+
+const entriesBySchedule = new Map<string, readonly ScheduleEntry[]>([
+  [
+    "day-1",
+    [
+      makeEntry("hero", { shotId: "s1", order: 0, startTime: "08:00" }),
+      makeEntry("detail", { shotId: "s2", order: 1, startTime: "08:30" }),
+    ],
+  ],
+  ["day-2", [makeEntry("wide", { shotId: "s3", order: 0 }), makeEntry("pack", { trackId: "b", order: 0 })]],
+])
+
+const shots = [
+  { id: "s1", talent: ["t1"], locationId: "studio" },
+  { id: "s2", talent: ["t1", "t2"], locationId: "studio" },
+  { id: "s3", talent: [], locationId: "beach" },
+] as unknown as Shot[]
+
+function renderView(overrides: Partial<Parameters<typeof MultiDayScheduleView>[0]> = {}) {
+  const props = {
+    schedules,
+    entriesBySchedule,
+    shots,
+    canManage: true,
+    onOpenDay: vi.fn(),
+    onMoveEntry: vi.fn(),
+    ...overrides,
+  }
+  render(<MultiDayScheduleView {...props} />)
+  return props
+}
+
+describe("MultiDayScheduleView", () => {
+  it("shows every day's tracks side by side with per-day totals", () => {
+    renderView()
+
+    expect(screen.getByTestId("day-day-1-totals")).toHaveTextContent("2 shots · 2 talent · 1 location")
+    expect(screen.getByTestId("day-day-2-totals")).toHaveTextContent("1 shot · 0 talent · 1 location")
+    expect(screen.getByText("A Unit")).toBeInTheDocument()
+    expect(screen.getByText("B Unit")).toBeInTheDocument()
+    expect(screen.getByTestId("day-day-2-track-b")).toHaveTextContent("pack")
+  })
+
+  it("moves an entry onto another day before the entry it is dropped on", () => {
+    const { onMoveEntry } = renderView()
+
+    fireEvent.dragStart(screen.getByTestId("multiday-entry-detail"))
+    fireEvent.dragOver(screen.getByTestId("multiday-entry-wide"))
+    fireEvent.drop(screen.getByTestId("multiday-entry-wide"))
+
+    expect(onMoveEntry).toHaveBeenCalledWith({
+      entryId: "detail",
+      fromScheduleId: "day-1",
+      toScheduleId: "day-2",
+      toTrackId: "primary",
+      insertIndex: 0,
+    })
+  })
+
+  it("appends when dropped below a track's entries", () => {
+    const { onMoveEntry } = renderView()
+
+    fireEvent.dragStart(screen.getByTestId("multiday-entry-hero"))
+    fireEvent.drop(screen.getByTestId("day-day-2-track-b-end"))
+
+    expect(onMoveEntry).toHaveBeenCalledWith(
+      expect.objectContaining({ entryId: "hero", toScheduleId: "day-2", toTrackId: "b", insertIndex: 1 }),
+    )
+  })
+
+  it("ignores drops back onto the same slot", () => {
+    const { onMoveEntry } = renderView()
+
+    fireEvent.dragStart(screen.getByTestId("multiday-entry-hero"))
+    fireEvent.drop(screen.getByTestId("multiday-entry-detail"))
+
+    expect(onMoveEntry).not.toHaveBeenCalled()
+  })
+
+  it("is read-only without manage rights", () => {
+    renderView({ canManage: false })
+
+    expect(screen.getByTestId("multiday-entry-hero")).toHaveAttribute("draggable", "false")
+    expect(screen.queryByTestId("day-day-1-track-primary-end")).not.toBeInTheDocument()
+  })
+
+  it("opens a day from its header", () => {
+    const { onOpenDay } = renderView()
+
+    fireEvent.click(screen.getByRole("button", { name: /Day 2/ }))
+
+    expect(onOpenDay).toHaveBeenCalledWith(schedules[1])
+  })
+})
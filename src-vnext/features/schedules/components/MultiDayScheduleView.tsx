@@ -0,0 +1,216 @@
+import { useMemo, useRef, useState, type DragEvent } from "react"
+import { Calendar, GripVertical } from "lucide-react"
+import { formatHHMMTo12h } from "@/features/schedules/lib/time"
+import {
+  computeDayTotals,
+  entriesForTrack,
+  scheduleTracks,
+} from "@/features/schedules/lib/multiDay"
+import type { Schedule, ScheduleEntry, ScheduleTrack, Shot } from "@/shared/types"
+
+export interface EntryMove {
+  readonly entryId: string
+  readonly fromScheduleId: string
+  readonly toScheduleId: string
+  readonly toTrackId: string
+  readonly insertIndex: number
+}
+
+interface MultiDayScheduleViewProps {
+  /** Days in display order. */
+  readonly schedules: readonly Schedule[]
+  readonly entriesBySchedule: ReadonlyMap<string, readonly ScheduleEntry[]>
+  readonly shots: readonly Shot[]
+  readonly canManage: boolean
+  readonly onOpenDay: (schedule: Schedule) => void
+  readonly onMoveEntry: (move: EntryMove) => void
+}
+
+interface DragSource {
+  readonly entryId: string
+  readonly scheduleId: string
+  readonly trackId: string
+  readonly index: number
+}
+
+function formatDayDate(date: Schedule["date"]): string {
+  if (!date) return "No date"
+  try {
+    return date.toDate().toLocaleDateString(undefined, {
+      weekday: "short",
+      month: "short",
+      day: "numeric",
+    })
+  } catch {
+    return "Invalid date"
+  }
+}
+
+function plural(count: number, noun: string): string {
+  return `${count} ${noun}${count === 1 ? "" : "s"}`
+}
+
+const NON_SHOT_LABELS: Record<string, string> = {
+  setup: "Setup",
+  break: "Break",
+  move: "Move",
+}
+
+export function MultiDayScheduleView({
+  schedules,
+  entriesBySchedule,
+  shots,
+  canManage,
+  onOpenDay,
+  onMoveEntry,
+}: MultiDayScheduleViewProps) {
+  const dragSource = useRef<DragSource | null>(null)
+  const [dropTarget, setDropTarget] = useState<string | null>(null)
+
+  const shotsById = useMemo(() => new Map(shots.map((s) => [s.id, s])), [shots])
+
+  function handleDragStart(e: DragEvent, source: DragSource) {
+    dragSource.current = source
+    e.dataTransfer?.setData("text/plain", source.entryId)
+    if (e.dataTransfer) e.dataTransfer.effectAllowed = "move"
+  }
+
+  function handleDragOver(e: DragEvent, targetKey: string) {
+    if (!dragSource.current) return
+    e.preventDefault()
+    if (e.dataTransfer) e.dataTransfer.dropEffect = "move"
+    if (dropTarget !== targetKey) setDropTarget(targetKey)
+  }
+
+  function handleDrop(e: DragEvent, scheduleId: string, trackId: string, insertIndex: number) {
+    e.preventDefault()
+    e.stopPropagation()
+    const source = dragSource.current
+    dragSource.current = null
+    setDropTarget(null)
+    if (!source) return
+    // Indices are taken with the dragged entry still in place; within its own
+    // track everything below it shifts up once it is lifted out.
+    const sameTrack = source.scheduleId === scheduleId && source.trackId === trackId
+    const index = sameTrack && source.index < insertIndex ? insertIndex - 1 : insertIndex
+    if (sameTrack && index === source.index) return
+    onMoveEntry({
+      entryId: source.entryId,
+      fromScheduleId: source.scheduleId,
+      toScheduleId: scheduleId,
+      toTrackId: trackId,
+      insertIndex: index,
+    })
+  }
+
+  function handleDragEnd() {
+    dragSource.current = null
+    setDropTarget(null)
+  }
+
+  function renderTrack(schedule: Schedule, track: ScheduleTrack, tracks: readonly ScheduleTrack[], showName: boolean) {
+    const entries = entriesForTrack(entriesBySchedule.get(schedule.id) ?? [], tracks, track.id)
+    const endKey = `${schedule.id}:${track.id}:end`
+
+    return (
+      <div
+        key={track.id}
+        className="flex min-w-[11rem] flex-1 flex-col gap-1"
+        data-testid={`day-${schedule.id}-track-${track.id}`}
+      >
+        {showName && (
+          <div className="truncate text-3xs font-semibold uppercase tracking-wider text-[var(--color-text-subtle)]">
+            {track.name}
+          </div>
+        )}
+        {entries.map((entry, index) => {
+          const key = `${schedule.id}:${entry.id}`
+          const shot = entry.shotId ? shotsById.get(entry.shotId) : undefined
+          const typeLabel = entry.type === "shot" ? null : NON_SHOT_LABELS[entry.type] ?? null
+          return (
+            <div
+              key={entry.id}
+              draggable={canManage}
+              onDragStart={(e) =>
+                handleDragStart(e, { entryId: entry.id, scheduleId: schedule.id, trackId: track.id, index })
+              }
+              onDragEnd={handleDragEnd}
+              onDragOver={canManage ? (e) => handleDragOver(e, key) : undefined}
+              onDrop={canManage ? (e) => handleDrop(e, schedule.id, track.id, index) : undefined}
+              className={[
+                "flex items-center gap-1.5 rounded border bg-[var(--color-surface)] px-2 py-1 text-xs",
+                dropTarget === key
+                  ? "border-t-2 border-[var(--color-primary)]"
+                  : "border-[var(--color-border)]",
+                canManage ? "cursor-grab" : "",
+              ].join(" ")}
+              data-testid={`multiday-entry-${entry.id}`}
+            >
+              {canManage && <GripVertical className="h-3 w-3 shrink-0 text-[var(--color-text-subtle)]" />}
+              <span className="w-14 shrink-0 tabular-nums text-[var(--color-text-muted)]">
+                {entry.startTime ? formatHHMMTo12h(entry.startTime) : "—"}
+              </span>
+              <span className="min-w-0 flex-1 truncate text-[var(--color-text)]">
+                {shot?.shotNumber ? `${shot.shotNumber} · ` : ""}
+                {entry.title || shot?.title || "Untitled"}
+              </span>
+              {typeLabel && (
+                <span className="shrink-0 text-3xs uppercase text-[var(--color-text-subtle)]">{typeLabel}</span>
+              )}
+            </div>
+          )
+        })}
+        {canManage && (
+          <div
+            onDragOver={(e) => handleDragOver(e, endKey)}
+            onDrop={(e) => handleDrop(e, schedule.id, track.id, entries.length)}
+            className={[
+              "min-h-8 flex-1 rounded border border-dashed",
+              dropTarget === endKey
+                ? "border-[var(--color-primary)] bg-[var(--color-primary-subtle)]"
+                : "border-transparent",
+            ].join(" ")}
+            data-testid={`day-${schedule.id}-track-${track.id}-end`}
+          />
+        )}
+        {!canManage && entries.length === 0 && (
+          <p className="py-2 text-xs text-[var(--color-text-subtle)]">No entries.</p>
+        )}
+      </div>
+    )
+  }
+
+  return (
+    <div className="flex gap-3 overflow-x-auto pb-2" data-testid="multi-day-view">
+      {schedules.map((schedule) => {
+        const tracks = scheduleTracks(schedule)
+        const totals = computeDayTotals(entriesBySchedule.get(schedule.id) ?? [], shotsById)
+        return (
+          <section
+            key={schedule.id}
+            className="flex shrink-0 flex-col gap-2 rounded-md border border-[var(--color-border)] bg-[var(--color-surface-subtle)] p-2"
+            aria-label={schedule.name}
+          >
+            <button
+              type="button"
+              className="flex flex-col items-start rounded px-1 text-left hover:bg-[var(--color-surface)]"
+              onClick={() => onOpenDay(schedule)}
+            >
+              <span className="truncate text-sm font-medium text-[var(--color-text)]">{schedule.name}</span>
+              <span className="flex items-center gap-1 text-xs text-[var(--color-text-muted)]">
+                <Calendar className="h-3 w-3" />
+                {formatDayDate(schedule.date)}
+              </span>
+            </button>
+            <p className="px-1 text-xxs text-[var(--color-text-muted)]" data-testid={`day-${schedule.id}-totals`}>
+              {plural(totals.shots, "shot")} · {totals.talent} talent · {plural(totals.locations, "location")}
+            </p>
+            <div className="flex flex-1 gap-2">
+              {tracks.map((track) => renderTrack(schedule, track, tracks, tracks.length > 1))}
+            </div>
+          </section>
+        )
+      })}
+    </div>
+  )
+}
@@ -0,0 +1,85 @@
+import { describe, expect, it, vi } from "vitest"
+import { render, screen, waitFor } from "@testing-library/react"
+import userEvent from "@testing-library/user-event"
+import { OptimizeDayDialog } from "@/features/schedules/components/OptimizeDayDialog"
+import type { DaySequenceProposal } from "@/features/schedules/lib/autoSequence"
+
+const proposal: DaySequenceProposal = {
+  tracks: [
+    {
+      trackId: "primary",
+      trackName: "Primary",
+      before: [],
+      after: [
+        { entryId: "a", title: "Studio hero", startTime: "08:00", kind: "unchanged", previousPosition: 1 },
+        { entryId: "c", title: "Studio detail", startTime: "08:30", kind: "moved", previousPosition: 3 },
+        { entryId: "brk", title: "Break", startTime: "09:00", kind: "fixed", previousPosition: null },
+        { entryId: "d", title: "Beach wide", startTime: "09:30", kind: "scheduled", previousPosition: null },
+      ],
+      beforeCost: { locationMoves: 3, wardrobeChanges: 2 },
+      afterCost: { locationMoves: 1, wardrobeChanges: 2 },
+    },
+  ],
+  patches: [{ entryId: "c", patch: { order: 1, startTime: "08:30" } }],
+  warnings: [{ kind: "past-wrap", trackId: "primary", entryId: "d", message: "Primary runs past the estimated wrap." }],
+}
+
+describe("OptimizeDayDialog", () => {
+  it("shows the proposed order with changeover deltas and warnings", () => {
+    render(<OptimizeDayDialog open onOpenChange={vi.fn()} proposal={proposal} onAccept={vi.fn()} />)
+
+    expect(screen.getByText("Studio detail")).toBeInTheDocument()
+    expect(screen.getByText("Was #3")).toBeInTheDocument()
+    expect(screen.getByText("Fixed")).toBeInTheDocument()
+    expect(screen.getByText("From tray")).toBeInTheDocument()
+    expect(screen.getByText("Location moves")).toBeInTheDocument()
+    expect(screen.getByText("Primary runs past the estimated wrap.")).toBeInTheDocument()
+  })
+
+  it("applies the patches and closes on accept", async () => {
+    const onAccept = vi.fn().mockResolvedValue(true)
+    const onOpenChange = vi.fn()
+    render(<OptimizeDayDialog open onOpenChange={onOpenChange} proposal={proposal} onAccept={onAccept} />)
+
+    await userEvent.click(screen.getByRole("button", { name: "Accept" }))
+
+    expect(onAccept).toHaveBeenCalledWith(proposal.patches)
+    await waitFor(() => expect(onOpenChange).toHaveBeenCalledWith(false))
+  })
+
+  it("stays open when applying fails", async () => {
+    const onAccept = vi.fn().mockResolvedValue(false)
+    const onOpenChange = vi.fn()
+    render(<OptimizeDayDialog open onOpenChange={onOpenChange} proposal={proposal} onAccept={onAccept} />)
+
+    await userEvent.click(screen.getByRole("button", { name: "Accept" }))
+
+    await waitFor(() => expect(screen.getByRole("button", { name: "Accept" })).not.toBeDisabled())
+    expect(onOpenChange).not.toHaveBeenCalled()
+  })
+
+  it("rejects without writing", async () => {
+    const onAccept = vi.fn()
+    const onOpenChange = vi.fn()
+    render(<OptimizeDayDialog open onOpenChange={onOpenChange} proposal={proposal} onAccept={onAccept} />)
+
+    await userEvent.click(screen.getByRole("button", { name: "Reject" }))
+
+    expect(onOpenChange).toHaveBeenCalledWith(false)
+    expect(onAccept).not.toHaveBeenCalled()
+  })
+
+  it("reports when there is nothing to change", () => {
+    render(
+      <OptimizeDayDialog
+        open
+        onOpenChange={vi.fn()}
+        proposal={{ ...proposal, patches: [], warnings: [] }}
+        onAccept={vi.fn()}
+      />,
+    )
+
+    expect(screen.getByText(/already in the best order/)).toBeInTheDocument()
+    expect(screen.queryByRole("button", { name: "Accept" })).not.toBeInTheDocument()
+  })
+})
@@ -0,0 +1,176 @@
+import { useState } from "react"
+import { AlertTriangle, ArrowRight } from "lucide-react"
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/ui/dialog"
+import { Button } from "@/ui/button"
+import { formatHHMMTo12h } from "@/features/schedules/lib/time"
+import type {
+  DaySequenceProposal,
+  ProposedSlot,
+  SequenceCost,
+  TrackSequenceProposal,
+} from "@/features/schedules/lib/autoSequence"
+import type { EntryPatch } from "@/features/schedules/lib/cascade"
+
+interface OptimizeDayDialogProps {
+  readonly open: boolean
+  readonly onOpenChange: (open: boolean) => void
+  readonly proposal: DaySequenceProposal | null
+  /** Resolves true once written; the dialog stays open on false. */
+  readonly onAccept: (patches: readonly EntryPatch[]) => Promise<boolean>
+}
+
+function slotBadge(slot: ProposedSlot): string | null {
+  switch (slot.kind) {
+    case "fixed":
+      return "Fixed"
+    case "moved":
+      return slot.previousPosition != null ? `Was #${slot.previousPosition}` : "Moved"
+    case "retimed":
+      return "New time"
+    case "scheduled":
+      return "From tray"
+    case "unchanged":
+      return null
+  }
+}
+
+function CostDelta({ label, before, after }: { readonly label: string; readonly before: number; readonly after: number }) {
+  const improved = after < before
+  return (
+    <span className="flex items-center gap-1">
+      {label}
+      <span className="tabular-nums">{before}</span>
+      <ArrowRight className="h-3 w-3" />
+      <span
+        className={[
+          "tabular-nums font-semibold",
+          improved ? "text-[var(--color-success)]" : "text-[var(--color-text)]",
+        ].join(" ")}
+      >
+        {after}
+      </span>
+    </span>
+  )
+}
+
+function CostSummary({ before, after }: { readonly before: SequenceCost; readonly after: SequenceCost }) {
+  return (
+    <div className="flex flex-wrap items-center gap-x-4 gap-y-1 text-xxs text-[var(--color-text-muted)]">
+      <CostDelta label="Location moves" before={before.locationMoves} after={after.locationMoves} />
+      <CostDelta label="Wardrobe changes" before={before.wardrobeChanges} after={after.wardrobeChanges} />
+    </div>
+  )
+}
+
+function TrackDiff({ track, showName }: { readonly track: TrackSequenceProposal; readonly showName: boolean }) {
+  return (
+    <section className="flex flex-col gap-2" data-testid={`optimize-track-${track.trackId}`}>
+      {showName && (
+        <h3 className="text-xs font-semibold text-[var(--color-text)]">{track.trackName}</h3>
+      )}
+      <CostSummary before={track.beforeCost} after={track.afterCost} />
+      <ol className="flex flex-col divide-y divide-[var(--color-border)] rounded-md border border-[var(--color-border)]">
+        {track.after.map((slot, index) => {
+          const badge = slotBadge(slot)
+          const changed = slot.kind !== "unchanged" && slot.kind !== "fixed"
+          return (
+            <li
+              key={slot.entryId}
+              className={[
+                "flex items-center gap-3 px-3 py-1.5 text-xs",
+                changed ? "bg-[var(--color-primary-subtle)]" : "",
+              ].join(" ")}
+            >
+              <span className="w-5 text-right text-3xs tabular-nums text-[var(--color-text-subtle)]">
+                {index + 1}
+              </span>
+              <span className="w-16 shrink-0 tabular-nums text-[var(--color-text-muted)]">
+                {slot.startTime ? formatHHMMTo12h(slot.startTime) : "—"}
+              </span>
+              <span className="min-w-0 flex-1 truncate text-[var(--color-text)]">{slot.title}</span>
+              {badge && (
+                <span className="shrink-0 rounded bg-[var(--color-surface-subtle)] px-1.5 py-0.5 text-3xs font-medium text-[var(--color-text-muted)]">
+                  {badge}
+                </span>
+              )}
+            </li>
+          )
+        })}
+      </ol>
+    </section>
+  )
+}
+
+export function OptimizeDayDialog({ open, onOpenChange, proposal, onAccept }: OptimizeDayDialogProps) {
+  const [saving, setSaving] = useState(false)
+  const patches = proposal?.patches ?? []
+  const tracks = proposal?.tracks ?? []
+  const warnings = proposal?.warnings ?? []
+
+  async function handleAccept() {
+    setSaving(true)
+    try {
+      if (await onAccept(patches)) onOpenChange(false)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-xl">
+        <DialogHeader>
+          <DialogTitle>Optimize Day</DialogTitle>
+          <DialogDescription>
+            Proposed running order that keeps locations and outfits together. Timed breaks, meals and talent call
+            windows are respected.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="flex max-h-[60vh] flex-col gap-4 overflow-y-auto">
+          {tracks.length === 0 ? (
+            <p className="text-sm text-[var(--color-text-muted)]">There are no shots to sequence yet.</p>
+          ) : patches.length === 0 ? (
+            <p className="text-sm text-[var(--color-text-muted)]">
+              This day is already in the best order found — nothing to change.
+            </p>
+          ) : (
+            tracks.map((track) => <TrackDiff key={track.trackId} track={track} showName={tracks.length > 1} />)
+          )}
+
+          {warnings.length > 0 && (
+            <div className="flex flex-col gap-1 rounded-md border border-[var(--color-warning)] bg-[var(--color-warning)]/5 px-3 py-2">
+              {warnings.map((warning) => (
+                <p
+                  key={`${warning.kind}-${warning.entryId}-${warning.message}`}
+                  className="flex items-start gap-1.5 text-xxs text-[var(--color-text)]"
+                >
+                  <AlertTriangle className="mt-0.5 h-3 w-3 shrink-0 text-[var(--color-warning)]" />
+                  {warning.message}
+                </p>
+              ))}
+            </div>
+          )}
+        </div>
+
+        <DialogFooter>
+          <Button variant="outline" onClick={() => onOpenChange(false)} disabled={saving}>
+            {patches.length === 0 ? "Close" : "Reject"}
+          </Button>
+          {patches.length > 0 && (
+            <Button onClick={() => void handleAccept()} disabled={saving}>
+              {saving ? "Applying…" : "Accept"}
+            </Button>
+          )}
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  )
+}
@@ -1,4 +1,4 @@
-import { useState } from "react"
+import { useMemo, useState } from "react"
 import { useNavigate } from "react-router-dom"
 import { toast } from "sonner"
 import { PageHeader } from "@/shared/components/PageHeader"
@@ -8,19 +8,113 @@ import { ListPageSkeleton } from "@/shared/components/Skeleton"
 import { ErrorBoundary } from "@/shared/components/ErrorBoundary"
 import { ConfirmDialog } from "@/shared/components/ConfirmDialog"
 import { useSchedules } from "@/features/schedules/hooks/useSchedules"
-import { deleteSchedule } from "@/features/schedules/lib/scheduleWrites"
+import {
+  batchUpdateScheduleEntries,
+  deleteSchedule,
+  moveScheduleEntryToSchedule,
+} from "@/features/schedules/lib/scheduleWrites"
+import {
+  buildCascadeMoveBetweenDaysPatches,
+  buildCascadeMoveBetweenTracksPatches,
+} from "@/features/schedules/lib/cascade"
+import { sortSchedulesByDate } from "@/features/schedules/lib/multiDay"
+import { useMultiDayEntries } from "@/features/schedules/hooks/useMultiDayEntries"
+import { useShots } from "@/features/shots/hooks/useShots"
 import { ScheduleCard } from "@/features/schedules/components/ScheduleCard"
 import { CreateScheduleDialog } from "@/features/schedules/components/CreateScheduleDialog"
 import { EditScheduleDialog } from "@/features/schedules/components/EditScheduleDialog"
+import {
+  MultiDayScheduleView,
+  type EntryMove,
+} from "@/features/schedules/components/MultiDayScheduleView"
 import { useAuth } from "@/app/providers/AuthProvider"
 import { useProjectScope } from "@/app/providers/ProjectScopeProvider"
 import { useEffectiveRole } from "@/shared/hooks/useEffectiveRole"
 import { EffectiveRoleChip } from "@/shared/components/EffectiveRoleChip"
 import { canManageSchedules, isAdmin } from "@/shared/lib/rbac"
 import { Button } from "@/ui/button"
-import { CalendarDays, Plus } from "lucide-react"
+import { CalendarDays, CalendarRange, LayoutGrid, Plus } from "lucide-react"
 import type { Schedule } from "@/shared/types"
 
+/**
+ * All shoot days side by side. Owns the per-day entry subscriptions so they
+ * only run while this view is showing.
+ */
+function MultiDayBoard({
+  clientId,
+  projectId,
+  schedules,
+  canManage,
+  onOpenDay,
+}: {
+  readonly clientId: string | null
+  readonly projectId: string
+  readonly schedules: readonly Schedule[]
+  readonly canManage: boolean
+  readonly onOpenDay: (schedule: Schedule) => void
+}) {
+  const orderedSchedules = useMemo(() => sortSchedulesByDate(schedules), [schedules])
+  const dayIds = useMemo(() => orderedSchedules.map((s) => s.id), [orderedSchedules])
+  const { entriesBySchedule } = useMultiDayEntries(clientId, projectId, dayIds)
+  const { data: shots } = useShots()
+
+  const handleMoveEntry = async (move: EntryMove) => {
+    if (!clientId || !canManage) return
+    const from = schedules.find((s) => s.id === move.fromScheduleId)
+    const to = schedules.find((s) => s.id === move.toScheduleId)
+    const sourceEntries = entriesBySchedule.get(move.fromScheduleId) ?? []
+    const entry = sourceEntries.find((e) => e.id === move.entryId)
+    if (!from || !to || !entry) return
+
+    try {
+      if (from.id === to.id) {
+        const patches = buildCascadeMoveBetweenTracksPatches({
+          entries: sourceEntries,
+          fromTrackId: entry.trackId ?? "primary",
+          toTrackId: move.toTrackId,
+          entryId: entry.id,
+          insertIndex: move.insertIndex,
+          settings: from.settings,
+        })
+        await batchUpdateScheduleEntries(clientId, projectId, from.id, patches)
+        return
+      }
+
+      const plan = buildCascadeMoveBetweenDaysPatches({
+        sourceEntries,
+        targetEntries: entriesBySchedule.get(to.id) ?? [],
+        entryId: entry.id,
+        toTrackId: move.toTrackId,
+        insertIndex: move.insertIndex,
+        sourceSettings: from.settings,
+        targetSettings: to.settings,
+      })
+      if (!plan) return
+      await moveScheduleEntryToSchedule(clientId, projectId, {
+        fromScheduleId: from.id,
+        toScheduleId: to.id,
+        entry,
+        plan,
+        shotDate: to.date,
+      })
+      toast.success(`Moved "${entry.title || "entry"}" to ${to.name}`)
+    } catch (err) {
+      toast.error(err instanceof Error ? err.message : "Failed to move entry")
+    }
+  }
+
+  return (
+    <MultiDayScheduleView
+      schedules={orderedSchedules}
+      entriesBySchedule={entriesBySchedule}
+      shots={shots}
+      canManage={canManage}
+      onOpenDay={onOpenDay}
+      onMoveEntry={(move) => void handleMoveEntry(move)}
+    />
+  )
+}
+
 export default function ScheduleListPage() {
   const { clientId } = useAuth()
   // 5b effective role: the project members doc WINS over the global claim
@@ -47,6 +141,7 @@ export default function ScheduleListPage() {
   const [createOpen, setCreateOpen] = useState(false)
   const [deleteTarget, setDeleteTarget] = useState<Schedule | null>(null)
   const [editTarget, setEditTarget] = useState<Schedule | null>(null)
+  const [view, setView] = useState<"cards" | "days">("cards")
 
   const handleCreated = (scheduleId: string) => {
     navigate(`/projects/${projectId}/callsheet?scheduleId=${scheduleId}`)
@@ -64,6 +159,11 @@ export default function ScheduleListPage() {
     }
   }
 
+  const handleOpenDay = (schedule: Schedule) => {
+    const previewSuffix = canManage ? "" : "&preview=1"
+    navigate(`/projects/${projectId}/callsheet?scheduleId=${schedule.id}${previewSuffix}`)
+  }
+
   if (loading) return <LoadingState loading skeleton={<ListPageSkeleton />} />
 
   if (error) {
@@ -81,6 +181,28 @@ export default function ScheduleListPage() {
         actions={
           <div className="flex items-center gap-2">
             <EffectiveRoleChip />
+            {schedules.length > 0 && (
+              <div className="flex items-center gap-1">
+                <Button
+                  variant={view === "cards" ? "secondary" : "ghost"}
+                  size="sm"
+                  aria-pressed={view === "cards"}
+                  onClick={() => setView("cards")}
+                >
+                  <LayoutGrid className="mr-1 h-3.5 w-3.5" />
+                  Cards
+                </Button>
+                <Button
+                  variant={view === "days" ? "secondary" : "ghost"}
+                  size="sm"
+                  aria-pressed={view === "days"}
+                  onClick={() => setView("days")}
+                >
+                  <CalendarRange className="mr-1 h-3.5 w-3.5" />
+                  All Days
+                </Button>
+              </div>
+            )}
             {canManage && (
               <Button onClick={() => setCreateOpen(true)}>
                 <Plus className="mr-2 h-4 w-4" />
@@ -99,6 +221,14 @@ export default function ScheduleListPage() {
           actionLabel={canManage ? "Create Call Sheet" : undefined}
           onAction={canManage ? () => setCreateOpen(true) : undefined}
         />
+      ) : view === "days" ? (
+        <MultiDayBoard
+          clientId={clientId}
+          projectId={projectId}
+          schedules={schedules}
+          canManage={canManage}
+          onOpenDay={handleOpenDay}
+        />
       ) : (
         <div className="grid gap-3 sm:grid-cols-2 lg:grid-cols-3">
           {schedules.map((schedule) => (
@@ -1,6 +1,6 @@
 import { useMemo } from "react"
 import { Info } from "lucide-react"
-import { computeTrustWarnings } from "@/features/schedules/lib/trustChecks"
+import { computeTrustWarnings, type TrustCheckInput } from "@/features/schedules/lib/trustChecks"
 import type {
   Schedule,
   ScheduleEntry,
@@ -18,6 +18,7 @@ interface TrustChecksProps {
   readonly talentCalls: readonly TalentCallSheet[]
   readonly crewCalls: readonly CrewCallSheet[]
   readonly crewLibrary: readonly CrewRecord[]
+  readonly compliance?: TrustCheckInput["compliance"]
 }
 
 export function TrustChecks({
@@ -28,6 +29,7 @@ export function TrustChecks({
   talentCalls,
   crewCalls,
   crewLibrary,
+  compliance,
 }: TrustChecksProps) {
   const warnings = useMemo(
     () =>
@@ -39,8 +41,9 @@ export function TrustChecks({
         talentCalls,
         crewCalls,
         crewLibrary,
+        compliance,
       }),
-    [schedule, participatingTalentIds, entries, dayDetails, talentCalls, crewCalls, crewLibrary],
+    [schedule, participatingTalentIds, entries, dayDetails, talentCalls, crewCalls, crewLibrary, compliance],
   )
 
   if (warnings.length === 0) return null
@@ -122,6 +122,20 @@ vi.mock("@/features/schedules/hooks/useCrew", () => ({
   useCrew: () => ({ data: [], loading: false, error: null }),
 }))
 
+vi.mock("@/features/projects/hooks/useProject", () => ({
+  useProject: () => ({ data: null, loading: false, error: null }),
+}))
+
+vi.mock("@/features/schedules/hooks/useAdjacentShootDays", async () => {
+  const actual = await vi.importActual<
+    typeof import("@/features/schedules/hooks/useAdjacentShootDays")
+  >("@/features/schedules/hooks/useAdjacentShootDays")
+  return {
+    ...actual,
+    useAdjacentShootDays: () => ({ previousDay: null, nextDay: null }),
+  }
+})
+
 // --- Heavyweight child mocks (stub to simple markers) ---
 
 vi.mock("@/features/schedules/components/CallSheetRenderer", async () => {
@@ -234,6 +248,34 @@ vi.mock("@/shared/components/PageHeader", () => ({
   PageHeader: ({ title }: { readonly title: React.ReactNode }) => <h1>{title}</h1>,
 }))
 
+const downloadCallSheetIcsMock = vi.fn()
+
+vi.mock("@/features/schedules/lib/icsCalendar", () => ({
+  downloadCallSheetIcs: (...args: unknown[]) => downloadCallSheetIcsMock(...args),
+}))
+
+const latestShareState = vi.hoisted(() => ({
+  share: null as null | {
+    id: string
+    revision: number
+    changes: unknown[]
+    changeSummary: string[]
+  },
+}))
+const useLatestCallSheetShareMock = vi.fn()
+
+vi.mock("@/features/publishing/hooks/useLatestCallSheetShare", () => ({
+  useLatestCallSheetShare: (...args: unknown[]) => {
+    useLatestCallSheetShareMock(...args)
+    return { share: latestShareState.share, loading: false, error: null }
+  },
+}))
+
+vi.mock("@/features/publishing/components/CallSheetRecipientsDialog", () => ({
+  CallSheetRecipientsDialog: ({ open, share }: { readonly open: boolean; readonly share: { id: string } }) =>
+    open ? <div role="dialog" aria-label="Recipients">{share.id}</div> : null,
+}))
+
 vi.mock("sonner", () => ({
   toast: {
     info: vi.fn(),
@@ -262,6 +304,7 @@ function renderPage() {
 beforeEach(() => {
   effectiveState.role = null
   effectiveState.resolving = false
+  latestShareState.share = null
 })
 
 describe("CallSheetBuilderPage — Section Order wiring", () => {
@@ -311,6 +354,73 @@ describe("CallSheetBuilderPage — Section Order wiring", () => {
   })
 })
 
+describe("CallSheetBuilderPage — calendar export", () => {
+  it("downloads an .ics for the day from the header", async () => {
+    downloadCallSheetIcsMock.mockClear()
+    const user = userEvent.setup()
+    renderPage()
+
+    await user.click(screen.getByRole("button", { name: /export calendar/i }))
+
+    expect(downloadCallSheetIcsMock).toHaveBeenCalledTimes(1)
+    expect(downloadCallSheetIcsMock).toHaveBeenCalledWith(
+      expect.objectContaining({ schedule: mockSchedule, dayDetails: mockDayDetails }),
+    )
+  })
+})
+
+describe("CallSheetBuilderPage — revision changes", () => {
+  it("hides the Changes toggle until a republished revision has changes", () => {
+    latestShareState.share = { id: "share-1", revision: 1, changes: [], changeSummary: [] }
+    renderPage()
+
+    expect(
+      screen.queryByRole("button", { name: /show changes since last version/i }),
+    ).not.toBeInTheDocument()
+    expect(useLatestCallSheetShareMock).toHaveBeenLastCalledWith("client-1", "sched-1", true)
+  })
+
+  it("toggles change highlights for a later revision", async () => {
+    latestShareState.share = {
+      id: "share-2",
+      revision: 2,
+      changes: [{ kind: "talentCall", id: "t1", label: "Ava", from: "08:00", to: "09:00" }],
+      changeSummary: ["Ava call: 8:00 AM → 9:00 AM"],
+    }
+    const user = userEvent.setup()
+    renderPage()
+
+    const toggle = screen.getByRole("button", { name: /show changes since last version/i })
+    expect(toggle).toHaveAttribute("aria-pressed", "true")
+    await user.click(toggle)
+    expect(toggle).toHaveAttribute("aria-pressed", "false")
+  })
+
+  it("does not subscribe to shares for roles that cannot read them", () => {
+    effectiveState.role = "viewer"
+    renderPage()
+
+    expect(useLatestCallSheetShareMock).toHaveBeenLastCalledWith("client-1", "sched-1", false)
+  })
+})
+
+describe("CallSheetBuilderPage — recipients dashboard", () => {
+  it("hides the Recipients button until the day has been published", () => {
+    renderPage()
+
+    expect(screen.queryByRole("button", { name: /^recipients$/i })).not.toBeInTheDocument()
+  })
+
+  it("opens the dashboard for the latest publish", async () => {
+    latestShareState.share = { id: "share-3", revision: 1, changes: [], changeSummary: [] }
+    const user = userEvent.setup()
+    renderPage()
+
+    await user.click(screen.getByRole("button", { name: /^recipients$/i }))
+    expect(screen.getByRole("dialog", { name: /recipients/i })).toHaveTextContent("share-3")
+  })
+})
+
 describe("CallSheetBuilderPage — effective role wiring (5b)", () => {
   it("renders the builder when the effective role mirrors the global producer claim", () => {
     renderPage()
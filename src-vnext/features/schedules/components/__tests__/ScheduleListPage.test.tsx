@@ -1,5 +1,6 @@
 import { describe, expect, it, vi, beforeEach } from "vitest"
 import { render, screen } from "@testing-library/react"
+import userEvent from "@testing-library/user-event"
 import { MemoryRouter } from "react-router-dom"
 import type React from "react"
 import ScheduleListPage from "@/features/schedules/components/ScheduleListPage"
@@ -57,8 +58,22 @@ vi.mock("@/features/schedules/lib/scheduleWrites", () => ({
   deleteSchedule: vi.fn().mockResolvedValue(undefined),
 }))
 
+vi.mock("@/features/schedules/hooks/useMultiDayEntries", () => ({
+  useMultiDayEntries: () => ({ entriesBySchedule: new Map(), loading: false }),
+}))
+
+vi.mock("@/features/shots/hooks/useShots", () => ({
+  useShots: () => ({ data: [], loading: false, error: null }),
+}))
+
 // --- Child component stubs ---
 
+vi.mock("@/features/schedules/components/MultiDayScheduleView", () => ({
+  MultiDayScheduleView: ({ canManage }: { readonly canManage: boolean }) => (
+    <div data-testid="multi-day-view" data-can-manage={String(canManage)} />
+  ),
+}))
+
 vi.mock("@/features/schedules/components/ScheduleCard", () => ({
   ScheduleCard: ({
     canManage,
@@ -223,3 +238,20 @@ describe("ScheduleListPage — effective role wiring (5b)", () => {
     )
   })
 })
+
+describe("ScheduleListPage — all days view", () => {
+  beforeEach(() => {
+    effectiveState.role = null
+    effectiveState.resolving = false
+  })
+
+  it("switches from cards to the multi-day view", async () => {
+    renderPage()
+    expect(screen.queryByTestId("multi-day-view")).not.toBeInTheDocument()
+
+    await userEvent.click(screen.getByRole("button", { name: /all days/i }))
+
+    expect(screen.getByTestId("multi-day-view")).toHaveAttribute("data-can-manage", "true")
+    expect(screen.queryByTestId("schedule-card")).not.toBeInTheDocument()
+  })
+})
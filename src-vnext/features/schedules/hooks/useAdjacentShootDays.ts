@@ -0,0 +1,74 @@
+import { useMemo } from "react"
+import { useSchedules } from "@/features/schedules/hooks/useSchedules"
+import { useScheduleDayDetails } from "@/features/schedules/hooks/useScheduleDayDetails"
+import { useScheduleTalentCalls } from "@/features/schedules/hooks/useScheduleTalentCalls"
+import { useScheduleCrewCalls } from "@/features/schedules/hooks/useScheduleCrewCalls"
+import type { AdjacentShootDay } from "@/features/schedules/lib/complianceChecks"
+import type { Schedule } from "@/shared/types"
+
+/** Schedule date as YYYY-MM-DD (UTC, matching project shoot dates). */
+export function scheduleDateKey(schedule: Pick<Schedule, "date"> | null | undefined): string | null {
+  try {
+    const d = schedule?.date?.toDate()
+    if (!d || Number.isNaN(d.getTime())) return null
+    return d.toISOString().slice(0, 10)
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Closest earlier and later shoot day in the project, by schedule date.
+ * Same-date schedules are other units of this day, not neighbours.
+ */
+export function findAdjacentSchedules(
+  schedules: readonly Schedule[],
+  current: Schedule | null,
+): { readonly previous: Schedule | null; readonly next: Schedule | null } {
+  const currentKey = scheduleDateKey(current)
+  if (!currentKey) return { previous: null, next: null }
+
+  let previous: { schedule: Schedule; key: string } | null = null
+  let next: { schedule: Schedule; key: string } | null = null
+  for (const schedule of schedules) {
+    if (schedule.id === current?.id) continue
+    const key = scheduleDateKey(schedule)
+    if (!key || key === currentKey) continue
+    if (key < currentKey && (!previous || key > previous.key)) previous = { schedule, key }
+    if (key > currentKey && (!next || key < next.key)) next = { schedule, key }
+  }
+  return { previous: previous?.schedule ?? null, next: next?.schedule ?? null }
+}
+
+function useShootDay(
+  clientId: string | null,
+  projectId: string,
+  schedule: Schedule | null,
+): AdjacentShootDay | null {
+  const scheduleId = schedule?.id ?? null
+  const { data: dayDetails } = useScheduleDayDetails(clientId, projectId, scheduleId)
+  const { data: talentCalls } = useScheduleTalentCalls(clientId, projectId, scheduleId)
+  const { data: crewCalls } = useScheduleCrewCalls(clientId, projectId, scheduleId)
+  const date = scheduleDateKey(schedule)
+
+  return useMemo(
+    () => (date ? { date, dayDetails, talentCalls, crewCalls } : null),
+    [date, dayDetails, talentCalls, crewCalls],
+  )
+}
+
+/** Neighbouring shoot days' calls for turnaround checks on `schedule`. */
+export function useAdjacentShootDays(
+  clientId: string | null,
+  projectId: string,
+  schedule: Schedule | null,
+): { readonly previousDay: AdjacentShootDay | null; readonly nextDay: AdjacentShootDay | null } {
+  const { data: schedules } = useSchedules(clientId, projectId)
+  const { previous, next } = useMemo(
+    () => findAdjacentSchedules(schedules, schedule),
+    [schedules, schedule],
+  )
+  const previousDay = useShootDay(clientId, projectId, previous)
+  const nextDay = useShootDay(clientId, projectId, next)
+  return { previousDay, nextDay }
+}
@@ -0,0 +1,68 @@
+import { useEffect, useMemo, useState } from "react"
+import { collection, onSnapshot, orderBy, query, type Unsubscribe } from "firebase/firestore"
+import { db } from "@/shared/lib/firebase"
+import { scheduleEntriesPath } from "@/shared/lib/paths"
+import { mapScheduleEntry } from "@/features/schedules/lib/mapSchedule"
+import type { ScheduleEntry } from "@/shared/types"
+
+const EMPTY: ReadonlyMap<string, readonly ScheduleEntry[]> = new Map()
+
+/**
+ * Fan-out subscription to the entries of several schedules at once, for the
+ * multi-day view. Keyed by schedule id; a day appears once its first
+ * snapshot arrives.
+ */
+export function useMultiDayEntries(
+  clientId: string | null,
+  projectId: string,
+  scheduleIds: readonly string[],
+): {
+  readonly entriesBySchedule: ReadonlyMap<string, readonly ScheduleEntry[]>
+  readonly loading: boolean
+} {
+  const [entriesBySchedule, setEntriesBySchedule] = useState(EMPTY)
+  const [loading, setLoading] = useState(true)
+  // Stable dependency for the id list regardless of caller array identity.
+  const idsKey = useMemo(() => [...scheduleIds].sort().join("|"), [scheduleIds])
+
+  useEffect(() => {
+    const ids = idsKey ? idsKey.split("|") : []
+    if (!clientId || ids.length === 0) {
+      setEntriesBySchedule(EMPTY)
+      setLoading(false)
+      return
+    }
+
+    setLoading(true)
+    const pending = new Set(ids)
+    const accum = new Map<string, readonly ScheduleEntry[]>()
+    const unsubs: Unsubscribe[] = []
+
+    for (const scheduleId of ids) {
+      const segments = scheduleEntriesPath(projectId, scheduleId, clientId)
+      const q = query(collection(db, segments[0]!, ...segments.slice(1)), orderBy("order", "asc"))
+      unsubs.push(
+        onSnapshot(
+          q,
+          (snap) => {
+            accum.set(scheduleId, snap.docs.map((d) => mapScheduleEntry(d.id, d.data())))
+            pending.delete(scheduleId)
+            setEntriesBySchedule(new Map(accum))
+            if (pending.size === 0) setLoading(false)
+          },
+          (err) => {
+            console.error(`[useMultiDayEntries] entries error (schedule ${scheduleId}):`, err)
+            pending.delete(scheduleId)
+            if (pending.size === 0) setLoading(false)
+          },
+        ),
+      )
+    }
+
+    return () => {
+      for (const unsub of unsubs) unsub()
+    }
+  }, [clientId, projectId, idsKey])
+
+  return { entriesBySchedule, loading }
+}
@@ -0,0 +1,260 @@
+import { describe, it, expect } from "vitest"
+import { countChangeovers, proposeDaySequence } from "./autoSequence"
+import type { DayDetails, ScheduleEntry, ScheduleSettings, Shot, TalentCallSheet } from "@/shared/types"
+
+const settings: ScheduleSettings = {
+  cascadeChanges: true,
+  dayStartTime: "06:00",
+  defaultEntryDurationMinutes: 15,
+}
+
+function makeEntry(overrides: Partial<ScheduleEntry> = {}): ScheduleEntry {
+  return {
+    id: "e1",
+    type: "shot",
+    title: "Entry",
+    order: 0,
+    trackId: "primary",
+    startTime: null,
+    duration: 30,
+    ...overrides,
+  }
+}
+
+function makeShot(id: string, overrides: Partial<Shot> = {}): Shot {
+  return {
+    id,
+    title: id,
+    projectId: "p1",
+    clientId: "c1",
+    status: "todo",
+    talent: [],
+    products: [],
+    sortOrder: 0,
+    date: null,
+    deleted: false,
+    createdAt: null,
+    updatedAt: null,
+    createdBy: "u1",
+    ...overrides,
+  } as unknown as Shot
+}
+
+function outfit(familyId: string) {
+  return [{ familyId, familyName: familyId }]
+}
+
+function makeDay(overrides: Partial<DayDetails> = {}): DayDetails {
+  return {
+    id: "d1",
+    scheduleId: "s1",
+    crewCallTime: "07:00",
+    shootingCallTime: "08:00",
+    estimatedWrap: "18:00",
+    ...overrides,
+  }
+}
+
+function shotEntry(id: string, order: number, startTime: string | null = null, trackId = "primary") {
+  return makeEntry({ id, shotId: id, title: id, order, startTime, trackId })
+}
+
+function afterIds(proposal: ReturnType<typeof proposeDaySequence>, trackId = "primary") {
+  return proposal.tracks.find((t) => t.trackId === trackId)?.after.map((s) => s.entryId) ?? []
+}
+
+describe("countChangeovers", () => {
+  it("ignores shots without a location or outfit", () => {
+    const cost = countChangeovers([
+      { locationId: "studio", wardrobeKey: "a", talentIds: ["t1"] },
+      { locationId: null, wardrobeKey: null, talentIds: ["t1"] },
+      { locationId: "studio", wardrobeKey: "a", talentIds: ["t1"] },
+      { locationId: "beach", wardrobeKey: "b", talentIds: ["t1"] },
+    ])
+    expect(cost).toEqual({ locationMoves: 1, wardrobeChanges: 1 })
+  })
+})
+
+describe("proposeDaySequence", () => {
+  it("groups shots by location to remove company moves", () => {
+    const shots = [
+      makeShot("a", { locationId: "studio" }),
+      makeShot("b", { locationId: "beach" }),
+      makeShot("c", { locationId: "studio" }),
+      makeShot("d", { locationId: "beach" }),
+    ]
+    const entries = [shotEntry("a", 0, "08:00"), shotEntry("b", 1, "08:30"), shotEntry("c", 2, "09:00"), shotEntry("d", 3, "09:30")]
+
+    const proposal = proposeDaySequence({ entries, shots, settings })
+    const track = proposal.tracks[0]!
+
+    expect(track.beforeCost.locationMoves).toBe(3)
+    expect(track.afterCost.locationMoves).toBe(1)
+    expect(afterIds(proposal)).toEqual(["a", "c", "b", "d"])
+    expect(track.after.map((s) => s.startTime)).toEqual(["08:00", "08:30", "09:00", "09:30"])
+  })
+
+  it("stops the local search at its candidate budget on a long day", () => {
+    const locations = ["studio", "beach", "loft", "park", "roof", "pier"]
+    const shots = Array.from({ length: 120 }, (_, i) => makeShot(`s${i}`, { locationId: locations[i % 6] }))
+    const entries = shots.map((shot, i) => shotEntry(shot.id, i))
+
+    // With no search budget the location-grouped seed order is still proposed.
+    const proposal = proposeDaySequence({ entries, shots, settings, maxCandidates: 0 })
+    const track = proposal.tracks[0]!
+
+    expect(track.after).toHaveLength(120)
+    expect(new Set(afterIds(proposal)).size).toBe(120)
+    expect(track.beforeCost.locationMoves).toBe(119)
+    expect(track.afterCost.locationMoves).toBe(5)
+  })
+
+  it("groups talent outfits to cut wardrobe changes", () => {
+    const shots = [
+      makeShot("a", { talent: ["t1"], products: outfit("red") }),
+      makeShot("b", { talent: ["t1"], products: outfit("blue") }),
+      makeShot("c", { talent: ["t1"], products: outfit("red") }),
+    ]
+    const entries = [shotEntry("a", 0, "08:00"), shotEntry("b", 1, "08:30"), shotEntry("c", 2, "09:00")]
+
+    const proposal = proposeDaySequence({ entries, shots, settings })
+    const track = proposal.tracks[0]!
+
+    expect(track.beforeCost.wardrobeChanges).toBe(2)
+    expect(track.afterCost.wardrobeChanges).toBe(1)
+    expect(afterIds(proposal)).toEqual(["a", "c", "b"])
+  })
+
+  it("returns no patches when the current order is already optimal", () => {
+    const shots = [makeShot("a", { locationId: "studio" }), makeShot("b", { locationId: "studio" })]
+    const entries = [shotEntry("a", 0, "08:00"), shotEntry("b", 1, "08:30")]
+
+    const proposal = proposeDaySequence({ entries, shots, settings })
+
+    expect(proposal.patches).toEqual([])
+    expect(proposal.tracks[0]!.after.every((s) => s.kind === "unchanged")).toBe(true)
+  })
+
+  it("schedules the unscheduled tray from shooting call", () => {
+    const shots = [makeShot("a"), makeShot("b")]
+    const entries = [shotEntry("a", 0), shotEntry("b", 1)]
+
+    const proposal = proposeDaySequence({ entries, shots, settings, dayDetails: makeDay() })
+    const byId = new Map(proposal.patches.map((p) => [p.entryId, p.patch]))
+
+    expect(byId.get("a")?.startTime).toBe("08:00")
+    expect(byId.get("b")?.startTime).toBe("08:30")
+    expect(proposal.tracks[0]!.after.map((s) => s.kind)).toEqual(["scheduled", "scheduled"])
+  })
+
+  it("keeps timed breaks fixed and schedules around them", () => {
+    const shots = [makeShot("a"), makeShot("b")]
+    const entries = [
+      shotEntry("a", 0, "08:00"),
+      makeEntry({ id: "brk", type: "break", title: "Break", order: 1, startTime: "08:30", duration: 30 }),
+      shotEntry("b", 2, "09:00"),
+    ]
+
+    const proposal = proposeDaySequence({ entries, shots, settings })
+
+    expect(afterIds(proposal)).toEqual(["a", "brk", "b"])
+    expect(proposal.tracks[0]!.after.map((s) => s.startTime)).toEqual(["08:00", "08:30", "09:00"])
+    expect(proposal.patches.some((p) => p.entryId === "brk")).toBe(false)
+  })
+
+  it("skips over DayDetails meal times", () => {
+    const shots = [makeShot("a"), makeShot("b")]
+    const entries = [shotEntry("a", 0, "11:30"), shotEntry("b", 1)]
+
+    const proposal = proposeDaySequence({
+      entries,
+      shots,
+      settings,
+      dayDetails: makeDay({ firstMealTime: "12:00" }),
+    })
+
+    expect(proposal.tracks[0]!.after.map((s) => s.startTime)).toEqual(["11:30", "13:00"])
+  })
+
+  it("moves untimed setup entries together with the shot they precede", () => {
+    const shots = [
+      makeShot("a", { locationId: "beach" }),
+      makeShot("b", { locationId: "studio" }),
+      makeShot("c", { locationId: "beach" }),
+    ]
+    const entries = [
+      shotEntry("a", 0, "08:00"),
+      makeEntry({ id: "light", type: "setup", title: "Relight", order: 1, duration: 15 }),
+      shotEntry("b", 2, "08:45"),
+      shotEntry("c", 3, "09:15"),
+    ]
+
+    const proposal = proposeDaySequence({ entries, shots, settings })
+
+    expect(afterIds(proposal)).toEqual(["a", "c", "light", "b"])
+  })
+
+  it("does not schedule talent before their set time", () => {
+    const shots = [makeShot("a", { talent: ["t1"] }), makeShot("b")]
+    const entries = [shotEntry("a", 0, "08:00"), shotEntry("b", 1, "08:30")]
+    const talentCalls: TalentCallSheet[] = [{ id: "tc1", talentId: "t1", callTime: "08:00", setTime: "08:30" }]
+
+    const proposal = proposeDaySequence({ entries, shots, settings, talentCalls })
+
+    expect(afterIds(proposal)).toEqual(["b", "a"])
+    expect(proposal.tracks[0]!.after.map((s) => s.startTime)).toEqual(["08:00", "08:30"])
+  })
+
+  it("shoots wrapping talent first and warns when a wrap cannot be met", () => {
+    const shots = [makeShot("a"), makeShot("b", { talent: ["t1"] }), makeShot("c", { talent: ["t2"] })]
+    const entries = [shotEntry("a", 0, "08:00"), shotEntry("b", 1, "08:30"), shotEntry("c", 2, "09:00")]
+    const talentCalls: TalentCallSheet[] = [
+      { id: "tc1", talentId: "t1", wrapTime: "08:30" },
+      { id: "tc2", talentId: "t2", wrapTime: "08:15" },
+    ]
+
+    const proposal = proposeDaySequence({
+      entries,
+      shots,
+      settings,
+      talentCalls,
+      talentLookup: [{ id: "t1", name: "Ana" }, { id: "t2", name: "Bo" }] as never,
+    })
+
+    expect(afterIds(proposal)[0]).toBe("b")
+    expect(proposal.warnings.map((w) => w.message)).toEqual([`"c" runs past Bo's wrap on Primary.`])
+  })
+
+  it("does not double-book talent shared across tracks", () => {
+    const tracks = [
+      { id: "primary", name: "A Unit", order: 0 },
+      { id: "b", name: "B Unit", order: 1 },
+    ]
+    const shots = [makeShot("a1", { talent: ["t1"] }), makeShot("b1", { talent: ["t1"] }), makeShot("b2")]
+    const entries = [shotEntry("a1", 0, "08:00"), shotEntry("b1", 0, "08:00", "b"), shotEntry("b2", 1, "08:30", "b")]
+
+    const proposal = proposeDaySequence({ entries, shots, tracks, settings })
+    const bTrack = proposal.tracks.find((t) => t.trackId === "b")!
+
+    expect(bTrack.after.map((s) => [s.entryId, s.startTime])).toEqual([
+      ["b2", "08:00"],
+      ["b1", "08:30"],
+    ])
+  })
+
+  it("emits order and start time patches only for changed entries", () => {
+    const shots = [
+      makeShot("a", { locationId: "studio" }),
+      makeShot("b", { locationId: "beach" }),
+      makeShot("c", { locationId: "studio" }),
+    ]
+    const entries = [shotEntry("a", 0, "08:00"), shotEntry("b", 1, "08:30"), shotEntry("c", 2, "09:00")]
+
+    const proposal = proposeDaySequence({ entries, shots, settings })
+
+    expect(proposal.patches).toEqual([
+      { entryId: "c", patch: { order: 1, startTime: "08:30" } },
+      { entryId: "b", patch: { order: 2, startTime: "09:00" } },
+    ])
+  })
+})
@@ -0,0 +1,598 @@
+import { minutesToHHMM, parseTimeToMinutes } from "@/features/schedules/lib/time"
+import { detectSharedResourceConflicts } from "@/features/schedules/lib/sharedResourceConflicts"
+import type { EntryPatch } from "@/features/schedules/lib/cascade"
+import { extractShotAssignedProducts } from "@/shared/lib/shotProducts"
+import type {
+  DayDetails,
+  ScheduleEntry,
+  ScheduleSettings,
+  ScheduleTrack,
+  Shot,
+  TalentCallSheet,
+  TalentRecord,
+} from "@/shared/types"
+
+// ─── Tuning ──────────────────────────────────────────────────────────
+
+/**
+ * Changeovers are priced in minutes so they trade off directly against idle
+ * time: waiting 20 minutes for talent beats a company move, but not three
+ * hours of it.
+ */
+export const LOCATION_MOVE_COST_MINUTES = 45
+export const WARDROBE_CHANGE_COST_MINUTES = 15
+
+/** Meal times in DayDetails are points in time; these are the blocks they hold. */
+const MEAL_BLOCK_MINUTES = {
+  breakfastTime: 30,
+  firstMealTime: 60,
+  secondMealTime: 30,
+} as const
+
+/** Local search stops after this many accepted moves per track. */
+const MAX_IMPROVEMENTS = 200
+
+/**
+ * …and after evaluating this many candidate orders per search, so a long day
+ * (each pass is O(n²) moves, each an O(n) evaluation) can't stall the page.
+ */
+export const MAX_SEARCH_CANDIDATES = 20_000
+
+const PRIMARY_TRACK: ScheduleTrack = { id: "primary", name: "Primary", order: 0 }
+const SHARED_TRACK_IDS = new Set(["shared", "all"])
+
+// ─── Public types ────────────────────────────────────────────────────
+
+export interface SequenceCost {
+  readonly locationMoves: number
+  readonly wardrobeChanges: number
+}
+
+/**
+ * - fixed: a timed setup/move/break the solver does not touch
+ * - moved: takes a different position in the running order
+ * - retimed: same position, new start time
+ * - scheduled: came from the unscheduled tray
+ */
+export type ProposedSlotKind = "fixed" | "unchanged" | "moved" | "retimed" | "scheduled"
+
+export interface ProposedSlot {
+  readonly entryId: string
+  readonly title: string
+  readonly startTime: string | null
+  readonly kind: ProposedSlotKind
+  /** 1-based position in the current order; null for fixed entries. */
+  readonly previousPosition: number | null
+}
+
+export type SequenceWarningKind = "talent-wrap" | "past-wrap"
+
+export interface SequenceWarning {
+  readonly kind: SequenceWarningKind
+  readonly trackId: string
+  readonly entryId: string
+  readonly message: string
+}
+
+export interface TrackSequenceProposal {
+  readonly trackId: string
+  readonly trackName: string
+  readonly before: readonly ProposedSlot[]
+  readonly after: readonly ProposedSlot[]
+  readonly beforeCost: SequenceCost
+  readonly afterCost: SequenceCost
+}
+
+export interface DaySequenceProposal {
+  readonly tracks: readonly TrackSequenceProposal[]
+  readonly patches: readonly EntryPatch[]
+  readonly warnings: readonly SequenceWarning[]
+}
+
+// ─── Internal model ──────────────────────────────────────────────────
+
+interface Interval {
+  readonly start: number
+  readonly end: number
+}
+
+interface TalentWindow {
+  readonly earliest: number | null
+  readonly wrap: number | null
+}
+
+/**
+ * A shot plus the untimed setup/move/break entries that led into it in the
+ * current order — those prep a specific shot, so they travel with it.
+ */
+interface Unit {
+  readonly id: string
+  readonly entries: readonly ScheduleEntry[]
+  readonly durationMinutes: number
+  readonly locationId: string | null
+  readonly wardrobeKey: string | null
+  readonly talentIds: readonly string[]
+  readonly currentIndex: number
+  /** Trailing untimed entries with no shot after them stay at the end. */
+  readonly pinnedLast: boolean
+}
+
+interface TrackContext {
+  readonly anchor: number
+  readonly blocked: readonly Interval[]
+  readonly windows: ReadonlyMap<string, TalentWindow>
+  readonly busy: ReadonlyMap<string, readonly Interval[]>
+  readonly sharedTalentIds: ReadonlySet<string>
+}
+
+/**
+ * Lexicographic: constraint violations, then changeovers + idle, then churn,
+ * then the original positions themselves so ties keep the current opener.
+ */
+type Score = readonly number[]
+
+interface Evaluation {
+  readonly score: Score
+  readonly startByUnitId: ReadonlyMap<string, number>
+}
+
+// ─── Helpers ─────────────────────────────────────────────────────────
+
+function normalizeTracks(tracks: readonly ScheduleTrack[] | null | undefined): readonly ScheduleTrack[] {
+  if (!tracks || tracks.length === 0) return [PRIMARY_TRACK]
+  const sorted = [...tracks].sort((a, b) => (a.order ?? 0) - (b.order ?? 0))
+  return sorted.some((t) => t.id === "primary") ? sorted : [PRIMARY_TRACK, ...sorted]
+}
+
+function isSharedEntry(entry: ScheduleEntry): boolean {
+  return entry.type === "banner" || (!!entry.trackId && SHARED_TRACK_IDS.has(entry.trackId))
+}
+
+function entryStartMinutes(entry: ScheduleEntry): number | null {
+  return parseTimeToMinutes(entry.startTime ?? entry.time)
+}
+
+function entryDurationMinutes(entry: ScheduleEntry, settings: ScheduleSettings | null | undefined): number {
+  const raw = entry.duration
+  if (typeof raw === "number" && Number.isFinite(raw) && raw > 0) return Math.round(raw)
+  return settings?.defaultEntryDurationMinutes ?? 15
+}
+
+function byOrder(a: ScheduleEntry, b: ScheduleEntry): number {
+  const aOrder = a.order ?? Number.MAX_SAFE_INTEGER
+  const bOrder = b.order ?? Number.MAX_SAFE_INTEGER
+  if (aOrder !== bOrder) return aOrder - bOrder
+  return a.id.localeCompare(b.id)
+}
+
+/** Setup, move and break entries with a start time hold their slot. */
+function isFixedEntry(entry: ScheduleEntry): boolean {
+  return entry.type !== "shot" && entryStartMinutes(entry) != null
+}
+
+function shotTalentIds(shot: Shot | undefined): readonly string[] {
+  if (!shot) return []
+  return shot.talentIds ?? shot.talent ?? []
+}
+
+/** Products worn in a shot; null when the shot has none assigned. */
+function shotWardrobeKey(shot: Shot | undefined): string | null {
+  if (!shot) return null
+  const keys = extractShotAssignedProducts(shot).map((p) => `${p.familyId}:${p.colourId ?? ""}`)
+  if (keys.length === 0) return null
+  return [...new Set(keys)].sort().join("|")
+}
+
+function overlaps(a: Interval, b: Interval): boolean {
+  return a.start < b.end && b.start < a.end
+}
+
+function compareScores(a: Score, b: Score): number {
+  for (let i = 0; i < a.length; i++) {
+    const diff = a[i]! - b[i]!
+    if (diff !== 0) return diff
+  }
+  return 0
+}
+
+// ─── Changeover counting ─────────────────────────────────────────────
+
+interface ChangeoverShape {
+  readonly locationId: string | null
+  readonly wardrobeKey: string | null
+  readonly talentIds: readonly string[]
+}
+
+/**
+ * Count changeovers along a sequence. Shots with no location or no products
+ * are neutral — they neither break nor extend a run. A wardrobe change is
+ * charged per talent whenever they next appear in a different outfit, even
+ * if other shots came between.
+ */
+export function countChangeovers(sequence: readonly ChangeoverShape[]): SequenceCost {
+  let locationMoves = 0
+  let wardrobeChanges = 0
+  let lastLocation: string | null = null
+  const lastWardrobe = new Map<string, string>()
+
+  for (const item of sequence) {
+    if (item.locationId) {
+      if (lastLocation && lastLocation !== item.locationId) locationMoves += 1
+      lastLocation = item.locationId
+    }
+    if (item.wardrobeKey) {
+      for (const talentId of item.talentIds) {
+        const previous = lastWardrobe.get(talentId)
+        if (previous && previous !== item.wardrobeKey) wardrobeChanges += 1
+        lastWardrobe.set(talentId, item.wardrobeKey)
+      }
+    }
+  }
+
+  return { locationMoves, wardrobeChanges }
+}
+
+function weightedCost(cost: SequenceCost): number {
+  return cost.locationMoves * LOCATION_MOVE_COST_MINUTES + cost.wardrobeChanges * WARDROBE_CHANGE_COST_MINUTES
+}
+
+// ─── Placement ───────────────────────────────────────────────────────
+
+/** Earliest start at or after `from` that clears every blocking interval. */
+function findSlot(from: number, duration: number, blocking: readonly Interval[]): number {
+  let start = from
+  let moved = true
+  while (moved) {
+    moved = false
+    for (const interval of blocking) {
+      if (overlaps({ start, end: start + duration }, interval)) {
+        start = interval.end
+        moved = true
+      }
+    }
+  }
+  return start
+}
+
+function evaluate(order: readonly Unit[], ctx: TrackContext): Evaluation {
+  const startByUnitId = new Map<string, number>()
+  let cursor = ctx.anchor
+  let violations = 0
+  let idle = 0
+  let churn = 0
+
+  for (let index = 0; index < order.length; index++) {
+    const unit = order[index]!
+    let earliest = cursor
+    const blocking: Interval[] = [...ctx.blocked]
+    for (const talentId of unit.talentIds) {
+      const window = ctx.windows.get(talentId)
+      if (window?.earliest != null) earliest = Math.max(earliest, window.earliest)
+      if (ctx.sharedTalentIds.has(talentId)) blocking.push(...(ctx.busy.get(talentId) ?? []))
+    }
+
+    const start = findSlot(earliest, unit.durationMinutes, blocking)
+    const end = start + unit.durationMinutes
+    for (const talentId of unit.talentIds) {
+      const wrap = ctx.windows.get(talentId)?.wrap
+      if (wrap != null && end > wrap) violations += end - wrap
+    }
+
+    idle += start - cursor
+    churn += Math.abs(index - unit.currentIndex)
+    startByUnitId.set(unit.id, start)
+    cursor = end
+  }
+
+  const cost = weightedCost(countChangeovers(order))
+  return { score: [violations, cost + idle, churn, ...order.map((u) => u.currentIndex)], startByUnitId }
+}
+
+/** Group by location, then outfit, in order of first appearance. */
+function groupedOrder(units: readonly Unit[]): readonly Unit[] {
+  const locationRank = new Map<string, number>()
+  const wardrobeRank = new Map<string, number>()
+  for (const unit of units) {
+    if (unit.locationId && !locationRank.has(unit.locationId)) locationRank.set(unit.locationId, locationRank.size)
+    if (unit.wardrobeKey && !wardrobeRank.has(unit.wardrobeKey)) wardrobeRank.set(unit.wardrobeKey, wardrobeRank.size)
+  }
+  const rank = (unit: Unit): readonly number[] => [
+    unit.pinnedLast ? 1 : 0,
+    unit.locationId ? locationRank.get(unit.locationId)! : Number.MAX_SAFE_INTEGER,
+    unit.wardrobeKey ? wardrobeRank.get(unit.wardrobeKey)! : Number.MAX_SAFE_INTEGER,
+    unit.currentIndex,
+  ]
+  return [...units].sort((a, b) => compareScores(rank(a), rank(b)))
+}
+
+/** First-improvement relocation search: lift one unit, drop it elsewhere. */
+function improve(
+  initial: readonly Unit[],
+  ctx: TrackContext,
+  maxCandidates: number,
+): { order: readonly Unit[]; evaluation: Evaluation } {
+  let order = initial
+  let best = evaluate(order, ctx)
+  const movable = order.filter((u) => !u.pinnedLast).length
+  let candidates = 0
+
+  for (let accepted = 0; accepted < MAX_IMPROVEMENTS; accepted++) {
+    let improved = false
+    search: for (let from = 0; from < movable; from++) {
+      for (let to = 0; to < movable; to++) {
+        if (to === from) continue
+        if (candidates++ >= maxCandidates) break search
+        const candidate = [...order]
+        const [unit] = candidate.splice(from, 1)
+        candidate.splice(to, 0, unit!)
+        const evaluation = evaluate(candidate, ctx)
+        if (compareScores(evaluation.score, best.score) < 0) {
+          order = candidate
+          best = evaluation
+          improved = true
+          break search
+        }
+      }
+    }
+    if (!improved) break
+  }
+
+  return { order, evaluation: best }
+}
+
+// ─── Track setup ─────────────────────────────────────────────────────
+
+function buildUnits(
+  movable: readonly ScheduleEntry[],
+  shotById: ReadonlyMap<string, Shot>,
+  settings: ScheduleSettings | null | undefined,
+): readonly Unit[] {
+  const units: Unit[] = []
+  let pending: ScheduleEntry[] = []
+
+  const push = (group: readonly ScheduleEntry[], pinnedLast: boolean) => {
+    const lead = group[group.length - 1]!
+    const shot = lead.type === "shot" && lead.shotId ? shotById.get(lead.shotId) : undefined
+    units.push({
+      id: lead.id,
+      entries: group,
+      durationMinutes: group.reduce((sum, e) => sum + entryDurationMinutes(e, settings), 0),
+      locationId: shot?.locationId ?? null,
+      wardrobeKey: shotWardrobeKey(shot),
+      talentIds: shotTalentIds(shot),
+      currentIndex: units.length,
+      pinnedLast,
+    })
+  }
+
+  for (const entry of movable) {
+    pending.push(entry)
+    if (entry.type === "shot") {
+      push(pending, false)
+      pending = []
+    }
+  }
+  if (pending.length > 0) push(pending, true)
+  return units
+}
+
+function buildTalentWindows(
+  talentCalls: readonly TalentCallSheet[],
+  trackId: string,
+): ReadonlyMap<string, TalentWindow> {
+  const windows = new Map<string, TalentWindow>()
+  for (const call of talentCalls) {
+    if (call.trackId != null && call.trackId !== trackId) continue
+    // A track-scoped call overrides the unscoped one for the same talent.
+    if (call.trackId == null && windows.has(call.talentId)) continue
+    windows.set(call.talentId, {
+      earliest: parseTimeToMinutes(call.setTime) ?? parseTimeToMinutes(call.callTime),
+      wrap: parseTimeToMinutes(call.wrapTime),
+    })
+  }
+  return windows
+}
+
+function buildMealBlocks(dayDetails: DayDetails | null | undefined): readonly Interval[] {
+  if (!dayDetails) return []
+  const blocks: Interval[] = []
+  for (const key of Object.keys(MEAL_BLOCK_MINUTES) as (keyof typeof MEAL_BLOCK_MINUTES)[]) {
+    const start = parseTimeToMinutes(dayDetails[key])
+    if (start != null) blocks.push({ start, end: start + MEAL_BLOCK_MINUTES[key] })
+  }
+  return blocks
+}
+
+function toSlot(
+  entry: ScheduleEntry,
+  startMin: number | null,
+  kind: ProposedSlotKind,
+  previousPosition: number | null,
+): ProposedSlot {
+  return {
+    entryId: entry.id,
+    title: entry.title,
+    startTime: startMin == null ? null : minutesToHHMM(startMin),
+    kind,
+    previousPosition,
+  }
+}
+
+// ─── Solver ──────────────────────────────────────────────────────────
+
+/**
+ * Propose a running order for one shoot day that minimizes company moves and
+ * wardrobe changes. Every track is solved independently, in track order, and
+ * earlier tracks' placements become busy time for talent shared with later
+ * ones.
+ *
+ * - Shot entries (including the unscheduled tray) are resequenced and
+ *   re-timed from the track's first start, or shooting call.
+ * - Setup, move and break entries with a start time are fixed; untimed ones
+ *   travel with the shot that followed them.
+ * - Timed banners and the DayDetails meal times block their window.
+ * - Talent are not scheduled before their set (or call) time; running past
+ *   their wrap time is avoided and reported when unavoidable.
+ *
+ * Returns patches for `batchUpdateScheduleEntries` plus a per-track
+ * before/after diff for review. Nothing is written here.
+ */
+export function proposeDaySequence(params: {
+  readonly entries: readonly ScheduleEntry[]
+  readonly shots: readonly Shot[]
+  readonly tracks?: readonly ScheduleTrack[] | null
+  readonly settings?: ScheduleSettings | null
+  readonly dayDetails?: DayDetails | null
+  readonly talentCalls?: readonly TalentCallSheet[]
+  readonly talentLookup?: readonly TalentRecord[]
+  /** Candidate orders each local search may evaluate (default MAX_SEARCH_CANDIDATES). */
+  readonly maxCandidates?: number
+}): DaySequenceProposal {
+  const { entries, settings, dayDetails } = params
+  const talentCalls = params.talentCalls ?? []
+  const tracks = normalizeTracks(params.tracks)
+  const trackIdSet = new Set(tracks.map((t) => t.id))
+  const shotById = new Map(params.shots.map((s) => [s.id, s]))
+  const mealBlocks = buildMealBlocks(dayDetails)
+  const wrapMin = parseTimeToMinutes(dayDetails?.estimatedWrap)
+  const talentNameById = new Map((params.talentLookup ?? []).map((t) => [t.id, t.name]))
+
+  // Talent on shots in more than one track, plus talent with calls on several.
+  const tracksByTalent = new Map<string, Set<string>>()
+  for (const entry of entries) {
+    if (isSharedEntry(entry) || entry.type !== "shot" || !entry.shotId) continue
+    const trackId = entry.trackId && trackIdSet.has(entry.trackId) ? entry.trackId : "primary"
+    for (const talentId of shotTalentIds(shotById.get(entry.shotId))) {
+      const set = tracksByTalent.get(talentId) ?? new Set<string>()
+      set.add(trackId)
+      tracksByTalent.set(talentId, set)
+    }
+  }
+  const sharedTalentIds = new Set<string>([
+    ...[...tracksByTalent].filter(([, set]) => set.size > 1).map(([id]) => id),
+    ...detectSharedResourceConflicts(talentCalls, params.talentLookup ?? []).map((c) => c.resourceId),
+  ])
+
+  const busy = new Map<string, Interval[]>()
+  const proposals: TrackSequenceProposal[] = []
+  const patches: EntryPatch[] = []
+  const warnings: SequenceWarning[] = []
+
+  for (const track of tracks) {
+    const trackEntries = entries
+      .filter((e) => !isSharedEntry(e))
+      .filter((e) => (e.trackId && trackIdSet.has(e.trackId) ? e.trackId : "primary") === track.id)
+      .sort(byOrder)
+    if (!trackEntries.some((e) => e.type === "shot")) continue
+
+    const fixed = trackEntries.filter(isFixedEntry)
+    const movable = trackEntries.filter((e) => !isFixedEntry(e))
+
+    const bannerBlocks = entries
+      .filter(isSharedEntry)
+      .filter((e) => !e.appliesToTrackIds || e.appliesToTrackIds.includes(track.id))
+      .map((e) => ({ entry: e, start: entryStartMinutes(e) }))
+      .filter((b): b is { entry: ScheduleEntry; start: number } => b.start != null)
+      .map(({ entry, start }) => ({ start, end: start + entryDurationMinutes(entry, settings) }))
+    const fixedBlocks = fixed.map((e) => {
+      const start = entryStartMinutes(e)!
+      return { start, end: start + entryDurationMinutes(e, settings) }
+    })
+
+    const currentStarts = movable.map(entryStartMinutes).filter((m): m is number => m != null)
+    const anchor =
+      (currentStarts.length > 0 ? Math.min(...currentStarts) : null) ??
+      parseTimeToMinutes(dayDetails?.shootingCallTime) ??
+      parseTimeToMinutes(settings?.dayStartTime) ??
+      6 * 60
+
+    const ctx: TrackContext = {
+      anchor,
+      blocked: [...fixedBlocks, ...bannerBlocks, ...mealBlocks],
+      windows: buildTalentWindows(talentCalls, track.id),
+      busy,
+      sharedTalentIds,
+    }
+
+    const units = buildUnits(movable, shotById, settings)
+    const maxCandidates = params.maxCandidates ?? MAX_SEARCH_CANDIDATES
+    const current = improve(units, ctx, maxCandidates)
+    const grouped = improve(groupedOrder(units), ctx, maxCandidates)
+    const best = compareScores(grouped.evaluation.score, current.evaluation.score) < 0 ? grouped : current
+
+    // Lay out every entry of the winning order, fixed ones included.
+    const placed: { entry: ScheduleEntry; start: number; fixed: boolean }[] = []
+    for (const unit of best.order) {
+      let cursor = best.evaluation.startByUnitId.get(unit.id)!
+      for (const entry of unit.entries) {
+        placed.push({ entry, start: cursor, fixed: false })
+        cursor += entryDurationMinutes(entry, settings)
+      }
+      const shot = unit.entries[unit.entries.length - 1]!
+      for (const talentId of unit.talentIds) {
+        const window = ctx.windows.get(talentId)
+        if (window?.wrap != null && cursor > window.wrap) {
+          warnings.push({
+            kind: "talent-wrap",
+            trackId: track.id,
+            entryId: shot.id,
+            message: `"${shot.title}" runs past ${talentNameById.get(talentId) ?? "talent"}'s wrap on ${track.name}.`,
+          })
+        }
+        if (sharedTalentIds.has(talentId)) {
+          const list = busy.get(talentId) ?? []
+          list.push({ start: cursor - unit.durationMinutes, end: cursor })
+          busy.set(talentId, list)
+        }
+      }
+    }
+    for (const entry of fixed) placed.push({ entry, start: entryStartMinutes(entry)!, fixed: true })
+    placed.sort((a, b) => a.start - b.start || Number(b.fixed) - Number(a.fixed))
+
+    const last = placed[placed.length - 1]
+    if (wrapMin != null && last) {
+      const end = last.start + entryDurationMinutes(last.entry, settings)
+      if (end > wrapMin) {
+        warnings.push({
+          kind: "past-wrap",
+          trackId: track.id,
+          entryId: last.entry.id,
+          message: `${track.name} runs past the estimated wrap.`,
+        })
+      }
+    }
+
+    const movablePosition = new Map(movable.map((e, i) => [e.id, i + 1]))
+    const before = trackEntries.map((e) =>
+      toSlot(e, entryStartMinutes(e), isFixedEntry(e) ? "fixed" : "unchanged", movablePosition.get(e.id) ?? null),
+    )
+
+    let movableIndex = 0
+    const after = placed.map(({ entry, start, fixed: isFixed }, index) => {
+      const patch: Record<string, unknown> = {}
+      if (entry.order !== index) patch.order = index
+      let kind: ProposedSlotKind = "fixed"
+      if (!isFixed) {
+        const startTime = minutesToHHMM(start)
+        if ((entry.startTime ?? entry.time) !== startTime) patch.startTime = startTime
+        if (entryStartMinutes(entry) == null) kind = "scheduled"
+        else if (movable[movableIndex]?.id !== entry.id) kind = "moved"
+        else kind = patch.startTime ? "retimed" : "unchanged"
+        movableIndex += 1
+      }
+      if (Object.keys(patch).length > 0) patches.push({ entryId: entry.id, patch })
+      return toSlot(entry, start, kind, isFixed ? null : movablePosition.get(entry.id) ?? null)
+    })
+
+    proposals.push({
+      trackId: track.id,
+      trackName: track.name,
+      before,
+      after,
+      beforeCost: countChangeovers(units),
+      afterCost: countChangeovers(best.order),
+    })
+  }
+
+  return { tracks: proposals, patches, warnings }
+}
@@ -1,6 +1,7 @@
 import { describe, it, expect } from "vitest"
 import {
   buildCascadeDirectStartEditPatches,
+  buildCascadeMoveBetweenDaysPatches,
   buildCascadeMoveBetweenTracksPatches,
   buildCascadeReorderPatches,
 } from "./cascade"
@@ -167,3 +168,81 @@ describe("buildCascadeDirectStartEditPatches", () => {
     expect(byId.get("c")?.startTime).toBeUndefined()
   })
 })
+
+describe("buildCascadeMoveBetweenDaysPatches", () => {
+  const day1 = [
+    makeEntry({ id: "a", order: 0, startTime: "08:00", duration: 30 }),
+    makeEntry({ id: "b", order: 1, startTime: "08:30", duration: 30 }),
+    makeEntry({ id: "c", order: 2, startTime: "09:00", duration: 30 }),
+  ]
+  const day2 = [
+    makeEntry({ id: "x", order: 0, startTime: "07:00", duration: 60 }),
+    makeEntry({ id: "y", order: 1, startTime: "08:00", duration: 60 }),
+  ]
+
+  it("closes the gap on the source day and slots the entry into the target day", () => {
+    const plan = buildCascadeMoveBetweenDaysPatches({
+      sourceEntries: day1,
+      targetEntries: day2,
+      entryId: "b",
+      toTrackId: "primary",
+      insertIndex: 1,
+      sourceSettings: settings,
+      targetSettings: settings,
+    })
+
+    expect(plan?.sourcePatches).toEqual([{ entryId: "c", patch: { order: 1, startTime: "08:30" } }])
+    expect(plan?.moved).toEqual({ trackId: "primary", order: 1, startTime: "08:00" })
+    expect(plan?.targetPatches).toEqual([{ entryId: "y", patch: { order: 2, startTime: "08:30" } }])
+  })
+
+  it("anchors on the target day when inserted first", () => {
+    const plan = buildCascadeMoveBetweenDaysPatches({
+      sourceEntries: day1,
+      targetEntries: day2,
+      entryId: "c",
+      toTrackId: "primary",
+      insertIndex: 0,
+      sourceSettings: settings,
+      targetSettings: settings,
+    })
+
+    expect(plan?.sourcePatches).toEqual([])
+    expect(plan?.moved.startTime).toBe("07:00")
+    expect(plan?.targetPatches).toEqual([
+      { entryId: "x", patch: { order: 1, startTime: "07:30" } },
+      { entryId: "y", patch: { order: 2, startTime: "08:30" } },
+    ])
+  })
+
+  it("leaves the entry untimed when the target day does not cascade", () => {
+    const plan = buildCascadeMoveBetweenDaysPatches({
+      sourceEntries: day1,
+      targetEntries: day2,
+      entryId: "a",
+      toTrackId: "b-unit",
+      insertIndex: 5,
+      sourceSettings: settings,
+      targetSettings: { ...settings, cascadeChanges: false },
+    })
+
+    expect(plan?.moved).toEqual({ trackId: "b-unit", order: 0, startTime: null })
+    expect(plan?.targetPatches).toEqual([])
+    // Removing the first entry keeps the rest of the source day where it was.
+    expect(plan?.sourcePatches).toEqual([
+      { entryId: "b", patch: { order: 0 } },
+      { entryId: "c", patch: { order: 1 } },
+    ])
+  })
+
+  it("refuses to move banners", () => {
+    const plan = buildCascadeMoveBetweenDaysPatches({
+      sourceEntries: [makeEntry({ id: "ban", type: "banner" })],
+      targetEntries: day2,
+      entryId: "ban",
+      toTrackId: "primary",
+      insertIndex: 0,
+    })
+    expect(plan).toBeNull()
+  })
+})
@@ -351,6 +351,99 @@ export function buildCascadeMoveBetweenTracksPatches(params: {
   return coalescePatches(patches)
 }
 
+export interface CrossDayMovePlan {
+  /** Order/startTime patches for entries left behind on the source day. */
+  readonly sourcePatches: readonly EntryPatch[]
+  /** Order/startTime patches for existing entries on the target day. */
+  readonly targetPatches: readonly EntryPatch[]
+  /** Placement of the moved entry on the target day (it is re-created there). */
+  readonly moved: {
+    readonly trackId: string
+    readonly order: number
+    readonly startTime: string | null
+  }
+}
+
+/**
+ * Move an entry from one schedule (day) to another. Each day cascades with
+ * its own settings; the moved entry takes the start time of the slot it lands
+ * in, or none when the target day does not cascade.
+ */
+export function buildCascadeMoveBetweenDaysPatches(params: {
+  readonly sourceEntries: readonly ScheduleEntry[]
+  readonly targetEntries: readonly ScheduleEntry[]
+  readonly entryId: string
+  readonly toTrackId: string
+  readonly insertIndex: number
+  readonly sourceSettings?: ScheduleSettings | null
+  readonly targetSettings?: ScheduleSettings | null
+}): CrossDayMovePlan | null {
+  const { sourceEntries, targetEntries, entryId, toTrackId, insertIndex, sourceSettings, targetSettings } = params
+
+  const moved = sourceEntries.find((e) => e.id === entryId)
+  if (!moved || moved.type === "banner") return null
+
+  const fromTrackId = moved.trackId ?? "primary"
+  const fromWithMoved = getTrackEntries(sourceEntries, fromTrackId)
+  const fromIndex = fromWithMoved.findIndex((e) => e.id === entryId)
+  const fromList = fromWithMoved.filter((e) => e.id !== entryId)
+
+  const toList = getTrackEntries(targetEntries, toTrackId).filter((e) => e.id !== entryId)
+  const clampedIndex = Math.max(0, Math.min(toList.length, insertIndex))
+  const nextTo: ScheduleEntry[] = [...toList]
+  nextTo.splice(clampedIndex, 0, { ...moved, trackId: toTrackId })
+
+  const sourcePatches: EntryPatch[] = []
+  for (let i = 0; i < fromList.length; i++) {
+    const e = fromList[i]!
+    if (e.order !== i) sourcePatches.push({ entryId: e.id, patch: { order: i } })
+  }
+  if (sourceSettings?.cascadeChanges !== false && fromList.length > 0) {
+    const starts = gaplessStartTimes(fromList, getAnchorStartMinutes(fromList, sourceSettings), sourceSettings)
+    for (let i = Math.max(0, fromIndex); i < fromList.length; i++) {
+      const e = fromList[i]!
+      if (e.startTime !== starts[i]) sourcePatches.push({ entryId: e.id, patch: { startTime: starts[i] } })
+    }
+  }
+
+  const targetPatches: EntryPatch[] = []
+  for (let i = 0; i < nextTo.length; i++) {
+    const e = nextTo[i]!
+    if (e.id !== entryId && e.order !== i) targetPatches.push({ entryId: e.id, patch: { order: i } })
+  }
+
+  let movedStart: string | null = null
+  if (targetSettings?.cascadeChanges !== false) {
+    // Anchor on the target day's own entries, never the moved entry's old time.
+    const starts = gaplessStartTimes(nextTo, getAnchorStartMinutes(toList, targetSettings), targetSettings)
+    movedStart = starts[clampedIndex] ?? null
+    for (let i = clampedIndex + 1; i < nextTo.length; i++) {
+      const e = nextTo[i]!
+      if (e.startTime !== starts[i]) targetPatches.push({ entryId: e.id, patch: { startTime: starts[i] } })
+    }
+  }
+
+  return {
+    sourcePatches: coalescePatches(sourcePatches),
+    targetPatches: coalescePatches(targetPatches),
+    moved: { trackId: toTrackId, order: clampedIndex, startTime: movedStart },
+  }
+}
+
+function gaplessStartTimes(
+  trackEntries: readonly ScheduleEntry[],
+  anchorMinutes: number,
+  settings: ScheduleSettings | null | undefined,
+): readonly string[] {
+  const defaultDurationMinutes = settings?.defaultEntryDurationMinutes ?? 15
+  let cursor = anchorMinutes
+  return trackEntries.map((entry) => {
+    const start = minutesToHHMM(cursor)
+    cursor += getDurationMinutes(entry, defaultDurationMinutes)
+    return start
+  })
+}
+
 function coalescePatches(patches: readonly EntryPatch[]): readonly EntryPatch[] {
   const byId = new Map<string, Record<string, unknown>>()
   for (const p of patches) {
@@ -0,0 +1,224 @@
+import { describe, it, expect } from "vitest"
+import {
+  DEFAULT_COMPLIANCE_RULES,
+  computeComplianceWarnings,
+  resolveComplianceRules,
+  type AdjacentShootDay,
+  type ComplianceCheckInput,
+} from "./complianceChecks"
+import type { CrewRecord, DayDetails, ScheduleEntry, TalentRecord } from "@/shared/types"
+
+function makeDay(overrides: Partial<DayDetails> = {}): DayDetails {
+  return {
+    id: "dd1",
+    scheduleId: "s1",
+    crewCallTime: "07:00",
+    shootingCallTime: "08:00",
+    firstMealTime: "12:00",
+    estimatedWrap: "17:00",
+    ...overrides,
+  }
+}
+
+function makeInput(overrides: Partial<ComplianceCheckInput> = {}): ComplianceCheckInput {
+  return {
+    rules: DEFAULT_COMPLIANCE_RULES,
+    date: "2026-03-02",
+    entries: [],
+    dayDetails: makeDay(),
+    talentCalls: [],
+    crewCalls: [],
+    ...overrides,
+  }
+}
+
+function adjacent(date: string, overrides: Partial<AdjacentShootDay> = {}): AdjacentShootDay {
+  return {
+    date,
+    dayDetails: makeDay(),
+    talentCalls: [],
+    crewCalls: [],
+    ...overrides,
+  }
+}
+
+const talentLookup = [{ id: "t1", name: "Ana" }] as unknown as TalentRecord[]
+const crewLibrary = [{ id: "c1", name: "Jane Gaffer" }] as unknown as CrewRecord[]
+
+describe("resolveComplianceRules", () => {
+  it("returns the defaults when nothing is stored", () => {
+    expect(resolveComplianceRules(null)).toEqual(DEFAULT_COMPLIANCE_RULES)
+  })
+
+  it("keeps valid stored values and replaces malformed ones", () => {
+    const rules = resolveComplianceRules({
+      enabled: false,
+      firstMealWithinHours: 5,
+      minTurnaroundHours: -1,
+    })
+    expect(rules.enabled).toBe(false)
+    expect(rules.firstMealWithinHours).toBe(5)
+    expect(rules.minTurnaroundHours).toBe(DEFAULT_COMPLIANCE_RULES.minTurnaroundHours)
+  })
+})
+
+describe("computeComplianceWarnings", () => {
+  it("returns nothing for a compliant day", () => {
+    expect(computeComplianceWarnings(makeInput())).toEqual([])
+  })
+
+  it("returns nothing when rules are disabled", () => {
+    const input = makeInput({
+      rules: { ...DEFAULT_COMPLIANCE_RULES, enabled: false },
+      dayDetails: makeDay({ firstMealTime: "15:00", estimatedWrap: "23:00" }),
+    })
+    expect(computeComplianceWarnings(input)).toEqual([])
+  })
+
+  it("returns nothing without a crew call", () => {
+    const input = makeInput({ dayDetails: makeDay({ crewCallTime: "", firstMealTime: "15:00" }) })
+    expect(computeComplianceWarnings(input)).toEqual([])
+  })
+
+  describe("meals", () => {
+    it("flags a first meal past the limit", () => {
+      const warnings = computeComplianceWarnings(
+        makeInput({ dayDetails: makeDay({ firstMealTime: "13:30" }) }),
+      )
+      expect(warnings).toEqual([
+        { id: "first-meal-late", message: "First meal at 1:30 PM is 6h 30m after crew call (limit 6h)." },
+      ])
+    })
+
+    it("flags a missing first meal when the day runs past the limit", () => {
+      const warnings = computeComplianceWarnings(
+        makeInput({ dayDetails: makeDay({ firstMealTime: null }) }),
+      )
+      expect(warnings[0]!.id).toBe("first-meal-late")
+      expect(warnings[0]!.message).toContain("due by 1:00 PM")
+    })
+
+    it("flags a missing second meal on a long day", () => {
+      const warnings = computeComplianceWarnings(
+        makeInput({
+          rules: { ...DEFAULT_COMPLIANCE_RULES, overtimeAfterHours: 14 },
+          dayDetails: makeDay({ estimatedWrap: "19:00" }),
+        }),
+      )
+      expect(warnings).toEqual([
+        {
+          id: "second-meal-late",
+          message: "No second meal scheduled — the day runs past 6:30 PM (6h after first meal).",
+        },
+      ])
+    })
+
+    it("measures the second meal from the end of the first meal break", () => {
+      const warnings = computeComplianceWarnings(
+        makeInput({
+          rules: { ...DEFAULT_COMPLIANCE_RULES, overtimeAfterHours: 14 },
+          dayDetails: makeDay({ secondMealTime: "18:30", estimatedWrap: "20:00" }),
+        }),
+      )
+      expect(warnings).toEqual([])
+    })
+  })
+
+  describe("overtime", () => {
+    it("projects overtime from the estimated wrap", () => {
+      const warnings = computeComplianceWarnings(
+        makeInput({ dayDetails: makeDay({ secondMealTime: "18:00", estimatedWrap: "19:00" }) }),
+      )
+      expect(warnings).toEqual([
+        { id: "projected-overtime", message: "Projected 12h day from crew call to wrap — 2h over the 10h limit." },
+      ])
+    })
+
+    it("uses the last scheduled entry when it runs past the estimated wrap", () => {
+      const entries: ScheduleEntry[] = [
+        { id: "e1", type: "shot", title: "Night exterior", order: 0, startTime: "17:00", duration: 60 },
+      ]
+      const warnings = computeComplianceWarnings(makeInput({ entries }))
+      expect(warnings.map((w) => w.id)).toEqual(["projected-overtime"])
+      expect(warnings[0]!.message).toContain("Projected 11h day")
+    })
+
+    it("counts an entry before crew call at its own time", () => {
+      const entries: ScheduleEntry[] = [
+        { id: "e1", type: "setup", title: "Hair & makeup", order: 0, startTime: "06:00", duration: 60 },
+        { id: "e2", type: "shot", title: "Look 1", order: 1, startTime: "08:00", duration: 60 },
+      ]
+      expect(computeComplianceWarnings(makeInput({ entries }))).toEqual([])
+    })
+
+    it("reads an entry after a late one as past midnight", () => {
+      const entries: ScheduleEntry[] = [
+        { id: "e1", type: "shot", title: "Night exterior", order: 0, startTime: "23:00", duration: 60 },
+        { id: "e2", type: "shot", title: "Pickup", order: 1, startTime: "00:30", duration: 30 },
+      ]
+      const warnings = computeComplianceWarnings(
+        makeInput({ entries, dayDetails: makeDay({ secondMealTime: "18:00" }) }),
+      )
+      expect(warnings).toEqual([
+        { id: "projected-overtime", message: "Projected 18h day from crew call to wrap — 8h over the 10h limit." },
+      ])
+    })
+  })
+
+  describe("turnaround", () => {
+    it("flags talent with too little rest after the previous day", () => {
+      const warnings = computeComplianceWarnings(
+        makeInput({
+          talentCalls: [{ id: "tc1", talentId: "t1", callTime: "06:00" }],
+          talentLookup,
+          previousDay: adjacent("2026-03-01", {
+            talentCalls: [{ id: "tc0", talentId: "t1", callTime: "12:00", wrapTime: "21:30" }],
+          }),
+        }),
+      )
+      expect(warnings).toEqual([
+        { id: "turnaround-short", message: "Turnaround under 10h: Ana (8h 30m after the previous day)." },
+      ])
+    })
+
+    it("flags crew with too little rest before the next day", () => {
+      const warnings = computeComplianceWarnings(
+        makeInput({
+          crewCalls: [{ id: "cc1", crewMemberId: "c1", wrapTime: "23:00" }],
+          crewLibrary,
+          nextDay: adjacent("2026-03-03", {
+            dayDetails: makeDay({ crewCallTime: "06:00" }),
+            crewCalls: [{ id: "cc2", crewMemberId: "c1" }],
+          }),
+        }),
+      )
+      expect(warnings.map((w) => w.message)).toContain(
+        "Turnaround under 10h: Jane Gaffer (7h before the next day).",
+      )
+    })
+
+    it("ignores people who are not on both days", () => {
+      const warnings = computeComplianceWarnings(
+        makeInput({
+          talentCalls: [{ id: "tc1", talentId: "t1", callTime: "06:00" }],
+          previousDay: adjacent("2026-03-01", {
+            talentCalls: [{ id: "tc0", talentId: "t2", wrapTime: "23:00" }],
+          }),
+        }),
+      )
+      expect(warnings).toEqual([])
+    })
+
+    it("counts the calendar gap between non-consecutive days", () => {
+      const warnings = computeComplianceWarnings(
+        makeInput({
+          talentCalls: [{ id: "tc1", talentId: "t1", callTime: "06:00" }],
+          previousDay: adjacent("2026-02-27", {
+            talentCalls: [{ id: "tc0", talentId: "t1", wrapTime: "23:30" }],
+          }),
+        }),
+      )
+      expect(warnings).toEqual([])
+    })
+  })
+})
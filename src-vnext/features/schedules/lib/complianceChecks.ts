@@ -0,0 +1,322 @@
+import { formatMinutesTo12h, parseTimeToMinutes } from "@/features/schedules/lib/time"
+import type {
+  ComplianceRules,
+  CrewCallSheet,
+  CrewRecord,
+  DayDetails,
+  ScheduleEntry,
+  TalentCallSheet,
+  TalentRecord,
+} from "@/shared/types"
+
+// --- Rules ---
+
+export const DEFAULT_COMPLIANCE_RULES: ComplianceRules = {
+  enabled: true,
+  firstMealWithinHours: 6,
+  secondMealWithinHours: 6,
+  mealBreakMinutes: 30,
+  minTurnaroundHours: 10,
+  overtimeAfterHours: 10,
+}
+
+function positiveNumber(value: unknown, fallback: number): number {
+  return typeof value === "number" && Number.isFinite(value) && value > 0 ? value : fallback
+}
+
+/** Fill a project's stored (possibly partial or malformed) rules with defaults. */
+export function resolveComplianceRules(
+  stored: Partial<ComplianceRules> | null | undefined,
+): ComplianceRules {
+  const d = DEFAULT_COMPLIANCE_RULES
+  return {
+    enabled: typeof stored?.enabled === "boolean" ? stored.enabled : d.enabled,
+    firstMealWithinHours: positiveNumber(stored?.firstMealWithinHours, d.firstMealWithinHours),
+    secondMealWithinHours: positiveNumber(stored?.secondMealWithinHours, d.secondMealWithinHours),
+    mealBreakMinutes: positiveNumber(stored?.mealBreakMinutes, d.mealBreakMinutes),
+    minTurnaroundHours: positiveNumber(stored?.minTurnaroundHours, d.minTurnaroundHours),
+    overtimeAfterHours: positiveNumber(stored?.overtimeAfterHours, d.overtimeAfterHours),
+  }
+}
+
+// --- Warning model ---
+
+export type ComplianceWarningId =
+  | "first-meal-late"
+  | "second-meal-late"
+  | "turnaround-short"
+  | "projected-overtime"
+
+export interface ComplianceWarning {
+  readonly id: ComplianceWarningId
+  readonly message: string
+}
+
+/** The neighbouring shoot day's calls, for turnaround checks. */
+export interface AdjacentShootDay {
+  /** YYYY-MM-DD */
+  readonly date: string
+  readonly dayDetails: DayDetails | null
+  readonly talentCalls: readonly TalentCallSheet[]
+  readonly crewCalls: readonly CrewCallSheet[]
+}
+
+export interface ComplianceCheckInput {
+  readonly rules: ComplianceRules
+  /** YYYY-MM-DD of this call sheet; turnaround checks need it. */
+  readonly date: string | null
+  readonly entries: readonly ScheduleEntry[]
+  readonly dayDetails: DayDetails | null
+  readonly talentCalls: readonly TalentCallSheet[]
+  readonly crewCalls: readonly CrewCallSheet[]
+  readonly talentLookup?: readonly TalentRecord[]
+  readonly crewLibrary?: readonly CrewRecord[]
+  readonly previousDay?: AdjacentShootDay | null
+  readonly nextDay?: AdjacentShootDay | null
+}
+
+// --- Helpers ---
+
+const DAY_MINUTES = 24 * 60
+const DEFAULT_ENTRY_MINUTES = 15
+
+function formatDuration(rawMinutes: number): string {
+  const minutes = Math.round(rawMinutes)
+  const hours = Math.floor(minutes / 60)
+  const mins = minutes % 60
+  if (hours === 0) return `${mins}m`
+  return mins === 0 ? `${hours}h` : `${hours}h ${mins}m`
+}
+
+/** Times before `anchor` are read as past midnight (a wrap at 1 AM after a 7 AM call). */
+function afterAnchor(minutes: number, anchor: number): number {
+  return minutes < anchor ? minutes + DAY_MINUTES : minutes
+}
+
+/**
+ * A clock time placed on the day nearest the point before it: 00:30 after a
+ * 23:45 end reads as past midnight, while 06:00 hair and makeup ahead of a
+ * 07:00 call stays at 06:00.
+ */
+function followingOn(minutes: number, previous: number): number {
+  let placed = minutes
+  while (placed + DAY_MINUTES / 2 < previous) placed += DAY_MINUTES
+  return placed
+}
+
+function daysBetween(from: string, to: string): number | null {
+  const a = Date.parse(`${from}T00:00:00Z`)
+  const b = Date.parse(`${to}T00:00:00Z`)
+  if (Number.isNaN(a) || Number.isNaN(b)) return null
+  return Math.round((b - a) / (DAY_MINUTES * 60 * 1000))
+}
+
+/**
+ * Later of the estimated wrap and the end of the last timed entry. Entries are
+ * walked in schedule order, each placed after the one before it.
+ */
+function projectedWrapMinutes(
+  crewCall: number,
+  dayDetails: DayDetails | null,
+  entries: readonly ScheduleEntry[],
+): number | null {
+  let wrap: number | null = null
+  const estimated = parseTimeToMinutes(dayDetails?.estimatedWrap)
+  if (estimated != null) wrap = afterAnchor(estimated, crewCall)
+  let previousEnd = crewCall
+  for (const entry of [...entries].sort((a, b) => a.order - b.order)) {
+    const start = parseTimeToMinutes(entry.startTime ?? entry.time)
+    if (start == null) continue
+    const duration = typeof entry.duration === "number" && entry.duration > 0 ? entry.duration : DEFAULT_ENTRY_MINUTES
+    const end = followingOn(start, previousEnd) + duration
+    previousEnd = end
+    if (wrap == null || end > wrap) wrap = end
+  }
+  return wrap
+}
+
+/** A crew member's call: explicit time wins, else the day's crew call shifted by their offset. */
+export function crewCallFor(call: CrewCallSheet, dayCrewCall: number | null): number | null {
+  const explicit = parseTimeToMinutes(call.callTime)
+  if (explicit != null) return explicit
+  if (dayCrewCall == null) return null
+  const offset = call.callOffsetMinutes ?? 0
+  if (call.callOffsetDirection === "early") return dayCrewCall - offset
+  if (call.callOffsetDirection === "delay") return dayCrewCall + offset
+  return dayCrewCall
+}
+
+interface PersonDay {
+  readonly call: number
+  readonly wrap: number
+}
+
+/**
+ * Call and wrap for everyone on a day, keyed "talent:<id>" / "crew:<id>".
+ * Missing wraps fall back to the day's wrap; wraps before call are next-day.
+ */
+function peopleOnDay(
+  dayDetails: DayDetails | null,
+  talentCalls: readonly TalentCallSheet[],
+  crewCalls: readonly CrewCallSheet[],
+  dayWrap: number | null,
+): ReadonlyMap<string, PersonDay> {
+  const people = new Map<string, PersonDay>()
+  const dayCrewCall = parseTimeToMinutes(dayDetails?.crewCallTime)
+  const dayShootCall = parseTimeToMinutes(dayDetails?.shootingCallTime) ?? dayCrewCall
+
+  const add = (key: string, call: number | null, wrapRaw: string | null | undefined) => {
+    if (call == null) return
+    const explicitWrap = parseTimeToMinutes(wrapRaw)
+    const wrap = explicitWrap != null ? afterAnchor(explicitWrap, call) : dayWrap
+    if (wrap == null) return
+    people.set(key, { call, wrap: Math.max(wrap, call) })
+  }
+
+  for (const call of talentCalls) {
+    add(`talent:${call.talentId}`, parseTimeToMinutes(call.callTime) ?? dayShootCall, call.wrapTime)
+  }
+  for (const call of crewCalls) {
+    add(`crew:${call.crewMemberId}`, crewCallFor(call, dayCrewCall), call.wrapTime)
+  }
+  return people
+}
+
+function dayWrapFor(dayDetails: DayDetails | null, entries: readonly ScheduleEntry[]): number | null {
+  const crewCall = parseTimeToMinutes(dayDetails?.crewCallTime)
+  if (crewCall == null) return parseTimeToMinutes(dayDetails?.estimatedWrap)
+  return projectedWrapMinutes(crewCall, dayDetails, entries)
+}
+
+// --- Checks ---
+
+function checkMeals(input: ComplianceCheckInput, crewCall: number, wrap: number | null): ComplianceWarning[] {
+  const { rules, dayDetails } = input
+  const warnings: ComplianceWarning[] = []
+  const firstLimit = crewCall + rules.firstMealWithinHours * 60
+  const firstMealRaw = parseTimeToMinutes(dayDetails?.firstMealTime)
+  const firstMeal = firstMealRaw == null ? null : followingOn(firstMealRaw, crewCall)
+
+  if (firstMeal == null) {
+    if (wrap != null && wrap > firstLimit) {
+      warnings.push({
+        id: "first-meal-late",
+        message: `No first meal scheduled — it is due by ${formatMinutesTo12h(firstLimit)} (${rules.firstMealWithinHours}h after crew call).`,
+      })
+    }
+    return warnings
+  }
+
+  if (firstMeal > firstLimit) {
+    warnings.push({
+      id: "first-meal-late",
+      message: `First meal at ${formatMinutesTo12h(firstMeal)} is ${formatDuration(firstMeal - crewCall)} after crew call (limit ${rules.firstMealWithinHours}h).`,
+    })
+  }
+
+  const firstMealEnd = firstMeal + rules.mealBreakMinutes
+  const secondLimit = firstMealEnd + rules.secondMealWithinHours * 60
+  const secondMealRaw = parseTimeToMinutes(dayDetails?.secondMealTime)
+  const secondMeal = secondMealRaw == null ? null : followingOn(secondMealRaw, firstMealEnd)
+
+  if (secondMeal == null) {
+    if (wrap != null && wrap > secondLimit) {
+      warnings.push({
+        id: "second-meal-late",
+        message: `No second meal scheduled — the day runs past ${formatMinutesTo12h(secondLimit)} (${rules.secondMealWithinHours}h after first meal).`,
+      })
+    }
+  } else if (secondMeal > secondLimit) {
+    warnings.push({
+      id: "second-meal-late",
+      message: `Second meal at ${formatMinutesTo12h(secondMeal)} is ${formatDuration(secondMeal - firstMealEnd)} after first meal (limit ${rules.secondMealWithinHours}h).`,
+    })
+  }
+
+  return warnings
+}
+
+function checkOvertime(rules: ComplianceRules, crewCall: number, wrap: number | null): ComplianceWarning | null {
+  if (wrap == null) return null
+  const limit = rules.overtimeAfterHours * 60
+  const worked = wrap - crewCall
+  if (worked <= limit) return null
+  return {
+    id: "projected-overtime",
+    message: `Projected ${formatDuration(worked)} day from crew call to wrap — ${formatDuration(worked - limit)} over the ${rules.overtimeAfterHours}h limit.`,
+  }
+}
+
+function checkTurnaround(input: ComplianceCheckInput, todayWrap: number | null): ComplianceWarning | null {
+  const { rules, date, previousDay, nextDay } = input
+  if (!date) return null
+  const minRest = rules.minTurnaroundHours * 60
+
+  const names = new Map<string, string>()
+  for (const t of input.talentLookup ?? []) names.set(`talent:${t.id}`, t.name)
+  for (const c of input.crewLibrary ?? []) names.set(`crew:${c.id}`, c.name)
+
+  const today = peopleOnDay(input.dayDetails, input.talentCalls, input.crewCalls, todayWrap)
+  const shortfalls: string[] = []
+
+  if (previousDay) {
+    const gapDays = daysBetween(previousDay.date, date)
+    if (gapDays != null && gapDays > 0) {
+      const prevWrap = dayWrapFor(previousDay.dayDetails, [])
+      const before = peopleOnDay(previousDay.dayDetails, previousDay.talentCalls, previousDay.crewCalls, prevWrap)
+      for (const [key, person] of today) {
+        const prev = before.get(key)
+        if (!prev) continue
+        const rest = gapDays * DAY_MINUTES + person.call - prev.wrap
+        if (rest < minRest) {
+          shortfalls.push(`${names.get(key) ?? "Someone"} (${formatDuration(Math.max(0, rest))} after the previous day)`)
+        }
+      }
+    }
+  }
+
+  if (nextDay) {
+    const gapDays = daysBetween(date, nextDay.date)
+    if (gapDays != null && gapDays > 0) {
+      const nextWrap = dayWrapFor(nextDay.dayDetails, [])
+      const after = peopleOnDay(nextDay.dayDetails, nextDay.talentCalls, nextDay.crewCalls, nextWrap)
+      for (const [key, person] of today) {
+        const next = after.get(key)
+        if (!next) continue
+        const rest = gapDays * DAY_MINUTES + next.call - person.wrap
+        if (rest < minRest) {
+          shortfalls.push(`${names.get(key) ?? "Someone"} (${formatDuration(Math.max(0, rest))} before the next day)`)
+        }
+      }
+    }
+  }
+
+  if (shortfalls.length === 0) return null
+  const listed = shortfalls.length <= 3
+    ? shortfalls.join(", ")
+    : `${shortfalls.slice(0, 3).join(", ")} and ${shortfalls.length - 3} more`
+  return {
+    id: "turnaround-short",
+    message: `Turnaround under ${rules.minTurnaroundHours}h: ${listed}.`,
+  }
+}
+
+/**
+ * Labour-rule checks for one call sheet: meal timing, projected overtime and
+ * per-person turnaround against the neighbouring shoot days. Returns nothing
+ * when the project's rules are disabled or crew call is unset.
+ */
+export function computeComplianceWarnings(input: ComplianceCheckInput): readonly ComplianceWarning[] {
+  const { rules, dayDetails, entries } = input
+  if (!rules.enabled) return []
+  const crewCall = parseTimeToMinutes(dayDetails?.crewCallTime)
+  if (crewCall == null) return []
+
+  const wrap = projectedWrapMinutes(crewCall, dayDetails, entries)
+  const warnings: ComplianceWarning[] = [...checkMeals(input, crewCall, wrap)]
+  const overtime = checkOvertime(rules, crewCall, wrap)
+  if (overtime) warnings.push(overtime)
+  const turnaround = checkTurnaround(input, wrap)
+  if (turnaround) warnings.push(turnaround)
+  return warnings
+}
@@ -0,0 +1,150 @@
+import { describe, it, expect } from "vitest"
+import {
+  buildCallSheetIcs,
+  buildCallSheetIcsEvents,
+  buildIcsCalendar,
+  escapeIcsText,
+  foldIcsLine,
+} from "./icsCalendar"
+import type { CallSheetIcsInput } from "./icsCalendar"
+import type { CrewRecord, DayDetails, Schedule, TalentRecord } from "@/shared/types"
+
+const STAMP = new Date("2026-03-01T12:00:00Z")
+
+function makeSchedule(overrides: Partial<Schedule> = {}): Schedule {
+  return {
+    id: "day-1",
+    projectId: "p1",
+    name: "Day 1",
+    date: { toDate: () => new Date("2026-03-14T00:00:00Z") } as never,
+    createdAt: null as never,
+    updatedAt: null as never,
+    ...overrides,
+  }
+}
+
+function makeDayDetails(overrides: Partial<DayDetails> = {}): DayDetails {
+  return {
+    id: "current",
+    scheduleId: "day-1",
+    crewCallTime: "07:00",
+    shootingCallTime: "08:00",
+    estimatedWrap: "19:00",
+    locations: [
+      { id: "l1", title: "Basecamp", ref: { label: "Lot B" }, showName: true, showPhone: false },
+      { id: "l2", title: "Shoot Location", ref: { label: "Studio 4", notes: "Door 2" }, showName: true, showPhone: false },
+    ],
+    ...overrides,
+  }
+}
+
+function makeInput(overrides: Partial<CallSheetIcsInput> = {}): CallSheetIcsInput {
+  return {
+    projectName: "Spring Campaign",
+    schedule: makeSchedule(),
+    dayDetails: makeDayDetails(),
+    talentCalls: [{ id: "tc1", talentId: "t1", callTime: "09:30", role: "Lead" }],
+    crewCalls: [{ id: "cc1", crewMemberId: "c1", callOffsetDirection: "early", callOffsetMinutes: 30 }],
+    talentLookup: [{ id: "t1", name: "Ava Reed" } as TalentRecord],
+    crewLookup: [{ id: "c1", name: "Sam Cho", position: "Gaffer" } as CrewRecord],
+    ...overrides,
+  }
+}
+
+describe("escapeIcsText", () => {
+  it("escapes separators, backslashes and newlines", () => {
+    expect(escapeIcsText("a,b;c\\d\ne")).toBe("a\\,b\\;c\\\\d\\ne")
+  })
+})
+
+describe("foldIcsLine", () => {
+  it("leaves short lines alone", () => {
+    expect(foldIcsLine("SUMMARY:Short")).toBe("SUMMARY:Short")
+  })
+
+  it("folds at 75 octets without splitting multi-byte characters", () => {
+    const line = `DESCRIPTION:${"é".repeat(60)}`
+    const folded = foldIcsLine(line)
+    const parts = folded.split("\r\n")
+    expect(parts.length).toBeGreaterThan(1)
+    for (const [i, part] of parts.entries()) {
+      expect(new TextEncoder().encode(part).length).toBeLessThanOrEqual(75)
+      if (i > 0) expect(part.startsWith(" ")).toBe(true)
+    }
+    expect(parts.map((p, i) => (i === 0 ? p : p.slice(1))).join("")).toBe(line)
+  })
+})
+
+describe("buildIcsCalendar", () => {
+  it("wraps events in a CRLF-terminated VCALENDAR", () => {
+    const ics = buildIcsCalendar({
+      name: "Test",
+      stamp: STAMP,
+      events: [{ uid: "u1", summary: "Call", date: "2026-03-14", startMinutes: 7 * 60, endMinutes: 25 * 60 }],
+    })
+    expect(ics.startsWith("BEGIN:VCALENDAR\r\nVERSION:2.0\r\n")).toBe(true)
+    expect(ics.endsWith("END:VCALENDAR\r\n")).toBe(true)
+    expect(ics).toContain("DTSTAMP:20260301T120000Z")
+    expect(ics).toContain("DTSTART:20260314T070000")
+    // Overnight wrap lands on the next calendar day.
+    expect(ics).toContain("DTEND:20260315T010000")
+  })
+
+  it("writes all-day events when there is no start time", () => {
+    const ics = buildIcsCalendar({
+      name: "Test",
+      stamp: STAMP,
+      events: [{ uid: "u1", summary: "Call", date: "2026-03-14", startMinutes: null }],
+    })
+    expect(ics).toContain("DTSTART;VALUE=DATE:20260314")
+    expect(ics).not.toContain("DTEND")
+  })
+})
+
+describe("buildCallSheetIcsEvents", () => {
+  it("builds a day event plus one event per talent and crew call", () => {
+    const events = buildCallSheetIcsEvents(makeInput())
+    expect(events.map((e) => e.uid)).toEqual([
+      "day-1-day@callsheet",
+      "day-1-talent-t1@callsheet",
+      "day-1-crew-c1@callsheet",
+    ])
+
+    const [day, talent, crew] = events
+    expect(day).toMatchObject({ startMinutes: 7 * 60, endMinutes: 19 * 60, location: "Studio 4" })
+    expect(day!.description).toContain("Basecamp: Lot B")
+    expect(day!.description).toContain("Shoot Location: Studio 4 (Door 2)")
+    expect(talent).toMatchObject({ summary: "Ava Reed call — Spring Campaign — Day 1", startMinutes: 9 * 60 + 30 })
+    expect(talent!.description).toContain("Lead")
+    // Crew call offsets resolve against the day's crew call.
+    expect(crew).toMatchObject({ startMinutes: 6 * 60 + 30, endMinutes: 19 * 60 })
+    expect(crew!.description).toContain("Gaffer")
+  })
+
+  it("falls back to shooting call for talent without their own time", () => {
+    const events = buildCallSheetIcsEvents(
+      makeInput({ talentCalls: [{ id: "tc1", talentId: "t1" }], crewCalls: [] }),
+    )
+    expect(events[1]!.startMinutes).toBe(8 * 60)
+  })
+
+  it("makes text-only calls all-day with the call text in the description", () => {
+    const events = buildCallSheetIcsEvents(
+      makeInput({ talentCalls: [{ id: "tc1", talentId: "t1", callText: "O/C" }], crewCalls: [] }),
+    )
+    expect(events[1]!.startMinutes).toBeNull()
+    expect(events[1]!.description).toContain("Call: O/C")
+  })
+
+  it("returns nothing for an undated schedule", () => {
+    expect(buildCallSheetIcsEvents(makeInput({ schedule: makeSchedule({ date: null }) }))).toEqual([])
+  })
+})
+
+describe("buildCallSheetIcs", () => {
+  it("names the calendar after the project and day", () => {
+    const ics = buildCallSheetIcs(makeInput(), STAMP)
+    expect(ics).toContain("X-WR-CALNAME:Spring Campaign — Day 1")
+    expect(ics.match(/BEGIN:VEVENT/g)).toHaveLength(3)
+  })
+})
@@ -0,0 +1,296 @@
+import { crewCallFor } from "@/features/schedules/lib/complianceChecks"
+import { compareLocationsByRole, resolveLocationRole, roleDisplayLabel } from "@/features/schedules/lib/locationRoles"
+import { formatMinutesTo12h, parseTimeToMinutes } from "@/features/schedules/lib/time"
+import type {
+  CrewCallSheet,
+  CrewRecord,
+  DayDetails,
+  LocationBlock,
+  Schedule,
+  TalentCallSheet,
+  TalentRecord,
+} from "@/shared/types"
+
+// ─── Encoding (RFC 5545) ────────────────────────────────────────────
+// Escaping and folding are duplicated in functions/src/calendarFeeds.js for
+// the subscribed feeds. Change both together; icsEncodingParity.test.ts
+// runs the two against the same fixtures.
+
+const DAY_MINUTES = 24 * 60
+const MAX_LINE_OCTETS = 75
+const PRODID = "-//Production Hub//Call Sheets//EN"
+
+export interface IcsEvent {
+  /** Stable across exports so calendar apps update instead of duplicating. */
+  readonly uid: string
+  readonly summary: string
+  /** Shoot day as YYYY-MM-DD. */
+  readonly date: string
+  /** Minutes after midnight; null makes an all-day event. */
+  readonly startMinutes: number | null
+  /** Minutes after midnight of `date`; may run past 24h for overnight wraps. */
+  readonly endMinutes?: number | null
+  readonly location?: string | null
+  readonly description?: string | null
+}
+
+export function escapeIcsText(value: string): string {
+  return value
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n")
+}
+
+const encoder = new TextEncoder()
+
+/** Folds a content line at 75 octets without splitting a multi-byte character. */
+export function foldIcsLine(line: string): string {
+  if (encoder.encode(line).length <= MAX_LINE_OCTETS) return line
+  const parts: string[] = []
+  let current = ""
+  let size = 0
+  for (const char of line) {
+    const charSize = encoder.encode(char).length
+    // Continuation lines start with a space, which counts toward the limit.
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1
+    if (size + charSize > limit) {
+      parts.push(current)
+      current = ""
+      size = 0
+    }
+    current += char
+    size += charSize
+  }
+  parts.push(current)
+  return parts.join("\r\n ")
+}
+
+function pad(value: number): string {
+  return String(value).padStart(2, "0")
+}
+
+/** Floating local date-time (no TZID) so the call reads the same wherever it is opened. */
+function formatLocalDateTime(date: string, minutes: number): string {
+  const base = Date.parse(`${date}T00:00:00Z`)
+  const d = new Date(base + minutes * 60 * 1000)
+  return (
+    `${d.getUTCFullYear()}${pad(d.getUTCMonth() + 1)}${pad(d.getUTCDate())}` +
+    `T${pad(d.getUTCHours())}${pad(d.getUTCMinutes())}00`
+  )
+}
+
+function formatStamp(stamp: Date): string {
+  return stamp.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}Z$/, "Z")
+}
+
+function eventLines(event: IcsEvent, stamp: string): string[] {
+  const lines = ["BEGIN:VEVENT", `UID:${event.uid}`, `DTSTAMP:${stamp}`]
+  if (event.startMinutes == null) {
+    lines.push(`DTSTART;VALUE=DATE:${event.date.replace(/-/g, "")}`)
+  } else {
+    lines.push(`DTSTART:${formatLocalDateTime(event.date, event.startMinutes)}`)
+    if (event.endMinutes != null && event.endMinutes > event.startMinutes) {
+      lines.push(`DTEND:${formatLocalDateTime(event.date, event.endMinutes)}`)
+    }
+  }
+  lines.push(`SUMMARY:${escapeIcsText(event.summary)}`)
+  if (event.location) lines.push(`LOCATION:${escapeIcsText(event.location)}`)
+  if (event.description) lines.push(`DESCRIPTION:${escapeIcsText(event.description)}`)
+  lines.push("END:VEVENT")
+  return lines
+}
+
+/** Serializes events into a VCALENDAR document with CRLF line endings. */
+export function buildIcsCalendar({
+  name,
+  events,
+  stamp = new Date(),
+}: {
+  readonly name: string
+  readonly events: readonly IcsEvent[]
+  readonly stamp?: Date
+}): string {
+  const dtstamp = formatStamp(stamp)
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeIcsText(name)}`,
+    ...events.flatMap((event) => eventLines(event, dtstamp)),
+    "END:VCALENDAR",
+  ]
+  return lines.map(foldIcsLine).join("\r\n") + "\r\n"
+}
+
+// ─── Call sheet events ──────────────────────────────────────────────
+
+export interface CallSheetIcsInput {
+  readonly projectName: string
+  readonly schedule: Schedule
+  readonly dayDetails: DayDetails | null
+  readonly talentCalls: readonly TalentCallSheet[]
+  readonly crewCalls: readonly CrewCallSheet[]
+  readonly talentLookup: readonly TalentRecord[]
+  readonly crewLookup: readonly CrewRecord[]
+}
+
+/** Same UTC day key the adjacent-day lookup uses. */
+function scheduleDate(schedule: Schedule): string | null {
+  try {
+    const d = schedule.date?.toDate()
+    if (!d || Number.isNaN(d.getTime())) return null
+    return d.toISOString().slice(0, 10)
+  } catch {
+    return null
+  }
+}
+
+function locationText(block: LocationBlock): string | null {
+  const label = block.ref?.label?.trim()
+  return label || null
+}
+
+/** LOCATION value: the shoot location when one is set, else the first named block. */
+function primaryLocation(blocks: readonly LocationBlock[]): string | null {
+  const named = blocks.filter((b) => locationText(b))
+  const shoot = named.find((b) => resolveLocationRole(b) === "shoot")
+  const pick = shoot ?? named[0]
+  return pick ? locationText(pick) : null
+}
+
+function locationLines(blocks: readonly LocationBlock[]): string[] {
+  return [...blocks]
+    .sort(compareLocationsByRole)
+    .flatMap((block) => {
+      const label = locationText(block)
+      if (!label) return []
+      const role = resolveLocationRole(block)
+      const heading = block.title?.trim() || roleDisplayLabel(role)
+      const notes = block.ref?.notes?.trim()
+      return [`${heading}: ${label}${notes ? ` (${notes})` : ""}`]
+    })
+}
+
+function timeLine(label: string, raw: string | null | undefined): string | null {
+  const minutes = parseTimeToMinutes(raw)
+  return minutes == null ? null : `${label}: ${formatMinutesTo12h(minutes)}`
+}
+
+function endAfter(start: number | null, raw: string | null | undefined, fallback: number | null): number | null {
+  if (start == null) return null
+  const end = parseTimeToMinutes(raw)
+  if (end == null) return fallback != null && fallback > start ? fallback : null
+  return end < start ? end + DAY_MINUTES : end
+}
+
+/**
+ * One event for the shoot day (crew call to estimated wrap) plus one per
+ * talent and crew call on the sheet. Empty when the schedule has no date.
+ */
+export function buildCallSheetIcsEvents(input: CallSheetIcsInput): readonly IcsEvent[] {
+  const { schedule, dayDetails } = input
+  const date = scheduleDate(schedule)
+  if (!date) return []
+
+  const blocks = dayDetails?.locations ?? []
+  const location = primaryLocation(blocks)
+  const locations = locationLines(blocks)
+  const dayTitle = [input.projectName, schedule.name].filter(Boolean).join(" — ") || "Shoot day"
+
+  const crewCall = parseTimeToMinutes(dayDetails?.crewCallTime)
+  const shootCall = parseTimeToMinutes(dayDetails?.shootingCallTime) ?? crewCall
+  const dayWrap = endAfter(crewCall, dayDetails?.estimatedWrap, null)
+
+  const dayDescription = [
+    timeLine("Crew call", dayDetails?.crewCallTime),
+    timeLine("Shooting call", dayDetails?.shootingCallTime),
+    timeLine("Breakfast", dayDetails?.breakfastTime),
+    timeLine("First meal", dayDetails?.firstMealTime),
+    timeLine("Second meal", dayDetails?.secondMealTime),
+    timeLine("Estimated wrap", dayDetails?.estimatedWrap),
+    ...locations,
+    dayDetails?.notes?.trim() || null,
+  ].filter((line): line is string => Boolean(line))
+
+  const events: IcsEvent[] = [
+    {
+      uid: `${schedule.id}-day@callsheet`,
+      summary: dayTitle,
+      date,
+      startMinutes: crewCall,
+      endMinutes: dayWrap,
+      location,
+      description: dayDescription.join("\n"),
+    },
+  ]
+
+  const personEvent = (
+    key: string,
+    name: string,
+    role: string | null | undefined,
+    call: number | null,
+    callText: string | null | undefined,
+    wrapRaw: string | null | undefined,
+    notes: string | null | undefined,
+  ): IcsEvent => ({
+    uid: `${schedule.id}-${key}@callsheet`,
+    summary: `${name} call — ${dayTitle}`,
+    date,
+    startMinutes: call,
+    endMinutes: endAfter(call, wrapRaw, dayWrap),
+    location,
+    description: [
+      role?.trim() || null,
+      call == null && callText?.trim() ? `Call: ${callText.trim()}` : null,
+      ...locations,
+      notes?.trim() || null,
+    ]
+      .filter((line): line is string => Boolean(line))
+      .join("\n"),
+  })
+
+  const talentById = new Map(input.talentLookup.map((t) => [t.id, t]))
+  for (const call of input.talentCalls) {
+    const name = talentById.get(call.talentId)?.name || "Talent"
+    const minutes = parseTimeToMinutes(call.callTime) ?? (call.callText ? null : shootCall)
+    events.push(
+      personEvent(`talent-${call.talentId}`, name, call.role, minutes, call.callText, call.wrapTime, call.notes),
+    )
+  }
+
+  const crewById = new Map(input.crewLookup.map((c) => [c.id, c]))
+  for (const call of input.crewCalls) {
+    const member = crewById.get(call.crewMemberId)
+    const role = call.position ?? member?.position ?? null
+    const minutes = call.callText && !call.callTime ? null : crewCallFor(call, crewCall)
+    events.push(
+      personEvent(`crew-${call.crewMemberId}`, member?.name || "Crew", role, minutes, call.callText, call.wrapTime, call.notes),
+    )
+  }
+
+  return events
+}
+
+export function buildCallSheetIcs(input: CallSheetIcsInput, stamp?: Date): string {
+  const name = [input.projectName, input.schedule.name].filter(Boolean).join(" — ") || "Call Sheet"
+  return buildIcsCalendar({ name, events: buildCallSheetIcsEvents(input), stamp })
+}
+
+export function downloadCallSheetIcs(input: CallSheetIcsInput): void {
+  const blob = new Blob([buildCallSheetIcs(input)], { type: "text/calendar;charset=utf-8" })
+  const base = (input.schedule.name || "call-sheet")
+    .replace(/[<>:"/\\|?*]/g, "")
+    .replace(/\s+/g, "-")
+    .toLowerCase()
+  const url = URL.createObjectURL(blob)
+  const a = document.createElement("a")
+  a.href = url
+  a.download = `${base || "call-sheet"}.ics`
+  document.body.appendChild(a)
+  a.click()
+  document.body.removeChild(a)
+  URL.revokeObjectURL(url)
+}
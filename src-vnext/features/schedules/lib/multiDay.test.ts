@@ -0,0 +1,69 @@
+import { describe, it, expect } from "vitest"
+import { computeDayTotals, entriesForTrack, sortSchedulesByDate } from "./multiDay"
+import type { Schedule, ScheduleEntry, Shot } from "@/shared/types"
+
+function makeSchedule(id: string, millis: number | null, overrides: Partial<Schedule> = {}): Schedule {
+  return {
+    id,
+    projectId: "p1",
+    name: id,
+    date: millis == null ? null : ({ toMillis: () => millis } as never),
+    createdAt: null as never,
+    updatedAt: null as never,
+    ...overrides,
+  }
+}
+
+function makeEntry(id: string, overrides: Partial<ScheduleEntry> = {}): ScheduleEntry {
+  return { id, type: "shot", title: id, order: 0, trackId: "primary", ...overrides }
+}
+
+describe("sortSchedulesByDate", () => {
+  it("orders by date with undated days last", () => {
+    const sorted = sortSchedulesByDate([
+      makeSchedule("undated", null),
+      makeSchedule("day-2", 2000),
+      makeSchedule("day-1", 1000),
+    ])
+    expect(sorted.map((s) => s.id)).toEqual(["day-1", "day-2", "undated"])
+  })
+})
+
+describe("entriesForTrack", () => {
+  const tracks = [
+    { id: "primary", name: "A", order: 0 },
+    { id: "b", name: "B", order: 1 },
+  ]
+
+  it("returns a track's entries in order, without banners", () => {
+    const entries = [
+      makeEntry("x", { order: 1 }),
+      makeEntry("y", { order: 0 }),
+      makeEntry("z", { trackId: "b" }),
+      makeEntry("banner", { type: "banner", trackId: "shared" }),
+    ]
+    expect(entriesForTrack(entries, tracks, "primary").map((e) => e.id)).toEqual(["y", "x"])
+  })
+
+  it("shows entries on a removed track under the first track", () => {
+    const entries = [makeEntry("orphan", { trackId: "gone" })]
+    expect(entriesForTrack(entries, tracks, "primary").map((e) => e.id)).toEqual(["orphan"])
+  })
+})
+
+describe("computeDayTotals", () => {
+  it("counts shots and the distinct talent and locations they use", () => {
+    const shots = new Map<string, Shot>([
+      ["s1", { id: "s1", talent: ["t1", "t2"], locationId: "studio" } as unknown as Shot],
+      ["s2", { id: "s2", talent: [], talentIds: ["t2"], locationId: "studio" } as unknown as Shot],
+      ["s3", { id: "s3", talent: ["t3"], locationId: "beach" } as unknown as Shot],
+    ])
+    const entries = [
+      makeEntry("e1", { shotId: "s1" }),
+      makeEntry("e2", { shotId: "s2" }),
+      makeEntry("e3", { shotId: "s3" }),
+      makeEntry("lunch", { type: "break" }),
+    ]
+    expect(computeDayTotals(entries, shots)).toEqual({ shots: 3, talent: 3, locations: 2 })
+  })
+})
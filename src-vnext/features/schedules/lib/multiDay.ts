@@ -0,0 +1,83 @@
+import type { Schedule, ScheduleEntry, ScheduleTrack, Shot } from "@/shared/types"
+
+// ─── Day ordering ───────────────────────────────────────────────────
+
+function dateMillis(schedule: Schedule): number | null {
+  try {
+    const ms = schedule.date?.toMillis()
+    return typeof ms === "number" && Number.isFinite(ms) ? ms : null
+  } catch {
+    return null
+  }
+}
+
+/** Schedules in shoot-day order; undated days go last, by name. */
+export function sortSchedulesByDate(schedules: readonly Schedule[]): readonly Schedule[] {
+  return [...schedules].sort((a, b) => {
+    const am = dateMillis(a)
+    const bm = dateMillis(b)
+    if (am != null && bm != null && am !== bm) return am - bm
+    if (am == null && bm != null) return 1
+    if (am != null && bm == null) return -1
+    return a.name.localeCompare(b.name)
+  })
+}
+
+/** Tracks in display order, falling back to the implicit primary track. */
+export function scheduleTracks(schedule: Schedule): readonly ScheduleTrack[] {
+  const raw = schedule.tracks
+  if (raw && raw.length > 0) return [...raw].sort((a, b) => (a.order ?? 0) - (b.order ?? 0))
+  return [{ id: "primary", name: "Primary", order: 0 }]
+}
+
+/**
+ * One track's entries in running order. Entries pointing at a track the
+ * schedule no longer has fall back to the first track, as in the day view.
+ */
+export function entriesForTrack(
+  entries: readonly ScheduleEntry[],
+  tracks: readonly ScheduleTrack[],
+  trackId: string,
+): readonly ScheduleEntry[] {
+  const known = new Set(tracks.map((t) => t.id))
+  const fallback = tracks[0]?.id ?? "primary"
+  return entries
+    .filter((e) => e.type !== "banner" && e.trackId !== "shared" && e.trackId !== "all")
+    .filter((e) => {
+      const id = e.trackId ?? "primary"
+      return (known.has(id) ? id : fallback) === trackId
+    })
+    .sort((a, b) => a.order - b.order || a.id.localeCompare(b.id))
+}
+
+// ─── Totals ─────────────────────────────────────────────────────────
+
+export interface DayTotals {
+  readonly shots: number
+  readonly talent: number
+  readonly locations: number
+}
+
+/** Shots scheduled on a day plus the distinct talent and locations they need. */
+export function computeDayTotals(
+  entries: readonly ScheduleEntry[],
+  shotsById: ReadonlyMap<string, Shot>,
+): DayTotals {
+  const shotIds = new Set<string>()
+  const talent = new Set<string>()
+  const locations = new Set<string>()
+
+  for (const entry of entries) {
+    if (entry.type !== "shot" || !entry.shotId) continue
+    shotIds.add(entry.shotId)
+    const shot = shotsById.get(entry.shotId)
+    if (!shot) continue
+    const talentIds = shot.talentIds && shot.talentIds.length > 0 ? shot.talentIds : (shot.talent ?? [])
+    for (const id of talentIds) {
+      if (id) talent.add(id)
+    }
+    if (shot.locationId) locations.add(shot.locationId)
+  }
+
+  return { shots: shotIds.size, talent: talent.size, locations: locations.size }
+}
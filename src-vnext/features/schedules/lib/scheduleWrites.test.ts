@@ -3,6 +3,12 @@ import { describe, expect, it, vi, beforeEach } from "vitest"
 const setDocMock = vi.fn()
 const docMock = vi.fn((...segments: unknown[]) => ({ __ref: segments.slice(1) }))
 const serverTimestampMock = vi.fn(() => "MOCK_SERVER_TIMESTAMP")
+const batch = {
+  delete: vi.fn(),
+  set: vi.fn(),
+  update: vi.fn(),
+  commit: vi.fn(),
+}
 
 vi.mock("firebase/firestore", () => ({
   collection: vi.fn(),
@@ -11,7 +17,7 @@ vi.mock("firebase/firestore", () => ({
   updateDoc: vi.fn(),
   deleteDoc: vi.fn(),
   serverTimestamp: () => serverTimestampMock(),
-  writeBatch: vi.fn(),
+  writeBatch: () => batch,
   arrayUnion: vi.fn(),
 }))
 
@@ -38,10 +44,14 @@ vi.mock("@/shared/lib/paths", () => {
     scheduleCrewCallsPath: () => [],
     callSheetConfigPath: () => [],
     locationsPath: () => [],
+    shotPath: (shotId: string, clientId: string) => ["clients", clientId, "shots", shotId],
   }
 })
 
-import { upsertScheduleEntry } from "@/features/schedules/lib/scheduleWrites"
+import {
+  moveScheduleEntryToSchedule,
+  upsertScheduleEntry,
+} from "@/features/schedules/lib/scheduleWrites"
 
 describe("upsertScheduleEntry", () => {
   beforeEach(() => {
@@ -92,3 +102,51 @@ describe("upsertScheduleEntry", () => {
     })
   })
 })
+
+describe("moveScheduleEntryToSchedule", () => {
+  beforeEach(() => {
+    for (const fn of Object.values(batch)) fn.mockReset()
+    batch.commit.mockResolvedValue(undefined)
+  })
+
+  const refPath = (call: unknown[]) => (call[0] as { __ref: unknown[] }).__ref.join("/")
+
+  it("re-creates the entry on the target day and patches both days in one batch", async () => {
+    await moveScheduleEntryToSchedule("client-1", "project-1", {
+      fromScheduleId: "day-1",
+      toScheduleId: "day-2",
+      entry: { id: "entry-42", type: "shot", title: "Hero", shotId: "shot-9", order: 1, startTime: "09:00", duration: 30 },
+      plan: {
+        sourcePatches: [{ entryId: "entry-43", patch: { order: 1 } }],
+        targetPatches: [{ entryId: "entry-7", patch: { order: 1, startTime: "08:30" } }],
+        moved: { trackId: "primary", order: 0, startTime: "08:00" },
+      },
+      shotDate: "DAY_2_DATE",
+    })
+
+    expect(batch.delete.mock.calls.map(refPath)).toEqual([
+      "clients/client-1/projects/project-1/schedules/day-1/entries/entry-42",
+    ])
+    expect(refPath(batch.set.mock.calls[0]!)).toBe("clients/client-1/projects/project-1/schedules/day-2/entries/entry-42")
+    expect(batch.set.mock.calls[0]![1]).toMatchObject({ shotId: "shot-9", order: 0, startTime: "08:00", trackId: "primary" })
+    expect(batch.update.mock.calls.map(refPath)).toEqual([
+      "clients/client-1/projects/project-1/schedules/day-1/entries/entry-43",
+      "clients/client-1/projects/project-1/schedules/day-2/entries/entry-7",
+      "clients/client-1/shots/shot-9",
+    ])
+    expect(batch.update.mock.calls[2]![1]).toEqual({ date: "DAY_2_DATE", updatedAt: "MOCK_SERVER_TIMESTAMP" })
+    expect(batch.commit).toHaveBeenCalledTimes(1)
+  })
+
+  it("leaves the shot alone when the target day has no date", async () => {
+    await moveScheduleEntryToSchedule("client-1", "project-1", {
+      fromScheduleId: "day-1",
+      toScheduleId: "day-2",
+      entry: { id: "entry-42", type: "shot", title: "Hero", shotId: "shot-9", order: 0 },
+      plan: { sourcePatches: [], targetPatches: [], moved: { trackId: "primary", order: 0, startTime: null } },
+      shotDate: null,
+    })
+
+    expect(batch.update).not.toHaveBeenCalled()
+  })
+})
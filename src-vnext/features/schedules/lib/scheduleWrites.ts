@@ -18,8 +18,11 @@ import {
   scheduleCrewCallsPath,
   callSheetConfigPath,
   locationsPath,
+  shotPath,
 } from "@/shared/lib/paths"
+import type { CrossDayMovePlan } from "@/features/schedules/lib/cascade"
 import type {
+  ScheduleEntry,
   ScheduleTrack,
   ScheduleSettings,
   ScheduleEntryHighlight,
@@ -260,6 +263,57 @@ export async function upsertScheduleEntry(
   return { id: entryId }
 }
 
+/**
+ * Move an entry to another schedule (shoot day) in one batch: the doc is
+ * re-created under the target schedule with the same id, both days get their
+ * cascade patches, and a linked shot takes the target day's date.
+ */
+export async function moveScheduleEntryToSchedule(
+  clientId: string,
+  projectId: string,
+  input: {
+    readonly fromScheduleId: string
+    readonly toScheduleId: string
+    readonly entry: ScheduleEntry
+    readonly plan: CrossDayMovePlan
+    readonly shotDate?: unknown
+  },
+): Promise<void> {
+  const { fromScheduleId, toScheduleId, entry, plan, shotDate } = input
+  const batch = writeBatch(db)
+  const fromEntries = scheduleEntriesPath(projectId, fromScheduleId, clientId)
+  const toEntries = scheduleEntriesPath(projectId, toScheduleId, clientId)
+
+  batch.delete(ref([...fromEntries, entry.id]))
+  batch.set(ref([...toEntries, entry.id]), {
+    type: entry.type,
+    title: entry.title,
+    shotId: entry.shotId ?? null,
+    startTime: plan.moved.startTime,
+    duration: entry.duration ?? null,
+    order: plan.moved.order,
+    trackId: plan.moved.trackId,
+    appliesToTrackIds: entry.appliesToTrackIds ?? null,
+    highlight: entry.highlight ?? null,
+    notes: entry.notes ?? null,
+    createdAt: entry.createdAt ?? serverTimestamp(),
+    updatedAt: serverTimestamp(),
+  })
+
+  for (const update of plan.sourcePatches) {
+    batch.update(ref([...fromEntries, update.entryId]), { ...update.patch, updatedAt: serverTimestamp() })
+  }
+  for (const update of plan.targetPatches) {
+    batch.update(ref([...toEntries, update.entryId]), { ...update.patch, updatedAt: serverTimestamp() })
+  }
+
+  if (entry.shotId && shotDate) {
+    batch.update(ref(shotPath(entry.shotId, clientId)), { date: shotDate, updatedAt: serverTimestamp() })
+  }
+
+  await batch.commit()
+}
+
 // --- Day Details ---
 
 export async function updateDayDetails(
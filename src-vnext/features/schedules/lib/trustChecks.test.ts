@@ -1,5 +1,6 @@
 import { describe, it, expect } from "vitest"
 import { computeTrustWarnings } from "./trustChecks"
+import { DEFAULT_COMPLIANCE_RULES } from "./complianceChecks"
 import type {
   Schedule,
   ScheduleEntry,
@@ -291,4 +292,19 @@ describe("computeTrustWarnings", () => {
       expect(warning).toBeDefined()
     })
   })
+
+  describe("labour rules", () => {
+    it("skips compliance checks unless rules are passed", () => {
+      const warnings = computeTrustWarnings(emptyInput)
+      expect(warnings.some((w) => w.id === "projected-overtime")).toBe(false)
+    })
+
+    it("appends compliance warnings for the day", () => {
+      const warnings = computeTrustWarnings({
+        ...emptyInput,
+        compliance: { rules: DEFAULT_COMPLIANCE_RULES, date: "2026-03-02" },
+      })
+      expect(warnings.map((w) => w.id)).toEqual(["first-meal-late", "projected-overtime"])
+    })
+  })
 })
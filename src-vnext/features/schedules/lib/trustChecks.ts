@@ -7,6 +7,11 @@ import type {
   CrewRecord,
 } from "@/shared/types"
 import { findTrackOverlapConflicts } from "@/features/schedules/lib/conflicts"
+import {
+  computeComplianceWarnings,
+  type ComplianceCheckInput,
+  type ComplianceWarningId,
+} from "@/features/schedules/lib/complianceChecks"
 
 // --- Warning model ---
 
@@ -16,6 +21,7 @@ export type TrustWarningId =
   | "no-schedule-entries"
   | "track-overlap-conflicts"
   | "wrap-before-last-entry"
+  | ComplianceWarningId
 
 export interface TrustWarning {
   readonly id: TrustWarningId
@@ -63,7 +69,7 @@ function isTimeBefore(a: string | null | undefined, b: string | null | undefined
 
 // --- Warning computation ---
 
-interface TrustCheckInput {
+export interface TrustCheckInput {
   readonly schedule: Schedule | null
   readonly participatingTalentIds?: readonly string[]
   readonly entries: readonly ScheduleEntry[]
@@ -71,6 +77,11 @@ interface TrustCheckInput {
   readonly talentCalls: readonly TalentCallSheet[]
   readonly crewCalls: readonly CrewCallSheet[]
   readonly crewLibrary: readonly CrewRecord[]
+  /** Project labour rules + neighbouring days; omitted = no compliance checks. */
+  readonly compliance?: Omit<
+    ComplianceCheckInput,
+    "entries" | "dayDetails" | "talentCalls" | "crewCalls" | "crewLibrary"
+  >
 }
 
 export function computeTrustWarnings(input: TrustCheckInput): readonly TrustWarning[] {
@@ -82,6 +93,7 @@ export function computeTrustWarnings(input: TrustCheckInput): readonly TrustWarn
     talentCalls,
     crewCalls,
     crewLibrary,
+    compliance,
   } = input
   const warnings: TrustWarning[] = []
 
@@ -181,5 +193,19 @@ export function computeTrustWarnings(input: TrustCheckInput): readonly TrustWarn
     })
   }
 
+  // 6. Labour rules: meals, overtime, turnaround.
+  if (compliance) {
+    warnings.push(
+      ...computeComplianceWarnings({
+        ...compliance,
+        entries,
+        dayDetails,
+        talentCalls,
+        crewCalls,
+        crewLibrary,
+      }),
+    )
+  }
+
   return warnings
 }
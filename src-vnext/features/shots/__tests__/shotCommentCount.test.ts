@@ -0,0 +1,82 @@
+// @vitest-environment node
+/**
+ * Unit tests for `functions/src/shotCommentCount.js` (the `syncShotCommentCount`
+ * trigger and backfill). Firestore refs are faked in memory: the count
+ * aggregation and the shot update are all the recount touches.
+ */
+
+import { describe, expect, it, vi } from "vitest"
+import { createRequire } from "node:module"
+import { resolve } from "node:path"
+
+type Comment = { deleted?: boolean }
+
+const require = createRequire(import.meta.url)
+const commentCount = require(
+  resolve(__dirname, "../../../../functions/src/shotCommentCount.js"),
+) as {
+  recountShotComments: (shotRef: unknown) => Promise<number | null>
+  handleShotCommentWrite: (
+    change: { before: unknown; after: unknown },
+    context: { params: { clientId: string; shotId: string } },
+    deps: { db: unknown },
+  ) => Promise<null>
+}
+
+function fakeShotRef(comments: Comment[], { missing = false } = {}) {
+  const countOf = (docs: Comment[]) => ({ get: async () => ({ data: () => ({ count: docs.length }) }) })
+  const update = vi.fn(async () => {
+    if (missing) throw Object.assign(new Error("NOT_FOUND"), { code: 5 })
+  })
+  return {
+    update,
+    collection: (name: string) => {
+      expect(name).toBe("comments")
+      return {
+        count: () => countOf(comments),
+        where: (field: string, op: string, value: unknown) => {
+          expect([field, op, value]).toEqual(["deleted", "==", true])
+          return { count: () => countOf(comments.filter((c) => c.deleted === true)) }
+        },
+      }
+    },
+  }
+}
+
+const snap = (data: Comment | null) => ({ exists: data !== null, data: () => data })
+
+describe("recountShotComments", () => {
+  it("writes the absolute live count, including legacy comments without a deleted flag", async () => {
+    const shotRef = fakeShotRef([{ deleted: false }, {}, { deleted: true }, {}, {}, { deleted: false }])
+    await expect(commentCount.recountShotComments(shotRef)).resolves.toBe(5)
+    expect(shotRef.update).toHaveBeenCalledWith({ commentCount: 5 })
+  })
+
+  it("ignores a hard-deleted shot", async () => {
+    const shotRef = fakeShotRef([{}], { missing: true })
+    await expect(commentCount.recountShotComments(shotRef)).resolves.toBeNull()
+  })
+})
+
+describe("handleShotCommentWrite", () => {
+  const context = { params: { clientId: "c1", shotId: "s1" } }
+
+  it("recounts a shot whose existing comments predate the counter", async () => {
+    // 5 comments already on the shot before deploy, plus the new one.
+    const shotRef = fakeShotRef([{}, {}, {}, {}, {}, { deleted: false }])
+    const db = { doc: vi.fn(() => shotRef) }
+    await commentCount.handleShotCommentWrite({ before: snap(null), after: snap({ deleted: false }) }, context, { db })
+    expect(db.doc).toHaveBeenCalledWith("clients/c1/shots/s1")
+    expect(shotRef.update).toHaveBeenCalledWith({ commentCount: 6 })
+  })
+
+  it("skips writes that don't change whether the comment is live", async () => {
+    const db = { doc: vi.fn() }
+    await commentCount.handleShotCommentWrite(
+      { before: snap({ deleted: true }), after: snap({ deleted: true }) },
+      context,
+      { db },
+    )
+    expect(db.doc).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,138 @@
+// @vitest-environment node
+/**
+ * Firestore rules tests for shotListViews — saved shot-list views.
+ *
+ * Tested on a TEAM project so the project wildcard would grant access if the
+ * explicit block's exclusion from it regressed: a private view must stay
+ * invisible to the rest of the team, and only the creator may edit it.
+ *
+ * Requires the Firestore emulator; self-skips when FIRESTORE_EMULATOR_HOST is unset.
+ */
+
+import { readFileSync } from "node:fs"
+import { resolve } from "node:path"
+import { afterAll, beforeAll, describe, expect, it } from "vitest"
+import {
+  assertFails,
+  assertSucceeds,
+  initializeTestEnvironment,
+  type RulesTestEnvironment,
+} from "@firebase/rules-unit-testing"
+import { collection, deleteDoc, doc, getDoc, getDocs, query, setDoc, updateDoc, where } from "firebase/firestore"
+
+const EMULATOR_HOST = process.env.FIRESTORE_EMULATOR_HOST
+const skipSuite = !EMULATOR_HOST
+const describeOrSkip = skipSuite ? describe.skip : describe
+
+const PROJECT_ID = "demo-shotlistviews-rules"
+const RULES_PATH = resolve(__dirname, "../../../../firestore.rules")
+
+const CLIENT_A = "client-a"
+const CLIENT_B = "client-b"
+const PROJ = "proj-team"
+const VIEW_PRIVATE = "view-private" // prod-a's private view
+const VIEW_SHARED = "view-shared" // prod-a's shared view
+
+function viewDoc(createdBy: string, visibility: "private" | "shared") {
+  return {
+    name: "Hero shots",
+    visibility,
+    state: { filters: "", query: "", sortKey: "custom", sortDir: "asc", groupKey: "none", viewMode: null, columns: [] },
+    createdBy,
+    updatedBy: createdBy,
+  }
+}
+
+let testEnv: RulesTestEnvironment | null = null
+
+describeOrSkip("firestore.rules — shotListViews", () => {
+  beforeAll(async () => {
+    if (!EMULATOR_HOST) return
+    const [host, portStr] = EMULATOR_HOST.split(":")
+    const port = Number(portStr || "8080")
+    testEnv = await initializeTestEnvironment({
+      projectId: PROJECT_ID,
+      firestore: { host, port, rules: readFileSync(RULES_PATH, "utf8") },
+    })
+
+    await testEnv.withSecurityRulesDisabled(async (ctx) => {
+      const db = ctx.firestore()
+      await setDoc(doc(db, "clients", CLIENT_A, "projects", PROJ), { visibility: "team" })
+      await setDoc(doc(db, "clients", CLIENT_A, "projects", PROJ, "members", "viewer-a"), { role: "viewer" })
+      await setDoc(
+        doc(db, "clients", CLIENT_A, "projects", PROJ, "shotListViews", VIEW_PRIVATE),
+        viewDoc("prod-a", "private"),
+      )
+      await setDoc(
+        doc(db, "clients", CLIENT_A, "projects", PROJ, "shotListViews", VIEW_SHARED),
+        viewDoc("prod-a", "shared"),
+      )
+    })
+  })
+
+  afterAll(async () => {
+    if (testEnv) await testEnv.cleanup()
+  })
+
+  function authed(uid: string, clientId: string, role: string) {
+    return testEnv!.authenticatedContext(uid, { clientId, role }).firestore()
+  }
+  const viewsRef = (db: ReturnType<typeof authed>) =>
+    collection(db, "clients", CLIENT_A, "projects", PROJ, "shotListViews")
+  const viewRef = (db: ReturnType<typeof authed>, id: string) =>
+    doc(db, "clients", CLIENT_A, "projects", PROJ, "shotListViews", id)
+
+  it("[1] the creator reads their private view", async () => {
+    await assertSucceeds(getDoc(viewRef(authed("prod-a", CLIENT_A, "producer"), VIEW_PRIVATE)))
+  })
+
+  it("[2] another team producer cannot read a private view (wildcard excluded)", async () => {
+    await assertFails(getDoc(viewRef(authed("prod-b", CLIENT_A, "producer"), VIEW_PRIVATE)))
+  })
+
+  it("[3] a project viewer can list shared views", async () => {
+    const db = authed("viewer-a", CLIENT_A, "viewer")
+    await assertSucceeds(getDocs(query(viewsRef(db), where("visibility", "==", "shared"))))
+  })
+
+  it("[4] a project viewer can save their own private view", async () => {
+    const db = authed("viewer-a", CLIENT_A, "viewer")
+    await assertSucceeds(setDoc(viewRef(db, "view-viewer"), viewDoc("viewer-a", "private")))
+  })
+
+  it("[5] CREATE with a spoofed createdBy fails", async () => {
+    const db = authed("prod-b", CLIENT_A, "producer")
+    await assertFails(setDoc(viewRef(db, "view-spoof"), viewDoc("prod-a", "shared")))
+  })
+
+  it("[6] CREATE with an unknown visibility fails", async () => {
+    const db = authed("prod-b", CLIENT_A, "producer")
+    await assertFails(setDoc(viewRef(db, "view-bad"), { ...viewDoc("prod-b", "shared"), visibility: "public" }))
+  })
+
+  it("[7] another producer cannot UPDATE or DELETE a shared view they did not create", async () => {
+    const db = authed("prod-b", CLIENT_A, "producer")
+    await assertFails(updateDoc(viewRef(db, VIEW_SHARED), { name: "Hijacked" }))
+    await assertFails(deleteDoc(viewRef(db, VIEW_SHARED)))
+  })
+
+  it("[8] the creator can flip visibility but not reassign createdBy", async () => {
+    const db = authed("prod-a", CLIENT_A, "producer")
+    await assertSucceeds(updateDoc(viewRef(db, VIEW_SHARED), { visibility: "private" }))
+    await assertFails(updateDoc(viewRef(db, VIEW_SHARED), { createdBy: "prod-b" }))
+  })
+
+  it("[9] foreign-tenant producer cannot CREATE in another client's path", async () => {
+    const db = authed("prod-x", CLIENT_B, "producer")
+    await assertFails(setDoc(viewRef(db, "view-foreign"), viewDoc("prod-x", "shared")))
+  })
+})
+
+// Visible skip notice so developers know why zero rules tests ran locally.
+if (skipSuite) {
+  describe("firestore.rules — shotListViews (skipped)", () => {
+    it("skipped: set FIRESTORE_EMULATOR_HOST to run rules unit tests", () => {
+      expect(skipSuite).toBe(true)
+    })
+  })
+}
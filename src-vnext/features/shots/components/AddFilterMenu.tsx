@@ -2,15 +2,21 @@ import { useState } from "react"
 import { Popover, PopoverContent, PopoverTrigger } from "@/ui/popover"
 import { Button } from "@/ui/button"
 import { Plus } from "lucide-react"
+import { Separator } from "@/ui/separator"
 import {
   FILTER_FIELD_META,
+  FILTER_GROUP_OPERATORS,
+  GROUP_OPERATOR_LABELS,
+  isFilterCondition,
   type FilterCondition,
   type FilterField,
   type FilterFieldMeta,
+  type FilterGroupOperator,
+  type FilterNode,
 } from "../lib/filterConditions"
 
 // ---------------------------------------------------------------------------
-// Single-use fields — only one condition allowed at a time
+// Single-use fields — only one condition allowed at a time (per group)
 // ---------------------------------------------------------------------------
 
 const SINGLE_USE_FIELDS: ReadonlySet<FilterField> = new Set([
@@ -19,6 +25,7 @@ const SINGLE_USE_FIELDS: ReadonlySet<FilterField> = new Set([
   "hasRequirements",
   "hasHeroImage",
   "launchDate",
+  "date",
 ])
 
 // ---------------------------------------------------------------------------
@@ -32,6 +39,7 @@ function defaultValueForMeta(meta: FilterFieldMeta) {
     case "boolean":
       return true
     case "date":
+    case "text":
       return ""
     default:
       return null
@@ -43,18 +51,22 @@ function defaultValueForMeta(meta: FilterFieldMeta) {
 // ---------------------------------------------------------------------------
 
 interface AddFilterMenuProps {
-  readonly conditions: readonly FilterCondition[]
+  /** Sibling nodes at the level being added to — drives single-use gating. */
+  readonly conditions: readonly FilterNode[]
   readonly onAdd: (condition: Omit<FilterCondition, "id">) => void
+  /** When provided, the menu also offers nested AND/OR/NOT groups. */
+  readonly onAddGroup?: (operator: FilterGroupOperator) => void
+  readonly label?: string
 }
 
 // ---------------------------------------------------------------------------
 // Component
 // ---------------------------------------------------------------------------
 
-export function AddFilterMenu({ conditions, onAdd }: AddFilterMenuProps) {
+export function AddFilterMenu({ conditions, onAdd, onAddGroup, label = "Add filter" }: AddFilterMenuProps) {
   const [open, setOpen] = useState(false)
 
-  const activeFields = new Set(conditions.map((c) => c.field))
+  const activeFields = new Set(conditions.filter(isFilterCondition).map((c) => c.field))
 
   const availableFields = FILTER_FIELD_META.filter((meta) => {
     if (SINGLE_USE_FIELDS.has(meta.field) && activeFields.has(meta.field)) {
@@ -72,12 +84,17 @@ export function AddFilterMenu({ conditions, onAdd }: AddFilterMenuProps) {
     setOpen(false)
   }
 
+  const handleSelectGroup = (operator: FilterGroupOperator) => {
+    onAddGroup?.(operator)
+    setOpen(false)
+  }
+
   return (
     <Popover open={open} onOpenChange={setOpen}>
       <PopoverTrigger asChild>
         <Button variant="outline" size="sm" className="gap-1.5">
           <Plus className="h-3.5 w-3.5" />
-          Add filter
+          {label}
         </Button>
       </PopoverTrigger>
       <PopoverContent align="start" className="w-52 p-1.5">
@@ -92,6 +109,21 @@ export function AddFilterMenu({ conditions, onAdd }: AddFilterMenuProps) {
               {meta.label}
             </button>
           ))}
+          {onAddGroup && (
+            <>
+              <Separator className="my-1" />
+              {FILTER_GROUP_OPERATORS.map((operator) => (
+                <button
+                  key={`${operator}-group-add`}
+                  type="button"
+                  className="flex w-full items-center rounded-md px-2.5 py-1.5 text-left text-sm transition-colors hover:bg-[var(--color-surface-hover)]"
+                  onClick={() => handleSelectGroup(operator)}
+                >
+                  {GROUP_OPERATOR_LABELS[operator]}… group
+                </button>
+              ))}
+            </>
+          )}
         </div>
       </PopoverContent>
     </Popover>
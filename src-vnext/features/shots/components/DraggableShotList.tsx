@@ -17,6 +17,7 @@ import {
 } from "@dnd-kit/sortable"
 import { CSS } from "@dnd-kit/utilities"
 import { ShotCard, type ShotCardVisibleFields } from "@/features/shots/components/ShotCard"
+import type { ShotSearchSnippet } from "@/features/shots/lib/shotSearch"
 import { persistShotOrder } from "@/features/shots/lib/reorderShots"
 import { useAuth } from "@/app/providers/AuthProvider"
 import { GripVertical } from "lucide-react"
@@ -42,6 +43,8 @@ interface DraggableShotListProps {
   readonly familyById?: ReadonlyMap<string, ProductFamily>
   readonly skuById?: ReadonlyMap<string, ProductSku>
   readonly samplesByFamily?: ReadonlyMap<string, ReadonlyArray<ProductSample>>
+  /** Match context while a text search is active (search always gates reorder off). */
+  readonly searchSnippets?: ReadonlyMap<string, ShotSearchSnippet>
   readonly selection?: {
     readonly enabled: boolean
     readonly selectedIds: ReadonlySet<string>
@@ -61,6 +64,7 @@ export function DraggableShotList({
   familyById,
   skuById,
   samplesByFamily,
+  searchSnippets,
   selection,
 }: DraggableShotListProps) {
   const { clientId } = useAuth()
@@ -125,6 +129,7 @@ export function DraggableShotList({
               familyById={familyById}
               skuById={skuById}
               samplesByFamily={samplesByFamily}
+              searchSnippet={searchSnippets?.get(shot.id)}
             />
           ))}
         </div>
@@ -20,18 +20,24 @@ import { FilterValuePicker } from "./FilterValuePicker"
 // Props
 // ---------------------------------------------------------------------------
 
-interface FilterConditionRowProps {
-  readonly condition: FilterCondition
-  readonly onUpdate: (conditionId: string, updates: Partial<Omit<FilterCondition, "id">>) => void
-  readonly onRemove: (conditionId: string) => void
+/** Option lists every value picker needs — threaded unchanged through nested groups. */
+export interface FilterPickerData {
   readonly statusOptions: readonly { value: string; label: string }[]
   readonly tagOptions: readonly { id: string; label: string }[]
   readonly talentRecords: readonly { id: string; name: string; projectIds?: readonly string[] }[]
   readonly locationRecords: readonly { id: string; name: string }[]
   readonly productFamilies: readonly { id: string; styleName: string }[]
+  readonly sceneOptions?: readonly { id: string; label: string }[]
+  readonly creatorOptions?: readonly { id: string; label: string }[]
   readonly projectId: string
 }
 
+interface FilterConditionRowProps extends FilterPickerData {
+  readonly condition: FilterCondition
+  readonly onUpdate: (conditionId: string, updates: Partial<Omit<FilterCondition, "id">>) => void
+  readonly onRemove: (conditionId: string) => void
+}
+
 // ---------------------------------------------------------------------------
 // Component
 // ---------------------------------------------------------------------------
@@ -45,6 +51,8 @@ export function FilterConditionRow({
   talentRecords,
   locationRecords,
   productFamilies,
+  sceneOptions,
+  creatorOptions,
   projectId,
 }: FilterConditionRowProps) {
   const meta = FILTER_FIELD_BY_KEY.get(condition.field)
@@ -120,6 +128,8 @@ export function FilterConditionRow({
         talentRecords={talentRecords}
         locationRecords={locationRecords}
         productFamilies={productFamilies}
+        sceneOptions={sceneOptions}
+        creatorOptions={creatorOptions}
         projectId={projectId}
       />
     </div>
@@ -0,0 +1,145 @@
+import { Button } from "@/ui/button"
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/ui/select"
+import { X } from "lucide-react"
+import {
+  FILTER_GROUP_OPERATORS,
+  GROUP_OPERATOR_LABELS,
+  MAX_FILTER_GROUP_DEPTH,
+  isFilterGroup,
+  type FilterCondition,
+  type FilterGroup,
+  type FilterGroupOperator,
+  type FilterNode,
+} from "../lib/filterConditions"
+import { FilterConditionRow, type FilterPickerData } from "./FilterConditionRow"
+import { AddFilterMenu } from "./AddFilterMenu"
+
+// ---------------------------------------------------------------------------
+// Props
+// ---------------------------------------------------------------------------
+
+export interface FilterNodeHandlers {
+  readonly onAddCondition: (condition: Omit<FilterCondition, "id">, parentGroupId?: string) => void
+  readonly onUpdateCondition: (conditionId: string, updates: Partial<Omit<FilterCondition, "id">>) => void
+  readonly onRemove: (nodeId: string) => void
+  /** Omit to render groups read-only (no nested "Add group" / operator switch). */
+  readonly onAddGroup?: (operator: FilterGroupOperator, parentGroupId?: string) => void
+  readonly onUpdateGroup?: (groupId: string, operator: FilterGroupOperator) => void
+}
+
+interface FilterNodeListProps extends FilterNodeHandlers {
+  readonly nodes: readonly FilterNode[]
+  readonly pickerData: FilterPickerData
+  /** Depth of the list's parent group — 0 for the top level. */
+  readonly depth?: number
+}
+
+interface FilterGroupRowProps extends FilterNodeHandlers {
+  readonly group: FilterGroup
+  readonly pickerData: FilterPickerData
+  readonly depth: number
+}
+
+// ---------------------------------------------------------------------------
+// Node list — renders conditions and groups in order
+// ---------------------------------------------------------------------------
+
+export function FilterNodeList({ nodes, pickerData, depth = 0, ...handlers }: FilterNodeListProps) {
+  return (
+    <div className="space-y-3">
+      {nodes.map((node) =>
+        isFilterGroup(node) ? (
+          <FilterGroupRow
+            key={node.id}
+            group={node}
+            pickerData={pickerData}
+            depth={depth + 1}
+            {...handlers}
+          />
+        ) : (
+          <FilterConditionRow
+            key={node.id}
+            condition={node}
+            onUpdate={handlers.onUpdateCondition}
+            onRemove={handlers.onRemove}
+            {...pickerData}
+          />
+        ),
+      )}
+    </div>
+  )
+}
+
+// ---------------------------------------------------------------------------
+// Group row — operator switch, nested children, scoped add menu
+// ---------------------------------------------------------------------------
+
+export function FilterGroupRow({ group, pickerData, depth, ...handlers }: FilterGroupRowProps) {
+  const { onAddCondition, onAddGroup, onUpdateGroup, onRemove } = handlers
+  const canNest = !!onAddGroup && depth < MAX_FILTER_GROUP_DEPTH
+
+  return (
+    <div
+      className="space-y-2 rounded-md border border-dashed border-[var(--color-border)] p-2"
+      data-testid="filter-group"
+    >
+      <div className="flex items-center gap-2">
+        {onUpdateGroup ? (
+          <Select
+            value={group.operator}
+            onValueChange={(op) => onUpdateGroup(group.id, op as FilterGroupOperator)}
+          >
+            <SelectTrigger className="h-7 w-auto min-w-[90px] text-xs" aria-label="Group match">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {FILTER_GROUP_OPERATORS.map((op) => (
+                <SelectItem key={op} value={op}>
+                  {GROUP_OPERATOR_LABELS[op]}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        ) : (
+          <span className="text-xs font-medium text-[var(--color-text-muted)]">
+            {GROUP_OPERATOR_LABELS[group.operator]}
+          </span>
+        )}
+        <span className="text-xs text-[var(--color-text-subtle)]">these conditions</span>
+
+        <div className="ml-auto">
+          <Button
+            variant="ghost"
+            size="sm"
+            aria-label="Remove group"
+            className="h-6 w-6 p-0 text-[var(--color-text-subtle)] hover:text-[var(--color-text)]"
+            onClick={() => onRemove(group.id)}
+          >
+            <X className="h-3.5 w-3.5" />
+          </Button>
+        </div>
+      </div>
+
+      {group.children.length === 0 ? (
+        <p className="text-xs text-[var(--color-text-subtle)]">
+          Empty group — matches every shot until a condition is added.
+        </p>
+      ) : (
+        <FilterNodeList nodes={group.children} pickerData={pickerData} depth={depth} {...handlers} />
+      )}
+
+      <AddFilterMenu
+        conditions={group.children}
+        label="Add to group"
+        onAdd={(condition) => onAddCondition(condition, group.id)}
+        onAddGroup={canNest ? (operator) => onAddGroup?.(operator, group.id) : undefined}
+      />
+    </div>
+  )
+}
@@ -4,11 +4,14 @@ import { Switch } from "@/ui/switch"
 import { Input } from "@/ui/input"
 import { Label } from "@/ui/label"
 import { isFeatureEnabled } from "@/shared/lib/flags"
-import type {
-  FilterCondition,
-  FilterValue,
-  DateRangeValue,
+import {
+  MEDIA_TYPE_OPTIONS,
+  NO_SCENE_VALUE,
+  type FilterCondition,
+  type FilterValue,
+  type DateRangeValue,
 } from "../lib/filterConditions"
+import { READINESS_STATE_LABELS, type ShotReadinessState } from "../lib/shotProductReadiness"
 
 // ---------------------------------------------------------------------------
 // Props
@@ -22,6 +25,10 @@ interface FilterValuePickerProps {
   readonly talentRecords: readonly { id: string; name: string; projectIds?: readonly string[] }[]
   readonly locationRecords: readonly { id: string; name: string }[]
   readonly productFamilies: readonly { id: string; styleName: string }[]
+  /** Project scenes (lanes). */
+  readonly sceneOptions?: readonly { id: string; label: string }[]
+  /** People who created shots in this project. */
+  readonly creatorOptions?: readonly { id: string; label: string }[]
   readonly projectId: string
 }
 
@@ -36,6 +43,15 @@ const MISSING_OPTIONS: readonly { value: string; label: string }[] = [
   { value: "image", label: "Hero Image" },
 ]
 
+const READINESS_OPTIONS: readonly { value: string; label: string }[] = (
+  Object.keys(READINESS_STATE_LABELS) as ShotReadinessState[]
+).map((state) => ({ value: state, label: READINESS_STATE_LABELS[state] }))
+
+const EMPTY_DATE_LABELS: Readonly<Partial<Record<FilterCondition["field"], string>>> = {
+  launchDate: "No launch date",
+  date: "No shoot date",
+}
+
 function asStringArray(value: FilterValue): readonly string[] {
   if (Array.isArray(value)) return value as readonly string[]
   return []
@@ -245,6 +261,78 @@ function ProductPicker({
   return <CheckboxList options={options} selected={[...selected]} onChange={onChange} />
 }
 
+function ScenePicker({
+  condition,
+  onChange,
+  sceneOptions,
+}: {
+  readonly condition: FilterCondition
+  readonly onChange: (v: FilterValue) => void
+  readonly sceneOptions: readonly { id: string; label: string }[]
+}) {
+  const selected = asStringArray(condition.value)
+  const options = [
+    ...sceneOptions.map((s) => ({ value: s.id, label: s.label })),
+    { value: NO_SCENE_VALUE, label: "No scene" },
+  ]
+  return <CheckboxList options={options} selected={[...selected]} onChange={onChange} />
+}
+
+function OptionListPicker({
+  condition,
+  onChange,
+  options,
+}: {
+  readonly condition: FilterCondition
+  readonly onChange: (v: FilterValue) => void
+  readonly options: readonly { value: string; label: string }[]
+}) {
+  const selected = asStringArray(condition.value)
+  return <CheckboxList options={options} selected={[...selected]} onChange={onChange} />
+}
+
+// ---------------------------------------------------------------------------
+// Number picker
+// ---------------------------------------------------------------------------
+
+function NumberPicker({ condition, onChange }: { readonly condition: FilterCondition; readonly onChange: (v: FilterValue) => void }) {
+  const numberValue = typeof condition.value === "number" ? String(condition.value) : ""
+  return (
+    <Input
+      type="number"
+      min={0}
+      step={1}
+      inputMode="numeric"
+      value={numberValue}
+      placeholder="0"
+      aria-label="Count"
+      className="h-8 w-[100px] text-sm"
+      onChange={(e) => {
+        const raw = e.target.value
+        const n = Number(raw)
+        onChange(raw === "" || !Number.isFinite(n) ? null : Math.max(0, Math.trunc(n)))
+      }}
+    />
+  )
+}
+
+// ---------------------------------------------------------------------------
+// Text picker
+// ---------------------------------------------------------------------------
+
+function TextPicker({ condition, onChange }: { readonly condition: FilterCondition; readonly onChange: (v: FilterValue) => void }) {
+  const textValue = typeof condition.value === "string" ? condition.value : ""
+  return (
+    <Input
+      value={textValue}
+      placeholder="Notes, looks, products, talent…"
+      aria-label="Search shot content"
+      className="h-8 text-sm"
+      onChange={(e) => onChange(e.target.value)}
+    />
+  )
+}
+
 // ---------------------------------------------------------------------------
 // Boolean picker
 // ---------------------------------------------------------------------------
@@ -266,7 +354,7 @@ function BooleanPicker({ condition, onChange }: { readonly condition: FilterCond
 function DatePicker({ condition, onChange }: { readonly condition: FilterCondition; readonly onChange: (v: FilterValue) => void }) {
   if (condition.operator === "empty") {
     return (
-      <p className="text-xs text-[var(--color-text-subtle)]">No launch date</p>
+      <p className="text-xs text-[var(--color-text-subtle)]">{EMPTY_DATE_LABELS[condition.field] ?? "No date"}</p>
     )
   }
 
@@ -317,6 +405,8 @@ export function FilterValuePicker({
   talentRecords,
   locationRecords,
   productFamilies,
+  sceneOptions = [],
+  creatorOptions = [],
   projectId,
 }: FilterValuePickerProps) {
   switch (condition.field) {
@@ -336,7 +426,27 @@ export function FilterValuePicker({
     case "hasHeroImage":
       return <BooleanPicker condition={condition} onChange={onChange} />
     case "launchDate":
+    case "date":
       return <DatePicker condition={condition} onChange={onChange} />
+    case "scene":
+      return <ScenePicker condition={condition} onChange={onChange} sceneOptions={sceneOptions} />
+    case "mediaType":
+      return <OptionListPicker condition={condition} onChange={onChange} options={MEDIA_TYPE_OPTIONS} />
+    case "readiness":
+      return <OptionListPicker condition={condition} onChange={onChange} options={READINESS_OPTIONS} />
+    case "createdBy":
+      return (
+        <OptionListPicker
+          condition={condition}
+          onChange={onChange}
+          options={creatorOptions.map((c) => ({ value: c.id, label: c.label }))}
+        />
+      )
+    case "lookCount":
+    case "commentCount":
+      return <NumberPicker condition={condition} onChange={onChange} />
+    case "content":
+      return <TextPicker condition={condition} onChange={onChange} />
     default:
       return null
   }
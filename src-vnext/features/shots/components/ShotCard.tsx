@@ -11,6 +11,8 @@ import { TagBadge } from "@/shared/components/TagBadge"
 import { sortTagsByCategory } from "@/shared/lib/tagSort"
 import { getShotNotesPreview, getShotPrimaryLookProductEntries, resolveIdsToNames, summarizeLabels } from "@/features/shots/lib/shotListSummaries"
 import { NotesPreviewText } from "@/features/shots/components/NotesPreviewText"
+import { ShotSearchSnippet } from "@/features/shots/components/ShotSearchSnippet"
+import type { ShotSearchSnippet as SearchSnippet } from "@/features/shots/lib/shotSearch"
 import type { Shot, ShotReferenceLinkType, ProductFamily, ProductSku, ProductSample } from "@/shared/types"
 import { computeShotReadiness, formatLaunchDateShort, launchUrgencyClass } from "@/features/shots/lib/shotProductReadiness"
 import { ASSET_TYPE_SHORT_LABELS } from "@/features/products/lib/assetRequirements"
@@ -29,6 +31,8 @@ interface ShotCardProps {
   readonly familyById?: ReadonlyMap<string, ProductFamily>
   readonly skuById?: ReadonlyMap<string, ProductSku>
   readonly samplesByFamily?: ReadonlyMap<string, ReadonlyArray<ProductSample>>
+  /** Highlighted match context from the list's text search. */
+  readonly searchSnippet?: SearchSnippet
 }
 
 export interface ShotCardVisibleFields {
@@ -87,6 +91,7 @@ export function ShotCard({
   familyById,
   skuById,
   samplesByFamily,
+  searchSnippet,
 }: ShotCardProps) {
   const navigate = useNavigate()
   const { projectId } = useProjectScope()
@@ -186,6 +191,7 @@ export function ShotCard({
                 {textPreview(shot.description)}
               </p>
             )}
+            {searchSnippet && <ShotSearchSnippet snippet={searchSnippet} />}
             {fields.notes && notesPreview && (
               <div className="flex items-start gap-1 text-xxs leading-4 text-[var(--color-text-muted)]">
                 <StickyNote className="mt-0.5 h-3 w-3 flex-shrink-0 text-[var(--color-text-subtle)]" />
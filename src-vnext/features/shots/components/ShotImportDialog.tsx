@@ -0,0 +1,444 @@
+import { useEffect, useMemo, useRef, useState } from "react"
+import { toast } from "sonner"
+import { AlertTriangle, FileUp } from "lucide-react"
+import type {
+  AuthUser,
+  Lane,
+  LocationRecord,
+  ProductFamily,
+  ProductSku,
+  Shot,
+  ShotTag,
+  TalentRecord,
+} from "@/shared/types"
+import { readTabularFile, type TabularRows } from "@/shared/lib/tabularImport"
+import { cn } from "@/shared/lib/utils"
+import { loadFamilySkus } from "@/features/products/lib/productCatalogImportWrites"
+import {
+  SHOT_IMPORT_FIELDS,
+  SKIP_CHOICE,
+  autoMapShotColumns,
+  buildShotImportDrafts,
+  collectImportDecisions,
+  familiesNeedingSkus,
+  parseShotImportRows,
+  resolveShotImportRows,
+  validateShotMapping,
+  type ImportDecision,
+  type ImportDecisionKind,
+  type ResolvedShotImportRow,
+  type ShotColumnMapping,
+  type ShotImportIssue,
+  type ShotImportLibrary,
+} from "@/features/shots/lib/shotImport"
+import { MAX_IMPORT_SHOTS, createImportedShots } from "@/features/shots/lib/shotImportWrites"
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from "@/ui/dialog"
+import { Badge } from "@/ui/badge"
+import { Button } from "@/ui/button"
+import { Label } from "@/ui/label"
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/ui/select"
+
+interface ShotImportDialogProps {
+  readonly open: boolean
+  readonly onOpenChange: (open: boolean) => void
+  readonly clientId: string
+  readonly projectId: string
+  readonly user: AuthUser | null
+  readonly shots: ReadonlyArray<Shot>
+  readonly lanes: ReadonlyArray<Lane>
+  readonly families: ReadonlyArray<ProductFamily>
+  readonly talent: ReadonlyArray<TalentRecord>
+  readonly locations: ReadonlyArray<LocationRecord>
+  readonly availableTags: ReadonlyArray<ShotTag>
+}
+
+type ImportStep = "upload" | "map" | "review"
+
+const NOT_MAPPED = "__none"
+/** Select value for "leave it out" — Radix selects can't use the empty string. */
+const SKIP_VALUE = "__skip"
+
+const KIND_LABELS: Readonly<Record<ImportDecisionKind, string>> = {
+  product: "Product",
+  colour: "Colour",
+  talent: "Talent",
+  location: "Location",
+}
+
+function plural(n: number, word: string): string {
+  return `${n} ${n === 1 ? word : `${word}s`}`
+}
+
+function DecisionRow({
+  decision,
+  onChoose,
+}: {
+  readonly decision: ImportDecision
+  readonly onChoose: (key: string, value: string) => void
+}) {
+  const { match } = decision
+  if (match.status === "unmatched") {
+    return (
+      <p className="flex items-start gap-1 text-2xs text-[var(--color-status-amber-text)]">
+        <AlertTriangle className="mt-px h-3 w-3 shrink-0" />
+        {KIND_LABELS[decision.kind]} "{match.input}" not found — left out.
+      </p>
+    )
+  }
+  const value = decision.chosen === undefined ? undefined : decision.chosen ?? SKIP_VALUE
+  return (
+    <div className="flex items-center gap-2">
+      <span className="w-16 shrink-0 text-2xs text-[var(--color-text-muted)]">{KIND_LABELS[decision.kind]}</span>
+      <span className="min-w-0 flex-1 truncate text-[var(--color-text)]">"{match.input}"</span>
+      <Select value={value} onValueChange={(next) => onChoose(decision.key, next)}>
+        <SelectTrigger
+          className={cn("h-7 w-56 text-xs", decision.chosen === undefined && "border-[var(--color-status-amber-text)]")}
+          aria-label={`${KIND_LABELS[decision.kind]} for "${match.input}"`}
+        >
+          <SelectValue placeholder="Confirm…" />
+        </SelectTrigger>
+        <SelectContent>
+          {match.candidates.map((candidate) => (
+            <SelectItem key={candidate.id} value={candidate.id} className="text-xs">
+              {candidate.label}
+              {candidate.detail ? ` · ${candidate.detail}` : ""}
+            </SelectItem>
+          ))}
+          <SelectItem value={SKIP_VALUE} className="text-xs">Leave out</SelectItem>
+        </SelectContent>
+      </Select>
+    </div>
+  )
+}
+
+/**
+ * Spreadsheet shot import: upload a CSV/XLSX, map its columns, confirm any
+ * fuzzy product / colour / talent / location matches, then create the shots
+ * (and any new scenes) with numbering that continues the project's own.
+ */
+export function ShotImportDialog({
+  open,
+  onOpenChange,
+  clientId,
+  projectId,
+  user,
+  shots,
+  lanes,
+  families,
+  talent,
+  locations,
+  availableTags,
+}: ShotImportDialogProps) {
+  const [step, setStep] = useState<ImportStep>("upload")
+  const [fileName, setFileName] = useState("")
+  const [rows, setRows] = useState<TabularRows>([])
+  const [mapping, setMapping] = useState<ShotColumnMapping>({})
+  const [issues, setIssues] = useState<ReadonlyArray<ShotImportIssue>>([])
+  const [resolved, setResolved] = useState<ReadonlyArray<ResolvedShotImportRow>>([])
+  const [skusByFamily, setSkusByFamily] = useState<ReadonlyMap<string, ReadonlyArray<ProductSku>>>(new Map())
+  const [choices, setChoices] = useState<ReadonlyMap<string, string>>(new Map())
+  const [resolving, setResolving] = useState(false)
+  const [committing, setCommitting] = useState(false)
+  const fileInputRef = useRef<HTMLInputElement | null>(null)
+
+  useEffect(() => {
+    if (open) return
+    setStep("upload")
+    setFileName("")
+    setRows([])
+    setMapping({})
+    setIssues([])
+    setResolved([])
+    setSkusByFamily(new Map())
+    setChoices(new Map())
+  }, [open])
+
+  const library = useMemo<ShotImportLibrary>(
+    () => ({ families, talent, locations, lanes, tags: availableTags }),
+    [families, talent, locations, lanes, availableTags],
+  )
+
+  const headers = rows[0] ?? []
+  const sampleRow = rows[1] ?? []
+  const mappingErrors = useMemo(() => validateShotMapping(mapping), [mapping])
+
+  const decisions = useMemo(
+    () => collectImportDecisions(resolved, skusByFamily, choices),
+    [resolved, skusByFamily, choices],
+  )
+  const decisionsByRow = useMemo(() => {
+    const map = new Map<number, ImportDecision[]>()
+    for (const decision of decisions) {
+      if (decision.match.status === "matched") continue
+      map.set(decision.row, [...(map.get(decision.row) ?? []), decision])
+    }
+    return map
+  }, [decisions])
+  const pendingCount = decisions.filter((d) => d.chosen === undefined).length
+
+  const preview = useMemo(
+    () =>
+      step === "review"
+        ? buildShotImportDrafts({ resolved, decisions, library, skusByFamily, existingShots: shots })
+        : null,
+    [step, resolved, decisions, library, skusByFamily, shots],
+  )
+
+  const handleFile = async (file: File) => {
+    try {
+      const read = await readTabularFile(file)
+      if (read.length < 2) {
+        toast.error("Nothing to import", { description: "The file needs a header row and at least one shot row." })
+        return
+      }
+      setRows(read)
+      setFileName(file.name)
+      setMapping(autoMapShotColumns(read[0]!))
+      setStep("map")
+    } catch (err) {
+      console.error("[ShotImportDialog] Failed to read file:", err)
+      toast.error("Could not read file", {
+        description: err instanceof Error ? err.message : "Unsupported file.",
+      })
+    }
+  }
+
+  const setColumn = (field: keyof ShotColumnMapping, value: string) => {
+    setMapping((prev) => {
+      const next = { ...prev }
+      if (value === NOT_MAPPED) delete next[field]
+      else next[field] = Number(value)
+      return next
+    })
+  }
+
+  const choose = (key: string, value: string) => {
+    setChoices((prev) => new Map(prev).set(key, value === SKIP_VALUE ? SKIP_CHOICE : value))
+  }
+
+  // Colour lookups depend on the chosen family, so SKUs load for every
+  // candidate family up front rather than after each confirmation.
+  const resolve = async () => {
+    setResolving(true)
+    try {
+      const parsed = parseShotImportRows(rows, mapping)
+      const nextResolved = resolveShotImportRows(parsed.rows, library)
+      const familyIds = familiesNeedingSkus(nextResolved)
+      const loaded = await Promise.all(familyIds.map((id) => loadFamilySkus(clientId, id)))
+      setSkusByFamily(new Map(familyIds.map((id, i) => [id, loaded[i]!])))
+      setIssues(parsed.issues)
+      setResolved(nextResolved)
+      setChoices(new Map())
+      setStep("review")
+    } catch (err) {
+      console.error("[ShotImportDialog] Failed to resolve import:", err)
+      toast.error("Could not prepare import", {
+        description: err instanceof Error ? err.message : undefined,
+      })
+    } finally {
+      setResolving(false)
+    }
+  }
+
+  const commit = async () => {
+    if (!preview || pendingCount > 0) return
+    setCommitting(true)
+    try {
+      const result = await createImportedShots({
+        clientId,
+        projectId,
+        drafts: preview.drafts,
+        newScenes: preview.newScenes,
+        existingLanes: lanes,
+        user,
+      })
+      toast.success(`${plural(result.created, "shot")} imported`, {
+        description: result.scenesCreated > 0 ? `${plural(result.scenesCreated, "scene")} created` : undefined,
+      })
+      onOpenChange(false)
+    } catch (err) {
+      console.error("[ShotImportDialog] Import failed:", err)
+      toast.error("Import failed", {
+        description: err instanceof Error ? err.message : undefined,
+      })
+    } finally {
+      setCommitting(false)
+    }
+  }
+
+  const draftCount = preview?.drafts.length ?? 0
+  const sceneLabel = (laneId: string | null, newSceneName: string | null): string | null =>
+    newSceneName ? `${newSceneName} (new)` : laneId ? lanes.find((l) => l.id === laneId)?.name ?? null : null
+
+  return (
+    <Dialog open={open} onOpenChange={(next) => { if (!committing) onOpenChange(next) }}>
+      <DialogContent className="max-w-3xl">
+        <DialogHeader>
+          <DialogTitle>Import shots</DialogTitle>
+          <DialogDescription>
+            One row per shot. Products, talent and locations are matched against the library; anything
+            uncertain is listed for you to confirm.
+          </DialogDescription>
+        </DialogHeader>
+
+        {step === "upload" && (
+          <div className="flex flex-col items-center gap-3 rounded-md border border-dashed border-[var(--color-border)] p-8">
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept=".csv,.tsv,.txt,.xlsx"
+              className="hidden"
+              data-testid="shot-import-file-input"
+              onChange={(e) => {
+                const file = e.target.files?.[0]
+                if (file) void handleFile(file)
+                e.target.value = ""
+              }}
+            />
+            <Button type="button" variant="outline" onClick={() => fileInputRef.current?.click()}>
+              <FileUp className="h-4 w-4" />
+              Choose CSV / XLSX
+            </Button>
+            <p className="text-xs text-[var(--color-text-muted)]">
+              Columns are matched to fields automatically; you can adjust them next.
+            </p>
+          </div>
+        )}
+
+        {step === "map" && (
+          <div className="flex flex-col gap-3">
+            <p className="text-xs text-[var(--color-text-muted)]">
+              {fileName} · {plural(rows.length - 1, "row")}
+            </p>
+            <div className="grid max-h-[50vh] gap-2 overflow-y-auto sm:grid-cols-2">
+              {SHOT_IMPORT_FIELDS.map((field) => {
+                const column = mapping[field.key]
+                return (
+                  <div key={field.key} className="flex flex-col gap-1">
+                    <Label className="text-xs">{field.label}</Label>
+                    <Select
+                      value={column === undefined ? NOT_MAPPED : String(column)}
+                      onValueChange={(value) => setColumn(field.key, value)}
+                    >
+                      <SelectTrigger className="h-8 text-xs" aria-label={`${field.label} column`}>
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        <SelectItem value={NOT_MAPPED} className="text-xs">Not imported</SelectItem>
+                        {headers.map((header, index) => (
+                          <SelectItem key={index} value={String(index)} className="text-xs">
+                            {header || `Column ${index + 1}`}
+                          </SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                    {column !== undefined && sampleRow[column] ? (
+                      <p className="truncate text-2xs text-[var(--color-text-subtle)]">e.g. {sampleRow[column]}</p>
+                    ) : field.hint ? (
+                      <p className="truncate text-2xs text-[var(--color-text-subtle)]">{field.hint}</p>
+                    ) : null}
+                  </div>
+                )
+              })}
+            </div>
+            {mappingErrors.length > 0 && (
+              <ul className="flex flex-col gap-1" data-testid="shot-import-mapping-errors">
+                {mappingErrors.map((error) => (
+                  <li key={error} className="text-xs text-[var(--color-error)]">{error}</li>
+                ))}
+              </ul>
+            )}
+            <div className="flex justify-between gap-2">
+              <Button variant="outline" onClick={() => setStep("upload")} disabled={resolving}>
+                Back
+              </Button>
+              <Button onClick={resolve} disabled={resolving || mappingErrors.length > 0}>
+                {resolving ? "Matching…" : "Match rows"}
+              </Button>
+            </div>
+          </div>
+        )}
+
+        {step === "review" && preview && (
+          <div className="flex flex-col gap-3">
+            <div className="flex flex-wrap items-center gap-2 text-xs" data-testid="shot-import-counts">
+              <span className="text-[var(--color-text)]">{plural(draftCount, "shot")}</span>
+              {preview.newScenes.length > 0 && (
+                <span className="text-[var(--color-text-muted)]">
+                  · new {preview.newScenes.length === 1 ? "scene" : "scenes"}{" "}
+                  {preview.newScenes.map((s) => s.name).join(", ")}
+                </span>
+              )}
+              {pendingCount > 0 && (
+                <span className="rounded-full bg-[var(--color-status-amber-bg)] px-2 py-0.5 font-medium text-[var(--color-status-amber-text)]">
+                  {pendingCount} to confirm
+                </span>
+              )}
+              {issues.length > 0 && (
+                <span className="text-[var(--color-error)]">{plural(issues.length, "row")} skipped</span>
+              )}
+            </div>
+            <ul
+              className="flex max-h-[45vh] flex-col divide-y divide-[var(--color-border)] overflow-y-auto rounded-md border border-[var(--color-border)]"
+              aria-label="Import preview"
+            >
+              {preview.drafts.map((draft) => (
+                <li key={draft.row} className="flex flex-col gap-1 px-3 py-2 text-xs">
+                  <div className="flex items-center gap-2">
+                    <Badge variant="outline" className="px-1.5 py-0 text-2xs">{draft.shotNumber}</Badge>
+                    <span className="font-medium text-[var(--color-text)]">{draft.title}</span>
+                    {sceneLabel(draft.laneId, draft.newSceneName) && (
+                      <span className="text-[var(--color-text-muted)]">{sceneLabel(draft.laneId, draft.newSceneName)}</span>
+                    )}
+                    <span className="ml-auto text-2xs text-[var(--color-text-subtle)]">Row {draft.row}</span>
+                  </div>
+                  {draft.products.length > 0 && (
+                    <p className="text-[var(--color-text-muted)]">
+                      {draft.products.map((p) => (p.colourName ? `${p.familyName} · ${p.colourName}` : p.familyName)).join(", ")}
+                    </p>
+                  )}
+                  {draft.renumbered && (
+                    <p className="flex items-start gap-1 text-2xs text-[var(--color-status-amber-text)]">
+                      <AlertTriangle className="mt-px h-3 w-3 shrink-0" />
+                      Shot number in the sheet is taken — numbered {draft.shotNumber} instead.
+                    </p>
+                  )}
+                  {(decisionsByRow.get(draft.row) ?? []).map((decision) => (
+                    <DecisionRow key={decision.key} decision={decision} onChoose={choose} />
+                  ))}
+                </li>
+              ))}
+              {issues.map((issue) => (
+                <li key={`issue-${issue.row}`} className="px-3 py-2 text-xs text-[var(--color-error)]">
+                  Row {issue.row}: {issue.message}
+                </li>
+              ))}
+            </ul>
+            {draftCount > MAX_IMPORT_SHOTS && (
+              <p className="text-xs text-[var(--color-error)]">
+                Import at most {MAX_IMPORT_SHOTS} shots at a time — split the sheet.
+              </p>
+            )}
+            <div className="flex items-center justify-between gap-2">
+              <Button variant="outline" onClick={() => setStep("map")} disabled={committing}>
+                Back
+              </Button>
+              <Button
+                onClick={commit}
+                disabled={committing || pendingCount > 0 || draftCount === 0 || draftCount > MAX_IMPORT_SHOTS}
+              >
+                {committing ? "Importing…" : `Import ${plural(draftCount, "shot")}`}
+              </Button>
+            </div>
+          </div>
+        )}
+      </DialogContent>
+    </Dialog>
+  )
+}
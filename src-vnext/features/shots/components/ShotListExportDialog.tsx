@@ -0,0 +1,207 @@
+import { useMemo, useState } from "react"
+import { toast } from "sonner"
+import { Download } from "lucide-react"
+import type { Shot } from "@/shared/types"
+import { useTableColumns } from "@/shared/hooks/useTableColumns"
+import { SHOT_TABLE_COLUMNS, shotsTableStorageKey } from "@/features/shots/lib/shotTableColumns"
+import { resolvePdfImageSrc } from "@/features/shots/lib/resolvePdfImageSrc"
+import {
+  buildShotSpreadsheetCsv,
+  buildShotSpreadsheetTable,
+  buildShotSpreadsheetXlsxBuffer,
+  shotSpreadsheetFilename,
+  type ShotSpreadsheetFormat,
+  type ShotSpreadsheetLookups,
+  type ShotSpreadsheetProductLayout,
+} from "@/features/shots/lib/shotListSpreadsheet"
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/ui/dialog"
+import { Button } from "@/ui/button"
+import { Checkbox } from "@/ui/checkbox"
+import { Label } from "@/ui/label"
+import { RadioGroup, RadioGroupItem } from "@/ui/radio-group"
+
+interface ShotListExportDialogProps {
+  readonly open: boolean
+  readonly onOpenChange: (open: boolean) => void
+  readonly clientId: string | null
+  readonly projectId: string
+  readonly projectName: string
+  /** The list's filtered + sorted shots. */
+  readonly shots: ReadonlyArray<Shot>
+  readonly filtered: boolean
+  readonly lookups: ShotSpreadsheetLookups
+}
+
+const FORMAT_OPTIONS: ReadonlyArray<{ readonly value: ShotSpreadsheetFormat; readonly label: string }> = [
+  { value: "xlsx", label: "Excel (.xlsx)" },
+  { value: "csv", label: "CSV" },
+]
+
+const LAYOUT_OPTIONS: ReadonlyArray<{
+  readonly value: ShotSpreadsheetProductLayout
+  readonly label: string
+  readonly description: string
+}> = [
+  { value: "rows", label: "A row per product", description: "Shot details repeat on each product row — easy to filter and pivot." },
+  { value: "columns", label: "A row per shot", description: "Products spread across numbered columns." },
+]
+
+function download(data: BlobPart, type: string, filename: string) {
+  const blob = new Blob([data], { type })
+  const url = URL.createObjectURL(blob)
+  const a = document.createElement("a")
+  a.href = url
+  a.download = filename
+  document.body.appendChild(a)
+  a.click()
+  a.remove()
+  URL.revokeObjectURL(url)
+}
+
+/**
+ * Spreadsheet export of the shot list as currently filtered, using the
+ * table's visible columns in their table order.
+ */
+export function ShotListExportDialog({
+  open,
+  onOpenChange,
+  clientId,
+  projectId,
+  projectName,
+  shots,
+  filtered,
+  lookups,
+}: ShotListExportDialogProps) {
+  const { visibleColumns } = useTableColumns(shotsTableStorageKey(clientId, projectId), SHOT_TABLE_COLUMNS)
+  const [format, setFormat] = useState<ShotSpreadsheetFormat>("xlsx")
+  const [productLayout, setProductLayout] = useState<ShotSpreadsheetProductLayout>("rows")
+  const [includeThumbnails, setIncludeThumbnails] = useState(false)
+  const [exporting, setExporting] = useState(false)
+
+  const hasThumbColumn = visibleColumns.some((c) => c.key === "heroThumb")
+  const hasProductsColumn = visibleColumns.some((c) => c.key === "products")
+  const thumbnailsAvailable = format === "xlsx" && hasThumbColumn
+  const columnLabels = useMemo(
+    () => visibleColumns.filter((c) => c.key !== "heroThumb").map((c) => c.label),
+    [visibleColumns],
+  )
+
+  const handleExport = async () => {
+    setExporting(true)
+    try {
+      const table = buildShotSpreadsheetTable(
+        shots,
+        { columns: visibleColumns, productLayout, includeThumbnails: thumbnailsAvailable && includeThumbnails },
+        lookups,
+      )
+      const filename = shotSpreadsheetFilename(projectName, format)
+      if (format === "csv") {
+        download(buildShotSpreadsheetCsv(table), "text/csv;charset=utf-8", filename)
+      } else {
+        const shotById = new Map(shots.map((s) => [s.id, s]))
+        const buffer = await buildShotSpreadsheetXlsxBuffer(table, projectName, async (shotId) => {
+          const hero = shotById.get(shotId)?.heroImage
+          const candidate = hero?.downloadURL || hero?.path
+          return candidate ? resolvePdfImageSrc(candidate) : null
+        })
+        download(buffer, "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet", filename)
+      }
+      toast.success(`Downloaded ${filename}`)
+      onOpenChange(false)
+    } catch (err) {
+      console.error("[ShotListExportDialog] spreadsheet export failed:", err)
+      toast.error("Couldn’t generate the spreadsheet")
+    } finally {
+      setExporting(false)
+    }
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={(next) => { if (!exporting) onOpenChange(next) }}>
+      <DialogContent className="max-w-md">
+        <DialogHeader>
+          <DialogTitle>Export spreadsheet</DialogTitle>
+          <DialogDescription>
+            {shots.length} {shots.length === 1 ? "shot" : "shots"}
+            {filtered ? " matching the current filters" : ""}, with the table’s visible columns.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="flex flex-col gap-4">
+          <p className="text-xs text-[var(--color-text-muted)]" data-testid="shot-export-columns">
+            Columns: {columnLabels.join(", ")}
+          </p>
+
+          <div className="flex flex-col gap-2">
+            <Label>Format</Label>
+            <RadioGroup
+              value={format}
+              onValueChange={(v) => setFormat(v as ShotSpreadsheetFormat)}
+              className="flex gap-4"
+              disabled={exporting}
+            >
+              {FORMAT_OPTIONS.map((opt) => (
+                <label key={opt.value} className="flex cursor-pointer items-center gap-2 text-sm">
+                  <RadioGroupItem value={opt.value} id={`shot-export-format-${opt.value}`} />
+                  {opt.label}
+                </label>
+              ))}
+            </RadioGroup>
+          </div>
+
+          {hasProductsColumn && (
+            <div className="flex flex-col gap-2">
+              <Label>Products</Label>
+              <RadioGroup
+                value={productLayout}
+                onValueChange={(v) => setProductLayout(v as ShotSpreadsheetProductLayout)}
+                disabled={exporting}
+              >
+                {LAYOUT_OPTIONS.map((opt) => (
+                  <label key={opt.value} className="flex cursor-pointer items-start gap-3">
+                    <RadioGroupItem value={opt.value} id={`shot-export-layout-${opt.value}`} className="mt-0.5" />
+                    <div className="flex flex-col gap-0.5">
+                      <span className="text-sm font-medium leading-none">{opt.label}</span>
+                      <span className="text-xs text-[var(--color-text-muted)]">{opt.description}</span>
+                    </div>
+                  </label>
+                ))}
+              </RadioGroup>
+            </div>
+          )}
+
+          {thumbnailsAvailable && (
+            <div className="flex items-center gap-2">
+              <Checkbox
+                id="shot-export-thumbnails"
+                checked={includeThumbnails}
+                onCheckedChange={(v) => setIncludeThumbnails(v === true)}
+                disabled={exporting}
+              />
+              <Label htmlFor="shot-export-thumbnails" className="text-xs">
+                Embed hero thumbnails (slower for large lists)
+              </Label>
+            </div>
+          )}
+        </div>
+
+        <DialogFooter>
+          <Button variant="outline" onClick={() => onOpenChange(false)} disabled={exporting}>
+            Cancel
+          </Button>
+          <Button onClick={handleExport} disabled={exporting || shots.length === 0}>
+            <Download className="h-4 w-4" />
+            {exporting ? "Exporting…" : "Download"}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  )
+}
@@ -1,9 +1,9 @@
-import type { FilterCondition } from "@/features/shots/lib/filterConditions"
+import type { FilterCondition, FilterGroupOperator, FilterNode } from "@/features/shots/lib/filterConditions"
 import { STATUS_LABELS } from "@/features/shots/lib/shotListFilters"
 import { SHOT_STATUS_CYCLE } from "@/shared/lib/statusMappings"
 import { Button } from "@/ui/button"
 import { Separator } from "@/ui/separator"
-import { FilterConditionRow } from "./FilterConditionRow"
+import { FilterNodeList } from "./FilterGroupRow"
 import { AddFilterMenu } from "./AddFilterMenu"
 
 // ---------------------------------------------------------------------------
@@ -12,15 +12,20 @@ import { AddFilterMenu } from "./AddFilterMenu"
 
 type ShotListFilterContentProps = {
   // Conditions
-  readonly conditions: readonly FilterCondition[]
-  readonly onAddCondition: (condition: Omit<FilterCondition, "id">) => void
+  readonly conditions: readonly FilterNode[]
+  readonly onAddCondition: (condition: Omit<FilterCondition, "id">, parentGroupId?: string) => void
   readonly onUpdateCondition: (conditionId: string, updates: Partial<Omit<FilterCondition, "id">>) => void
-  readonly onRemoveCondition: (conditionId: string) => void
+  readonly onRemoveCondition: (nodeId: string) => void
+  // Groups (optional — omit for flat AND-only filtering)
+  readonly onAddGroup?: (operator: FilterGroupOperator, parentGroupId?: string) => void
+  readonly onUpdateGroup?: (groupId: string, operator: FilterGroupOperator) => void
   // Data for value pickers
   readonly tagOptions: readonly { id: string; label: string }[]
   readonly talentRecords: readonly { id: string; name: string; projectIds?: readonly string[] }[]
   readonly locationRecords: readonly { id: string; name: string }[]
   readonly productFamilies: readonly { id: string; styleName: string }[]
+  readonly sceneOptions?: readonly { id: string; label: string }[]
+  readonly creatorOptions?: readonly { id: string; label: string }[]
   readonly projectId: string
   // Actions
   readonly hasActiveFilters: boolean
@@ -45,8 +50,9 @@ const STATUS_OPTIONS = SHOT_STATUS_CYCLE.map((s) => ({
 // ---------------------------------------------------------------------------
 // Component — the shared advanced-filter body. Rendered inside a toolbar-anchored
 // Popover (progressive disclosure in the SAME toolbar, NOT a slide-over Sheet).
-// All 9 filter fields x their operators flow through AddFilterMenu +
-// FilterConditionRow (+ FilterValuePicker), reused verbatim.
+// Every filter field x its operators flow through AddFilterMenu +
+// FilterConditionRow (+ FilterValuePicker), reused verbatim; nested AND/OR/NOT
+// groups render through FilterNodeList/FilterGroupRow around those same rows.
 // ---------------------------------------------------------------------------
 
 export function ShotListFilterContent({
@@ -54,10 +60,14 @@ export function ShotListFilterContent({
   onAddCondition,
   onUpdateCondition,
   onRemoveCondition,
+  onAddGroup,
+  onUpdateGroup,
   tagOptions,
   talentRecords,
   locationRecords,
   productFamilies,
+  sceneOptions,
+  creatorOptions,
   projectId,
   hasActiveFilters,
   onClearFilters,
@@ -79,26 +89,32 @@ export function ShotListFilterContent({
           No active filters. Add a filter to narrow your shots.
         </p>
       ) : (
-        <div className="space-y-3">
-          {conditions.map((condition) => (
-            <FilterConditionRow
-              key={condition.id}
-              condition={condition}
-              onUpdate={onUpdateCondition}
-              onRemove={onRemoveCondition}
-              statusOptions={STATUS_OPTIONS}
-              tagOptions={tagOptions}
-              talentRecords={talentRecords}
-              locationRecords={locationRecords}
-              productFamilies={productFamilies}
-              projectId={projectId}
-            />
-          ))}
-        </div>
+        <FilterNodeList
+          nodes={conditions}
+          pickerData={{
+            statusOptions: STATUS_OPTIONS,
+            tagOptions,
+            talentRecords,
+            locationRecords,
+            productFamilies,
+            sceneOptions,
+            creatorOptions,
+            projectId,
+          }}
+          onAddCondition={onAddCondition}
+          onUpdateCondition={onUpdateCondition}
+          onRemove={onRemoveCondition}
+          onAddGroup={onAddGroup}
+          onUpdateGroup={onUpdateGroup}
+        />
       )}
 
       {/* Add filter button */}
-      <AddFilterMenu conditions={conditions} onAdd={onAddCondition} />
+      <AddFilterMenu
+        conditions={conditions}
+        onAdd={onAddCondition}
+        onAddGroup={onAddGroup ? (operator) => onAddGroup(operator) : undefined}
+      />
 
       <Separator />
 
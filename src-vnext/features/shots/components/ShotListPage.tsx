@@ -18,6 +18,7 @@ import { ReviewWarehouseList } from "@/features/shots/components/ReviewWarehouse
 import { ShotsTable, REORDER_SHOT_LIMIT } from "@/features/shots/components/ShotsTable"
 import { resolveReorderDisabledReason } from "@/features/shots/components/DisabledDragHandle"
 import { useShotListState } from "@/features/shots/hooks/useShotListState"
+import { useShotListViews } from "@/features/shots/hooks/useShotListViews"
 import { useResolvedSurface } from "@/features/shots/hooks/useResolvedSurface"
 import type { SurfaceDevice } from "@/features/shots/lib/resolveSurface"
 import { useAuth } from "@/app/providers/AuthProvider"
@@ -36,14 +37,20 @@ import { Badge } from "@/ui/badge"
 import { Camera, Plus, Info } from "lucide-react"
 import type { Shot } from "@/shared/types"
 import { SORT_LABELS } from "@/features/shots/lib/shotListFilters"
+import { isFilterGroup } from "@/features/shots/lib/filterConditions"
 import { toast } from "sonner"
 import { ConfirmDialog } from "@/shared/components/ConfirmDialog"
 import { backfillMissingShotDates } from "@/features/shots/lib/backfillShotDates"
 import { persistShotOrder } from "@/features/shots/lib/reorderShots"
-import { useLocations, useTalent, useProductFamilies } from "@/features/shots/hooks/usePickerData"
+import { useLocations, useTalent, useProductFamilies, useUserRoster } from "@/features/shots/hooks/usePickerData"
 import { KeyboardShortcutsDialog } from "@/features/shots/components/KeyboardShortcutsDialog"
 import { ShotsShareDialog } from "@/features/shots/components/ShotsShareDialog"
 import { CaptureOneShareDialog } from "@/features/captureone/components/CaptureOneShareDialog"
+import { CaptureOneSelectsImportDialog } from "@/features/captureone/components/CaptureOneSelectsImportDialog"
+import { CaptureOneTemplateDialog } from "@/features/captureone/components/CaptureOneTemplateDialog"
+import { ShotImportDialog } from "@/features/shots/components/ShotImportDialog"
+import { ShotListExportDialog } from "@/features/shots/components/ShotListExportDialog"
+import { computeAvailableTags } from "@/features/shots/hooks/useAvailableTags"
 import { BulkActionBar } from "@/features/shots/components/BulkActionBar"
 import { BulkDeleteShotsDialog } from "@/features/shots/components/BulkDeleteShotsDialog"
 import { RenumberShotsDialog } from "@/features/shots/components/RenumberShotsDialog"
@@ -97,6 +104,10 @@ export default function ShotListPage() {
   const [createPullOpen, setCreatePullOpen] = useState(false)
   const [shareOpen, setShareOpen] = useState(false)
   const [captureShareOpen, setCaptureShareOpen] = useState(false)
+  const [captureSelectsOpen, setCaptureSelectsOpen] = useState(false)
+  const [shotImportOpen, setShotImportOpen] = useState(false)
+  const [spreadsheetOpen, setSpreadsheetOpen] = useState(false)
+  const [captureTemplateOpen, setCaptureTemplateOpen] = useState(false)
   const [shortcutsOpen, setShortcutsOpen] = useState(false)
   const [repairOpen, setRepairOpen] = useState(false)
   const [repairing, setRepairing] = useState(false)
@@ -259,6 +270,20 @@ export default function ShotListPage() {
   const { skuById, samplesByFamily } = useHeroProductData(shots, clientId)
   const { data: lanes, laneNameById, laneById } = useLanes()
   const laneOrder = useMemo(() => new Map(lanes.map((l) => [l.id, l.sortOrder])), [lanes])
+  const sceneOptions = useMemo(() => lanes.map((l) => ({ id: l.id, label: l.name })), [lanes])
+  const { data: userRoster } = useUserRoster()
+  const creatorNameById = useMemo(
+    () => new Map(userRoster.map((u) => [u.id, u.displayName?.trim() || u.email])),
+    [userRoster],
+  )
+  // Only people who actually created shots here — not the whole org roster.
+  const creatorOptions = useMemo(() => {
+    const ids = new Set(shots.map((s) => s.createdBy).filter(Boolean))
+    const collator = new Intl.Collator(undefined, { sensitivity: "base" })
+    return [...ids]
+      .map((id) => ({ id, label: creatorNameById.get(id) ?? "Unknown user" }))
+      .sort((a, b) => collator.compare(a.label, b.label))
+  }, [shots, creatorNameById])
 
   // null until claims settle: AuthProvider falls back to 'viewer' while loading
   // (viewer-flash guard). 5b extends the same gate to the first uncached
@@ -282,7 +307,7 @@ export default function ShotListPage() {
     sortKey, sortDir, viewMode, groupKey, isCustomSort,
     queryParam, talentParam, locationParam, productParam,
     statusFilter, missingFilter, tagFilter,
-    conditions, addCondition, removeCondition, updateCondition,
+    conditions, addCondition, removeCondition, updateCondition, addGroup, updateGroup,
     queryDraft, setQueryDraft,
     setSortKey, setSortDir, setViewMode, setGroupKey,
     toggleStatus, clearStatusFilter, toggleMissing, clearMissingFilter, toggleTag,
@@ -290,12 +315,15 @@ export default function ShotListPage() {
     clearFilters, clearQuery,
     fields, setFields,
     displayShots, unfilteredSortedShots, insights, hasActiveFilters, hasActiveGrouping,
-    shotGroups, activeFilterBadges, tagOptions,
+    shotGroups, activeFilterBadges, tagOptions, searchSnippets,
     storageKeyBase,
   } = useShotListState({
-    shots, reorderOptimistic, clientId, projectId, talentNameById, locationNameById, productNameById, familyById, skuById, laneNameById, laneOrder, laneById, surfaceContext,
+    shots, reorderOptimistic, clientId, projectId, talentNameById, locationNameById, productNameById, familyById, skuById, laneNameById, laneOrder, laneById, creatorNameById, surfaceContext,
   })
 
+  // -- Saved views (named filter/column/sort/grouping setups, `?savedView=`) --
+  const shotListViews = useShotListViews({ clientId, projectId, userId: user?.uid })
+
   // Shot clicks navigate to the unified editor route (Phase 5c retired the
   // ThreePanel selection fork), snapshotting the visible order so the
   // editor's [ / ] keys walk the list exactly as the user saw it.
@@ -331,9 +359,10 @@ export default function ShotListPage() {
     navigate(`/projects/${projectId}/shots/${shotId}`)
   }, [navigate, projectId, clientId, shootShots])
 
-  // -- Extra (advanced) filter count: conditions beyond status/missing inline filters --
+  // -- Extra (advanced) filter count: conditions beyond status/missing inline filters
+  // (a group counts once, whatever it contains) --
   const extraFilterCount = useMemo(
-    () => conditions.filter((c) => c.field !== "status" && c.field !== "missing").length,
+    () => conditions.filter((c) => isFilterGroup(c) || (c.field !== "status" && c.field !== "missing")).length,
     [conditions],
   )
 
@@ -523,6 +552,11 @@ export default function ShotListPage() {
                     Export
                   </Button>
                 )}
+                {canExport && (
+                  <Button variant="outline" onClick={() => setSpreadsheetOpen(true)} data-testid="shot-spreadsheet-export-btn">
+                    Spreadsheet
+                  </Button>
+                )}
                 {canShare && (
                   <Button variant="outline" onClick={() => setShareOpen(true)}>
                     Share
@@ -533,6 +567,16 @@ export default function ShotListPage() {
                     Capture One names
                   </Button>
                 )}
+                {canShare && (
+                  <Button variant="outline" onClick={() => setCaptureSelectsOpen(true)}>
+                    Import selects
+                  </Button>
+                )}
+                {showCreate && (
+                  <Button variant="outline" onClick={() => setShotImportOpen(true)} data-testid="shot-import-btn">
+                    Import shots
+                  </Button>
+                )}
                 {canBulkPull && (
                   <Button
                     variant={selectionEnabled ? "default" : "outline"}
@@ -617,10 +661,14 @@ export default function ShotListPage() {
             onAddCondition={addCondition}
             onUpdateCondition={updateCondition}
             onRemoveCondition={removeCondition}
+            onAddGroup={addGroup}
+            onUpdateGroup={updateGroup}
             tagOptions={tagOptions}
             talentRecords={talentRecords}
             locationRecords={locationRecords}
             productFamilies={productFamilies}
+            sceneOptions={sceneOptions}
+            creatorOptions={creatorOptions}
             projectId={projectId}
             onClearFilters={clearFilters}
             canRepair={canRepair}
@@ -632,6 +680,7 @@ export default function ShotListPage() {
             totalCount={shots.length}
             fields={fields}
             onFieldsChange={setFields}
+            savedViews={{ ...shotListViews, projectId }}
           />
 
           <KeyboardShortcutsDialog
@@ -844,6 +893,7 @@ export default function ShotListPage() {
                   familyById={familyById}
                   skuById={skuById}
                   samplesByFamily={samplesByFamily}
+                  searchSnippet={searchSnippets.get(shot.id)}
                 />
               </div>
             </div>
@@ -983,6 +1033,7 @@ export default function ShotListPage() {
                           familyById={familyById}
                           skuById={skuById}
                           samplesByFamily={samplesByFamily}
+                          searchSnippet={searchSnippets.get(shot.id)}
                         />
                       ))}
                     </div>
@@ -1005,6 +1056,7 @@ export default function ShotListPage() {
             familyById={familyById}
             skuById={skuById}
             samplesByFamily={samplesByFamily}
+            searchSnippets={searchSnippets}
             selection={
               selectionEnabled
                 ? { enabled: true, selectedIds, onToggle: toggleSelected }
@@ -1165,6 +1217,58 @@ export default function ShotListPage() {
           projectName={projectName || "Project"}
           userId={user?.uid ?? ""}
           selectedShotIds={selectedShots.map((s) => s.id)}
+          onEditTemplate={() => {
+            setCaptureShareOpen(false)
+            setCaptureTemplateOpen(true)
+          }}
+        />
+      )}
+
+      {canShare && (
+        <CaptureOneTemplateDialog
+          open={captureTemplateOpen}
+          onOpenChange={setCaptureTemplateOpen}
+          clientId={clientId}
+          projectId={projectId}
+        />
+      )}
+
+      {canShare && (
+        <CaptureOneSelectsImportDialog
+          open={captureSelectsOpen}
+          onOpenChange={setCaptureSelectsOpen}
+          clientId={clientId}
+          projectId={projectId}
+          user={user}
+        />
+      )}
+
+      {canExport && spreadsheetOpen && (
+        <ShotListExportDialog
+          open={spreadsheetOpen}
+          onOpenChange={setSpreadsheetOpen}
+          clientId={clientId}
+          projectId={projectId}
+          projectName={projectName || "Project"}
+          shots={displayShots}
+          filtered={hasActiveFilters}
+          lookups={{ familyById, skuById, samplesByFamily, talentNameById, locationNameById, laneById }}
+        />
+      )}
+
+      {showCreate && clientId && shotImportOpen && (
+        <ShotImportDialog
+          open={shotImportOpen}
+          onOpenChange={setShotImportOpen}
+          clientId={clientId}
+          projectId={projectId}
+          user={user}
+          shots={shots}
+          lanes={lanes}
+          families={productFamilies}
+          talent={talentRecords}
+          locations={locationRecords}
+          availableTags={computeAvailableTags(shots)}
         />
       )}
 
@@ -3,7 +3,7 @@ import type { SortKey, ViewMode, GroupKey, MissingKey, ShotsListFields } from "@
 import { SORT_LABELS } from "@/features/shots/lib/shotListFilters"
 import type { ShotFirestoreStatus } from "@/shared/types"
 import type { computeInsights } from "@/features/shots/lib/shotListFilters"
-import type { FilterCondition } from "@/features/shots/lib/filterConditions"
+import type { FilterCondition, FilterGroupOperator, FilterNode } from "@/features/shots/lib/filterConditions"
 import {
   Select,
   SelectContent,
@@ -23,6 +23,10 @@ import { ShotStatusFilter } from "@/features/shots/components/ShotStatusFilter"
 import { ShotMissingFilter } from "@/features/shots/components/ShotMissingFilter"
 import { ShotListFilterContent } from "@/features/shots/components/ShotListFilterContent"
 import { ShotListDisplaySheet } from "@/features/shots/components/ShotListDisplaySheet"
+import {
+  ShotListViewSwitcher,
+  type ShotListViewSwitcherProps,
+} from "@/features/shots/components/ShotListViewSwitcher"
 import {
   Search,
   X,
@@ -68,14 +72,19 @@ type ShotListToolbarProps = {
   readonly onRenumberOpen: () => void
   // Advanced (More) filter conditions — rendered in a toolbar-anchored popover
   readonly extraFilterCount: number
-  readonly conditions: readonly FilterCondition[]
-  readonly onAddCondition: (condition: Omit<FilterCondition, "id">) => void
+  readonly conditions: readonly FilterNode[]
+  readonly onAddCondition: (condition: Omit<FilterCondition, "id">, parentGroupId?: string) => void
   readonly onUpdateCondition: (conditionId: string, updates: Partial<Omit<FilterCondition, "id">>) => void
-  readonly onRemoveCondition: (conditionId: string) => void
+  readonly onRemoveCondition: (nodeId: string) => void
+  /** Optional — when omitted the popover offers flat (AND-only) filters. */
+  readonly onAddGroup?: (operator: FilterGroupOperator, parentGroupId?: string) => void
+  readonly onUpdateGroup?: (groupId: string, operator: FilterGroupOperator) => void
   readonly tagOptions: readonly { id: string; label: string }[]
   readonly talentRecords: readonly { id: string; name: string; projectIds?: readonly string[] }[]
   readonly locationRecords: readonly { id: string; name: string }[]
   readonly productFamilies: readonly { id: string; styleName: string }[]
+  readonly sceneOptions?: readonly { id: string; label: string }[]
+  readonly creatorOptions?: readonly { id: string; label: string }[]
   readonly projectId: string
   readonly onClearFilters: () => void
   readonly canRepair: boolean
@@ -90,6 +99,8 @@ type ShotListToolbarProps = {
   // Display (card field visibility) — card view only
   readonly fields: ShotsListFields
   readonly onFieldsChange: (fields: ShotsListFields) => void
+  // Saved views — optional; the switcher only renders when provided
+  readonly savedViews?: ShotListViewSwitcherProps
 }
 
 // ---------------------------------------------------------------------------
@@ -130,10 +141,14 @@ export function ShotListToolbar({
   onAddCondition,
   onUpdateCondition,
   onRemoveCondition,
+  onAddGroup,
+  onUpdateGroup,
   tagOptions,
   talentRecords,
   locationRecords,
   productFamilies,
+  sceneOptions,
+  creatorOptions,
   projectId,
   onClearFilters,
   canRepair,
@@ -145,6 +160,7 @@ export function ShotListToolbar({
   totalCount,
   fields,
   onFieldsChange,
+  savedViews,
 }: ShotListToolbarProps) {
   const [moreOpen, setMoreOpen] = useState(false)
   const [displayOpen, setDisplayOpen] = useState(false)
@@ -199,6 +215,9 @@ export function ShotListToolbar({
         )}
       </div>
 
+      {/* Saved views (filters + columns + sort + grouping) */}
+      {savedViews && <ShotListViewSwitcher {...savedViews} />}
+
       {/* Sort (with Restore custom order + destructive Renumber actions) */}
       <Select value={sortKey} onValueChange={handleSortChange}>
         <SelectTrigger className="w-[160px]" data-testid="sort-select-trigger">
@@ -310,10 +329,14 @@ export function ShotListToolbar({
             onAddCondition={onAddCondition}
             onUpdateCondition={onUpdateCondition}
             onRemoveCondition={onRemoveCondition}
+            onAddGroup={onAddGroup}
+            onUpdateGroup={onUpdateGroup}
             tagOptions={tagOptions}
             talentRecords={talentRecords}
             locationRecords={locationRecords}
             productFamilies={productFamilies}
+            sceneOptions={sceneOptions}
+            creatorOptions={creatorOptions}
             projectId={projectId}
             hasActiveFilters={hasActiveFilters}
             onClearFilters={onClearFilters}
@@ -0,0 +1,318 @@
+import { useState } from "react"
+import { Popover, PopoverContent, PopoverTrigger } from "@/ui/popover"
+import { Button } from "@/ui/button"
+import { Input } from "@/ui/input"
+import { Checkbox } from "@/ui/checkbox"
+import { Separator } from "@/ui/separator"
+import { ConfirmDialog } from "@/shared/components/ConfirmDialog"
+import { toast } from "sonner"
+import { Bookmark, Link2, Lock, Save, Trash2, Users, X } from "lucide-react"
+import {
+  MAX_SHOT_LIST_VIEW_NAME,
+  shotListViewUrl,
+  validateShotListViewName,
+  type ShotListView,
+} from "../lib/shotListViews"
+import type { ShotListViewsState } from "../hooks/useShotListViews"
+
+// ---------------------------------------------------------------------------
+// Props
+// ---------------------------------------------------------------------------
+
+export type ShotListViewSwitcherProps = Pick<
+  ShotListViewsState,
+  | "views"
+  | "activeView"
+  | "isModified"
+  | "currentUserId"
+  | "applyView"
+  | "clearActiveView"
+  | "saveView"
+  | "updateActiveView"
+  | "setVisibility"
+  | "deleteView"
+> & {
+  readonly projectId: string
+}
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+async function copyViewLink(projectId: string, view: ShotListView) {
+  const url = `${window.location.origin}${shotListViewUrl(projectId, view.id)}`
+  try {
+    await navigator.clipboard.writeText(url)
+    toast.success("Link copied", { description: view.name })
+  } catch {
+    toast.error("Could not copy link", { description: url })
+  }
+}
+
+function errorMessage(err: unknown): string {
+  return err instanceof Error ? err.message : "Please try again."
+}
+
+// ---------------------------------------------------------------------------
+// Component
+// ---------------------------------------------------------------------------
+
+export function ShotListViewSwitcher({
+  projectId,
+  views,
+  activeView,
+  isModified,
+  currentUserId,
+  applyView,
+  clearActiveView,
+  saveView,
+  updateActiveView,
+  setVisibility,
+  deleteView,
+}: ShotListViewSwitcherProps) {
+  const [open, setOpen] = useState(false)
+  const [saving, setSaving] = useState(false)
+  const [draftName, setDraftName] = useState<string | null>(null)
+  const [shareDraft, setShareDraft] = useState(false)
+  const [pendingDelete, setPendingDelete] = useState<ShotListView | null>(null)
+
+  const nameError = draftName === null ? null : validateShotListViewName(draftName)
+  const canUpdateActive = !!activeView && activeView.createdBy === currentUserId
+
+  const resetDraft = () => {
+    setDraftName(null)
+    setShareDraft(false)
+  }
+
+  const handleOpenChange = (next: boolean) => {
+    setOpen(next)
+    if (!next) resetDraft()
+  }
+
+  const handleApply = (view: ShotListView) => {
+    applyView(view)
+    setOpen(false)
+  }
+
+  const handleSave = async () => {
+    if (draftName === null || nameError) return
+    setSaving(true)
+    try {
+      await saveView(draftName, shareDraft ? "shared" : "private")
+      toast.success("View saved", { description: draftName.trim() })
+      resetDraft()
+      setOpen(false)
+    } catch (err) {
+      toast.error("Failed to save view", { description: errorMessage(err) })
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleUpdate = async () => {
+    setSaving(true)
+    try {
+      await updateActiveView()
+      toast.success("View updated", { description: activeView?.name })
+    } catch (err) {
+      toast.error("Failed to update view", { description: errorMessage(err) })
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleToggleVisibility = async (view: ShotListView) => {
+    const next = view.visibility === "shared" ? "private" : "shared"
+    try {
+      await setVisibility(view, next)
+      toast.success(next === "shared" ? "Shared with the project team" : "View is now private", {
+        description: view.name,
+      })
+    } catch (err) {
+      toast.error("Failed to change sharing", { description: errorMessage(err) })
+    }
+  }
+
+  const handleDelete = async (view: ShotListView) => {
+    try {
+      await deleteView(view)
+      toast.success("View deleted", { description: view.name })
+    } catch (err) {
+      toast.error("Failed to delete view", { description: errorMessage(err) })
+    }
+  }
+
+  return (
+    <>
+      <Popover open={open} onOpenChange={handleOpenChange}>
+        <PopoverTrigger asChild>
+          <Button
+            variant="outline"
+            data-testid="saved-views-trigger"
+            className={`max-w-[220px] gap-1.5 ${activeView ? "border-[var(--color-primary)] bg-[var(--color-primary)]/5 text-[var(--color-primary)]" : ""}`}
+          >
+            <Bookmark className="h-3.5 w-3.5 shrink-0" />
+            <span className="truncate">{activeView ? activeView.name : "Views"}</span>
+            {activeView && isModified && (
+              <span className="text-2xs text-[var(--color-text-subtle)]" title="Unsaved changes">
+                (edited)
+              </span>
+            )}
+          </Button>
+        </PopoverTrigger>
+        <PopoverContent align="start" className="w-72 p-1.5">
+          {views.length === 0 ? (
+            <p className="px-2.5 py-2 text-xs text-[var(--color-text-subtle)]">
+              No saved views yet. Save the current filters, columns, sort and grouping to get back here in one click.
+            </p>
+          ) : (
+            <ul className="space-y-0.5" data-testid="saved-views-list">
+              {views.map((view) => {
+                const isOwner = view.createdBy === currentUserId
+                const isActive = view.id === activeView?.id
+                return (
+                  <li key={view.id} className="group flex items-center gap-1">
+                    <button
+                      type="button"
+                      className={`flex min-w-0 flex-1 items-center gap-2 rounded-md px-2.5 py-1.5 text-left text-sm transition-colors hover:bg-[var(--color-surface-hover)] ${isActive ? "font-medium text-[var(--color-primary)]" : ""}`}
+                      onClick={() => handleApply(view)}
+                    >
+                      {view.visibility === "shared" ? (
+                        <Users className="h-3.5 w-3.5 shrink-0 text-[var(--color-text-subtle)]" aria-label="Shared" />
+                      ) : (
+                        <Lock className="h-3.5 w-3.5 shrink-0 text-[var(--color-text-subtle)]" aria-label="Private" />
+                      )}
+                      <span className="truncate">{view.name}</span>
+                    </button>
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      className="h-6 w-6 p-0 text-[var(--color-text-subtle)] hover:text-[var(--color-text)]"
+                      aria-label={`Copy link to ${view.name}`}
+                      onClick={() => void copyViewLink(projectId, view)}
+                    >
+                      <Link2 className="h-3.5 w-3.5" />
+                    </Button>
+                    {isOwner && (
+                      <>
+                        <Button
+                          variant="ghost"
+                          size="sm"
+                          className="h-6 w-6 p-0 text-[var(--color-text-subtle)] hover:text-[var(--color-text)]"
+                          aria-label={view.visibility === "shared" ? `Make ${view.name} private` : `Share ${view.name} with the team`}
+                          onClick={() => void handleToggleVisibility(view)}
+                        >
+                          {view.visibility === "shared" ? <Lock className="h-3.5 w-3.5" /> : <Users className="h-3.5 w-3.5" />}
+                        </Button>
+                        <Button
+                          variant="ghost"
+                          size="sm"
+                          className="h-6 w-6 p-0 text-[var(--color-text-subtle)] hover:text-[var(--color-text)]"
+                          aria-label={`Delete ${view.name}`}
+                          onClick={() => setPendingDelete(view)}
+                        >
+                          <Trash2 className="h-3.5 w-3.5" />
+                        </Button>
+                      </>
+                    )}
+                  </li>
+                )
+              })}
+            </ul>
+          )}
+
+          <Separator className="my-1" />
+
+          {activeView && canUpdateActive && isModified && (
+            <button
+              type="button"
+              disabled={saving}
+              className="flex w-full items-center gap-2 rounded-md px-2.5 py-1.5 text-left text-sm transition-colors hover:bg-[var(--color-surface-hover)] disabled:opacity-50"
+              onClick={() => void handleUpdate()}
+            >
+              <Save className="h-3.5 w-3.5" />
+              Update “{activeView.name}”
+            </button>
+          )}
+          {activeView && (
+            <button
+              type="button"
+              className="flex w-full items-center gap-2 rounded-md px-2.5 py-1.5 text-left text-sm transition-colors hover:bg-[var(--color-surface-hover)]"
+              onClick={() => {
+                clearActiveView()
+                setOpen(false)
+              }}
+            >
+              <X className="h-3.5 w-3.5" />
+              Stop using view
+            </button>
+          )}
+
+          {draftName === null ? (
+            <button
+              type="button"
+              className="flex w-full items-center gap-2 rounded-md px-2.5 py-1.5 text-left text-sm transition-colors hover:bg-[var(--color-surface-hover)]"
+              onClick={() => setDraftName("")}
+            >
+              <Bookmark className="h-3.5 w-3.5" />
+              Save current view…
+            </button>
+          ) : (
+            <form
+              className="space-y-2 px-2.5 py-1.5"
+              onSubmit={(e) => {
+                e.preventDefault()
+                void handleSave()
+              }}
+            >
+              <Input
+                autoFocus
+                value={draftName}
+                maxLength={MAX_SHOT_LIST_VIEW_NAME}
+                placeholder="View name"
+                aria-label="View name"
+                onChange={(e) => setDraftName(e.target.value)}
+              />
+              {nameError && draftName.length > 0 && (
+                <p className="text-xs text-destructive">{nameError}</p>
+              )}
+              <label className="flex items-center gap-2 text-xs text-[var(--color-text-muted)]">
+                <Checkbox
+                  checked={shareDraft}
+                  onCheckedChange={(checked) => setShareDraft(checked === true)}
+                />
+                Share with the project team
+              </label>
+              <div className="flex justify-end gap-2">
+                <Button type="button" variant="ghost" size="sm" onClick={resetDraft}>
+                  Cancel
+                </Button>
+                <Button type="submit" size="sm" disabled={saving || !!nameError}>
+                  Save view
+                </Button>
+              </div>
+            </form>
+          )}
+        </PopoverContent>
+      </Popover>
+
+      <ConfirmDialog
+        open={pendingDelete !== null}
+        onOpenChange={(next) => {
+          if (!next) setPendingDelete(null)
+        }}
+        title="Delete saved view?"
+        description={
+          pendingDelete?.visibility === "shared"
+            ? `“${pendingDelete.name}” will be removed for everyone on the project.`
+            : `“${pendingDelete?.name ?? ""}” will be removed.`
+        }
+        confirmLabel="Delete"
+        destructive
+        onConfirm={() => {
+          if (pendingDelete) void handleDelete(pendingDelete)
+        }}
+      />
+    </>
+  )
+}
@@ -0,0 +1,34 @@
+import type { ReactNode } from "react"
+import { SHOT_SEARCH_FIELD_LABELS, type ShotSearchSnippet as Snippet } from "@/features/shots/lib/shotSearch"
+
+/** Split snippet text into plain and <mark>ed runs. */
+function renderHighlighted(snippet: Snippet): ReactNode[] {
+  const nodes: ReactNode[] = []
+  let cursor = 0
+  for (const [from, to] of snippet.ranges) {
+    if (from < cursor) continue
+    if (from > cursor) nodes.push(snippet.text.slice(cursor, from))
+    nodes.push(
+      <mark key={from} className="rounded-sm bg-[var(--color-warning-subtle)] px-0.5 text-[var(--color-text)]">
+        {snippet.text.slice(from, to + 1)}
+      </mark>,
+    )
+    cursor = to + 1
+  }
+  if (cursor < snippet.text.length) nodes.push(snippet.text.slice(cursor))
+  return nodes
+}
+
+export function ShotSearchSnippet({ snippet }: { readonly snippet: Snippet }) {
+  return (
+    <p
+      data-testid="shot-search-snippet"
+      className="line-clamp-2 text-xxs leading-4 text-[var(--color-text-muted)]"
+    >
+      <span className="font-medium text-[var(--color-text-subtle)]">
+        {SHOT_SEARCH_FIELD_LABELS[snippet.field]}:{" "}
+      </span>
+      {renderHighlighted(snippet)}
+    </p>
+  )
+}
@@ -26,7 +26,7 @@ import { ResizableHeader } from "@/shared/components/ResizableHeader"
 import { ColumnSettingsPopover } from "@/shared/components/ColumnSettingsPopover"
 import { ShotStatusSelect } from "@/features/shots/components/ShotStatusSelect"
 import { SceneTableRow } from "@/features/shots/components/SceneTableRow"
-import { SHOT_TABLE_COLUMNS } from "@/features/shots/lib/shotTableColumns"
+import { SHOT_TABLE_COLUMNS, shotsTableStorageKey } from "@/features/shots/lib/shotTableColumns"
 import {
   computeShotRowContext,
   renderShotCell,
@@ -499,8 +499,7 @@ export function ShotsTable({
   // would be an orphan no backfill or read-flip could ever find). The exclusion
   // is covered by ShotsTable.prefsV2DualWrite.test.tsx's key-space assertion,
   // and is revisited in Phase 2 when reads flip to v2.
-  const storageKey =
-    clientId && projectId ? `shots-table:${clientId}:${projectId}` : `shots-table:${projectId}`
+  const storageKey = shotsTableStorageKey(clientId, projectId)
 
   // -- Column management via useTableColumns --
   const { columns, visibleColumns, setColumnWidth, toggleVisibility, reorderColumns, resetToDefaults } =
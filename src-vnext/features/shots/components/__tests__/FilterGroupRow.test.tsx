@@ -0,0 +1,77 @@
+import { describe, it, expect, vi } from "vitest"
+import { render, screen, fireEvent, within } from "@testing-library/react"
+import { FilterNodeList } from "../FilterGroupRow"
+import type { FilterNode } from "../../lib/filterConditions"
+
+const PICKER_DATA = {
+  statusOptions: [{ value: "todo", label: "To do" }],
+  tagOptions: [],
+  talentRecords: [],
+  locationRecords: [],
+  productFamilies: [],
+  projectId: "p1",
+}
+
+const NODES: readonly FilterNode[] = [
+  {
+    id: "g1",
+    kind: "group",
+    operator: "or",
+    children: [{ id: "c1", field: "status", operator: "in", value: ["todo"] }],
+  },
+]
+
+function renderList(overrides: Partial<React.ComponentProps<typeof FilterNodeList>> = {}) {
+  const handlers = {
+    onAddCondition: vi.fn(),
+    onUpdateCondition: vi.fn(),
+    onRemove: vi.fn(),
+    onAddGroup: vi.fn(),
+    onUpdateGroup: vi.fn(),
+  }
+  render(<FilterNodeList nodes={NODES} pickerData={PICKER_DATA} {...handlers} {...overrides} />)
+  return handlers
+}
+
+describe("FilterNodeList — groups", () => {
+  it("renders a group with its nested condition rows", () => {
+    renderList()
+    const group = screen.getByTestId("filter-group")
+    expect(within(group).getByText("Status")).toBeInTheDocument()
+    expect(within(group).getByText("Any of")).toBeInTheDocument()
+  })
+
+  it("removes the whole group from its header button", () => {
+    const { onRemove } = renderList()
+    fireEvent.click(screen.getByRole("button", { name: "Remove group" }))
+    expect(onRemove).toHaveBeenCalledWith("g1")
+  })
+
+  it("adds a condition scoped to the group", () => {
+    const { onAddCondition } = renderList()
+    fireEvent.click(screen.getByRole("button", { name: /Add to group/ }))
+    fireEvent.click(screen.getByRole("button", { name: "Tag" }))
+    expect(onAddCondition).toHaveBeenCalledWith(
+      { field: "tag", operator: "in", value: [] },
+      "g1",
+    )
+  })
+
+  it("hides single-use fields already present in the same group", () => {
+    renderList()
+    fireEvent.click(screen.getByRole("button", { name: /Add to group/ }))
+    expect(screen.queryByRole("button", { name: "Status" })).not.toBeInTheDocument()
+  })
+
+  it("adds a nested group inside the group", () => {
+    const { onAddGroup } = renderList()
+    fireEvent.click(screen.getByRole("button", { name: /Add to group/ }))
+    fireEvent.click(screen.getByRole("button", { name: /All of… group/ }))
+    expect(onAddGroup).toHaveBeenCalledWith("and", "g1")
+  })
+
+  it("explains an empty group", () => {
+    renderList({ nodes: [{ id: "g2", kind: "group", operator: "not", children: [] }] })
+    expect(screen.getByText(/Empty group/)).toBeInTheDocument()
+  })
+})
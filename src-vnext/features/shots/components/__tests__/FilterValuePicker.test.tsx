@@ -180,3 +180,48 @@ describe("FilterValuePicker status picker", () => {
     expect(onChange).toHaveBeenCalledWith([])
   })
 })
+
+function renderPicker(condition: FilterCondition, extra?: { sceneOptions?: readonly { id: string; label: string }[] }) {
+  const onChange = vi.fn()
+  render(
+    <FilterValuePicker
+      condition={condition}
+      onChange={onChange}
+      statusOptions={[]}
+      tagOptions={[]}
+      talentRecords={[]}
+      locationRecords={[]}
+      productFamilies={[]}
+      sceneOptions={extra?.sceneOptions}
+      projectId="p1"
+    />,
+  )
+  return { onChange }
+}
+
+describe("FilterValuePicker scene / count pickers", () => {
+  it("lists project scenes plus a No scene option", () => {
+    const { onChange } = renderPicker(
+      { id: "c1", field: "scene", operator: "in", value: [] },
+      { sceneOptions: [{ id: "l1", label: "Beach" }] },
+    )
+    expect(screen.getByText("Beach")).toBeInTheDocument()
+    fireEvent.click(screen.getByRole("checkbox", { name: "No scene" }))
+    expect(onChange).toHaveBeenCalledWith(["none"])
+  })
+
+  it("emits whole non-negative counts and null when cleared", () => {
+    const { onChange } = renderPicker({ id: "c1", field: "lookCount", operator: "gte", value: 2 })
+    const input = screen.getByLabelText("Count")
+    expect(input).toHaveValue(2)
+    fireEvent.change(input, { target: { value: "5" } })
+    expect(onChange).toHaveBeenLastCalledWith(5)
+    fireEvent.change(input, { target: { value: "" } })
+    expect(onChange).toHaveBeenLastCalledWith(null)
+  })
+
+  it("labels an empty shoot-date condition", () => {
+    renderPicker({ id: "c1", field: "date", operator: "empty", value: null })
+    expect(screen.getByText("No shoot date")).toBeInTheDocument()
+  })
+})
@@ -49,6 +49,7 @@ vi.mock("@/features/shots/hooks/usePickerData", () => ({
   }),
   useLocations: () => ({ data: [], loading: false, error: null }),
   useProductFamilies: () => ({ data: [], loading: false, error: null }),
+  useUserRoster: () => ({ data: [], loading: false, error: null }),
 }))
 
 // Global claim crew — the shoot-surface population. The producer pin flips it.
@@ -91,3 +91,19 @@ describe("ShotCard keyboard activation", () => {
     expect(onOpenShot).not.toHaveBeenCalled()
   })
 })
+
+describe("ShotCard search snippet", () => {
+  it("highlights the matched text with its field label", () => {
+    render(
+      <MemoryRouter>
+        <ShotCard
+          shot={baseShot as unknown as Shot}
+          searchSnippet={{ field: "notes", text: "Bring the wind machine", ranges: [[10, 13]] }}
+        />
+      </MemoryRouter>,
+    )
+    const snippet = screen.getByTestId("shot-search-snippet")
+    expect(snippet).toHaveTextContent("Notes: Bring the wind machine")
+    expect(snippet.querySelector("mark")).toHaveTextContent(/^wind$/)
+  })
+})
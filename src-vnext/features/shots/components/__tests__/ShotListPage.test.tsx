@@ -17,6 +17,7 @@ vi.mock("@/features/shots/hooks/usePickerData", () => ({
   useTalent: vi.fn(),
   useLocations: vi.fn(),
   useProductFamilies: vi.fn(),
+  useUserRoster: () => ({ data: [], loading: false, error: null }),
 }))
 
 vi.mock("@/app/providers/AuthProvider", () => ({
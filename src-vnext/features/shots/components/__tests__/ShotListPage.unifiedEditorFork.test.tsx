@@ -22,6 +22,7 @@ vi.mock("@/features/shots/hooks/usePickerData", () => ({
   useTalent: () => ({ data: [], loading: false, error: null }),
   useLocations: () => ({ data: [], loading: false, error: null }),
   useProductFamilies: () => ({ data: [], loading: false, error: null }),
+  useUserRoster: () => ({ data: [], loading: false, error: null }),
 }))
 
 vi.mock("@/app/providers/AuthProvider", () => ({
@@ -0,0 +1,105 @@
+import { describe, it, expect, vi } from "vitest"
+import { render, screen, fireEvent, waitFor } from "@testing-library/react"
+import { ShotListViewSwitcher, type ShotListViewSwitcherProps } from "../ShotListViewSwitcher"
+import type { ShotListView } from "../../lib/shotListViews"
+
+vi.mock("sonner", () => ({ toast: { success: vi.fn(), error: vi.fn() } }))
+
+function makeView(overrides: Partial<ShotListView> = {}): ShotListView {
+  return {
+    id: "v1",
+    name: "Hero shots",
+    visibility: "shared",
+    state: {
+      filters: "",
+      query: "",
+      sortKey: "custom",
+      sortDir: "asc",
+      groupKey: "none",
+      viewMode: null,
+      columns: [],
+    },
+    createdBy: "u1",
+    createdAt: null,
+    updatedAt: null,
+    ...overrides,
+  }
+}
+
+function renderSwitcher(overrides: Partial<ShotListViewSwitcherProps> = {}) {
+  const props: ShotListViewSwitcherProps = {
+    projectId: "p1",
+    views: [makeView(), makeView({ id: "v2", name: "Mine", visibility: "private", createdBy: "u2" })],
+    activeView: null,
+    isModified: false,
+    currentUserId: "u2",
+    applyView: vi.fn(),
+    clearActiveView: vi.fn(),
+    saveView: vi.fn().mockResolvedValue(undefined),
+    updateActiveView: vi.fn().mockResolvedValue(undefined),
+    setVisibility: vi.fn().mockResolvedValue(undefined),
+    deleteView: vi.fn().mockResolvedValue(undefined),
+    ...overrides,
+  }
+  render(<ShotListViewSwitcher {...props} />)
+  fireEvent.click(screen.getByTestId("saved-views-trigger"))
+  return props
+}
+
+describe("ShotListViewSwitcher", () => {
+  it("applies a view when it is picked", () => {
+    const props = renderSwitcher()
+    fireEvent.click(screen.getByRole("button", { name: "Shared Hero shots" }))
+    expect(props.applyView).toHaveBeenCalledWith(expect.objectContaining({ id: "v1" }))
+  })
+
+  it("only offers sharing and delete controls on the caller's own views", () => {
+    renderSwitcher()
+    expect(screen.getByRole("button", { name: "Delete Mine" })).toBeInTheDocument()
+    expect(screen.queryByRole("button", { name: "Delete Hero shots" })).not.toBeInTheDocument()
+    expect(screen.getByRole("button", { name: "Copy link to Hero shots" })).toBeInTheDocument()
+  })
+
+  it("shares a private view with the team", async () => {
+    const props = renderSwitcher()
+    fireEvent.click(screen.getByRole("button", { name: "Share Mine with the team" }))
+    await waitFor(() =>
+      expect(props.setVisibility).toHaveBeenCalledWith(expect.objectContaining({ id: "v2" }), "shared"),
+    )
+  })
+
+  it("saves the current setup under a validated name", async () => {
+    const props = renderSwitcher()
+    fireEvent.click(screen.getByRole("button", { name: /Save current view/ }))
+    const submit = screen.getByRole("button", { name: "Save view" })
+    expect(submit).toBeDisabled()
+
+    fireEvent.change(screen.getByLabelText("View name"), { target: { value: "  Day 1  " } })
+    fireEvent.click(screen.getByRole("checkbox"))
+    fireEvent.click(submit)
+    await waitFor(() => expect(props.saveView).toHaveBeenCalledWith("  Day 1  ", "shared"))
+  })
+
+  it("offers Update only for an edited view the caller owns", () => {
+    const mine = makeView({ id: "v2", name: "Mine", createdBy: "u2" })
+    const props = renderSwitcher({ activeView: mine, isModified: true })
+    expect(screen.getByTestId("saved-views-trigger")).toHaveTextContent("(edited)")
+    fireEvent.click(screen.getByRole("button", { name: /Update “Mine”/ }))
+    expect(props.updateActiveView).toHaveBeenCalled()
+  })
+
+  it("hides Update on someone else's view", () => {
+    renderSwitcher({ activeView: makeView(), isModified: true })
+    expect(screen.queryByRole("button", { name: /Update/ })).not.toBeInTheDocument()
+  })
+
+  it("confirms before deleting", async () => {
+    const props = renderSwitcher()
+    fireEvent.click(screen.getByRole("button", { name: "Delete Mine" }))
+    expect(props.deleteView).not.toHaveBeenCalled()
+    fireEvent.click(screen.getByRole("button", { name: "Delete" }))
+    await waitFor(() =>
+      expect(props.deleteView).toHaveBeenCalledWith(expect.objectContaining({ id: "v2" })),
+    )
+  })
+})
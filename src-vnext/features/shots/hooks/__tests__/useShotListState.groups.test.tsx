@@ -0,0 +1,119 @@
+import { describe, it, expect } from "vitest"
+import { act } from "react"
+import { renderHook } from "@testing-library/react"
+import { MemoryRouter, useLocation } from "react-router-dom"
+import type { ReactNode } from "react"
+import { Timestamp } from "firebase/firestore"
+import type { Shot } from "@/shared/types"
+import { useShotListState } from "../useShotListState"
+import { isFilterGroup } from "@/features/shots/lib/filterConditions"
+
+// ---------------------------------------------------------------------------
+// Nested AND/OR/NOT groups round-trip through the URL `filters` param, filter
+// displayShots, and stay invisible to the inline (top-level-only) toolbar
+// filters.
+// ---------------------------------------------------------------------------
+
+function makeShot(id: string, overrides: Partial<Shot> = {}): Shot {
+  return {
+    id,
+    title: id,
+    status: "todo",
+    projectId: "p1",
+    clientId: "test-client",
+    talent: [],
+    products: [],
+    sortOrder: 0,
+    deleted: false,
+    createdAt: Timestamp.fromMillis(1000),
+    updatedAt: Timestamp.fromMillis(2000),
+    createdBy: "user-1",
+    ...overrides,
+  } as Shot
+}
+
+const SHOTS: Shot[] = [
+  makeShot("s1", { status: "todo", sortOrder: 0 }),
+  makeShot("s2", { status: "in_progress", talentIds: ["maya"], sortOrder: 1 }),
+  makeShot("s3", { status: "complete", sortOrder: 2 }),
+]
+
+const PARAMS = {
+  shots: SHOTS,
+  reorderOptimistic: null,
+  clientId: "test-client",
+  projectId: "p1",
+  talentNameById: new Map<string, string>([["maya", "Maya"]]),
+  locationNameById: new Map<string, string>(),
+  productNameById: new Map<string, string>(),
+} as const
+
+function setup(initialSearch = "") {
+  let search = ""
+  function Probe() {
+    search = useLocation().search
+    return null
+  }
+  const wrapper = ({ children }: { children: ReactNode }) => (
+    <MemoryRouter initialEntries={[`/projects/p1/shots${initialSearch}`]}>
+      {children}
+      <Probe />
+    </MemoryRouter>
+  )
+  const view = renderHook(() => useShotListState({ ...PARAMS }), { wrapper })
+  return { view, getSearch: () => search }
+}
+
+describe("useShotListState — filter groups", () => {
+  it("hydrates a grouped filters param and applies OR logic", () => {
+    const { view } = setup("?filters=or(status.in:todo;talent.in:maya)")
+    expect(view.result.current.displayShots.map((s) => s.id)).toEqual(["s1", "s2"])
+  })
+
+  it("addGroup + addCondition(parentGroupId) write a nested segment", () => {
+    const { view, getSearch } = setup()
+
+    act(() => view.result.current.addGroup("or"))
+    view.rerender()
+    const group = view.result.current.conditions[0]!
+    expect(isFilterGroup(group)).toBe(true)
+
+    act(() => view.result.current.addCondition({ field: "status", operator: "in", value: ["complete"] }, group.id))
+    view.rerender()
+
+    expect(new URLSearchParams(getSearch()).get("filters")).toBe("or(status.in:complete)")
+    expect(view.result.current.displayShots.map((s) => s.id)).toEqual(["s3"])
+  })
+
+  it("updateGroup switches the operator", () => {
+    const { view, getSearch } = setup("?filters=or(status.in:todo)")
+    const groupId = view.result.current.conditions[0]!.id
+
+    act(() => view.result.current.updateGroup(groupId, "not"))
+    view.rerender()
+
+    expect(new URLSearchParams(getSearch()).get("filters")).toBe("not(status.in:todo)")
+    expect(view.result.current.displayShots.map((s) => s.id)).toEqual(["s2", "s3"])
+  })
+
+  it("grouped status conditions do not drive the inline status filter", () => {
+    const { view } = setup("?filters=or(status.in:todo)")
+    expect(Array.from(view.result.current.statusFilter)).toEqual([])
+  })
+
+  it("collapses a group into one descriptive badge", () => {
+    const { view } = setup("?filters=or(status.in:todo;talent.in:maya)")
+    const labels = view.result.current.activeFilterBadges.map((b) => b.label)
+    expect(labels).toEqual(["Any of (Status is Draft; Talent is Maya)"])
+  })
+
+  it("removeCondition removes a whole group", () => {
+    const { view, getSearch } = setup("?filters=status.in:todo;or(talent.in:maya)")
+    const groupId = view.result.current.conditions[1]!.id
+
+    act(() => view.result.current.removeCondition(groupId))
+    view.rerender()
+
+    expect(new URLSearchParams(getSearch()).get("filters")).toBe("status.in:todo")
+  })
+})
@@ -0,0 +1,79 @@
+import { describe, it, expect } from "vitest"
+import { renderHook } from "@testing-library/react"
+import { MemoryRouter } from "react-router-dom"
+import type { ReactNode } from "react"
+import { Timestamp } from "firebase/firestore"
+import type { Shot } from "@/shared/types"
+import { useShotListState } from "../useShotListState"
+
+// ---------------------------------------------------------------------------
+// ?q= runs the ranked full-text search: relevance order under custom sort,
+// snippets for non-title matches, and "content" conditions share the index.
+// ---------------------------------------------------------------------------
+
+function makeShot(id: string, overrides: Partial<Shot> = {}): Shot {
+  return {
+    id,
+    title: id,
+    status: "todo",
+    projectId: "p1",
+    clientId: "test-client",
+    talent: [],
+    products: [],
+    sortOrder: 0,
+    deleted: false,
+    createdAt: Timestamp.fromMillis(1000),
+    updatedAt: Timestamp.fromMillis(2000),
+    createdBy: "user-1",
+    ...overrides,
+  } as Shot
+}
+
+const SHOTS: Shot[] = [
+  makeShot("s1", { title: "Flatlay", notes: "<p>Steam the linen first</p>", sortOrder: 0 }),
+  makeShot("s2", { title: "Linen shirt hero", sortOrder: 1 }),
+  makeShot("s3", { title: "Beach", sortOrder: 2 }),
+]
+
+function setup(initialSearch: string) {
+  const wrapper = ({ children }: { children: ReactNode }) => (
+    <MemoryRouter initialEntries={[`/projects/p1/shots${initialSearch}`]}>{children}</MemoryRouter>
+  )
+  return renderHook(
+    () =>
+      useShotListState({
+        shots: SHOTS,
+        reorderOptimistic: null,
+        clientId: "test-client",
+        projectId: "p1",
+        talentNameById: new Map(),
+        locationNameById: new Map(),
+        productNameById: new Map(),
+      }),
+    { wrapper },
+  )
+}
+
+describe("useShotListState — text search", () => {
+  it("ranks matches by relevance under the custom order", () => {
+    const view = setup("?q=linen")
+    expect(view.result.current.displayShots.map((s) => s.id)).toEqual(["s2", "s1"])
+  })
+
+  it("honours an explicit sort over relevance", () => {
+    const view = setup("?q=linen&sort=name&dir=asc")
+    expect(view.result.current.displayShots.map((s) => s.id)).toEqual(["s1", "s2"])
+  })
+
+  it("exposes a snippet for matches outside the title", () => {
+    const view = setup("?q=steam")
+    const snippet = view.result.current.searchSnippets.get("s1")
+    expect(snippet?.field).toBe("notes")
+    expect(view.result.current.searchSnippets.has("s2")).toBe(false)
+  })
+
+  it("applies a content condition from the filters param", () => {
+    const view = setup("?filters=content.search:steam")
+    expect(view.result.current.displayShots.map((s) => s.id)).toEqual(["s1"])
+  })
+})
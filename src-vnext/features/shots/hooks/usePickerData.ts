@@ -8,8 +8,9 @@ import {
   productFamilySkusPath,
   talentPath,
   locationsPath,
+  usersPath,
 } from "@/shared/lib/paths"
-import type { ProductFamily, ProductSku, TalentRecord, LocationRecord } from "@/shared/types"
+import type { ProductFamily, ProductSku, TalentRecord, LocationRecord, UserProfile } from "@/shared/types"
 
 function asString(value: unknown): string | undefined {
   return typeof value === "string" && value.trim().length > 0 ? value : undefined
@@ -196,3 +197,12 @@ export function useLocations() {
     mapLocation,
   )
 }
+
+/** Org user roster — resolves `createdBy` uids to display names. */
+export function useUserRoster() {
+  const { clientId } = useAuth()
+  return useFirestoreCollection<UserProfile>(
+    clientId ? usersPath(clientId) : null,
+    [orderBy("email", "asc")],
+  )
+}
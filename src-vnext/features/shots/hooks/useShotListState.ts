@@ -19,15 +19,28 @@ import {
   type ShotGroup,
   DEFAULT_FIELDS,
   STATUS_LABELS,
-  filterByQuery,
   sortShots,
   computeInsights,
   groupShots,
 } from "@/features/shots/lib/shotListFilters"
-import { deserializeFilters, serializeFilters, migrateLegacyParams } from "@/features/shots/lib/filterSerializer"
+import { deserializeFilterTree, serializeFilters, migrateLegacyParams } from "@/features/shots/lib/filterSerializer"
 import { applyFilterConditions } from "@/features/shots/lib/filterEngine"
-import type { FilterCondition } from "@/features/shots/lib/filterConditions"
-import { OPERATOR_LABELS } from "@/features/shots/lib/filterConditions"
+import { createShotSearchIndex, type ShotSearchSnippet } from "@/features/shots/lib/shotSearch"
+import type { FilterCondition, FilterGroupOperator, FilterNode } from "@/features/shots/lib/filterConditions"
+import {
+  GROUP_OPERATOR_LABELS,
+  MEDIA_TYPE_OPTIONS,
+  NO_SCENE_VALUE,
+  OPERATOR_LABELS,
+  isFilterCondition,
+} from "@/features/shots/lib/filterConditions"
+import { READINESS_STATE_LABELS, type ShotReadinessState } from "@/features/shots/lib/shotProductReadiness"
+import {
+  insertFilterNode,
+  removeFilterNode,
+  updateFilterCondition,
+  updateFilterGroup,
+} from "@/features/shots/lib/filterTree"
 import {
   backfillShotsPrefsV2,
   fieldsDelta,
@@ -49,6 +62,14 @@ const FIELD_LABELS: Record<string, string> = {
   launchDate: "Launch Date",
   hasRequirements: "Has Requirements",
   hasHeroImage: "Has Hero Image",
+  scene: "Scene",
+  mediaType: "Media Type",
+  date: "Shoot Date",
+  lookCount: "Looks",
+  readiness: "Product Readiness",
+  commentCount: "Comments",
+  createdBy: "Created By",
+  content: "Content",
 }
 
 const MISSING_LABELS: Record<string, string> = {
@@ -58,6 +79,42 @@ const MISSING_LABELS: Record<string, string> = {
   image: "Hero Image",
 }
 
+// ---------------------------------------------------------------------------
+// Badge labels
+// ---------------------------------------------------------------------------
+
+type ResolveName = (field: string, id: string) => string
+
+function describeFilterCondition(cond: FilterCondition, resolveName: ResolveName): string {
+  const fieldLabel = FIELD_LABELS[cond.field] ?? cond.field
+  const operatorLabel = OPERATOR_LABELS[cond.operator] ?? cond.operator
+
+  let valueLabel: string
+  if (cond.value === null) {
+    valueLabel = ""
+  } else if (typeof cond.value === "boolean") {
+    valueLabel = cond.value ? "Yes" : "No"
+  } else if (Array.isArray(cond.value)) {
+    const names = (cond.value as readonly string[]).map((v) => resolveName(cond.field, v))
+    valueLabel = names.length <= 2 ? names.join(", ") : `${names.slice(0, 2).join(", ")} +${names.length - 2}`
+  } else if (typeof cond.value === "object" && "from" in cond.value) {
+    valueLabel = `${cond.value.from} to ${cond.value.to}`
+  } else {
+    valueLabel = String(cond.value)
+  }
+
+  return cond.operator === "empty"
+    ? `${fieldLabel} ${operatorLabel}`
+    : `${fieldLabel} ${operatorLabel} ${valueLabel}`
+}
+
+/** Groups read as "Any of (A; All of (B; C))" so nesting stays legible in one badge. */
+function describeFilterNode(node: FilterNode, resolveName: ResolveName): string {
+  if (isFilterCondition(node)) return describeFilterCondition(node, resolveName)
+  const inner = node.children.map((child) => describeFilterNode(child, resolveName)).join("; ")
+  return `${GROUP_OPERATOR_LABELS[node.operator]} (${inner})`
+}
+
 // ---------------------------------------------------------------------------
 // Types
 // ---------------------------------------------------------------------------
@@ -82,11 +139,15 @@ export type ShotListState = {
   readonly statusFilter: ReadonlySet<ShotFirestoreStatus>
   readonly missingFilter: ReadonlySet<MissingKey>
   readonly tagFilter: ReadonlySet<string>
-  // Condition-based filtering
-  readonly conditions: readonly FilterCondition[]
-  readonly addCondition: (condition: Omit<FilterCondition, "id">) => void
-  readonly removeCondition: (conditionId: string) => void
+  // Condition-based filtering. Top-level nodes are ANDed; groups nest AND/OR/NOT.
+  readonly conditions: readonly FilterNode[]
+  /** Adds to the top level, or inside `parentGroupId` when given. */
+  readonly addCondition: (condition: Omit<FilterCondition, "id">, parentGroupId?: string) => void
+  /** Removes a condition or a whole group, at any depth. */
+  readonly removeCondition: (nodeId: string) => void
   readonly updateCondition: (conditionId: string, updates: Partial<Omit<FilterCondition, "id">>) => void
+  readonly addGroup: (operator: FilterGroupOperator, parentGroupId?: string) => void
+  readonly updateGroup: (groupId: string, operator: FilterGroupOperator) => void
   // Query draft (debounced)
   readonly queryDraft: string
   readonly setQueryDraft: (value: string) => void
@@ -110,6 +171,8 @@ export type ShotListState = {
   readonly setFields: (fields: ShotsListFields) => void
   // Computed
   readonly displayShots: ReadonlyArray<Shot>
+  /** Highlighted match context per shot ID while a text query is active. */
+  readonly searchSnippets: ReadonlyMap<string, ShotSearchSnippet>
   /** Alive shots in display sort order with NO condition/query filtering.
    *  The Shoot shell list (5e-II) derives from this: a lingering deep-link
    *  filter (?status=…/?q=…) must never silently subset the on-set list,
@@ -154,10 +217,12 @@ export function useShotListState(params: {
   readonly laneNameById?: ReadonlyMap<string, string>
   readonly laneOrder?: ReadonlyMap<string, number>
   readonly laneById?: ReadonlyMap<string, Lane>
+  /** Display names for shot creators — badge labels for the Created By filter. */
+  readonly creatorNameById?: ReadonlyMap<string, string>
   /** Phase 4 — see ShotListSurfaceContext. Optional + additive. */
   readonly surfaceContext?: ShotListSurfaceContext | null
 }): ShotListState {
-  const { shots, reorderOptimistic, clientId, projectId, talentNameById, locationNameById, productNameById, familyById, skuById, laneNameById, laneOrder, laneById, surfaceContext } = params
+  const { shots, reorderOptimistic, clientId, projectId, talentNameById, locationNameById, productNameById, familyById, skuById, laneNameById, laneOrder, laneById, creatorNameById, surfaceContext } = params
 
   const isMobile = useIsMobile()
   const [searchParams, setSearchParams] = useSearchParams()
@@ -173,10 +238,17 @@ export function useShotListState(params: {
 
   // -- Condition-based filters (from URL `filters` param) --
   const conditions = useMemo(
-    () => deserializeFilters(searchParams.get("filters")),
+    () => deserializeFilterTree(searchParams.get("filters")),
     [searchParams],
   )
 
+  // Inline toolbar filters (status/missing/talent/…) only ever read and write
+  // top-level conditions; anything inside a group belongs to the More popover.
+  const topLevelConditions = useMemo(
+    () => conditions.filter(isFilterCondition),
+    [conditions],
+  )
+
   // -- Legacy migration: convert old flat params to conditions on mount --
   const migrationDone = useRef(false)
   useEffect(() => {
@@ -193,47 +265,47 @@ export function useShotListState(params: {
 
   // -- Derive backward-compatible filter values from conditions --
   const statusFilter = useMemo((): ReadonlySet<ShotFirestoreStatus> => {
-    const cond = conditions.find((c) => c.field === "status" && c.operator === "in")
+    const cond = topLevelConditions.find((c) => c.field === "status" && c.operator === "in")
     const values = (cond?.value as readonly string[] | undefined) ?? []
     const set = new Set<ShotFirestoreStatus>()
     for (const v of values) {
       if (v === "todo" || v === "in_progress" || v === "complete" || v === "on_hold") set.add(v)
     }
     return set
-  }, [conditions])
+  }, [topLevelConditions])
 
   const missingFilter = useMemo((): ReadonlySet<MissingKey> => {
-    const cond = conditions.find((c) => c.field === "missing" && c.operator === "in")
+    const cond = topLevelConditions.find((c) => c.field === "missing" && c.operator === "in")
     const values = (cond?.value as readonly string[] | undefined) ?? []
     const set = new Set<MissingKey>()
     for (const v of values) {
       if (v === "products" || v === "talent" || v === "location" || v === "image") set.add(v)
     }
     return set
-  }, [conditions])
+  }, [topLevelConditions])
 
   const tagFilter = useMemo((): ReadonlySet<string> => {
-    const cond = conditions.find((c) => c.field === "tag" && c.operator === "in")
+    const cond = topLevelConditions.find((c) => c.field === "tag" && c.operator === "in")
     return new Set((cond?.value as readonly string[] | undefined) ?? [])
-  }, [conditions])
+  }, [topLevelConditions])
 
   const talentParam = useMemo((): string => {
-    const cond = conditions.find((c) => c.field === "talent" && c.operator === "in")
+    const cond = topLevelConditions.find((c) => c.field === "talent" && c.operator === "in")
     const values = (cond?.value as readonly string[] | undefined) ?? []
     return values[0] ?? ""
-  }, [conditions])
+  }, [topLevelConditions])
 
   const locationParam = useMemo((): string => {
-    const cond = conditions.find((c) => c.field === "location" && c.operator === "in")
+    const cond = topLevelConditions.find((c) => c.field === "location" && c.operator === "in")
     const values = (cond?.value as readonly string[] | undefined) ?? []
     return values[0] ?? ""
-  }, [conditions])
+  }, [topLevelConditions])
 
   const productParam = useMemo((): string => {
-    const cond = conditions.find((c) => c.field === "product" && c.operator === "in")
+    const cond = topLevelConditions.find((c) => c.field === "product" && c.operator === "in")
     const values = (cond?.value as readonly string[] | undefined) ?? []
     return values[0] ?? ""
-  }, [conditions])
+  }, [topLevelConditions])
 
   // -- Query draft with debounce --
   const [queryDraft, setQueryDraft] = useState(queryParam)
@@ -458,7 +530,7 @@ export function useShotListState(params: {
   }, [searchParams, setSearchParams])
 
   // -- Condition mutators --
-  const writeConditions = useCallback((next: readonly FilterCondition[]) => {
+  const writeConditions = useCallback((next: readonly FilterNode[]) => {
     const p = new URLSearchParams(searchParams)
     const serialized = serializeFilters(next)
     if (serialized) p.set("filters", serialized)
@@ -466,23 +538,34 @@ export function useShotListState(params: {
     setSearchParams(p, { replace: true })
   }, [searchParams, setSearchParams])
 
-  const addCondition = useCallback((condition: Omit<FilterCondition, "id">) => {
-    writeConditions([...conditions, { ...condition, id: crypto.randomUUID() }])
+  const addCondition = useCallback((condition: Omit<FilterCondition, "id">, parentGroupId?: string) => {
+    writeConditions(insertFilterNode(conditions, parentGroupId, { ...condition, id: crypto.randomUUID() }))
   }, [conditions, writeConditions])
 
-  const removeCondition = useCallback((conditionId: string) => {
-    writeConditions(conditions.filter((c) => c.id !== conditionId))
+  const removeCondition = useCallback((nodeId: string) => {
+    writeConditions(removeFilterNode(conditions, nodeId))
   }, [conditions, writeConditions])
 
   const updateCondition = useCallback((conditionId: string, updates: Partial<Omit<FilterCondition, "id">>) => {
-    writeConditions(conditions.map((c) =>
-      c.id === conditionId ? { ...c, ...updates } : c,
-    ))
+    writeConditions(updateFilterCondition(conditions, conditionId, updates))
+  }, [conditions, writeConditions])
+
+  const addGroup = useCallback((operator: FilterGroupOperator, parentGroupId?: string) => {
+    writeConditions(insertFilterNode(conditions, parentGroupId, {
+      id: crypto.randomUUID(),
+      kind: "group",
+      operator,
+      children: [],
+    }))
+  }, [conditions, writeConditions])
+
+  const updateGroup = useCallback((groupId: string, operator: FilterGroupOperator) => {
+    writeConditions(updateFilterGroup(conditions, groupId, { operator }))
   }, [conditions, writeConditions])
 
   // -- Convenience toggle/set callbacks (manipulate conditions under the hood) --
   const toggleStatus = useCallback((status: ShotFirestoreStatus) => {
-    const existing = conditions.find((c) => c.field === "status" && c.operator === "in")
+    const existing = topLevelConditions.find((c) => c.field === "status" && c.operator === "in")
     if (existing) {
       const currentValues = (existing.value as readonly string[]) ?? []
       const newValues = currentValues.includes(status)
@@ -496,20 +579,20 @@ export function useShotListState(params: {
     } else {
       addCondition({ field: "status", operator: "in", value: [status] })
     }
-  }, [conditions, addCondition, removeCondition, updateCondition])
+  }, [topLevelConditions, addCondition, removeCondition, updateCondition])
 
   const clearStatusFilter = useCallback(() => {
-    const existing = conditions.find((c) => c.field === "status" && c.operator === "in")
+    const existing = topLevelConditions.find((c) => c.field === "status" && c.operator === "in")
     if (existing) removeCondition(existing.id)
-  }, [conditions, removeCondition])
+  }, [topLevelConditions, removeCondition])
 
   const clearMissingFilter = useCallback(() => {
-    const existing = conditions.find((c) => c.field === "missing" && c.operator === "in")
+    const existing = topLevelConditions.find((c) => c.field === "missing" && c.operator === "in")
     if (existing) removeCondition(existing.id)
-  }, [conditions, removeCondition])
+  }, [topLevelConditions, removeCondition])
 
   const toggleMissing = useCallback((key: MissingKey) => {
-    const existing = conditions.find((c) => c.field === "missing" && c.operator === "in")
+    const existing = topLevelConditions.find((c) => c.field === "missing" && c.operator === "in")
     if (existing) {
       const currentValues = (existing.value as readonly string[]) ?? []
       const newValues = currentValues.includes(key)
@@ -523,12 +606,12 @@ export function useShotListState(params: {
     } else {
       addCondition({ field: "missing", operator: "in", value: [key] })
     }
-  }, [conditions, addCondition, removeCondition, updateCondition])
+  }, [topLevelConditions, addCondition, removeCondition, updateCondition])
 
   const toggleTag = useCallback((tagId: string) => {
     const id = tagId.trim()
     if (!id) return
-    const existing = conditions.find((c) => c.field === "tag" && c.operator === "in")
+    const existing = topLevelConditions.find((c) => c.field === "tag" && c.operator === "in")
     if (existing) {
       const currentValues = (existing.value as readonly string[]) ?? []
       const newValues = currentValues.includes(id)
@@ -542,11 +625,11 @@ export function useShotListState(params: {
     } else {
       addCondition({ field: "tag", operator: "in", value: [id] })
     }
-  }, [conditions, addCondition, removeCondition, updateCondition])
+  }, [topLevelConditions, addCondition, removeCondition, updateCondition])
 
   const setTalentFilter = useCallback((talentId: string) => {
     const id = talentId.trim()
-    const existing = conditions.find((c) => c.field === "talent" && c.operator === "in")
+    const existing = topLevelConditions.find((c) => c.field === "talent" && c.operator === "in")
     if (!id) {
       if (existing) removeCondition(existing.id)
     } else if (existing) {
@@ -554,11 +637,11 @@ export function useShotListState(params: {
     } else {
       addCondition({ field: "talent", operator: "in", value: [id] })
     }
-  }, [conditions, addCondition, removeCondition, updateCondition])
+  }, [topLevelConditions, addCondition, removeCondition, updateCondition])
 
   const setLocationFilter = useCallback((locationId: string) => {
     const id = locationId.trim()
-    const existing = conditions.find((c) => c.field === "location" && c.operator === "in")
+    const existing = topLevelConditions.find((c) => c.field === "location" && c.operator === "in")
     if (!id) {
       if (existing) removeCondition(existing.id)
     } else if (existing) {
@@ -566,11 +649,11 @@ export function useShotListState(params: {
     } else {
       addCondition({ field: "location", operator: "in", value: [id] })
     }
-  }, [conditions, addCondition, removeCondition, updateCondition])
+  }, [topLevelConditions, addCondition, removeCondition, updateCondition])
 
   const setProductFilter = useCallback((productFamilyId: string) => {
     const id = productFamilyId.trim()
-    const existing = conditions.find((c) => c.field === "product" && c.operator === "in")
+    const existing = topLevelConditions.find((c) => c.field === "product" && c.operator === "in")
     if (!id) {
       if (existing) removeCondition(existing.id)
     } else if (existing) {
@@ -578,7 +661,7 @@ export function useShotListState(params: {
     } else {
       addCondition({ field: "product", operator: "in", value: [id] })
     }
-  }, [conditions, addCondition, removeCondition, updateCondition])
+  }, [topLevelConditions, addCondition, removeCondition, updateCondition])
 
   const clearFilters = useCallback(() => {
     const p = new URLSearchParams(searchParams)
@@ -590,26 +673,46 @@ export function useShotListState(params: {
   }, [searchParams, setSearchParams])
 
   // -- Computed --
-  const displayShots = useMemo(() => {
-    const base = reorderOptimistic ?? shots
-    // Defense-in-depth: exclude soft-deleted shots even if the Firestore query leaks them
-    const alive = base.filter((s) => s.deleted !== true)
-
-    // Apply condition-based filters
-    const ctx = { familyById: familyById ?? new Map(), skuById: skuById ?? undefined }
-    const filtered = applyFilterConditions(alive, conditions, ctx)
-
-    // Apply text query (separate from conditions)
-    const queried = filterByQuery(filtered, queryParam)
+  // Defense-in-depth: exclude soft-deleted shots even if the Firestore query leaks them
+  const aliveShots = useMemo(
+    () => (reorderOptimistic ?? shots).filter((s) => s.deleted !== true),
+    [shots, reorderOptimistic],
+  )
 
-    // Sort
-    return sortShots(queried, sortKey, sortDir, familyById, skuById)
-  }, [shots, reorderOptimistic, conditions, queryParam, sortKey, sortDir, familyById, skuById])
+  // One full-text index serves both the ?q= search and "content" conditions.
+  const searchIndex = useMemo(
+    () => createShotSearchIndex(aliveShots, { talentNameById }),
+    [aliveShots, talentNameById],
+  )
+  const searchHits = useMemo(
+    () => (queryParam.trim() ? searchIndex.search(queryParam) : null),
+    [searchIndex, queryParam],
+  )
+  const searchSnippets = useMemo(() => {
+    const map = new Map<string, ShotSearchSnippet>()
+    for (const hit of searchHits ?? []) {
+      if (hit.snippet) map.set(hit.shotId, hit.snippet)
+    }
+    return map
+  }, [searchHits])
 
-  const unfilteredSortedShots = useMemo(() => {
-    const alive = (reorderOptimistic ?? shots).filter((s) => s.deleted !== true)
-    return sortShots(alive, sortKey, sortDir, familyById, skuById)
-  }, [shots, reorderOptimistic, sortKey, sortDir, familyById, skuById])
+  const displayShots = useMemo(() => {
+    // Apply condition-based filters
+    const ctx = { familyById: familyById ?? new Map(), skuById: skuById ?? undefined, talentNameById, searchIndex }
+    const filtered = applyFilterConditions(aliveShots, conditions, ctx)
+    if (!searchHits) return sortShots(filtered, sortKey, sortDir, familyById, skuById)
+
+    // Text query (separate from conditions). Under the default custom order
+    // results rank by relevance; an explicit sort still wins.
+    const byId = new Map(filtered.map((s) => [s.id, s]))
+    const ranked = searchHits.flatMap((hit) => byId.get(hit.shotId) ?? [])
+    return sortKey === "custom" ? ranked : sortShots(ranked, sortKey, sortDir, familyById, skuById)
+  }, [aliveShots, conditions, searchHits, searchIndex, talentNameById, sortKey, sortDir, familyById, skuById])
+
+  const unfilteredSortedShots = useMemo(
+    () => sortShots(aliveShots, sortKey, sortDir, familyById, skuById),
+    [aliveShots, sortKey, sortDir, familyById, skuById],
+  )
 
   const hasActiveFilters = conditions.length > 0 || queryParam.trim().length > 0
 
@@ -648,9 +751,13 @@ export function useShotListState(params: {
       case "tag": return tagLabelById.get(id) ?? id
       case "status": return STATUS_LABELS[id as ShotFirestoreStatus] ?? id.replace("_", " ")
       case "missing": return MISSING_LABELS[id] ?? id
+      case "scene": return id === NO_SCENE_VALUE ? "No scene" : laneNameById?.get(id) ?? id
+      case "mediaType": return MEDIA_TYPE_OPTIONS.find((o) => o.value === id)?.label ?? id
+      case "readiness": return READINESS_STATE_LABELS[id as ShotReadinessState] ?? id
+      case "createdBy": return creatorNameById?.get(id) ?? id
       default: return id
     }
-  }, [talentNameById, locationNameById, productNameById, tagLabelById])
+  }, [talentNameById, locationNameById, productNameById, tagLabelById, laneNameById, creatorNameById])
 
   const activeFilterBadges = useMemo((): ReadonlyArray<FilterBadge> => {
     const badges: FilterBadge[] = []
@@ -664,34 +771,13 @@ export function useShotListState(params: {
       })
     }
 
-    // One badge per condition
-    for (const cond of conditions) {
-      const fieldLabel = FIELD_LABELS[cond.field] ?? cond.field
-      const operatorLabel = OPERATOR_LABELS[cond.operator] ?? cond.operator
-
-      let valueLabel: string
-      if (cond.value === null) {
-        valueLabel = ""
-      } else if (typeof cond.value === "boolean") {
-        valueLabel = cond.value ? "Yes" : "No"
-      } else if (Array.isArray(cond.value)) {
-        const names = (cond.value as readonly string[]).map((v) => resolveName(cond.field, v))
-        valueLabel = names.length <= 2 ? names.join(", ") : `${names.slice(0, 2).join(", ")} +${names.length - 2}`
-      } else if (typeof cond.value === "object" && "from" in cond.value) {
-        valueLabel = `${cond.value.from} to ${cond.value.to}`
-      } else {
-        valueLabel = String(cond.value)
-      }
-
-      const label = cond.operator === "empty"
-        ? `${fieldLabel} ${operatorLabel}`
-        : `${fieldLabel} ${operatorLabel} ${valueLabel}`
-
-      const condId = cond.id
+    // One badge per top-level node (a group collapses into a single badge)
+    for (const node of conditions) {
+      const nodeId = node.id
       badges.push({
-        key: condId,
-        label,
-        onRemove: () => removeCondition(condId),
+        key: nodeId,
+        label: describeFilterNode(node, resolveName),
+        onRemove: () => removeCondition(nodeId),
       })
     }
 
@@ -702,7 +788,7 @@ export function useShotListState(params: {
     sortKey, sortDir, viewMode, groupKey, isCustomSort,
     queryParam, talentParam, locationParam, productParam,
     statusFilter, missingFilter, tagFilter,
-    conditions, addCondition, removeCondition, updateCondition,
+    conditions, addCondition, removeCondition, updateCondition, addGroup, updateGroup,
     queryDraft, setQueryDraft,
     setSortKey, setSortDir, setViewMode, setGroupKey,
     toggleStatus, clearStatusFilter, toggleMissing, clearMissingFilter, toggleTag,
@@ -710,7 +796,7 @@ export function useShotListState(params: {
     clearFilters, clearQuery,
     fields, setFields,
     displayShots, unfilteredSortedShots, insights, hasActiveFilters, hasActiveGrouping,
-    shotGroups, activeFilterBadges, tagOptions,
+    shotGroups, activeFilterBadges, tagOptions, searchSnippets,
     storageKeyBase,
     surface: resolved?.surface,
     viewSource: resolved?.viewSource,
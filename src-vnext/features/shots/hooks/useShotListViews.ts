@@ -0,0 +1,193 @@
+import { useCallback, useEffect, useMemo, useRef } from "react"
+import { useSearchParams } from "react-router-dom"
+import { where } from "firebase/firestore"
+import { toast } from "sonner"
+import { useFirestoreCollection } from "@/shared/hooks/useFirestoreCollection"
+import { shotListViewsPath } from "@/shared/lib/paths"
+import {
+  SAVED_VIEW_PARAM,
+  applyShotListViewToParams,
+  applyShotTableColumnLayout,
+  captureShotListViewState,
+  isShotListViewModified,
+  mapShotListView,
+  readShotTableColumnLayout,
+  type ShotListView,
+  type ShotListViewVisibility,
+} from "@/features/shots/lib/shotListViews"
+import {
+  createShotListView,
+  deleteShotListView,
+  updateShotListView,
+} from "@/features/shots/lib/shotListViewWrites"
+
+export interface ShotListViewsState {
+  /** Shared views plus the caller's own private views, sorted by name. */
+  readonly views: readonly ShotListView[]
+  readonly loading: boolean
+  readonly activeView: ShotListView | null
+  /** The active view's filters/sort/grouping differ from the current URL. */
+  readonly isModified: boolean
+  readonly currentUserId: string | null
+  readonly applyView: (view: ShotListView) => void
+  readonly clearActiveView: () => void
+  /** Save the current list setup as a new view and make it active. */
+  readonly saveView: (name: string, visibility: ShotListViewVisibility) => Promise<void>
+  /** Overwrite the active view with the current list setup. */
+  readonly updateActiveView: () => Promise<void>
+  readonly setVisibility: (view: ShotListView, visibility: ShotListViewVisibility) => Promise<void>
+  readonly deleteView: (view: ShotListView) => Promise<void>
+}
+
+/**
+ * Saved shot-list views for the current project. Owns the `savedView` URL
+ * param: applying a view rewrites the list params in one navigation and
+ * pushes the view's column layout into the ShotsTable store; a deep link
+ * (`?savedView=<id>`) is applied once, as soon as the views have loaded.
+ */
+export function useShotListViews(params: {
+  readonly clientId: string | null | undefined
+  readonly projectId: string
+  readonly userId: string | null | undefined
+}): ShotListViewsState {
+  const { clientId, projectId, userId } = params
+  const [searchParams, setSearchParams] = useSearchParams()
+  const pathSegments = clientId && projectId ? shotListViewsPath(projectId, clientId) : null
+
+  // Two queries so each stays provable against the read rule (shared OR own).
+  const shared = useFirestoreCollection<ShotListView>(
+    pathSegments,
+    [where("visibility", "==", "shared")],
+    mapShotListView,
+  )
+  const own = useFirestoreCollection<ShotListView>(
+    userId ? pathSegments : null,
+    [where("createdBy", "==", userId ?? "")],
+    mapShotListView,
+  )
+
+  const views = useMemo(() => {
+    const byId = new Map<string, ShotListView>()
+    for (const view of [...shared.data, ...own.data]) byId.set(view.id, view)
+    const collator = new Intl.Collator(undefined, { sensitivity: "base", numeric: true })
+    return Array.from(byId.values()).sort((a, b) => collator.compare(a.name, b.name))
+  }, [shared.data, own.data])
+
+  const loading = shared.loading || own.loading
+  const activeViewId = searchParams.get(SAVED_VIEW_PARAM)
+  const activeView = useMemo(
+    () => views.find((v) => v.id === activeViewId) ?? null,
+    [views, activeViewId],
+  )
+
+  const isModified = useMemo(() => {
+    if (!activeView) return false
+    return isShotListViewModified(activeView.state, captureShotListViewState(searchParams, []))
+  }, [activeView, searchParams])
+
+  const applyView = useCallback((view: ShotListView) => {
+    setSearchParams((prev) => applyShotListViewToParams(prev, view.id, view.state), { replace: true })
+    if (clientId && projectId) applyShotTableColumnLayout(clientId, projectId, view.state.columns)
+  }, [setSearchParams, clientId, projectId])
+
+  const clearActiveView = useCallback(() => {
+    setSearchParams((prev) => {
+      const next = new URLSearchParams(prev)
+      next.delete(SAVED_VIEW_PARAM)
+      return next
+    }, { replace: true })
+  }, [setSearchParams])
+
+  // -- Deep link: apply `?savedView=` once per mount, after views load --
+  // The render in which the path first appears still carries the idle
+  // (loading=false) collection state from before auth settled, so the first
+  // pass per path key only records it and waits for the real subscription.
+  const pathKey = pathSegments?.join("/") ?? ""
+  const deepLinkHandled = useRef(false)
+  const seenPathKey = useRef("")
+  useEffect(() => {
+    if (deepLinkHandled.current || !pathKey) return
+    if (seenPathKey.current !== pathKey) {
+      seenPathKey.current = pathKey
+      if (!loading) return
+    }
+    if (loading) return
+    deepLinkHandled.current = true
+    if (!activeViewId) return
+    if (activeView) {
+      applyView(activeView)
+      return
+    }
+    toast.error("Saved view not found", {
+      description: "It may have been deleted or made private.",
+    })
+    clearActiveView()
+  }, [loading, pathKey, activeViewId, activeView, applyView, clearActiveView])
+
+  const captureCurrent = useCallback(
+    () => captureShotListViewState(
+      searchParams,
+      clientId && projectId ? readShotTableColumnLayout(clientId, projectId) : [],
+    ),
+    [searchParams, clientId, projectId],
+  )
+
+  const saveView = useCallback(async (name: string, visibility: ShotListViewVisibility) => {
+    if (!clientId || !projectId) throw new Error("Missing clientId or projectId")
+    const viewId = await createShotListView({
+      name,
+      visibility,
+      state: captureCurrent(),
+      projectId,
+      clientId,
+      userId: userId ?? "",
+    })
+    setSearchParams((prev) => {
+      const next = new URLSearchParams(prev)
+      next.set(SAVED_VIEW_PARAM, viewId)
+      return next
+    }, { replace: true })
+  }, [clientId, projectId, userId, captureCurrent, setSearchParams])
+
+  const updateActiveView = useCallback(async () => {
+    if (!clientId || !projectId || !activeView) return
+    await updateShotListView({
+      viewId: activeView.id,
+      projectId,
+      clientId,
+      userId: userId ?? "",
+      patch: { state: captureCurrent() },
+    })
+  }, [clientId, projectId, userId, activeView, captureCurrent])
+
+  const setVisibility = useCallback(async (view: ShotListView, visibility: ShotListViewVisibility) => {
+    if (!clientId || !projectId) return
+    await updateShotListView({
+      viewId: view.id,
+      projectId,
+      clientId,
+      userId: userId ?? "",
+      patch: { visibility },
+    })
+  }, [clientId, projectId, userId])
+
+  const deleteView = useCallback(async (view: ShotListView) => {
+    if (!clientId || !projectId) return
+    await deleteShotListView({ viewId: view.id, projectId, clientId })
+    if (view.id === activeViewId) clearActiveView()
+  }, [clientId, projectId, activeViewId, clearActiveView])
+
+  return {
+    views,
+    loading,
+    activeView,
+    isModified,
+    currentUserId: userId ?? null,
+    applyView,
+    clearActiveView,
+    saveView,
+    updateActiveView,
+    setVisibility,
+    deleteView,
+  }
+}
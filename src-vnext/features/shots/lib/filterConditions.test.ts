@@ -2,13 +2,17 @@ import { describe, it, expect } from "vitest"
 import {
   FILTER_FIELD_META,
   FILTER_FIELD_BY_KEY,
+  FILTER_GROUP_OPERATORS,
+  GROUP_OPERATOR_LABELS,
   OPERATOR_LABELS,
+  isFilterCondition,
+  isFilterGroup,
 } from "./filterConditions"
 import type { FilterField, FieldType, FilterOperator } from "./filterConditions"
 
 describe("FILTER_FIELD_META", () => {
-  it("has exactly 9 entries", () => {
-    expect(FILTER_FIELD_META).toHaveLength(9)
+  it("has exactly 17 entries", () => {
+    expect(FILTER_FIELD_META).toHaveLength(17)
   })
 
   it("every entry has field, label, type, operators, defaultOperator", () => {
@@ -25,7 +29,7 @@ describe("FILTER_FIELD_META", () => {
   })
 
   it("all field types are valid", () => {
-    const validTypes: FieldType[] = ["set", "boolean", "date"]
+    const validTypes: FieldType[] = ["set", "boolean", "date", "number", "text"]
     for (const meta of FILTER_FIELD_META) {
       expect(validTypes).toContain(meta.type)
     }
@@ -36,6 +40,7 @@ describe("FILTER_FIELD_META", () => {
     const expected: FilterField[] = [
       "status", "tag", "talent", "location", "product",
       "missing", "launchDate", "hasRequirements", "hasHeroImage",
+      "scene", "mediaType", "date", "lookCount", "readiness", "commentCount", "createdBy", "content",
     ]
     expect(fields).toEqual(expect.arrayContaining(expected))
     expect(fields).toHaveLength(expected.length)
@@ -78,3 +83,21 @@ describe("OPERATOR_LABELS", () => {
     expect(OPERATOR_LABELS.empty).toBe("has no value")
   })
 })
+
+describe("filter groups", () => {
+  it("has a label for every group operator", () => {
+    for (const op of FILTER_GROUP_OPERATORS) {
+      expect(GROUP_OPERATOR_LABELS[op]).toBeTruthy()
+    }
+    expect(GROUP_OPERATOR_LABELS.or).toBe("Any of")
+  })
+
+  it("distinguishes groups from conditions", () => {
+    const group = { id: "g", kind: "group" as const, operator: "or" as const, children: [] }
+    const cond = { id: "c", field: "status" as const, operator: "in" as const, value: ["todo"] }
+    expect(isFilterGroup(group)).toBe(true)
+    expect(isFilterCondition(group)).toBe(false)
+    expect(isFilterGroup(cond)).toBe(false)
+    expect(isFilterCondition(cond)).toBe(true)
+  })
+})
@@ -12,18 +12,40 @@ export type FilterField =
   | "launchDate"
   | "hasRequirements"
   | "hasHeroImage"
+  | "scene"
+  | "mediaType"
+  | "date"
+  | "lookCount"
+  | "readiness"
+  | "commentCount"
+  | "createdBy"
+  | "content"
 
 export type SetOperator = "in" | "notIn"
 export type BooleanOperator = "eq"
 export type DateOperator = "before" | "after" | "between" | "empty"
-export type FilterOperator = SetOperator | BooleanOperator | DateOperator
+export type NumberOperator = "eq" | "gte" | "lte"
+/** Ranked full-text match over shot content (see shotSearch.ts). */
+export type TextOperator = "search"
+export type FilterOperator = SetOperator | BooleanOperator | DateOperator | NumberOperator | TextOperator
 
 export type SetValue = readonly string[]
 export type BooleanValue = boolean
 export type SingleDateValue = string // YYYY-MM-DD
 export type DateRangeValue = { readonly from: string; readonly to: string }
+/** Whole-number count; null (no value entered yet) matches every shot. */
+export type NumberValue = number
+/** Free-text query; blank matches every shot. */
+export type TextValue = string
 export type EmptyValue = null
-export type FilterValue = SetValue | BooleanValue | SingleDateValue | DateRangeValue | EmptyValue
+export type FilterValue =
+  | SetValue
+  | BooleanValue
+  | SingleDateValue
+  | DateRangeValue
+  | NumberValue
+  | TextValue
+  | EmptyValue
 
 export interface FilterCondition {
   readonly id: string
@@ -32,11 +54,53 @@ export interface FilterCondition {
   readonly value: FilterValue
 }
 
+// ---------------------------------------------------------------------------
+// Condition groups — nested boolean logic
+// ---------------------------------------------------------------------------
+
+/**
+ * How a group combines its children:
+ * - "and" → every child must match
+ * - "or"  → at least one child must match
+ * - "not" → no child may match (NOT of the children OR'd together)
+ *
+ * The top-level node list is always an implicit AND group.
+ */
+export type FilterGroupOperator = "and" | "or" | "not"
+
+export interface FilterGroup {
+  readonly id: string
+  readonly kind: "group"
+  readonly operator: FilterGroupOperator
+  readonly children: readonly FilterNode[]
+}
+
+export type FilterNode = FilterCondition | FilterGroup
+
+export function isFilterGroup(node: FilterNode): node is FilterGroup {
+  return "kind" in node && node.kind === "group"
+}
+
+export function isFilterCondition(node: FilterNode): node is FilterCondition {
+  return !isFilterGroup(node)
+}
+
+export const FILTER_GROUP_OPERATORS: readonly FilterGroupOperator[] = ["and", "or", "not"]
+
+export const GROUP_OPERATOR_LABELS: Readonly<Record<FilterGroupOperator, string>> = {
+  and: "All of",
+  or: "Any of",
+  not: "None of",
+}
+
+/** Deepest group nesting accepted from URLs / the picker UI. */
+export const MAX_FILTER_GROUP_DEPTH = 3
+
 // ---------------------------------------------------------------------------
 // Field metadata
 // ---------------------------------------------------------------------------
 
-export type FieldType = "set" | "boolean" | "date"
+export type FieldType = "set" | "boolean" | "date" | "number" | "text"
 
 export interface FilterFieldMeta {
   readonly field: FilterField
@@ -56,6 +120,14 @@ export const FILTER_FIELD_META: readonly FilterFieldMeta[] = [
   { field: "launchDate", label: "Launch Date", type: "date", operators: ["before", "after", "between", "empty"], defaultOperator: "before" },
   { field: "hasRequirements", label: "Has Requirements", type: "boolean", operators: ["eq"], defaultOperator: "eq" },
   { field: "hasHeroImage", label: "Has Hero Image", type: "boolean", operators: ["eq"], defaultOperator: "eq" },
+  { field: "scene", label: "Scene", type: "set", operators: ["in", "notIn"], defaultOperator: "in" },
+  { field: "mediaType", label: "Media Type", type: "set", operators: ["in", "notIn"], defaultOperator: "in" },
+  { field: "date", label: "Shoot Date", type: "date", operators: ["before", "after", "between", "empty"], defaultOperator: "after" },
+  { field: "lookCount", label: "Looks", type: "number", operators: ["gte", "lte", "eq"], defaultOperator: "gte" },
+  { field: "readiness", label: "Product Readiness", type: "set", operators: ["in", "notIn"], defaultOperator: "in" },
+  { field: "commentCount", label: "Comments", type: "number", operators: ["gte", "lte", "eq"], defaultOperator: "gte" },
+  { field: "createdBy", label: "Created By", type: "set", operators: ["in", "notIn"], defaultOperator: "in" },
+  { field: "content", label: "Content", type: "text", operators: ["search"], defaultOperator: "search" },
 ] as const
 
 export const FILTER_FIELD_BY_KEY: ReadonlyMap<FilterField, FilterFieldMeta> = new Map(
@@ -74,4 +146,23 @@ export const OPERATOR_LABELS: Readonly<Record<FilterOperator, string>> = {
   after: "is on or after",
   between: "is between",
   empty: "has no value",
+  gte: "is at least",
+  lte: "is at most",
+  search: "matches",
 }
+
+// ---------------------------------------------------------------------------
+// Fixed value options
+// ---------------------------------------------------------------------------
+
+/** Scene filter value matching shots that are not in any scene. */
+export const NO_SCENE_VALUE = "none"
+
+/** Media type filter value matching shots with no media type set. */
+export const NO_MEDIA_TYPE_VALUE = "none"
+
+export const MEDIA_TYPE_OPTIONS: readonly { value: string; label: string }[] = [
+  { value: "photo", label: "Photo" },
+  { value: "video", label: "Video" },
+  { value: NO_MEDIA_TYPE_VALUE, label: "Unspecified" },
+]
@@ -1,8 +1,8 @@
 import { describe, it, expect } from "vitest"
 import { Timestamp } from "firebase/firestore"
 import type { Shot, ProductFamily, ShotLook } from "@/shared/types"
-import type { FilterCondition } from "./filterConditions"
-import { evaluateCondition, applyFilterConditions } from "./filterEngine"
+import type { FilterCondition, FilterGroup, FilterNode } from "./filterConditions"
+import { evaluateCondition, evaluateNode, applyFilterConditions } from "./filterEngine"
 import type { EvalContext } from "./filterEngine"
 
 // ---------------------------------------------------------------------------
@@ -424,6 +424,190 @@ describe("launchDate conditions", () => {
   })
 })
 
+// ---------------------------------------------------------------------------
+// scene
+// ---------------------------------------------------------------------------
+
+describe("scene conditions", () => {
+  it("scene.in matches the shot's lane", () => {
+    const shot = makeShot({ laneId: "lane-1" })
+    expect(evaluateCondition(shot, condition("scene", "in", ["lane-1"]), EMPTY_CTX)).toBe(true)
+    expect(evaluateCondition(shot, condition("scene", "in", ["lane-2"]), EMPTY_CTX)).toBe(false)
+  })
+
+  it("scene.in none matches shots outside any scene", () => {
+    expect(evaluateCondition(makeShot(), condition("scene", "in", ["none"]), EMPTY_CTX)).toBe(true)
+    expect(evaluateCondition(makeShot({ laneId: "lane-1" }), condition("scene", "in", ["none"]), EMPTY_CTX)).toBe(false)
+  })
+
+  it("scene.notIn excludes the lane", () => {
+    const shot = makeShot({ laneId: "lane-1" })
+    expect(evaluateCondition(shot, condition("scene", "notIn", ["lane-1"]), EMPTY_CTX)).toBe(false)
+  })
+})
+
+// ---------------------------------------------------------------------------
+// mediaType
+// ---------------------------------------------------------------------------
+
+describe("mediaType conditions", () => {
+  it("mediaType.in matches photo/video", () => {
+    const shot = makeShot({ mediaType: "video" })
+    expect(evaluateCondition(shot, condition("mediaType", "in", ["video"]), EMPTY_CTX)).toBe(true)
+    expect(evaluateCondition(shot, condition("mediaType", "in", ["photo"]), EMPTY_CTX)).toBe(false)
+  })
+
+  it("an unset media type matches none", () => {
+    expect(evaluateCondition(makeShot(), condition("mediaType", "in", ["none"]), EMPTY_CTX)).toBe(true)
+    expect(evaluateCondition(makeShot(), condition("mediaType", "notIn", ["none"]), EMPTY_CTX)).toBe(false)
+  })
+})
+
+// ---------------------------------------------------------------------------
+// date (shoot date)
+// ---------------------------------------------------------------------------
+
+describe("date conditions", () => {
+  const shot = makeShot({ date: makeTs("2026-05-15") })
+
+  it("date.before / date.after compare the shoot date", () => {
+    expect(evaluateCondition(shot, condition("date", "before", "2026-06-01"), EMPTY_CTX)).toBe(true)
+    expect(evaluateCondition(shot, condition("date", "after", "2026-05-15"), EMPTY_CTX)).toBe(true)
+    expect(evaluateCondition(shot, condition("date", "after", "2026-05-16"), EMPTY_CTX)).toBe(false)
+  })
+
+  it("date.between is inclusive", () => {
+    expect(evaluateCondition(shot, condition("date", "between", { from: "2026-05-01", to: "2026-05-15" }), EMPTY_CTX)).toBe(true)
+  })
+
+  it("date.empty matches unscheduled shots only", () => {
+    expect(evaluateCondition(makeShot(), condition("date", "empty", null), EMPTY_CTX)).toBe(true)
+    expect(evaluateCondition(shot, condition("date", "empty", null), EMPTY_CTX)).toBe(false)
+  })
+
+  it("an unscheduled shot fails before/after", () => {
+    expect(evaluateCondition(makeShot(), condition("date", "before", "2026-06-01"), EMPTY_CTX)).toBe(false)
+  })
+})
+
+// ---------------------------------------------------------------------------
+// lookCount / commentCount
+// ---------------------------------------------------------------------------
+
+describe("lookCount conditions", () => {
+  const shot = makeShot({ looks: [makeLook({ id: "a" }), makeLook({ id: "b" })] })
+
+  it("compares the number of looks", () => {
+    expect(evaluateCondition(shot, condition("lookCount", "gte", 2), EMPTY_CTX)).toBe(true)
+    expect(evaluateCondition(shot, condition("lookCount", "gte", 3), EMPTY_CTX)).toBe(false)
+    expect(evaluateCondition(shot, condition("lookCount", "lte", 1), EMPTY_CTX)).toBe(false)
+    expect(evaluateCondition(shot, condition("lookCount", "eq", 2), EMPTY_CTX)).toBe(true)
+  })
+
+  it("a shot without looks counts as zero", () => {
+    expect(evaluateCondition(makeShot(), condition("lookCount", "eq", 0), EMPTY_CTX)).toBe(true)
+  })
+
+  it("a condition with no number yet passes all shots", () => {
+    expect(evaluateCondition(shot, condition("lookCount", "eq", null), EMPTY_CTX)).toBe(true)
+  })
+})
+
+describe("commentCount conditions", () => {
+  it("compares the denormalized comment count", () => {
+    const shot = makeShot({ commentCount: 4 })
+    expect(evaluateCondition(shot, condition("commentCount", "gte", 1), EMPTY_CTX)).toBe(true)
+    expect(evaluateCondition(shot, condition("commentCount", "lte", 3), EMPTY_CTX)).toBe(false)
+  })
+
+  it("a shot with no counter yet counts as zero", () => {
+    expect(evaluateCondition(makeShot(), condition("commentCount", "eq", 0), EMPTY_CTX)).toBe(true)
+    expect(evaluateCondition(makeShot(), condition("commentCount", "gte", 1), EMPTY_CTX)).toBe(false)
+  })
+})
+
+// ---------------------------------------------------------------------------
+// readiness
+// ---------------------------------------------------------------------------
+
+describe("readiness conditions", () => {
+  const families = new Map([
+    ["f1", makeFamily({ id: "f1", sampleCount: 2, samplesArrivedCount: 1 })],
+    ["f2", makeFamily({ id: "f2", sampleCount: 2, samplesArrivedCount: 2 })],
+  ])
+  const pending = makeShot({ looks: [makeLook({ products: [{ familyId: "f1", familyName: "Tee" }] })] })
+  const arrived = makeShot({ id: "shot-2", looks: [makeLook({ products: [{ familyId: "f2", familyName: "Belt" }] })] })
+
+  it("readiness.in matches the resolved state", () => {
+    expect(evaluateCondition(pending, condition("readiness", "in", ["samplesPending"]), ctx(families))).toBe(true)
+    expect(evaluateCondition(arrived, condition("readiness", "in", ["samplesPending"]), ctx(families))).toBe(false)
+    expect(evaluateCondition(makeShot(), condition("readiness", "in", ["noProducts"]), ctx(families))).toBe(true)
+  })
+
+  it("readiness.notIn excludes the state", () => {
+    expect(evaluateCondition(arrived, condition("readiness", "notIn", ["samplesArrived"]), ctx(families))).toBe(false)
+  })
+
+  it("applyFilterConditions resolves readiness per shot", () => {
+    const result = applyFilterConditions(
+      [pending, arrived],
+      [condition("readiness", "in", ["samplesArrived"])],
+      ctx(families),
+    )
+    expect(result.map((s) => s.id)).toEqual(["shot-2"])
+  })
+})
+
+// ---------------------------------------------------------------------------
+// createdBy
+// ---------------------------------------------------------------------------
+
+describe("createdBy conditions", () => {
+  it("matches the shot's creator", () => {
+    const shot = makeShot({ createdBy: "user-2" })
+    expect(evaluateCondition(shot, condition("createdBy", "in", ["user-2"]), EMPTY_CTX)).toBe(true)
+    expect(evaluateCondition(shot, condition("createdBy", "notIn", ["user-2"]), EMPTY_CTX)).toBe(false)
+  })
+})
+
+// ---------------------------------------------------------------------------
+// content (full-text search)
+// ---------------------------------------------------------------------------
+
+describe("content conditions", () => {
+  const shot = makeShot({
+    notes: "<p>Bring the <em>wind machine</em></p>",
+    talentIds: ["t1"],
+    looks: [makeLook({ label: "Evening", products: [{ familyId: "f1", familyName: "Silk Scarf" }] })],
+  })
+
+  it("content.search matches notes, looks and products", () => {
+    expect(evaluateCondition(shot, condition("content", "search", "wind machine"), EMPTY_CTX)).toBe(true)
+    expect(evaluateCondition(shot, condition("content", "search", "evening scarf"), EMPTY_CTX)).toBe(true)
+    expect(evaluateCondition(shot, condition("content", "search", "tripod"), EMPTY_CTX)).toBe(false)
+  })
+
+  it("content.search resolves talent names from the context", () => {
+    const withTalent: EvalContext = { familyById: new Map(), talentNameById: new Map([["t1", "Anna Ortiz"]]) }
+    expect(evaluateCondition(shot, condition("content", "search", "ortiz"), withTalent)).toBe(true)
+    expect(evaluateCondition(shot, condition("content", "search", "ortiz"), EMPTY_CTX)).toBe(false)
+  })
+
+  it("a blank query passes all shots", () => {
+    expect(evaluateCondition(shot, condition("content", "search", "  "), EMPTY_CTX)).toBe(true)
+  })
+
+  it("combines with other conditions in applyFilterConditions", () => {
+    const other = makeShot({ id: "shot-2", status: "complete", notes: "wind machine on standby" })
+    const result = applyFilterConditions(
+      [shot, other],
+      [condition("content", "search", "wind"), condition("status", "in", ["todo"])],
+      EMPTY_CTX,
+    )
+    expect(result.map((s) => s.id)).toEqual(["shot-1"])
+  })
+})
+
 // ---------------------------------------------------------------------------
 // Edge cases: empty set values
 // ---------------------------------------------------------------------------
@@ -489,3 +673,101 @@ describe("applyFilterConditions", () => {
     expect(shots).toEqual(original)
   })
 })
+
+// ---------------------------------------------------------------------------
+// Groups (AND / OR / NOT)
+// ---------------------------------------------------------------------------
+
+function group(
+  operator: FilterGroup["operator"],
+  children: readonly FilterNode[],
+  id = "g",
+): FilterGroup {
+  return { id, kind: "group", operator, children }
+}
+
+describe("evaluateNode — groups", () => {
+  const maya = makeShot({ status: "in_progress", talentIds: ["maya"] })
+  const mayaWithHero = makeShot({
+    status: "in_progress",
+    talentIds: ["maya"],
+    heroImage: { path: "shots/hero.webp", downloadURL: "https://example.com" },
+  })
+  const todo = makeShot({ status: "todo" })
+  const other = makeShot({ status: "complete", talentIds: ["sam"] })
+
+  it("evaluates a bare condition like evaluateCondition", () => {
+    expect(evaluateNode(todo, condition("status", "in", ["todo"]), EMPTY_CTX)).toBe(true)
+  })
+
+  it("or: passes when any child passes", () => {
+    const node = group("or", [condition("status", "in", ["todo"]), condition("talent", "in", ["maya"])])
+    expect(evaluateNode(todo, node, EMPTY_CTX)).toBe(true)
+    expect(evaluateNode(maya, node, EMPTY_CTX)).toBe(true)
+    expect(evaluateNode(other, node, EMPTY_CTX)).toBe(false)
+  })
+
+  it("and: passes only when every child passes", () => {
+    const node = group("and", [condition("talent", "in", ["maya"]), condition("hasHeroImage", "eq", false)])
+    expect(evaluateNode(maya, node, EMPTY_CTX)).toBe(true)
+    expect(evaluateNode(mayaWithHero, node, EMPTY_CTX)).toBe(false)
+  })
+
+  it("not: passes only when no child passes", () => {
+    const node = group("not", [condition("status", "in", ["todo"]), condition("talent", "in", ["sam"])])
+    expect(evaluateNode(maya, node, EMPTY_CTX)).toBe(true)
+    expect(evaluateNode(todo, node, EMPTY_CTX)).toBe(false)
+    expect(evaluateNode(other, node, EMPTY_CTX)).toBe(false)
+  })
+
+  it("empty groups pass every shot regardless of operator", () => {
+    for (const op of ["and", "or", "not"] as const) {
+      expect(evaluateNode(other, group(op, []), EMPTY_CTX)).toBe(true)
+    }
+  })
+
+  it("nested: status is todo OR (talent is Maya AND missing hero image)", () => {
+    const node = group("or", [
+      condition("status", "in", ["todo"]),
+      group("and", [condition("talent", "in", ["maya"]), condition("missing", "in", ["image"])], "inner"),
+    ])
+    expect(evaluateNode(todo, node, EMPTY_CTX)).toBe(true)
+    expect(evaluateNode(maya, node, EMPTY_CTX)).toBe(true)
+    expect(evaluateNode(mayaWithHero, node, EMPTY_CTX)).toBe(false)
+    expect(evaluateNode(other, node, EMPTY_CTX)).toBe(false)
+  })
+})
+
+describe("applyFilterConditions — groups", () => {
+  const shots = [
+    makeShot({ id: "s1", status: "todo" }),
+    makeShot({ id: "s2", status: "in_progress", talentIds: ["maya"] }),
+    makeShot({ id: "s3", status: "complete", talentIds: ["maya"] }),
+  ]
+
+  it("ANDs a top-level condition with a group", () => {
+    const result = applyFilterConditions(
+      shots,
+      [
+        condition("talent", "in", ["maya"]),
+        group("or", [condition("status", "in", ["todo"]), condition("status", "in", ["in_progress"])]),
+      ],
+      EMPTY_CTX,
+    )
+    expect(result.map((s) => s.id)).toEqual(["s2"])
+  })
+
+  it("uses readiness for launchDate conditions nested inside a group", () => {
+    const families = new Map([["f1", makeFamily({ id: "f1", earliestLaunchDate: makeTs("2026-05-01") })]])
+    const withProduct = makeShot({
+      id: "s4",
+      looks: [makeLook({ products: [{ familyId: "f1", familyName: "Tee" }] })],
+    })
+    const result = applyFilterConditions(
+      [withProduct, ...shots],
+      [group("or", [condition("launchDate", "before", "2026-06-01")])],
+      ctx(families),
+    )
+    expect(result.map((s) => s.id)).toEqual(["s4"])
+  })
+})
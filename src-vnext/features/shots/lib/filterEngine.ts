@@ -1,7 +1,14 @@
 import type { Shot, ProductFamily, ProductSku } from "@/shared/types"
-import type { FilterCondition, FilterValue, DateRangeValue } from "./filterConditions"
+import type { FilterCondition, FilterNode, FilterValue, DateRangeValue } from "./filterConditions"
+import { isFilterGroup, NO_MEDIA_TYPE_VALUE, NO_SCENE_VALUE } from "./filterConditions"
+import { flattenFilterConditions } from "./filterTree"
 import { extractShotAssignedProducts } from "@/shared/lib/shotProducts"
-import { computeShotReadiness, type ShotReadiness } from "./shotProductReadiness"
+import {
+  computeShotReadiness,
+  resolveShotReadinessState,
+  type ShotReadiness,
+} from "./shotProductReadiness"
+import { createShotSearchIndex, type ShotSearchIndex } from "./shotSearch"
 
 // ---------------------------------------------------------------------------
 // Eval context — lookup maps passed by the caller
@@ -12,6 +19,10 @@ export interface EvalContext {
   readonly skuById?: ReadonlyMap<string, ProductSku>
   /** Per-shot readiness cache — avoids recomputation when multiple conditions need readiness. */
   readonly readinessCache?: Map<string, ShotReadiness>
+  /** Resolves talent IDs to names for content search. */
+  readonly talentNameById?: ReadonlyMap<string, string>
+  /** Shared full-text index — built per call by applyFilterConditions when a content condition is present. */
+  readonly searchIndex?: ShotSearchIndex
 }
 
 // ---------------------------------------------------------------------------
@@ -113,6 +124,46 @@ function evalDate(actualMs: number | null, operator: string, value: FilterValue)
   return true
 }
 
+function timestampMs(ts: { toDate(): Date } | null | undefined): number | null {
+  if (!ts) return null
+  try {
+    return ts.toDate().getTime()
+  } catch {
+    return null
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Number evaluation
+// ---------------------------------------------------------------------------
+
+/** Counts compare as whole numbers; a condition with no value yet passes every shot. */
+function evalNumber(actual: number, operator: string, value: FilterValue): boolean {
+  if (typeof value !== "number" || !Number.isFinite(value)) return true
+  switch (operator) {
+    case "eq":
+      return actual === value
+    case "gte":
+      return actual >= value
+    case "lte":
+      return actual <= value
+    default:
+      return true
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Content search evaluation
+// ---------------------------------------------------------------------------
+
+function evalContent(shot: Shot, value: FilterValue, ctx: EvalContext): boolean {
+  if (typeof value !== "string" || !value.trim()) return true
+  // Standalone evaluation (no shared index) indexes just this shot — same
+  // scoring, since Fuse scores each document independently.
+  const index = ctx.searchIndex ?? createShotSearchIndex([shot], { talentNameById: ctx.talentNameById })
+  return index.matchingIds(value).has(shot.id)
+}
+
 // ---------------------------------------------------------------------------
 // Product family IDs extraction
 // ---------------------------------------------------------------------------
@@ -180,15 +231,7 @@ export function evaluateCondition(
 
     case "launchDate": {
       const readiness = getReadiness(shot, ctx)
-      let ms: number | null = null
-      if (readiness.earliestLaunchDate) {
-        try {
-          ms = readiness.earliestLaunchDate.toDate().getTime()
-        } catch {
-          ms = null
-        }
-      }
-      return evalDate(ms, operator, value)
+      return evalDate(timestampMs(readiness.earliestLaunchDate), operator, value)
     }
 
     case "hasRequirements": {
@@ -204,6 +247,60 @@ export function evaluateCondition(
       return hasImage === expected
     }
 
+    case "scene":
+      return evalSet(shot.laneId || NO_SCENE_VALUE, operator, asStringArray(value))
+
+    case "mediaType":
+      return evalSet(shot.mediaType ?? NO_MEDIA_TYPE_VALUE, operator, asStringArray(value))
+
+    case "date":
+      return evalDate(timestampMs(shot.date), operator, value)
+
+    case "lookCount":
+      return evalNumber((shot.looks ?? []).length, operator, value)
+
+    case "readiness":
+      return evalSet(resolveShotReadinessState(getReadiness(shot, ctx)), operator, asStringArray(value))
+
+    case "commentCount":
+      return evalNumber(shot.commentCount ?? 0, operator, value)
+
+    case "createdBy":
+      return evalSet(shot.createdBy, operator, asStringArray(value))
+
+    case "content":
+      return evalContent(shot, value, ctx)
+
+    default:
+      return true
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Group evaluation
+// ---------------------------------------------------------------------------
+
+/**
+ * Evaluate a condition or a nested group against one shot.
+ *
+ * Empty groups are vacuously true regardless of operator, mirroring how an
+ * empty set value passes every shot — a half-built group never hides rows.
+ */
+export function evaluateNode(
+  shot: Shot,
+  node: FilterNode,
+  ctx: EvalContext,
+): boolean {
+  if (!isFilterGroup(node)) return evaluateCondition(shot, node, ctx)
+  if (node.children.length === 0) return true
+
+  switch (node.operator) {
+    case "and":
+      return node.children.every((child) => evaluateNode(shot, child, ctx))
+    case "or":
+      return node.children.some((child) => evaluateNode(shot, child, ctx))
+    case "not":
+      return !node.children.some((child) => evaluateNode(shot, child, ctx))
     default:
       return true
   }
@@ -214,25 +311,30 @@ export function evaluateCondition(
 // ---------------------------------------------------------------------------
 
 /**
- * Apply all filter conditions to an array of shots.
- * A shot passes if it satisfies ALL conditions (logical AND).
+ * Apply filter nodes to an array of shots.
+ * A shot passes if it satisfies ALL top-level nodes (logical AND); groups
+ * inside the list apply their own AND/OR/NOT logic to their children.
  */
 export function applyFilterConditions(
   shots: ReadonlyArray<Shot>,
-  conditions: readonly FilterCondition[],
+  conditions: readonly FilterNode[],
   ctx: EvalContext,
 ): ReadonlyArray<Shot> {
   if (conditions.length === 0) return shots
 
-  // Create a per-call readiness cache when any condition needs it
-  const needsReadiness = conditions.some(
-    (c) => c.field === "launchDate" || c.field === "hasRequirements",
+  // Create a per-call readiness cache / search index when any condition needs it
+  const flat = flattenFilterConditions(conditions)
+  const needsReadiness = flat.some(
+    (c) => c.field === "launchDate" || c.field === "hasRequirements" || c.field === "readiness",
   )
-  const evalCtx: EvalContext = needsReadiness
-    ? { ...ctx, readinessCache: new Map() }
-    : ctx
+  const needsSearch = !ctx.searchIndex && flat.some((c) => c.field === "content")
+  const evalCtx: EvalContext = {
+    ...ctx,
+    ...(needsReadiness ? { readinessCache: new Map<string, ShotReadiness>() } : {}),
+    ...(needsSearch ? { searchIndex: createShotSearchIndex(shots, { talentNameById: ctx.talentNameById }) } : {}),
+  }
 
   return shots.filter((shot) =>
-    conditions.every((c) => evaluateCondition(shot, c, evalCtx)),
+    conditions.every((c) => evaluateNode(shot, c, evalCtx)),
   )
 }
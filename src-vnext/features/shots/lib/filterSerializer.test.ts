@@ -2,10 +2,11 @@ import { describe, it, expect } from "vitest"
 import {
   serializeFilters,
   deserializeFilters,
+  deserializeFilterTree,
   migrateLegacyParams,
 } from "./filterSerializer"
-import type { FilterCondition, FilterOperator, FilterValue } from "./filterConditions"
-import { FILTER_FIELD_META } from "./filterConditions"
+import type { FieldType, FilterCondition, FilterNode, FilterOperator, FilterValue } from "./filterConditions"
+import { FILTER_FIELD_META, MAX_FILTER_GROUP_DEPTH, isFilterGroup } from "./filterConditions"
 
 // ---------------------------------------------------------------------------
 // Helpers
@@ -205,6 +206,57 @@ describe("serialize/deserialize round-trip", () => {
   })
 })
 
+describe("text values", () => {
+  it("percent-encodes reserved characters so they cannot split segments", () => {
+    const original: FilterCondition[] = [
+      { id: "x", field: "content", operator: "search", value: "red; (silk), dress" },
+      { id: "y", field: "status", operator: "in", value: ["todo"] },
+    ]
+    const serialized = serializeFilters(original)
+    expect(serialized).toBe("content.search:red%3B%20%28silk%29%2C%20dress;status.in:todo")
+    expect(stripIds(deserializeFilters(serialized))).toEqual(stripIds(original))
+  })
+
+  it("escapes set members so reserved characters survive inside a group", () => {
+    const original: FilterNode[] = [
+      {
+        id: "g",
+        kind: "group",
+        operator: "or",
+        children: [
+          { id: "a", field: "tag", operator: "in", value: ["Men (core)", "a,b", "plain-id"] },
+          { id: "b", field: "status", operator: "in", value: ["todo"] },
+        ],
+      },
+    ]
+    const serialized = serializeFilters(original)
+    expect(serialized).toBe("or(tag.in:Men%20%28core%29,a%2Cb,plain-id;status.in:todo)")
+    expect(stripTreeIds(deserializeFilterTree(serialized))).toEqual(stripTreeIds(original))
+  })
+
+  it("keeps malformed escapes verbatim", () => {
+    expect(deserializeFilters("content.search:100%")[0]?.value).toBe("100%")
+  })
+})
+
+describe("number values", () => {
+  it("serializes and deserializes a count", () => {
+    const original: FilterCondition[] = [{ id: "x", field: "lookCount", operator: "gte", value: 2 }]
+    expect(serializeFilters(original)).toBe("lookCount.gte:2")
+    expect(stripIds(deserializeFilters("lookCount.gte:2"))).toEqual(stripIds(original))
+  })
+
+  it("decodes a blank or non-numeric count as null", () => {
+    expect(deserializeFilters("commentCount.eq:")[0]?.value).toBeNull()
+    expect(deserializeFilters("commentCount.eq:lots")[0]?.value).toBeNull()
+  })
+
+  it("clamps crafted counts to whole non-negative numbers", () => {
+    expect(deserializeFilters("lookCount.lte:-4")[0]?.value).toBe(0)
+    expect(deserializeFilters("lookCount.lte:2.7")[0]?.value).toBe(2)
+  })
+})
+
 // ---------------------------------------------------------------------------
 // Exhaustive field x operator coverage — proves NO field/operator pair is
 // dropped by the serialize -> deserialize round-trip. Drives directly off the
@@ -213,9 +265,11 @@ describe("serialize/deserialize round-trip", () => {
 // ---------------------------------------------------------------------------
 
 /** A representative value for a given field/operator pair. */
-function sampleValue(type: "set" | "boolean" | "date", operator: FilterOperator): FilterValue {
+function sampleValue(type: FieldType, operator: FilterOperator): FilterValue {
   if (type === "set") return ["alpha", "beta"]
   if (type === "boolean") return true
+  if (type === "number") return 3
+  if (type === "text") return "wind machine; (take 2), 100%"
   // date
   if (operator === "between") return { from: "2026-04-01", to: "2026-05-10" }
   if (operator === "empty") return null
@@ -350,3 +404,111 @@ describe("deserializeFilters — repeatable fields", () => {
     expect(new Set(ids).size).toBe(ids.length)
   })
 })
+
+// ---------------------------------------------------------------------------
+// Groups — nested AND/OR/NOT
+// ---------------------------------------------------------------------------
+
+/** Strip ids recursively so nested trees compare structurally. */
+function stripTreeIds(nodes: readonly FilterNode[]): unknown[] {
+  return nodes.map((node) =>
+    isFilterGroup(node)
+      ? { kind: "group", operator: node.operator, children: stripTreeIds(node.children) }
+      : { field: node.field, operator: node.operator, value: node.value },
+  )
+}
+
+const NESTED: FilterNode[] = [
+  {
+    id: "g1",
+    kind: "group",
+    operator: "or",
+    children: [
+      { id: "1", field: "status", operator: "in", value: ["todo"] },
+      {
+        id: "g2",
+        kind: "group",
+        operator: "and",
+        children: [
+          { id: "2", field: "talent", operator: "in", value: ["maya"] },
+          { id: "3", field: "missing", operator: "in", value: ["image"] },
+        ],
+      },
+    ],
+  },
+  { id: "4", field: "launchDate", operator: "between", value: { from: "2026-04-01", to: "2026-05-10" } },
+]
+
+describe("serializeFilters — groups", () => {
+  it("wraps group children in operator(...)", () => {
+    expect(serializeFilters(NESTED)).toBe(
+      "or(status.in:todo;and(talent.in:maya;missing.in:image));launchDate.between:2026-04-01~2026-05-10",
+    )
+  })
+
+  it("serializes an empty group", () => {
+    expect(serializeFilters([{ id: "g", kind: "group", operator: "not", children: [] }])).toBe("not()")
+  })
+})
+
+describe("deserializeFilterTree", () => {
+  it("round-trips a nested tree", () => {
+    const result = deserializeFilterTree(serializeFilters(NESTED))
+    expect(stripTreeIds(result)).toEqual(stripTreeIds(NESTED))
+  })
+
+  it("parses legacy flat strings identically to deserializeFilters", () => {
+    const raw = "status.in:todo;tag.in:men,women;launchDate.before:2026-05-10"
+    expect(stripTreeIds(deserializeFilterTree(raw))).toEqual(stripIds(deserializeFilters(raw)))
+  })
+
+  it("keeps an empty group", () => {
+    expect(stripTreeIds(deserializeFilterTree("not()"))).toEqual([
+      { kind: "group", operator: "not", children: [] },
+    ])
+  })
+
+  it("skips unknown group operators", () => {
+    const result = deserializeFilterTree("xor(status.in:todo);tag.in:men")
+    expect(stripTreeIds(result)).toEqual([{ field: "tag", operator: "in", value: ["men"] }])
+  })
+
+  it("returns empty for unbalanced parentheses", () => {
+    expect(deserializeFilterTree("or(status.in:todo")).toEqual([])
+    expect(deserializeFilterTree("status.in:todo)")).toEqual([])
+  })
+
+  it("drops groups nested deeper than MAX_FILTER_GROUP_DEPTH", () => {
+    const deep = "or(".repeat(MAX_FILTER_GROUP_DEPTH + 1) + "status.in:todo" + ")".repeat(MAX_FILTER_GROUP_DEPTH + 1)
+    let level: readonly FilterNode[] = deserializeFilterTree(deep)
+    let depth = 0
+    while (level.length > 0 && isFilterGroup(level[0]!)) {
+      depth++
+      level = (level[0] as Extract<FilterNode, { kind: "group" }>).children
+    }
+    expect(depth).toBe(MAX_FILTER_GROUP_DEPTH)
+    expect(level).toEqual([])
+  })
+
+  it("gives every nested node a unique id", () => {
+    const ids: string[] = []
+    const collect = (nodes: readonly FilterNode[]) => {
+      for (const n of nodes) {
+        ids.push(n.id)
+        if (isFilterGroup(n)) collect(n.children)
+      }
+    }
+    collect(deserializeFilterTree(serializeFilters(NESTED)))
+    expect(ids).toHaveLength(6)
+    expect(new Set(ids).size).toBe(6)
+  })
+})
+
+describe("deserializeFilters — flat view of a grouped string", () => {
+  it("returns only top-level conditions", () => {
+    const result = deserializeFilters(serializeFilters(NESTED))
+    expect(stripIds(result)).toEqual([
+      { field: "launchDate", operator: "between", value: { from: "2026-04-01", to: "2026-05-10" } },
+    ])
+  })
+})
@@ -1,5 +1,19 @@
-import type { FilterCondition, FilterField, FilterOperator, FilterValue, DateRangeValue } from "./filterConditions"
-import { FILTER_FIELD_BY_KEY } from "./filterConditions"
+import type {
+  FilterCondition,
+  FilterField,
+  FilterGroupOperator,
+  FilterNode,
+  FilterOperator,
+  FilterValue,
+  DateRangeValue,
+} from "./filterConditions"
+import {
+  FILTER_FIELD_BY_KEY,
+  FILTER_GROUP_OPERATORS,
+  MAX_FILTER_GROUP_DEPTH,
+  isFilterCondition,
+  isFilterGroup,
+} from "./filterConditions"
 
 // ---------------------------------------------------------------------------
 // Serialize filter conditions to URL param string
@@ -8,23 +22,43 @@ import { FILTER_FIELD_BY_KEY } from "./filterConditions"
 /**
  * Encode a FilterValue to a URL-safe string segment.
  *
- * - Set (string[]): comma-separated IDs
+ * - Set (string[]): comma-separated members, each escaped like text
  * - Boolean: "true" / "false"
  * - Date range: "YYYY-MM-DD~YYYY-MM-DD"
  * - Single date: "YYYY-MM-DD"
+ * - Number: decimal digits
+ * - Text: percent-encoded
  * - Empty (null): empty string
  */
 function encodeValue(value: FilterValue): string {
   if (value === null) return ""
   if (typeof value === "boolean") return String(value)
-  if (Array.isArray(value)) return (value as readonly string[]).join(",")
+  if (Array.isArray(value)) return (value as readonly string[]).map(escapeText).join(",")
   if (typeof value === "object" && "from" in value && "to" in value) {
     const range = value as DateRangeValue
     return `${range.from}~${range.to}`
   }
+  if (typeof value === "string") return escapeText(value)
   return String(value)
 }
 
+/**
+ * Free text and set members may contain the reserved `;`, `,`, `(` and `)` —
+ * percent-encode them. Dates and plain IDs pass through unchanged, so existing
+ * URLs are unaffected.
+ */
+function escapeText(value: string): string {
+  return encodeURIComponent(value).replace(/[()!'*~]/g, (ch) => `%${ch.charCodeAt(0).toString(16).toUpperCase()}`)
+}
+
+function unescapeText(raw: string): string {
+  try {
+    return decodeURIComponent(raw)
+  } catch {
+    return raw
+  }
+}
+
 /**
  * Decode a raw string segment back into the appropriate FilterValue
  * based on the field's type metadata.
@@ -38,7 +72,7 @@ function decodeValue(raw: string, field: FilterField, operator: FilterOperator):
   switch (meta.type) {
     case "set": {
       if (!raw) return [] as readonly string[]
-      return raw.split(",").filter(Boolean) as readonly string[]
+      return raw.split(",").filter(Boolean).map(unescapeText) as readonly string[]
     }
     case "boolean":
       return raw === "true"
@@ -49,65 +83,140 @@ function decodeValue(raw: string, field: FilterField, operator: FilterOperator):
       }
       return raw // single date string
     }
+    case "text":
+      return unescapeText(raw)
+    case "number": {
+      if (!raw) return null
+      const n = Number(raw)
+      return Number.isFinite(n) ? Math.max(0, Math.trunc(n)) : null
+    }
     default:
       return null
   }
 }
 
 // ---------------------------------------------------------------------------
-// Public API
+// Node encoding / parsing
 // ---------------------------------------------------------------------------
 
-/**
- * Serialize an array of filter conditions into a compact URL param string.
- *
- * Format: `field.operator:value;field.operator:value`
- */
-export function serializeFilters(conditions: readonly FilterCondition[]): string {
-  if (conditions.length === 0) return ""
-  return conditions
-    .map((c) => `${c.field}.${c.operator}:${encodeValue(c.value)}`)
-    .join(";")
-}
-
 function makeId(): string {
   return crypto.randomUUID()
 }
 
+function encodeNode(node: FilterNode): string {
+  if (isFilterGroup(node)) {
+    return `${node.operator}(${node.children.map(encodeNode).join(";")})`
+  }
+  return `${node.field}.${node.operator}:${encodeValue(node.value)}`
+}
+
 /**
- * Deserialize a URL param string back into filter conditions.
- *
- * Returns an empty array for null, empty, or malformed input.
+ * Split on `;` only at parenthesis depth 0, so a group's children stay in
+ * one segment. Returns null when the parentheses are unbalanced.
  */
-export function deserializeFilters(raw: string | null): readonly FilterCondition[] {
-  if (!raw || !raw.trim()) return []
+function splitTopLevel(raw: string): string[] | null {
+  const segments: string[] = []
+  let depth = 0
+  let start = 0
+  for (let i = 0; i < raw.length; i++) {
+    const ch = raw[i]
+    if (ch === "(") depth++
+    else if (ch === ")") {
+      depth--
+      if (depth < 0) return null
+    } else if (ch === ";" && depth === 0) {
+      segments.push(raw.slice(start, i))
+      start = i + 1
+    }
+  }
+  if (depth !== 0) return null
+  segments.push(raw.slice(start))
+  return segments
+}
 
-  const result: FilterCondition[] = []
+const GROUP_SEGMENT_RE = /^([a-z]+)\((.*)\)$/s
 
-  for (const segment of raw.split(";")) {
-    const colonIdx = segment.indexOf(":")
-    if (colonIdx === -1) continue
+function parseCondition(segment: string): FilterCondition | null {
+  const colonIdx = segment.indexOf(":")
+  if (colonIdx === -1) return null
 
-    const key = segment.slice(0, colonIdx)
-    const rawValue = segment.slice(colonIdx + 1)
+  const key = segment.slice(0, colonIdx)
+  const rawValue = segment.slice(colonIdx + 1)
 
-    const dotIdx = key.indexOf(".")
-    if (dotIdx === -1) continue
+  const dotIdx = key.indexOf(".")
+  if (dotIdx === -1) return null
 
-    const field = key.slice(0, dotIdx) as FilterField
-    const operator = key.slice(dotIdx + 1) as FilterOperator
+  const field = key.slice(0, dotIdx) as FilterField
+  const operator = key.slice(dotIdx + 1) as FilterOperator
 
-    const meta = FILTER_FIELD_BY_KEY.get(field)
-    if (!meta) continue
-    if (!meta.operators.includes(operator)) continue
+  const meta = FILTER_FIELD_BY_KEY.get(field)
+  if (!meta) return null
+  if (!meta.operators.includes(operator)) return null
 
-    const value = decodeValue(rawValue, field, operator)
-    result.push({ id: makeId(), field, operator, value })
-  }
+  const value = decodeValue(rawValue, field, operator)
+  return { id: makeId(), field, operator, value }
+}
+
+function parseNodes(raw: string, depth: number): FilterNode[] {
+  const segments = splitTopLevel(raw)
+  if (!segments) return []
 
+  const result: FilterNode[] = []
+  for (const segment of segments) {
+    const groupMatch = GROUP_SEGMENT_RE.exec(segment)
+    if (groupMatch) {
+      const operator = groupMatch[1] as FilterGroupOperator
+      if (!FILTER_GROUP_OPERATORS.includes(operator)) continue
+      // Crafted URLs could nest arbitrarily — drop anything past the UI limit.
+      if (depth >= MAX_FILTER_GROUP_DEPTH) continue
+      const children = parseNodes(groupMatch[2] ?? "", depth + 1)
+      result.push({ id: makeId(), kind: "group", operator, children })
+      continue
+    }
+    const condition = parseCondition(segment)
+    if (condition) result.push(condition)
+  }
   return result
 }
 
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * Serialize filter nodes into a compact URL param string.
+ *
+ * Format: `field.operator:value;field.operator:value`, where a group is
+ * written as `and(...)`, `or(...)` or `not(...)` wrapping its children in the
+ * same format. A flat list of conditions serializes exactly as it did before
+ * groups existed. `;`, `,`, `(` and `)` are reserved and cannot appear in values.
+ */
+export function serializeFilters(conditions: readonly FilterNode[]): string {
+  if (conditions.length === 0) return ""
+  return conditions.map(encodeNode).join(";")
+}
+
+/**
+ * Deserialize a URL param string into a filter node tree (groups included).
+ *
+ * Returns an empty array for null, empty, or malformed input. Malformed
+ * segments and groups nested deeper than MAX_FILTER_GROUP_DEPTH are skipped.
+ */
+export function deserializeFilterTree(raw: string | null): readonly FilterNode[] {
+  if (!raw || !raw.trim()) return []
+  return parseNodes(raw, 0)
+}
+
+/**
+ * Deserialize a URL param string back into its top-level filter conditions.
+ *
+ * Group segments are skipped — use deserializeFilterTree to keep them.
+ * Returns an empty array for null, empty, or malformed input.
+ */
+export function deserializeFilters(raw: string | null): readonly FilterCondition[] {
+  return deserializeFilterTree(raw).filter(isFilterCondition)
+}
+
 // ---------------------------------------------------------------------------
 // Legacy migration
 // ---------------------------------------------------------------------------
@@ -0,0 +1,83 @@
+import { describe, it, expect } from "vitest"
+import type { FilterCondition, FilterGroup, FilterNode } from "./filterConditions"
+import {
+  flattenFilterConditions,
+  insertFilterNode,
+  removeFilterNode,
+  updateFilterCondition,
+  updateFilterGroup,
+} from "./filterTree"
+
+function cond(id: string, value: readonly string[] = ["todo"]): FilterCondition {
+  return { id, field: "status", operator: "in", value }
+}
+
+function group(id: string, children: readonly FilterNode[], operator: FilterGroup["operator"] = "or"): FilterGroup {
+  return { id, kind: "group", operator, children }
+}
+
+const TREE: readonly FilterNode[] = [
+  cond("c1"),
+  group("g1", [cond("c2"), group("g2", [cond("c3")], "and")]),
+]
+
+describe("flattenFilterConditions", () => {
+  it("lists leaf conditions depth-first", () => {
+    expect(flattenFilterConditions(TREE).map((c) => c.id)).toEqual(["c1", "c2", "c3"])
+  })
+})
+
+describe("insertFilterNode", () => {
+  it("appends to the top level without a parent", () => {
+    const next = insertFilterNode(TREE, undefined, cond("c4"))
+    expect(next.map((n) => n.id)).toEqual(["c1", "g1", "c4"])
+  })
+
+  it("appends inside a nested group", () => {
+    const next = insertFilterNode(TREE, "g2", cond("c4"))
+    expect(flattenFilterConditions(next).map((c) => c.id)).toEqual(["c1", "c2", "c3", "c4"])
+    expect(((next[1] as FilterGroup).children[1] as FilterGroup).children).toHaveLength(2)
+  })
+
+  it("leaves the tree unchanged for an unknown parent", () => {
+    expect(flattenFilterConditions(insertFilterNode(TREE, "nope", cond("c4")))).toHaveLength(3)
+  })
+
+  it("does not mutate the input", () => {
+    const snapshot = JSON.stringify(TREE)
+    insertFilterNode(TREE, "g2", cond("c4"))
+    expect(JSON.stringify(TREE)).toBe(snapshot)
+  })
+})
+
+describe("removeFilterNode", () => {
+  it("removes a nested condition", () => {
+    expect(flattenFilterConditions(removeFilterNode(TREE, "c3")).map((c) => c.id)).toEqual(["c1", "c2"])
+  })
+
+  it("removes a whole group with its children", () => {
+    const next = removeFilterNode(TREE, "g1")
+    expect(next.map((n) => n.id)).toEqual(["c1"])
+  })
+})
+
+describe("updateFilterCondition", () => {
+  it("updates a nested condition in place", () => {
+    const next = updateFilterCondition(TREE, "c3", { value: ["complete"] })
+    const c3 = flattenFilterConditions(next).find((c) => c.id === "c3")
+    expect(c3?.value).toEqual(["complete"])
+  })
+
+  it("never matches a group id", () => {
+    const next = updateFilterCondition(TREE, "g1", { value: ["complete"] })
+    expect(JSON.stringify(next)).toBe(JSON.stringify(TREE))
+  })
+})
+
+describe("updateFilterGroup", () => {
+  it("switches a nested group's operator", () => {
+    const next = updateFilterGroup(TREE, "g2", { operator: "not" })
+    expect(((next[1] as FilterGroup).children[1] as FilterGroup).operator).toBe("not")
+    expect((next[1] as FilterGroup).operator).toBe("or")
+  })
+})
@@ -0,0 +1,71 @@
+import type { FilterCondition, FilterGroup, FilterNode } from "./filterConditions"
+import { isFilterGroup } from "./filterConditions"
+
+// ---------------------------------------------------------------------------
+// Pure, immutable operations over a filter node tree. Every function returns
+// a new array and never mutates its input.
+// ---------------------------------------------------------------------------
+
+/** Depth-first list of every leaf condition in the tree. */
+export function flattenFilterConditions(nodes: readonly FilterNode[]): readonly FilterCondition[] {
+  const out: FilterCondition[] = []
+  const walk = (list: readonly FilterNode[]) => {
+    for (const node of list) {
+      if (isFilterGroup(node)) walk(node.children)
+      else out.push(node)
+    }
+  }
+  walk(nodes)
+  return out
+}
+
+/**
+ * Append `node` to the group `parentId`, or to the top level when `parentId`
+ * is null/undefined. An unknown parent leaves the tree unchanged.
+ */
+export function insertFilterNode(
+  nodes: readonly FilterNode[],
+  parentId: string | null | undefined,
+  node: FilterNode,
+): readonly FilterNode[] {
+  if (!parentId) return [...nodes, node]
+  return nodes.map((n) => {
+    if (!isFilterGroup(n)) return n
+    if (n.id === parentId) return { ...n, children: [...n.children, node] }
+    return { ...n, children: insertFilterNode(n.children, parentId, node) }
+  })
+}
+
+/** Remove the node with `nodeId` (condition or whole group) wherever it sits. */
+export function removeFilterNode(nodes: readonly FilterNode[], nodeId: string): readonly FilterNode[] {
+  return nodes
+    .filter((n) => n.id !== nodeId)
+    .map((n) => (isFilterGroup(n) ? { ...n, children: removeFilterNode(n.children, nodeId) } : n))
+}
+
+/** Merge `updates` into the condition with `conditionId`. Groups are never matched. */
+export function updateFilterCondition(
+  nodes: readonly FilterNode[],
+  conditionId: string,
+  updates: Partial<Omit<FilterCondition, "id">>,
+): readonly FilterNode[] {
+  return nodes.map((n) => {
+    if (isFilterGroup(n)) {
+      return { ...n, children: updateFilterCondition(n.children, conditionId, updates) }
+    }
+    return n.id === conditionId ? { ...n, ...updates } : n
+  })
+}
+
+/** Merge `updates` into the group with `groupId`. */
+export function updateFilterGroup(
+  nodes: readonly FilterNode[],
+  groupId: string,
+  updates: Partial<Pick<FilterGroup, "operator">>,
+): readonly FilterNode[] {
+  return nodes.map((n) => {
+    if (!isFilterGroup(n)) return n
+    if (n.id === groupId) return { ...n, ...updates }
+    return { ...n, children: updateFilterGroup(n.children, groupId, updates) }
+  })
+}
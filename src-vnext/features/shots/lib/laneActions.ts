@@ -42,7 +42,7 @@ export async function createLane(params: {
   readonly locationId?: string | null
   readonly locationName?: string | null
   readonly existingLanes?: ReadonlyArray<Lane>
-  readonly user: User | null
+  readonly user: Pick<User, "uid"> | null
 }): Promise<string> {
   const { name, projectId, clientId, sortOrder, color, user, existingLanes } = params
   const trimmedName = name.trim()
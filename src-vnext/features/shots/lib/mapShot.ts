@@ -413,6 +413,7 @@ export function mapShot(id: string, data: Record<string, unknown>): Shot {
     activeLookId: normalizeNullableString(data["activeLookId"]),
     tags: normalizeTags(data["tags"]),
     referenceLinks: normalizeReferenceLinks(data["referenceLinks"]),
+    commentCount: typeof data["commentCount"] === "number" ? Math.max(0, data["commentCount"]) : undefined,
     deleted: data["deleted"] as boolean | undefined,
     createdAt: data["createdAt"] as Shot["createdAt"],
     updatedAt: data["updatedAt"] as Shot["updatedAt"],
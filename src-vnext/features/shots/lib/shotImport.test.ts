@@ -0,0 +1,275 @@
+import { describe, expect, it } from "vitest"
+import type {
+  Lane,
+  LocationRecord,
+  ProductFamily,
+  ProductSku,
+  Shot,
+  TalentRecord,
+} from "@/shared/types"
+import {
+  SKIP_CHOICE,
+  assignImportShotNumbers,
+  autoMapShotColumns,
+  buildShotImportDrafts,
+  collectImportDecisions,
+  familiesNeedingSkus,
+  parseProductRef,
+  parseShotImportRows,
+  resolveColourway,
+  resolveImportTags,
+  resolveProductRef,
+  resolveScene,
+  resolveShotImportRows,
+  resolveTalentName,
+  validateShotMapping,
+  type ShotImportLibrary,
+} from "./shotImport"
+
+function makeFamily(overrides: Partial<ProductFamily> & { id: string; styleName: string }): ProductFamily {
+  return { clientId: "c1", status: "active", sizes: [], ...overrides } as unknown as ProductFamily
+}
+
+function makeSku(overrides: Partial<ProductSku> & { id: string; name: string }): ProductSku {
+  return { status: "active", ...overrides }
+}
+
+function makeShot(shotNumber: string): Shot {
+  return { id: `s-${shotNumber}`, title: "", shotNumber } as unknown as Shot
+}
+
+function makeLane(overrides: Partial<Lane> & { id: string; name: string }): Lane {
+  return { projectId: "p1", clientId: "c1", sortOrder: 0, ...overrides } as unknown as Lane
+}
+
+const TALENT: TalentRecord[] = [
+  { id: "t1", name: "Jane Doe" },
+  { id: "t2", name: "Janet Dole" },
+  { id: "t3", name: "Sam Lee", firstName: "Samuel", lastName: "Lee" },
+]
+
+const FAMILIES = [
+  makeFamily({ id: "f1", styleName: "Merino Tee", styleNumber: "M-TP-1087" }),
+  makeFamily({ id: "f2", styleName: "Trail Short", styleNumber: "TS200", previousStyleNumber: "TS-100" }),
+  makeFamily({ id: "f3", styleName: "Alpine Parka", styleNumber: "AP1", archived: true }),
+]
+
+describe("autoMapShotColumns / validateShotMapping", () => {
+  it("maps common headers", () => {
+    expect(autoMapShotColumns(["Shot #", "Title", "Scene", "Models", "Style No", "Color", "Tags"])).toEqual({
+      shotNumber: 0,
+      title: 1,
+      scene: 2,
+      talent: 3,
+      products: 4,
+      colour: 5,
+      tags: 6,
+    })
+  })
+
+  it("requires a title or products column", () => {
+    expect(validateShotMapping({ scene: 0 })).toEqual(["Map a Title or Products column."])
+    expect(validateShotMapping({ products: 0 })).toEqual([])
+    expect(validateShotMapping({ title: 0, scene: 0 })).toEqual(["Each column can only be mapped to one field."])
+  })
+})
+
+describe("parseProductRef", () => {
+  it("splits explicit colour separators", () => {
+    expect(parseProductRef("TS200 / Black", null).colour).toBe("Black")
+    expect(parseProductRef("TS200|Black", null).colour).toBe("Black")
+    expect(parseProductRef("TS200/Black", null)).toMatchObject({ product: "TS200", colour: "Black" })
+  })
+
+  it("leaves spaced entries whole and applies the colour column", () => {
+    expect(parseProductRef("Merino Tee Navy", null)).toMatchObject({ product: "Merino Tee Navy", colour: null })
+    expect(parseProductRef("TS200", "Sand")).toMatchObject({ product: "TS200", colour: "Sand" })
+  })
+})
+
+describe("parseShotImportRows", () => {
+  it("parses lists and reports empty rows", () => {
+    const { rows, issues } = parseShotImportRows(
+      [
+        ["Title", "Talent", "Products", "Tags"],
+        ["Hero", "Jane Doe, Sam Lee", "TS200 / Black; M-TP-1087", "Hero, Men"],
+        ["", "Jane", "", ""],
+      ],
+      { title: 0, talent: 1, products: 2, tags: 3 },
+    )
+    expect(issues).toEqual([{ row: 3, message: "Row has no title or products." }])
+    expect(rows).toHaveLength(1)
+    expect(rows[0]!.talent).toEqual(["Jane Doe", "Sam Lee"])
+    expect(rows[0]!.products.map((p) => p.product)).toEqual(["TS200", "M-TP-1087"])
+    expect(rows[0]!.tags).toEqual(["Hero", "Men"])
+  })
+})
+
+describe("resolveProductRef", () => {
+  it("matches style numbers loosely, including previous ones", () => {
+    const { match } = resolveProductRef(parseProductRef("ts-100", "Black"), FAMILIES)
+    expect(match.status).toBe("matched")
+    expect(match.candidates[0]!.id).toBe("f2")
+  })
+
+  it("splits a trailing colour off an exact leading match", () => {
+    const { match, colour } = resolveProductRef(parseProductRef("M-TP-1087 Heather Azure", null), FAMILIES)
+    expect(match.candidates.map((c) => c.id)).toEqual(["f1"])
+    expect(colour).toBe("Heather Azure")
+  })
+
+  it("treats near-miss names as ambiguous and skips archived families", () => {
+    expect(resolveProductRef(parseProductRef("Merino Tees", null), FAMILIES).match).toMatchObject({
+      status: "ambiguous",
+      candidates: [{ id: "f1" }],
+    })
+    expect(resolveProductRef(parseProductRef("AP1", null), FAMILIES).match.status).toBe("unmatched")
+  })
+
+  it("is ambiguous when a style number belongs to several families", () => {
+    const families = [...FAMILIES, makeFamily({ id: "f4", styleName: "Trail Shorts", styleNumber: "TS200" })]
+    const { match } = resolveProductRef(parseProductRef("TS200", null), families)
+    expect(match.status).toBe("ambiguous")
+    expect(match.candidates.map((c) => c.id)).toEqual(["f2", "f4"])
+  })
+})
+
+describe("resolveColourway", () => {
+  const skus = [
+    makeSku({ id: "k1", name: "Navy", colorName: "Navy (NV1)", skuCode: "TS200-NVY" }),
+    makeSku({ id: "k2", name: "Black", colorName: "Black" }),
+  ]
+
+  it("matches by base colour name or SKU code", () => {
+    expect(resolveColourway("navy", skus).candidates[0]!.id).toBe("k1")
+    expect(resolveColourway("ts200-nvy", skus).status).toBe("matched")
+  })
+
+  it("offers near misses for confirmation", () => {
+    expect(resolveColourway("Blak", skus)).toMatchObject({ status: "ambiguous", candidates: [{ id: "k2" }] })
+    expect(resolveColourway("Orange", skus).status).toBe("unmatched")
+  })
+})
+
+describe("resolveTalentName", () => {
+  it("matches full names exactly and first names as ambiguities", () => {
+    expect(resolveTalentName("jane doe", TALENT)).toMatchObject({ status: "matched", candidates: [{ id: "t1" }] })
+    expect(resolveTalentName("Samuel Lee", TALENT).candidates[0]!.id).toBe("t3")
+    const jane = resolveTalentName("Jane", TALENT)
+    expect(jane.status).toBe("ambiguous")
+    expect(jane.candidates.map((c) => c.id)).toEqual(["t1", "t2"])
+  })
+})
+
+describe("resolveScene", () => {
+  const lanes = [makeLane({ id: "l1", name: "Studio A", sceneNumber: 3 })]
+
+  it("finds scenes by name or number, else proposes a new one", () => {
+    expect(resolveScene("studio a", lanes)).toEqual({ laneId: "l1", name: "Studio A" })
+    expect(resolveScene("Scene 3", lanes).laneId).toBe("l1")
+    expect(resolveScene("  Beach  day ", lanes)).toEqual({ laneId: null, name: "Beach day" })
+  })
+})
+
+describe("resolveImportTags", () => {
+  it("reuses default and project tags and shares new ones across rows", () => {
+    const created = new Map()
+    let n = 0
+    const makeId = () => `new-${++n}`
+    const available = [{ id: "p1", label: "Flat Lay", color: "blue" as const }]
+    const first = resolveImportTags(["High Priority", "flat lay", "Beach", "beach"], available, created, makeId)
+    const second = resolveImportTags(["Beach"], available, created, makeId)
+    expect(first.map((t) => t.id)).toEqual(["default-priority-high", "p1", "new-1"])
+    expect(second.map((t) => t.id)).toEqual(["new-1"])
+  })
+})
+
+describe("assignImportShotNumbers", () => {
+  it("continues flat numbering and reassigns taken numbers", () => {
+    const { numbers, reassigned } = assignImportShotNumbers(
+      [
+        { shotNumber: null, sceneNumber: null },
+        { shotNumber: "02", sceneNumber: null },
+        { shotNumber: "10", sceneNumber: null },
+        { shotNumber: null, sceneNumber: null },
+      ],
+      [makeShot("01"), makeShot("02")],
+    )
+    expect(numbers).toEqual(["11", "12", "10", "13"])
+    expect(reassigned).toEqual([1])
+  })
+
+  it("numbers by scene when the project already does", () => {
+    const { numbers } = assignImportShotNumbers(
+      [
+        { shotNumber: null, sceneNumber: 1 },
+        { shotNumber: null, sceneNumber: 2 },
+        { shotNumber: null, sceneNumber: null },
+      ],
+      [makeShot("1A")],
+      2,
+    )
+    expect(numbers).toEqual(["1B", "2A", "3"])
+  })
+})
+
+describe("buildShotImportDrafts", () => {
+  const library: ShotImportLibrary = {
+    families: FAMILIES,
+    talent: TALENT,
+    locations: [{ id: "loc1", name: "Pier 59" } as LocationRecord],
+    lanes: [makeLane({ id: "l1", name: "Studio A", sceneNumber: 1, locationId: "loc2", locationName: "Loft" })],
+    tags: [],
+  }
+  const { rows } = parseShotImportRows(
+    [
+      ["Title", "Scene", "Talent", "Location", "Products"],
+      ["", "Studio A", "Jane", "", "TS200 / Blak"],
+      ["Beach", "Beach", "Sam Lee", "pier 59", "Merino Tees"],
+    ],
+    { title: 0, scene: 1, talent: 2, location: 3, products: 4 },
+  )
+  const resolved = resolveShotImportRows(rows, library)
+  const skusByFamily = new Map([["f2", [makeSku({ id: "k2", name: "Black", colorName: "Black" })]]])
+
+  it("waits on ambiguities, then builds shots from the confirmed choices", () => {
+    expect(familiesNeedingSkus(resolved)).toEqual(["f2"])
+    const pending = collectImportDecisions(resolved, skusByFamily, new Map()).filter((d) => d.chosen === undefined)
+    expect(pending.map((d) => d.key)).toEqual(["2:colour:0:f2", "2:talent:0", "3:product:0"])
+
+    const choices = new Map([
+      ["2:colour:0:f2", "k2"],
+      ["2:talent:0", "t1"],
+      ["3:product:0", SKIP_CHOICE],
+    ])
+    const decisions = collectImportDecisions(resolved, skusByFamily, choices)
+    expect(decisions.some((d) => d.chosen === undefined)).toBe(false)
+
+    const { drafts, newScenes } = buildShotImportDrafts({
+      resolved,
+      decisions,
+      library,
+      skusByFamily,
+      existingShots: [],
+    })
+    expect(newScenes).toEqual([{ name: "Beach", sceneNumber: 2 }])
+    expect(drafts[0]).toMatchObject({
+      title: "Trail Short",
+      shotNumber: "01",
+      laneId: "l1",
+      talentIds: ["t1"],
+      locationId: "loc2",
+      locationName: "Loft",
+      products: [{ familyId: "f2", skuId: "k2", colourName: "Black" }],
+    })
+    expect(drafts[1]).toMatchObject({
+      title: "Beach",
+      shotNumber: "02",
+      laneId: null,
+      newSceneName: "Beach",
+      talentIds: ["t3"],
+      locationId: "loc1",
+      products: [],
+    })
+  })
+})
@@ -0,0 +1,662 @@
+/**
+ * Spreadsheet shot import — column mapping, row parsing, fuzzy resolution of
+ * products / colourways / talent / locations / scenes against the library, and
+ * shot numbering. Pure: the wizard loads SKUs and the writes live in
+ * `shotImportWrites.ts`.
+ *
+ * Exact matches resolve on their own. Anything fuzzy (a near-miss name, a
+ * style number shared by two families) is surfaced as an ambiguity the user
+ * confirms before anything is written.
+ */
+
+import type {
+  Lane,
+  LocationRecord,
+  ProductAssignment,
+  ProductFamily,
+  ProductSku,
+  Shot,
+  ShotTag,
+  TalentRecord,
+} from "@/shared/types"
+import { mapColumnsByAlias, type TabularRows } from "@/shared/lib/tabularImport"
+import { findCanonicalTag, normalizeTagLabel } from "@/shared/lib/tagDedup"
+import { resolveTagColorKey } from "@/shared/lib/tagColors"
+import {
+  baseColorName,
+  levenshtein,
+  normalizeProductName,
+  normalizeStyleNumber,
+} from "@/features/products/lib/productDedup"
+import {
+  computeMaxBaseNumber,
+  computeMaxShotNumber,
+  formatSceneShotNumber,
+  formatShotNumber,
+  parseSceneShotNumber,
+} from "@/features/shots/lib/shotNumbering"
+
+// ---------------------------------------------------------------------------
+// Fields + column mapping
+// ---------------------------------------------------------------------------
+
+export type ShotImportField =
+  | "title"
+  | "description"
+  | "scene"
+  | "shotNumber"
+  | "talent"
+  | "location"
+  | "tags"
+  | "products"
+  | "colour"
+
+export const SHOT_IMPORT_FIELDS: ReadonlyArray<{
+  readonly key: ShotImportField
+  readonly label: string
+  readonly hint?: string
+  readonly aliases: ReadonlyArray<string>
+}> = [
+  { key: "title", label: "Title", aliases: ["title", "shottitle", "shotname", "name"] },
+  { key: "description", label: "Description", aliases: ["description", "desc", "details", "notes"] },
+  { key: "scene", label: "Scene", hint: "Scene name or number; new names create scenes", aliases: ["scene", "scenename", "set", "lane"] },
+  { key: "shotNumber", label: "Shot number", hint: "Blank or taken numbers are assigned", aliases: ["shotnumber", "shotno", "shotnum", "shot", "number", "no"] },
+  { key: "talent", label: "Talent", hint: "Names, comma-separated", aliases: ["talent", "model", "models", "cast"] },
+  { key: "location", label: "Location", aliases: ["location", "locationname", "studio"] },
+  { key: "tags", label: "Tags", hint: "Comma-separated", aliases: ["tags", "tag", "labels"] },
+  { key: "products", label: "Products", hint: "Style number or name, optionally / colour; one per line or ;", aliases: ["products", "product", "stylenumber", "styleno", "style", "sku"] },
+  { key: "colour", label: "Colour", hint: "Applies to products without their own colour", aliases: ["colour", "color", "colourway", "colorway", "colourname", "colorname"] },
+]
+
+export type ShotColumnMapping = Partial<Record<ShotImportField, number>>
+
+export function autoMapShotColumns(headers: ReadonlyArray<string>): ShotColumnMapping {
+  return mapColumnsByAlias(headers, SHOT_IMPORT_FIELDS)
+}
+
+/** Problems that block parsing; empty when the mapping is usable. */
+export function validateShotMapping(mapping: ShotColumnMapping): string[] {
+  const errors: string[] = []
+  if (mapping.title === undefined && mapping.products === undefined) {
+    errors.push("Map a Title or Products column.")
+  }
+  const columns = Object.values(mapping)
+  if (new Set(columns).size !== columns.length) {
+    errors.push("Each column can only be mapped to one field.")
+  }
+  return errors
+}
+
+// ---------------------------------------------------------------------------
+// Row parsing
+// ---------------------------------------------------------------------------
+
+export interface ShotImportProductRef {
+  /** The entry as written. */
+  readonly text: string
+  /** Style number and/or product name part. */
+  readonly product: string
+  /** Explicit colour, else null (resolution may still split one off `product`). */
+  readonly colour: string | null
+}
+
+export interface ShotImportRow {
+  /** 1-based spreadsheet row (the header is row 1). */
+  readonly row: number
+  readonly title: string | null
+  readonly description: string | null
+  readonly scene: string | null
+  readonly shotNumber: string | null
+  readonly talent: ReadonlyArray<string>
+  readonly location: string | null
+  readonly tags: ReadonlyArray<string>
+  readonly products: ReadonlyArray<ShotImportProductRef>
+}
+
+export interface ShotImportIssue {
+  readonly row: number
+  readonly message: string
+}
+
+function splitList(value: string, separators: RegExp): string[] {
+  return value
+    .split(separators)
+    .map((s) => s.trim())
+    .filter(Boolean)
+}
+
+const COLOUR_SEPARATOR = /\s*\|\s*|\s*:\s*|\s+\/\s+/
+
+/** `AB100 / Navy`, `AB100 | Navy`, `AB100:Navy` and `AB100/Navy` all split; `AB100 Navy` is left whole. */
+export function parseProductRef(text: string, fallbackColour: string | null): ShotImportProductRef {
+  const trimmed = text.trim()
+  const parts = trimmed.split(COLOUR_SEPARATOR)
+  if (parts.length >= 2 && parts[0] && parts.slice(1).join(" ").trim()) {
+    return { text: trimmed, product: parts[0], colour: parts.slice(1).join(" ").trim() }
+  }
+  const slash = trimmed.split("/")
+  if (!/\s/.test(trimmed) && slash.length === 2 && slash[0] && slash[1]) {
+    return { text: trimmed, product: slash[0], colour: slash[1] }
+  }
+  return { text: trimmed, product: trimmed, colour: fallbackColour }
+}
+
+export function parseShotImportRows(
+  rows: TabularRows,
+  mapping: ShotColumnMapping,
+): { readonly rows: ReadonlyArray<ShotImportRow>; readonly issues: ReadonlyArray<ShotImportIssue> } {
+  const cell = (row: ReadonlyArray<string>, field: ShotImportField): string => {
+    const index = mapping[field]
+    return index === undefined ? "" : (row[index] ?? "").trim()
+  }
+  const out: ShotImportRow[] = []
+  const issues: ShotImportIssue[] = []
+
+  rows.slice(1).forEach((row, i) => {
+    const rowNumber = i + 2
+    const title = cell(row, "title")
+    const colour = cell(row, "colour") || null
+    const products = splitList(cell(row, "products"), /[;\n]+/).map((entry) => parseProductRef(entry, colour))
+    if (!title && products.length === 0) {
+      issues.push({ row: rowNumber, message: "Row has no title or products." })
+      return
+    }
+    out.push({
+      row: rowNumber,
+      title: title || null,
+      description: cell(row, "description") || null,
+      scene: cell(row, "scene") || null,
+      shotNumber: cell(row, "shotNumber") || null,
+      talent: splitList(cell(row, "talent"), /[,;&\n]+/),
+      location: cell(row, "location") || null,
+      tags: splitList(cell(row, "tags"), /[,;\n]+/),
+      products,
+    })
+  })
+
+  return { rows: out, issues }
+}
+
+// ---------------------------------------------------------------------------
+// Fuzzy resolution
+// ---------------------------------------------------------------------------
+
+export type ImportMatchStatus = "matched" | "ambiguous" | "unmatched"
+
+export interface ImportCandidate {
+  readonly id: string
+  readonly label: string
+  readonly detail?: string
+}
+
+/** `matched` carries exactly one candidate; `ambiguous` carries the options to confirm. */
+export interface ImportMatch {
+  readonly input: string
+  readonly status: ImportMatchStatus
+  readonly candidates: ReadonlyArray<ImportCandidate>
+}
+
+const MAX_CANDIDATES = 5
+
+function normalizeName(value: string): string {
+  return value.trim().toLowerCase().replace(/\s+/g, " ")
+}
+
+/** Edit distance, with containment ("Jane" in "Jane Doe") scored as a near miss. */
+function nameDistance(a: string, b: string): number {
+  if (a === b) return 0
+  if (Math.min(a.length, b.length) >= 3 && (a.includes(b) || b.includes(a))) return 1
+  return levenshtein(a, b)
+}
+
+function toMatch(input: string, candidates: ReadonlyArray<ImportCandidate>, exact: boolean): ImportMatch {
+  if (candidates.length === 0) return { input, status: "unmatched", candidates: [] }
+  if (exact && candidates.length === 1) return { input, status: "matched", candidates }
+  return { input, status: "ambiguous", candidates: candidates.slice(0, MAX_CANDIDATES) }
+}
+
+function matchByName<T>(
+  input: string,
+  items: ReadonlyArray<T>,
+  names: (item: T) => ReadonlyArray<string>,
+  toCandidate: (item: T) => ImportCandidate,
+  maxDistance: number,
+): ImportMatch {
+  const key = normalizeName(input)
+  const exact = items.filter((item) => names(item).some((n) => normalizeName(n) === key))
+  if (exact.length > 0) return toMatch(input, exact.map(toCandidate), true)
+  const scored = items
+    .map((item) => ({
+      item,
+      score: Math.min(...names(item).map((n) => nameDistance(normalizeName(n), key))),
+    }))
+    .filter((s) => s.score <= maxDistance)
+    .sort((a, b) => a.score - b.score)
+  return toMatch(input, scored.map((s) => toCandidate(s.item)), false)
+}
+
+function familyCandidate(family: ProductFamily): ImportCandidate {
+  return { id: family.id, label: family.styleName, detail: family.styleNumber }
+}
+
+function familyStyleKeys(family: ProductFamily): string[] {
+  return [family.styleNumber, family.previousStyleNumber, ...(family.styleNumbers ?? [])]
+    .map((sn) => normalizeStyleNumber(sn))
+    .filter(Boolean)
+}
+
+/**
+ * Resolves a product entry by style number (current, previous or any listed)
+ * or exact name. Without an explicit colour, the longest leading words that
+ * match exactly are the product and the rest is the colour — so
+ * `M-TP-PL-1087 Heather Azure` splits on its own.
+ */
+export function resolveProductRef(
+  ref: ShotImportProductRef,
+  families: ReadonlyArray<ProductFamily>,
+): { readonly match: ImportMatch; readonly colour: string | null } {
+  const active = families.filter((f) => f.deleted !== true && f.archived !== true)
+  const exactHits = (text: string): ProductFamily[] => {
+    const styleKey = normalizeStyleNumber(text)
+    const byStyle = styleKey ? active.filter((f) => familyStyleKeys(f).includes(styleKey)) : []
+    if (byStyle.length > 0) return byStyle
+    const name = normalizeProductName(text)
+    return active.filter((f) => normalizeProductName(f.styleName) === name)
+  }
+
+  const fuzzy = (text: string) =>
+    matchByName(text, active, (f) => [f.styleName], familyCandidate, 3)
+
+  if (ref.colour !== null) {
+    const hits = exactHits(ref.product)
+    return {
+      match: hits.length > 0 ? toMatch(ref.text, hits.map(familyCandidate), true) : { ...fuzzy(ref.product), input: ref.text },
+      colour: ref.colour,
+    }
+  }
+
+  const words = ref.product.split(/\s+/)
+  for (let k = words.length; k >= 1; k -= 1) {
+    const hits = exactHits(words.slice(0, k).join(" "))
+    if (hits.length === 0) continue
+    return {
+      match: toMatch(ref.text, hits.map(familyCandidate), true),
+      colour: words.slice(k).join(" ") || null,
+    }
+  }
+  return { match: { ...fuzzy(ref.product), input: ref.text }, colour: null }
+}
+
+/** Colourway by name (ignoring vendor suffixes like "Navy (NV1)") or SKU code. */
+export function resolveColourway(colour: string, skus: ReadonlyArray<ProductSku>): ImportMatch {
+  const active = skus.filter((s) => s.deleted !== true)
+  const base = baseColorName(colour)
+  const code = normalizeName(colour)
+  const exact = active.filter(
+    (s) => baseColorName(s.colorName ?? s.name) === base || (s.skuCode && normalizeName(s.skuCode) === code),
+  )
+  const toCandidate = (s: ProductSku): ImportCandidate => ({ id: s.id, label: s.colorName ?? s.name, detail: s.skuCode })
+  if (exact.length > 0) return toMatch(colour, exact.map(toCandidate), true)
+  return matchByName(colour, active, (s) => [baseColorName(s.colorName ?? s.name)], toCandidate, 2)
+}
+
+export function resolveTalentName(name: string, talent: ReadonlyArray<TalentRecord>): ImportMatch {
+  return matchByName(
+    name,
+    talent.filter((t) => t.deleted !== true),
+    (t) => [t.name, [t.firstName, t.lastName].filter(Boolean).join(" ")].filter(Boolean),
+    (t) => ({ id: t.id, label: t.name, detail: t.agency }),
+    2,
+  )
+}
+
+export function resolveLocationName(name: string, locations: ReadonlyArray<LocationRecord>): ImportMatch {
+  return matchByName(
+    name,
+    locations,
+    (l) => [l.name],
+    (l) => ({ id: l.id, label: l.name, detail: l.address }),
+    3,
+  )
+}
+
+/** An existing scene, or a name the import will create. */
+export type SceneResolution =
+  | { readonly laneId: string; readonly name: string }
+  | { readonly laneId: null; readonly name: string }
+
+/** Scene by name (case-insensitive) or number — "3" and "Scene 3" both find scene 3. */
+export function resolveScene(text: string, lanes: ReadonlyArray<Lane>): SceneResolution {
+  const key = normalizeName(text)
+  const byName = lanes.find((l) => normalizeName(l.name) === key)
+  if (byName) return { laneId: byName.id, name: byName.name }
+  const numbered = /^(?:scene\s*)?(\d+)$/i.exec(text.trim())
+  if (numbered) {
+    const n = Number.parseInt(numbered[1]!, 10)
+    const byNumber = lanes.find((l) => l.sceneNumber === n)
+    if (byNumber) return { laneId: byNumber.id, name: byNumber.name }
+  }
+  return { laneId: null, name: text.trim().replace(/\s+/g, " ") }
+}
+
+function newTagId(): string {
+  return `tag-${Date.now()}-${Math.random().toString(36).slice(2, 9)}`
+}
+
+/**
+ * Tags by label: default tags first, then tags already used in the project,
+ * else a new tag. `created` memoizes new labels so every row shares one id.
+ */
+export function resolveImportTags(
+  labels: ReadonlyArray<string>,
+  available: ReadonlyArray<ShotTag>,
+  created: Map<string, ShotTag> = new Map(),
+  makeId: () => string = newTagId,
+): ShotTag[] {
+  const out: ShotTag[] = []
+  for (const raw of labels) {
+    const key = normalizeTagLabel(raw)
+    if (!key) continue
+    const existing = available.find((t) => normalizeTagLabel(t.label) === key)
+    let tag = findCanonicalTag(raw) ?? existing ?? created.get(key)
+    if (!tag) {
+      const label = raw.trim().replace(/\s+/g, " ")
+      tag = { id: makeId(), label, color: resolveTagColorKey(null, label), category: "other" }
+      created.set(key, tag)
+    }
+    if (!out.some((t) => t.id === tag!.id)) out.push(tag)
+  }
+  return out
+}
+
+// ---------------------------------------------------------------------------
+// Row resolution + confirmation
+// ---------------------------------------------------------------------------
+
+export interface ShotImportLibrary {
+  readonly families: ReadonlyArray<ProductFamily>
+  readonly talent: ReadonlyArray<TalentRecord>
+  readonly locations: ReadonlyArray<LocationRecord>
+  readonly lanes: ReadonlyArray<Lane>
+  readonly tags: ReadonlyArray<ShotTag>
+}
+
+export interface ResolvedProductRef {
+  readonly ref: ShotImportProductRef
+  readonly family: ImportMatch
+  readonly colour: string | null
+}
+
+export interface ResolvedShotImportRow {
+  readonly row: ShotImportRow
+  readonly products: ReadonlyArray<ResolvedProductRef>
+  readonly talent: ReadonlyArray<ImportMatch>
+  readonly location: ImportMatch | null
+  readonly scene: SceneResolution | null
+  readonly tags: ReadonlyArray<ShotTag>
+}
+
+export function resolveShotImportRows(
+  rows: ReadonlyArray<ShotImportRow>,
+  library: ShotImportLibrary,
+): ResolvedShotImportRow[] {
+  const createdTags = new Map<string, ShotTag>()
+  return rows.map((row) => ({
+    row,
+    products: row.products.map((ref) => {
+      const { match, colour } = resolveProductRef(ref, library.families)
+      return { ref, family: match, colour }
+    }),
+    talent: row.talent.map((name) => resolveTalentName(name, library.talent)),
+    location: row.location ? resolveLocationName(row.location, library.locations) : null,
+    scene: row.scene ? resolveScene(row.scene, library.lanes) : null,
+    tags: resolveImportTags(row.tags, library.tags, createdTags),
+  }))
+}
+
+/** Families worth loading SKUs for: every matched or candidate family with a colour to resolve. */
+export function familiesNeedingSkus(resolved: ReadonlyArray<ResolvedShotImportRow>): string[] {
+  const ids = new Set<string>()
+  for (const row of resolved) {
+    for (const product of row.products) {
+      if (!product.colour) continue
+      for (const candidate of product.family.candidates) ids.add(candidate.id)
+    }
+  }
+  return [...ids]
+}
+
+/** Choice key -> chosen candidate id, or `SKIP_CHOICE` to leave the value out. */
+export type ImportChoices = ReadonlyMap<string, string>
+
+export const SKIP_CHOICE = ""
+
+export type ImportDecisionKind = "product" | "colour" | "talent" | "location"
+
+export interface ImportDecision {
+  readonly key: string
+  readonly row: number
+  readonly kind: ImportDecisionKind
+  readonly match: ImportMatch
+  /** Candidate id; undefined while an ambiguity is unconfirmed; null when left out / not found. */
+  readonly chosen: string | null | undefined
+}
+
+function decide(key: string, row: number, kind: ImportDecisionKind, match: ImportMatch, choices: ImportChoices): ImportDecision {
+  let chosen: string | null | undefined
+  if (match.status === "matched") chosen = match.candidates[0]!.id
+  else if (match.status === "unmatched") chosen = null
+  else {
+    const choice = choices.get(key)
+    chosen = choice === undefined ? undefined : choice === SKIP_CHOICE ? null : choice
+  }
+  return { key, row, kind, match, chosen }
+}
+
+/**
+ * Every lookup in every row with its current outcome. Colour lookups follow the
+ * chosen family, so they appear once that family is settled.
+ */
+export function collectImportDecisions(
+  resolved: ReadonlyArray<ResolvedShotImportRow>,
+  skusByFamily: ReadonlyMap<string, ReadonlyArray<ProductSku>>,
+  choices: ImportChoices,
+): ImportDecision[] {
+  const out: ImportDecision[] = []
+  for (const { row, products, talent, location } of resolved) {
+    products.forEach((product, i) => {
+      const family = decide(`${row.row}:product:${i}`, row.row, "product", product.family, choices)
+      out.push(family)
+      if (!family.chosen || !product.colour) return
+      const colour = resolveColourway(product.colour, skusByFamily.get(family.chosen) ?? [])
+      out.push(decide(`${row.row}:colour:${i}:${family.chosen}`, row.row, "colour", colour, choices))
+    })
+    talent.forEach((match, i) => out.push(decide(`${row.row}:talent:${i}`, row.row, "talent", match, choices)))
+    if (location) out.push(decide(`${row.row}:location`, row.row, "location", location, choices))
+  }
+  return out
+}
+
+// ---------------------------------------------------------------------------
+// Numbering
+// ---------------------------------------------------------------------------
+
+/**
+ * Shot numbers for imported rows. A free explicit number is kept; blank or
+ * taken ones are assigned. Projects already numbered by scene (`3A`, `3B`)
+ * get the next free letter in the row's scene — ungrouped rows continue after
+ * the highest scene — otherwise numbering continues the flat `01, 02` run.
+ */
+export function assignImportShotNumbers(
+  requests: ReadonlyArray<{ readonly shotNumber: string | null; readonly sceneNumber: number | null }>,
+  existingShots: ReadonlyArray<Shot>,
+  maxSceneNumber = 0,
+): { readonly numbers: ReadonlyArray<string>; readonly reassigned: ReadonlyArray<number> } {
+  const taken = new Set(existingShots.flatMap((s) => (s.shotNumber ? [s.shotNumber.toLowerCase()] : [])))
+  const numbers: (string | null)[] = requests.map(() => null)
+  const reassigned: number[] = []
+  let maxExplicitBase = 0
+
+  requests.forEach((request, i) => {
+    const explicit = request.shotNumber?.trim()
+    if (!explicit) return
+    if (taken.has(explicit.toLowerCase())) {
+      reassigned.push(i)
+      return
+    }
+    taken.add(explicit.toLowerCase())
+    numbers[i] = explicit
+    maxExplicitBase = Math.max(maxExplicitBase, parseSceneShotNumber(explicit).base)
+  })
+
+  const sceneMode = existingShots.some((s) => parseSceneShotNumber(s.shotNumber ?? "").suffix !== null)
+  let nextFlat = Math.max(computeMaxShotNumber(existingShots), maxExplicitBase) + 1
+  let nextUngrouped = Math.max(computeMaxBaseNumber(existingShots), maxSceneNumber, maxExplicitBase) + 1
+  const claim = (candidate: string): boolean => {
+    if (taken.has(candidate.toLowerCase())) return false
+    taken.add(candidate.toLowerCase())
+    return true
+  }
+
+  requests.forEach((request, i) => {
+    if (numbers[i] !== null) return
+    if (sceneMode && request.sceneNumber !== null) {
+      let index = 0
+      while (!claim(formatSceneShotNumber(request.sceneNumber, index))) index += 1
+      numbers[i] = formatSceneShotNumber(request.sceneNumber, index)
+    } else if (sceneMode) {
+      while (!claim(String(nextUngrouped))) nextUngrouped += 1
+      numbers[i] = String(nextUngrouped)
+    } else {
+      while (!claim(formatShotNumber(nextFlat))) nextFlat += 1
+      numbers[i] = formatShotNumber(nextFlat)
+    }
+  })
+
+  return { numbers: numbers as string[], reassigned }
+}
+
+// ---------------------------------------------------------------------------
+// Drafts
+// ---------------------------------------------------------------------------
+
+export interface ShotImportDraft {
+  readonly row: number
+  readonly title: string
+  readonly description: string | null
+  readonly shotNumber: string
+  /** True when the sheet's shot number was taken and a new one was assigned. */
+  readonly renumbered: boolean
+  readonly laneId: string | null
+  /** Name of a scene the import creates (laneId is then null). */
+  readonly newSceneName: string | null
+  readonly talentIds: ReadonlyArray<string>
+  readonly locationId: string | null
+  readonly locationName: string | null
+  readonly tags: ReadonlyArray<ShotTag>
+  readonly products: ReadonlyArray<ProductAssignment>
+}
+
+export interface ShotImportNewScene {
+  readonly name: string
+  readonly sceneNumber: number
+}
+
+function productAssignment(
+  family: ProductFamily,
+  sku: ProductSku | null,
+): ProductAssignment {
+  const thumbUrl = sku?.imagePath ?? family.thumbnailImagePath
+  return {
+    familyId: family.id,
+    familyName: family.styleName,
+    ...(sku
+      ? {
+          skuId: sku.id,
+          skuName: sku.colorName ?? sku.name,
+          colourId: sku.id,
+          colourName: sku.colorName ?? sku.name,
+        }
+      : {}),
+    ...(thumbUrl ? { thumbUrl } : {}),
+  }
+}
+
+/**
+ * Final shots from confirmed decisions. Call once no decision is pending
+ * (`chosen === undefined`); unconfirmed lookups are treated as left out.
+ */
+export function buildShotImportDrafts(args: {
+  readonly resolved: ReadonlyArray<ResolvedShotImportRow>
+  readonly decisions: ReadonlyArray<ImportDecision>
+  readonly library: ShotImportLibrary
+  readonly skusByFamily: ReadonlyMap<string, ReadonlyArray<ProductSku>>
+  readonly existingShots: ReadonlyArray<Shot>
+}): { readonly drafts: ReadonlyArray<ShotImportDraft>; readonly newScenes: ReadonlyArray<ShotImportNewScene> } {
+  const { resolved, decisions, library, skusByFamily, existingShots } = args
+  const chosen = new Map(decisions.map((d) => [d.key, d.chosen ?? null]))
+  const familyById = new Map(library.families.map((f) => [f.id, f]))
+  const talentById = new Map(library.talent.map((t) => [t.id, t]))
+  const locationById = new Map(library.locations.map((l) => [l.id, l]))
+  const laneById = new Map(library.lanes.map((l) => [l.id, l]))
+
+  const maxSceneNumber = Math.max(0, ...library.lanes.map((l) => l.sceneNumber ?? 0))
+  const newScenes: ShotImportNewScene[] = []
+  const sceneNumberFor = (scene: SceneResolution | null): number | null => {
+    if (!scene) return null
+    if (scene.laneId) return laneById.get(scene.laneId)?.sceneNumber ?? null
+    const key = normalizeName(scene.name)
+    let created = newScenes.find((s) => normalizeName(s.name) === key)
+    if (!created) {
+      created = { name: scene.name, sceneNumber: maxSceneNumber + newScenes.length + 1 }
+      newScenes.push(created)
+    }
+    return created.sceneNumber
+  }
+
+  const sceneNumbers = resolved.map((r) => sceneNumberFor(r.scene))
+  const { numbers, reassigned } = assignImportShotNumbers(
+    resolved.map((r, i) => ({ shotNumber: r.row.shotNumber, sceneNumber: sceneNumbers[i]! })),
+    existingShots,
+    maxSceneNumber + newScenes.length,
+  )
+
+  const drafts = resolved.map((entry, i): ShotImportDraft => {
+    const { row } = entry
+    const products: ProductAssignment[] = []
+    entry.products.forEach((product, p) => {
+      const familyId = chosen.get(`${row.row}:product:${p}`)
+      const family = familyId ? familyById.get(familyId) : undefined
+      if (!family) return
+      const skuId = chosen.get(`${row.row}:colour:${p}:${family.id}`)
+      const sku = skuId ? (skusByFamily.get(family.id) ?? []).find((s) => s.id === skuId) ?? null : null
+      products.push(productAssignment(family, sku))
+    })
+
+    const talentIds = entry.talent
+      .map((_, t) => chosen.get(`${row.row}:talent:${t}`))
+      .filter((id): id is string => Boolean(id && talentById.has(id)))
+
+    const lane = entry.scene?.laneId ? laneById.get(entry.scene.laneId) : undefined
+    const locationId = chosen.get(`${row.row}:location`)
+    const location = locationId ? locationById.get(locationId) : undefined
+
+    return {
+      row: row.row,
+      title: row.title ?? products[0]?.familyName ?? entry.products[0]?.ref.text ?? "Untitled",
+      description: row.description,
+      shotNumber: numbers[i]!,
+      renumbered: reassigned.includes(i),
+      laneId: lane?.id ?? null,
+      newSceneName: entry.scene && !entry.scene.laneId ? entry.scene.name : null,
+      talentIds: [...new Set(talentIds)],
+      // Shots in a Set inherit its location unless the sheet names one.
+      locationId: location?.id ?? lane?.locationId ?? null,
+      locationName: location?.name ?? (location ? null : lane?.locationName ?? null),
+      tags: entry.tags,
+      products,
+    }
+  })
+
+  return { drafts, newScenes }
+}
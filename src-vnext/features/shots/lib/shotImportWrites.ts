@@ -0,0 +1,123 @@
+import {
+  collection,
+  doc,
+  serverTimestamp,
+  writeBatch,
+} from "firebase/firestore"
+import { db } from "@/shared/lib/firebase"
+import { shotsPath } from "@/shared/lib/paths"
+import type { AuthUser, Lane } from "@/shared/types"
+import { createLane } from "./laneActions"
+import type { ShotImportDraft, ShotImportNewScene } from "./shotImport"
+
+/** Maximum documents per Firestore WriteBatch (limit is 500; 250 for safety). */
+const BATCH_CHUNK_SIZE = 250
+
+/** Hard cap on a single import, matching bulk create. */
+export const MAX_IMPORT_SHOTS = 500
+
+export interface ShotImportWriteResult {
+  readonly created: number
+  readonly scenesCreated: number
+}
+
+function buildShotDoc(
+  draft: ShotImportDraft,
+  laneId: string | null,
+  base: { readonly projectId: string; readonly clientId: string; readonly createdBy: string; readonly sortOrder: number },
+): Record<string, unknown> {
+  const products = [...draft.products]
+  const payload: Record<string, unknown> = {
+    title: draft.title,
+    description: draft.description ?? "",
+    projectId: base.projectId,
+    clientId: base.clientId,
+    status: "todo",
+    products,
+    looks:
+      products.length > 0
+        ? [
+            {
+              id: crypto.randomUUID(),
+              label: "Look 1",
+              order: 0,
+              products,
+              heroProductId: products[0]!.familyId,
+            },
+          ]
+        : [],
+    talent: [...draft.talentIds],
+    talentIds: [...draft.talentIds],
+    tags: [...draft.tags],
+    sortOrder: base.sortOrder,
+    shotNumber: draft.shotNumber,
+    date: null,
+    deleted: false,
+    createdAt: serverTimestamp(),
+    updatedAt: serverTimestamp(),
+    createdBy: base.createdBy,
+  }
+  if (laneId) payload["laneId"] = laneId
+  if (draft.locationId) {
+    payload["locationId"] = draft.locationId
+    payload["locationName"] = draft.locationName ?? null
+  }
+  return payload
+}
+
+/**
+ * Writes imported shots. New scenes are created first (with the scene numbers
+ * the drafts were numbered against), then shots go out in batches of 250.
+ * Version snapshots are skipped, as for bulk creates.
+ */
+export async function createImportedShots(input: {
+  readonly clientId: string
+  readonly projectId: string
+  readonly drafts: ReadonlyArray<ShotImportDraft>
+  readonly newScenes: ReadonlyArray<ShotImportNewScene>
+  readonly existingLanes: ReadonlyArray<Lane>
+  readonly user: AuthUser | null
+}): Promise<ShotImportWriteResult> {
+  const { clientId, projectId, drafts, newScenes, existingLanes, user } = input
+  if (drafts.length === 0) return { created: 0, scenesCreated: 0 }
+  if (drafts.length > MAX_IMPORT_SHOTS) {
+    throw new Error(`Cannot import more than ${MAX_IMPORT_SHOTS} shots at once.`)
+  }
+
+  const laneIdByScene = new Map<string, string>()
+  for (let i = 0; i < newScenes.length; i++) {
+    const scene = newScenes[i]!
+    const laneId = await createLane({
+      name: scene.name,
+      projectId,
+      clientId,
+      sortOrder: existingLanes.length + i,
+      sceneNumber: scene.sceneNumber,
+      existingLanes,
+      user,
+    })
+    laneIdByScene.set(scene.name.toLowerCase(), laneId)
+  }
+
+  const path = shotsPath(clientId)
+  const colRef = collection(db, path[0]!, ...path.slice(1))
+  const now = Date.now()
+  const createdBy = user?.uid ?? ""
+  let created = 0
+
+  for (let start = 0; start < drafts.length; start += BATCH_CHUNK_SIZE) {
+    const batch = writeBatch(db)
+    drafts.slice(start, start + BATCH_CHUNK_SIZE).forEach((draft, i) => {
+      const laneId =
+        draft.laneId ?? (draft.newSceneName ? laneIdByScene.get(draft.newSceneName.toLowerCase()) ?? null : null)
+      batch.set(
+        doc(colRef),
+        buildShotDoc(draft, laneId, { projectId, clientId, createdBy, sortOrder: now + start + i }),
+      )
+    })
+    await batch.commit()
+    created += Math.min(BATCH_CHUNK_SIZE, drafts.length - start)
+  }
+
+  return { created, scenesCreated: newScenes.length }
+}
@@ -0,0 +1,177 @@
+import { describe, expect, it } from "vitest"
+import ExcelJS from "exceljs"
+import type { ProductFamily, Shot } from "@/shared/types"
+import { SHOT_TABLE_COLUMNS } from "./shotTableColumns"
+import {
+  buildShotSpreadsheetCsv,
+  buildShotSpreadsheetTable,
+  buildShotSpreadsheetXlsxBuffer,
+  flattenShotProducts,
+  shotSpreadsheetFilename,
+} from "./shotListSpreadsheet"
+
+function makeShot(overrides: Partial<Shot> & { id: string }): Shot {
+  return {
+    title: "Shot",
+    projectId: "p1",
+    clientId: "c1",
+    status: "todo",
+    talent: [],
+    products: [],
+    sortOrder: 0,
+    deleted: false,
+    createdBy: "u1",
+    ...overrides,
+  } as unknown as Shot
+}
+
+const familyById = new Map([
+  ["f1", { id: "f1", styleName: "Merino Tee", styleNumber: "AB100" } as unknown as ProductFamily],
+])
+
+const HERO = makeShot({
+  id: "s1",
+  shotNumber: "01",
+  title: "Hero, front",
+  description: "<p>Walking &amp; talking</p>",
+  talent: ["t1", "t9"],
+  tags: [{ id: "g1", label: "Men", color: "blue" }],
+  looks: [
+    {
+      id: "l1",
+      label: "Look 1",
+      order: 0,
+      heroProductId: "f1",
+      products: [{ familyId: "f1", familyName: "Merino Tee", colourName: "Navy", sizeScope: "single", size: "M" }],
+    },
+    {
+      id: "l2",
+      order: 1,
+      products: [{ familyId: "f2", familyName: "Trail Short", sizeScope: "all", quantity: 2 }],
+    },
+  ],
+})
+const FLAT = makeShot({ id: "s2", shotNumber: "02", title: "Flat lay" })
+
+const columns = (...keys: string[]) =>
+  keys.map((key) => SHOT_TABLE_COLUMNS.find((c) => c.key === key)!)
+
+describe("flattenShotProducts", () => {
+  it("lists every look's products in look order", () => {
+    expect(flattenShotProducts(HERO, familyById)).toEqual([
+      { look: "Look 1", product: "Merino Tee", styleNumber: "AB100", colour: "Navy", size: "M", quantity: "", hero: true },
+      { look: "Look 2", product: "Trail Short", styleNumber: "", colour: "", size: "All sizes", quantity: "2", hero: false },
+    ])
+  })
+
+  it("falls back to shot-level products", () => {
+    const shot = makeShot({ id: "s3", products: [{ familyId: "f1", familyName: "Merino Tee" }] })
+    expect(flattenShotProducts(shot).map((p) => [p.look, p.product, p.size])).toEqual([["", "Merino Tee", "TBD"]])
+  })
+})
+
+describe("buildShotSpreadsheetTable", () => {
+  const lookups = { familyById, talentNameById: new Map([["t1", "Jane Doe"]]) }
+
+  it("keeps visible columns in order and adds Description after Shot", () => {
+    const table = buildShotSpreadsheetTable(
+      [HERO],
+      { columns: columns("heroThumb", "shotNumber", "shot", "talent", "tags"), productLayout: "rows", includeThumbnails: false },
+      lookups,
+    )
+    expect(table.columns.map((c) => c.header)).toEqual(["#", "Shot", "Description", "Talent", "Tags"])
+    expect(table.rows[0]!.cells).toEqual({
+      shotNumber: "01",
+      shot: "Hero, front",
+      description: "Walking & talking",
+      talent: "Jane Doe, 1 unknown",
+      tags: "Men",
+    })
+  })
+
+  it("writes a row per product, repeating the shot cells", () => {
+    const table = buildShotSpreadsheetTable(
+      [HERO, FLAT],
+      { columns: columns("shotNumber", "products"), productLayout: "rows", includeThumbnails: true },
+      lookups,
+    )
+    expect(table.columns.map((c) => c.header)).toEqual(["#", "Look", "Product", "Style #", "Colour", "Size", "Qty"])
+    expect(table.rows.map((r) => [r.cells["shotNumber"], r.cells["product.product"], r.firstOfShot])).toEqual([
+      ["01", "Merino Tee (hero)", true],
+      ["01", "Trail Short", false],
+      ["02", undefined, true],
+    ])
+  })
+
+  it("spreads products across numbered columns", () => {
+    const table = buildShotSpreadsheetTable(
+      [HERO, FLAT],
+      { columns: columns("shotNumber", "products"), productLayout: "columns", includeThumbnails: false },
+      lookups,
+    )
+    expect(table.columns.map((c) => c.header).slice(0, 4)).toEqual(["#", "Product 1 look", "Product 1", "Product 1 style #"])
+    expect(table.columns).toHaveLength(1 + 2 * 6)
+    expect(table.rows).toHaveLength(2)
+    expect(table.rows[0]!.cells["product2.size"]).toBe("All sizes")
+  })
+})
+
+describe("buildShotSpreadsheetCsv", () => {
+  it("quotes cells and drops the thumbnail column", () => {
+    const table = buildShotSpreadsheetTable(
+      [HERO],
+      { columns: columns("heroThumb", "shotNumber", "shot"), productLayout: "rows", includeThumbnails: true },
+    )
+    expect(buildShotSpreadsheetCsv(table)).toBe(
+      '\uFEFF#,Shot,Description\r\n01,"Hero, front",Walking & talking\r\n',
+    )
+  })
+
+  it("prefixes cells that would run as formulas", () => {
+    const table = buildShotSpreadsheetTable(
+      [
+        makeShot({ id: "s3", shotNumber: "=1+1", title: "@SUM(A1)", description: "-2,+3" }),
+        makeShot({ id: "s4", shotNumber: "\tTab", title: "Plain = fine" }),
+      ],
+      { columns: columns("shotNumber", "shot"), productLayout: "rows", includeThumbnails: false },
+    )
+    expect(buildShotSpreadsheetCsv(table)).toBe(
+      "\uFEFF#,Shot,Description\r\n'=1+1,'@SUM(A1),\"'-2,+3\"\r\n'\tTab,Plain = fine,\r\n",
+    )
+  })
+})
+
+describe("shotSpreadsheetFilename", () => {
+  it("sanitizes the project name", () => {
+    expect(shotSpreadsheetFilename("Q2 Shoot / 2026", "csv")).toBe("Q2_Shoot_2026_shot-list.csv")
+    expect(shotSpreadsheetFilename("  ", "xlsx")).toBe("shots_shot-list.xlsx")
+  })
+})
+
+describe("buildShotSpreadsheetXlsxBuffer", () => {
+  it("writes the header and rows to one sheet", async () => {
+    const table = buildShotSpreadsheetTable(
+      [HERO, FLAT],
+      { columns: columns("shotNumber", "shot"), productLayout: "rows", includeThumbnails: false },
+    )
+    const buffer = await buildShotSpreadsheetXlsxBuffer(table, "Q2: Shoot")
+    const workbook = new ExcelJS.Workbook()
+    await workbook.xlsx.load(buffer)
+    const sheet = workbook.worksheets[0]!
+    expect(sheet.name).toBe("Q2  Shoot")
+    expect(sheet.getRow(1).values).toEqual([undefined, "#", "Shot", "Description"])
+    expect(sheet.getRow(3).getCell(2).text).toBe("Flat lay")
+  })
+
+  it("prefixes cells that would run as formulas", async () => {
+    const table = buildShotSpreadsheetTable(
+      [makeShot({ id: "s3", shotNumber: "=HYPERLINK(\"x\")", title: "+cmd" })],
+      { columns: columns("shotNumber", "shot"), productLayout: "rows", includeThumbnails: false },
+    )
+    const workbook = new ExcelJS.Workbook()
+    await workbook.xlsx.load(await buildShotSpreadsheetXlsxBuffer(table, "Shots"))
+    const row = workbook.worksheets[0]!.getRow(2)
+    expect(row.getCell(1).value).toBe("'=HYPERLINK(\"x\")")
+    expect(row.getCell(2).value).toBe("'+cmd")
+  })
+})
@@ -0,0 +1,323 @@
+// Builds the shot-list spreadsheet export (CSV / .xlsx) from the list's
+// filtered shots and the table's visible columns. Cell text comes from the same
+// row context the table renders from; exceljs is dynamically imported (as in
+// exportCaptureOneXlsx.ts) so it only loads when someone downloads.
+
+import type { Lane, ProductAssignment, ProductFamily, ProductSample, ProductSku, Shot } from "@/shared/types"
+import type { TableColumnConfig } from "@/shared/types/table"
+import { extractShotAssignedProducts } from "@/shared/lib/shotProducts"
+import { textPreview } from "@/shared/lib/textPreview"
+import { formatDateOnly } from "@/features/shots/lib/dateOnly"
+import { computeShotRowContext, type ShotRowContext } from "@/features/shots/lib/shotColumnRenderers"
+import { ASSET_TYPE_SHORT_LABELS } from "@/features/products/lib/assetRequirements"
+
+export type ShotSpreadsheetFormat = "xlsx" | "csv"
+
+/** `rows`: one row per product assignment; `columns`: one row per shot with numbered product columns. */
+export type ShotSpreadsheetProductLayout = "rows" | "columns"
+
+export interface ShotSpreadsheetLookups {
+  readonly familyById?: ReadonlyMap<string, ProductFamily>
+  readonly skuById?: ReadonlyMap<string, ProductSku>
+  readonly samplesByFamily?: ReadonlyMap<string, ReadonlyArray<ProductSample>>
+  readonly talentNameById?: ReadonlyMap<string, string> | null
+  readonly locationNameById?: ReadonlyMap<string, string> | null
+  readonly laneById?: ReadonlyMap<string, Lane> | null
+}
+
+export interface ShotSpreadsheetOptions {
+  /** Visible table columns, in display order. */
+  readonly columns: readonly TableColumnConfig[]
+  readonly productLayout: ShotSpreadsheetProductLayout
+  /** Keep the Thumb column for embedded hero images (.xlsx only). */
+  readonly includeThumbnails: boolean
+}
+
+export interface ShotSpreadsheetColumn {
+  readonly key: string
+  readonly header: string
+  /** Excel character width. */
+  readonly width: number
+}
+
+export interface ShotSpreadsheetRow {
+  readonly shotId: string
+  /** First row of its shot — where a thumbnail is anchored. */
+  readonly firstOfShot: boolean
+  readonly cells: Readonly<Record<string, string>>
+}
+
+export interface ShotSpreadsheetTable {
+  readonly columns: ReadonlyArray<ShotSpreadsheetColumn>
+  readonly rows: ReadonlyArray<ShotSpreadsheetRow>
+}
+
+export interface FlatShotProduct {
+  readonly look: string
+  readonly product: string
+  readonly styleNumber: string
+  readonly colour: string
+  readonly size: string
+  readonly quantity: string
+  readonly hero: boolean
+}
+
+function sizeText(p: ProductAssignment): string {
+  if (p.sizeScope === "all") return "All sizes"
+  if (p.sizeScope === "single" && p.size) return p.size
+  return "TBD"
+}
+
+/**
+ * Every product assignment across the shot's looks (in look order), falling
+ * back to shot-level products for shots without looks.
+ */
+export function flattenShotProducts(
+  shot: Shot,
+  familyById?: ReadonlyMap<string, ProductFamily>,
+): FlatShotProduct[] {
+  const toFlat = (p: ProductAssignment, look: string, heroId: string | null | undefined): FlatShotProduct => {
+    const family = p.familyId ? familyById?.get(p.familyId) : undefined
+    return {
+      look,
+      product: p.familyName ?? family?.styleName ?? p.skuName ?? p.familyId ?? "",
+      styleNumber: family?.styleNumber ?? family?.styleNumbers?.[0] ?? "",
+      colour: p.colourName ?? p.skuName ?? "",
+      size: sizeText(p),
+      quantity: typeof p.quantity === "number" ? String(p.quantity) : "",
+      hero: Boolean(heroId && heroId === p.familyId),
+    }
+  }
+  const looks = [...(shot.looks ?? [])].sort((a, b) => (a.order ?? 0) - (b.order ?? 0))
+  if (looks.length === 0) return extractShotAssignedProducts(shot).map((p) => toFlat(p, "", null))
+  return looks.flatMap((look, i) =>
+    (look.products ?? []).map((p) => toFlat(p, look.label || `Look ${i + 1}`, look.heroProductId)),
+  )
+}
+
+function updatedText(shot: Shot): string {
+  const ms = shot.updatedAt?.toMillis?.() ?? null
+  return ms ? new Date(ms).toISOString().slice(0, 10) : ""
+}
+
+/** Plain-text value of one table column for a shot. */
+export function shotCellText(shot: Shot, columnKey: string, ctx: ShotRowContext): string {
+  const { readiness } = ctx
+  switch (columnKey) {
+    case "shotNumber":
+      return shot.shotNumber ?? ""
+    case "shot":
+      return ctx.title
+    case "description":
+      return textPreview(shot.description, Number.MAX_SAFE_INTEGER)
+    case "date":
+      return formatDateOnly(shot.date)
+    case "notes":
+      return textPreview(shot.notesAddendum || shot.notes, Number.MAX_SAFE_INTEGER)
+    case "location":
+      return ctx.resolvedLocationName ?? ""
+    case "links":
+      return ctx.referenceLinks.map((l) => (l.title && l.title !== l.url ? `${l.title} (${l.url})` : l.url)).join("\n")
+    case "talent":
+      return [
+        ...ctx.talentNames,
+        ...(ctx.unknownTalentCount > 0 ? [`${ctx.unknownTalentCount} unknown`] : []),
+      ].join(", ")
+    case "tags":
+      return (shot.tags ?? []).map((t) => t.label).join(", ")
+    case "launch":
+      return formatDateOnly(readiness?.earliestLaunchDate)
+    case "reqs":
+      if (!readiness) return ""
+      if (readiness.activeRequirementTypes.length > 0) {
+        return readiness.activeRequirementTypes.map((k) => ASSET_TYPE_SHORT_LABELS[k] ?? k).join(", ")
+      }
+      return readiness.totalRequirements > 0 ? `${readiness.totalRequirements} needed` : ""
+    case "samples":
+      return readiness && readiness.totalSamples > 0 ? `${readiness.arrivedSamples}/${readiness.totalSamples}` : ""
+    case "updated":
+      return updatedText(shot)
+    case "scene":
+      return ctx.sceneName ?? ""
+    default:
+      return ""
+  }
+}
+
+const PRODUCT_FIELDS: ReadonlyArray<{ readonly key: keyof FlatShotProduct; readonly header: string; readonly width: number }> = [
+  { key: "look", header: "Look", width: 12 },
+  { key: "product", header: "Product", width: 28 },
+  { key: "styleNumber", header: "Style #", width: 14 },
+  { key: "colour", header: "Colour", width: 16 },
+  { key: "size", header: "Size", width: 10 },
+  { key: "quantity", header: "Qty", width: 6 },
+]
+
+function productValue(product: FlatShotProduct, key: keyof FlatShotProduct): string {
+  return key === "product" && product.hero ? `${product.product} (hero)` : String(product[key])
+}
+
+/** Table pixels → Excel character widths, clamped to something readable. */
+function excelWidth(px: number): number {
+  return Math.min(60, Math.max(8, Math.round(px / 7)))
+}
+
+/**
+ * Lays out the spreadsheet: visible columns in order (the Shot column is
+ * followed by Description, which the table shows as a subrow), with the
+ * Products column expanded per `productLayout`.
+ */
+export function buildShotSpreadsheetTable(
+  shots: ReadonlyArray<Shot>,
+  options: ShotSpreadsheetOptions,
+  lookups: ShotSpreadsheetLookups = {},
+): ShotSpreadsheetTable {
+  const entries = shots.map((shot) => ({
+    shot,
+    ctx: computeShotRowContext(
+      shot,
+      lookups.familyById,
+      lookups.skuById,
+      lookups.samplesByFamily,
+      lookups.talentNameById,
+      lookups.locationNameById,
+      lookups.laneById,
+    ),
+    products: flattenShotProducts(shot, lookups.familyById),
+  }))
+  const maxProducts = Math.max(0, ...entries.map((e) => e.products.length))
+  const multiLook = entries.some((e) => new Set(e.products.map((p) => p.look)).size > 1)
+  const productFields = PRODUCT_FIELDS.filter((f) => f.key !== "look" || multiLook)
+
+  const columns: ShotSpreadsheetColumn[] = []
+  const hasProducts = options.columns.some((c) => c.key === "products")
+  for (const col of options.columns) {
+    if (col.key === "heroThumb") {
+      if (options.includeThumbnails) columns.push({ key: col.key, header: col.label, width: 8 })
+      continue
+    }
+    if (col.key === "products") {
+      if (options.productLayout === "rows") {
+        for (const f of productFields) columns.push({ key: `product.${f.key}`, header: f.header, width: f.width })
+      } else {
+        for (let n = 1; n <= maxProducts; n += 1) {
+          for (const f of productFields) {
+            columns.push({
+              key: `product${n}.${f.key}`,
+              header: f.key === "product" ? `Product ${n}` : `Product ${n} ${f.header.toLowerCase()}`,
+              width: f.width,
+            })
+          }
+        }
+      }
+      continue
+    }
+    columns.push({ key: col.key, header: col.label, width: excelWidth(col.width) })
+    if (col.key === "shot") columns.push({ key: "description", header: "Description", width: 40 })
+  }
+
+  const shotColumns = columns.filter((c) => !c.key.startsWith("product.") && !/^product\d+\./.test(c.key))
+  const rows: ShotSpreadsheetRow[] = []
+  for (const { shot, ctx, products } of entries) {
+    const base: Record<string, string> = {}
+    for (const column of shotColumns) base[column.key] = shotCellText(shot, column.key, ctx)
+    if (hasProducts && options.productLayout === "rows" && products.length > 0) {
+      products.forEach((product, i) => {
+        const cells = { ...base }
+        for (const f of productFields) cells[`product.${f.key}`] = productValue(product, f.key)
+        rows.push({ shotId: shot.id, firstOfShot: i === 0, cells })
+      })
+      continue
+    }
+    const cells = { ...base }
+    if (hasProducts && options.productLayout === "columns") {
+      products.forEach((product, i) => {
+        for (const f of productFields) cells[`product${i + 1}.${f.key}`] = productValue(product, f.key)
+      })
+    }
+    rows.push({ shotId: shot.id, firstOfShot: true, cells })
+  }
+
+  return { columns, rows }
+}
+
+/**
+ * Cell text a spreadsheet app won't evaluate: values starting with `=`, `+`,
+ * `-`, `@`, a tab or a carriage return get a leading apostrophe, so shot
+ * data can't smuggle a formula into the export.
+ */
+function spreadsheetText(value: string): string {
+  return /^[=+\-@\t\r]/.test(value) ? `'${value}` : value
+}
+
+function csvCell(value: string): string {
+  const text = spreadsheetText(value)
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/** CSV text (with a BOM so Excel reads UTF-8); thumbnails never apply. */
+export function buildShotSpreadsheetCsv(table: ShotSpreadsheetTable): string {
+  const columns = table.columns.filter((c) => c.key !== "heroThumb")
+  const lines = [
+    columns.map((c) => c.header),
+    ...table.rows.map((row) => columns.map((c) => row.cells[c.key] ?? "")),
+  ]
+  return `\uFEFF${lines.map((line) => line.map(csvCell).join(",")).join("\r\n")}\r\n`
+}
+
+/** Safe download filename from a project name. */
+export function shotSpreadsheetFilename(projectName: string, format: ShotSpreadsheetFormat): string {
+  const base = projectName.trim().replace(/[^A-Za-z0-9_-]+/g, "_").replace(/^_+|_+$/g, "") || "shots"
+  return `${base}_shot-list.${format}`
+}
+
+const THUMB_PX = 44
+
+/**
+ * Build the .xlsx workbook buffer. `loadThumbnail` returns a PNG/JPEG data URL
+ * for a shot's hero image (or null); it is only called when the table has a
+ * Thumb column.
+ */
+export async function buildShotSpreadsheetXlsxBuffer(
+  table: ShotSpreadsheetTable,
+  sheetName: string,
+  loadThumbnail?: (shotId: string) => Promise<string | null>,
+): Promise<ArrayBuffer> {
+  const { default: ExcelJS } = await import("exceljs")
+  const workbook = new ExcelJS.Workbook()
+  workbook.creator = "Shot Builder"
+
+  // Sheet names max out at 31 chars and can't contain []:*?/\
+  const sheet = workbook.addWorksheet(sheetName.replace(/[[\]:*?/\\]/g, " ").slice(0, 31).trim() || "Shots")
+  sheet.columns = table.columns.map((c) => ({
+    header: spreadsheetText(c.header),
+    key: c.key,
+    width: c.width,
+  }))
+  for (const row of table.rows) {
+    const cells = Object.fromEntries(
+      Object.entries(row.cells).map(([key, value]) => [key, spreadsheetText(value)]),
+    )
+    const added = sheet.addRow(cells)
+    added.alignment = { vertical: "top", wrapText: true }
+  }
+  sheet.getRow(1).font = { bold: true }
+  sheet.views = [{ state: "frozen", ySplit: 1 }]
+
+  const thumbCol = table.columns.findIndex((c) => c.key === "heroThumb")
+  if (thumbCol !== -1 && loadThumbnail) {
+    for (let i = 0; i < table.rows.length; i += 1) {
+      const row = table.rows[i]!
+      if (!row.firstOfShot) continue
+      const dataUrl = await loadThumbnail(row.shotId)
+      const extension = dataUrl?.startsWith("data:image/png") ? "png" : dataUrl?.startsWith("data:image/jp") ? "jpeg" : null
+      if (!dataUrl || !extension) continue
+      const imageId = workbook.addImage({ base64: dataUrl, extension })
+      // Anchors are zero-based; row 0 is the header.
+      sheet.addImage(imageId, { tl: { col: thumbCol, row: i + 1 }, ext: { width: THUMB_PX, height: THUMB_PX } })
+      sheet.getRow(i + 2).height = THUMB_PX * 0.75 + 4
+    }
+  }
+
+  return (await workbook.xlsx.writeBuffer()) as ArrayBuffer
+}
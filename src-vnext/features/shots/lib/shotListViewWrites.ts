@@ -0,0 +1,87 @@
+import {
+  collection,
+  doc,
+  setDoc,
+  updateDoc,
+  deleteDoc,
+  serverTimestamp,
+} from "firebase/firestore"
+// Shared db instance — see laneActions.ts for why this is never getFirestore().
+import { db } from "@/shared/lib/firebase"
+import { shotListViewsPath, shotListViewDocPath } from "@/shared/lib/paths"
+import {
+  validateShotListViewName,
+  type ShotListViewState,
+  type ShotListViewVisibility,
+} from "./shotListViews"
+
+export type ShotListViewPatch = {
+  readonly name?: string
+  readonly visibility?: ShotListViewVisibility
+  readonly state?: ShotListViewState
+}
+
+function docRef(viewId: string, projectId: string, clientId: string) {
+  const segments = shotListViewDocPath(viewId, projectId, clientId)
+  return doc(db, segments[0]!, ...segments.slice(1))
+}
+
+function assertValidName(name: string): string {
+  const error = validateShotListViewName(name)
+  if (error) throw new Error(error)
+  return name.trim()
+}
+
+export async function createShotListView(params: {
+  readonly name: string
+  readonly visibility: ShotListViewVisibility
+  readonly state: ShotListViewState
+  readonly projectId: string
+  readonly clientId: string
+  readonly userId: string
+}): Promise<string> {
+  const { visibility, state, projectId, clientId, userId } = params
+  const name = assertValidName(params.name)
+  // createdBy must equal auth.uid or the create rule rejects it.
+  if (!userId) throw new Error("Not authenticated")
+
+  const segments = shotListViewsPath(projectId, clientId)
+  const ref = doc(collection(db, segments[0]!, ...segments.slice(1)))
+  await setDoc(ref, {
+    name,
+    visibility,
+    state,
+    createdAt: serverTimestamp(),
+    updatedAt: serverTimestamp(),
+    createdBy: userId,
+    updatedBy: userId,
+  })
+  return ref.id
+}
+
+export async function updateShotListView(params: {
+  readonly viewId: string
+  readonly projectId: string
+  readonly clientId: string
+  readonly userId: string
+  readonly patch: ShotListViewPatch
+}): Promise<void> {
+  const { viewId, projectId, clientId, userId, patch } = params
+  const ref = docRef(viewId, projectId, clientId)
+  await updateDoc(ref, {
+    ...patch,
+    ...(patch.name !== undefined ? { name: assertValidName(patch.name) } : {}),
+    updatedAt: serverTimestamp(),
+    updatedBy: userId,
+  })
+}
+
+export async function deleteShotListView(params: {
+  readonly viewId: string
+  readonly projectId: string
+  readonly clientId: string
+}): Promise<void> {
+  const { viewId, projectId, clientId } = params
+  const ref = docRef(viewId, projectId, clientId)
+  await deleteDoc(ref)
+}
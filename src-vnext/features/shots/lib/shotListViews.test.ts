@@ -0,0 +1,165 @@
+import { afterEach, describe, expect, it } from "vitest"
+import {
+  SAVED_VIEW_PARAM,
+  applyShotListViewToParams,
+  applyShotTableColumnLayout,
+  captureShotListViewState,
+  isShotListViewModified,
+  mapShotListView,
+  readShotTableColumnLayout,
+  shotListViewUrl,
+  validateShotListViewName,
+  type ShotListViewState,
+} from "./shotListViews"
+import { prefsV2Key, tableV3Key } from "./migrateShotsPrefsV2"
+import { SHOT_TABLE_COLUMNS } from "./shotTableColumns"
+
+const BASE_STATE: ShotListViewState = {
+  filters: "status:in:todo",
+  query: "",
+  sortKey: "name",
+  sortDir: "asc",
+  groupKey: "scene",
+  viewMode: "table",
+  columns: [],
+}
+
+afterEach(() => {
+  localStorage.clear()
+})
+
+describe("mapShotListView", () => {
+  it("maps a well-formed doc", () => {
+    const view = mapShotListView("v1", {
+      name: "Today",
+      visibility: "shared",
+      createdBy: "u1",
+      state: { ...BASE_STATE, columns: [{ key: "tags", visible: false, width: 120, order: 3 }] },
+    })
+    expect(view).toMatchObject({
+      id: "v1",
+      name: "Today",
+      visibility: "shared",
+      createdBy: "u1",
+      state: { ...BASE_STATE, columns: [{ key: "tags", visible: false, width: 120, order: 3 }] },
+    })
+  })
+
+  it("falls back to defaults for missing or unknown values", () => {
+    const view = mapShotListView("v2", {
+      visibility: "everyone",
+      state: { sortKey: "bogus", groupKey: "colour", viewMode: "grid", columns: [{ nope: 1 }] },
+    })
+    expect(view.name).toBe("Untitled view")
+    expect(view.visibility).toBe("private")
+    expect(view.state).toEqual({
+      filters: "",
+      query: "",
+      sortKey: "custom",
+      sortDir: "asc",
+      groupKey: "none",
+      viewMode: null,
+      columns: [],
+    })
+  })
+})
+
+describe("validateShotListViewName", () => {
+  it("rejects blank and over-long names", () => {
+    expect(validateShotListViewName("   ")).toBe("Name is required")
+    expect(validateShotListViewName("x".repeat(81))).toMatch(/80 characters/)
+    expect(validateShotListViewName("Hero shots")).toBeNull()
+  })
+})
+
+describe("captureShotListViewState / applyShotListViewToParams", () => {
+  it("captures the URL list setup", () => {
+    const params = new URLSearchParams("filters=status:in:todo&sort=name&dir=asc&group=scene&view=table")
+    expect(captureShotListViewState(params, [])).toEqual(BASE_STATE)
+  })
+
+  it("defaults the direction of date sorts to desc", () => {
+    const state = captureShotListViewState(new URLSearchParams("sort=updated"), [])
+    expect(state.sortDir).toBe("desc")
+  })
+
+  it("round-trips through the URL and stamps the view id", () => {
+    const next = applyShotListViewToParams(new URLSearchParams("q=old&scene=l1"), "v1", BASE_STATE)
+    expect(next.get("filters")).toBe("status:in:todo")
+    expect(next.get("q")).toBeNull()
+    expect(next.get("sort")).toBe("name")
+    expect(next.get("group")).toBe("scene")
+    expect(next.get("view")).toBe("table")
+    expect(next.get("scene")).toBe("l1")
+    expect(next.get(SAVED_VIEW_PARAM)).toBe("v1")
+    expect(captureShotListViewState(next, [])).toEqual(BASE_STATE)
+  })
+
+  it("clears sort/dir/group for a custom-order ungrouped view", () => {
+    const next = applyShotListViewToParams(
+      new URLSearchParams("sort=name&dir=desc&group=status"),
+      "v1",
+      { ...BASE_STATE, sortKey: "custom", groupKey: "none", viewMode: null },
+    )
+    expect(next.has("sort")).toBe(false)
+    expect(next.has("dir")).toBe(false)
+    expect(next.has("group")).toBe(false)
+  })
+})
+
+describe("isShotListViewModified", () => {
+  it("ignores direction under custom order and an unpinned view mode", () => {
+    const saved = { ...BASE_STATE, sortKey: "custom" as const, viewMode: null }
+    expect(isShotListViewModified(saved, { ...saved, sortDir: "desc", viewMode: "card" })).toBe(false)
+  })
+
+  it("flags filter, sort and grouping changes", () => {
+    expect(isShotListViewModified(BASE_STATE, { ...BASE_STATE, filters: "" })).toBe(true)
+    expect(isShotListViewModified(BASE_STATE, { ...BASE_STATE, sortDir: "desc" })).toBe(true)
+    expect(isShotListViewModified(BASE_STATE, { ...BASE_STATE, groupKey: "none" })).toBe(true)
+  })
+})
+
+describe("shotListViewUrl", () => {
+  it("builds an encoded deep link", () => {
+    expect(shotListViewUrl("p1", "a b")).toBe("/projects/p1/shots?savedView=a%20b")
+  })
+})
+
+describe("column layout", () => {
+  it("reads [] when the table is on its defaults", () => {
+    expect(readShotTableColumnLayout("c1", "p1")).toEqual([])
+  })
+
+  it("writes a saved layout into the table store and notifies listeners", () => {
+    const events: string[] = []
+    const handler = (e: StorageEvent) => events.push(e.key ?? "")
+    window.addEventListener("storage", handler)
+    applyShotTableColumnLayout("c1", "p1", [{ key: "tags", visible: false, width: 222, order: 0 }])
+    window.removeEventListener("storage", handler)
+
+    expect(events).toContain(tableV3Key("c1", "p1"))
+    const layout = readShotTableColumnLayout("c1", "p1")
+    expect(layout).toHaveLength(SHOT_TABLE_COLUMNS.length)
+    expect(layout.find((c) => c.key === "tags")).toMatchObject({ visible: false, width: 222 })
+  })
+
+  it("never hides a pinned column", () => {
+    const pinned = SHOT_TABLE_COLUMNS.find((c) => c.pinned)!
+    applyShotTableColumnLayout("c1", "p1", [{ key: pinned.key, visible: false, width: 200, order: 0 }])
+    expect(readShotTableColumnLayout("c1", "p1").find((c) => c.key === pinned.key)?.visible).toBe(true)
+  })
+
+  it("an empty layout resets the table store", () => {
+    localStorage.setItem(tableV3Key("c1", "p1"), JSON.stringify(SHOT_TABLE_COLUMNS))
+    applyShotTableColumnLayout("c1", "p1", [])
+    expect(localStorage.getItem(tableV3Key("c1", "p1"))).toBeNull()
+  })
+
+  it("mirrors the applied layout into an existing v2 prefs blob", () => {
+    localStorage.setItem(prefsV2Key("c1", "p1"), JSON.stringify({ columns: {}, fields: {}, view: null, rawSnapshot: null, _mig: { v2: true } }))
+    applyShotTableColumnLayout("c1", "p1", [{ key: "tags", visible: true, width: 222, order: 0 }])
+    const v2 = JSON.parse(localStorage.getItem(prefsV2Key("c1", "p1"))!) as { columns: Record<string, { width: number }> }
+    expect(v2.columns.tags?.width).toBe(222)
+  })
+})
@@ -0,0 +1,263 @@
+import type { Timestamp } from "firebase/firestore"
+import type { TableColumnConfig } from "@/shared/types/table"
+import { normalizeColumns } from "@/shared/types/table"
+import { SHOT_TABLE_COLUMNS } from "./shotTableColumns"
+import { SORT_LABELS, type GroupKey, type SortDir, type SortKey, type ViewMode } from "./shotListFilters"
+import {
+  tableV3Key,
+  mirrorColumnOrderToV2,
+  mirrorColumnVisibilityToV2,
+  mirrorColumnWidthToV2,
+  resetColumnPrefsInV2,
+} from "./migrateShotsPrefsV2"
+
+// ---------------------------------------------------------------------------
+// Saved shot-list views — a named snapshot of the URL-as-state list setup
+// (filters / q / sort / dir / group / view) plus the ShotsTable column layout
+// (Store 3). Stored per project in `shotListViews`; "private" views are only
+// visible to their creator, "shared" views to the whole project team.
+// ---------------------------------------------------------------------------
+
+export type ShotListViewVisibility = "private" | "shared"
+
+/** URL param that marks which saved view is applied (and deep-links to one). */
+export const SAVED_VIEW_PARAM = "savedView"
+
+export const MAX_SHOT_LIST_VIEW_NAME = 80
+
+/** Column geometry + visibility only — labels always come from the live defaults. */
+export type SavedColumnLayout = Pick<TableColumnConfig, "key" | "visible" | "width" | "order">
+
+export type ShotListViewState = {
+  /** Serialized filter tree (`serializeFilters` output); "" = no filters. */
+  readonly filters: string
+  readonly query: string
+  readonly sortKey: SortKey
+  readonly sortDir: SortDir
+  readonly groupKey: GroupKey
+  /** null = the view does not pin a card/table mode. */
+  readonly viewMode: ViewMode | null
+  /** Empty = the table's default column layout. */
+  readonly columns: readonly SavedColumnLayout[]
+}
+
+export type ShotListView = {
+  readonly id: string
+  readonly name: string
+  readonly visibility: ShotListViewVisibility
+  readonly state: ShotListViewState
+  readonly createdBy: string
+  readonly createdAt: Date | null
+  readonly updatedAt: Date | null
+}
+
+const GROUP_KEYS: ReadonlySet<string> = new Set(["none", "status", "date", "talent", "location", "scene"])
+
+// ---------------------------------------------------------------------------
+// Firestore mapping — defensive: unknown values fall back to list defaults
+// ---------------------------------------------------------------------------
+
+function mapColumns(raw: unknown): readonly SavedColumnLayout[] {
+  if (!Array.isArray(raw)) return []
+  const out: SavedColumnLayout[] = []
+  for (const entry of raw) {
+    if (!entry || typeof entry !== "object") continue
+    const c = entry as Record<string, unknown>
+    if (typeof c.key !== "string") continue
+    out.push({
+      key: c.key,
+      visible: c.visible !== false,
+      width: typeof c.width === "number" ? c.width : 0,
+      order: typeof c.order === "number" ? c.order : out.length,
+    })
+  }
+  return out
+}
+
+export function mapShotListViewState(raw: unknown): ShotListViewState {
+  const data = (raw && typeof raw === "object" ? raw : {}) as Record<string, unknown>
+  const sortKey = typeof data.sortKey === "string" && data.sortKey in SORT_LABELS
+    ? (data.sortKey as SortKey)
+    : "custom"
+  return {
+    filters: typeof data.filters === "string" ? data.filters : "",
+    query: typeof data.query === "string" ? data.query : "",
+    sortKey,
+    sortDir: data.sortDir === "desc" ? "desc" : "asc",
+    groupKey: typeof data.groupKey === "string" && GROUP_KEYS.has(data.groupKey)
+      ? (data.groupKey as GroupKey)
+      : "none",
+    viewMode: data.viewMode === "card" || data.viewMode === "table" ? data.viewMode : null,
+    columns: mapColumns(data.columns),
+  }
+}
+
+export function mapShotListView(id: string, data: Record<string, unknown>): ShotListView {
+  const createdAt = data.createdAt as Timestamp | null | undefined
+  const updatedAt = data.updatedAt as Timestamp | null | undefined
+  return {
+    id,
+    name: typeof data.name === "string" && data.name.trim() ? data.name : "Untitled view",
+    visibility: data.visibility === "shared" ? "shared" : "private",
+    state: mapShotListViewState(data.state),
+    createdBy: typeof data.createdBy === "string" ? data.createdBy : "",
+    createdAt: createdAt?.toDate?.() ?? null,
+    updatedAt: updatedAt?.toDate?.() ?? null,
+  }
+}
+
+/** Validation message for a view name, or null when it is acceptable. */
+export function validateShotListViewName(name: string): string | null {
+  const trimmed = name.trim()
+  if (!trimmed) return "Name is required"
+  if (trimmed.length > MAX_SHOT_LIST_VIEW_NAME) {
+    return `Name must be ${MAX_SHOT_LIST_VIEW_NAME} characters or fewer`
+  }
+  return null
+}
+
+// ---------------------------------------------------------------------------
+// URL params <-> view state
+// ---------------------------------------------------------------------------
+
+/** Snapshot the current list setup from the URL and the stored column layout. */
+export function captureShotListViewState(
+  params: URLSearchParams,
+  columns: readonly SavedColumnLayout[],
+): ShotListViewState {
+  const sortKey = (params.get("sort") as SortKey | null) ?? "custom"
+  return mapShotListViewState({
+    filters: params.get("filters") ?? "",
+    query: params.get("q") ?? "",
+    sortKey,
+    sortDir: params.get("dir") ?? (sortKey === "created" || sortKey === "updated" ? "desc" : "asc"),
+    groupKey: params.get("group") ?? "none",
+    viewMode: params.get("view"),
+    columns,
+  })
+}
+
+/**
+ * Returns a new URLSearchParams with the view's list setup applied on top of
+ * `params`. Unrelated params (e.g. `scene`) are preserved; the view id is
+ * stamped into SAVED_VIEW_PARAM so the switcher can show it as active.
+ */
+export function applyShotListViewToParams(
+  params: URLSearchParams,
+  viewId: string,
+  state: ShotListViewState,
+): URLSearchParams {
+  const next = new URLSearchParams(params)
+  const setOrDelete = (key: string, value: string | null) => {
+    if (value) next.set(key, value)
+    else next.delete(key)
+  }
+  setOrDelete("filters", state.filters)
+  setOrDelete("q", state.query.trim())
+  if (state.sortKey === "custom") {
+    next.delete("sort")
+    next.delete("dir")
+  } else {
+    next.set("sort", state.sortKey)
+    next.set("dir", state.sortDir)
+  }
+  setOrDelete("group", state.groupKey === "none" ? null : state.groupKey)
+  if (state.viewMode) next.set("view", state.viewMode)
+  next.set(SAVED_VIEW_PARAM, viewId)
+  return next
+}
+
+/**
+ * True when the URL part of the list setup no longer matches the view.
+ * Columns are not compared: they live in localStorage and are re-captured
+ * whenever the view is saved.
+ */
+export function isShotListViewModified(
+  saved: ShotListViewState,
+  current: ShotListViewState,
+): boolean {
+  return (
+    saved.filters !== current.filters ||
+    saved.query.trim() !== current.query.trim() ||
+    saved.sortKey !== current.sortKey ||
+    (saved.sortKey !== "custom" && saved.sortDir !== current.sortDir) ||
+    saved.groupKey !== current.groupKey ||
+    (saved.viewMode !== null && saved.viewMode !== current.viewMode)
+  )
+}
+
+/** App-relative deep link that opens the shot list with the view applied. */
+export function shotListViewUrl(projectId: string, viewId: string): string {
+  return `/projects/${projectId}/shots?${SAVED_VIEW_PARAM}=${encodeURIComponent(viewId)}`
+}
+
+// ---------------------------------------------------------------------------
+// Column layout (Store 3, the ShotsTable `useTableColumns` key)
+// ---------------------------------------------------------------------------
+
+/** Current stored column layout; [] when the user is still on the defaults. */
+export function readShotTableColumnLayout(
+  clientId: string,
+  projectId: string,
+): readonly SavedColumnLayout[] {
+  let raw: string | null = null
+  try {
+    raw = globalThis.localStorage?.getItem(tableV3Key(clientId, projectId)) ?? null
+  } catch {
+    return []
+  }
+  if (raw === null) return []
+  try {
+    return mapColumns(JSON.parse(raw))
+  } catch {
+    return []
+  }
+}
+
+/**
+ * Write a saved layout into Store 3 and notify the mounted ShotsTable via the
+ * same StorageEvent `useTableColumns.persist` dispatches. Every write is
+ * mirrored into the v2 prefs blob like ShotsTable's own column seams; an empty
+ * layout is a reset (Store 3 key removed, v2 column prefs cleared).
+ */
+export function applyShotTableColumnLayout(
+  clientId: string,
+  projectId: string,
+  layout: readonly SavedColumnLayout[],
+): void {
+  const key = tableV3Key(clientId, projectId)
+  try {
+    if (layout.length === 0) {
+      globalThis.localStorage?.removeItem(key)
+      globalThis.dispatchEvent(new StorageEvent("storage", { key }))
+      resetColumnPrefsInV2(clientId, projectId)
+      return
+    }
+
+    const savedByKey = new Map(layout.map((c) => [c.key, c]))
+    const merged = normalizeColumns(
+      SHOT_TABLE_COLUMNS.map((col) => {
+        const saved = savedByKey.get(col.key)
+        if (!saved) return col
+        return {
+          ...col,
+          visible: col.pinned ? true : saved.visible,
+          width: saved.width > 0 ? saved.width : col.width,
+          order: saved.order,
+        }
+      }),
+      SHOT_TABLE_COLUMNS,
+    )
+    globalThis.localStorage?.setItem(key, JSON.stringify(merged))
+    globalThis.dispatchEvent(new StorageEvent("storage", { key }))
+
+    const ordered = [...merged].sort((a, b) => a.order - b.order)
+    mirrorColumnOrderToV2(clientId, projectId, ordered.map((c) => c.key))
+    for (const col of ordered) {
+      mirrorColumnWidthToV2(clientId, projectId, col.key, col.width)
+      mirrorColumnVisibilityToV2(clientId, projectId, col.key, col.visible)
+    }
+  } catch {
+    // Ignore storage errors — the URL part of the view still applies.
+  }
+}
@@ -1,5 +1,11 @@
 import { describe, it, expect } from "vitest"
-import { resolveHeroFamilyIds, computeShotReadiness, shotLaunchDateMs } from "./shotProductReadiness"
+import {
+  resolveHeroFamilyIds,
+  computeShotReadiness,
+  resolveShotReadinessState,
+  shotLaunchDateMs,
+  type ShotReadiness,
+} from "./shotProductReadiness"
 import type { Shot, ProductFamily, ProductSku, ShotLook } from "@/shared/types"
 import type { Timestamp } from "firebase/firestore"
 
@@ -725,3 +731,29 @@ describe("shotLaunchDateMs", () => {
     expect(shotLaunchDateMs(shot, familyById)).toBe(1700000000000)
   })
 })
+
+describe("resolveShotReadinessState", () => {
+  const base: ShotReadiness = {
+    earliestLaunchDate: null,
+    totalRequirements: 0,
+    totalSamples: 0,
+    arrivedSamples: 0,
+    heroFamilyNames: [],
+    activeRequirementTypes: [],
+    isSkuLevel: false,
+  }
+
+  it("is noProducts when the shot has no hero families", () => {
+    expect(resolveShotReadinessState(base)).toBe("noProducts")
+  })
+
+  it("is noSamples when hero families have no samples", () => {
+    expect(resolveShotReadinessState({ ...base, heroFamilyNames: ["Tee"] })).toBe("noSamples")
+  })
+
+  it("is samplesPending until every sample has arrived", () => {
+    const pending = { ...base, heroFamilyNames: ["Tee"], totalSamples: 3, arrivedSamples: 2 }
+    expect(resolveShotReadinessState(pending)).toBe("samplesPending")
+    expect(resolveShotReadinessState({ ...pending, arrivedSamples: 3 })).toBe("samplesArrived")
+  })
+})
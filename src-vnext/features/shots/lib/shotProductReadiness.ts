@@ -205,6 +205,27 @@ export function computeShotReadiness(
   }
 }
 
+// ---------------------------------------------------------------------------
+// Readiness state (filterable summary of the metrics above)
+// ---------------------------------------------------------------------------
+
+export type ShotReadinessState = "noProducts" | "noSamples" | "samplesPending" | "samplesArrived"
+
+export const READINESS_STATE_LABELS: Readonly<Record<ShotReadinessState, string>> = {
+  noProducts: "No products",
+  noSamples: "No samples",
+  samplesPending: "Samples pending",
+  samplesArrived: "Samples arrived",
+}
+
+/** Collapse a shot's hero-product readiness into a single state. */
+export function resolveShotReadinessState(readiness: ShotReadiness): ShotReadinessState {
+  if (readiness.heroFamilyNames.length === 0) return "noProducts"
+  if (readiness.totalSamples === 0) return "noSamples"
+  if (readiness.arrivedSamples < readiness.totalSamples) return "samplesPending"
+  return "samplesArrived"
+}
+
 // ---------------------------------------------------------------------------
 // Sort helpers
 // ---------------------------------------------------------------------------
@@ -0,0 +1,116 @@
+import { describe, it, expect } from "vitest"
+import { Timestamp } from "firebase/firestore"
+import type { Shot } from "@/shared/types"
+import { buildSnippet, createShotSearchIndex, tokenizeSearchQuery } from "./shotSearch"
+
+function makeShot(id: string, overrides: Partial<Shot> = {}): Shot {
+  return {
+    id,
+    title: `Shot ${id}`,
+    status: "todo",
+    projectId: "p1",
+    clientId: "c1",
+    talent: [],
+    products: [],
+    sortOrder: 0,
+    createdAt: Timestamp.fromMillis(1000),
+    updatedAt: Timestamp.fromMillis(2000),
+    createdBy: "u1",
+    ...overrides,
+  } as Shot
+}
+
+const SHOTS: Shot[] = [
+  makeShot("s1", {
+    title: "Beach walk",
+    notes: "<p>Golden hour &amp; <strong>wind machine</strong> needed</p>",
+  }),
+  makeShot("s2", {
+    title: "Studio flatlay",
+    looks: [
+      {
+        id: "l1",
+        label: "Evening look",
+        products: [{ familyId: "f1", familyName: "Linen Dress", colourName: "Sage" }],
+      },
+    ],
+  }),
+  makeShot("s3", {
+    title: "Dress detail",
+    talentIds: ["t1"],
+    referenceLinks: [{ id: "r1", title: "Moodboard sage tones", url: "https://x.test", type: "web" }],
+  }),
+]
+
+const index = createShotSearchIndex(SHOTS, { talentNameById: new Map([["t1", "Anna Ortiz"]]) })
+const ids = (query: string) => index.search(query).map((hit) => hit.shotId)
+
+describe("createShotSearchIndex", () => {
+  it("searches plain text extracted from notes HTML", () => {
+    expect(ids("wind machine")).toEqual(["s1"])
+    expect(ids("golden & wind")).toEqual(["s1"])
+  })
+
+  it("searches look labels, product families and colours", () => {
+    expect(ids("evening")).toEqual(["s2"])
+    expect(ids("linen sage")).toEqual(["s2"])
+  })
+
+  it("searches resolved talent names and reference link titles", () => {
+    expect(ids("ortiz")).toEqual(["s3"])
+    expect(ids("moodboard")).toEqual(["s3"])
+  })
+
+  it("tolerates typos", () => {
+    expect(ids("machne")).toEqual(["s1"])
+  })
+
+  it("requires every word to match somewhere", () => {
+    expect(ids("dress wind")).toEqual([])
+  })
+
+  it("ranks a title match above a product match", () => {
+    expect(ids("dress")).toEqual(["s3", "s2"])
+  })
+
+  it("returns nothing for a blank query", () => {
+    expect(index.search("   ")).toEqual([])
+  })
+
+  it("returns a highlighted snippet from the best non-title match", () => {
+    const [hit] = index.search("wind")
+    expect(hit?.snippet?.field).toBe("notes")
+    const snippet = hit!.snippet!
+    const [from, to] = snippet.ranges[0]!
+    expect(snippet.text.slice(from, to + 1)).toBe("wind")
+  })
+
+  it("omits the snippet when only the title matched", () => {
+    expect(index.search("flatlay")[0]?.snippet).toBeNull()
+  })
+
+  it("matchingIds is the set form of search", () => {
+    expect([...index.matchingIds("sage")].sort()).toEqual(["s2", "s3"])
+  })
+})
+
+describe("buildSnippet", () => {
+  it("keeps short text whole", () => {
+    expect(buildSnippet("notes", "red dress", [[4, 8]])).toEqual({ field: "notes", text: "red dress", ranges: [[4, 8]] })
+  })
+
+  it("windows long text around the first match and re-bases ranges", () => {
+    const text = `${"a".repeat(200)} needle ${"b".repeat(200)}`
+    const snippet = buildSnippet("notes", text, [[201, 206]])
+    expect(snippet.text.startsWith("…")).toBe(true)
+    expect(snippet.text.endsWith("…")).toBe(true)
+    const [from, to] = snippet.ranges[0]!
+    expect(snippet.text.slice(from, to + 1)).toBe("needle")
+  })
+})
+
+describe("tokenizeSearchQuery", () => {
+  it("lowercases and splits on whitespace", () => {
+    expect(tokenizeSearchQuery("  Red   DRESS ")).toEqual(["red", "dress"])
+  })
+})
@@ -0,0 +1,234 @@
+import Fuse from "fuse.js"
+import type { Shot } from "@/shared/types"
+import { extractShotAssignedProducts } from "@/shared/lib/shotProducts"
+import { stripHtml } from "@/shared/lib/textUtils"
+
+// ---------------------------------------------------------------------------
+// Searchable document — one flattened, plain-text record per shot
+// ---------------------------------------------------------------------------
+
+export type ShotSearchField =
+  | "title"
+  | "shotNumber"
+  | "description"
+  | "notes"
+  | "looks"
+  | "products"
+  | "talent"
+  | "links"
+
+export const SHOT_SEARCH_FIELD_LABELS: Readonly<Record<ShotSearchField, string>> = {
+  title: "Title",
+  shotNumber: "Shot #",
+  description: "Description",
+  notes: "Notes",
+  looks: "Look",
+  products: "Product",
+  talent: "Talent",
+  links: "Link",
+}
+
+/** Heavier fields rank higher when the same query matches several shots. */
+const FIELD_WEIGHTS: Readonly<Record<ShotSearchField, number>> = {
+  title: 3,
+  shotNumber: 3,
+  description: 1.5,
+  products: 1.5,
+  talent: 1.2,
+  looks: 1,
+  notes: 0.8,
+  links: 0.8,
+}
+
+const SEARCH_FIELDS = Object.keys(FIELD_WEIGHTS) as ShotSearchField[]
+
+interface ShotSearchDocument {
+  readonly id: string
+  readonly title: string
+  readonly shotNumber: string
+  readonly description: string
+  readonly notes: readonly string[]
+  readonly looks: readonly string[]
+  readonly products: readonly string[]
+  readonly talent: readonly string[]
+  readonly links: readonly string[]
+}
+
+export interface ShotSearchLookups {
+  readonly talentNameById?: ReadonlyMap<string, string>
+}
+
+function uniqueNonEmpty(values: ReadonlyArray<string | null | undefined>): string[] {
+  const seen = new Set<string>()
+  for (const v of values) {
+    const trimmed = v?.trim()
+    if (trimmed) seen.add(trimmed)
+  }
+  return [...seen]
+}
+
+function buildShotSearchDocument(shot: Shot, lookups: ShotSearchLookups): ShotSearchDocument {
+  const products = extractShotAssignedProducts(shot)
+  const talentIds = shot.talentIds ?? shot.talent
+  return {
+    id: shot.id,
+    title: shot.title ?? "",
+    shotNumber: shot.shotNumber ?? "",
+    description: stripHtml(shot.description),
+    notes: uniqueNonEmpty([stripHtml(shot.notes), stripHtml(shot.notesAddendum)]),
+    looks: uniqueNonEmpty((shot.looks ?? []).map((l) => l.label)),
+    products: uniqueNonEmpty(products.flatMap((p) => [p.familyName, p.colourName])),
+    talent: uniqueNonEmpty(talentIds.map((id) => lookups.talentNameById?.get(id))),
+    links: uniqueNonEmpty((shot.referenceLinks ?? []).map((l) => l.title)),
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Results
+// ---------------------------------------------------------------------------
+
+/** `[start, end]` character offsets into `text`, both inclusive (Fuse convention). */
+export type ShotSearchRange = readonly [number, number]
+
+export interface ShotSearchSnippet {
+  readonly field: ShotSearchField
+  readonly text: string
+  readonly ranges: readonly ShotSearchRange[]
+}
+
+export interface ShotSearchHit {
+  readonly shotId: string
+  /** 0 = exact match, 1 = no match. */
+  readonly score: number
+  /** Best match outside the title (the title is already on screen), or null. */
+  readonly snippet: ShotSearchSnippet | null
+}
+
+export interface ShotSearchIndex {
+  /** Shots matching every query word, best match first. */
+  search(query: string): readonly ShotSearchHit[]
+  /** Set form of `search`, cached per query — used by filter conditions. */
+  matchingIds(query: string): ReadonlySet<string>
+}
+
+// ---------------------------------------------------------------------------
+// Snippets
+// ---------------------------------------------------------------------------
+
+const SNIPPET_CONTEXT_BEFORE = 30
+const SNIPPET_MAX_LENGTH = 120
+const ELLIPSIS = "…"
+
+/**
+ * Window long text around its first highlighted range so the match is
+ * visible in a one-line snippet; ranges are re-based onto the window.
+ */
+export function buildSnippet(
+  field: ShotSearchField,
+  text: string,
+  ranges: readonly ShotSearchRange[],
+): ShotSearchSnippet {
+  const sorted = [...ranges].sort((a, b) => a[0] - b[0])
+  const first = sorted[0]
+  if (text.length <= SNIPPET_MAX_LENGTH || !first) {
+    return { field, text, ranges: sorted }
+  }
+
+  const start = Math.max(0, Math.min(first[0] - SNIPPET_CONTEXT_BEFORE, text.length - SNIPPET_MAX_LENGTH))
+  const end = Math.min(text.length, start + SNIPPET_MAX_LENGTH)
+  const prefix = start > 0 ? ELLIPSIS : ""
+  const suffix = end < text.length ? ELLIPSIS : ""
+  const offset = prefix.length - start
+
+  const clipped: ShotSearchRange[] = []
+  for (const [from, to] of sorted) {
+    if (to < start || from >= end) continue
+    clipped.push([Math.max(from, start) + offset, Math.min(to, end - 1) + offset])
+  }
+  return { field, text: `${prefix}${text.slice(start, end)}${suffix}`, ranges: clipped }
+}
+
+/** Drop single-character fuzzy noise unless that is all the match has. */
+function meaningfulRanges(indices: readonly ShotSearchRange[]): readonly ShotSearchRange[] {
+  const wide = indices.filter(([from, to]) => to > from)
+  return wide.length > 0 ? wide : indices
+}
+
+function pickSnippet(matches: readonly Fuse.FuseResultMatch[]): ShotSearchSnippet | null {
+  let best: { field: ShotSearchField; text: string; ranges: readonly ShotSearchRange[]; rank: number } | null = null
+  for (const match of matches) {
+    const field = match.key as ShotSearchField | undefined
+    if (!field || field === "title" || typeof match.value !== "string") continue
+    const ranges = meaningfulRanges(match.indices)
+    const longest = Math.max(0, ...ranges.map(([from, to]) => to - from + 1))
+    const rank = longest * FIELD_WEIGHTS[field]
+    if (!best || rank > best.rank) best = { field, text: match.value, ranges, rank }
+  }
+  return best ? buildSnippet(best.field, best.text, best.ranges) : null
+}
+
+// ---------------------------------------------------------------------------
+// Index
+// ---------------------------------------------------------------------------
+
+const FUSE_OPTIONS: Fuse.IFuseOptions<ShotSearchDocument> = {
+  keys: SEARCH_FIELDS.map((name) => ({ name, weight: FIELD_WEIGHTS[name] })),
+  threshold: 0.3,
+  // Notes run long — a match deep in the text must score like one up front.
+  ignoreLocation: true,
+  includeScore: true,
+  includeMatches: true,
+}
+
+/** Caps pathological pastes; each word is a separate fuzzy clause. */
+const MAX_QUERY_WORDS = 8
+
+/** Lowercased query words; punctuation-only tokens ("&", "-") are dropped. */
+export function tokenizeSearchQuery(query: string): readonly string[] {
+  return query
+    .trim()
+    .toLowerCase()
+    .split(/\s+/)
+    .filter((word) => /[\p{L}\p{N}]/u.test(word))
+    .slice(0, MAX_QUERY_WORDS)
+}
+
+/**
+ * Build a client-side full-text index over shot content. Each query word must
+ * match some field (typo-tolerant), so "red dres" finds a shot with a red
+ * product and "dress" in its notes. Rebuild when shots or talent names change.
+ */
+export function createShotSearchIndex(
+  shots: ReadonlyArray<Shot>,
+  lookups: ShotSearchLookups = {},
+): ShotSearchIndex {
+  const fuse = new Fuse(
+    shots.map((shot) => buildShotSearchDocument(shot, lookups)),
+    FUSE_OPTIONS,
+  )
+  const idCache = new Map<string, ReadonlySet<string>>()
+
+  const search = (query: string): readonly ShotSearchHit[] => {
+    const words = tokenizeSearchQuery(query)
+    if (words.length === 0) return []
+    const expression: Fuse.Expression = {
+      $and: words.map((word) => ({ $or: SEARCH_FIELDS.map((field) => ({ [field]: word })) })),
+    }
+    return fuse.search(expression).map((result) => ({
+      shotId: result.item.id,
+      score: result.score ?? 0,
+      snippet: pickSnippet(result.matches ?? []),
+    }))
+  }
+
+  const matchingIds = (query: string): ReadonlySet<string> => {
+    const key = tokenizeSearchQuery(query).join(" ")
+    const cached = idCache.get(key)
+    if (cached) return cached
+    const ids = new Set(search(key).map((hit) => hit.shotId))
+    idCache.set(key, ids)
+    return ids
+  }
+
+  return { search, matchingIds }
+}
@@ -24,6 +24,16 @@ export const SHOT_TABLE_COLUMNS: readonly TableColumnConfig[] = [
   { key: "scene", label: "Scene", defaultLabel: "Scene", visible: false, width: 140, order: 14 },
 ]
 
+/**
+ * localStorage key (under `sb:`) for the shots table's column config. Shared by
+ * the table and anything that must honour the same visible columns (the
+ * spreadsheet export). A clientId-less key is deliberately outside the v2
+ * prefs mirror — see ShotsTable.
+ */
+export function shotsTableStorageKey(clientId: string | null | undefined, projectId: string): string {
+  return clientId && projectId ? `shots-table:${clientId}:${projectId}` : `shots-table:${projectId}`
+}
+
 // ---------------------------------------------------------------------------
 // Mapping between column keys and ShotsListFields keys
 // ---------------------------------------------------------------------------
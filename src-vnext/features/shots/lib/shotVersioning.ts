@@ -8,24 +8,9 @@ import {
 } from "firebase/firestore"
 import { db } from "@/shared/lib/firebase"
 import { shotPath, shotVersionsPath } from "@/shared/lib/paths"
-import { normalizeWhitespace } from "@/shared/lib/textUtils"
+import { normalizeWhitespace, stripHtml } from "@/shared/lib/textUtils"
 import type { AuthUser, Shot, ShotVersion, ShotVersionChangeType } from "@/shared/types"
 
-function stripHtmlToText(html: unknown): string {
-  if (html === null || html === undefined || html === "") return ""
-  if (typeof html !== "string") return ""
-  return html
-    .replace(/<[^>]*>/g, " ")
-    .replace(/&nbsp;/gi, " ")
-    .replace(/&amp;/gi, "&")
-    .replace(/&lt;/gi, "<")
-    .replace(/&gt;/gi, ">")
-    .replace(/&quot;/gi, "\"")
-    .replace(/&#39;/gi, "'")
-    .replace(/\s+/g, " ")
-    .trim()
-}
-
 function normalizeVersionText(value: unknown): string {
   if (value === null || value === undefined || value === "") return ""
   if (typeof value !== "string") return ""
@@ -33,8 +18,8 @@ function normalizeVersionText(value: unknown): string {
 }
 
 function notesMeaningfullyDifferent(prevNotes: unknown, nextNotes: unknown): boolean {
-  const prevText = normalizeVersionText(stripHtmlToText(prevNotes))
-  const nextText = normalizeVersionText(stripHtmlToText(nextNotes))
+  const prevText = normalizeVersionText(stripHtml(prevNotes))
+  const nextText = normalizeVersionText(stripHtml(nextNotes))
   return prevText !== nextText
 }
 
@@ -0,0 +1,60 @@
+import { describe, expect, it } from "vitest"
+import { detectDelimiter, headerKey, mapColumnsByAlias, parseCsv, parseLineList } from "../tabularImport"
+
+describe("detectDelimiter", () => {
+  it("picks the most frequent delimiter on the first line", () => {
+    expect(detectDelimiter("a,b,c\n1,2,3")).toBe(",")
+    expect(detectDelimiter("a;b;c")).toBe(";")
+    expect(detectDelimiter("a\tb")).toBe("\t")
+  })
+
+  it("ignores delimiters inside quotes and defaults to comma", () => {
+    expect(detectDelimiter('"a;b;c",d')).toBe(",")
+    expect(detectDelimiter("single")).toBe(",")
+  })
+})
+
+describe("parseCsv", () => {
+  it("parses quoted fields with delimiters, newlines and escaped quotes", () => {
+    expect(parseCsv('name,note\r\n"Tee, Navy","line 1\nline ""2"""\n')).toEqual([
+      ["name", "note"],
+      ["Tee, Navy", 'line 1\nline "2"'],
+    ])
+  })
+
+  it("drops a BOM, trims cells and skips blank lines", () => {
+    expect(parseCsv("\uFEFFa ; b\n\n ; \nc;d")).toEqual([
+      ["a", "b"],
+      ["c", "d"],
+    ])
+  })
+})
+
+describe("parseLineList", () => {
+  it("returns one trimmed cell per non-blank line", () => {
+    expect(parseLineList(" a.jpg \r\n\nb, c.jpg\n")).toEqual([["a.jpg"], ["b, c.jpg"]])
+  })
+})
+
+describe("headerKey", () => {
+  it("normalizes case and punctuation", () => {
+    expect(headerKey("File Name")).toBe("filename")
+    expect(headerKey("Star-Rating")).toBe("starrating")
+  })
+})
+
+describe("mapColumnsByAlias", () => {
+  const fields = [
+    { key: "name", aliases: ["name", "title"] },
+    { key: "code", aliases: ["code", "name"] },
+  ] as const
+
+  it("prefers a field's earlier aliases and never reuses a column", () => {
+    expect(mapColumnsByAlias(["Title", "Name"], fields)).toEqual({ name: 1 })
+    expect(mapColumnsByAlias(["Name", "Code"], fields)).toEqual({ name: 0, code: 1 })
+  })
+
+  it("lets a later field claim a repeated header", () => {
+    expect(mapColumnsByAlias(["Name", "Name"], fields)).toEqual({ name: 0, code: 1 })
+  })
+})
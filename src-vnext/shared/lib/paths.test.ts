@@ -9,8 +9,13 @@ import {
   pullsPath,
   pullPath,
   lanesPath,
+  shotListViewsPath,
+  shotListViewDocPath,
   productFamiliesPath,
   productFamilySkusPath,
+  productFamilySampleLedgerPath,
+  productFamilyActivityPath,
+  productFamilyAssetDeliveriesPath,
   talentPath,
   locationsPath,
   crewPath,
@@ -89,6 +94,18 @@ describe("Firestore Path Builders", () => {
         "clients", "test-client", "projects", "proj-1", "lanes",
       ])
     })
+
+    it("builds shotListViewsPath under project", () => {
+      expect(shotListViewsPath("proj-1", CLIENT)).toEqual([
+        "clients", "test-client", "projects", "proj-1", "shotListViews",
+      ])
+    })
+
+    it("builds shotListViewDocPath", () => {
+      expect(shotListViewDocPath("view-1", "proj-1", CLIENT)).toEqual([
+        "clients", "test-client", "projects", "proj-1", "shotListViews", "view-1",
+      ])
+    })
   })
 
   describe("products", () => {
@@ -103,6 +120,24 @@ describe("Firestore Path Builders", () => {
         "clients", "test-client", "productFamilies", "fam-1", "skus",
       ])
     })
+
+    it("builds productFamilySampleLedgerPath", () => {
+      expect(productFamilySampleLedgerPath("fam-1", "s-1", CLIENT)).toEqual([
+        "clients", "test-client", "productFamilies", "fam-1", "samples", "s-1", "ledger",
+      ])
+    })
+
+    it("builds productFamilyActivityPath", () => {
+      expect(productFamilyActivityPath("fam-1", CLIENT)).toEqual([
+        "clients", "test-client", "productFamilies", "fam-1", "activity",
+      ])
+    })
+
+    it("builds productFamilyAssetDeliveriesPath", () => {
+      expect(productFamilyAssetDeliveriesPath("fam-1", CLIENT)).toEqual([
+        "clients", "test-client", "productFamilies", "fam-1", "assetDeliveries",
+      ])
+    })
   })
 
   describe("talent, locations, crew", () => {
@@ -84,6 +84,19 @@ export const laneDocPath = (
   clientId: string,
 ): string[] => [...lanesPath(projectId, clientId), laneId]
 
+// --- Saved shot-list views (project-scoped) ---
+
+export const shotListViewsPath = (
+  projectId: string,
+  clientId: string,
+): string[] => [...projectPath(projectId, clientId), "shotListViews"]
+
+export const shotListViewDocPath = (
+  viewId: string,
+  projectId: string,
+  clientId: string,
+): string[] => [...shotListViewsPath(projectId, clientId), viewId]
+
 // --- Product Families & SKUs ---
 
 export const productFamiliesPath = (clientId: string): string[] => [
@@ -108,6 +121,12 @@ export const productFamilySamplesPath = (
   clientId: string,
 ): string[] => [...productFamiliesPath(clientId), familyId, "samples"]
 
+export const productFamilySampleLedgerPath = (
+  familyId: string,
+  sampleId: string,
+  clientId: string,
+): string[] => [...productFamilySamplesPath(familyId, clientId), sampleId, "ledger"]
+
 export const productFamilyCommentsPath = (
   familyId: string,
   clientId: string,
@@ -118,6 +137,16 @@ export const productFamilyDocumentsPath = (
   clientId: string,
 ): string[] => [...productFamiliesPath(clientId), familyId, "documents"]
 
+export const productFamilyActivityPath = (
+  familyId: string,
+  clientId: string,
+): string[] => [...productFamiliesPath(clientId), familyId, "activity"]
+
+export const productFamilyAssetDeliveriesPath = (
+  familyId: string,
+  clientId: string,
+): string[] => [...productFamiliesPath(clientId), familyId, "assetDeliveries"]
+
 export const productFamilyPath = (
   familyId: string,
   clientId: string,
@@ -285,6 +314,38 @@ export const exportReportDocPath = (
   reportId: string,
 ): string[] => [...exportReportsPath(clientId, projectId), reportId]
 
+export const exportReportSnapshotsPath = (
+  clientId: string,
+  projectId: string,
+  reportId: string,
+): string[] => [...exportReportDocPath(clientId, projectId, reportId), "snapshots"]
+
+export const exportReportSnapshotDocPath = (
+  clientId: string,
+  projectId: string,
+  reportId: string,
+  snapshotId: string,
+): string[] => [...exportReportSnapshotsPath(clientId, projectId, reportId), snapshotId]
+
+// --- Report Schedules (project-scoped) ---
+
+export const reportSchedulesPath = (
+  clientId: string,
+  projectId: string,
+): string[] => [...projectPath(projectId, clientId), "reportSchedules"]
+
+export const reportScheduleDocPath = (
+  clientId: string,
+  projectId: string,
+  scheduleId: string,
+): string[] => [...reportSchedulesPath(clientId, projectId), scheduleId]
+
+export const reportDeliveriesPath = (
+  clientId: string,
+  projectId: string,
+  scheduleId: string,
+): string[] => [...reportScheduleDocPath(clientId, projectId, scheduleId), "deliveries"]
+
 // --- Export Templates (workspace-scoped) ---
 
 export const exportTemplatesPath = (
@@ -309,6 +370,31 @@ export const castingBoardDocPath = (
   clientId: string,
 ): string[] => [...castingBoardPath(projectId, clientId), entryId]
 
+// --- Talent Holds (client-scoped so holds on other projects are visible) ---
+
+export const talentHoldsPath = (clientId: string): string[] => [
+  "clients",
+  clientId,
+  "talentHolds",
+]
+
+export const talentHoldDocPath = (
+  holdId: string,
+  clientId: string,
+): string[] => [...talentHoldsPath(clientId), holdId]
+
+// --- Talent Hold Requests (root-level agency confirmation links) ---
+
+export const talentHoldRequestDocPath = (token: string): string[] => [
+  "talentHoldRequests",
+  token,
+]
+
+export const talentHoldResponseDocPath = (
+  token: string,
+  holdId: string,
+): string[] => ["talentHoldRequests", token, "responses", holdId]
+
 // --- Casting Shares (root-level, like shotShares) ---
 
 export const castingSharesPath = (): string[] => ["castingShares"]
@@ -0,0 +1,147 @@
+// Reads user-supplied CSV / XLSX / plain-text files into rows of trimmed cell
+// strings for the import flows. exceljs is dynamically imported so it only
+// loads when someone actually picks a spreadsheet.
+
+export type TabularRows = ReadonlyArray<ReadonlyArray<string>>
+
+const DELIMITER_CANDIDATES = [",", ";", "\t"] as const
+
+/** Most frequent candidate delimiter on the first line (outside quotes); comma on a tie. */
+export function detectDelimiter(text: string): string {
+  const firstLine = text.split(/\r?\n/, 1)[0] ?? ""
+  let best = ","
+  let bestCount = 0
+  for (const candidate of DELIMITER_CANDIDATES) {
+    let count = 0
+    let inQuotes = false
+    for (const ch of firstLine) {
+      if (ch === '"') inQuotes = !inQuotes
+      else if (ch === candidate && !inQuotes) count += 1
+    }
+    if (count > bestCount) {
+      best = candidate
+      bestCount = count
+    }
+  }
+  return best
+}
+
+/**
+ * RFC 4180-style CSV parse: quoted fields may hold delimiters, newlines and
+ * doubled quotes. A leading BOM is dropped; blank lines are skipped.
+ */
+export function parseCsv(text: string, delimiter = detectDelimiter(text)): TabularRows {
+  const source = text.replace(/^\uFEFF/, "")
+  const rows: string[][] = []
+  let row: string[] = []
+  let field = ""
+  let inQuotes = false
+
+  const endRow = () => {
+    row.push(field.trim())
+    field = ""
+    if (row.some((cell) => cell.length > 0)) rows.push(row)
+    row = []
+  }
+
+  for (let i = 0; i < source.length; i += 1) {
+    const ch = source[i]!
+    if (inQuotes) {
+      if (ch === '"' && source[i + 1] === '"') {
+        field += '"'
+        i += 1
+      } else if (ch === '"') {
+        inQuotes = false
+      } else {
+        field += ch
+      }
+      continue
+    }
+    if (ch === '"') {
+      inQuotes = true
+    } else if (ch === delimiter) {
+      row.push(field.trim())
+      field = ""
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && source[i + 1] === "\n") i += 1
+      endRow()
+    } else {
+      field += ch
+    }
+  }
+  if (field.length > 0 || row.length > 0) endRow()
+  return rows
+}
+
+/** One cell per non-blank line — for pasted lists where commas are not delimiters. */
+export function parseLineList(text: string): TabularRows {
+  return text
+    .replace(/^\uFEFF/, "")
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line) => [line])
+}
+
+function isSpreadsheet(file: File): boolean {
+  return /\.xlsx$/i.test(file.name) ||
+    file.type === "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+}
+
+/** Rows of the first worksheet, every cell as its displayed text. */
+async function readXlsxRows(file: File): Promise<TabularRows> {
+  const { default: ExcelJS } = await import("exceljs")
+  const workbook = new ExcelJS.Workbook()
+  await workbook.xlsx.load(await file.arrayBuffer())
+  const sheet = workbook.worksheets[0]
+  if (!sheet) return []
+  const rows: string[][] = []
+  sheet.eachRow({ includeEmpty: false }, (row) => {
+    const cells: string[] = []
+    for (let col = 1; col <= row.cellCount; col += 1) {
+      cells.push(row.getCell(col).text.trim())
+    }
+    if (cells.some((cell) => cell.length > 0)) rows.push(cells)
+  })
+  return rows
+}
+
+/**
+ * Reads an import file: .xlsx via exceljs, .csv / .tsv as delimited text,
+ * anything else as one value per line.
+ */
+export async function readTabularFile(file: File): Promise<TabularRows> {
+  if (isSpreadsheet(file)) return readXlsxRows(file)
+  const text = await file.text()
+  if (/\.(csv|tsv)$/i.test(file.name) || file.type === "text/csv") return parseCsv(text)
+  return parseLineList(text)
+}
+
+/** Lower-cased, punctuation-free header key — "File Name" and "filename" compare equal. */
+export function headerKey(value: string): string {
+  return value.toLowerCase().replace(/[^a-z0-9]+/g, "")
+}
+
+/**
+ * Maps header cells to import fields by alias (compared via `headerKey`). Each
+ * column feeds at most one field, claimed by the first field in `fields` order
+ * that names it; within a field, earlier aliases win.
+ */
+export function mapColumnsByAlias<K extends string>(
+  headers: ReadonlyArray<string>,
+  fields: ReadonlyArray<{ readonly key: K; readonly aliases: ReadonlyArray<string> }>,
+): Partial<Record<K, number>> {
+  const keys = headers.map(headerKey)
+  const used = new Set<number>()
+  const mapping: Partial<Record<K, number>> = {}
+  for (const field of fields) {
+    for (const alias of field.aliases) {
+      const index = keys.findIndex((key, i) => key === alias && !used.has(i))
+      if (index === -1) continue
+      mapping[field.key] = index
+      used.add(index)
+      break
+    }
+  }
+  return mapping
+}
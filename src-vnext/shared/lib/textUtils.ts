@@ -18,6 +18,21 @@ export function humanizeLabel(key: string): string {
     .replace(/\b\w/g, (c) => c.toUpperCase())
 }
 
+/** Flatten rich-text HTML to plain text (tags → spaces, common entities decoded) */
+export function stripHtml(html: unknown): string {
+  if (typeof html !== "string" || html === "") return ""
+  return html
+    .replace(/<[^>]*>/g, " ")
+    .replace(/&nbsp;/gi, " ")
+    .replace(/&amp;/gi, "&")
+    .replace(/&lt;/gi, "<")
+    .replace(/&gt;/gi, ">")
+    .replace(/&quot;/gi, "\"")
+    .replace(/&#39;/gi, "'")
+    .replace(/\s+/g, " ")
+    .trim()
+}
+
 /** Check if a string contains HTML tags */
 export function containsHtml(text: string): boolean {
   return /<[a-z][\s\S]*>/i.test(text)
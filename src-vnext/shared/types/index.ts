@@ -26,12 +26,44 @@ export interface Project {
   readonly shootDates: string[]
   readonly notes?: string
   readonly briefUrl?: string
+  /** Labour-rule thresholds for call sheet checks; absent fields use defaults. */
+  readonly complianceRules?: Partial<ComplianceRules> | null
+  /** Capture One filename template; absent = `{gender}_{product}_{colorway}`. */
+  readonly captureOneTemplate?: CaptureOneFilenameTemplate | null
   /** Soft-delete marker (legacy). */
   readonly deletedAt?: unknown
   readonly createdAt: Timestamp
   readonly updatedAt: Timestamp
 }
 
+/**
+ * Per-project labour rules checked against each call sheet. Hours are
+ * maximums except `minTurnaroundHours`; see features/schedules/lib/complianceChecks.ts.
+ */
+export interface ComplianceRules {
+  readonly enabled: boolean
+  /** Latest first meal, in hours after crew call. */
+  readonly firstMealWithinHours: number
+  /** Latest second meal, in hours after the first meal ends. */
+  readonly secondMealWithinHours: number
+  /** Length of a meal break, used to find when the first meal ends. */
+  readonly mealBreakMinutes: number
+  /** Minimum rest between one shoot day's wrap and the next day's call. */
+  readonly minTurnaroundHours: number
+  /** Crew call to wrap beyond this is projected overtime. */
+  readonly overtimeAfterHours: number
+}
+
+/**
+ * Per-project Capture One naming. `pattern` mixes literal text with tokens
+ * (see features/captureone/lib/captureOneTemplate.ts); when it contains
+ * `{view}` every hero gets one filename per entry in `views`.
+ */
+export interface CaptureOneFilenameTemplate {
+  readonly pattern: string
+  readonly views: ReadonlyArray<string>
+}
+
 export type ShotFirestoreStatus = "todo" | "in_progress" | "complete" | "on_hold"
 
 /**
@@ -176,6 +208,13 @@ export interface Shot {
   readonly activeLookId?: string | null
   readonly tags?: ReadonlyArray<ShotTag>
   readonly referenceLinks?: ReadonlyArray<ShotReferenceLink>
+  /**
+   * Live (non-deleted) comment count, maintained server-side by the
+   * `syncShotCommentCount` trigger, which recounts on every comment write;
+   * `functions/scripts/backfill-shot-comment-counts.js` fills it in for older
+   * shots. Absent (read as 0) only on shots that have never had a comment.
+   */
+  readonly commentCount?: number
   readonly deleted?: boolean
   readonly createdAt: Timestamp
   readonly updatedAt: Timestamp
@@ -263,6 +302,30 @@ export interface PullItemSize {
   /** Number fulfilled (legacy + public responder compatibility) */
   readonly fulfilled: number
   readonly status?: PullItemSizeStatus
+  /** Units split off onto a backorder line. */
+  readonly backordered?: number
+}
+
+export type PullSubstitutionDecision = "pending" | "approved" | "rejected"
+
+/** What the warehouse sent instead of a requested size (or whole line). */
+export interface PullSubstitution {
+  readonly id: string
+  /** Requested size this replaces; null = the whole line. */
+  readonly forSize: string | null
+  readonly quantity: number
+  readonly skuCode: string | null
+  readonly colourName: string | null
+  readonly size: string | null
+  readonly reason: string
+  readonly recordedByEmail: string | null
+  readonly recordedAt: Timestamp | null
+  readonly decision: PullSubstitutionDecision
+  readonly reviewedBy?: string | null
+  readonly reviewedAt?: Timestamp | null
+  readonly reviewNote?: string | null
+  /** Shots whose product assignment was switched to the substitute on approval. */
+  readonly appliedToShotIds?: readonly string[]
 }
 
 export interface PullItem {
@@ -277,6 +340,11 @@ export interface PullItem {
   readonly sizes: PullItemSize[]
   readonly fulfillmentStatus: FulfillmentFirestoreStatus
   readonly notes?: string | null
+  readonly substitutions?: readonly PullSubstitution[]
+  /** On a backorder line: id of the line whose shortfall it follows up. */
+  readonly backorderOf?: string | null
+  /** On the original line once its shortfall has been backordered. */
+  readonly backorderItemId?: string | null
 }
 
 export interface Pull {
@@ -340,10 +408,14 @@ export interface ProductFamily {
   readonly samplesArrivedCount?: number
   /** Denormalized: earliest sample ETA across all pending samples. */
   readonly earliestSampleEta?: Timestamp | null
+  /** Denormalized: earliest return due date across arrived (not yet returned) samples. */
+  readonly earliestSampleReturnDue?: Timestamp | null
   /** Denormalized: earliest launch date across family + all SKUs. */
   readonly earliestLaunchDate?: Timestamp | null
   /** Denormalized: count of SKUs with active (needed/in_progress) asset requirements. */
   readonly activeRequirementCount?: number
+  /** Denormalized: per asset type, required vs delivered across active SKUs. */
+  readonly assetDeliverySummary?: Readonly<Record<string, AssetDeliveryTally>>
 
   // Soft-delete (legacy)
   readonly deleted?: boolean
@@ -374,6 +446,8 @@ export interface ProductSku {
   readonly assetRequirements?: ProductAssetRequirements | null
   /** Per-SKU launch date override (Phase 10 refinement). Falls back to family.launchDate. */
   readonly launchDate?: Timestamp | null
+  /** Denormalized: registered delivery files per asset type. */
+  readonly assetDeliveryCounts?: Readonly<Record<string, number>>
   readonly deleted?: boolean
   readonly deletedAt?: Timestamp
   readonly createdAt?: Timestamp
@@ -417,6 +491,34 @@ export interface ProductAssetRequirements {
   readonly other_label?: string
 }
 
+/** Requirements for one asset type: flagged (not "not needed") vs delivered. */
+export interface AssetDeliveryTally {
+  readonly required: number
+  readonly delivered: number
+}
+
+export type ProductAssetDeliverySource = "upload" | "manifest" | "capture_one"
+
+/**
+ * A delivered image/video file (or a manifest filename) registered against
+ * one SKU + asset type. Stored at
+ * `productFamilies/{familyId}/assetDeliveries/{deliveryId}`.
+ */
+export interface ProductAssetDelivery {
+  readonly id: string
+  readonly skuId: string
+  readonly assetType: string
+  readonly fileName: string
+  readonly source: ProductAssetDeliverySource
+  /** Upload only. */
+  readonly storagePath?: string | null
+  readonly contentType?: string | null
+  readonly sizeBytes?: number | null
+  readonly createdAt?: Timestamp
+  readonly createdBy?: string | null
+  readonly createdByName?: string | null
+}
+
 export type ProductSampleCondition = "new" | "good" | "fair" | "damaged"
 
 // --- Product Workspace (Samples, Comments, Documents) ---
@@ -440,6 +542,8 @@ export interface ProductSample {
   readonly returnDueDate?: Timestamp | null
   /** Physical condition of the sample (Phase 10). */
   readonly condition?: ProductSampleCondition | null
+  /** Who has the sample right now; null/absent = in the sample room. */
+  readonly custody?: ProductSampleCustody | null
   readonly deleted?: boolean
   readonly createdAt?: Timestamp
   readonly updatedAt?: Timestamp
@@ -447,6 +551,64 @@ export interface ProductSample {
   readonly updatedBy?: string | null
 }
 
+/** Denormalized from the latest open `check_out` ledger entry. */
+export interface ProductSampleCustody {
+  readonly holderName: string
+  readonly projectId?: string | null
+  readonly projectName?: string | null
+  readonly checkedOutAt?: Timestamp | null
+  readonly checkedOutBy?: string | null
+  readonly entryId: string
+}
+
+export type ProductSampleLedgerAction = "check_out" | "check_in"
+
+/**
+ * One custody movement of a sample. Append-only, stored at
+ * `productFamilies/{familyId}/samples/{sampleId}/ledger/{entryId}`.
+ */
+export interface ProductSampleLedgerEntry {
+  readonly id: string
+  readonly action: ProductSampleLedgerAction
+  /** Check-out: who took it. Check-in: who had it. */
+  readonly holderName?: string | null
+  readonly projectId?: string | null
+  readonly projectName?: string | null
+  /** Check-in only: condition on return. */
+  readonly condition?: ProductSampleCondition | null
+  /** Check-out only: when it must be back. */
+  readonly returnDueDate?: Timestamp | null
+  readonly notes?: string | null
+  /** True when the sample was found via a scanned label. */
+  readonly scanned?: boolean
+  readonly createdAt?: Timestamp
+  readonly createdBy?: string | null
+  readonly createdByName?: string | null
+}
+
+export type ProductActivityType = "sample_tracking"
+
+/**
+ * Server-written product feed entry at
+ * `productFamilies/{familyId}/activity/{entryId}`. Today only the carrier
+ * tracking sync (`syncSampleTracking`) writes here.
+ */
+export interface ProductActivityEntry {
+  readonly id: string
+  readonly type: ProductActivityType
+  readonly sampleId?: string | null
+  readonly sampleType?: ProductSampleType | null
+  readonly carrier?: string | null
+  readonly tracking?: string | null
+  readonly fromStatus?: ProductSampleStatus | null
+  readonly toStatus?: ProductSampleStatus | null
+  readonly eta?: Timestamp | null
+  /** Raw carrier status: in_transit / delivered / exception. */
+  readonly trackingStatus?: string | null
+  readonly description?: string | null
+  readonly createdAt?: Timestamp
+}
+
 export interface ProductComment {
   readonly id: string
   readonly body: string
@@ -825,6 +987,86 @@ export interface CastingBoardEntry {
   readonly updatedAt: unknown // Firestore Timestamp
 }
 
+// --- Talent Holds (client-scoped, one doc per talent × project × shoot date) ---
+
+/** 1 = first option (talent commits to us first), 2 = second option. */
+export type TalentHoldOption = 1 | 2
+
+/** Stored status. "Expired" is derived from `expiresOn`, never written. */
+export type TalentHoldStatus = "pending" | "confirmed" | "released"
+
+export interface TalentHold {
+  readonly id: string
+  readonly talentId: string
+  readonly talentName: string
+  readonly talentAgency?: string | null
+  readonly projectId: string
+  /** Denormalized so conflicts on other projects can be named. */
+  readonly projectName: string
+  /** Shoot date (YYYY-MM-DD). */
+  readonly date: string
+  readonly option: TalentHoldOption
+  readonly status: TalentHoldStatus
+  /** Last day (YYYY-MM-DD) the hold stands without a confirmation. */
+  readonly expiresOn?: string | null
+  readonly notes?: string | null
+  /** Agency confirmation link the hold was last sent on. */
+  readonly requestToken?: string | null
+  /** Agent who confirmed or released the hold via the confirmation link. */
+  readonly respondedBy?: string | null
+  readonly respondedByEmail?: string | null
+  readonly responseNote?: string | null
+  readonly respondedAt?: unknown // Firestore Timestamp
+  readonly createdBy: string
+  readonly createdAt: unknown // Firestore Timestamp
+  readonly updatedAt: unknown // Firestore Timestamp
+}
+
+// --- Talent Hold Requests (public agency confirmation links) ---
+
+export interface TalentHoldRequestItem {
+  readonly holdId: string
+  readonly date: string
+  readonly option: TalentHoldOption
+  readonly expiresOn: string | null
+}
+
+export interface TalentHoldRequest {
+  readonly id: string
+  readonly clientId: string
+  readonly projectId: string
+  readonly projectName: string
+  readonly talentId: string
+  readonly talentName: string
+  readonly talentAgency?: string | null
+  /** Flat id list the security rules check responses against. */
+  readonly holdIds: readonly string[]
+  readonly holds: readonly TalentHoldRequestItem[]
+  readonly message?: string | null
+  readonly enabled: boolean
+  readonly expiresAt?: unknown | null // Firestore Timestamp
+  readonly createdAt: unknown // Firestore Timestamp
+  readonly createdBy: string
+}
+
+export type TalentHoldDecision = "confirm" | "release"
+
+/** Why applyTalentHoldResponse couldn't carry an answer onto its hold. */
+export type TalentHoldRejection = "expired" | "released" | "superseded"
+
+/** Agent answer for one hold. Doc ID = holdId, so the latest answer wins. */
+export interface TalentHoldResponse {
+  readonly id: string
+  readonly holdId: string
+  readonly decision: TalentHoldDecision
+  readonly agentName: string
+  readonly agentEmail: string
+  readonly note?: string | null
+  readonly respondedAt: unknown // Firestore Timestamp
+  /** Written back by the function when the answer didn't apply. */
+  readonly rejectedReason?: TalentHoldRejection | null
+}
+
 // --- Casting Share (public sharing) ---
 
 export interface ResolvedCastingSession {